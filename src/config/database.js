@@ -1,5 +1,6 @@
 const { Pool } = require('pg');
 const logger = require('../utils/logger');
+const { getAuditContext } = require('../utils/requestContext');
 
 // Database configuration
 const dbConfig = {
@@ -124,12 +125,33 @@ const closeDatabase = async () => {
   }
 };
 
-// Query helper function with error handling
+// Statements that can change rows, and so may write audit_log rows through triggers
+const WRITE_STATEMENT = /^\s*(INSERT|UPDATE|DELETE|WITH)\b/i;
+
+// Tell the audit triggers who is making changes for the rest of the transaction
+// (the pharmaflow.* settings read by audit_log_chain). No-op outside a request.
+const setAuditContext = async (client) => {
+  const context = getAuditContext();
+  if (!context) return;
+
+  await client.query(
+    `SELECT set_config('pharmaflow.user_id', $1, true),
+            set_config('pharmaflow.api_key_id', $2, true),
+            set_config('pharmaflow.ip_address', $3, true),
+            set_config('pharmaflow.request_id', $4, true)`,
+    [context.userId, context.apiKeyId, context.ipAddress, context.requestId].map(value => (value === null ? '' : String(value)))
+  );
+};
+
+// Query helper function with error handling. Writes made during a request run
+// in their own transaction so the audit context applies to them.
 const query = async (text, params = []) => {
   const start = Date.now();
   
   try {
-    const result = await pool.query(text, params);
+    const result = getAuditContext() && WRITE_STATEMENT.test(text)
+      ? await transaction(client => client.query(text, params))
+      : await pool.query(text, params);
     const duration = Date.now() - start;
     
     // Log slow queries (over 1 second)
@@ -157,6 +179,7 @@ const transaction = async (callback) => {
   
   try {
     await client.query('BEGIN');
+    await setAuditContext(client);
     const result = await callback(client);
     await client.query('COMMIT');
     return result;
@@ -1,3 +1,4 @@
+const path = require('path');
 const logger = require('../utils/logger');
 
 // Load environment variables from .env file
@@ -25,6 +26,8 @@ const optionalEnvVars = {
   BCRYPT_ROUNDS: 12,
   API_RATE_LIMIT_WINDOW: 900000, // 15 minutes
   API_RATE_LIMIT_MAX_REQUESTS: 100,
+  AUTH_RATE_LIMIT_WINDOW: 900000, // 15 minutes
+  AUTH_RATE_LIMIT_MAX_REQUESTS: 20,
   MAX_FILE_SIZE: 5242880, // 5MB
   EXPIRATION_WARNING_DAYS: 90,
   LOW_STOCK_THRESHOLD_PERCENTAGE: 20,
@@ -99,6 +102,9 @@ const config = {
   isProduction,
   isTest,
 
+  // Version segment of the API mount path (/api/v1)
+  API_VERSION: 'v1',
+
   // Server Configuration
   server: {
     port: parseInt(getEnvVar('PORT')),
@@ -132,7 +138,21 @@ const config = {
     passwordMinLength: parseInt(getEnvVar('PASSWORD_MIN_LENGTH', 8)),
     passwordRequireSpecialChars: parseBoolean(getEnvVar('PASSWORD_REQUIRE_SPECIAL', true)),
     maxLoginAttempts: parseInt(getEnvVar('MAX_LOGIN_ATTEMPTS', 5)),
+    maxLoginAttemptsPerIp: parseInt(getEnvVar('MAX_LOGIN_ATTEMPTS_PER_IP', 20)),
     lockoutDuration: parseInt(getEnvVar('LOCKOUT_DURATION', 1800000)), // 30 minutes
+    passwordResetTokenTtl: parseInt(getEnvVar('PASSWORD_RESET_TOKEN_TTL', 1800000)), // 30 minutes
+
+    // TOTP two-factor authentication
+    twoFactor: {
+      // Comma-separated USER_ROLES values that must use 2FA; they enroll during their next login
+      requiredRoles: getEnvVar('TWO_FACTOR_REQUIRED_ROLES', '').split(',').map(role => role.trim()).filter(Boolean),
+      issuer: getEnvVar('TWO_FACTOR_ISSUER', 'PharmaFlow'),
+      // How long the token from the password step stays valid for the second step
+      challengeExpiresIn: getEnvVar('TWO_FACTOR_CHALLENGE_EXPIRES_IN', '5m'),
+      // Key for encrypting TOTP secrets at rest
+      encryptionKey: getEnvVar('TWO_FACTOR_ENCRYPTION_KEY', process.env.JWT_SECRET),
+      recoveryCodeCount: parseInt(getEnvVar('TWO_FACTOR_RECOVERY_CODES', 10))
+    },
     sessionTimeout: parseInt(getEnvVar('SESSION_TIMEOUT', 3600000)) // 1 hour
   },
 
@@ -152,7 +172,19 @@ const config = {
     message: 'Too many requests from this IP, please try again later',
     standardHeaders: true,
     legacyHeaders: false,
-    skipSuccessfulRequests: parseBoolean(getEnvVar('RATE_LIMIT_SKIP_SUCCESS', false))
+    skipSuccessfulRequests: parseBoolean(getEnvVar('RATE_LIMIT_SKIP_SUCCESS', false)),
+    // Stricter limit for credential endpoints (login, token refresh, password reset)
+    auth: {
+      windowMs: parseInt(getEnvVar('AUTH_RATE_LIMIT_WINDOW')),
+      maxRequests: parseInt(getEnvVar('AUTH_RATE_LIMIT_MAX_REQUESTS')),
+      message: 'Too many authentication attempts from this IP, please try again later'
+    },
+    // Per API key, for keys without their own rate_limit_per_minute
+    apiKey: {
+      windowMs: 60000,
+      maxRequests: parseInt(getEnvVar('API_KEY_RATE_LIMIT_PER_MINUTE', 120)),
+      message: 'API key rate limit exceeded'
+    }
   },
 
   // File Upload Configuration
@@ -179,10 +211,41 @@ const config = {
     // Controlled substances
     controlledSubstanceLogging: parseBoolean(getEnvVar('CONTROLLED_SUBSTANCE_LOGGING', true)),
     requirePrescriptionValidation: parseBoolean(getEnvVar('REQUIRE_PRESCRIPTION_VALIDATION', true)),
+    prescriptionValidityDays: parseInt(getEnvVar('PRESCRIPTION_VALIDITY_DAYS', 365)),
+
+    // Clinical screening: interaction/allergy dataset, and how far back a
+    // customer's purchases count as current medication
+    clinicalDatasetPath: getEnvVar('CLINICAL_DATASET_PATH', path.join(__dirname, '../database/clinicalDataset.json')),
+    clinicalHistoryDays: parseInt(getEnvVar('CLINICAL_HISTORY_DAYS', 180)),
+
+    // Cash handling: cash sales and refunds go through an open register shift
+    requireShiftForCash: parseBoolean(getEnvVar('REQUIRE_SHIFT_FOR_CASH', true)),
     
     // Pricing and tax
     defaultTaxRate: parseFloat(getEnvVar('DEFAULT_TAX_RATE', '0.00')),
-    defaultMarkupPercentage: parseFloat(getEnvVar('DEFAULT_MARKUP_PERCENTAGE', '25.00'))
+    defaultMarkupPercentage: parseFloat(getEnvVar('DEFAULT_MARKUP_PERCENTAGE', '25.00')),
+    // Largest manual line discount (percent) each role may give, as role:percent pairs;
+    // roles not listed, and API keys, may give none. Promotions are not limited by this.
+    maxManualDiscount: Object.fromEntries(
+      getEnvVar('MAX_MANUAL_DISCOUNT', 'admin:100,manager:50,pharmacist:20,technician:10,cashier:5')
+        .split(',')
+        .map(pair => pair.split(':').map(part => part.trim()))
+        .filter(([role, percent]) => role && percent)
+        .map(([role, percent]) => [role, parseFloat(percent)])
+    ),
+    // Lines sold more than this percent away from their list price need a manager's approval
+    priceOverrideApprovalThreshold: parseFloat(getEnvVar('PRICE_OVERRIDE_APPROVAL_THRESHOLD', '10')),
+    // How long a manager's price override approval token stays valid
+    priceOverrideApprovalExpiresIn: getEnvVar('PRICE_OVERRIDE_APPROVAL_EXPIRES_IN', '10m'),
+
+    // Sale drafts: how long each kind holds its stock and prices, the smallest
+    // layaway deposit (percent of the total), and how often abandoned drafts
+    // are swept to give their stock back
+    parkedSaleHoldMinutes: parseInt(getEnvVar('PARKED_SALE_HOLD_MINUTES', 240)),
+    quoteValidDays: parseInt(getEnvVar('QUOTE_VALID_DAYS', 14)),
+    layawayDays: parseInt(getEnvVar('LAYAWAY_DAYS', 60)),
+    layawayMinDepositPercentage: parseFloat(getEnvVar('LAYAWAY_MIN_DEPOSIT_PERCENTAGE', '20')),
+    draftSweepInterval: parseInt(getEnvVar('DRAFT_SWEEP_INTERVAL', 300000)) // 5 minutes
   },
 
   // Email Configuration
@@ -194,6 +257,8 @@ const config = {
     user: getEnvVar('EMAIL_USER'),
     password: getEnvVar('EMAIL_PASS'),
     from: getEnvVar('EMAIL_FROM', 'noreply@pharmaflow.com'),
+    // Page of the client app that accepts ?token=... and calls /auth/password-reset/confirm
+    passwordResetUrl: getEnvVar('PASSWORD_RESET_URL', isDevelopment ? 'http://localhost:3000/reset-password' : ''),
     
     // Email templates
     templates: {
@@ -1,20 +1,20 @@
 const { pool, query, transaction } = require('../config/database');
-const { validationResult } = require('express-validator');
+const { ValidationError, NotFoundError } = require('../utils/errorHandler');
 
 class AlertController {
   // Get all alerts with filtering and pagination
-  async getAllAlerts(req, res) {
+  async getAllAlerts(req, res, next) {
     try {
       const {
-        page = 1,
-        limit = 50,
+        page,
+        limit,
         alert_type,
         is_acknowledged,
         date_from,
         date_to,
         search,
-        sort_by = 'alert_date',
-        sort_order = 'DESC'
+        sort_by,
+        sort_order
       } = req.query;
 
       const offset = (page - 1) * limit;
@@ -31,7 +31,7 @@ class AlertController {
       if (is_acknowledged !== undefined) {
         paramCount++;
         whereConditions.push(`ea.is_acknowledged = $${paramCount}`);
-        params.push(is_acknowledged === 'true');
+        params.push(is_acknowledged);
       }
 
       if (date_from) {
@@ -58,13 +58,7 @@ class AlertController {
 
       const whereClause = whereConditions.length > 0 ? 'WHERE ' + whereConditions.join(' AND ') : '';
       
-      // Validate sort parameters
-      const validSortColumns = ['alert_date', 'expiration_date', 'alert_type', 'quantity', 'product_name'];
-      const validSortOrder = ['ASC', 'DESC'];
-      const safeSortBy = validSortColumns.includes(sort_by) ? sort_by : 'alert_date';
-      const safeSortOrder = validSortOrder.includes(sort_order.toUpperCase()) ? sort_order.toUpperCase() : 'DESC';
-
-      const sortColumn = safeSortBy === 'product_name' ? 'p.product_name' : `ea.${safeSortBy}`;
+      const sortColumn = sort_by === 'product_name' ? 'p.product_name' : `ea.${sort_by}`;
 
       const alertsQuery = `
         SELECT 
@@ -88,7 +82,7 @@ class AlertController {
         LEFT JOIN categories c ON p.category_id = c.category_id
         LEFT JOIN users u ON ea.acknowledged_by = u.user_id
         ${whereClause}
-        ORDER BY ${sortColumn} ${safeSortOrder}
+        ORDER BY ${sortColumn} ${sort_order}
         LIMIT $${paramCount + 1} OFFSET $${paramCount + 2}
       `;
 
@@ -120,17 +114,12 @@ class AlertController {
         }
       });
     } catch (error) {
-      console.error('Error fetching alerts:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Error fetching alerts',
-        error: error.message
-      });
+      next(error);
     }
   }
 
   // Get alert by ID
-  async getAlertById(req, res) {
+  async getAlertById(req, res, next) {
     try {
       const { id } = req.params;
 
@@ -166,10 +155,7 @@ class AlertController {
       const result = await query(alertQuery, [id]);
 
       if (result.rows.length === 0) {
-        return res.status(404).json({
-          success: false,
-          message: 'Alert not found'
-        });
+        throw new NotFoundError('Alert not found');
       }
 
       res.json({
@@ -177,31 +163,17 @@ class AlertController {
         data: result.rows[0]
       });
     } catch (error) {
-      console.error('Error fetching alert:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Error fetching alert',
-        error: error.message
-      });
+      next(error);
     }
   }
 
   // Acknowledge alert
-  async acknowledgeAlert(req, res) {
+  async acknowledgeAlert(req, res, next) {
     try {
       const { id } = req.params;
       const { action_taken } = req.body;
       const acknowledged_by = req.user?.user_id;
 
-      const errors = validationResult(req);
-      if (!errors.isEmpty()) {
-        return res.status(400).json({
-          success: false,
-          message: 'Validation errors',
-          errors: errors.array()
-        });
-      }
-
       // Check if alert exists and is not already acknowledged
       const alertCheck = await query(
         'SELECT alert_id, is_acknowledged FROM expiration_alerts WHERE alert_id = $1',
@@ -209,17 +181,11 @@ class AlertController {
       );
 
       if (alertCheck.rows.length === 0) {
-        return res.status(404).json({
-          success: false,
-          message: 'Alert not found'
-        });
+        throw new NotFoundError('Alert not found');
       }
 
       if (alertCheck.rows[0].is_acknowledged) {
-        return res.status(400).json({
-          success: false,
-          message: 'Alert has already been acknowledged'
-        });
+        throw new ValidationError('Alert has already been acknowledged');
       }
 
       const updateQuery = `
@@ -241,28 +207,16 @@ class AlertController {
         data: result.rows[0]
       });
     } catch (error) {
-      console.error('Error acknowledging alert:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Error acknowledging alert',
-        error: error.message
-      });
+      next(error);
     }
   }
 
   // Bulk acknowledge alerts
-  async bulkAcknowledgeAlerts(req, res) {
+  async bulkAcknowledgeAlerts(req, res, next) {
     try {
       const { alert_ids, action_taken } = req.body;
       const acknowledged_by = req.user?.user_id;
 
-      if (!alert_ids || !Array.isArray(alert_ids) || alert_ids.length === 0) {
-        return res.status(400).json({
-          success: false,
-          message: 'Alert IDs array is required'
-        });
-      }
-
       const result = await transaction(async (client) => {
         const updateQuery = `
           UPDATE expiration_alerts 
@@ -290,19 +244,14 @@ class AlertController {
         data: result
       });
     } catch (error) {
-      console.error('Error bulk acknowledging alerts:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Error bulk acknowledging alerts',
-        error: error.message
-      });
+      next(error);
     }
   }
 
   // Get critical alerts (expiring within 30 days or already expired)
-  async getCriticalAlerts(req, res) {
+  async getCriticalAlerts(req, res, next) {
     try {
-      const { limit = 20 } = req.query;
+      const { limit } = req.query;
 
       const criticalAlertsQuery = `
         SELECT 
@@ -336,19 +285,14 @@ class AlertController {
         data: result.rows
       });
     } catch (error) {
-      console.error('Error fetching critical alerts:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Error fetching critical alerts',
-        error: error.message
-      });
+      next(error);
     }
   }
 
   // Get low stock alerts
-  async getLowStockAlerts(req, res) {
+  async getLowStockAlerts(req, res, next) {
     try {
-      const { limit = 20 } = req.query;
+      const { limit } = req.query;
 
       const lowStockQuery = `
         SELECT 
@@ -386,17 +330,12 @@ class AlertController {
         data: result.rows
       });
     } catch (error) {
-      console.error('Error fetching low stock alerts:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Error fetching low stock alerts',
-        error: error.message
-      });
+      next(error);
     }
   }
 
   // Get alert statistics
-  async getAlertStats(req, res) {
+  async getAlertStats(req, res, next) {
     try {
       const statsQuery = `
         SELECT 
@@ -454,17 +393,12 @@ class AlertController {
         data: combinedStats
       });
     } catch (error) {
-      console.error('Error fetching alert statistics:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Error fetching alert statistics',
-        error: error.message
-      });
+      next(error);
     }
   }
 
   // Generate expiration alerts manually (for testing or manual runs)
-  async generateExpirationAlerts(req, res) {
+  async generateExpirationAlerts(req, res, next) {
     try {
       const result = await transaction(async (client) => {
         // Get inventory items that need alerts but don't have them yet
@@ -538,24 +472,19 @@ class AlertController {
         alerts_created: result
       });
     } catch (error) {
-      console.error('Error generating expiration alerts:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Error generating expiration alerts',
-        error: error.message
-      });
+      next(error);
     }
   }
 
   // Delete old acknowledged alerts (cleanup)
-  async cleanupAlerts(req, res) {
+  async cleanupAlerts(req, res, next) {
     try {
-      const { days_old = 90 } = req.query;
+      const { days_old } = req.query;
 
       const deleteQuery = `
         DELETE FROM expiration_alerts 
         WHERE is_acknowledged = true 
-          AND acknowledged_at < CURRENT_DATE - INTERVAL '${parseInt(days_old)} days'
+          AND acknowledged_at < CURRENT_DATE - INTERVAL '${days_old} days'
         RETURNING COUNT(*)
       `;
 
@@ -568,20 +497,15 @@ class AlertController {
         deleted_count: deletedCount
       });
     } catch (error) {
-      console.error('Error cleaning up alerts:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Error cleaning up alerts',
-        error: error.message
-      });
+      next(error);
     }
   }
 
   // Get alerts by category
-  async getAlertsByCategory(req, res) {
+  async getAlertsByCategory(req, res, next) {
     try {
       const { category_id } = req.params;
-      const { is_acknowledged = 'false', limit = 50 } = req.query;
+      const { is_acknowledged, limit } = req.query;
 
       const alertsQuery = `
         SELECT 
@@ -599,19 +523,14 @@ class AlertController {
         LIMIT $3
       `;
 
-      const result = await query(alertsQuery, [category_id, is_acknowledged === 'true', limit]);
+      const result = await query(alertsQuery, [category_id, is_acknowledged, limit]);
 
       res.json({
         success: true,
         data: result.rows
       });
     } catch (error) {
-      console.error('Error fetching alerts by category:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Error fetching alerts by category',
-        error: error.message
-      });
+      next(error);
     }
   }
 }
@@ -0,0 +1,178 @@
+const ApiKey = require('../models/ApiKey');
+const logger = require('../utils/logger');
+const { generatePagination } = require('../utils/helpers');
+const { NotFoundError } = require('../utils/errorHandler');
+
+/**
+ * Shape an api_keys row for responses
+ * @param {Object} apiKey - Row from ApiKey
+ * @returns {Object}
+ */
+const formatApiKey = apiKey => ({
+  id: apiKey.api_key_id,
+  name: apiKey.name,
+  prefix: apiKey.key_prefix,
+  scopes: apiKey.scopes,
+  rateLimitPerMinute: apiKey.rate_limit_per_minute,
+  createdBy: apiKey.created_by,
+  createdAt: apiKey.created_at,
+  expiresAt: apiKey.expires_at,
+  lastUsedAt: apiKey.last_used_at,
+  lastUsedIp: apiKey.last_used_ip,
+  rotatedFromId: apiKey.rotated_from_id,
+  revokedAt: apiKey.revoked_at,
+  revokedBy: apiKey.revoked_by
+});
+
+class ApiKeyController {
+  /**
+   * List API keys (Admin only)
+   */
+  static async getApiKeys(req, res, next) {
+    try {
+      const { page, limit, includeRevoked } = req.query;
+
+      const { apiKeys, total } = await ApiKey.findAll({
+        includeRevoked,
+        limit,
+        offset: (page - 1) * limit
+      });
+
+      res.json({
+        success: true,
+        data: {
+          apiKeys: apiKeys.map(formatApiKey),
+          pagination: generatePagination(page, limit, total)
+        }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get one API key (Admin only)
+   */
+  static async getApiKeyById(req, res, next) {
+    try {
+      const apiKey = await ApiKey.findById(req.params.apiKeyId);
+
+      if (!apiKey) {
+        throw new NotFoundError('API key not found');
+      }
+
+      res.json({
+        success: true,
+        data: { apiKey: formatApiKey(apiKey) }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Issue an API key (Admin only). The key itself is returned only in this response.
+   */
+  static async createApiKey(req, res, next) {
+    try {
+      const { name, scopes, rateLimitPerMinute, expiresAt } = req.body;
+
+      const { apiKey, key } = await ApiKey.create({
+        name,
+        scopes,
+        rateLimitPerMinute,
+        expiresAt,
+        createdBy: req.user.userId
+      });
+
+      logger.info('API key created', {
+        apiKeyId: apiKey.api_key_id,
+        name: apiKey.name,
+        scopes: apiKey.scopes,
+        createdBy: req.user.userId
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'API key created. Store it now; it cannot be shown again.',
+        data: {
+          apiKey: formatApiKey(apiKey),
+          key
+        }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Replace an API key with a new secret (Admin only)
+   */
+  static async rotateApiKey(req, res, next) {
+    try {
+      const { apiKeyId } = req.params;
+      const { gracePeriodMinutes } = req.body;
+
+      const result = await ApiKey.rotate(apiKeyId, req.user.userId, gracePeriodMinutes);
+
+      if (!result) {
+        throw new NotFoundError('Active API key not found');
+      }
+
+      logger.info('API key rotated', {
+        previousApiKeyId: result.previous.api_key_id,
+        apiKeyId: result.apiKey.api_key_id,
+        gracePeriodMinutes,
+        rotatedBy: req.user.userId
+      });
+
+      res.status(201).json({
+        success: true,
+        message: gracePeriodMinutes > 0
+          ? `API key rotated; the previous key stops working in ${gracePeriodMinutes} minutes`
+          : 'API key rotated; the previous key no longer works',
+        data: {
+          apiKey: formatApiKey(result.apiKey),
+          key: result.key,
+          previous: formatApiKey(result.previous)
+        }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Revoke an API key immediately (Admin only)
+   */
+  static async revokeApiKey(req, res, next) {
+    try {
+      const apiKey = await ApiKey.revoke(req.params.apiKeyId, req.user.userId);
+
+      if (!apiKey) {
+        throw new NotFoundError('Active API key not found');
+      }
+
+      logger.info('API key revoked', {
+        apiKeyId: apiKey.api_key_id,
+        name: apiKey.name,
+        revokedBy: req.user.userId
+      });
+
+      res.json({
+        success: true,
+        message: 'API key revoked',
+        data: { apiKey: formatApiKey(apiKey) }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = ApiKeyController;
@@ -0,0 +1,108 @@
+const AuditLog = require('../models/AuditLog');
+const logger = require('../utils/logger');
+const { generatePagination } = require('../utils/helpers');
+const { NotFoundError } = require('../utils/errorHandler');
+
+/**
+ * Shape an audit_log row for responses
+ * @param {Object} entry - Row from AuditLog
+ * @returns {Object}
+ */
+const formatEntry = entry => ({
+  id: Number(entry.audit_id),
+  position: Number(entry.chain_position),
+  tableName: entry.table_name,
+  recordId: entry.record_id,
+  action: entry.action,
+  before: entry.old_values,
+  after: entry.new_values,
+  changedBy: entry.changed_by === null ? null : {
+    id: entry.changed_by,
+    username: entry.changed_by_username
+  },
+  apiKeyId: entry.api_key_id,
+  ipAddress: entry.ip_address,
+  requestId: entry.request_id,
+  createdAt: entry.created_at,
+  previousHash: entry.prev_hash,
+  hash: entry.row_hash
+});
+
+class AuditLogController {
+  /**
+   * Search the audit trail (Admin and Manager)
+   */
+  static async getAuditLogs(req, res, next) {
+    try {
+      const { page, limit, ...filters } = req.query;
+
+      const { entries, total } = await AuditLog.findAll({
+        ...filters,
+        limit,
+        offset: (page - 1) * limit
+      });
+
+      res.json({
+        success: true,
+        data: {
+          entries: entries.map(formatEntry),
+          pagination: generatePagination(page, limit, total)
+        }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get one audit entry (Admin and Manager)
+   */
+  static async getAuditLogById(req, res, next) {
+    try {
+      const entry = await AuditLog.findById(req.params.auditId);
+
+      if (!entry) {
+        throw new NotFoundError('Audit log entry not found');
+      }
+
+      res.json({
+        success: true,
+        data: { entry: formatEntry(entry) }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Check the audit trail's hash chain for edited or removed entries (Admin and Manager)
+   */
+  static async verifyAuditLog(req, res, next) {
+    try {
+      const result = await AuditLog.verifyChain(req.query.maxProblems);
+
+      if (!result.valid) {
+        logger.error('Audit log chain verification failed', {
+          problems: result.problems.length,
+          firstProblem: result.problems[0],
+          verifiedBy: req.user.userId
+        });
+      }
+
+      res.json({
+        success: true,
+        message: result.valid
+          ? `Audit log intact (${result.entries} entries)`
+          : 'Audit log has been tampered with',
+        data: result
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = AuditLogController;
@@ -1,15 +1,163 @@
+const crypto = require('crypto');
 const bcrypt = require('bcrypt');
-const jwt = require('jsonwebtoken');
 const { query, transaction } = require('../config/database');
 const config = require('../config/environment');
 const logger = require('../utils/logger');
-const { validateEmail, validatePassword } = require('../utils/helpers');
+const Session = require('../models/Session');
+const LoginAttempt = require('../models/LoginAttempt');
+const PasswordReset = require('../models/PasswordReset');
+const TwoFactor = require('../models/TwoFactor');
+const mailer = require('../utils/mailer');
+const { SESSION_REVOKE_REASONS, LOGIN_FAILURE_REASONS, TWO_FACTOR_CHALLENGES } = require('../utils/constants');
+const { provisioningUri } = require('../utils/totp');
+const {
+  hashToken,
+  signAccessToken,
+  signRefreshToken,
+  verifyRefreshToken,
+  signTwoFactorChallenge,
+  verifyTwoFactorChallenge
+} = require('../utils/tokens');
+const {
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError
+} = require('../utils/errorHandler');
+
+/**
+ * Open a login session and issue its first token pair
+ * @param {Object} user - User row (user_id, username, role)
+ * @param {Object} req - Express request, for the device details
+ * @returns {Promise<Object>} { token, refreshToken, refreshTokenExpiresAt }
+ */
+const startSession = async (user, req) => {
+  const sessionId = crypto.randomUUID();
+  const refresh = signRefreshToken(user.user_id, sessionId);
+
+  await Session.create({
+    sessionId,
+    userId: user.user_id,
+    refreshTokenHash: refresh.hash,
+    expiresAt: refresh.expiresAt,
+    userAgent: req.get('User-Agent'),
+    ipAddress: req.ip
+  });
+
+  return {
+    token: signAccessToken(user, sessionId),
+    refreshToken: refresh.token,
+    refreshTokenExpiresAt: refresh.expiresAt
+  };
+};
+
+// Columns needed to authenticate a user and build the login response
+const LOGIN_USER_COLUMNS = `
+  user_id, username, email, password_hash, first_name, last_name, role, is_active, last_login,
+  locked_until, totp_enabled_at
+`;
+
+/**
+ * Load an active user by ID for the later login steps
+ * @param {number} userId - User ID from a challenge token or session
+ * @returns {Promise<Object>} User row
+ * @throws {UnauthorizedError} When the user no longer exists or is inactive
+ */
+const findLoginUser = async (userId) => {
+  const result = await query(
+    `SELECT ${LOGIN_USER_COLUMNS} FROM users WHERE user_id = $1 AND is_active = TRUE`,
+    [userId]
+  );
+
+  if (result.rows.length === 0) {
+    throw new UnauthorizedError('Invalid login challenge');
+  }
+
+  return result.rows[0];
+};
+
+/**
+ * The user enrolling in 2FA: the signed-in user, or the holder of an
+ * enrollment challenge token during login
+ * @param {Object} req - Express request
+ * @returns {number} User ID
+ */
+const enrollingUserId = req => (
+  req.user
+    ? req.user.userId
+    : verifyTwoFactorChallenge(req.body.challengeToken, TWO_FACTOR_CHALLENGES.ENROLL)
+);
+
+/**
+ * Require the current password and a current authenticator code
+ * @param {number} userId - User ID
+ * @param {string} password - Current password
+ * @param {string} code - Authenticator code
+ * @throws {ValidationError}
+ */
+const assertPasswordAndCode = async (userId, password, code) => {
+  const result = await query('SELECT password_hash FROM users WHERE user_id = $1 AND is_active = TRUE', [userId]);
+
+  if (result.rows.length === 0 || !await bcrypt.compare(password, result.rows[0].password_hash)) {
+    throw new ValidationError('Current password is incorrect');
+  }
+
+  if (!await TwoFactor.verify(userId, code)) {
+    throw new ValidationError('Invalid authentication code');
+  }
+};
+
+/**
+ * Finish a login: reset the failure count, open a session and send the tokens
+ * @param {Object} user - User row (LOGIN_USER_COLUMNS)
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} [extra] - Additional fields for the response data
+ */
+const completeLogin = async (user, req, res, extra = {}) => {
+  // Update last login timestamp and start the failure count again
+  const updateLoginQuery = `
+    UPDATE users 
+    SET last_login = NOW(), failed_login_attempts = 0, locked_until = NULL
+    WHERE user_id = $1
+  `;
+  await query(updateLoginQuery, [user.user_id]);
+  await LoginAttempt.record({ username: user.username, userId: user.user_id, ipAddress: req.ip });
+
+  const tokens = await startSession(user, req);
+
+  logger.info('User logged in successfully', {
+    userId: user.user_id,
+    username: user.username,
+    role: user.role,
+    twoFactor: user.totp_enabled_at !== null
+  });
+
+  res.json({
+    success: true,
+    message: 'Login successful',
+    data: {
+      user: {
+        id: user.user_id,
+        username: user.username,
+        email: user.email,
+        firstName: user.first_name,
+        lastName: user.last_name,
+        role: user.role,
+        lastLogin: user.last_login
+      },
+      ...tokens,
+      ...extra
+    }
+  });
+};
 
 class AuthController {
   /**
    * Register a new user
    */
-  static async register(req, res) {
+  static async register(req, res, next) {
     try {
       const { 
         username, 
@@ -18,54 +166,13 @@ class AuthController {
         confirmPassword,
         firstName, 
         lastName, 
-        role = 'technician',
+        role,
         phone 
       } = req.body;
 
-      // Input validation
-      if (!username || !email || !password || !firstName || !lastName) {
-        return res.status(400).json({
-          success: false,
-          message: 'Missing required fields',
-          errors: {
-            required: ['username', 'email', 'password', 'firstName', 'lastName']
-          }
-        });
-      }
-
       // Password confirmation check
       if (password !== confirmPassword) {
-        return res.status(400).json({
-          success: false,
-          message: 'Passwords do not match'
-        });
-      }
-
-      // Validate email format
-      if (!validateEmail(email)) {
-        return res.status(400).json({
-          success: false,
-          message: 'Invalid email format'
-        });
-      }
-
-      // Validate password strength
-      const passwordValidation = validatePassword(password);
-      if (!passwordValidation.isValid) {
-        return res.status(400).json({
-          success: false,
-          message: 'Password does not meet requirements',
-          errors: passwordValidation.errors
-        });
-      }
-
-      // Validate role
-      const validRoles = ['admin', 'pharmacist', 'technician', 'cashier', 'manager'];
-      if (!validRoles.includes(role)) {
-        return res.status(400).json({
-          success: false,
-          message: 'Invalid role specified'
-        });
+        throw new ValidationError('Passwords do not match');
       }
 
       await transaction(async (client) => {
@@ -80,7 +187,7 @@ class AuthController {
         if (existingUser.rows.length > 0) {
           const existing = existingUser.rows[0];
           const field = existing.username === username ? 'username' : 'email';
-          throw new Error(`User with this ${field} already exists`);
+          throw new ConflictError(`User with this ${field} already exists`);
         }
 
         // Hash password
@@ -108,23 +215,10 @@ class AuthController {
         logger.info('New user registered', {
           userId: newUser.user_id,
           username: newUser.username,
-          role: newUser.role
+          role: newUser.role,
+          registeredBy: req.user.userId
         });
 
-        // Generate JWT token
-        const token = jwt.sign(
-          { 
-            userId: newUser.user_id,
-            username: newUser.username,
-            role: newUser.role 
-          },
-          config.jwt.secret,
-          { 
-            expiresIn: config.jwt.expiresIn,
-            issuer: config.jwt.issuer 
-          }
-        );
-
         res.status(201).json({
           success: true,
           message: 'User registered successfully',
@@ -138,38 +232,31 @@ class AuthController {
               role: newUser.role,
               phone: newUser.phone,
               createdAt: newUser.created_at
-            },
-            token
+            }
           }
         });
       });
 
     } catch (error) {
-      logger.error('Registration error:', error.message);
-      res.status(400).json({
-        success: false,
-        message: error.message || 'Registration failed'
-      });
+      next(error);
     }
   }
 
   /**
-   * Login user
+   * Login user. When the account uses two-factor authentication (or its role
+   * requires it) no tokens are issued here; the response carries a challenge
+   * token for the second step instead.
    */
-  static async login(req, res) {
+  static async login(req, res, next) {
     try {
       const { username, password } = req.body;
+      const ipAddress = req.ip;
 
-      if (!username || !password) {
-        return res.status(400).json({
-          success: false,
-          message: 'Username and password are required'
-        });
-      }
+      await LoginAttempt.assertIpNotBlocked(username, ipAddress);
 
       // Find user by username or email
       const userQuery = `
-        SELECT user_id, username, email, password_hash, first_name, last_name, role, is_active, last_login
+        SELECT ${LOGIN_USER_COLUMNS}
         FROM users 
         WHERE (username = $1 OR email = $1) AND is_active = TRUE
       `;
@@ -177,92 +264,250 @@ class AuthController {
       const userResult = await query(userQuery, [username]);
 
       if (userResult.rows.length === 0) {
-        return res.status(401).json({
-          success: false,
-          message: 'Invalid credentials'
-        });
+        await LoginAttempt.record({ username, ipAddress, failureReason: LOGIN_FAILURE_REASONS.UNKNOWN_USER });
+        throw new UnauthorizedError('Invalid credentials');
       }
 
       const user = userResult.rows[0];
+      const attempt = { username, userId: user.user_id, ipAddress };
+
+      await LoginAttempt.assertNotLocked(user, attempt);
 
       // Verify password
       const isPasswordValid = await bcrypt.compare(password, user.password_hash);
 
       if (!isPasswordValid) {
-        logger.warn('Failed login attempt', {
+        await LoginAttempt.reject(
+          attempt,
+          LOGIN_FAILURE_REASONS.INVALID_PASSWORD,
+          new UnauthorizedError('Invalid credentials')
+        );
+      }
+
+      const twoFactorEnabled = user.totp_enabled_at !== null;
+
+      if (twoFactorEnabled || TwoFactor.isRequiredForRole(user.role)) {
+        const challenge = signTwoFactorChallenge(
+          user.user_id,
+          twoFactorEnabled ? TWO_FACTOR_CHALLENGES.VERIFY : TWO_FACTOR_CHALLENGES.ENROLL
+        );
+
+        logger.info('Password accepted, second factor required', {
+          userId: user.user_id,
           username: user.username,
-          ip: req.ip
+          enrollmentRequired: !twoFactorEnabled
         });
 
-        return res.status(401).json({
-          success: false,
-          message: 'Invalid credentials'
+        return res.json({
+          success: true,
+          message: twoFactorEnabled
+            ? 'Enter the code from your authenticator app'
+            : 'Two-factor authentication must be set up before you can sign in',
+          data: {
+            twoFactorRequired: twoFactorEnabled,
+            twoFactorSetupRequired: !twoFactorEnabled,
+            challengeToken: challenge.token,
+            challengeExpiresAt: challenge.expiresAt
+          }
         });
       }
 
-      // Update last login timestamp
-      const updateLoginQuery = `
-        UPDATE users 
-        SET last_login = NOW() 
-        WHERE user_id = $1
-      `;
-      await query(updateLoginQuery, [user.user_id]);
+      await completeLogin(user, req, res);
 
-      // Generate JWT token
-      const token = jwt.sign(
-        { 
-          userId: user.user_id,
-          username: user.username,
-          role: user.role 
-        },
-        config.jwt.secret,
-        { 
-          expiresIn: config.jwt.expiresIn,
-          issuer: config.jwt.issuer 
-        }
-      );
+    } catch (error) {
+      next(error);
+    }
+  }
 
-      logger.info('User logged in successfully', {
-        userId: user.user_id,
-        username: user.username,
-        role: user.role
+  /**
+   * Second login step: exchange the challenge token and an authenticator or
+   * recovery code for a session
+   */
+  static async verifyTwoFactorLogin(req, res, next) {
+    try {
+      const { challengeToken, code, recoveryCode } = req.body;
+      const userId = verifyTwoFactorChallenge(challengeToken, TWO_FACTOR_CHALLENGES.VERIFY);
+      const user = await findLoginUser(userId);
+      const attempt = { username: user.username, userId, ipAddress: req.ip };
+
+      await LoginAttempt.assertIpNotBlocked(user.username, req.ip);
+      await LoginAttempt.assertNotLocked(user, attempt);
+
+      const verified = code
+        ? await TwoFactor.verify(userId, code)
+        : await TwoFactor.useRecoveryCode(userId, recoveryCode);
+
+      if (!verified) {
+        await LoginAttempt.reject(
+          attempt,
+          LOGIN_FAILURE_REASONS.INVALID_SECOND_FACTOR,
+          new UnauthorizedError('Invalid authentication code')
+        );
+      }
+
+      const extra = {};
+      if (recoveryCode) {
+        const { recoveryCodesRemaining } = await TwoFactor.getState(userId);
+        extra.recoveryCodesRemaining = recoveryCodesRemaining;
+        logger.warn('Recovery code used to sign in', { userId, username: user.username, recoveryCodesRemaining });
+      }
+
+      await completeLogin(user, req, res, extra);
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Two-factor status of the current user
+   */
+  static async getTwoFactorStatus(req, res, next) {
+    try {
+      const state = await TwoFactor.getState(req.user.userId);
+
+      if (!state) {
+        throw new NotFoundError('User not found');
+      }
+
+      res.json({
+        success: true,
+        data: {
+          enabled: state.enabled,
+          enabledAt: state.enabledAt,
+          required: TwoFactor.isRequiredForRole(req.user.role),
+          recoveryCodesRemaining: state.enabled ? state.recoveryCodesRemaining : 0
+        }
       });
 
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Start TOTP enrollment: returns a new secret and its otpauth:// URI for the
+   * authenticator app. Used by signed-in users, and during login (with an
+   * enrollment challenge token) by users whose role requires 2FA.
+   */
+  static async setupTwoFactor(req, res, next) {
+    try {
+      const user = await findLoginUser(enrollingUserId(req));
+      const secret = await TwoFactor.beginEnrollment(user.user_id);
+
+      if (!secret) {
+        throw new ConflictError('Two-factor authentication is already enabled');
+      }
+
+      logger.info('Two-factor enrollment started', { userId: user.user_id, username: user.username });
+
       res.json({
         success: true,
-        message: 'Login successful',
+        message: 'Add the key to your authenticator app, then confirm with a code',
         data: {
-          user: {
-            id: user.user_id,
-            username: user.username,
-            email: user.email,
-            firstName: user.first_name,
-            lastName: user.last_name,
-            role: user.role,
-            lastLogin: user.last_login
-          },
-          token
+          secret,
+          otpauthUrl: provisioningUri(secret, user.username)
         }
       });
 
     } catch (error) {
-      logger.error('Login error:', error.message);
-      res.status(500).json({
-        success: false,
-        message: 'Login failed'
+      next(error);
+    }
+  }
+
+  /**
+   * Confirm enrollment with a first code. Returns the recovery codes, which are
+   * shown only this once. During login this also completes the sign-in.
+   */
+  static async enableTwoFactor(req, res, next) {
+    try {
+      const user = await findLoginUser(enrollingUserId(req));
+      const recoveryCodes = await TwoFactor.enable(user.user_id, req.body.code);
+
+      if (!recoveryCodes) {
+        throw new ValidationError('Invalid authentication code, or no two-factor setup is in progress');
+      }
+
+      logger.info('Two-factor authentication enabled', { userId: user.user_id, username: user.username });
+
+      if (!req.user) {
+        return completeLogin(user, req, res, { recoveryCodes });
+      }
+
+      res.json({
+        success: true,
+        message: 'Two-factor authentication enabled. Store the recovery codes somewhere safe.',
+        data: { recoveryCodes }
       });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Turn 2FA off (password and a current code required). Not allowed for roles the policy covers.
+   */
+  static async disableTwoFactor(req, res, next) {
+    try {
+      const { userId, role } = req.user;
+      const { password, code } = req.body;
+
+      if (TwoFactor.isRequiredForRole(role)) {
+        throw new ForbiddenError('Two-factor authentication is required for your role');
+      }
+
+      await assertPasswordAndCode(userId, password, code);
+      await TwoFactor.disable(userId);
+
+      logger.info('Two-factor authentication disabled', { userId, username: req.user.username });
+
+      res.json({
+        success: true,
+        message: 'Two-factor authentication disabled'
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Replace all recovery codes (a current code required)
+   */
+  static async regenerateRecoveryCodes(req, res, next) {
+    try {
+      const { userId } = req.user;
+
+      if (!await TwoFactor.verify(userId, req.body.code)) {
+        throw new ValidationError('Invalid authentication code');
+      }
+
+      const recoveryCodes = await TwoFactor.regenerateRecoveryCodes(userId);
+
+      logger.info('Recovery codes regenerated', { userId, username: req.user.username });
+
+      res.json({
+        success: true,
+        message: 'New recovery codes generated; the previous ones no longer work',
+        data: { recoveryCodes }
+      });
+
+    } catch (error) {
+      next(error);
     }
   }
 
   /**
    * Get current user profile
    */
-  static async getProfile(req, res) {
+  static async getProfile(req, res, next) {
     try {
       const userId = req.user.userId;
 
       const userQuery = `
-        SELECT user_id, username, email, first_name, last_name, role, phone, last_login, created_at, updated_at
+        SELECT user_id, username, email, first_name, last_name, role, phone, last_login, created_at, updated_at,
+               totp_enabled_at IS NOT NULL AS two_factor_enabled
         FROM users 
         WHERE user_id = $1 AND is_active = TRUE
       `;
@@ -270,10 +515,7 @@ class AuthController {
       const result = await query(userQuery, [userId]);
 
       if (result.rows.length === 0) {
-        return res.status(404).json({
-          success: false,
-          message: 'User not found'
-        });
+        throw new NotFoundError('User not found');
       }
 
       const user = result.rows[0];
@@ -290,6 +532,7 @@ class AuthController {
             role: user.role,
             phone: user.phone,
             lastLogin: user.last_login,
+            twoFactorEnabled: user.two_factor_enabled,
             createdAt: user.created_at,
             updatedAt: user.updated_at
           }
@@ -297,30 +540,18 @@ class AuthController {
       });
 
     } catch (error) {
-      logger.error('Get profile error:', error.message);
-      res.status(500).json({
-        success: false,
-        message: 'Failed to retrieve profile'
-      });
+      next(error);
     }
   }
 
   /**
    * Update user profile
    */
-  static async updateProfile(req, res) {
+  static async updateProfile(req, res, next) {
     try {
       const userId = req.user.userId;
       const { firstName, lastName, email, phone } = req.body;
 
-      // Validate email if provided
-      if (email && !validateEmail(email)) {
-        return res.status(400).json({
-          success: false,
-          message: 'Invalid email format'
-        });
-      }
-
       await transaction(async (client) => {
         // Check if email is already taken by another user
         if (email) {
@@ -331,7 +562,7 @@ class AuthController {
           const emailCheck = await client.query(emailCheckQuery, [email, userId]);
 
           if (emailCheck.rows.length > 0) {
-            throw new Error('Email is already taken by another user');
+            throw new ConflictError('Email is already taken by another user');
           }
         }
 
@@ -353,7 +584,7 @@ class AuthController {
         ]);
 
         if (result.rows.length === 0) {
-          throw new Error('User not found or inactive');
+          throw new NotFoundError('User not found or inactive');
         }
 
         const updatedUser = result.rows[0];
@@ -382,44 +613,20 @@ class AuthController {
       });
 
     } catch (error) {
-      logger.error('Update profile error:', error.message);
-      res.status(400).json({
-        success: false,
-        message: error.message || 'Failed to update profile'
-      });
+      next(error);
     }
   }
 
   /**
    * Change password
    */
-  static async changePassword(req, res) {
+  static async changePassword(req, res, next) {
     try {
       const userId = req.user.userId;
       const { currentPassword, newPassword, confirmPassword } = req.body;
 
-      if (!currentPassword || !newPassword || !confirmPassword) {
-        return res.status(400).json({
-          success: false,
-          message: 'All password fields are required'
-        });
-      }
-
       if (newPassword !== confirmPassword) {
-        return res.status(400).json({
-          success: false,
-          message: 'New passwords do not match'
-        });
-      }
-
-      // Validate new password strength
-      const passwordValidation = validatePassword(newPassword);
-      if (!passwordValidation.isValid) {
-        return res.status(400).json({
-          success: false,
-          message: 'New password does not meet requirements',
-          errors: passwordValidation.errors
-        });
+        throw new ValidationError('New passwords do not match');
       }
 
       await transaction(async (client) => {
@@ -431,7 +638,7 @@ class AuthController {
         const userResult = await client.query(userQuery, [userId]);
 
         if (userResult.rows.length === 0) {
-          throw new Error('User not found');
+          throw new NotFoundError('User not found');
         }
 
         const user = userResult.rows[0];
@@ -440,7 +647,7 @@ class AuthController {
         const isCurrentPasswordValid = await bcrypt.compare(currentPassword, user.password_hash);
 
         if (!isCurrentPasswordValid) {
-          throw new Error('Current password is incorrect');
+          throw new ValidationError('Current password is incorrect');
         }
 
         // Hash new password
@@ -454,36 +661,190 @@ class AuthController {
         `;
         await client.query(updateQuery, [newPasswordHash, userId]);
 
+        // Sign out every other device; the session making the change stays open
+        const revokedSessions = await Session.revokeAllForUser(userId, SESSION_REVOKE_REASONS.PASSWORD_CHANGE, {
+          exceptSessionId: req.user.sessionId,
+          client
+        });
+
         logger.info('Password changed successfully', {
           userId: userId,
-          username: req.user.username
+          username: req.user.username,
+          revokedSessions
         });
 
         res.json({
           success: true,
-          message: 'Password changed successfully'
+          message: 'Password changed successfully',
+          data: { revokedSessions }
         });
       });
 
     } catch (error) {
-      logger.error('Change password error:', error.message);
-      res.status(400).json({
-        success: false,
-        message: error.message || 'Failed to change password'
+      next(error);
+    }
+  }
+
+  /**
+   * Start a self-service password reset by emailing a single-use link.
+   * The response is the same whether or not the address belongs to an account.
+   */
+  static async requestPasswordReset(req, res, next) {
+    try {
+      const { email } = req.body;
+
+      const userResult = await query(
+        'SELECT user_id, email, first_name FROM users WHERE LOWER(email) = $1 AND is_active = TRUE',
+        [email]
+      );
+
+      if (userResult.rows.length > 0) {
+        const user = userResult.rows[0];
+        const { token } = await PasswordReset.create(user.user_id, req.ip);
+
+        // Not awaited, so a slow mail server cannot reveal which addresses exist
+        mailer.sendTemplate(config.email.templates.passwordReset, user.email, {
+          firstName: user.first_name,
+          resetUrl: `${config.email.passwordResetUrl}?token=${encodeURIComponent(token)}`,
+          expiresInMinutes: Math.round(config.security.passwordResetTokenTtl / 60000)
+        }).catch((error) => {
+          logger.error('Failed to send password reset email', { userId: user.user_id, error: error.message });
+        });
+
+        logger.info('Password reset requested', { userId: user.user_id, ip: req.ip });
+      } else {
+        logger.info('Password reset requested for unknown email', { ip: req.ip });
+      }
+
+      res.json({
+        success: true,
+        message: 'If an account exists for that email address, a password reset link has been sent'
       });
+
+    } catch (error) {
+      next(error);
     }
   }
 
   /**
-   * Logout user (mainly for token blacklisting if implemented)
+   * Set a new password with a reset token. The token is consumed, any login
+   * lockout is lifted and every existing session is signed out.
    */
-  static async logout(req, res) {
+  static async confirmPasswordReset(req, res, next) {
     try {
-      // In a stateless JWT system, logout is handled client-side
-      // But we can log the logout event for audit purposes
+      const { token, password, confirmPassword } = req.body;
+
+      if (password !== confirmPassword) {
+        throw new ValidationError('Passwords do not match');
+      }
+
+      const passwordHash = await bcrypt.hash(password, config.security.bcryptRounds);
+
+      const { user, revokedSessions } = await transaction(async (client) => {
+        const userId = await PasswordReset.consume(token, client);
+
+        const result = userId && await client.query(
+          `
+            UPDATE users
+            SET password_hash = $1, failed_login_attempts = 0, locked_until = NULL, updated_at = NOW()
+            WHERE user_id = $2 AND is_active = TRUE
+            RETURNING user_id, username
+          `,
+          [passwordHash, userId]
+        );
+
+        if (!result || result.rows.length === 0) {
+          throw new ValidationError('Password reset link is invalid or has expired');
+        }
+
+        await PasswordReset.discardPending(userId, client);
+
+        return {
+          user: result.rows[0],
+          revokedSessions: await Session.revokeAllForUser(userId, SESSION_REVOKE_REASONS.PASSWORD_RESET, { client })
+        };
+      });
+
+      logger.info('Password reset completed', {
+        userId: user.user_id,
+        username: user.username,
+        ip: req.ip,
+        revokedSessions
+      });
+
+      res.json({
+        success: true,
+        message: 'Password has been reset. Please log in with your new password.',
+        data: { revokedSessions }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Exchange a refresh token for a new token pair. The refresh token is
+   * single-use: replaying an old one revokes the whole session.
+   */
+  static async refresh(req, res, next) {
+    try {
+      const { refreshToken } = req.body;
+      const presented = verifyRefreshToken(refreshToken);
+
+      // The replacement keeps the session's original expiry
+      const nextRefresh = signRefreshToken(presented.userId, presented.sessionId, presented.expiresAt);
+      const { session, reuseDetected } = await Session.rotate(presented.sessionId, hashToken(refreshToken), nextRefresh.hash);
+
+      if (reuseDetected) {
+        logger.warn('Refresh token reuse detected; session revoked', {
+          userId: presented.userId,
+          sessionId: presented.sessionId,
+          ip: req.ip
+        });
+      }
+
+      if (!session || session.user_id !== presented.userId) {
+        throw new UnauthorizedError('Session has ended');
+      }
+
+      const userResult = await query(
+        'SELECT user_id, username, role, is_active FROM users WHERE user_id = $1',
+        [session.user_id]
+      );
+      const user = userResult.rows[0];
+
+      if (!user || !user.is_active) {
+        await Session.revoke(session.session_id, SESSION_REVOKE_REASONS.USER_DEACTIVATED);
+        throw new UnauthorizedError('Session has ended');
+      }
+
+      res.json({
+        success: true,
+        message: 'Token refreshed successfully',
+        data: {
+          token: signAccessToken(user, session.session_id),
+          refreshToken: nextRefresh.token,
+          refreshTokenExpiresAt: nextRefresh.expiresAt
+        }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Logout user: end the session the access token belongs to
+   */
+  static async logout(req, res, next) {
+    try {
+      await Session.revoke(req.user.sessionId, SESSION_REVOKE_REASONS.LOGOUT);
+
       logger.info('User logged out', {
         userId: req.user.userId,
-        username: req.user.username
+        username: req.user.username,
+        sessionId: req.user.sessionId
       });
 
       res.json({
@@ -492,18 +853,38 @@ class AuthController {
       });
 
     } catch (error) {
-      logger.error('Logout error:', error.message);
-      res.status(500).json({
-        success: false,
-        message: 'Logout failed'
+      next(error);
+    }
+  }
+
+  /**
+   * Sign out all devices: end every session of the current user, including this one
+   */
+  static async logoutAll(req, res, next) {
+    try {
+      const revokedSessions = await Session.revokeAllForUser(req.user.userId, SESSION_REVOKE_REASONS.LOGOUT_ALL);
+
+      logger.info('User logged out of all sessions', {
+        userId: req.user.userId,
+        username: req.user.username,
+        revokedSessions
       });
+
+      res.json({
+        success: true,
+        message: 'Logged out of all sessions',
+        data: { revokedSessions }
+      });
+
+    } catch (error) {
+      next(error);
     }
   }
 
   /**
    * Verify token (for middleware or client-side verification)
    */
-  static async verifyToken(req, res) {
+  static async verifyToken(req, res, next) {
     try {
       // If we reach here, the token is valid (checked by auth middleware)
       res.json({
@@ -519,11 +900,7 @@ class AuthController {
       });
 
     } catch (error) {
-      logger.error('Token verification error:', error.message);
-      res.status(500).json({
-        success: false,
-        message: 'Token verification failed'
-      });
+      next(error);
     }
   }
 }
@@ -1,31 +1,24 @@
 const { query, transaction } = require('../config/database');
 const logger = require('../utils/logger');
 const { generatePagination } = require('../utils/helpers');
+const { ValidationError, NotFoundError, ConflictError } = require('../utils/errorHandler');
 
 class CategoryController {
   /**
    * Get all categories with pagination and filtering
    */
-  static async getAllCategories(req, res) {
+  static async getAllCategories(req, res, next) {
     try {
       const { 
-        page = 1, 
-        limit = 20, 
+        page, 
+        limit, 
         isActive,
-        includeHierarchy = 'true',
-        sortBy = 'category_name',
-        sortOrder = 'ASC'
+        includeHierarchy,
+        sortBy,
+        sortOrder
       } = req.query;
 
-      // Validate pagination parameters
-      const pageNum = Math.max(1, parseInt(page));
-      const limitNum = Math.min(100, Math.max(1, parseInt(limit)));
-      const offset = (pageNum - 1) * limitNum;
-
-      // Validate sort parameters
-      const allowedSortFields = ['category_name', 'created_at', 'updated_at'];
-      const sortField = allowedSortFields.includes(sortBy) ? sortBy : 'category_name';
-      const sortDir = sortOrder.toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
+      const offset = (page - 1) * limit;
 
       // Build WHERE clause
       let whereClause = 'WHERE 1=1';
@@ -34,7 +27,7 @@ class CategoryController {
 
       if (isActive !== undefined) {
         whereClause += ` AND c.is_active = $${paramIndex}`;
-        queryParams.push(isActive === 'true');
+        queryParams.push(isActive);
         paramIndex++;
       }
 
@@ -64,10 +57,10 @@ class CategoryController {
         FROM categories c
         LEFT JOIN categories pc ON c.parent_category_id = pc.category_id
         ${whereClause}
-        ORDER BY c.${sortField} ${sortDir}
+        ORDER BY c.${sortBy} ${sortOrder}
         LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
       `;
-      queryParams.push(limitNum, offset);
+      queryParams.push(limit, offset);
 
       const categoriesResult = await query(categoriesQuery, queryParams);
 
@@ -85,11 +78,11 @@ class CategoryController {
       }));
 
       // If hierarchy is requested, organize categories in tree structure
-      if (includeHierarchy === 'true') {
+      if (includeHierarchy) {
         categories = buildCategoryHierarchy(categories);
       }
 
-      const pagination = generatePagination(pageNum, limitNum, totalCategories);
+      const pagination = generatePagination(page, limit, totalCategories);
 
       res.json({
         success: true,
@@ -100,28 +93,17 @@ class CategoryController {
       });
 
     } catch (error) {
-      logger.error('Get all categories error:', error.message);
-      res.status(500).json({
-        success: false,
-        message: 'Failed to retrieve categories'
-      });
+      next(error);
     }
   }
 
   /**
    * Get category by ID
    */
-  static async getCategoryById(req, res) {
+  static async getCategoryById(req, res, next) {
     try {
       const { categoryId } = req.params;
-      const { includeProducts = 'false' } = req.query;
-
-      if (!categoryId || isNaN(categoryId)) {
-        return res.status(400).json({
-          success: false,
-          message: 'Valid category ID is required'
-        });
-      }
+      const { includeProducts } = req.query;
 
       const categoryQuery = `
         SELECT 
@@ -144,10 +126,7 @@ class CategoryController {
       const result = await query(categoryQuery, [categoryId]);
 
       if (result.rows.length === 0) {
-        return res.status(404).json({
-          success: false,
-          message: 'Category not found'
-        });
+        throw new NotFoundError('Category not found');
       }
 
       const category = result.rows[0];
@@ -184,7 +163,7 @@ class CategoryController {
       }));
 
       // Include products if requested
-      if (includeProducts === 'true') {
+      if (includeProducts) {
         const productsQuery = `
           SELECT 
             p.product_id, p.product_code, p.product_name, p.brand_name,
@@ -219,18 +198,14 @@ class CategoryController {
       });
 
     } catch (error) {
-      logger.error('Get category by ID error:', error.message);
-      res.status(500).json({
-        success: false,
-        message: 'Failed to retrieve category'
-      });
+      next(error);
     }
   }
 
   /**
    * Create new category
    */
-  static async createCategory(req, res) {
+  static async createCategory(req, res, next) {
     try {
       const {
         categoryName,
@@ -238,21 +213,6 @@ class CategoryController {
         parentCategoryId
       } = req.body;
 
-      // Input validation
-      if (!categoryName || categoryName.trim().length === 0) {
-        return res.status(400).json({
-          success: false,
-          message: 'Category name is required'
-        });
-      }
-
-      if (categoryName.trim().length > 255) {
-        return res.status(400).json({
-          success: false,
-          message: 'Category name must be 255 characters or less'
-        });
-      }
-
       await transaction(async (client) => {
         // Check if category name already exists at the same level
         let nameCheckQuery;
@@ -274,7 +234,7 @@ class CategoryController {
 
         const nameCheckResult = await client.query(nameCheckQuery, nameCheckParams);
         if (nameCheckResult.rows.length > 0) {
-          throw new Error('Category name already exists at this level');
+          throw new ConflictError('Category name already exists at this level');
         }
 
         // Verify parent category exists if provided
@@ -286,7 +246,7 @@ class CategoryController {
           const parentResult = await client.query(parentQuery, [parentCategoryId]);
           
           if (parentResult.rows.length === 0) {
-            throw new Error('Parent category not found or inactive');
+            throw new NotFoundError('Parent category not found or inactive');
           }
 
           // Prevent creating deeply nested categories (max 5 levels)
@@ -306,7 +266,7 @@ class CategoryController {
           const currentDepth = parseInt(depthResult.rows[0].max_level || 0);
 
           if (currentDepth >= 5) {
-            throw new Error('Maximum category depth (5 levels) exceeded');
+            throw new ValidationError('Maximum category depth (5 levels) exceeded');
           }
         }
 
@@ -363,43 +323,25 @@ class CategoryController {
       });
 
     } catch (error) {
-      logger.error('Create category error:', error.message);
-      res.status(400).json({
-        success: false,
-        message: error.message || 'Failed to create category'
-      });
+      next(error);
     }
   }
 
   /**
    * Update category
    */
-  static async updateCategory(req, res) {
+  static async updateCategory(req, res, next) {
     try {
       const { categoryId } = req.params;
       const { categoryName, description, parentCategoryId, isActive } = req.body;
 
-      if (!categoryId || isNaN(categoryId)) {
-        return res.status(400).json({
-          success: false,
-          message: 'Valid category ID is required'
-        });
-      }
-
-      if (categoryName && categoryName.trim().length > 255) {
-        return res.status(400).json({
-          success: false,
-          message: 'Category name must be 255 characters or less'
-        });
-      }
-
       await transaction(async (client) => {
         // Check if category exists
         const categoryExistsQuery = `SELECT category_id, category_name FROM categories WHERE category_id = $1`;
         const categoryExists = await client.query(categoryExistsQuery, [categoryId]);
 
         if (categoryExists.rows.length === 0) {
-          throw new Error('Category not found');
+          throw new NotFoundError('Category not found');
         }
 
         // Check for circular reference if updating parent
@@ -419,7 +361,7 @@ class CategoryController {
           const circularResult = await client.query(circularCheckQuery, [parentCategoryId, categoryId]);
           
           if (circularResult.rows.length > 0) {
-            throw new Error('Cannot set parent category - would create circular reference');
+            throw new ValidationError('Cannot set parent category - would create circular reference');
           }
         }
 
@@ -446,7 +388,7 @@ class CategoryController {
 
           const nameCheckResult = await client.query(nameCheckQuery, nameCheckParams);
           if (nameCheckResult.rows.length > 0) {
-            throw new Error('Category name already exists at this level');
+            throw new ConflictError('Category name already exists at this level');
           }
         }
 
@@ -480,7 +422,7 @@ class CategoryController {
         }
 
         if (updateFields.length === 0) {
-          throw new Error('No fields to update');
+          throw new ValidationError('No fields to update');
         }
 
         updateValues.push(categoryId);
@@ -564,28 +506,17 @@ class CategoryController {
       });
 
     } catch (error) {
-      logger.error('Update category error:', error.message);
-      res.status(400).json({
-        success: false,
-        message: error.message || 'Failed to update category'
-      });
+      next(error);
     }
   }
 
   /**
    * Delete category (soft delete)
    */
-  static async deleteCategory(req, res) {
+  static async deleteCategory(req, res, next) {
     try {
       const { categoryId } = req.params;
-      const { force = 'false' } = req.query;
-
-      if (!categoryId || isNaN(categoryId)) {
-        return res.status(400).json({
-          success: false,
-          message: 'Valid category ID is required'
-        });
-      }
+      const { force } = req.query;
 
       await transaction(async (client) => {
         // Check if category exists
@@ -596,7 +527,7 @@ class CategoryController {
         const categoryExists = await client.query(categoryExistsQuery, [categoryId]);
 
         if (categoryExists.rows.length === 0) {
-          throw new Error('Category not found');
+          throw new NotFoundError('Category not found');
         }
 
         const category = categoryExists.rows[0];
@@ -620,14 +551,14 @@ class CategoryController {
         // Prevent deletion if has active products or subcategories (unless forced)
         if (force !== 'true') {
           if (activeProductsCount > 0) {
-            throw new Error(
+            throw new ConflictError(
               `Cannot delete category with ${activeProductsCount} active products. ` +
               'Move products to another category first or use force=true parameter.'
             );
           }
 
           if (activeSubcategoriesCount > 0) {
-            throw new Error(
+            throw new ConflictError(
               `Cannot delete category with ${activeSubcategoriesCount} active subcategories. ` +
               'Delete or move subcategories first or use force=true parameter.'
             );
@@ -643,7 +574,7 @@ class CategoryController {
         await client.query(deleteQuery, [categoryId]);
 
         // If forced deletion and has products, move them to null category
-        if (force === 'true' && activeProductsCount > 0) {
+        if (force && activeProductsCount > 0) {
           const moveProductsQuery = `
             UPDATE products 
             SET category_id = NULL 
@@ -682,13 +613,13 @@ class CategoryController {
           categoryName: category.category_name,
           hadProducts: activeProductsCount > 0,
           hadSubcategories: activeSubcategoriesCount > 0,
-          forced: force === 'true',
+          forced: force,
           deletedBy: req.user.userId
         });
 
         res.json({
           success: true,
-          message: `Category deleted successfully${force === 'true' ? ' (forced)' : ''}`,
+          message: `Category deleted successfully${force ? ' (forced)' : ''}`,
           data: {
             categoryId: parseInt(categoryId),
             action: 'deleted',
@@ -699,25 +630,21 @@ class CategoryController {
       });
 
     } catch (error) {
-      logger.error('Delete category error:', error.message);
-      res.status(400).json({
-        success: false,
-        message: error.message || 'Failed to delete category'
-      });
+      next(error);
     }
   }
 
   /**
    * Get category hierarchy tree
    */
-  static async getCategoryHierarchy(req, res) {
+  static async getCategoryHierarchy(req, res, next) {
     try {
-      const { rootOnly = 'false', includeInactive = 'false' } = req.query;
+      const { rootOnly, includeInactive } = req.query;
 
       let whereClause = '';
       const queryParams = [];
 
-      if (includeInactive !== 'true') {
+      if (!includeInactive) {
         whereClause = 'WHERE is_active = TRUE';
       }
 
@@ -742,7 +669,7 @@ class CategoryController {
       }));
 
       // Build hierarchy tree
-      const hierarchy = buildCategoryHierarchy(categories, rootOnly === 'true');
+      const hierarchy = buildCategoryHierarchy(categories, rootOnly);
 
       res.json({
         success: true,
@@ -753,18 +680,14 @@ class CategoryController {
       });
 
     } catch (error) {
-      logger.error('Get category hierarchy error:', error.message);
-      res.status(500).json({
-        success: false,
-        message: 'Failed to retrieve category hierarchy'
-      });
+      next(error);
     }
   }
 
   /**
    * Get categories statistics
    */
-  static async getCategoryStatistics(req, res) {
+  static async getCategoryStatistics(req, res, next) {
     try {
       const statsQuery = `
         SELECT 
@@ -819,11 +742,7 @@ class CategoryController {
       });
 
     } catch (error) {
-      logger.error('Get category statistics error:', error.message);
-      res.status(500).json({
-        success: false,
-        message: 'Failed to retrieve category statistics'
-      });
+      next(error);
     }
   }
 }
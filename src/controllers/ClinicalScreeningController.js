@@ -0,0 +1,108 @@
+const ClinicalScreening = require('../models/ClinicalScreening');
+const logger = require('../utils/logger');
+const { generatePagination } = require('../utils/helpers');
+
+/**
+ * Shape an override row for responses
+ * @param {Object} override - Row from ClinicalScreening.findOverrides
+ * @returns {Object}
+ */
+const formatOverride = override => ({
+  id: override.override_id,
+  sale: { id: override.sale_id, saleNumber: override.sale_number },
+  customer: override.customer_id === null ? null : {
+    id: override.customer_id,
+    code: override.customer_code,
+    name: `${override.customer_first_name} ${override.customer_last_name}`
+  },
+  warnings: override.warnings,
+  reason: override.reason,
+  datasetVersion: override.dataset_version,
+  overriddenBy: { id: override.overridden_by, username: override.overridden_by_username },
+  createdAt: override.created_at
+});
+
+class ClinicalScreeningController {
+  /**
+   * Screen products for a customer before they are sold
+   */
+  static async screen(req, res, next) {
+    try {
+      const { customerId, productIds } = req.body;
+
+      const screening = await ClinicalScreening.screen({ customerId, productIds });
+
+      res.json({
+        success: true,
+        data: { screening }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Version and size of the dataset in use
+   */
+  static async getDataset(req, res, next) {
+    try {
+      res.json({
+        success: true,
+        data: { dataset: ClinicalScreening.datasetSummary() }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Reload the dataset from config.pharmacy.clinicalDatasetPath, e.g. after
+   * replacing the file with a newer release
+   */
+  static async reloadDataset(req, res, next) {
+    try {
+      const dataset = ClinicalScreening.loadDataset();
+
+      logger.info('Clinical screening dataset reloaded', { version: dataset.version, reloadedBy: req.user.userId });
+
+      res.json({
+        success: true,
+        message: 'Clinical screening dataset reloaded',
+        data: { dataset }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List sales that went ahead despite severe warnings
+   */
+  static async getOverrides(req, res, next) {
+    try {
+      const { page, limit, ...filters } = req.query;
+
+      const { overrides, total } = await ClinicalScreening.findOverrides({
+        ...filters,
+        limit,
+        offset: (page - 1) * limit
+      });
+
+      res.json({
+        success: true,
+        data: {
+          overrides: overrides.map(formatOverride),
+          pagination: generatePagination(page, limit, total)
+        }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = ClinicalScreeningController;
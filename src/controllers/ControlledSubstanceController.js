@@ -0,0 +1,207 @@
+const ControlledRegister = require('../models/ControlledRegister');
+const Inventory = require('../models/Inventory');
+const logger = require('../utils/logger');
+const { generatePagination } = require('../utils/helpers');
+const { NotFoundError, ValidationError } = require('../utils/errorHandler');
+
+/**
+ * Shape a register row for responses
+ * @param {Object} entry - Row from ControlledRegister.findEntries
+ * @returns {Object}
+ */
+const formatEntry = entry => ({
+  id: Number(entry.entry_id),
+  productId: entry.product_id,
+  productCode: entry.product_code,
+  productName: entry.product_name,
+  inventoryId: entry.inventory_id,
+  batchNumber: entry.batch_number,
+  entryType: entry.entry_type,
+  quantityChange: entry.quantity_change,
+  batchBalance: entry.batch_balance,
+  productBalance: entry.product_balance,
+  referenceType: entry.reference_type,
+  referenceId: entry.reference_id,
+  notes: entry.notes,
+  performedBy: entry.performed_by === null ? null : {
+    id: entry.performed_by,
+    username: entry.performed_by_username
+  },
+  witnessedBy: entry.witnessed_by === null ? null : {
+    id: entry.witnessed_by,
+    username: entry.witnessed_by_username
+  },
+  createdAt: entry.created_at
+});
+
+/**
+ * Shape a physical count for responses
+ * @param {Object} count - Row from ControlledRegister.findCount
+ * @returns {Object}
+ */
+const formatCount = count => ({
+  id: count.count_id,
+  countedAt: count.counted_at,
+  countedBy: { id: count.counted_by, username: count.counted_by_username },
+  witnessedBy: { id: count.witnessed_by, username: count.witnessed_by_username },
+  notes: count.notes,
+  reconciled: count.items.every(item => item.register_variance === 0 && item.system_variance === 0),
+  items: count.items.map(item => ({
+    inventoryId: item.inventory_id,
+    productId: item.product_id,
+    productCode: item.product_code,
+    productName: item.product_name,
+    batchNumber: item.batch_number,
+    countedQuantity: item.counted_quantity,
+    registerBalance: item.register_balance,
+    systemQuantity: item.system_quantity,
+    registerVariance: item.register_variance,
+    systemVariance: item.system_variance
+  }))
+});
+
+class ControlledSubstanceController {
+  /**
+   * Browse the controlled substance register (Admin, Manager and Pharmacist)
+   */
+  static async getRegister(req, res, next) {
+    try {
+      const { page, limit, ...filters } = req.query;
+
+      const { entries, total } = await ControlledRegister.findEntries({
+        ...filters,
+        limit,
+        offset: (page - 1) * limit
+      });
+
+      res.json({
+        success: true,
+        data: {
+          entries: entries.map(formatEntry),
+          pagination: generatePagination(page, limit, total)
+        }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Register balances against stock on hand, per product and batch (Admin, Manager and Pharmacist)
+   */
+  static async getBalances(req, res, next) {
+    try {
+      const products = await ControlledRegister.getBalances(req.query);
+      const unbalanced = products.filter(product => !product.balanced).length;
+
+      res.json({
+        success: true,
+        message: unbalanced === 0
+          ? 'Register balances agree with stock on hand'
+          : `${unbalanced} controlled product(s) do not balance`,
+        data: { balanced: unbalanced === 0, products }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Record the witnessed destruction of controlled stock
+   */
+  static async destroyStock(req, res, next) {
+    try {
+      const { inventoryId, quantity, reason, witness } = req.body;
+      const userId = req.user.userId;
+
+      const inventory = await Inventory.findById(inventoryId);
+      if (!inventory) {
+        throw new NotFoundError(`Inventory record ${inventoryId} not found`);
+      }
+
+      if (!inventory.controlled_substance) {
+        throw new ValidationError(`${inventory.product_name} is not a controlled substance`);
+      }
+
+      const witnessedBy = await ControlledRegister.verifyWitness(witness, userId, req.ip);
+      const updated = await Inventory.destroyStock(inventoryId, quantity, reason, userId, witnessedBy);
+
+      logger.info('Controlled substance destroyed', {
+        inventoryId,
+        productCode: inventory.product_code,
+        quantity,
+        userId,
+        witnessedBy
+      });
+
+      res.status(201).json({
+        success: true,
+        message: `${quantity} units of ${inventory.product_name} recorded as destroyed`,
+        data: { inventory: updated }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Record a witnessed physical count against the register
+   */
+  static async createCount(req, res, next) {
+    try {
+      const { counts, notes, witness } = req.body;
+      const userId = req.user.userId;
+
+      const witnessedBy = await ControlledRegister.verifyWitness(witness, userId, req.ip);
+      const count = formatCount(await ControlledRegister.recordCount({
+        counts,
+        countedBy: userId,
+        witnessedBy,
+        notes
+      }));
+
+      if (!count.reconciled) {
+        logger.warn('Controlled substance count does not reconcile', {
+          countId: count.id,
+          variances: count.items.filter(item => item.registerVariance !== 0 || item.systemVariance !== 0).length,
+          userId
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        message: count.reconciled ? 'Count agrees with the register' : 'Count has variances to investigate',
+        data: { count }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get a physical count with its variances (Admin, Manager and Pharmacist)
+   */
+  static async getCount(req, res, next) {
+    try {
+      const count = await ControlledRegister.findCount(req.params.countId);
+
+      if (!count) {
+        throw new NotFoundError('Count not found');
+      }
+
+      res.json({
+        success: true,
+        data: { count: formatCount(count) }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = ControlledSubstanceController;
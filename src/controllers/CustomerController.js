@@ -1,12 +1,12 @@
 const { query, transaction } = require('../config/database');
 const logger = require('../utils/logger');
-const { validateEmail } = require('../utils/helpers');
+const { NotFoundError, ConflictError } = require('../utils/errorHandler');
 
 class CustomerController {
   /**
    * Register a new customer
    */
-  static async createCustomer(req, res) {
+  static async createCustomer(req, res, next) {
     try {
       const {
         firstName,
@@ -23,37 +23,11 @@ class CustomerController {
         allergies,
         medicalConditions,
         emergencyContactName,
-        emergencyContactPhone
+        emergencyContactPhone,
+        customerGroup,
+        priceListId
       } = req.body;
 
-      // Input validation
-      if (!firstName || !lastName) {
-        return res.status(400).json({
-          success: false,
-          message: 'First name and last name are required'
-        });
-      }
-
-      // Validate email format if provided
-      if (email && !validateEmail(email)) {
-        return res.status(400).json({
-          success: false,
-          message: 'Invalid email format'
-        });
-      }
-
-      // Validate date of birth if provided
-      if (dateOfBirth) {
-        const dob = new Date(dateOfBirth);
-        const today = new Date();
-        if (dob > today) {
-          return res.status(400).json({
-            success: false,
-            message: 'Date of birth cannot be in the future'
-          });
-        }
-      }
-
       await transaction(async (client) => {
         // Check if customer with same phone or email already exists
         if (phone || email) {
@@ -67,7 +41,7 @@ class CustomerController {
           if (duplicateCheck.rows.length > 0) {
             const existing = duplicateCheck.rows[0];
             const field = existing.phone === phone ? 'phone number' : 'email';
-            throw new Error(`Customer with this ${field} already exists`);
+            throw new ConflictError(`Customer with this ${field} already exists`);
           }
         }
 
@@ -76,16 +50,16 @@ class CustomerController {
           INSERT INTO customers (
             first_name, last_name, phone, email, date_of_birth, address, city, state, 
             postal_code, insurance_provider, insurance_id, allergies, medical_conditions,
-            emergency_contact_name, emergency_contact_phone
-          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+            emergency_contact_name, emergency_contact_phone, customer_group, price_list_id
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17)
           RETURNING customer_id, customer_code, first_name, last_name, phone, email, 
-                   date_of_birth, created_at
+                   date_of_birth, customer_group, price_list_id, created_at
         `;
 
         const result = await client.query(insertCustomerQuery, [
           firstName, lastName, phone, email, dateOfBirth, address, city, state,
           postalCode, insuranceProvider, insuranceId, allergies, medicalConditions,
-          emergencyContactName, emergencyContactPhone
+          emergencyContactName, emergencyContactPhone, customerGroup, priceListId
         ]);
 
         const newCustomer = result.rows[0];
@@ -109,6 +83,8 @@ class CustomerController {
               phone: newCustomer.phone,
               email: newCustomer.email,
               dateOfBirth: newCustomer.date_of_birth,
+              customerGroup: newCustomer.customer_group,
+              priceListId: newCustomer.price_list_id,
               createdAt: newCustomer.created_at
             }
           }
@@ -116,18 +92,14 @@ class CustomerController {
       });
 
     } catch (error) {
-      logger.error('Create customer error:', error.message);
-      res.status(400).json({
-        success: false,
-        message: error.message || 'Failed to create customer'
-      });
+      next(error);
     }
   }
 
   /**
    * Get customer by ID with full profile
    */
-  static async getCustomerById(req, res) {
+  static async getCustomerById(req, res, next) {
     try {
       const { customerId } = req.params;
 
@@ -136,7 +108,7 @@ class CustomerController {
           customer_id, customer_code, first_name, last_name, phone, email, 
           date_of_birth, address, city, state, postal_code, insurance_provider, 
           insurance_id, allergies, medical_conditions, emergency_contact_name, 
-          emergency_contact_phone, is_active, created_at, updated_at
+          emergency_contact_phone, customer_group, price_list_id, is_active, created_at, updated_at
         FROM customers 
         WHERE customer_id = $1
       `;
@@ -144,10 +116,7 @@ class CustomerController {
       const customerResult = await query(customerQuery, [customerId]);
 
       if (customerResult.rows.length === 0) {
-        return res.status(404).json({
-          success: false,
-          message: 'Customer not found'
-        });
+        throw new NotFoundError('Customer not found');
       }
 
       const customer = customerResult.rows[0];
@@ -195,6 +164,8 @@ class CustomerController {
               name: customer.emergency_contact_name,
               phone: customer.emergency_contact_phone
             },
+            customerGroup: customer.customer_group,
+            priceListId: customer.price_list_id,
             purchaseHistory: {
               totalPurchases: parseInt(stats.total_purchases),
               totalSpent: parseFloat(stats.total_spent || 0),
@@ -208,24 +179,20 @@ class CustomerController {
       });
 
     } catch (error) {
-      logger.error('Get customer error:', error.message);
-      res.status(500).json({
-        success: false,
-        message: 'Failed to retrieve customer'
-      });
+      next(error);
     }
   }
 
   /**
    * Get customers list with pagination and search
    */
-  static async getCustomers(req, res) {
+  static async getCustomers(req, res, next) {
     try {
       const {
-        page = 1,
-        limit = 20,
+        page,
+        limit,
         search,
-        isActive = 'true',
+        isActive,
         hasInsurance,
         city,
         state
@@ -255,9 +222,9 @@ class CustomerController {
         paramCounter++;
       }
 
-      if (hasInsurance === 'true') {
+      if (hasInsurance === true) {
         whereClause += ` AND insurance_provider IS NOT NULL`;
-      } else if (hasInsurance === 'false') {
+      } else if (hasInsurance === false) {
         whereClause += ` AND insurance_provider IS NULL`;
       }
 
@@ -335,18 +302,14 @@ class CustomerController {
       });
 
     } catch (error) {
-      logger.error('Get customers error:', error.message);
-      res.status(500).json({
-        success: false,
-        message: 'Failed to retrieve customers'
-      });
+      next(error);
     }
   }
 
   /**
    * Update customer information
    */
-  static async updateCustomer(req, res) {
+  static async updateCustomer(req, res, next) {
     try {
       const { customerId } = req.params;
       const {
@@ -364,36 +327,18 @@ class CustomerController {
         allergies,
         medicalConditions,
         emergencyContactName,
-        emergencyContactPhone
+        emergencyContactPhone,
+        customerGroup,
+        priceListId
       } = req.body;
 
-      // Validate email format if provided
-      if (email && !validateEmail(email)) {
-        return res.status(400).json({
-          success: false,
-          message: 'Invalid email format'
-        });
-      }
-
-      // Validate date of birth if provided
-      if (dateOfBirth) {
-        const dob = new Date(dateOfBirth);
-        const today = new Date();
-        if (dob > today) {
-          return res.status(400).json({
-            success: false,
-            message: 'Date of birth cannot be in the future'
-          });
-        }
-      }
-
       await transaction(async (client) => {
         // Check if customer exists
         const existsQuery = `SELECT customer_id FROM customers WHERE customer_id = $1`;
         const existsResult = await client.query(existsQuery, [customerId]);
 
         if (existsResult.rows.length === 0) {
-          throw new Error('Customer not found');
+          throw new NotFoundError('Customer not found');
         }
 
         // Check for duplicate phone or email (excluding current customer)
@@ -411,7 +356,7 @@ class CustomerController {
           if (duplicateCheck.rows.length > 0) {
             const existing = duplicateCheck.rows[0];
             const field = existing.phone === phone ? 'phone number' : 'email';
-            throw new Error(`Another customer with this ${field} already exists`);
+            throw new ConflictError(`Another customer with this ${field} already exists`);
           }
         }
 
@@ -434,17 +379,19 @@ class CustomerController {
             medical_conditions = COALESCE($13, medical_conditions),
             emergency_contact_name = COALESCE($14, emergency_contact_name),
             emergency_contact_phone = COALESCE($15, emergency_contact_phone),
+            customer_group = COALESCE($16, customer_group),
+            price_list_id = COALESCE($17, price_list_id),
             updated_at = NOW()
-          WHERE customer_id = $16
+          WHERE customer_id = $18
           RETURNING customer_id, customer_code, first_name, last_name, phone, email, 
                    date_of_birth, address, city, state, postal_code, insurance_provider, 
-                   insurance_id, updated_at
+                   insurance_id, customer_group, price_list_id, updated_at
         `;
 
         const result = await client.query(updateQuery, [
           firstName, lastName, phone, email, dateOfBirth, address, city, state,
           postalCode, insuranceProvider, insuranceId, allergies, medicalConditions,
-          emergencyContactName, emergencyContactPhone, customerId
+          emergencyContactName, emergencyContactPhone, customerGroup, priceListId, customerId
         ]);
 
         const updatedCustomer = result.rows[0];
@@ -477,6 +424,8 @@ class CustomerController {
                 provider: updatedCustomer.insurance_provider,
                 id: updatedCustomer.insurance_id
               },
+              customerGroup: updatedCustomer.customer_group,
+              priceListId: updatedCustomer.price_list_id,
               updatedAt: updatedCustomer.updated_at
             }
           }
@@ -484,29 +433,18 @@ class CustomerController {
       });
 
     } catch (error) {
-      logger.error('Update customer error:', error.message);
-      res.status(400).json({
-        success: false,
-        message: error.message || 'Failed to update customer'
-      });
+      next(error);
     }
   }
 
   /**
    * Deactivate/reactivate customer
    */
-  static async toggleCustomerStatus(req, res) {
+  static async toggleCustomerStatus(req, res, next) {
     try {
       const { customerId } = req.params;
       const { isActive, reason } = req.body;
 
-      if (typeof isActive !== 'boolean') {
-        return res.status(400).json({
-          success: false,
-          message: 'isActive must be a boolean value'
-        });
-      }
-
       await transaction(async (client) => {
         // Check if customer exists
         const customerQuery = `
@@ -517,14 +455,14 @@ class CustomerController {
         const customerResult = await client.query(customerQuery, [customerId]);
 
         if (customerResult.rows.length === 0) {
-          throw new Error('Customer not found');
+          throw new NotFoundError('Customer not found');
         }
 
         const customer = customerResult.rows[0];
 
         if (customer.is_active === isActive) {
           const action = isActive ? 'already active' : 'already inactive';
-          throw new Error(`Customer is ${action}`);
+          throw new ConflictError(`Customer is ${action}`);
         }
 
         // Update customer status
@@ -558,115 +496,17 @@ class CustomerController {
       });
 
     } catch (error) {
-      logger.error('Toggle customer status error:', error.message);
-      res.status(400).json({
-        success: false,
-        message: error.message || 'Failed to update customer status'
-      });
-    }
-  }
-
-  /**
-   * Get customer's prescription history
-   */
-  static async getCustomerPrescriptions(req, res) {
-    try {
-      const { customerId } = req.params;
-      const { page = 1, limit = 10, startDate, endDate } = req.query;
-
-      const offset = (page - 1) * limit;
-      const queryParams = [customerId];
-      let whereClause = 'WHERE s.customer_id = $1 AND s.prescription_number IS NOT NULL';
-      let paramCounter = 2;
-
-      if (startDate) {
-        whereClause += ` AND s.sale_date >= $${paramCounter}`;
-        queryParams.push(startDate);
-        paramCounter++;
-      }
-
-      if (endDate) {
-        whereClause += ` AND s.sale_date <= $${paramCounter}`;
-        queryParams.push(endDate + ' 23:59:59');
-        paramCounter++;
-      }
-
-      // Get total count
-      const countQuery = `
-        SELECT COUNT(*) as total
-        FROM sales s
-        ${whereClause}
-      `;
-
-      const countResult = await query(countQuery, queryParams);
-      const total = parseInt(countResult.rows[0].total);
-
-      // Get prescriptions
-      const prescriptionsQuery = `
-        SELECT 
-          s.sale_id, s.sale_number, s.sale_date, s.prescription_number, 
-          s.doctor_name, s.total_amount, s.insurance_claim_amount,
-          s.customer_payment_amount, s.payment_status,
-          STRING_AGG(
-            DISTINCT CONCAT(p.product_name, ' (', si.quantity, ')'), 
-            ', ' ORDER BY p.product_name
-          ) as medications
-        FROM sales s
-        JOIN sale_items si ON s.sale_id = si.sale_id
-        JOIN products p ON si.product_id = p.product_id
-        ${whereClause}
-        GROUP BY s.sale_id
-        ORDER BY s.sale_date DESC
-        LIMIT $${paramCounter} OFFSET $${paramCounter + 1}
-      `;
-
-      queryParams.push(limit, offset);
-      const prescriptionsResult = await query(prescriptionsQuery, queryParams);
-
-      const totalPages = Math.ceil(total / limit);
-
-      res.json({
-        success: true,
-        data: {
-          prescriptions: prescriptionsResult.rows.map(prescription => ({
-            saleId: prescription.sale_id,
-            saleNumber: prescription.sale_number,
-            prescriptionNumber: prescription.prescription_number,
-            saleDate: prescription.sale_date,
-            doctorName: prescription.doctor_name,
-            medications: prescription.medications,
-            totalAmount: parseFloat(prescription.total_amount),
-            insuranceClaimAmount: parseFloat(prescription.insurance_claim_amount),
-            customerPaymentAmount: parseFloat(prescription.customer_payment_amount),
-            paymentStatus: prescription.payment_status
-          })),
-          pagination: {
-            currentPage: parseInt(page),
-            totalPages,
-            totalItems: total,
-            itemsPerPage: parseInt(limit),
-            hasNextPage: page < totalPages,
-            hasPrevPage: page > 1
-          }
-        }
-      });
-
-    } catch (error) {
-      logger.error('Get customer prescriptions error:', error.message);
-      res.status(500).json({
-        success: false,
-        message: 'Failed to retrieve prescription history'
-      });
+      next(error);
     }
   }
 
   /**
    * Get customer's purchase history
    */
-  static async getCustomerPurchaseHistory(req, res) {
+  static async getCustomerPurchaseHistory(req, res, next) {
     try {
       const { customerId } = req.params;
-      const { page = 1, limit = 10, startDate, endDate } = req.query;
+      const { page, limit, startDate, endDate } = req.query;
 
       const offset = (page - 1) * limit;
       const queryParams = [customerId];
@@ -750,27 +590,16 @@ class CustomerController {
       });
 
     } catch (error) {
-      logger.error('Get customer purchase history error:', error.message);
-      res.status(500).json({
-        success: false,
-        message: 'Failed to retrieve purchase history'
-      });
+      next(error);
     }
   }
 
   /**
    * Search customers (for quick lookup during sales)
    */
-  static async searchCustomers(req, res) {
+  static async searchCustomers(req, res, next) {
     try {
-      const { q, limit = 10 } = req.query;
-
-      if (!q || q.trim().length < 2) {
-        return res.status(400).json({
-          success: false,
-          message: 'Search query must be at least 2 characters'
-        });
-      }
+      const { q, limit } = req.query;
 
       const searchQuery = `
         SELECT 
@@ -796,7 +625,7 @@ class CustomerController {
         LIMIT $2
       `;
 
-      const searchTerm = `%${q.trim()}%`;
+      const searchTerm = `%${q}%`;
       const result = await query(searchQuery, [searchTerm, limit]);
 
       res.json({
@@ -819,11 +648,7 @@ class CustomerController {
       });
 
     } catch (error) {
-      logger.error('Search customers error:', error.message);
-      res.status(500).json({
-        success: false,
-        message: 'Failed to search customers'
-      });
+      next(error);
     }
   }
 }
@@ -1,7 +1,7 @@
 // controllers/inventoryController.js
 const Inventory = require('../models/Inventory');
 const Product = require('../models/Product');
-const { validateInventoryData, validatePagination } = require('../utils/validation');
+const ControlledRegister = require('../models/ControlledRegister');
 const { handleError, ApiError } = require('../utils/errorHandler');
 const logger = require('../utils/logger');
 
@@ -9,15 +9,13 @@ class InventoryController {
     // Create new inventory record
     static async createInventory(req, res, next) {
         try {
-            const validatedData = validateInventoryData(req.body);
-            
             // Verify product exists
-            const product = await Product.findById(validatedData.product_id);
+            const product = await Product.findById(req.body.product_id);
             if (!product) {
                 throw new ApiError('Product not found', 404);
             }
 
-            const inventory = await Inventory.create(validatedData);
+            const inventory = await Inventory.create(req.body, req.user?.user_id);
             
             logger.info(`Inventory created: ${inventory.inventory_id}`, {
                 userId: req.user?.user_id,
@@ -38,20 +36,8 @@ class InventoryController {
     // Get all inventory
     static async getAllInventory(req, res, next) {
         try {
-            const pagination = validatePagination(req.query);
-            const filters = {
-                product_id: req.query.product_id ? parseInt(req.query.product_id) : undefined,
-                supplier_id: req.query.supplier_id ? parseInt(req.query.supplier_id) : undefined,
-                batch_number: req.query.batch_number,
-                location: req.query.location,
-                expiry_within_days: req.query.expiry_within_days ? parseInt(req.query.expiry_within_days) : undefined,
-                status: req.query.status
-            };
-
-            // Remove undefined values
-            Object.keys(filters).forEach(key => {
-                if (filters[key] === undefined) delete filters[key];
-            });
+            const { page, limit, ...filters } = req.query;
+            const pagination = { page, limit };
 
             const result = await Inventory.findAll(filters, pagination);
 
@@ -73,12 +59,7 @@ class InventoryController {
     // Get inventory by ID
     static async getInventoryById(req, res, next) {
         try {
-            const { id } = req.params;
-            const inventoryId = parseInt(id);
-
-            if (!inventoryId || inventoryId <= 0) {
-                throw new ApiError('Invalid inventory ID', 400);
-            }
+            const { id: inventoryId } = req.params;
 
             const inventory = await Inventory.findById(inventoryId);
             if (!inventory) {
@@ -97,19 +78,11 @@ class InventoryController {
     // Update inventory quantity
     static async updateInventoryQuantity(req, res, next) {
         try {
-            const { id } = req.params;
-            const { quantity, reason } = req.body;
-            const inventoryId = parseInt(id);
-
-            if (!inventoryId || inventoryId <= 0) {
-                throw new ApiError('Invalid inventory ID', 400);
-            }
+            const { id: inventoryId } = req.params;
+            const { quantity, reason, witness } = req.body;
 
-            if (typeof quantity !== 'number' || quantity < 0) {
-                throw new ApiError('Quantity must be a non-negative number', 400);
-            }
-
-            const updatedInventory = await Inventory.updateQuantity(inventoryId, quantity, reason);
+            const witnessedBy = await ControlledRegister.verifyWitness(witness, req.user?.user_id, req.ip);
+            const updatedInventory = await Inventory.updateQuantity(inventoryId, quantity, reason, req.user?.user_id, witnessedBy);
 
             logger.info(`Inventory quantity updated: ${inventoryId}`, {
                 userId: req.user?.user_id,
@@ -130,17 +103,8 @@ class InventoryController {
     // Reserve inventory
     static async reserveInventory(req, res, next) {
         try {
-            const { id } = req.params;
+            const { id: inventoryId } = req.params;
             const { quantity } = req.body;
-            const inventoryId = parseInt(id);
-
-            if (!inventoryId || inventoryId <= 0) {
-                throw new ApiError('Invalid inventory ID', 400);
-            }
-
-            if (!quantity || quantity <= 0) {
-                throw new ApiError('Quantity must be a positive number', 400);
-            }
 
             const reservedInventory = await Inventory.reserveQuantity(inventoryId, quantity);
 
@@ -162,17 +126,8 @@ class InventoryController {
     // Release reserved inventory
     static async releaseReservedInventory(req, res, next) {
         try {
-            const { id } = req.params;
+            const { id: inventoryId } = req.params;
             const { quantity } = req.body;
-            const inventoryId = parseInt(id);
-
-            if (!inventoryId || inventoryId <= 0) {
-                throw new ApiError('Invalid inventory ID', 400);
-            }
-
-            if (!quantity || quantity <= 0) {
-                throw new ApiError('Quantity must be a positive number', 400);
-            }
 
             const updatedInventory = await Inventory.releaseReservedQuantity(inventoryId, quantity);
 
@@ -195,13 +150,8 @@ class InventoryController {
     static async getStockLevel(req, res, next) {
         try {
             const { productId } = req.params;
-            const id = parseInt(productId);
-
-            if (!id || id <= 0) {
-                throw new ApiError('Invalid product ID', 400);
-            }
 
-            const stockLevel = await Inventory.getStockLevel(id);
+            const stockLevel = await Inventory.getStockLevel(productId);
             if (!stockLevel) {
                 throw new ApiError('Product not found', 404);
             }
@@ -218,11 +168,7 @@ class InventoryController {
     // Get expiring inventory
     static async getExpiringInventory(req, res, next) {
         try {
-            const daysAhead = req.query.days ? parseInt(req.query.days) : 90;
-            
-            if (daysAhead < 1 || daysAhead > 365) {
-                throw new ApiError('Days ahead must be between 1 and 365', 400);
-            }
+            const { days: daysAhead } = req.query;
 
             const expiringInventory = await Inventory.getExpiringInventory(daysAhead);
 
@@ -259,20 +205,10 @@ class InventoryController {
     // Update inventory status
     static async updateInventoryStatus(req, res, next) {
         try {
-            const { id } = req.params;
+            const { id: inventoryId } = req.params;
             const { status, reason } = req.body;
-            const inventoryId = parseInt(id);
 
-            if (!inventoryId || inventoryId <= 0) {
-                throw new ApiError('Invalid inventory ID', 400);
-            }
-
-            const validStatuses = ['active', 'expired', 'damaged', 'recalled'];
-            if (!validStatuses.includes(status)) {
-                throw new ApiError(`Status must be one of: ${validStatuses.join(', ')}`, 400);
-            }
-
-            const updatedInventory = await Inventory.updateStatus(inventoryId, status, reason);
+            const updatedInventory = await Inventory.updateStatus(inventoryId, status, reason, req.user?.user_id);
 
             logger.info(`Inventory status updated: ${inventoryId}`, {
                 userId: req.user?.user_id,
@@ -293,12 +229,7 @@ class InventoryController {
     // Get movement history
     static async getMovementHistory(req, res, next) {
         try {
-            const { id } = req.params;
-            const inventoryId = parseInt(id);
-
-            if (!inventoryId || inventoryId <= 0) {
-                throw new ApiError('Invalid inventory ID', 400);
-            }
+            const { id: inventoryId } = req.params;
 
             const movements = await Inventory.getMovementHistory(inventoryId);
 
@@ -317,32 +248,10 @@ class InventoryController {
     // Bulk update inventory quantities
     static async bulkUpdateQuantities(req, res, next) {
         try {
-            const { updates } = req.body;
-
-            if (!Array.isArray(updates) || updates.length === 0) {
-                throw new ApiError('Updates array is required', 400);
-            }
-
-            if (updates.length > 100) {
-                throw new ApiError('Cannot update more than 100 inventory records at once', 400);
-            }
-
-            // Validate all updates
-            const validatedUpdates = updates.map((update, index) => {
-                const { inventory_id, new_quantity, reason } = update;
-
-                if (!inventory_id || inventory_id <= 0) {
-                    throw new ApiError(`Update at index ${index}: Invalid inventory ID`, 400);
-                }
-
-                if (typeof new_quantity !== 'number' || new_quantity < 0) {
-                    throw new ApiError(`Update at index ${index}: Quantity must be a non-negative number`, 400);
-                }
-
-                return { inventory_id, new_quantity, reason: reason || 'Bulk update' };
-            });
+            const { updates, witness } = req.body;
 
-            const updatedInventory = await Inventory.bulkUpdateQuantities(validatedUpdates);
+            const witnessedBy = await ControlledRegister.verifyWitness(witness, req.user?.user_id, req.ip);
+            const updatedInventory = await Inventory.bulkUpdateQuantities(updates, req.user?.user_id, witnessedBy);
 
             logger.info(`Bulk updated ${updatedInventory.length} inventory records`, {
                 userId: req.user?.user_id,
@@ -362,21 +271,8 @@ class InventoryController {
     // Inventory adjustment
     static async inventoryAdjustment(req, res, next) {
         try {
-            const { id } = req.params;
-            const { adjustment_quantity, reason } = req.body;
-            const inventoryId = parseInt(id);
-
-            if (!inventoryId || inventoryId <= 0) {
-                throw new ApiError('Invalid inventory ID', 400);
-            }
-
-            if (typeof adjustment_quantity !== 'number') {
-                throw new ApiError('Adjustment quantity must be a number', 400);
-            }
-
-            if (!reason || reason.trim().length === 0) {
-                throw new ApiError('Reason is required for inventory adjustments', 400);
-            }
+            const { id: inventoryId } = req.params;
+            const { adjustment_quantity, reason, witness } = req.body;
 
             // Get current inventory
             const currentInventory = await Inventory.findById(inventoryId);
@@ -384,8 +280,13 @@ class InventoryController {
                 throw new ApiError('Inventory record not found', 404);
             }
 
-            const newQuantity = Math.max(0, currentInventory.quantity_on_hand + adjustment_quantity);
-            const updatedInventory = await Inventory.updateQuantity(inventoryId, newQuantity, reason);
+            const newQuantity = currentInventory.quantity_on_hand + adjustment_quantity;
+            if (newQuantity < 0) {
+                throw new ApiError(`Cannot reduce quantity by ${Math.abs(adjustment_quantity)}. Available: ${currentInventory.quantity_on_hand}`, 400);
+            }
+
+            const witnessedBy = await ControlledRegister.verifyWitness(witness, req.user?.user_id, req.ip);
+            const updatedInventory = await Inventory.updateQuantity(inventoryId, newQuantity, reason, req.user?.user_id, witnessedBy);
 
             logger.info(`Inventory adjustment: ${inventoryId}`, {
                 userId: req.user?.user_id,
@@ -2,28 +2,26 @@ const { query, transaction } = require('../config/database');
 const config = require('../config/environment');
 const logger = require('../utils/logger');
 const { generatePagination } = require('../utils/helpers');
+const { NotFoundError } = require('../utils/errorHandler');
 
 class NotificationController {
   /**
    * Get user notifications with pagination and filtering
    */
-  static async getUserNotifications(req, res) {
+  static async getUserNotifications(req, res, next) {
     try {
       const userId = req.user.userId;
       const { 
-        page = 1, 
-        limit = 20, 
+        page, 
+        limit, 
         type,
         isRead,
         priority,
-        sortBy = 'created_at',
-        sortOrder = 'DESC'
+        sortBy,
+        sortOrder
       } = req.query;
 
-      // Validate pagination parameters
-      const pageNum = Math.max(1, parseInt(page));
-      const limitNum = Math.min(100, Math.max(1, parseInt(limit)));
-      const offset = (pageNum - 1) * limitNum;
+      const offset = (page - 1) * limit;
 
       // Build WHERE clause for notifications
       let whereClause = 'WHERE (n.user_id = $1 OR n.user_id IS NULL)';
@@ -38,7 +36,7 @@ class NotificationController {
 
       if (isRead !== undefined) {
         whereClause += ` AND n.is_read = $${paramIndex}`;
-        queryParams.push(isRead === 'true');
+        queryParams.push(isRead);
         paramIndex++;
       }
 
@@ -48,11 +46,6 @@ class NotificationController {
         paramIndex++;
       }
 
-      // Validate sort parameters
-      const allowedSortFields = ['created_at', 'priority', 'notification_type'];
-      const sortField = allowedSortFields.includes(sortBy) ? sortBy : 'created_at';
-      const sortDir = sortOrder.toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
-
       // Get total count
       const countQuery = `
         SELECT COUNT(*) as total 
@@ -84,14 +77,14 @@ class NotificationController {
           CASE WHEN n.priority = 'high' THEN 1 
                WHEN n.priority = 'medium' THEN 2 
                ELSE 3 END,
-          n.${sortField} ${sortDir}
+          n.${sortBy} ${sortOrder}
         LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
       `;
-      queryParams.push(limitNum, offset);
+      queryParams.push(limit, offset);
 
       const notificationsResult = await query(notificationsQuery, queryParams);
 
-      const pagination = generatePagination(pageNum, limitNum, totalNotifications);
+      const pagination = generatePagination(page, limit, totalNotifications);
 
       res.json({
         success: true,
@@ -116,29 +109,18 @@ class NotificationController {
       });
 
     } catch (error) {
-      logger.error('Get user notifications error:', error.message);
-      res.status(500).json({
-        success: false,
-        message: 'Failed to retrieve notifications'
-      });
+      next(error);
     }
   }
 
   /**
    * Mark notification as read
    */
-  static async markAsRead(req, res) {
+  static async markAsRead(req, res, next) {
     try {
       const { notificationId } = req.params;
       const userId = req.user.userId;
 
-      if (!notificationId || isNaN(notificationId)) {
-        return res.status(400).json({
-          success: false,
-          message: 'Valid notification ID is required'
-        });
-      }
-
       await transaction(async (client) => {
         // Check if notification exists and belongs to user or is global
         const notificationQuery = `
@@ -149,7 +131,7 @@ class NotificationController {
         const notificationResult = await client.query(notificationQuery, [notificationId, userId]);
 
         if (notificationResult.rows.length === 0) {
-          throw new Error('Notification not found');
+          throw new NotFoundError('Notification not found');
         }
 
         const notification = notificationResult.rows[0];
@@ -186,18 +168,14 @@ class NotificationController {
       });
 
     } catch (error) {
-      logger.error('Mark notification as read error:', error.message);
-      res.status(400).json({
-        success: false,
-        message: error.message || 'Failed to mark notification as read'
-      });
+      next(error);
     }
   }
 
   /**
    * Mark all notifications as read for user
    */
-  static async markAllAsRead(req, res) {
+  static async markAllAsRead(req, res, next) {
     try {
       const userId = req.user.userId;
       const { type } = req.query;
@@ -237,18 +215,14 @@ class NotificationController {
       });
 
     } catch (error) {
-      logger.error('Mark all notifications as read error:', error.message);
-      res.status(500).json({
-        success: false,
-        message: 'Failed to mark notifications as read'
-      });
+      next(error);
     }
   }
 
   /**
    * Get notification statistics
    */
-  static async getNotificationStats(req, res) {
+  static async getNotificationStats(req, res, next) {
     try {
       const userId = req.user.userId;
 
@@ -284,45 +258,25 @@ class NotificationController {
       });
 
     } catch (error) {
-      logger.error('Get notification stats error:', error.message);
-      res.status(500).json({
-        success: false,
-        message: 'Failed to retrieve notification statistics'
-      });
+      next(error);
     }
   }
 
   /**
    * Create system notification (admin only)
    */
-  static async createSystemNotification(req, res) {
+  static async createSystemNotification(req, res, next) {
     try {
       const {
         title,
         message,
-        priority = 'medium',
-        notificationType = 'system_alert',
+        priority,
+        notificationType,
         targetUserId,
         data,
         expiresAt
       } = req.body;
 
-      // Input validation
-      if (!title || !message) {
-        return res.status(400).json({
-          success: false,
-          message: 'Title and message are required'
-        });
-      }
-
-      const validPriorities = ['low', 'medium', 'high'];
-      if (!validPriorities.includes(priority)) {
-        return res.status(400).json({
-          success: false,
-          message: 'Priority must be low, medium, or high'
-        });
-      }
-
       await transaction(async (client) => {
         // If targetUserId is specified, verify user exists
         if (targetUserId) {
@@ -330,7 +284,7 @@ class NotificationController {
           const userResult = await client.query(userQuery, [targetUserId]);
           
           if (userResult.rows.length === 0) {
-            throw new Error('Target user not found or inactive');
+            throw new NotFoundError('Target user not found or inactive');
           }
         }
 
@@ -376,20 +330,16 @@ class NotificationController {
       });
 
     } catch (error) {
-      logger.error('Create system notification error:', error.message);
-      res.status(400).json({
-        success: false,
-        message: error.message || 'Failed to create system notification'
-      });
+      next(error);
     }
   }
 
   /**
    * Generate expiration alerts
    */
-  static async generateExpirationAlerts(req, res) {
+  static async generateExpirationAlerts(req, res, next) {
     try {
-      const { force = false } = req.query;
+      const { force } = req.query;
 
       await transaction(async (client) => {
         // Get expiring products that haven't been notified recently
@@ -482,20 +432,16 @@ class NotificationController {
       });
 
     } catch (error) {
-      logger.error('Generate expiration alerts error:', error.message);
-      res.status(500).json({
-        success: false,
-        message: 'Failed to generate expiration alerts'
-      });
+      next(error);
     }
   }
 
   /**
    * Generate low stock alerts
    */
-  static async generateLowStockAlerts(req, res) {
+  static async generateLowStockAlerts(req, res, next) {
     try {
-      const { force = false } = req.query;
+      const { force } = req.query;
 
       await transaction(async (client) => {
         // Get low stock products that haven't been notified recently
@@ -581,34 +527,23 @@ class NotificationController {
       });
 
     } catch (error) {
-      logger.error('Generate low stock alerts error:', error.message);
-      res.status(500).json({
-        success: false,
-        message: 'Failed to generate low stock alerts'
-      });
+      next(error);
     }
   }
 
   /**
    * Send broadcast notification to all users
    */
-  static async sendBroadcast(req, res) {
+  static async sendBroadcast(req, res, next) {
     try {
       const {
         title,
         message,
-        priority = 'medium',
+        priority,
         expiresAt,
         targetRoles
       } = req.body;
 
-      if (!title || !message) {
-        return res.status(400).json({
-          success: false,
-          message: 'Title and message are required'
-        });
-      }
-
       await transaction(async (client) => {
         let recipients = [];
 
@@ -669,28 +604,17 @@ class NotificationController {
       });
 
     } catch (error) {
-      logger.error('Send broadcast error:', error.message);
-      res.status(500).json({
-        success: false,
-        message: 'Failed to send broadcast notification'
-      });
+      next(error);
     }
   }
 
   /**
    * Delete notification (admin only)
    */
-  static async deleteNotification(req, res) {
+  static async deleteNotification(req, res, next) {
     try {
       const { notificationId } = req.params;
 
-      if (!notificationId || isNaN(notificationId)) {
-        return res.status(400).json({
-          success: false,
-          message: 'Valid notification ID is required'
-        });
-      }
-
       const deleteQuery = `
         DELETE FROM notifications 
         WHERE notification_id = $1
@@ -700,10 +624,7 @@ class NotificationController {
       const result = await query(deleteQuery, [notificationId]);
 
       if (result.rows.length === 0) {
-        return res.status(404).json({
-          success: false,
-          message: 'Notification not found'
-        });
+        throw new NotFoundError('Notification not found');
       }
 
       const deletedNotification = result.rows[0];
@@ -723,18 +644,14 @@ class NotificationController {
       });
 
     } catch (error) {
-      logger.error('Delete notification error:', error.message);
-      res.status(500).json({
-        success: false,
-        message: 'Failed to delete notification'
-      });
+      next(error);
     }
   }
 
   /**
    * Clean up expired notifications
    */
-  static async cleanupExpiredNotifications(req, res) {
+  static async cleanupExpiredNotifications(req, res, next) {
     try {
       const cleanupQuery = `
         DELETE FROM notifications 
@@ -759,11 +676,7 @@ class NotificationController {
       });
 
     } catch (error) {
-      logger.error('Cleanup expired notifications error:', error.message);
-      res.status(500).json({
-        success: false,
-        message: 'Failed to cleanup expired notifications'
-      });
+      next(error);
     }
   }
 }
@@ -0,0 +1,233 @@
+const { query } = require('../config/database');
+const logger = require('../utils/logger');
+const Permission = require('../models/Permission');
+const { USER_ROLES, PERMISSION_EFFECTS } = require('../utils/constants');
+const { NotFoundError, ForbiddenError } = require('../utils/errorHandler');
+
+/**
+ * Shape a Permission.getEffective row for responses
+ * @param {Object} row - Effective permission row
+ * @returns {Object}
+ */
+const formatEffective = row => ({
+  permission: row.permission_key,
+  description: row.description,
+  allowed: row.allowed,
+  fromRole: row.from_role,
+  override: row.override
+});
+
+/**
+ * A user's effective permissions in response form
+ * @param {Object} user - { user_id, username, role }
+ * @returns {Promise<Object>}
+ */
+const describeUser = async (user) => {
+  const rows = await Permission.getEffective(user.user_id, user.role);
+
+  return {
+    user: {
+      id: user.user_id,
+      username: user.username,
+      role: user.role
+    },
+    effective: rows.filter(row => row.allowed).map(row => row.permission_key),
+    permissions: rows.map(formatEffective)
+  };
+};
+
+/**
+ * Load the user whose overrides are being changed and check the caller may
+ * change them. Managers may not change their own or an admin's overrides, and
+ * may only grant or deny permissions they hold themselves.
+ * @param {Object} req - Express request with params.userId and params.permission
+ * @returns {Promise<Object>} users row
+ */
+const loadManagedUser = async (req) => {
+  const { userId, permission } = req.params;
+
+  const result = await query('SELECT user_id, username, role FROM users WHERE user_id = $1', [userId]);
+  if (result.rows.length === 0) {
+    throw new NotFoundError('User not found');
+  }
+
+  const user = result.rows[0];
+
+  if (req.user.role !== USER_ROLES.ADMIN) {
+    if (user.user_id === req.user.userId) {
+      throw new ForbiddenError('You cannot change your own permissions');
+    }
+
+    if (user.role === USER_ROLES.ADMIN) {
+      throw new ForbiddenError('Only administrators can change an administrator\'s permissions');
+    }
+
+    if (!(await Permission.has(req.user, permission))) {
+      throw new ForbiddenError('You can only grant or deny permissions you hold');
+    }
+  }
+
+  return user;
+};
+
+class PermissionController {
+  /**
+   * List permissions and the roles that have them (Admin and Manager)
+   */
+  static async getPermissions(req, res, next) {
+    try {
+      const permissions = await Permission.findAll();
+
+      res.json({
+        success: true,
+        data: {
+          permissions: permissions.map(permission => ({
+            permission: permission.permission_key,
+            description: permission.description,
+            roles: permission.roles
+          }))
+        }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Replace the permissions of a role (Admin only)
+   */
+  static async setRolePermissions(req, res, next) {
+    try {
+      const { role } = req.params;
+      const { permissions } = req.body;
+
+      await Permission.setRolePermissions(role, permissions, req.user.userId);
+
+      logger.info('Role permissions updated', {
+        role,
+        permissions,
+        updatedBy: req.user.userId
+      });
+
+      res.json({
+        success: true,
+        message: 'Role permissions updated successfully',
+        data: { role, permissions }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get a user's effective permissions (Admin and Manager)
+   */
+  static async getUserPermissions(req, res, next) {
+    try {
+      const result = await query('SELECT user_id, username, role FROM users WHERE user_id = $1', [req.params.userId]);
+
+      if (result.rows.length === 0) {
+        throw new NotFoundError('User not found');
+      }
+
+      res.json({
+        success: true,
+        data: await describeUser(result.rows[0])
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Grant or deny a permission to one user regardless of their role (Admin and Manager)
+   */
+  static async setUserPermission(req, res, next) {
+    try {
+      const { permission } = req.params;
+      const { effect, reason } = req.body;
+
+      const user = await loadManagedUser(req);
+
+      await Permission.setUserOverride({
+        userId: user.user_id,
+        permission,
+        effect,
+        reason: reason || null,
+        grantedBy: req.user.userId
+      });
+
+      logger.info('User permission override set', {
+        targetUserId: user.user_id,
+        targetUsername: user.username,
+        permission,
+        effect,
+        reason,
+        setBy: req.user.userId
+      });
+
+      res.json({
+        success: true,
+        message: `Permission ${permission} ${effect === PERMISSION_EFFECTS.GRANT ? 'granted' : 'denied'}`,
+        data: await describeUser(user)
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Remove a user's override so the permission follows their role again (Admin and Manager)
+   */
+  static async removeUserPermission(req, res, next) {
+    try {
+      const { permission } = req.params;
+
+      const user = await loadManagedUser(req);
+      const removed = await Permission.removeUserOverride(user.user_id, permission);
+
+      if (!removed) {
+        throw new NotFoundError('User has no override for this permission');
+      }
+
+      logger.info('User permission override removed', {
+        targetUserId: user.user_id,
+        targetUsername: user.username,
+        permission,
+        removedBy: req.user.userId
+      });
+
+      res.json({
+        success: true,
+        message: `Permission ${permission} now follows the user's role`,
+        data: await describeUser(user)
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get the current user's effective permissions
+   */
+  static async getMyPermissions(req, res, next) {
+    try {
+      const { userId, username, role } = req.user;
+
+      res.json({
+        success: true,
+        data: await describeUser({ user_id: userId, username, role })
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = PermissionController;
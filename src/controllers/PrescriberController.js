@@ -0,0 +1,153 @@
+const Prescriber = require('../models/Prescriber');
+const logger = require('../utils/logger');
+const { generatePagination } = require('../utils/helpers');
+const { NotFoundError } = require('../utils/errorHandler');
+
+/**
+ * Shape a prescriber row for responses
+ * @param {Object} prescriber - Row from Prescriber
+ * @returns {Object}
+ */
+const formatPrescriber = prescriber => ({
+  id: prescriber.prescriber_id,
+  firstName: prescriber.first_name,
+  lastName: prescriber.last_name,
+  npi: prescriber.npi,
+  deaNumber: prescriber.dea_number,
+  deaExpiryDate: prescriber.dea_expiry_date,
+  licenseState: prescriber.license_state,
+  licenseNumber: prescriber.license_number,
+  licenseExpiryDate: prescriber.license_expiry_date,
+  specialty: prescriber.specialty,
+  phone: prescriber.phone,
+  email: prescriber.email,
+  address: prescriber.address,
+  isActive: prescriber.is_active,
+  licenseExpired: prescriber.license_expired,
+  deaExpired: prescriber.dea_expired,
+  canPrescribeControlled: Prescriber.controlledPrescribingProblem(prescriber) === null,
+  createdAt: prescriber.created_at,
+  updatedAt: prescriber.updated_at
+});
+
+class PrescriberController {
+  /**
+   * Search the prescriber registry
+   */
+  static async getPrescribers(req, res, next) {
+    try {
+      const { page, limit, ...filters } = req.query;
+
+      const { prescribers, total } = await Prescriber.findAll({
+        ...filters,
+        limit,
+        offset: (page - 1) * limit
+      });
+
+      res.json({
+        success: true,
+        data: {
+          prescribers: prescribers.map(formatPrescriber),
+          pagination: generatePagination(page, limit, total)
+        }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get a prescriber
+   */
+  static async getPrescriberById(req, res, next) {
+    try {
+      const prescriber = await Prescriber.findById(req.params.prescriberId);
+
+      if (!prescriber) {
+        throw new NotFoundError('Prescriber not found');
+      }
+
+      res.json({
+        success: true,
+        data: { prescriber: formatPrescriber(prescriber) }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Add a prescriber (Admin, Manager and Pharmacist)
+   */
+  static async createPrescriber(req, res, next) {
+    try {
+      const prescriber = await Prescriber.create(req.body);
+
+      logger.info('Prescriber created', {
+        prescriberId: prescriber.prescriber_id,
+        npi: prescriber.npi,
+        userId: req.user.userId
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Prescriber created successfully',
+        data: { prescriber: formatPrescriber(prescriber) }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Update a prescriber's details (Admin, Manager and Pharmacist)
+   */
+  static async updatePrescriber(req, res, next) {
+    try {
+      const prescriber = await Prescriber.update(req.params.prescriberId, req.body);
+
+      logger.info('Prescriber updated', {
+        prescriberId: prescriber.prescriber_id,
+        fields: Object.keys(req.body),
+        userId: req.user.userId
+      });
+
+      res.json({
+        success: true,
+        message: 'Prescriber updated successfully',
+        data: { prescriber: formatPrescriber(prescriber) }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Deactivate a prescriber (Admin, Manager and Pharmacist)
+   */
+  static async deactivatePrescriber(req, res, next) {
+    try {
+      const prescriber = await Prescriber.deactivate(req.params.prescriberId);
+
+      logger.info('Prescriber deactivated', {
+        prescriberId: prescriber.prescriber_id,
+        userId: req.user.userId
+      });
+
+      res.json({
+        success: true,
+        message: 'Prescriber deactivated successfully',
+        data: { prescriber: formatPrescriber(prescriber) }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = PrescriberController;
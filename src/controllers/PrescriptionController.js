@@ -0,0 +1,197 @@
+const { query } = require('../config/database');
+const Prescription = require('../models/Prescription');
+const logger = require('../utils/logger');
+const { generatePagination } = require('../utils/helpers');
+const { NotFoundError } = require('../utils/errorHandler');
+
+/**
+ * Shape a prescription row for responses
+ * @param {Object} rx - Row from Prescription
+ * @returns {Object}
+ */
+const formatPrescription = rx => ({
+  id: rx.prescription_id,
+  prescriptionNumber: rx.prescription_number,
+  patient: {
+    id: rx.customer_id,
+    code: rx.customer_code,
+    name: `${rx.customer_first_name} ${rx.customer_last_name}`
+  },
+  prescriber: {
+    id: rx.prescriber_id,
+    name: rx.prescriber_name,
+    npi: rx.prescriber_npi,
+    deaNumber: rx.prescriber_dea_number,
+    licenseExpired: rx.prescriber_license_expired
+  },
+  product: {
+    id: rx.product_id,
+    code: rx.product_code,
+    name: rx.product_name,
+    strength: rx.strength,
+    dosageForm: rx.dosage_form
+  },
+  directions: rx.directions,
+  quantity: rx.quantity,
+  daysSupply: rx.days_supply,
+  refillsAuthorized: rx.refills_authorized,
+  refillsRemaining: rx.refills_remaining,
+  timesFilled: rx.times_filled,
+  writtenDate: rx.written_date,
+  expiryDate: rx.expiry_date,
+  status: rx.status,
+  isExpired: rx.is_expired,
+  notes: rx.notes,
+  lastFilledAt: rx.last_filled_at,
+  createdBy: rx.created_by_username,
+  createdAt: rx.created_at,
+  ...(rx.fills && {
+    fills: rx.fills.map(fill => ({
+      saleId: fill.sale_id,
+      saleNumber: fill.sale_number,
+      saleDate: fill.sale_date,
+      paymentStatus: fill.payment_status,
+      quantity: fill.quantity,
+      batchNumbers: fill.batch_numbers,
+      dispensedBy: fill.dispensed_by
+    }))
+  })
+});
+
+class PrescriptionController {
+  /**
+   * Enter a prescription (Admin and Pharmacist)
+   */
+  static async createPrescription(req, res, next) {
+    try {
+      const prescription = await Prescription.create(req.body, req.user.userId);
+
+      logger.info('Prescription created', {
+        prescriptionId: prescription.prescription_id,
+        prescriptionNumber: prescription.prescription_number,
+        customerId: prescription.customer_id,
+        userId: req.user.userId
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Prescription created successfully',
+        data: { prescription: formatPrescription(prescription) }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List prescriptions
+   */
+  static async getPrescriptions(req, res, next) {
+    try {
+      const { page, limit, ...filters } = req.query;
+
+      const { prescriptions, total } = await Prescription.findAll({
+        ...filters,
+        limit,
+        offset: (page - 1) * limit
+      });
+
+      res.json({
+        success: true,
+        data: {
+          prescriptions: prescriptions.map(formatPrescription),
+          pagination: generatePagination(page, limit, total)
+        }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * A customer's prescriptions
+   */
+  static async getCustomerPrescriptions(req, res, next) {
+    try {
+      const { customerId } = req.params;
+      const { page, limit, startDate, endDate } = req.query;
+
+      const customer = await query('SELECT customer_id FROM customers WHERE customer_id = $1', [customerId]);
+      if (customer.rows.length === 0) {
+        throw new NotFoundError('Customer not found');
+      }
+
+      const { prescriptions, total } = await Prescription.findAll({
+        customerId,
+        startDate,
+        endDate,
+        limit,
+        offset: (page - 1) * limit
+      });
+
+      res.json({
+        success: true,
+        data: {
+          prescriptions: prescriptions.map(formatPrescription),
+          pagination: generatePagination(page, limit, total)
+        }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get a prescription with its fill history
+   */
+  static async getPrescriptionById(req, res, next) {
+    try {
+      const prescription = await Prescription.findById(req.params.prescriptionId);
+
+      if (!prescription) {
+        throw new NotFoundError('Prescription not found');
+      }
+
+      res.json({
+        success: true,
+        data: { prescription: formatPrescription(prescription) }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Put a prescription on hold, reactivate or cancel it (Admin and Pharmacist)
+   */
+  static async updatePrescriptionStatus(req, res, next) {
+    try {
+      const { prescriptionId } = req.params;
+      const { status, reason } = req.body;
+
+      const prescription = await Prescription.updateStatus(prescriptionId, status, reason);
+
+      logger.info('Prescription status changed', {
+        prescriptionId,
+        status,
+        reason,
+        userId: req.user.userId
+      });
+
+      res.json({
+        success: true,
+        message: `Prescription ${prescription.prescription_number} is now ${status.replace('_', ' ')}`,
+        data: { prescription: formatPrescription(prescription) }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = PrescriptionController;
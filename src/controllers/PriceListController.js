@@ -0,0 +1,214 @@
+const PriceList = require('../models/PriceList');
+const logger = require('../utils/logger');
+const { generatePagination } = require('../utils/helpers');
+const { NotFoundError } = require('../utils/errorHandler');
+
+/**
+ * Shape a price list row for responses
+ * @param {Object} priceList - Row from PriceList
+ * @returns {Object}
+ */
+const formatPriceList = priceList => ({
+  id: priceList.price_list_id,
+  name: priceList.name,
+  description: priceList.description,
+  insuranceProviders: priceList.insurance_providers,
+  ruleCount: priceList.rule_count,
+  customerCount: priceList.customer_count,
+  isActive: priceList.is_active,
+  createdBy: priceList.created_by === null ? null : { id: priceList.created_by, username: priceList.created_by_username },
+  createdAt: priceList.created_at,
+  updatedAt: priceList.updated_at
+});
+
+/**
+ * Shape a price_list_rules row for responses
+ * @param {Object} rule - Row from PriceList.findRules
+ * @returns {Object}
+ */
+const formatRule = rule => ({
+  id: rule.rule_id,
+  product: rule.product_id === null ? null : { id: rule.product_id, name: rule.product_name },
+  category: rule.category_id === null ? null : { id: rule.category_id, name: rule.category_name },
+  ruleType: rule.rule_type,
+  value: rule.value,
+  startDate: rule.start_date,
+  endDate: rule.end_date,
+  inEffect: rule.in_effect,
+  createdAt: rule.created_at
+});
+
+class PriceListController {
+  /**
+   * List price lists
+   */
+  static async getPriceLists(req, res, next) {
+    try {
+      const { page, limit, ...filters } = req.query;
+
+      const { priceLists, total } = await PriceList.findAll({
+        ...filters,
+        limit,
+        offset: (page - 1) * limit
+      });
+
+      res.json({
+        success: true,
+        data: {
+          priceLists: priceLists.map(formatPriceList),
+          pagination: generatePagination(page, limit, total)
+        }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get a price list with its rules
+   */
+  static async getPriceListById(req, res, next) {
+    try {
+      const priceList = await PriceList.findById(req.params.priceListId);
+
+      if (!priceList) {
+        throw new NotFoundError('Price list not found');
+      }
+
+      const rules = await PriceList.findRules(priceList.price_list_id);
+
+      res.json({
+        success: true,
+        data: {
+          priceList: {
+            ...formatPriceList(priceList),
+            rules: rules.map(formatRule)
+          }
+        }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Create a price list (Admin and Manager)
+   */
+  static async createPriceList(req, res, next) {
+    try {
+      const priceList = await PriceList.create(req.body, req.user.userId);
+
+      logger.info('Price list created', {
+        priceListId: priceList.price_list_id,
+        name: priceList.name,
+        userId: req.user.userId
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Price list created successfully',
+        data: { priceList: formatPriceList(priceList) }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Update a price list (Admin and Manager)
+   */
+  static async updatePriceList(req, res, next) {
+    try {
+      const priceList = await PriceList.update(req.params.priceListId, req.body);
+
+      logger.info('Price list updated', {
+        priceListId: priceList.price_list_id,
+        fields: Object.keys(req.body),
+        userId: req.user.userId
+      });
+
+      res.json({
+        success: true,
+        message: 'Price list updated successfully',
+        data: { priceList: formatPriceList(priceList) }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Deactivate a price list (Admin and Manager)
+   */
+  static async deactivatePriceList(req, res, next) {
+    try {
+      const priceList = await PriceList.deactivate(req.params.priceListId);
+
+      logger.info('Price list deactivated', {
+        priceListId: priceList.price_list_id,
+        userId: req.user.userId
+      });
+
+      res.json({
+        success: true,
+        message: 'Price list deactivated successfully',
+        data: { priceList: formatPriceList(priceList) }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Add a product or category pricing rule to a list (Admin and Manager)
+   */
+  static async addRule(req, res, next) {
+    try {
+      const rule = await PriceList.addRule(req.params.priceListId, req.body);
+
+      logger.info('Price list rule added', {
+        priceListId: req.params.priceListId,
+        ruleId: rule.rule_id,
+        ruleType: rule.rule_type,
+        userId: req.user.userId
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Price list rule added successfully',
+        data: { rule: formatRule(rule) }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Remove a pricing rule from a list (Admin and Manager)
+   */
+  static async removeRule(req, res, next) {
+    try {
+      const { priceListId, ruleId } = req.params;
+
+      await PriceList.removeRule(priceListId, ruleId);
+
+      logger.info('Price list rule removed', { priceListId, ruleId, userId: req.user.userId });
+
+      res.json({
+        success: true,
+        message: 'Price list rule removed successfully'
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = PriceListController;
@@ -1,35 +1,29 @@
 const { query, transaction } = require('../config/database');
 const config = require('../config/environment');
 const logger = require('../utils/logger');
+const PriceList = require('../models/PriceList');
 const { generatePagination, generateProductCode } = require('../utils/helpers');
+const { ValidationError, NotFoundError, ConflictError } = require('../utils/errorHandler');
 
 class ProductController {
   /**
    * Get all products with pagination, filtering, and search
    */
-  static async getAllProducts(req, res) {
+  static async getAllProducts(req, res, next) {
     try {
       const { 
-        page = 1, 
-        limit = 10, 
+        page, 
+        limit, 
         category, 
         isActive, 
         search,
         requiresPrescription,
         controlledSubstance,
-        sortBy = 'created_at',
-        sortOrder = 'DESC'
+        sortBy,
+        sortOrder
       } = req.query;
 
-      // Validate pagination parameters
-      const pageNum = Math.max(1, parseInt(page));
-      const limitNum = Math.min(100, Math.max(1, parseInt(limit)));
-      const offset = (pageNum - 1) * limitNum;
-
-      // Validate sort parameters
-      const allowedSortFields = ['product_name', 'brand_name', 'unit_cost', 'selling_price', 'created_at', 'updated_at'];
-      const sortField = allowedSortFields.includes(sortBy) ? sortBy : 'created_at';
-      const sortDir = sortOrder.toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
+      const offset = (page - 1) * limit;
 
       // Build WHERE clause
       let whereClause = 'WHERE 1=1';
@@ -44,19 +38,19 @@ class ProductController {
 
       if (isActive !== undefined) {
         whereClause += ` AND p.is_active = $${paramIndex}`;
-        queryParams.push(isActive === 'true');
+        queryParams.push(isActive);
         paramIndex++;
       }
 
       if (requiresPrescription !== undefined) {
         whereClause += ` AND p.requires_prescription = $${paramIndex}`;
-        queryParams.push(requiresPrescription === 'true');
+        queryParams.push(requiresPrescription);
         paramIndex++;
       }
 
       if (controlledSubstance !== undefined) {
         whereClause += ` AND p.controlled_substance = $${paramIndex}`;
-        queryParams.push(controlledSubstance === 'true');
+        queryParams.push(controlledSubstance);
         paramIndex++;
       }
 
@@ -94,14 +88,14 @@ class ProductController {
         FROM products p
         LEFT JOIN categories c ON p.category_id = c.category_id
         ${whereClause}
-        ORDER BY p.${sortField} ${sortDir}
+        ORDER BY p.${sortBy} ${sortOrder}
         LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
       `;
-      queryParams.push(limitNum, offset);
+      queryParams.push(limit, offset);
 
       const productsResult = await query(productsQuery, queryParams);
 
-      const pagination = generatePagination(pageNum, limitNum, totalProducts);
+      const pagination = generatePagination(page, limit, totalProducts);
 
       res.json({
         success: true,
@@ -140,27 +134,17 @@ class ProductController {
       });
 
     } catch (error) {
-      logger.error('Get all products error:', error.message);
-      res.status(500).json({
-        success: false,
-        message: 'Failed to retrieve products'
-      });
+      next(error);
     }
   }
 
   /**
    * Get product by ID
    */
-  static async getProductById(req, res) {
+  static async getProductById(req, res, next) {
     try {
       const { productId } = req.params;
-
-      if (!productId || isNaN(productId)) {
-        return res.status(400).json({
-          success: false,
-          message: 'Valid product ID is required'
-        });
-      }
+      const { customerId } = req.query;
 
       const productQuery = `
         SELECT 
@@ -183,14 +167,14 @@ class ProductController {
       const result = await query(productQuery, [productId]);
 
       if (result.rows.length === 0) {
-        return res.status(404).json({
-          success: false,
-          message: 'Product not found'
-        });
+        throw new NotFoundError('Product not found');
       }
 
       const product = result.rows[0];
 
+      // What the customer would pay: their price list's price, else selling_price
+      const listed = PriceList.priceFor(product, await PriceList.forCustomer(customerId));
+
       res.json({
         success: true,
         data: {
@@ -219,6 +203,11 @@ class ProductController {
             sellingPrice: parseFloat(product.selling_price || 0),
             markupPercentage: parseFloat(product.markup_percentage || 0),
             taxRate: parseFloat(product.tax_rate || 0),
+            effectivePrice: {
+              customerId: customerId || null,
+              price: listed.price,
+              priceList: listed.priceList ? { id: listed.priceList.price_list_id, name: listed.priceList.name } : null
+            },
             isActive: product.is_active,
             currentStock: {
               totalQuantity: parseInt(product.total_quantity),
@@ -231,18 +220,14 @@ class ProductController {
       });
 
     } catch (error) {
-      logger.error('Get product by ID error:', error.message);
-      res.status(500).json({
-        success: false,
-        message: 'Failed to retrieve product'
-      });
+      next(error);
     }
   }
 
   /**
    * Create new product
    */
-  static async createProduct(req, res) {
+  static async createProduct(req, res, next) {
     try {
       const {
         productName,
@@ -266,43 +251,6 @@ class ProductController {
         taxRate = config.pharmacy.defaultTaxRate
       } = req.body;
 
-      // Input validation
-      if (!productName) {
-        return res.status(400).json({
-          success: false,
-          message: 'Product name is required'
-        });
-      }
-
-      // Validate numeric fields
-      if (unitCost !== undefined && (isNaN(unitCost) || unitCost < 0)) {
-        return res.status(400).json({
-          success: false,
-          message: 'Unit cost must be a valid positive number'
-        });
-      }
-
-      if (sellingPrice !== undefined && (isNaN(sellingPrice) || sellingPrice < 0)) {
-        return res.status(400).json({
-          success: false,
-          message: 'Selling price must be a valid positive number'
-        });
-      }
-
-      if (minimumStockLevel < 0 || reorderPoint < 0) {
-        return res.status(400).json({
-          success: false,
-          message: 'Stock levels must be positive numbers'
-        });
-      }
-
-      if (maximumStockLevel !== undefined && maximumStockLevel < minimumStockLevel) {
-        return res.status(400).json({
-          success: false,
-          message: 'Maximum stock level must be greater than minimum stock level'
-        });
-      }
-
       await transaction(async (client) => {
         // Generate unique product code
         const productCode = await generateProductCode(client);
@@ -313,7 +261,7 @@ class ProductController {
           const categoryResult = await client.query(categoryQuery, [categoryId]);
           
           if (categoryResult.rows.length === 0) {
-            throw new Error('Invalid or inactive category specified');
+            throw new ValidationError('Invalid or inactive category specified');
           }
         }
 
@@ -410,47 +358,25 @@ class ProductController {
       });
 
     } catch (error) {
-      logger.error('Create product error:', error.message);
-      res.status(400).json({
-        success: false,
-        message: error.message || 'Failed to create product'
-      });
+      next(error);
     }
   }
 
   /**
    * Update product
    */
-  static async updateProduct(req, res) {
+  static async updateProduct(req, res, next) {
     try {
       const { productId } = req.params;
       const updateData = req.body;
 
-      if (!productId || isNaN(productId)) {
-        return res.status(400).json({
-          success: false,
-          message: 'Valid product ID is required'
-        });
-      }
-
-      // Validate numeric fields if provided
-      const numericFields = ['unitCost', 'sellingPrice', 'markupPercentage', 'taxRate', 'minimumStockLevel', 'maximumStockLevel', 'reorderPoint'];
-      for (const field of numericFields) {
-        if (updateData[field] !== undefined && (isNaN(updateData[field]) || updateData[field] < 0)) {
-          return res.status(400).json({
-            success: false,
-            message: `${field} must be a valid positive number`
-          });
-        }
-      }
-
       await transaction(async (client) => {
         // Check if product exists
         const productExistsQuery = `SELECT product_id FROM products WHERE product_id = $1`;
         const productExists = await client.query(productExistsQuery, [productId]);
 
         if (productExists.rows.length === 0) {
-          throw new Error('Product not found');
+          throw new NotFoundError('Product not found');
         }
 
         // Verify category exists if provided
@@ -459,7 +385,7 @@ class ProductController {
           const categoryResult = await client.query(categoryQuery, [updateData.categoryId]);
           
           if (categoryResult.rows.length === 0) {
-            throw new Error('Invalid or inactive category specified');
+            throw new ValidationError('Invalid or inactive category specified');
           }
         }
 
@@ -500,7 +426,7 @@ class ProductController {
         }
 
         if (updateFields.length === 0) {
-          throw new Error('No fields to update');
+          throw new ValidationError('No fields to update');
         }
 
         updateFields.push('updated_at = NOW()');
@@ -571,28 +497,17 @@ class ProductController {
       });
 
     } catch (error) {
-      logger.error('Update product error:', error.message);
-      res.status(400).json({
-        success: false,
-        message: error.message || 'Failed to update product'
-      });
+      next(error);
     }
   }
 
   /**
    * Delete product (soft delete)
    */
-  static async deleteProduct(req, res) {
+  static async deleteProduct(req, res, next) {
     try {
       const { productId } = req.params;
 
-      if (!productId || isNaN(productId)) {
-        return res.status(400).json({
-          success: false,
-          message: 'Valid product ID is required'
-        });
-      }
-
       await transaction(async (client) => {
         // Check if product has active inventory
         const inventoryQuery = `
@@ -603,7 +518,7 @@ class ProductController {
         const inventoryResult = await client.query(inventoryQuery, [productId]);
         
         if (parseInt(inventoryResult.rows[0].count) > 0) {
-          throw new Error('Cannot delete product with active inventory. Please remove all inventory first.');
+          throw new ConflictError('Cannot delete product with active inventory. Please remove all inventory first.');
         }
 
         // Check if product has been used in sales
@@ -626,7 +541,7 @@ class ProductController {
           const result = await client.query(softDeleteQuery, [productId]);
           
           if (result.rows.length === 0) {
-            throw new Error('Product not found');
+            throw new NotFoundError('Product not found');
           }
 
           const deletedProduct = result.rows[0];
@@ -653,7 +568,7 @@ class ProductController {
         const productExists = await client.query(productExistsQuery, [productId]);
 
         if (productExists.rows.length === 0) {
-          throw new Error('Product not found');
+          throw new NotFoundError('Product not found');
         }
 
         const product = productExists.rows[0];
@@ -684,28 +599,17 @@ class ProductController {
       });
 
     } catch (error) {
-      logger.error('Delete product error:', error.message);
-      res.status(400).json({
-        success: false,
-        message: error.message || 'Failed to delete product'
-      });
+      next(error);
     }
   }
 
   /**
    * Get product inventory details
    */
-  static async getProductInventory(req, res) {
+  static async getProductInventory(req, res, next) {
     try {
       const { productId } = req.params;
 
-      if (!productId || isNaN(productId)) {
-        return res.status(400).json({
-          success: false,
-          message: 'Valid product ID is required'
-        });
-      }
-
       const inventoryQuery = `
         SELECT 
           i.inventory_id,
@@ -747,10 +651,7 @@ class ProductController {
       const productResult = await query(productQuery, [productId]);
 
       if (productResult.rows.length === 0) {
-        return res.status(404).json({
-          success: false,
-          message: 'Product not found'
-        });
+        throw new NotFoundError('Product not found');
       }
 
       const product = productResult.rows[0];
@@ -802,21 +703,16 @@ class ProductController {
       });
 
     } catch (error) {
-      logger.error('Get product inventory error:', error.message);
-      res.status(500).json({
-        success: false,
-        message: 'Failed to retrieve product inventory'
-      });
+      next(error);
     }
   }
 
   /**
    * Get low stock products
    */
-  static async getLowStockProducts(req, res) {
+  static async getLowStockProducts(req, res, next) {
     try {
-      const { limit = 50 } = req.query;
-      const limitNum = Math.min(100, Math.max(1, parseInt(limit)));
+      const { limit } = req.query;
 
       const lowStockQuery = `
         SELECT * FROM low_stock_products
@@ -824,7 +720,7 @@ class ProductController {
         LIMIT $1
       `;
 
-      const result = await query(lowStockQuery, [limitNum]);
+      const result = await query(lowStockQuery, [limit]);
 
       res.json({
         success: true,
@@ -843,32 +739,19 @@ class ProductController {
       });
 
     } catch (error) {
-      logger.error('Get low stock products error:', error.message);
-      res.status(500).json({
-        success: false,
-        message: 'Failed to retrieve low stock products'
-      });
+      next(error);
     }
   }
 
   /**
    * Get products by category
    */
-  static async getProductsByCategory(req, res) {
+  static async getProductsByCategory(req, res, next) {
     try {
       const { categoryId } = req.params;
-      const { page = 1, limit = 20, isActive = true } = req.query;
+      const { page, limit, isActive } = req.query;
 
-      if (!categoryId || isNaN(categoryId)) {
-        return res.status(400).json({
-          success: false,
-          message: 'Valid category ID is required'
-        });
-      }
-
-      const pageNum = Math.max(1, parseInt(page));
-      const limitNum = Math.min(100, Math.max(1, parseInt(limit)));
-      const offset = (pageNum - 1) * limitNum;
+      const offset = (page - 1) * limit;
 
       // Check if category exists
       const categoryQuery = `
@@ -878,10 +761,7 @@ class ProductController {
       const categoryResult = await query(categoryQuery, [categoryId]);
 
       if (categoryResult.rows.length === 0) {
-        return res.status(404).json({
-          success: false,
-          message: 'Category not found'
-        });
+        throw new NotFoundError('Category not found');
       }
 
       const categoryName = categoryResult.rows[0].category_name;
@@ -892,7 +772,7 @@ class ProductController {
         FROM products 
         WHERE category_id = $1 AND is_active = $2
       `;
-      const countResult = await query(countQuery, [categoryId, isActive === 'true']);
+      const countResult = await query(countQuery, [categoryId, isActive]);
       const totalProducts = parseInt(countResult.rows[0].total);
 
       // Get products
@@ -911,9 +791,9 @@ class ProductController {
         LIMIT $3 OFFSET $4
       `;
 
-      const productsResult = await query(productsQuery, [categoryId, isActive === 'true', limitNum, offset]);
+      const productsResult = await query(productsQuery, [categoryId, isActive, limit, offset]);
 
-      const pagination = generatePagination(pageNum, limitNum, totalProducts);
+      const pagination = generatePagination(page, limit, totalProducts);
 
       res.json({
         success: true,
@@ -946,18 +826,14 @@ class ProductController {
       });
 
     } catch (error) {
-      logger.error('Get products by category error:', error.message);
-      res.status(500).json({
-        success: false,
-        message: 'Failed to retrieve products by category'
-      });
+      next(error);
     }
   }
 
   /**
    * Search products with advanced filters
    */
-  static async searchProducts(req, res) {
+  static async searchProducts(req, res, next) {
     try {
       const {
         q: searchTerm,
@@ -967,27 +843,18 @@ class ProductController {
         controlledSubstance,
         minPrice,
         maxPrice,
-        inStock = true,
-        page = 1,
-        limit = 20,
-        sortBy = 'relevance',
-        sortOrder = 'DESC'
+        inStock,
+        page,
+        limit,
+        sortBy,
+        sortOrder
       } = req.query;
 
-      if (!searchTerm || searchTerm.trim().length < 2) {
-        return res.status(400).json({
-          success: false,
-          message: 'Search term must be at least 2 characters long'
-        });
-      }
-
-      const pageNum = Math.max(1, parseInt(page));
-      const limitNum = Math.min(100, Math.max(1, parseInt(limit)));
-      const offset = (pageNum - 1) * limitNum;
+      const offset = (page - 1) * limit;
 
       // Build WHERE clause
       let whereClause = `WHERE p.is_active = TRUE`;
-      const queryParams = [`%${searchTerm.trim()}%`];
+      const queryParams = [`%${searchTerm}%`];
       let paramIndex = 2;
 
       // Add search condition
@@ -1014,30 +881,30 @@ class ProductController {
 
       if (requiresPrescription !== undefined) {
         whereClause += ` AND p.requires_prescription = ${paramIndex}`;
-        queryParams.push(requiresPrescription === 'true');
+        queryParams.push(requiresPrescription);
         paramIndex++;
       }
 
       if (controlledSubstance !== undefined) {
         whereClause += ` AND p.controlled_substance = ${paramIndex}`;
-        queryParams.push(controlledSubstance === 'true');
+        queryParams.push(controlledSubstance);
         paramIndex++;
       }
 
       if (minPrice !== undefined) {
         whereClause += ` AND p.selling_price >= ${paramIndex}`;
-        queryParams.push(parseFloat(minPrice));
+        queryParams.push(minPrice);
         paramIndex++;
       }
 
       if (maxPrice !== undefined) {
         whereClause += ` AND p.selling_price <= ${paramIndex}`;
-        queryParams.push(parseFloat(maxPrice));
+        queryParams.push(maxPrice);
         paramIndex++;
       }
 
       // Add stock filter
-      if (inStock === 'true') {
+      if (inStock) {
         whereClause += ` AND COALESCE(SUM(i.quantity_available), 0) > 0`;
       }
 
@@ -1060,9 +927,7 @@ class ProductController {
           'created': 'p.created_at',
           'stock': 'available_quantity'
         };
-        const sortField = allowedSortFields[sortBy] || 'p.product_name';
-        const sortDir = sortOrder.toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
-        sortClause += `${sortField} ${sortDir}`;
+        sortClause += `${allowedSortFields[sortBy]} ${sortOrder}`;
       }
 
       // Get total count
@@ -1093,11 +958,11 @@ class ProductController {
         ${sortClause}
         LIMIT ${paramIndex} OFFSET ${paramIndex + 1}
       `;
-      queryParams.push(limitNum, offset);
+      queryParams.push(limit, offset);
 
       const searchResult = await query(searchQuery, queryParams);
 
-      const pagination = generatePagination(pageNum, limitNum, totalProducts);
+      const pagination = generatePagination(page, limit, totalProducts);
 
       res.json({
         success: true,
@@ -1142,30 +1007,17 @@ class ProductController {
       });
 
     } catch (error) {
-      logger.error('Search products error:', error.message);
-      res.status(500).json({
-        success: false,
-        message: 'Failed to search products'
-      });
+      next(error);
     }
   }
 
   /**
    * Get product price history
    */
-  static async getProductPriceHistory(req, res) {
+  static async getProductPriceHistory(req, res, next) {
     try {
       const { productId } = req.params;
-      const { limit = 10 } = req.query;
-
-      if (!productId || isNaN(productId)) {
-        return res.status(400).json({
-          success: false,
-          message: 'Valid product ID is required'
-        });
-      }
-
-      const limitNum = Math.min(50, Math.max(1, parseInt(limit)));
+      const { limit } = req.query;
 
       // Get price history from audit log
       const priceHistoryQuery = `
@@ -1189,7 +1041,7 @@ class ProductController {
         LIMIT $2
       `;
 
-      const historyResult = await query(priceHistoryQuery, [productId, limitNum]);
+      const historyResult = await query(priceHistoryQuery, [productId, limit]);
 
       // Get current product info
       const productQuery = `
@@ -1200,10 +1052,7 @@ class ProductController {
       const productResult = await query(productQuery, [productId]);
 
       if (productResult.rows.length === 0) {
-        return res.status(404).json({
-          success: false,
-          message: 'Product not found'
-        });
+        throw new NotFoundError('Product not found');
       }
 
       const product = productResult.rows[0];
@@ -1236,42 +1085,17 @@ class ProductController {
       });
 
     } catch (error) {
-      logger.error('Get product price history error:', error.message);
-      res.status(500).json({
-        success: false,
-        message: 'Failed to retrieve product price history'
-      });
+      next(error);
     }
   }
 
   /**
    * Bulk update products
    */
-  static async bulkUpdateProducts(req, res) {
+  static async bulkUpdateProducts(req, res, next) {
     try {
       const { products, updateFields } = req.body;
 
-      if (!Array.isArray(products) || products.length === 0) {
-        return res.status(400).json({
-          success: false,
-          message: 'Products array is required and cannot be empty'
-        });
-      }
-
-      if (!updateFields || Object.keys(updateFields).length === 0) {
-        return res.status(400).json({
-          success: false,
-          message: 'Update fields are required'
-        });
-      }
-
-      if (products.length > 100) {
-        return res.status(400).json({
-          success: false,
-          message: 'Cannot update more than 100 products at once'
-        });
-      }
-
       const results = {
         updated: [],
         failed: [],
@@ -1281,15 +1105,6 @@ class ProductController {
       await transaction(async (client) => {
         for (const productId of products) {
           try {
-            // Validate product ID
-            if (!productId || isNaN(productId)) {
-              results.failed.push({
-                productId,
-                error: 'Invalid product ID'
-              });
-              continue;
-            }
-
             // Check if product exists
             const productExistsQuery = `SELECT product_id, product_code FROM products WHERE product_id = $1`;
             const productExists = await client.query(productExistsQuery, [productId]);
@@ -1374,11 +1189,7 @@ class ProductController {
       });
 
     } catch (error) {
-      logger.error('Bulk update products error:', error.message);
-      res.status(500).json({
-        success: false,
-        message: 'Failed to perform bulk update'
-      });
+      next(error);
     }
   }
 }
@@ -0,0 +1,156 @@
+const Promotion = require('../models/Promotion');
+const logger = require('../utils/logger');
+const { generatePagination } = require('../utils/helpers');
+const { NotFoundError } = require('../utils/errorHandler');
+
+/**
+ * Shape a promotion row for responses
+ * @param {Object} promotion - Row from Promotion
+ * @returns {Object}
+ */
+const formatPromotion = promotion => ({
+  id: promotion.promotion_id,
+  name: promotion.name,
+  description: promotion.description,
+  promotionType: promotion.promotion_type,
+  discountValue: promotion.discount_value,
+  buyQuantity: promotion.buy_quantity,
+  getQuantity: promotion.get_quantity,
+  productIds: promotion.product_ids,
+  categoryIds: promotion.category_ids,
+  excludedProductIds: promotion.excluded_product_ids,
+  customerGroups: promotion.customer_groups,
+  couponCode: promotion.coupon_code,
+  startDate: promotion.start_date,
+  endDate: promotion.end_date,
+  expired: promotion.expired,
+  stackable: promotion.stackable,
+  priority: promotion.priority,
+  isActive: promotion.is_active,
+  createdBy: promotion.created_by === null ? null : { id: promotion.created_by, username: promotion.created_by_username },
+  createdAt: promotion.created_at,
+  updatedAt: promotion.updated_at
+});
+
+class PromotionController {
+  /**
+   * List promotions
+   */
+  static async getPromotions(req, res, next) {
+    try {
+      const { page, limit, ...filters } = req.query;
+
+      const { promotions, total } = await Promotion.findAll({
+        ...filters,
+        limit,
+        offset: (page - 1) * limit
+      });
+
+      res.json({
+        success: true,
+        data: {
+          promotions: promotions.map(formatPromotion),
+          pagination: generatePagination(page, limit, total)
+        }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get a promotion
+   */
+  static async getPromotionById(req, res, next) {
+    try {
+      const promotion = await Promotion.findById(req.params.promotionId);
+
+      if (!promotion) {
+        throw new NotFoundError('Promotion not found');
+      }
+
+      res.json({
+        success: true,
+        data: { promotion: formatPromotion(promotion) }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Create a promotion (Admin and Manager)
+   */
+  static async createPromotion(req, res, next) {
+    try {
+      const promotion = await Promotion.create(req.body, req.user.userId);
+
+      logger.info('Promotion created', {
+        promotionId: promotion.promotion_id,
+        promotionType: promotion.promotion_type,
+        couponCode: promotion.coupon_code,
+        userId: req.user.userId
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Promotion created successfully',
+        data: { promotion: formatPromotion(promotion) }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Update a promotion (Admin and Manager)
+   */
+  static async updatePromotion(req, res, next) {
+    try {
+      const promotion = await Promotion.update(req.params.promotionId, req.body);
+
+      logger.info('Promotion updated', {
+        promotionId: promotion.promotion_id,
+        fields: Object.keys(req.body),
+        userId: req.user.userId
+      });
+
+      res.json({
+        success: true,
+        message: 'Promotion updated successfully',
+        data: { promotion: formatPromotion(promotion) }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Deactivate a promotion (Admin and Manager)
+   */
+  static async deactivatePromotion(req, res, next) {
+    try {
+      const promotion = await Promotion.deactivate(req.params.promotionId);
+
+      logger.info('Promotion deactivated', {
+        promotionId: promotion.promotion_id,
+        userId: req.user.userId
+      });
+
+      res.json({
+        success: true,
+        message: 'Promotion deactivated successfully',
+        data: { promotion: formatPromotion(promotion) }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = PromotionController;
@@ -1,13 +1,15 @@
 const { pool, transaction } = require('../config/database');
-const { validationResult } = require('express-validator');
+const ControlledRegister = require('../models/ControlledRegister');
+const { CONTROLLED_REGISTER_ENTRIES } = require('../utils/constants');
+const { ValidationError, NotFoundError } = require('../utils/errorHandler');
 
 class PurchaseOrderController {
   // Get all purchase orders with filtering and pagination
-  async getAllPurchaseOrders(req, res) {
+  async getAllPurchaseOrders(req, res, next) {
     try {
       const {
-        page = 1,
-        limit = 50,
+        page,
+        limit,
         status,
         supplier_id,
         date_from,
@@ -99,17 +101,12 @@ class PurchaseOrderController {
         }
       });
     } catch (error) {
-      console.error('Error fetching purchase orders:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Error fetching purchase orders',
-        error: error.message
-      });
+      next(error);
     }
   }
 
   // Get single purchase order with items
-  async getPurchaseOrderById(req, res) {
+  async getPurchaseOrderById(req, res, next) {
     try {
       const { id } = req.params;
 
@@ -132,10 +129,7 @@ class PurchaseOrderController {
       const poResult = await pool.query(poQuery, [id]);
 
       if (poResult.rows.length === 0) {
-        return res.status(404).json({
-          success: false,
-          message: 'Purchase order not found'
-        });
+        throw new NotFoundError('Purchase order not found');
       }
 
       // Get purchase order items
@@ -165,43 +159,22 @@ class PurchaseOrderController {
         data: purchaseOrder
       });
     } catch (error) {
-      console.error('Error fetching purchase order:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Error fetching purchase order',
-        error: error.message
-      });
+      next(error);
     }
   }
 
   // Create new purchase order
-  async createPurchaseOrder(req, res) {
+  async createPurchaseOrder(req, res, next) {
     try {
-      const errors = validationResult(req);
-      if (!errors.isEmpty()) {
-        return res.status(400).json({
-          success: false,
-          message: 'Validation errors',
-          errors: errors.array()
-        });
-      }
-
       const {
         supplier_id,
         expected_delivery_date,
         notes,
-        items = []
+        items
       } = req.body;
 
       const created_by = req.user?.user_id;
 
-      if (!items || items.length === 0) {
-        return res.status(400).json({
-          success: false,
-          message: 'Purchase order must have at least one item'
-        });
-      }
-
       const result = await transaction(async (client) => {
         // Create purchase order
         const poQuery = `
@@ -284,30 +257,16 @@ class PurchaseOrderController {
         data: completePo.rows[0]
       });
     } catch (error) {
-      console.error('Error creating purchase order:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Error creating purchase order',
-        error: error.message
-      });
+      next(error);
     }
   }
 
   // Update purchase order status
-  async updatePurchaseOrderStatus(req, res) {
+  async updatePurchaseOrderStatus(req, res, next) {
     try {
       const { id } = req.params;
       const { status, notes } = req.body;
 
-      const validStatuses = ['pending', 'ordered', 'partially_received', 'received', 'cancelled'];
-      
-      if (!validStatuses.includes(status)) {
-        return res.status(400).json({
-          success: false,
-          message: 'Invalid status'
-        });
-      }
-
       const updateQuery = `
         UPDATE purchase_orders 
         SET status = $1, notes = COALESCE($2, notes), updated_at = NOW()
@@ -318,10 +277,7 @@ class PurchaseOrderController {
       const result = await pool.query(updateQuery, [status, notes, id]);
 
       if (result.rows.length === 0) {
-        return res.status(404).json({
-          success: false,
-          message: 'Purchase order not found'
-        });
+        throw new NotFoundError('Purchase order not found');
       }
 
       res.json({
@@ -330,32 +286,20 @@ class PurchaseOrderController {
         data: result.rows[0]
       });
     } catch (error) {
-      console.error('Error updating purchase order status:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Error updating purchase order status',
-        error: error.message
-      });
+      next(error);
     }
   }
 
   // Receive goods (partial or full)
-  async receiveGoods(req, res) {
+  async receiveGoods(req, res, next) {
     try {
       const { id } = req.params;
       const { 
-        items = [], // Array of {po_item_id, quantity_received, batch_number, expiration_date}
+        items, // Array of {po_item_id, quantity_received, batch_number, expiration_date}
         actual_delivery_date,
         notes 
       } = req.body;
 
-      if (!items || items.length === 0) {
-        return res.status(400).json({
-          success: false,
-          message: 'No items to receive'
-        });
-      }
-
       const result = await transaction(async (client) => {
         // Process each received item
         for (const item of items) {
@@ -378,14 +322,14 @@ class PurchaseOrderController {
           const poItemResult = await client.query(poItemQuery, [po_item_id, id]);
 
           if (poItemResult.rows.length === 0) {
-            throw new Error(`Purchase order item ${po_item_id} not found`);
+            throw new NotFoundError(`Purchase order item ${po_item_id} not found`);
           }
 
           const poItem = poItemResult.rows[0];
           const newQuantityReceived = poItem.quantity_received + quantity_received;
 
           if (newQuantityReceived > poItem.quantity_ordered) {
-            throw new Error(`Cannot receive more than ordered quantity for item ${po_item_id}`);
+            throw new ValidationError(`Cannot receive more than ordered quantity for item ${po_item_id}`);
           }
 
           // Update purchase order item
@@ -412,9 +356,10 @@ class PurchaseOrderController {
               received_date,
               status
             ) VALUES ($1, $2, $3, $4, $5, $6, $7, NOW(), 'active')
+            RETURNING inventory_id
           `;
 
-          await client.query(inventoryQuery, [
+          const inventoryResult = await client.query(inventoryQuery, [
             poItem.product_id,
             (await client.query('SELECT supplier_id FROM purchase_orders WHERE po_id = $1', [id])).rows[0].supplier_id,
             batch_number,
@@ -423,6 +368,16 @@ class PurchaseOrderController {
             poItem.unit_cost,
             expiration_date
           ]);
+
+          await ControlledRegister.record(client, {
+            inventoryId: inventoryResult.rows[0].inventory_id,
+            entryType: CONTROLLED_REGISTER_ENTRIES.RECEIPT,
+            quantityChange: quantity_received,
+            referenceType: 'purchase_order',
+            referenceId: id,
+            notes: `Received against purchase order ${id}`,
+            performedBy: req.user.userId
+          });
         }
 
         // Update purchase order status
@@ -472,17 +427,12 @@ class PurchaseOrderController {
         data: result
       });
     } catch (error) {
-      console.error('Error receiving goods:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Error receiving goods',
-        error: error.message
-      });
+      next(error);
     }
   }
 
   // Get purchase order statistics
-  async getPurchaseOrderStats(req, res) {
+  async getPurchaseOrderStats(req, res, next) {
     try {
       const statsQuery = `
         SELECT 
@@ -505,17 +455,12 @@ class PurchaseOrderController {
         data: result.rows[0]
       });
     } catch (error) {
-      console.error('Error fetching purchase order stats:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Error fetching purchase order statistics',
-        error: error.message
-      });
+      next(error);
     }
   }
 
   // Get overdue purchase orders
-  async getOverduePurchaseOrders(req, res) {
+  async getOverduePurchaseOrders(req, res, next) {
     try {
       const query = `
         SELECT 
@@ -538,17 +483,12 @@ class PurchaseOrderController {
         data: result.rows
       });
     } catch (error) {
-      console.error('Error fetching overdue purchase orders:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Error fetching overdue purchase orders',
-        error: error.message
-      });
+      next(error);
     }
   }
 
   // Cancel purchase order
-  async cancelPurchaseOrder(req, res) {
+  async cancelPurchaseOrder(req, res, next) {
     try {
       const { id } = req.params;
       const { cancellation_reason } = req.body;
@@ -561,18 +501,12 @@ class PurchaseOrderController {
       const checkResult = await pool.query(checkQuery, [id]);
 
       if (checkResult.rows.length === 0) {
-        return res.status(404).json({
-          success: false,
-          message: 'Purchase order not found'
-        });
+        throw new NotFoundError('Purchase order not found');
       }
 
       const currentStatus = checkResult.rows[0].status;
       if (['received', 'cancelled'].includes(currentStatus)) {
-        return res.status(400).json({
-          success: false,
-          message: 'Cannot cancel a purchase order that is already received or cancelled'
-        });
+        throw new ValidationError('Cannot cancel a purchase order that is already received or cancelled');
       }
 
       const updateQuery = `
@@ -595,12 +529,7 @@ class PurchaseOrderController {
         data: result.rows[0]
       });
     } catch (error) {
-      console.error('Error cancelling purchase order:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Error cancelling purchase order',
-        error: error.message
-      });
+      next(error);
     }
   }
 }
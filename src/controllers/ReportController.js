@@ -1,29 +1,23 @@
 const { query, transaction } = require('../config/database');
 const config = require('../config/environment');
 const logger = require('../utils/logger');
+const PriceOverride = require('../models/PriceOverride');
+const { ValidationError } = require('../utils/errorHandler');
 
 class ReportController {
   /**
    * Get sales summary report
    */
-  static async getSalesSummary(req, res) {
+  static async getSalesSummary(req, res, next) {
     try {
       const { 
         startDate, 
         endDate, 
-        groupBy = 'day', // day, week, month
+        groupBy, // day, week, month
         cashierId,
         customerId 
       } = req.query;
 
-      // Validate date range
-      if (!startDate || !endDate) {
-        return res.status(400).json({
-          success: false,
-          message: 'Start date and end date are required'
-        });
-      }
-
       // Build date grouping based on groupBy parameter
       let dateGrouping;
       switch (groupBy) {
@@ -73,15 +67,16 @@ class ReportController {
 
       const summaryResult = await query(salesSummaryQuery, queryParams);
 
-      // Get payment method breakdown
+      // Get payment method breakdown by tender; a split sale counts under each of its methods
       const paymentMethodQuery = `
         SELECT 
-          s.payment_method,
-          COUNT(s.sale_id) as transaction_count,
-          SUM(s.total_amount) as total_amount
+          sp.payment_method,
+          COUNT(DISTINCT s.sale_id) as transaction_count,
+          SUM(sp.amount) as total_amount
         FROM sales s
+        JOIN sale_payments sp ON sp.sale_id = s.sale_id
         WHERE ${whereConditions.join(' AND ')}
-        GROUP BY s.payment_method
+        GROUP BY sp.payment_method
         ORDER BY total_amount DESC
       `;
 
@@ -148,26 +143,22 @@ class ReportController {
       });
 
     } catch (error) {
-      logger.error('Sales summary report error:', error.message);
-      res.status(500).json({
-        success: false,
-        message: 'Failed to generate sales summary report'
-      });
+      next(error);
     }
   }
 
   /**
    * Get inventory valuation report
    */
-  static async getInventoryValuation(req, res) {
+  static async getInventoryValuation(req, res, next) {
     try {
-      const { categoryId, supplierId, includeExpired = 'false' } = req.query;
+      const { categoryId, supplierId, includeExpired } = req.query;
 
       let whereConditions = ['i.quantity_on_hand > 0'];
       let queryParams = [];
       let paramIndex = 1;
 
-      if (includeExpired === 'false') {
+      if (!includeExpired) {
         whereConditions.push('i.status = \'active\'');
       }
 
@@ -269,30 +260,26 @@ class ReportController {
       });
 
     } catch (error) {
-      logger.error('Inventory valuation report error:', error.message);
-      res.status(500).json({
-        success: false,
-        message: 'Failed to generate inventory valuation report'
-      });
+      next(error);
     }
   }
 
   /**
    * Get expiration report
    */
-  static async getExpirationReport(req, res) {
+  static async getExpirationReport(req, res, next) {
     try {
       const { 
-        days = 90, 
+        days, 
         urgencyLevel, // critical, warning, watch, expired
         categoryId,
-        sortBy = 'expiration_date' // expiration_date, value_at_risk, quantity
+        sortBy // expiration_date, value_at_risk, quantity
       } = req.query;
 
       let whereConditions = [
         'i.status = \'active\'',
         'i.quantity_on_hand > 0',
-        `i.expiration_date <= CURRENT_DATE + INTERVAL '${parseInt(days)} days'`
+        `i.expiration_date <= CURRENT_DATE + INTERVAL '${days} days'`
       ];
       let queryParams = [];
       let paramIndex = 1;
@@ -436,20 +423,16 @@ class ReportController {
       });
 
     } catch (error) {
-      logger.error('Expiration report error:', error.message);
-      res.status(500).json({
-        success: false,
-        message: 'Failed to generate expiration report'
-      });
+      next(error);
     }
   }
 
   /**
    * Get low stock report
    */
-  static async getLowStockReport(req, res) {
+  static async getLowStockReport(req, res, next) {
     try {
-      const { categoryId, criticalOnly = 'false' } = req.query;
+      const { categoryId, criticalOnly } = req.query;
 
       let whereConditions = ['p.is_active = TRUE'];
       let queryParams = [];
@@ -493,7 +476,7 @@ class ReportController {
         GROUP BY p.product_id, p.product_code, p.product_name, p.brand_name, c.category_name, 
                  p.minimum_stock_level, p.reorder_point, p.maximum_stock_level, p.unit_cost, p.selling_price
         HAVING 
-          ${criticalOnly === 'true' 
+          ${criticalOnly 
             ? 'COALESCE(SUM(i.quantity_available), 0) <= 5' 
             : 'COALESCE(SUM(i.quantity_available), 0) <= p.minimum_stock_level'
           }
@@ -566,18 +549,83 @@ class ReportController {
       });
 
     } catch (error) {
-      logger.error('Low stock report error:', error.message);
-      res.status(500).json({
-        success: false,
-        message: 'Failed to generate low stock report'
+      next(error);
+    }
+  }
+
+  /**
+   * Price exceptions per cashier: every line sold away from its list price,
+   * with how far off it was and who approved it
+   */
+  static async getPriceExceptions(req, res, next) {
+    try {
+      const { startDate, endDate, cashierId, productId, approved } = req.query;
+
+      const overrides = await PriceOverride.findAll({ startDate, endDate, cashierId, productId, approved });
+
+      const cashiers = new Map();
+      for (const row of overrides) {
+        if (!cashiers.has(row.cashier_id)) {
+          cashiers.set(row.cashier_id, {
+            cashier: {
+              id: row.cashier_id,
+              username: row.cashier_username,
+              name: `${row.cashier_first_name} ${row.cashier_last_name}`
+            },
+            overrideCount: 0,
+            approvedCount: 0,
+            // Revenue given up (negative when prices were raised)
+            priceDifference: 0,
+            exceptions: []
+          });
+        }
+
+        const difference = (parseFloat(row.list_price) - parseFloat(row.override_price)) * row.quantity;
+        const entry = cashiers.get(row.cashier_id);
+        entry.overrideCount += 1;
+        entry.approvedCount += row.approved_by === null ? 0 : 1;
+        entry.priceDifference += difference;
+        entry.exceptions.push({
+          id: row.override_id,
+          sale: { id: row.sale_id, saleNumber: row.sale_number },
+          product: { id: row.product_id, code: row.product_code, name: row.product_name },
+          quantity: row.quantity,
+          listPrice: parseFloat(row.list_price),
+          overridePrice: parseFloat(row.override_price),
+          priceDifference: parseFloat(difference.toFixed(2)),
+          reason: row.reason,
+          approvedBy: row.approved_by === null ? null : { id: row.approved_by, username: row.approved_by_username },
+          approvalMethod: row.approval_method,
+          createdAt: row.created_at
+        });
+      }
+
+      const byCashier = [...cashiers.values()]
+        .map(entry => ({ ...entry, priceDifference: parseFloat(entry.priceDifference.toFixed(2)) }))
+        .sort((a, b) => b.priceDifference - a.priceDifference);
+
+      res.json({
+        success: true,
+        data: {
+          summary: {
+            overrideCount: overrides.length,
+            approvedCount: byCashier.reduce((sum, entry) => sum + entry.approvedCount, 0),
+            priceDifference: parseFloat(byCashier.reduce((sum, entry) => sum + entry.priceDifference, 0).toFixed(2))
+          },
+          cashiers: byCashier,
+          dateRange: { startDate, endDate }
+        }
       });
+
+    } catch (error) {
+      next(error);
     }
   }
 
   /**
    * Generate custom report based on provided parameters
    */
-  static async generateCustomReport(req, res) {
+  static async generateCustomReport(req, res, next) {
     try {
       const {
         reportType, // sales, inventory, customers, suppliers
@@ -585,24 +633,18 @@ class ReportController {
         filters, // object with filter conditions
         groupBy, // grouping field
         dateRange, // { startDate, endDate }
-        sortBy = 'created_at',
-        sortOrder = 'DESC',
-        limit = 1000
+        sortBy,
+        sortOrder,
+        limit
       } = req.body;
 
-      if (!reportType || !metrics || metrics.length === 0) {
-        return res.status(400).json({
-          success: false,
-          message: 'Report type and metrics are required'
-        });
-      }
-
       // This is a simplified custom report generator
       // In a production system, you'd want more sophisticated query building
       let baseQuery = '';
       let whereConditions = [];
       let queryParams = [];
       let paramIndex = 1;
+      let tableAlias;
 
       switch (reportType) {
         case 'sales':
@@ -612,6 +654,7 @@ class ReportController {
             LEFT JOIN customers c ON s.customer_id = c.customer_id
             LEFT JOIN users u ON s.cashier_id = u.user_id
           `;
+          tableAlias = 's';
           
           if (dateRange && dateRange.startDate && dateRange.endDate) {
             whereConditions.push(`s.sale_date >= $${paramIndex}`);
@@ -631,22 +674,20 @@ class ReportController {
             LEFT JOIN categories c ON p.category_id = c.category_id
             LEFT JOIN suppliers s ON i.supplier_id = s.supplier_id
           `;
+          tableAlias = 'i';
           
           whereConditions.push('i.quantity_on_hand > 0');
           break;
 
         default:
-          return res.status(400).json({
-            success: false,
-            message: 'Unsupported report type'
-          });
+          throw new ValidationError('Unsupported report type');
       }
 
-      // Apply filters
-      if (filters && typeof filters === 'object') {
+      // Apply filters (keys are whitelisted per report type by the request schema)
+      if (filters) {
         Object.entries(filters).forEach(([key, value]) => {
           if (value !== null && value !== undefined && value !== '') {
-            whereConditions.push(`${key} = $${paramIndex}`);
+            whereConditions.push(`${tableAlias}.${key} = $${paramIndex}`);
             queryParams.push(value);
             paramIndex++;
           }
@@ -658,7 +699,7 @@ class ReportController {
       if (whereConditions.length > 0) {
         finalQuery += ` WHERE ${whereConditions.join(' AND ')}`;
       }
-      finalQuery += ` ORDER BY ${sortBy} ${sortOrder} LIMIT ${parseInt(limit)}`;
+      finalQuery += ` ORDER BY ${tableAlias}.${sortBy} ${sortOrder} LIMIT ${limit}`;
 
       const result = await query(finalQuery, queryParams);
 
@@ -680,11 +721,7 @@ class ReportController {
       });
 
     } catch (error) {
-      logger.error('Custom report generation error:', error.message);
-      res.status(500).json({
-        success: false,
-        message: 'Failed to generate custom report'
-      });
+      next(error);
     }
   }
 }
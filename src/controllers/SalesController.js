@@ -1,226 +1,804 @@
 const { query, transaction } = require('../config/database');
+const config = require('../config/environment');
 const logger = require('../utils/logger');
+const Permission = require('../models/Permission');
+const ControlledRegister = require('../models/ControlledRegister');
+const Prescription = require('../models/Prescription');
+const Inventory = require('../models/Inventory');
+const ClinicalScreening = require('../models/ClinicalScreening');
+const SalePayment = require('../models/SalePayment');
+const RegisterShift = require('../models/RegisterShift');
+const Promotion = require('../models/Promotion');
+const PriceOverride = require('../models/PriceOverride');
+const PriceList = require('../models/PriceList');
+const SaleDraft = require('../models/SaleDraft');
+const { generatePagination } = require('../utils/helpers');
+const { signPriceOverrideApproval } = require('../utils/tokens');
+const { renderTextPdf } = require('../utils/pdf');
+const {
+  PERMISSIONS, CONTROLLED_REGISTER_ENTRIES, PAYMENT_METHODS, DRAFT_TYPES, DRAFT_STATUS, LAYAWAY_REFUND_STATUS
+} = require('../utils/constants');
+const {
+  ValidationError, NotFoundError, ConflictError, ForbiddenError, PrescriptionRequiredError, ClinicalReviewRequiredError
+} = require('../utils/errorHandler');
+
+const toCents = amount => Math.round(Number(amount) * 100);
+
+/**
+ * Shape a sale_payments row for responses
+ * @param {Object} payment - sale_payments row
+ * @returns {Object}
+ */
+const formatPayment = payment => ({
+  id: payment.payment_id,
+  method: payment.payment_method,
+  amount: payment.amount,
+  tenderedAmount: payment.tendered_amount,
+  changeDue: payment.change_due,
+  reference: payment.reference,
+  refundedAmount: payment.refunded_amount
+});
+
+/**
+ * Total discount each promotion gave across a sale's lines
+ * @param {Array} priced - Per-line results of Promotion.price
+ * @returns {Array} [{ id, name, discountAmount }]
+ */
+const appliedPromotions = (priced) => {
+  const totals = new Map();
+
+  for (const promotion of priced.flatMap(line => line.promotions)) {
+    const total = totals.get(promotion.promotionId) || { id: promotion.promotionId, name: promotion.name, cents: 0 };
+    total.cents += Math.round(promotion.discountAmount * 100);
+    totals.set(promotion.promotionId, total);
+  }
 
-class SalesController {
-  /**
-   * Create a new sale transaction
-   */
-  static async createSale(req, res) {
-    try {
-      const {
-        customerId,
-        items, // Array of { productId, quantity, unitPrice, discountPercentage, inventoryId }
-        paymentMethod,
-        prescriptionNumber,
-        doctorName,
-        insuranceClaimAmount = 0,
-        customerPaymentAmount,
-        notes
-      } = req.body;
-
-      const cashierId = req.user.userId;
-
-      // Input validation
-      if (!items || !Array.isArray(items) || items.length === 0) {
-        return res.status(400).json({
-          success: false,
-          message: 'At least one item is required for the sale'
-        });
+  return [...totals.values()].map(({ id, name, cents }) => ({ id, name, discountAmount: cents / 100 }));
+};
+
+/**
+ * Shape a sale_draft_items row for responses
+ * @param {Object} item - Row from SaleDraft.findItems
+ * @returns {Object}
+ */
+const formatDraftItem = item => ({
+  id: item.draft_item_id,
+  lineNumber: item.line_number,
+  product: { id: item.product_id, name: item.product_name, code: item.product_code },
+  inventoryId: item.inventory_id,
+  quantity: item.quantity,
+  unitPrice: Number(item.unit_price),
+  priceListId: item.price_list_id,
+  discountPercentage: Number(item.discount_percentage),
+  promotionDiscountAmount: Number(item.promotion_discount_amount),
+  promotions: item.promotions,
+  prescriptionId: item.prescription_id,
+  lineTotal: Number(item.line_total),
+  taxAmount: Number(item.tax_amount)
+});
+
+/**
+ * Shape a layaway_payments row for responses
+ * @param {Object} payment - Row from SaleDraft.findPayments or addPayment
+ * @returns {Object}
+ */
+const formatLayawayPayment = payment => ({
+  id: payment.payment_id,
+  method: payment.payment_method,
+  amount: Number(payment.amount),
+  reference: payment.reference,
+  shiftId: payment.shift_id,
+  receivedBy: { id: payment.received_by, username: payment.received_by_username },
+  createdAt: payment.created_at
+});
+
+/**
+ * Shape a layaway_refunds row for responses
+ * @param {Object} refund - Row from SaleDraft.findRefunds or payRefunds
+ * @returns {Object}
+ */
+const formatLayawayRefund = refund => ({
+  id: refund.refund_id,
+  paymentId: refund.payment_id,
+  method: refund.payment_method,
+  reference: refund.reference,
+  amount: Number(refund.amount),
+  status: refund.status,
+  shiftId: refund.shift_id,
+  refundedBy: refund.refunded_by === null ? null : { id: refund.refunded_by, username: refund.refunded_by_username },
+  createdAt: refund.created_at,
+  refundedAt: refund.refunded_at
+});
+
+/**
+ * Shape a draft for responses. Lines and, for layaways, payments, the
+ * installment plan and refunds are included when given.
+ * @param {Object} draft - Row from SaleDraft.findById or findAll
+ * @param {Array} [items] - Rows from SaleDraft.findItems
+ * @param {Array} [payments] - Rows from SaleDraft.findPayments
+ * @param {Array} [refunds] - Rows from SaleDraft.findRefunds
+ * @returns {Object}
+ */
+const formatDraft = (draft, items = null, payments = null, refunds = null) => {
+  const layaway = draft.draft_type === DRAFT_TYPES.LAYAWAY;
+
+  return {
+    id: draft.draft_id,
+    draftNumber: draft.draft_number,
+    draftType: draft.draft_type,
+    status: draft.status,
+    customer: draft.customer_id === null ? null : {
+      id: draft.customer_id,
+      name: `${draft.customer_first_name} ${draft.customer_last_name}`
+    },
+    terminal: draft.terminal,
+    couponCodes: draft.coupon_codes,
+    notes: draft.notes,
+    subtotal: Number(draft.subtotal),
+    taxAmount: Number(draft.tax_amount),
+    discountAmount: Number(draft.discount_amount),
+    totalAmount: Number(draft.total_amount),
+    ...(layaway ? {
+      layaway: {
+        installmentCount: draft.installment_count,
+        amountPaid: Number(draft.amount_paid),
+        balanceDue: (Math.round(draft.total_amount * 100) - Math.round(draft.amount_paid * 100)) / 100,
+        refundDue: Number(draft.refund_due),
+        amountRefunded: Number(draft.amount_refunded)
       }
+    } : {}),
+    expiresAt: draft.expires_at,
+    createdBy: { id: draft.created_by, username: draft.created_by_username },
+    createdAt: draft.created_at,
+    updatedAt: draft.updated_at,
+    closedAt: draft.closed_at,
+    sale: draft.sale_id === null ? null : { id: draft.sale_id, saleNumber: draft.sale_number },
+    ...(items ? { items: items.map(formatDraftItem) } : {}),
+    ...(layaway && payments ? {
+      payments: payments.map(formatLayawayPayment),
+      installments: SaleDraft.installmentPlan(draft, payments)
+    } : {}),
+    ...(layaway && refunds ? { refunds: refunds.map(formatLayawayRefund) } : {})
+  };
+};
+
+/**
+ * A draft with its lines, and its payments if it is a layaway, for responses
+ * @param {number} draftId - Draft ID
+ * @returns {Promise<Object>}
+ */
+const loadDraft = async (draftId) => {
+  const draft = await SaleDraft.findById(draftId);
+  if (!draft) {
+    throw new NotFoundError('Sale draft not found');
+  }
 
-      if (!paymentMethod) {
-        return res.status(400).json({
-          success: false,
-          message: 'Payment method is required'
-        });
-      }
+  const layaway = draft.draft_type === DRAFT_TYPES.LAYAWAY;
+  const [items, payments, refunds] = await Promise.all([
+    SaleDraft.findItems(draftId),
+    layaway ? SaleDraft.findPayments(draftId) : null,
+    layaway ? SaleDraft.findRefunds(draftId) : null
+  ]);
+
+  return formatDraft(draft, items, payments, refunds);
+};
+
+/**
+ * A quote as given to the customer
+ * @param {Object} draft - Row from SaleDraft.findById
+ * @param {Array} items - Rows from SaleDraft.findItems
+ * @returns {Object}
+ */
+const formatQuote = (draft, items) => ({
+  quoteNumber: draft.draft_number,
+  status: draft.status,
+  issuedAt: draft.updated_at,
+  validUntil: draft.expires_at,
+  customer: draft.customer_id === null ? null : {
+    id: draft.customer_id,
+    name: `${draft.customer_first_name} ${draft.customer_last_name}`
+  },
+  items: items.map(item => ({
+    productName: item.product_name,
+    productCode: item.product_code,
+    quantity: item.quantity,
+    unitPrice: Number(item.unit_price),
+    discountAmount: (Math.round(item.unit_price * item.quantity * 100) - Math.round(item.line_total * 100)) / 100,
+    lineTotal: Number(item.line_total)
+  })),
+  subtotal: Number(draft.subtotal),
+  taxAmount: Number(draft.tax_amount),
+  totalAmount: Number(draft.total_amount),
+  notes: draft.notes
+});
+
+/**
+ * Lay a quote out as lines of text for its PDF
+ * @param {Object} quote - From formatQuote
+ * @returns {Array<string>}
+ */
+const quoteDocument = (quote) => {
+  const day = value => new Date(value).toISOString().slice(0, 10);
+  const money = amount => amount.toFixed(2).padStart(11);
+  const rule = '-'.repeat(75);
+
+  return [
+    `QUOTE ${quote.quoteNumber}`,
+    `Issued ${day(quote.issuedAt)}, valid until ${day(quote.validUntil)}`,
+    `Customer: ${quote.customer ? quote.customer.name : '-'}`,
+    '',
+    `${'Item'.padEnd(36)}${'Qty'.padStart(6)}${'Unit price'.padStart(11)}${'Discount'.padStart(11)}${'Total'.padStart(11)}`,
+    rule,
+    ...quote.items.map(item => (
+      `${item.productName.slice(0, 35).padEnd(36)}${String(item.quantity).padStart(6)}`
+        + `${money(item.unitPrice)}${money(item.discountAmount)}${money(item.lineTotal)}`
+    )),
+    rule,
+    `${'Subtotal'.padStart(64)}${money(quote.subtotal)}`,
+    `${'Tax'.padStart(64)}${money(quote.taxAmount)}`,
+    `${'Total'.padStart(64)}${money(quote.totalAmount)}`,
+    ...(quote.notes ? ['', ...quote.notes.split('\n').flatMap(line => line.match(/.{1,75}/g) || [''])] : []),
+    '',
+    'Prices and stock are held until the quote expires.'
+  ];
+};
+
+/**
+ * A draft's lines, the stock they hold and its totals, from its priced sale.
+ * Each line holds its tax in cents, and the draft's totals are the sum of
+ * what its lines hold, so completing it comes to the same total (see priceSale).
+ * @param {Object} sale - From priceSale
+ * @returns {Object} { items, reservations, totals } for SaleDraft.create and replace
+ */
+const heldLines = ({ lines, processedItems, priced, subtotal, discountAmount }) => {
+  const lineSum = (index, field) => processedItems
+    .filter(processed => processed.line === index)
+    .reduce((sum, processed) => sum + processed[field], 0);
+
+  const items = lines.map(({ item, unitPrice, priceListId }, index) => ({
+    productId: item.productId,
+    inventoryId: item.inventoryId,
+    quantity: item.quantity,
+    unitPrice,
+    priceListId,
+    discountPercentage: item.discountPercentage,
+    promotionDiscountAmount: priced[index].discountAmount,
+    promotions: priced[index].promotions,
+    prescriptionId: item.prescriptionId,
+    lineTotal: lineSum(index, 'lineTotal'),
+    taxAmount: Math.round(lineSum(index, 'taxAmount') * 100) / 100
+  }));
+
+  const subtotalCents = Math.round(subtotal * 100);
+  const taxCents = items.reduce((sum, item) => sum + Math.round(item.taxAmount * 100), 0);
+
+  return {
+    items,
+    reservations: processedItems.map(({ inventoryId, quantity }) => ({ inventoryId, quantity })),
+    totals: {
+      subtotal: subtotalCents / 100,
+      taxAmount: taxCents / 100,
+      discountAmount,
+      totalAmount: (subtotalCents + taxCents) / 100
+    }
+  };
+};
+
+/**
+ * Take a layaway deposit or installment into the cashier's shift
+ * @param {Object} client - Transaction client
+ * @param {Object} user - req.user of the cashier
+ * @param {number} draftId - Draft ID
+ * @param {Object} payment - method, amount, reference
+ * @returns {Promise<Object>} The layaway_payments row
+ */
+const takeLayawayPayment = async (client, user, draftId, payment) => {
+  const shift = await RegisterShift.findOpenForCashier(user.userId, client, { forShare: true });
+  if (!shift && config.pharmacy.requireShiftForCash && payment.method === PAYMENT_METHODS.CASH) {
+    throw new ValidationError('Open a register shift before taking cash');
+  }
 
-      const validPaymentMethods = ['cash', 'card', 'insurance', 'check', 'digital'];
-      if (!validPaymentMethods.includes(paymentMethod)) {
-        return res.status(400).json({
-          success: false,
-          message: 'Invalid payment method'
-        });
+  return SaleDraft.addPayment(client, draftId, {
+    ...payment,
+    shiftId: shift ? shift.shift_id : null,
+    receivedBy: user.userId
+  });
+};
+
+/**
+ * Pay back what is due on a closed layaway to the tenders it was paid with;
+ * cash comes out of the refunder's drawer
+ * @param {Object} client - Transaction client
+ * @param {Object} user - req.user of whoever pays it back
+ * @param {number} draftId - Draft ID
+ * @returns {Promise<Array>} The refunds paid
+ */
+const payLayawayRefunds = async (client, user, draftId) => {
+  const due = (await SaleDraft.findRefunds(draftId, client))
+    .filter(refund => refund.status === LAYAWAY_REFUND_STATUS.DUE);
+  if (due.length === 0) return [];
+
+  const shift = await RegisterShift.findOpenForCashier(user.userId, client, { forShare: true });
+  if (!shift && config.pharmacy.requireShiftForCash
+    && due.some(refund => refund.payment_method === PAYMENT_METHODS.CASH)) {
+    throw new ValidationError('Open a register shift before refunding cash');
+  }
+
+  return SaleDraft.payRefunds(client, draftId, { refundedBy: user.userId, shiftId: shift ? shift.shift_id : null });
+};
+
+/**
+ * Check, reserve and price a sale's lines in its transaction: products,
+ * prescriptions, first-expiry-first-out batches, list prices and price
+ * overrides, clinical screening, promotions and manual discounts. Lines held
+ * by a draft sell at the prices, promotions and tax they were held at, and
+ * their discounts were checked against the role of whoever held them.
+ * @param {Object} client - Transaction client
+ * @param {Object} user - req.user of the cashier
+ * @param {Object} sale - customerId, couponCodes and items
+ *   [{ productId, quantity, unitPrice, priceOverride, discountPercentage, inventoryId, prescriptionId }]
+ * @param {Object} [options] - held: per line, { unitPrice, priceListId, discountAmount, promotions, taxAmount };
+ *   ipAddress: client IP, for the login throttle on a manager's credentials entered for an override
+ * @returns {Promise<Object>} lines, processedItems (one per batch), prescriptions, pricing,
+ *   priceOverrides, screening, priced, subtotal, taxAmount, discountAmount, totalAmount
+ */
+const priceSale = async (client, user, { customerId = null, items, couponCodes = [] }, {
+  held = null,
+  ipAddress = null
+} = {}) => {
+  // Manual discounts are capped by role; promotions are priced by the server
+  const maxManualDiscount = config.pharmacy.maxManualDiscount[user.role] || 0;
+  if (!held && items.some(item => item.discountPercentage > maxManualDiscount)) {
+    throw new ForbiddenError(`You may give a manual discount of at most ${maxManualDiscount}%`);
+  }
+
+  const canDispenseControlled = await Permission.has(user, PERMISSIONS.CONTROLLED_DISPENSE);
+
+  // Requested lines with their product, prescription and batches
+  const lines = [];
+  // Prescriptions dispensed by this sale, and the quantity dispensed against each
+  const prescriptions = new Map();
+
+  // Validate and process each item
+  for (const item of items) {
+    const { productId, quantity, inventoryId, prescriptionId } = item;
+
+    // Get product details including tax rate
+    const productQuery = `
+      SELECT p.product_id, p.product_name, p.category_id, p.requires_prescription, 
+             p.controlled_substance, p.tax_rate, p.selling_price, p.unit_cost
+      FROM products p 
+      WHERE p.product_id = $1 AND p.is_active = TRUE
+    `;
+    const productResult = await client.query(productQuery, [productId]);
+
+    if (productResult.rows.length === 0) {
+      throw new NotFoundError(`Product with ID ${productId} not found or inactive`);
+    }
+
+    const product = productResult.rows[0];
+
+    if (product.controlled_substance && !canDispenseControlled) {
+      throw new ForbiddenError(`You are not permitted to dispense controlled substance: ${product.product_name}`);
+    }
+
+    // Prescription-only lines are dispensed against a prescription on file
+    let prescription = null;
+    if (prescriptionId) {
+      prescription = await Prescription.lockForDispensing(client, prescriptionId, {
+        customerId,
+        productId,
+        controlled: product.controlled_substance
+      });
+
+      const dispensed = (prescriptions.get(prescriptionId)?.quantity || 0) + quantity;
+      if (dispensed > prescription.quantity) {
+        throw new ValidationError(
+          `Prescription ${prescription.prescription_number} is for ${prescription.quantity} units; cannot dispense ${dispensed}`
+        );
       }
+      prescriptions.set(prescriptionId, { prescription, quantity: dispensed });
+    } else if ((product.requires_prescription && config.pharmacy.requirePrescriptionValidation) || product.controlled_substance) {
+      throw new PrescriptionRequiredError(`Prescription required for product: ${product.product_name}`, { productId });
+    }
 
-      await transaction(async (client) => {
-        // Calculate sale totals
-        let subtotal = 0;
-        let totalTaxAmount = 0;
-        const processedItems = [];
+    // Spread the line over sellable batches, first expiry first
+    const allocations = await Inventory.allocate(client, product, quantity, { inventoryId });
 
-        // Validate and process each item
-        for (const item of items) {
-          const { productId, quantity, unitPrice, discountPercentage = 0, inventoryId } = item;
+    lines.push({ item, product, prescription, allocations });
+  }
 
-          if (!productId || !quantity || quantity <= 0) {
-            throw new Error('Invalid item: productId and positive quantity required');
-          }
+  // The server prices each line from the customer's price list or the
+  // product; any other price is an override, recorded for review
+  const pricing = await PriceList.forCustomer(customerId, client);
+  const priceOverrides = [];
 
-          // Get product details including tax rate
-          const productQuery = `
-            SELECT p.product_id, p.product_name, p.requires_prescription, 
-                   p.controlled_substance, p.tax_rate, p.selling_price
-            FROM products p 
-            WHERE p.product_id = $1 AND p.is_active = TRUE
-          `;
-          const productResult = await client.query(productQuery, [productId]);
+  for (const [index, line] of lines.entries()) {
+    const { item, product } = line;
 
-          if (productResult.rows.length === 0) {
-            throw new Error(`Product with ID ${productId} not found or inactive`);
-          }
+    if (held) {
+      line.unitPrice = held[index].unitPrice;
+      line.priceListId = held[index].priceListId;
+      continue;
+    }
 
-          const product = productResult.rows[0];
+    const listed = PriceList.priceFor(product, pricing);
+    if (listed.price === null && item.unitPrice === undefined) {
+      throw new ValidationError(`${product.product_name} has no list price; give a unit price with a price override`);
+    }
 
-          // Check if prescription is required
-          if (product.requires_prescription && !prescriptionNumber) {
-            throw new Error(`Prescription required for product: ${product.product_name}`);
-          }
+    const listPrice = listed.price || 0;
+    line.unitPrice = item.unitPrice === undefined ? listPrice : item.unitPrice;
+    line.priceListId = listed.priceList?.price_list_id || null;
+
+    if (Math.round(line.unitPrice * 100) !== Math.round(listPrice * 100)) {
+      const approval = await PriceOverride.authorize(user, {
+        productId: item.productId,
+        productName: product.product_name,
+        quantity: item.quantity,
+        listPrice,
+        unitPrice: line.unitPrice
+      }, item.priceOverride, { client, ipAddress });
+      priceOverrides.push({ productId: item.productId, quantity: item.quantity, listPrice, unitPrice: line.unitPrice, ...approval });
+    }
+  }
 
-          // Verify inventory availability
-          let inventoryCheck;
-          if (inventoryId) {
-            // Specific inventory batch requested
-            inventoryCheck = await client.query(`
-              SELECT inventory_id, quantity_available, expiration_date, batch_number, unit_cost
-              FROM inventory 
-              WHERE inventory_id = $1 AND product_id = $2 AND status = 'active' AND quantity_available >= $3
-            `, [inventoryId, productId, quantity]);
-          } else {
-            // Use FIFO - first expiring available inventory
-            inventoryCheck = await client.query(`
-              SELECT inventory_id, quantity_available, expiration_date, batch_number, unit_cost
-              FROM inventory 
-              WHERE product_id = $1 AND status = 'active' AND quantity_available >= $2
-              ORDER BY expiration_date ASC 
-              LIMIT 1
-            `, [productId, quantity]);
-          }
+  // Screen against the customer's allergies, conditions and recent purchases
+  const screening = await ClinicalScreening.screen({ customerId, productIds: items.map(item => item.productId) }, client);
+
+  // Price the lines: promotions first, then the manual discount on what is left
+  const priced = held
+    ? held.map(({ discountAmount, promotions }) => ({ discountAmount, promotions }))
+    : await Promotion.price(client, {
+      lines: lines.map(({ item, unitPrice, product }) => ({
+        productId: item.productId,
+        categoryId: product.category_id,
+        quantity: item.quantity,
+        unitPrice,
+        requiresPrescription: product.requires_prescription,
+        controlled: product.controlled_substance
+      })),
+      customerId,
+      couponCodes
+    });
+
+  let subtotal = 0;
+  let totalTaxAmount = 0;
+  let totalDiscountAmount = 0;
+  const processedItems = [];
+
+  lines.forEach(({ item, unitPrice, priceListId, product, prescription, allocations }, index) => {
+    const { discountPercentage } = item;
+    const quantities = allocations.map(allocation => allocation.quantity);
+    // Each promotion's discount split over the batches the line came from
+    const promotionShares = priced[index].promotions.map(promotion => ({
+      ...promotion,
+      shares: Promotion.apportion(promotion.discountAmount, quantities)
+    }));
+    // A held line's tax is split over its batches the same way
+    const heldTaxShares = held ? Promotion.apportion(held[index].taxAmount, quantities) : null;
+
+    // One sale_items row per batch, each priced like the requested line
+    allocations.forEach((allocation, batch) => {
+      const lineSubtotal = unitPrice * allocation.quantity;
+      const promotions = promotionShares
+        .map(promotion => ({ promotionId: promotion.promotionId, discountAmount: promotion.shares[batch] }))
+        .filter(promotion => promotion.discountAmount > 0);
+      const promotionDiscountAmount = promotions.reduce((sum, promotion) => sum + promotion.discountAmount, 0);
+      const discountAmount = promotionDiscountAmount
+        + ((lineSubtotal - promotionDiscountAmount) * discountPercentage) / 100;
+      const lineTotal = lineSubtotal - discountAmount;
+      const lineTaxAmount = heldTaxShares ? heldTaxShares[batch] : (lineTotal * product.tax_rate) / 100;
+
+      subtotal += lineTotal;
+      totalTaxAmount += lineTaxAmount;
+      totalDiscountAmount += discountAmount;
+
+      processedItems.push({
+        line: index,
+        productId: item.productId,
+        inventoryId: allocation.inventory.inventory_id,
+        quantity: allocation.quantity,
+        unitPrice,
+        priceListId,
+        discountPercentage,
+        discountAmount,
+        promotionDiscountAmount,
+        promotions,
+        lineTotal,
+        taxAmount: lineTaxAmount,
+        expirationDate: allocation.inventory.expiration_date,
+        batchNumber: allocation.inventory.batch_number,
+        prescriptionId: prescription ? prescription.prescription_id : null,
+        prescriptionNumber: prescription ? prescription.prescription_number : null
+      });
+    });
+  });
+
+  return {
+    lines,
+    processedItems,
+    prescriptions,
+    pricing,
+    priceOverrides,
+    screening,
+    priced,
+    subtotal,
+    taxAmount: totalTaxAmount,
+    discountAmount: totalDiscountAmount,
+    // A held sale comes to its draft's total: cents of subtotal and held tax (see heldLines)
+    totalAmount: held
+      ? (Math.round(subtotal * 100) + Math.round(totalTaxAmount * 100)) / 100
+      : subtotal + totalTaxAmount
+  };
+};
+
+/**
+ * Record a sale in its transaction: price its lines, take its tenders and
+ * dispense its stock, prescriptions and controlled register entries
+ * @param {Object} client - Transaction client
+ * @param {Object} user - req.user of the cashier
+ * @param {Object} body - Validated createSale body
+ * @param {Object} [options] - held, ipAddress: see priceSale; prepaid: the tenders were taken
+ *   beforehand (layaway payments) in the shifts that took them, so the sale belongs to no shift
+ * @returns {Promise<Object>} The sale for the response
+ */
+const recordSale = async (client, user, body, { held = null, prepaid = false, ipAddress = null } = {}) => {
+  const {
+    customerId,
+    payments, // Array of { method, amount, reference }
+    paymentMethod,
+    insuranceClaimAmount,
+    customerPaymentAmount,
+    notes,
+    clinicalOverride // { reason } when going ahead despite severe clinical warnings
+  } = body;
+
+  const cashierId = user.userId;
+  // Set when an integration (e.g. e-commerce sync) creates the sale
+  const apiKeyId = user.apiKeyId || null;
+
+  const {
+    processedItems, prescriptions, pricing, priceOverrides, screening, priced,
+    subtotal, taxAmount: totalTaxAmount, discountAmount: totalDiscountAmount, totalAmount
+  } = await priceSale(client, user, body, { held, ipAddress });
+
+  // Severe warnings need a pharmacist to override them with a reason
+  if (screening.requiresOverride) {
+    if (!clinicalOverride) {
+      throw new ClinicalReviewRequiredError(
+        'This sale has severe clinical warnings; a pharmacist must override them with a reason',
+        { warnings: screening.warnings }
+      );
+    }
+    if (!await Permission.has(user, PERMISSIONS.CLINICAL_OVERRIDE)) {
+      throw new ForbiddenError('You are not permitted to override severe clinical warnings');
+    }
+  }
 
-          if (inventoryCheck.rows.length === 0) {
-            throw new Error(`Insufficient inventory for product: ${product.product_name}`);
-          }
+  // The single-payment form is an insurance claim plus what the customer paid
+  const tenders = payments || [
+    { method: PAYMENT_METHODS.INSURANCE, amount: insuranceClaimAmount },
+    { method: paymentMethod, amount: customerPaymentAmount }
+  ].filter(tender => tender.amount > 0);
 
-          const inventory = inventoryCheck.rows[0];
+  // Apply the tenders to the total, working out change for cash
+  const { payments: applied, changeDue } = SalePayment.applyTenders(tenders, totalAmount);
+  const summary = SalePayment.summarize(applied, paymentMethod);
 
-          // Reserve inventory (update quantity_reserved)
-          await client.query(`
-            UPDATE inventory 
-            SET quantity_reserved = quantity_reserved + $1
-            WHERE inventory_id = $2
-          `, [quantity, inventory.inventory_id]);
-
-          // Calculate line totals
-          const lineSubtotal = unitPrice * quantity;
-          const discountAmount = (lineSubtotal * discountPercentage) / 100;
-          const lineTotal = lineSubtotal - discountAmount;
-          const lineTaxAmount = (lineTotal * product.tax_rate) / 100;
-
-          subtotal += lineTotal;
-          totalTaxAmount += lineTaxAmount;
-
-          processedItems.push({
-            productId,
-            inventoryId: inventory.inventory_id,
-            quantity,
-            unitPrice,
-            discountPercentage,
-            discountAmount,
-            lineTotal,
-            expirationDate: inventory.expiration_date,
-            batchNumber: inventory.batch_number
-          });
-        }
+  // The sale belongs to the cashier's open shift; cash needs a drawer to go into
+  const shift = prepaid ? null : await RegisterShift.findOpenForCashier(cashierId, client, { forShare: true });
+  if (!prepaid && !shift && config.pharmacy.requireShiftForCash && applied.some(payment => payment.method === PAYMENT_METHODS.CASH)) {
+    throw new ValidationError('Open a register shift before taking cash');
+  }
 
-        const totalAmount = subtotal + totalTaxAmount;
+  // The sale keeps the numbers and prescribers of what it dispensed for listings and receipts
+  const dispensed = [...prescriptions.values()].map(({ prescription }) => prescription);
+  const prescriptionNumbers = dispensed.map(rx => rx.prescription_number).join(', ') || null;
+  const prescriberNames = [...new Set(dispensed.map(rx => rx.prescriber_name))].join(', ') || null;
+
+  // Create sale record
+  const saleQuery = `
+    INSERT INTO sales (
+      customer_id, cashier_id, subtotal, tax_amount, discount_amount, total_amount,
+      payment_method, prescription_number, doctor_name,
+      insurance_claim_amount, customer_payment_amount, notes, api_key_id, shift_id
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+    RETURNING sale_id, sale_number, sale_date
+  `;
+
+  const saleResult = await client.query(saleQuery, [
+    customerId, cashierId, subtotal, totalTaxAmount, totalDiscountAmount, totalAmount,
+    summary.paymentMethod, prescriptionNumbers, prescriberNames,
+    summary.insuranceClaimAmount, summary.customerPaymentAmount, notes, apiKeyId,
+    shift ? shift.shift_id : null
+  ]);
+
+  const sale = saleResult.rows[0];
+  const salePayments = await SalePayment.create(client, sale.sale_id, applied);
+
+  // Insert sale items
+  for (const item of processedItems) {
+    const saleItemResult = await client.query(`
+      INSERT INTO sale_items (
+        sale_id, product_id, inventory_id, quantity, unit_price,
+        discount_percentage, discount_amount, promotion_discount_amount, line_total, tax_amount,
+        expiration_date, batch_number, prescription_id, price_list_id
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+      RETURNING sale_item_id
+    `, [
+      sale.sale_id, item.productId, item.inventoryId, item.quantity,
+      item.unitPrice, item.discountPercentage, item.discountAmount, item.promotionDiscountAmount,
+      item.lineTotal, item.taxAmount, item.expirationDate, item.batchNumber, item.prescriptionId, item.priceListId
+    ]);
+
+    for (const promotion of item.promotions) {
+      await client.query(
+        'INSERT INTO sale_item_promotions (sale_item_id, promotion_id, discount_amount) VALUES ($1, $2, $3)',
+        [saleItemResult.rows[0].sale_item_id, promotion.promotionId, promotion.discountAmount]
+      );
+    }
 
-        // Validate payment amounts
-        const totalPayments = Number(insuranceClaimAmount) + Number(customerPaymentAmount);
-        if (Math.abs(totalPayments - totalAmount) > 0.01) { // Allow for small rounding differences
-          throw new Error('Payment amounts do not match total amount');
-        }
+    await Inventory.dispenseAllocated(client, item.inventoryId, item.quantity, {
+      saleId: sale.sale_id,
+      reason: item.prescriptionNumber
+        ? `Sale ${sale.sale_number}, prescription ${item.prescriptionNumber}`
+        : `Sale ${sale.sale_number}`,
+      performedBy: cashierId
+    });
+  }
 
-        // Create sale record
-        const saleQuery = `
-          INSERT INTO sales (
-            customer_id, cashier_id, subtotal, tax_amount, total_amount,
-            payment_method, prescription_number, doctor_name,
-            insurance_claim_amount, customer_payment_amount, notes
-          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
-          RETURNING sale_id, sale_number, sale_date
-        `;
+  await PriceOverride.record(client, sale.sale_id, cashierId, priceOverrides);
+
+  if (priceOverrides.length > 0) {
+    logger.warn('Sale priced away from list prices', {
+      saleNumber: sale.sale_number,
+      cashierId,
+      overrides: priceOverrides.map(override => ({
+        productId: override.productId,
+        listPrice: override.listPrice,
+        unitPrice: override.unitPrice,
+        approvedBy: override.approvedBy,
+        approvalMethod: override.approvalMethod
+      }))
+    });
+  }
 
-        const saleResult = await client.query(saleQuery, [
-          customerId, cashierId, subtotal, totalTaxAmount, totalAmount,
-          paymentMethod, prescriptionNumber, doctorName,
-          insuranceClaimAmount, customerPaymentAmount, notes
-        ]);
+  const filled = [];
+  for (const rx of dispensed) {
+    filled.push(await Prescription.recordFill(client, rx));
+  }
 
-        const sale = saleResult.rows[0];
+  const clinicalOverrideId = screening.requiresOverride
+    ? await ClinicalScreening.recordOverride(client, {
+      saleId: sale.sale_id,
+      customerId,
+      screening,
+      reason: clinicalOverride.reason,
+      overriddenBy: cashierId
+    })
+    : null;
+
+  logger.info('Sale created successfully', {
+    saleId: sale.sale_id,
+    saleNumber: sale.sale_number,
+    totalAmount,
+    itemCount: processedItems.length,
+    cashierId,
+    clinicalOverrideId
+  });
+
+  return {
+    id: sale.sale_id,
+    saleNumber: sale.sale_number,
+    saleDate: sale.sale_date,
+    subtotal,
+    taxAmount: totalTaxAmount,
+    discountAmount: totalDiscountAmount,
+    totalAmount,
+    paymentMethod: summary.paymentMethod,
+    payments: salePayments.map(formatPayment),
+    changeDue,
+    shiftId: shift ? shift.shift_id : null,
+    priceList: pricing.priceList ? { id: pricing.priceList.price_list_id, name: pricing.priceList.name } : null,
+    itemCount: processedItems.length,
+    promotions: appliedPromotions(priced),
+    priceOverrides: priceOverrides.map(override => ({
+      productId: override.productId,
+      listPrice: override.listPrice,
+      unitPrice: override.unitPrice,
+      approvedBy: override.approvedBy,
+      approvalMethod: override.approvalMethod
+    })),
+    prescriptions: filled.map(rx => ({
+      id: rx.prescription_id,
+      prescriptionNumber: rx.prescription_number,
+      refillsRemaining: rx.refills_remaining,
+      status: rx.status
+    })),
+    clinicalWarnings: screening.warnings,
+    clinicalOverrideId
+  };
+};
 
-        // Insert sale items
-        for (const item of processedItems) {
-          await client.query(`
-            INSERT INTO sale_items (
-              sale_id, product_id, inventory_id, quantity, unit_price,
-              discount_percentage, discount_amount, line_total,
-              expiration_date, batch_number
-            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
-          `, [
-            sale.sale_id, item.productId, item.inventoryId, item.quantity,
-            item.unitPrice, item.discountPercentage, item.discountAmount,
-            item.lineTotal, item.expirationDate, item.batchNumber
-          ]);
+class SalesController {
+  /**
+   * Create a new sale transaction
+   */
+  static async createSale(req, res, next) {
+    try {
+      // Respond only after the transaction has committed
+      const createdSale = await transaction(client => recordSale(client, req.user, req.body, { ipAddress: req.ip }));
 
-          // Update actual inventory quantities
-          await client.query(`
-            UPDATE inventory 
-            SET 
-              quantity_on_hand = quantity_on_hand - $1,
-              quantity_reserved = quantity_reserved - $1
-            WHERE inventory_id = $2
-          `, [item.quantity, item.inventoryId]);
-        }
+      res.status(201).json({
+        success: true,
+        message: 'Sale created successfully',
+        data: { sale: createdSale }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
 
-        logger.info('Sale created successfully', {
-          saleId: sale.sale_id,
-          saleNumber: sale.sale_number,
-          totalAmount,
-          itemCount: processedItems.length,
-          cashierId
-        });
+  /**
+   * Approve a price for a cashier's sale line (sales.price_override). The
+   * token is used as the line's priceOverride.approvalToken by that cashier,
+   * for that product at that price and up to that quantity, on one sale
+   * before it expires.
+   */
+  static async approvePriceOverride(req, res, next) {
+    try {
+      const { cashierId, productId, unitPrice, quantity } = req.body;
+
+      const productResult = await query(
+        'SELECT product_id, product_name, selling_price FROM products WHERE product_id = $1 AND is_active = TRUE',
+        [productId]
+      );
+      if (productResult.rows.length === 0) {
+        throw new NotFoundError(`Product with ID ${productId} not found or inactive`);
+      }
 
-        res.status(201).json({
-          success: true,
-          message: 'Sale created successfully',
-          data: {
-            sale: {
-              id: sale.sale_id,
-              saleNumber: sale.sale_number,
-              saleDate: sale.sale_date,
-              subtotal,
-              taxAmount: totalTaxAmount,
-              totalAmount,
-              paymentMethod,
-              itemCount: processedItems.length
-            }
-          }
-        });
+      const cashierResult = await query('SELECT username FROM users WHERE user_id = $1 AND is_active = TRUE', [cashierId]);
+      if (cashierResult.rows.length === 0) {
+        throw new NotFoundError(`User with ID ${cashierId} not found or inactive`);
+      }
+
+      const product = productResult.rows[0];
+      const { token, expiresAt } = signPriceOverrideApproval(req.user.userId, { cashierId, productId, unitPrice, quantity });
+
+      logger.info('Price override approved', {
+        cashierId,
+        productId,
+        quantity,
+        listPrice: product.selling_price,
+        unitPrice,
+        approvedBy: req.user.userId
       });
 
-    } catch (error) {
-      logger.error('Create sale error:', error.message);
-      res.status(400).json({
-        success: false,
-        message: error.message || 'Failed to create sale'
+      res.status(201).json({
+        success: true,
+        message: `Approved ${product.product_name} at ${unitPrice.toFixed(2)}`,
+        data: {
+          approvalToken: token,
+          expiresAt,
+          cashierId,
+          cashierUsername: cashierResult.rows[0].username,
+          productId,
+          quantity,
+          listPrice: product.selling_price,
+          unitPrice
+        }
       });
+
+    } catch (error) {
+      next(error);
     }
   }
 
   /**
    * Get sale by ID with full details
    */
-  static async getSaleById(req, res) {
+  static async getSaleById(req, res, next) {
     try {
       const { saleId } = req.params;
 
@@ -241,10 +819,7 @@ class SalesController {
       const saleResult = await query(saleQuery, [saleId]);
 
       if (saleResult.rows.length === 0) {
-        return res.status(404).json({
-          success: false,
-          message: 'Sale not found'
-        });
+        throw new NotFoundError('Sale not found');
       }
 
       const sale = saleResult.rows[0];
@@ -266,6 +841,18 @@ class SalesController {
       `;
 
       const itemsResult = await query(itemsQuery, [saleId]);
+      const payments = await SalePayment.findBySale(saleId);
+      const priceOverrides = await PriceOverride.findBySale(saleId);
+
+      // Promotions applied to each line
+      const promotionsResult = await query(`
+        SELECT sip.sale_item_id, sip.promotion_id, sip.discount_amount, pm.name
+        FROM sale_item_promotions sip
+        JOIN sale_items si ON si.sale_item_id = sip.sale_item_id
+        JOIN promotions pm ON pm.promotion_id = sip.promotion_id
+        WHERE si.sale_id = $1
+        ORDER BY sip.sale_item_id, sip.promotion_id
+      `, [saleId]);
 
       res.json({
         success: true,
@@ -293,6 +880,18 @@ class SalesController {
             doctorName: sale.doctor_name,
             insuranceClaimAmount: sale.insurance_claim_amount,
             customerPaymentAmount: sale.customer_payment_amount,
+            payments: payments.map(formatPayment),
+            shiftId: sale.shift_id,
+            priceOverrides: priceOverrides.map(override => ({
+              id: override.override_id,
+              product: { id: override.product_id, name: override.product_name },
+              quantity: override.quantity,
+              listPrice: override.list_price,
+              overridePrice: override.override_price,
+              reason: override.reason,
+              approvedBy: override.approved_by === null ? null : { id: override.approved_by, username: override.approved_by_username },
+              approvalMethod: override.approval_method
+            })),
             notes: sale.notes,
             items: itemsResult.rows.map(item => ({
               id: item.sale_item_id,
@@ -309,31 +908,39 @@ class SalesController {
               unitPrice: item.unit_price,
               discountPercentage: item.discount_percentage,
               discountAmount: item.discount_amount,
+              promotionDiscountAmount: item.promotion_discount_amount,
+              priceListId: item.price_list_id,
+              promotions: promotionsResult.rows
+                .filter(promotion => promotion.sale_item_id === item.sale_item_id)
+                .map(promotion => ({
+                  id: promotion.promotion_id,
+                  name: promotion.name,
+                  discountAmount: promotion.discount_amount
+                })),
               lineTotal: item.line_total,
+              taxAmount: item.tax_amount,
+              refundedQuantity: item.refunded_quantity,
               batchNumber: item.batch_number,
-              expirationDate: item.expiration_date
+              expirationDate: item.expiration_date,
+              prescriptionId: item.prescription_id
             }))
           }
         }
       });
 
     } catch (error) {
-      logger.error('Get sale error:', error.message);
-      res.status(500).json({
-        success: false,
-        message: 'Failed to retrieve sale'
-      });
+      next(error);
     }
   }
 
   /**
    * Get sales list with pagination and filters
    */
-  static async getSales(req, res) {
+  static async getSales(req, res, next) {
     try {
       const {
-        page = 1,
-        limit = 20,
+        page,
+        limit,
         startDate,
         endDate,
         customerId,
@@ -373,14 +980,22 @@ class SalesController {
         paramCounter++;
       }
 
+      // Any of the sale's tenders, not just the largest
       if (paymentMethod) {
-        whereClause += ` AND s.payment_method = $${paramCounter}`;
+        whereClause += ` AND EXISTS (
+          SELECT 1 FROM sale_payments sp WHERE sp.sale_id = s.sale_id AND sp.payment_method = $${paramCounter}
+        )`;
         queryParams.push(paymentMethod);
         paramCounter++;
       }
 
       if (prescriptionNumber) {
-        whereClause += ` AND s.prescription_number = $${paramCounter}`;
+        // Sales before prescription records carry only the number typed at the till
+        whereClause += ` AND (s.prescription_number = $${paramCounter} OR EXISTS (
+          SELECT 1 FROM sale_items rsi
+          JOIN prescriptions rx ON rx.prescription_id = rsi.prescription_id
+          WHERE rsi.sale_id = s.sale_id AND rx.prescription_number = $${paramCounter}
+        ))`;
         queryParams.push(prescriptionNumber);
         paramCounter++;
       }
@@ -463,43 +1078,33 @@ class SalesController {
       });
 
     } catch (error) {
-      logger.error('Get sales error:', error.message);
-      res.status(500).json({
-        success: false,
-        message: 'Failed to retrieve sales'
-      });
+      next(error);
     }
   }
 
   /**
    * Process a refund for a sale
    */
-  static async processRefund(req, res) {
+  static async processRefund(req, res, next) {
     try {
       const { saleId } = req.params;
-      const { items, reason, refundAmount } = req.body; // items: [{ saleItemId, quantityToRefund }]
+      // items: [{ saleItemId, quantityToRefund }], tenders: [{ paymentId, amount }]
+      const { items, reason, refundAmount, tenders } = req.body;
       const processedBy = req.user.userId;
 
-      if (!items || !Array.isArray(items) || items.length === 0) {
-        return res.status(400).json({
-          success: false,
-          message: 'Items to refund are required'
-        });
-      }
-
-      await transaction(async (client) => {
-        // Verify sale exists and get details
+      const refund = await transaction(async (client) => {
+        // Verify sale exists and get details; a partly refunded sale can be refunded again
         const saleQuery = `
-          SELECT * FROM sales WHERE sale_id = $1 AND payment_status = 'completed'
+          SELECT * FROM sales WHERE sale_id = $1 AND payment_status IN ('completed', 'partial') FOR UPDATE
         `;
         const saleResult = await client.query(saleQuery, [saleId]);
 
         if (saleResult.rows.length === 0) {
-          throw new Error('Sale not found or cannot be refunded');
+          throw new NotFoundError('Sale not found or cannot be refunded');
         }
 
         const sale = saleResult.rows[0];
-        let totalRefundAmount = 0;
+        let refundCents = 0;
 
         // Process each refund item
         for (const refundItem of items) {
@@ -515,18 +1120,27 @@ class SalesController {
           const itemResult = await client.query(itemQuery, [saleItemId, saleId]);
 
           if (itemResult.rows.length === 0) {
-            throw new Error(`Sale item ${saleItemId} not found`);
+            throw new NotFoundError(`Sale item ${saleItemId} not found`);
           }
 
           const item = itemResult.rows[0];
+          const refundableQuantity = item.quantity - item.refunded_quantity;
 
-          if (quantityToRefund > item.quantity) {
-            throw new Error(`Cannot refund ${quantityToRefund} of ${item.product_name}, only ${item.quantity} were sold`);
+          if (quantityToRefund > refundableQuantity) {
+            throw new ValidationError(
+              `Cannot refund ${quantityToRefund} of ${item.product_name}, only ${refundableQuantity} of the ${item.quantity} sold are left to refund`
+            );
           }
 
-          // Calculate refund amount for this item
-          const itemRefundAmount = (item.line_total / item.quantity) * quantityToRefund;
-          totalRefundAmount += itemRefundAmount;
+          // The customer paid the line total plus its tax; refund their share of both
+          refundCents += Math.round(
+            ((Number(item.line_total) + Number(item.tax_amount)) * quantityToRefund * 100) / item.quantity
+          );
+
+          await client.query(
+            'UPDATE sale_items SET refunded_quantity = refunded_quantity + $1 WHERE sale_item_id = $2',
+            [quantityToRefund, saleItemId]
+          );
 
           // Return inventory
           await client.query(`
@@ -551,59 +1165,93 @@ class SalesController {
             item.inventory_id, item.product_id, quantityToRefund,
             saleId, reason || 'Sale refund', processedBy
           ]);
+
+          await ControlledRegister.record(client, {
+            inventoryId: item.inventory_id,
+            entryType: CONTROLLED_REGISTER_ENTRIES.RETURN,
+            quantityChange: quantityToRefund,
+            referenceType: 'sale_refund',
+            referenceId: saleId,
+            notes: reason || 'Sale refund',
+            performedBy: processedBy
+          });
         }
 
-        // Validate refund amount if provided
-        if (refundAmount && Math.abs(refundAmount - totalRefundAmount) > 0.01) {
-          throw new Error('Provided refund amount does not match calculated amount');
+        // Once every line is back, whatever is left on the tenders goes back, so
+        // rounding per line never leaves cents behind; before that, never more than is left
+        const payments = await SalePayment.findBySale(saleId, client, { forUpdate: true });
+        const leftToRefund = toCents(SalePayment.leftToRefund(payments));
+        const outstanding = await client.query(
+          'SELECT COUNT(*)::INTEGER AS lines FROM sale_items WHERE sale_id = $1 AND refunded_quantity < quantity',
+          [saleId]
+        );
+        const fullyRefunded = outstanding.rows[0].lines === 0;
+        const totalRefundAmount = (fullyRefunded ? leftToRefund : Math.min(refundCents, leftToRefund)) / 100;
+
+        // A refund amount from the client only confirms what is refunded, to the cent
+        if (refundAmount !== undefined && toCents(refundAmount) !== toCents(totalRefundAmount)) {
+          throw new ValidationError(
+            `Provided refund amount does not match calculated amount of ${totalRefundAmount.toFixed(2)}`
+          );
         }
 
         // Update sale status to refunded or partially refunded
-        const finalRefundAmount = refundAmount || totalRefundAmount;
-        const newPaymentStatus = finalRefundAmount >= sale.total_amount ? 'refunded' : 'partial';
+        const newPaymentStatus = fullyRefunded ? 'refunded' : 'partial';
+
+        // Back to the tenders the sale was paid with; cash comes out of the refunder's drawer
+        const allocations = SalePayment.allocateRefund(payments, totalRefundAmount, tenders);
+        const shift = await RegisterShift.findOpenForCashier(processedBy, client, { forShare: true });
+        if (!shift && config.pharmacy.requireShiftForCash
+          && allocations.some(allocation => allocation.payment.payment_method === PAYMENT_METHODS.CASH)) {
+          throw new ValidationError('Open a register shift before refunding cash');
+        }
+        const refundedTenders = await SalePayment.recordRefund(client, allocations, {
+          saleId,
+          reason,
+          refundedBy: processedBy,
+          shiftId: shift ? shift.shift_id : null
+        });
 
         await client.query(`
           UPDATE sales 
           SET payment_status = $1, notes = COALESCE(notes, '') || $2
           WHERE sale_id = $3
-        `, [newPaymentStatus, `\nRefund processed: $${finalRefundAmount}. Reason: ${reason || 'N/A'}`, saleId]);
+        `, [newPaymentStatus, `\nRefund processed: $${totalRefundAmount}. Reason: ${reason || 'N/A'}`, saleId]);
 
         logger.info('Refund processed successfully', {
           saleId,
           saleNumber: sale.sale_number,
-          refundAmount: finalRefundAmount,
+          refundAmount: totalRefundAmount,
+          tenders: refundedTenders.map(tender => tender.paymentId),
           processedBy
         });
 
-        res.json({
-          success: true,
-          message: 'Refund processed successfully',
-          data: {
-            saleId,
-            refundAmount: finalRefundAmount,
-            newPaymentStatus
-          }
-        });
+        return { refundAmount: totalRefundAmount, tenders: refundedTenders, newPaymentStatus };
       });
 
-    } catch (error) {
-      logger.error('Process refund error:', error.message);
-      res.status(400).json({
-        success: false,
-        message: error.message || 'Failed to process refund'
+      res.json({
+        success: true,
+        message: 'Refund processed successfully',
+        data: {
+          saleId,
+          ...refund
+        }
       });
+
+    } catch (error) {
+      next(error);
     }
   }
 
   /**
    * Get sales analytics/reports
    */
-  static async getSalesAnalytics(req, res) {
+  static async getSalesAnalytics(req, res, next) {
     try {
       const {
         startDate = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString().split('T')[0], // Default: 30 days ago
         endDate = new Date().toISOString().split('T')[0], // Default: today
-        groupBy = 'day' // day, week, month
+        groupBy // day, week, month
       } = req.query;
 
       // Sales summary
@@ -621,16 +1269,17 @@ class SalesController {
 
       const summaryResult = await query(summaryQuery, [startDate, endDate]);
 
-      // Sales by payment method
+      // Sales by payment method; a split sale counts once under each of its tenders
       const paymentMethodQuery = `
         SELECT 
-          payment_method,
-          COUNT(*) as transaction_count,
-          SUM(total_amount) as total_amount
-        FROM sales 
-        WHERE sale_date BETWEEN $1 AND $2 || ' 23:59:59'
-        AND payment_status IN ('completed', 'partial')
-        GROUP BY payment_method
+          sp.payment_method,
+          COUNT(DISTINCT sp.sale_id) as transaction_count,
+          SUM(sp.amount) as total_amount
+        FROM sale_payments sp
+        JOIN sales s ON s.sale_id = sp.sale_id
+        WHERE s.sale_date BETWEEN $1 AND $2 || ' 23:59:59'
+        AND s.payment_status IN ('completed', 'partial')
+        GROUP BY sp.payment_method
         ORDER BY total_amount DESC
       `;
 
@@ -655,6 +1304,29 @@ class SalesController {
 
       const topProductsResult = await query(topProductsQuery, [startDate, endDate]);
 
+      // Promotion effectiveness: what each promotion gave away and the sales it was part of
+      const promotionsQuery = `
+        SELECT 
+          pm.promotion_id,
+          pm.name,
+          pm.promotion_type,
+          pm.coupon_code,
+          COUNT(DISTINCT si.sale_id) as sale_count,
+          SUM(si.quantity) as total_quantity,
+          SUM(sip.discount_amount) as total_discount,
+          SUM(si.line_total) as total_revenue
+        FROM sale_item_promotions sip
+        JOIN promotions pm ON pm.promotion_id = sip.promotion_id
+        JOIN sale_items si ON si.sale_item_id = sip.sale_item_id
+        JOIN sales s ON si.sale_id = s.sale_id
+        WHERE s.sale_date BETWEEN $1 AND $2 || ' 23:59:59'
+        AND s.payment_status IN ('completed', 'partial')
+        GROUP BY pm.promotion_id, pm.name, pm.promotion_type, pm.coupon_code
+        ORDER BY total_discount DESC
+      `;
+
+      const promotionsResult = await query(promotionsQuery, [startDate, endDate]);
+
       // Daily/Weekly/Monthly trends
       let dateFormat;
       switch (groupBy) {
@@ -703,6 +1375,16 @@ class SalesController {
             totalQuantity: parseInt(row.total_quantity),
             totalRevenue: parseFloat(row.total_revenue)
           })),
+          promotions: promotionsResult.rows.map(row => ({
+            id: row.promotion_id,
+            name: row.name,
+            promotionType: row.promotion_type,
+            couponCode: row.coupon_code,
+            saleCount: parseInt(row.sale_count),
+            totalQuantity: parseInt(row.total_quantity),
+            totalDiscount: parseFloat(row.total_discount),
+            totalRevenue: parseFloat(row.total_revenue)
+          })),
           trends: trendsResult.rows.map(row => ({
             period: row.period,
             transactionCount: parseInt(row.transaction_count),
@@ -717,11 +1399,456 @@ class SalesController {
       });
 
     } catch (error) {
-      logger.error('Get sales analytics error:', error.message);
-      res.status(500).json({
-        success: false,
-        message: 'Failed to retrieve sales analytics'
+      next(error);
+    }
+  }
+
+  /**
+   * Park a sale: hold its stock, prices and promotions until it expires so
+   * that it can be finished on any terminal
+   */
+  static async createDraft(req, res, next) {
+    try {
+      const { customerId, couponCodes, notes, terminal } = req.body;
+
+      const { draftId, screening } = await transaction(async (client) => {
+        const sale = await priceSale(client, req.user, req.body);
+        const id = await SaleDraft.create(client, {
+          customerId,
+          couponCodes,
+          notes,
+          terminal,
+          createdBy: req.user.userId,
+          ...heldLines(sale)
+        });
+        return { draftId: id, screening: sale.screening };
+      });
+
+      const draft = await loadDraft(draftId);
+
+      logger.info('Sale parked', {
+        draftId,
+        draftNumber: draft.draftNumber,
+        totalAmount: draft.totalAmount,
+        terminal,
+        userId: req.user.userId
+      });
+
+      res.status(201).json({
+        success: true,
+        message: `Sale parked as ${draft.draftNumber}`,
+        data: { draft, clinicalWarnings: screening.warnings }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List drafts, open ones soonest to expire first
+   */
+  static async getDrafts(req, res, next) {
+    try {
+      const { page, limit, ...filters } = req.query;
+
+      const { drafts, total } = await SaleDraft.findAll({
+        ...filters,
+        limit,
+        offset: (page - 1) * limit
+      });
+
+      res.json({
+        success: true,
+        data: {
+          drafts: drafts.map(draft => formatDraft(draft)),
+          pagination: generatePagination(page, limit, total)
+        }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * A draft with its lines, to resume it; layaways include their payments
+   * and installment plan
+   */
+  static async getDraftById(req, res, next) {
+    try {
+      const draft = await loadDraft(req.params.draftId);
+
+      res.json({
+        success: true,
+        data: { draft }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Replace the lines of a parked sale, repricing them and restarting its hold
+   */
+  static async updateDraft(req, res, next) {
+    try {
+      const { draftId } = req.params;
+      const { customerId, couponCodes, notes, terminal } = req.body;
+
+      const screening = await transaction(async (client) => {
+        const held = await SaleDraft.lockOpen(client, draftId);
+        if (held.draft_type !== DRAFT_TYPES.PARKED) {
+          throw new ConflictError(`${held.draft_number} is a ${held.draft_type}; only parked sales can be changed`);
+        }
+
+        await SaleDraft.release(client, [draftId]);
+        const sale = await priceSale(client, req.user, req.body);
+        await SaleDraft.replace(client, draftId, {
+          customerId,
+          couponCodes,
+          notes,
+          terminal,
+          updatedBy: req.user.userId,
+          ...heldLines(sale)
+        });
+        return sale.screening;
+      });
+
+      const draft = await loadDraft(draftId);
+
+      res.json({
+        success: true,
+        message: 'Parked sale updated',
+        data: { draft, clinicalWarnings: screening.warnings }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Cancel a draft and give back its stock. Cancelling a layaway that has
+   * been paid into needs sales.refund, and pays its payments back to their
+   * tenders.
+   */
+  static async cancelDraft(req, res, next) {
+    try {
+      const { draftId } = req.params;
+
+      const refunds = await transaction(async (client) => {
+        const draft = await SaleDraft.lockOpen(client, draftId);
+        const payments = draft.draft_type === DRAFT_TYPES.LAYAWAY ? await SaleDraft.findPayments(draftId, client) : [];
+        const paid = payments.reduce((sum, payment) => sum + Math.round(payment.amount * 100), 0) / 100;
+
+        if (paid > 0 && !await Permission.has(req.user, PERMISSIONS.SALES_REFUND)) {
+          throw new ForbiddenError(`Layaway ${draft.draft_number} has ${paid.toFixed(2)} paid on it; cancelling it needs refund permission`);
+        }
+
+        await SaleDraft.release(client, [draftId]);
+        await SaleDraft.close(client, draftId, { status: DRAFT_STATUS.CANCELLED, closedBy: req.user.userId });
+
+        if (paid === 0) return [];
+        await SaleDraft.oweRefunds(client, [draftId]);
+        return payLayawayRefunds(client, req.user, draftId);
+      });
+
+      const draft = await loadDraft(draftId);
+      const amountRefunded = refunds.reduce((sum, refund) => sum + Math.round(refund.amount * 100), 0) / 100;
+
+      if (amountRefunded > 0) {
+        logger.info('Layaway cancelled and refunded', {
+          draftNumber: draft.draftNumber,
+          amountRefunded,
+          cancelledBy: req.user.userId
+        });
+      }
+
+      res.json({
+        success: true,
+        message: amountRefunded > 0
+          ? `Layaway cancelled; ${amountRefunded.toFixed(2)} refunded to its payments`
+          : 'Draft cancelled',
+        data: { draft, refunds: refunds.map(formatLayawayRefund) }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Pay back what an expired layaway owes its customer (sales.refund)
+   */
+  static async refundLayaway(req, res, next) {
+    try {
+      const { draftId } = req.params;
+
+      const refunds = await transaction(async (client) => {
+        const result = await client.query('SELECT draft_number FROM sale_drafts WHERE draft_id = $1 FOR UPDATE', [draftId]);
+        if (result.rows.length === 0) {
+          throw new NotFoundError('Sale draft not found');
+        }
+
+        const paid = await payLayawayRefunds(client, req.user, draftId);
+        if (paid.length === 0) {
+          throw new ConflictError(`No refund is due on ${result.rows[0].draft_number}`);
+        }
+        return paid;
+      });
+
+      const draft = await loadDraft(draftId);
+      const amountRefunded = refunds.reduce((sum, refund) => sum + Math.round(refund.amount * 100), 0) / 100;
+
+      logger.info('Layaway refunded', {
+        draftNumber: draft.draftNumber,
+        amountRefunded,
+        refundedBy: req.user.userId
+      });
+
+      res.json({
+        success: true,
+        message: `${amountRefunded.toFixed(2)} refunded to the payments on layaway ${draft.draftNumber}`,
+        data: { draft, refunds: refunds.map(formatLayawayRefund) }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Turn a parked sale into a quote, holding its prices and stock for
+   * QUOTE_VALID_DAYS
+   */
+  static async createQuote(req, res, next) {
+    try {
+      const { draftId } = req.params;
+
+      await transaction(async (client) => {
+        const draft = await SaleDraft.lockOpen(client, draftId);
+        if (draft.draft_type !== DRAFT_TYPES.PARKED) {
+          throw new ConflictError(`${draft.draft_number} is already a ${draft.draft_type}`);
+        }
+
+        await SaleDraft.makeQuote(client, draftId, req.user.userId);
+      });
+
+      const [draft, items] = await Promise.all([SaleDraft.findById(draftId), SaleDraft.findItems(draftId)]);
+
+      res.status(201).json({
+        success: true,
+        message: `Quote ${draft.draft_number} is valid until ${new Date(draft.expires_at).toISOString().slice(0, 10)}`,
+        data: { quote: formatQuote(draft, items) }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * A quote as JSON, or as a PDF with ?format=pdf
+   */
+  static async getQuote(req, res, next) {
+    try {
+      const { draftId } = req.params;
+
+      const draft = await SaleDraft.findById(draftId);
+      if (!draft || draft.draft_type !== DRAFT_TYPES.QUOTE) {
+        throw new NotFoundError('Quote not found');
+      }
+
+      const quote = formatQuote(draft, await SaleDraft.findItems(draftId));
+
+      if (req.query.format === 'pdf') {
+        res.type('application/pdf');
+        res.set('Content-Disposition', `attachment; filename="${quote.quoteNumber}.pdf"`);
+        res.send(renderTextPdf(quoteDocument(quote), { title: `Quote ${quote.quoteNumber}` }));
+        return;
+      }
+
+      res.json({
+        success: true,
+        data: { quote }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Turn a parked sale or quote into a layaway for a customer, taking its
+   * deposit. Its stock and prices are held for LAYAWAY_DAYS.
+   */
+  static async createLayaway(req, res, next) {
+    try {
+      const { draftId } = req.params;
+      const { installmentCount, deposit } = req.body;
+
+      await transaction(async (client) => {
+        const draft = await SaleDraft.lockOpen(client, draftId);
+        if (draft.draft_type === DRAFT_TYPES.LAYAWAY) {
+          throw new ConflictError(`${draft.draft_number} is already a layaway`);
+        }
+        if (!draft.customer_id) {
+          throw new ValidationError('A layaway needs a customer');
+        }
+
+        const total = Math.round(draft.total_amount * 100);
+        const minimum = Math.ceil(total * config.pharmacy.layawayMinDepositPercentage / 100);
+        if (Math.round(deposit.amount * 100) < minimum) {
+          throw new ValidationError(
+            `A layaway needs a deposit of at least ${(minimum / 100).toFixed(2)} (${config.pharmacy.layawayMinDepositPercentage}% of ${draft.total_amount})`
+          );
+        }
+        if (Math.round(deposit.amount * 100) >= total) {
+          throw new ValidationError('The deposit pays for the whole sale; complete it as a sale instead');
+        }
+
+        await SaleDraft.makeLayaway(client, draftId, { installmentCount, updatedBy: req.user.userId });
+        await takeLayawayPayment(client, req.user, draftId, deposit);
+      });
+
+      const draft = await loadDraft(draftId);
+
+      logger.info('Layaway opened', {
+        draftNumber: draft.draftNumber,
+        customerId: draft.customer.id,
+        totalAmount: draft.totalAmount,
+        deposit: deposit.amount,
+        userId: req.user.userId
+      });
+
+      res.status(201).json({
+        success: true,
+        message: `Layaway ${draft.draftNumber} opened; ${draft.layaway.balanceDue.toFixed(2)} is due by ${new Date(draft.expiresAt).toISOString().slice(0, 10)}`,
+        data: { draft }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Take an installment on a layaway, up to its balance
+   */
+  static async addLayawayPayment(req, res, next) {
+    try {
+      const { draftId } = req.params;
+
+      const payment = await transaction(async (client) => {
+        const draft = await SaleDraft.lockOpen(client, draftId);
+        if (draft.draft_type !== DRAFT_TYPES.LAYAWAY) {
+          throw new ValidationError(`${draft.draft_number} is not a layaway`);
+        }
+
+        const payments = await SaleDraft.findPayments(draftId, client);
+        const balance = Math.round(draft.total_amount * 100)
+          - payments.reduce((sum, paid) => sum + Math.round(paid.amount * 100), 0);
+        if (Math.round(req.body.amount * 100) > balance) {
+          throw new ValidationError(`Only ${(balance / 100).toFixed(2)} is due on layaway ${draft.draft_number}`);
+        }
+
+        return takeLayawayPayment(client, req.user, draftId, req.body);
+      });
+
+      const draft = await loadDraft(draftId);
+
+      res.status(201).json({
+        success: true,
+        message: draft.layaway.balanceDue === 0
+          ? 'Layaway paid in full; complete it to hand over the goods'
+          : `Payment taken; ${draft.layaway.balanceDue.toFixed(2)} is still due`,
+        data: { payment: formatLayawayPayment(payment), draft }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Complete a draft as a sale at the prices, promotions and tax it held. Parked
+   * sales and quotes are paid now; a layaway must be paid in full and is
+   * settled by its payments.
+   */
+  static async completeDraft(req, res, next) {
+    try {
+      const { draftId } = req.params;
+      const { payments, paymentMethod, insuranceClaimAmount, customerPaymentAmount, clinicalOverride } = req.body;
+
+      const { draftNumber, createdSale } = await transaction(async (client) => {
+        const draft = await SaleDraft.lockOpen(client, draftId);
+        const layaway = draft.draft_type === DRAFT_TYPES.LAYAWAY;
+        let tenders = { payments, paymentMethod, insuranceClaimAmount, customerPaymentAmount };
+
+        if (layaway) {
+          if (payments || paymentMethod) {
+            throw new ValidationError('A layaway is paid through its deposit and installments; take what is due as an installment');
+          }
+
+          // The layaway's payments, one tender per method
+          const paid = new Map();
+          for (const payment of await SaleDraft.findPayments(draftId, client)) {
+            paid.set(payment.payment_method, (paid.get(payment.payment_method) || 0) + Math.round(payment.amount * 100));
+          }
+          const balance = Math.round(draft.total_amount * 100) - [...paid.values()].reduce((sum, cents) => sum + cents, 0);
+          if (balance > 0) {
+            throw new ValidationError(`${(balance / 100).toFixed(2)} is still due on layaway ${draft.draft_number}`);
+          }
+
+          tenders = {
+            payments: [...paid].map(([method, cents]) => ({ method, amount: cents / 100, reference: draft.draft_number }))
+          };
+        } else if (!payments && !paymentMethod) {
+          throw new ValidationError('Give the payments that complete the sale');
+        }
+
+        const items = await SaleDraft.findItems(draftId, client);
+
+        // The sale takes its own batches, so the draft gives back what it held first
+        await SaleDraft.release(client, [draftId]);
+        const sale = await recordSale(client, req.user, {
+          customerId: draft.customer_id,
+          items: items.map(item => ({
+            productId: item.product_id,
+            inventoryId: item.inventory_id,
+            quantity: item.quantity,
+            discountPercentage: Number(item.discount_percentage),
+            prescriptionId: item.prescription_id
+          })),
+          couponCodes: draft.coupon_codes,
+          notes: draft.notes,
+          clinicalOverride,
+          ...tenders
+        }, {
+          held: items.map(item => ({
+            unitPrice: Number(item.unit_price),
+            priceListId: item.price_list_id,
+            discountAmount: Number(item.promotion_discount_amount),
+            promotions: item.promotions,
+            taxAmount: Number(item.tax_amount)
+          })),
+          prepaid: layaway
+        });
+
+        await SaleDraft.close(client, draftId, { status: DRAFT_STATUS.COMPLETED, saleId: sale.id, closedBy: req.user.userId });
+        return { draftNumber: draft.draft_number, createdSale: sale };
       });
+
+      res.status(201).json({
+        success: true,
+        message: `${draftNumber} completed as sale ${createdSale.saleNumber}`,
+        data: { sale: createdSale }
+      });
+
+    } catch (error) {
+      next(error);
     }
   }
 }
@@ -0,0 +1,259 @@
+const RegisterShift = require('../models/RegisterShift');
+const Permission = require('../models/Permission');
+const logger = require('../utils/logger');
+const { generatePagination } = require('../utils/helpers');
+const { PERMISSIONS, PAYMENT_METHODS, SHIFT_STATUS } = require('../utils/constants');
+const { NotFoundError, ForbiddenError } = require('../utils/errorHandler');
+
+/**
+ * Shape a shift row for responses. Expected cash and variance are included
+ * only when the row carries them (reconciliation views).
+ * @param {Object} shift - Row from RegisterShift.findById or findAll
+ * @returns {Object}
+ */
+const formatShift = shift => ({
+  id: shift.shift_id,
+  registerName: shift.register_name,
+  cashier: {
+    id: shift.cashier_id,
+    username: shift.cashier_username,
+    name: `${shift.cashier_first_name} ${shift.cashier_last_name}`
+  },
+  status: shift.status,
+  openingFloat: shift.opening_float,
+  openingNotes: shift.opening_notes,
+  openedAt: shift.opened_at,
+  closingNotes: shift.closing_notes,
+  closedAt: shift.closed_at,
+  closedBy: shift.closed_by === null ? null : { id: shift.closed_by, username: shift.closed_by_username },
+  ...(shift.cash_expected === undefined ? {} : {
+    cash: shift.cash_expected === null ? null : {
+      expected: shift.cash_expected,
+      counted: shift.cash_counted,
+      variance: shift.cash_variance
+    }
+  })
+});
+
+/**
+ * Shape a paid-in or paid-out for responses
+ * @param {Object} movement - shift_cash_movements row
+ * @returns {Object}
+ */
+const formatCashMovement = movement => ({
+  id: movement.movement_id,
+  movementType: movement.movement_type,
+  amount: movement.amount,
+  reason: movement.reason,
+  performedBy: { id: movement.performed_by, username: movement.performed_by_username },
+  createdAt: movement.created_at
+});
+
+/**
+ * Load a shift the caller may work on: their own, or any with shifts.reconcile
+ * @param {Object} req - Express request with params.shiftId
+ * @returns {Promise<Object>} The shift, with canReconcile for the caller
+ */
+const loadShift = async (req) => {
+  const shift = await RegisterShift.findById(req.params.shiftId);
+  if (!shift) {
+    throw new NotFoundError('Shift not found');
+  }
+
+  const canReconcile = await Permission.has(req.user, PERMISSIONS.SHIFTS_RECONCILE);
+  if (shift.cashier_id !== req.user.userId && !canReconcile) {
+    throw new ForbiddenError('This shift belongs to another cashier');
+  }
+
+  return { shift, canReconcile };
+};
+
+class ShiftController {
+  /**
+   * Open a shift on a register with an opening float
+   */
+  static async openShift(req, res, next) {
+    try {
+      const { registerName, openingFloat, notes } = req.body;
+
+      const shift = await RegisterShift.open({ registerName, openingFloat, notes, cashierId: req.user.userId });
+
+      logger.info('Register shift opened', {
+        shiftId: shift.shift_id,
+        registerName,
+        openingFloat,
+        cashierId: req.user.userId
+      });
+
+      res.status(201).json({
+        success: true,
+        message: `Shift opened on ${registerName}`,
+        data: { shift: formatShift(shift) }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * The caller's open shift with its paid-ins and paid-outs. Running totals
+   * are left out so the closing count stays blind.
+   */
+  static async getCurrentShift(req, res, next) {
+    try {
+      const open = await RegisterShift.findOpenForCashier(req.user.userId);
+      if (!open) {
+        throw new NotFoundError('You have no open shift');
+      }
+
+      const [shift, cashMovements] = await Promise.all([
+        RegisterShift.findById(open.shift_id),
+        RegisterShift.findCashMovements(open.shift_id)
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          shift: formatShift(shift),
+          cashMovements: cashMovements.map(formatCashMovement)
+        }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List shifts with their cash variance (shifts.reconcile)
+   */
+  static async getShifts(req, res, next) {
+    try {
+      const { page, limit, ...filters } = req.query;
+
+      const { shifts, total } = await RegisterShift.findAll({
+        ...filters,
+        limit,
+        offset: (page - 1) * limit
+      });
+
+      res.json({
+        success: true,
+        data: {
+          shifts: shifts.map(formatShift),
+          pagination: generatePagination(page, limit, total)
+        }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Record a paid-in or paid-out on an open shift
+   */
+  static async addCashMovement(req, res, next) {
+    try {
+      const { movementType, amount, reason } = req.body;
+      const { shift } = await loadShift(req);
+
+      const movement = await RegisterShift.addCashMovement(shift.shift_id, {
+        movementType,
+        amount,
+        reason,
+        performedBy: req.user.userId
+      });
+
+      logger.info('Register cash movement recorded', {
+        shiftId: shift.shift_id,
+        movementId: movement.movement_id,
+        movementType,
+        amount,
+        userId: req.user.userId
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Cash movement recorded',
+        data: { movement: formatCashMovement(movement) }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Close a shift with a blind count. Only users with shifts.reconcile see
+   * the expected figures and variances in the response.
+   */
+  static async closeShift(req, res, next) {
+    try {
+      const { counts, notes } = req.body;
+      const { shift, canReconcile } = await loadShift(req);
+
+      await RegisterShift.close(shift.shift_id, { counts, notes, closedBy: req.user.userId });
+      const report = await RegisterShift.report(shift.shift_id);
+      const cash = report.tenders.find(tender => tender.method === PAYMENT_METHODS.CASH);
+
+      logger.info('Register shift closed', {
+        shiftId: shift.shift_id,
+        registerName: shift.register_name,
+        cashVariance: cash.variance,
+        closedBy: req.user.userId
+      });
+
+      res.json({
+        success: true,
+        message: 'Shift closed',
+        data: canReconcile
+          ? { shift: formatShift(report.shift), tenders: report.tenders }
+          : { shift: formatShift(report.shift) }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Z-report for a shift: sales and refunds per tender, drawer movements,
+   * and expected against counted (shifts.reconcile)
+   */
+  static async getZReport(req, res, next) {
+    try {
+      const report = await RegisterShift.report(req.params.shiftId);
+      if (!report) {
+        throw new NotFoundError('Shift not found');
+      }
+
+      const { shift, sales, tenders, cashMovements } = report;
+
+      res.json({
+        success: true,
+        data: {
+          report: {
+            shift: formatShift(shift),
+            final: shift.status === SHIFT_STATUS.CLOSED,
+            sales: {
+              count: sales.sale_count,
+              subtotal: Number(sales.subtotal),
+              taxAmount: Number(sales.tax_amount),
+              discountAmount: Number(sales.discount_amount),
+              totalAmount: Number(sales.total_amount)
+            },
+            tenders,
+            cashMovements: cashMovements.map(formatCashMovement)
+          }
+        }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = ShiftController;
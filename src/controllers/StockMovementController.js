@@ -1,12 +1,15 @@
 const { query, transaction } = require('../config/database');
 const config = require('../config/environment');
 const logger = require('../utils/logger');
+const ControlledRegister = require('../models/ControlledRegister');
+const { CONTROLLED_REGISTER_ENTRIES } = require('../utils/constants');
+const { ValidationError, NotFoundError, InsufficientStockError } = require('../utils/errorHandler');
 
 class StockMovementController {
   /**
    * Get stock movements with filtering and pagination
    */
-  static async getMovements(req, res) {
+  static async getMovements(req, res, next) {
     try {
       const {
         productId,
@@ -15,13 +18,13 @@ class StockMovementController {
         startDate,
         endDate,
         performedBy,
-        page = 1,
-        limit = 50,
-        sortBy = 'movement_date',
-        sortOrder = 'DESC'
+        page,
+        limit,
+        sortBy,
+        sortOrder
       } = req.query;
 
-      const offset = (parseInt(page) - 1) * parseInt(limit);
+      const offset = (page - 1) * limit;
       let whereConditions = [];
       let queryParams = [];
       let paramIndex = 1;
@@ -106,10 +109,10 @@ class StockMovementController {
         LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
       `;
 
-      queryParams.push(parseInt(limit), offset);
+      queryParams.push(limit, offset);
       const result = await query(movementsQuery, queryParams);
 
-      const totalPages = Math.ceil(totalRecords / parseInt(limit));
+      const totalPages = Math.ceil(totalRecords / limit);
 
       res.json({
         success: true,
@@ -139,38 +142,27 @@ class StockMovementController {
             } : null
           })),
           pagination: {
-            currentPage: parseInt(page),
+            currentPage: page,
             totalPages,
             totalRecords,
-            hasNextPage: parseInt(page) < totalPages,
-            hasPrevPage: parseInt(page) > 1
+            hasNextPage: page < totalPages,
+            hasPrevPage: page > 1
           }
         }
       });
 
     } catch (error) {
-      logger.error('Get stock movements error:', error.message);
-      res.status(500).json({
-        success: false,
-        message: 'Failed to retrieve stock movements'
-      });
+      next(error);
     }
   }
 
   /**
    * Get movement history for a specific product
    */
-  static async getProductMovementHistory(req, res) {
+  static async getProductMovementHistory(req, res, next) {
     try {
       const { productId } = req.params;
-      const { limit = 100, days = 30 } = req.query;
-
-      if (!productId) {
-        return res.status(400).json({
-          success: false,
-          message: 'Product ID is required'
-        });
-      }
+      const { limit, days } = req.query;
 
       const historyQuery = `
         SELECT 
@@ -192,12 +184,12 @@ class StockMovementController {
         LEFT JOIN users u ON sm.performed_by = u.user_id
         LEFT JOIN inventory i ON sm.inventory_id = i.inventory_id
         WHERE sm.product_id = $1 
-        AND sm.movement_date >= CURRENT_DATE - INTERVAL '${parseInt(days)} days'
+        AND sm.movement_date >= CURRENT_DATE - INTERVAL '${days} days'
         ORDER BY sm.movement_date DESC
         LIMIT $2
       `;
 
-      const result = await query(historyQuery, [productId, parseInt(limit)]);
+      const result = await query(historyQuery, [productId, limit]);
 
       // Get current stock level
       const currentStockQuery = `
@@ -239,43 +231,26 @@ class StockMovementController {
       });
 
     } catch (error) {
-      logger.error('Get product movement history error:', error.message);
-      res.status(500).json({
-        success: false,
-        message: 'Failed to retrieve product movement history'
-      });
+      next(error);
     }
   }
 
   /**
    * Create manual stock adjustment
    */
-  static async createAdjustment(req, res) {
+  static async createAdjustment(req, res, next) {
     try {
       const {
         inventoryId,
-        adjustmentType = 'adjustment', // adjustment, damaged, expired, return
+        adjustmentType, // adjustment, damaged, expired, return
         quantityChange,
         reason,
-        unitCost
+        unitCost,
+        witness
       } = req.body;
 
       const userId = req.user.userId;
-
-      // Input validation
-      if (!inventoryId || !quantityChange || quantityChange === 0) {
-        return res.status(400).json({
-          success: false,
-          message: 'Inventory ID and non-zero quantity change are required'
-        });
-      }
-
-      if (!reason || reason.trim().length === 0) {
-        return res.status(400).json({
-          success: false,
-          message: 'Reason for adjustment is required'
-        });
-      }
+      const witnessedBy = await ControlledRegister.verifyWitness(witness, userId, req.ip);
 
       await transaction(async (client) => {
         // Get current inventory details
@@ -290,16 +265,16 @@ class StockMovementController {
         const inventoryResult = await client.query(inventoryQuery, [inventoryId]);
 
         if (inventoryResult.rows.length === 0) {
-          throw new Error('Inventory record not found or inactive');
+          throw new NotFoundError('Inventory record not found or inactive');
         }
 
         const inventory = inventoryResult.rows[0];
         const quantityBefore = parseInt(inventory.quantity_on_hand);
-        const quantityAfter = quantityBefore + parseInt(quantityChange);
+        const quantityAfter = quantityBefore + quantityChange;
 
         // Validate that quantity won't go negative
         if (quantityAfter < 0) {
-          throw new Error(`Cannot reduce quantity by ${Math.abs(quantityChange)}. Available: ${quantityBefore}`);
+          throw new InsufficientStockError(`Cannot reduce quantity by ${Math.abs(quantityChange)}. Available: ${quantityBefore}`);
         }
 
         // Update inventory quantity
@@ -343,6 +318,17 @@ class StockMovementController {
 
         const movement = movementResult.rows[0];
 
+        await ControlledRegister.record(client, {
+          inventoryId: inventory.inventory_id,
+          entryType: ControlledRegister.entryTypeForMovement(adjustmentType),
+          quantityChange,
+          referenceType: 'stock_movement',
+          referenceId: movement.movement_id,
+          notes: reason.trim(),
+          performedBy: userId,
+          witnessedBy
+        });
+
         logger.info('Stock adjustment created', {
           movementId: movement.movement_id,
           productCode: inventory.product_code,
@@ -372,18 +358,14 @@ class StockMovementController {
       });
 
     } catch (error) {
-      logger.error('Create stock adjustment error:', error.message);
-      res.status(400).json({
-        success: false,
-        message: error.message || 'Failed to create stock adjustment'
-      });
+      next(error);
     }
   }
 
   /**
    * Create stock transfer between inventory records
    */
-  static async createTransfer(req, res) {
+  static async createTransfer(req, res, next) {
     try {
       const {
         fromInventoryId,
@@ -394,28 +376,6 @@ class StockMovementController {
 
       const userId = req.user.userId;
 
-      // Input validation
-      if (!fromInventoryId || !toInventoryId || !quantity || quantity <= 0) {
-        return res.status(400).json({
-          success: false,
-          message: 'From inventory, to inventory, and positive quantity are required'
-        });
-      }
-
-      if (fromInventoryId === toInventoryId) {
-        return res.status(400).json({
-          success: false,
-          message: 'Cannot transfer to the same inventory record'
-        });
-      }
-
-      if (!reason || reason.trim().length === 0) {
-        return res.status(400).json({
-          success: false,
-          message: 'Reason for transfer is required'
-        });
-      }
-
       await transaction(async (client) => {
         // Get source inventory details
         const fromInventoryQuery = `
@@ -429,7 +389,7 @@ class StockMovementController {
         const fromInventoryResult = await client.query(fromInventoryQuery, [fromInventoryId]);
 
         if (fromInventoryResult.rows.length === 0) {
-          throw new Error('Source inventory record not found or inactive');
+          throw new NotFoundError('Source inventory record not found or inactive');
         }
 
         const fromInventory = fromInventoryResult.rows[0];
@@ -446,14 +406,14 @@ class StockMovementController {
         const toInventoryResult = await client.query(toInventoryQuery, [toInventoryId]);
 
         if (toInventoryResult.rows.length === 0) {
-          throw new Error('Destination inventory record not found or inactive');
+          throw new NotFoundError('Destination inventory record not found or inactive');
         }
 
         const toInventory = toInventoryResult.rows[0];
 
         // Validate that both records are for the same product
         if (fromInventory.product_id !== toInventory.product_id) {
-          throw new Error('Cannot transfer between different products');
+          throw new ValidationError('Cannot transfer between different products');
         }
 
         const transferQuantity = parseInt(quantity);
@@ -462,7 +422,7 @@ class StockMovementController {
 
         // Validate sufficient quantity in source
         if (fromQuantityBefore < transferQuantity) {
-          throw new Error(`Insufficient quantity in source batch. Available: ${fromQuantityBefore}`);
+          throw new InsufficientStockError(`Insufficient quantity in source batch. Available: ${fromQuantityBefore}`);
         }
 
         const fromQuantityAfter = fromQuantityBefore - transferQuantity;
@@ -524,6 +484,26 @@ class StockMovementController {
           fromInventoryId
         ]);
 
+        await ControlledRegister.record(client, {
+          inventoryId: fromInventory.inventory_id,
+          entryType: CONTROLLED_REGISTER_ENTRIES.TRANSFER,
+          quantityChange: -transferQuantity,
+          referenceType: 'transfer_out',
+          referenceId: toInventory.inventory_id,
+          notes: reason.trim(),
+          performedBy: userId
+        });
+
+        await ControlledRegister.record(client, {
+          inventoryId: toInventory.inventory_id,
+          entryType: CONTROLLED_REGISTER_ENTRIES.TRANSFER,
+          quantityChange: transferQuantity,
+          referenceType: 'transfer_in',
+          referenceId: fromInventory.inventory_id,
+          notes: reason.trim(),
+          performedBy: userId
+        });
+
         logger.info('Stock transfer completed', {
           fromMovementId: fromMovementResult.rows[0].movement_id,
           toMovementId: toMovementResult.rows[0].movement_id,
@@ -562,20 +542,16 @@ class StockMovementController {
       });
 
     } catch (error) {
-      logger.error('Create stock transfer error:', error.message);
-      res.status(400).json({
-        success: false,
-        message: error.message || 'Failed to create stock transfer'
-      });
+      next(error);
     }
   }
 
   /**
    * Get movement summary statistics
    */
-  static async getMovementSummary(req, res) {
+  static async getMovementSummary(req, res, next) {
     try {
-      const { days = 30 } = req.query;
+      const { days } = req.query;
 
       const summaryQuery = `
         SELECT 
@@ -584,7 +560,7 @@ class StockMovementController {
           SUM(ABS(quantity_change)) as total_quantity,
           AVG(ABS(quantity_change)) as average_quantity
         FROM stock_movements 
-        WHERE movement_date >= CURRENT_DATE - INTERVAL '${parseInt(days)} days'
+        WHERE movement_date >= CURRENT_DATE - INTERVAL '${days} days'
         GROUP BY movement_type
         ORDER BY movement_count DESC
       `;
@@ -637,11 +613,7 @@ class StockMovementController {
       });
 
     } catch (error) {
-      logger.error('Get movement summary error:', error.message);
-      res.status(500).json({
-        success: false,
-        message: 'Failed to retrieve movement summary'
-      });
+      next(error);
     }
   }
 }
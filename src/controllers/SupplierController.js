@@ -1,18 +1,18 @@
 const { pool, query, transaction } = require('../config/database');
-const { validationResult } = require('express-validator');
+const { ValidationError, NotFoundError } = require('../utils/errorHandler');
 
 class SupplierController {
   // Get all suppliers with filtering and pagination
-  async getAllSuppliers(req, res) {
+  async getAllSuppliers(req, res, next) {
     try {
       const {
-        page = 1,
-        limit = 50,
+        page,
+        limit,
         search,
         is_active,
         country,
-        sort_by = 'supplier_name',
-        sort_order = 'ASC'
+        sort_by,
+        sort_order
       } = req.query;
 
       const offset = (page - 1) * limit;
@@ -34,7 +34,7 @@ class SupplierController {
       if (is_active !== undefined) {
         paramCount++;
         whereConditions.push(`is_active = $${paramCount}`);
-        params.push(is_active === 'true');
+        params.push(is_active);
       }
 
       if (country) {
@@ -45,12 +45,6 @@ class SupplierController {
 
       const whereClause = whereConditions.length > 0 ? 'WHERE ' + whereConditions.join(' AND ') : '';
       
-      // Validate sort parameters
-      const validSortColumns = ['supplier_name', 'contact_person', 'city', 'created_at', 'updated_at'];
-      const validSortOrder = ['ASC', 'DESC'];
-      const safeSortBy = validSortColumns.includes(sort_by) ? sort_by : 'supplier_name';
-      const safeSortOrder = validSortOrder.includes(sort_order.toUpperCase()) ? sort_order.toUpperCase() : 'ASC';
-
       const suppliersQuery = `
         SELECT 
           s.*,
@@ -62,7 +56,7 @@ class SupplierController {
         LEFT JOIN purchase_orders po ON s.supplier_id = po.supplier_id
         ${whereClause}
         GROUP BY s.supplier_id
-        ORDER BY s.${safeSortBy} ${safeSortOrder}
+        ORDER BY s.${sort_by} ${sort_order}
         LIMIT $${paramCount + 1} OFFSET $${paramCount + 2}
       `;
 
@@ -93,20 +87,14 @@ class SupplierController {
         }
       });
     } catch (error) {
-      console.error('Error fetching suppliers:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Error fetching suppliers',
-        error: error.message
-      });
+      next(error);
     }
   }
 
   // Get single supplier by ID
-  async getSupplierById(req, res) {
+  async getSupplierById(req, res, next) {
     try {
       const { id } = req.params;
-
       const supplierQuery = `
         SELECT 
           s.*,
@@ -126,10 +114,7 @@ class SupplierController {
       const result = await query(supplierQuery, [id]);
 
       if (result.rows.length === 0) {
-        return res.status(404).json({
-          success: false,
-          message: 'Supplier not found'
-        });
+        throw new NotFoundError('Supplier not found');
       }
 
       res.json({
@@ -137,27 +122,13 @@ class SupplierController {
         data: result.rows[0]
       });
     } catch (error) {
-      console.error('Error fetching supplier:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Error fetching supplier',
-        error: error.message
-      });
+      next(error);
     }
   }
 
   // Create new supplier
-  async createSupplier(req, res) {
+  async createSupplier(req, res, next) {
     try {
-      const errors = validationResult(req);
-      if (!errors.isEmpty()) {
-        return res.status(400).json({
-          success: false,
-          message: 'Validation errors',
-          errors: errors.array()
-        });
-      }
-
       const {
         supplier_name,
         contact_person,
@@ -167,10 +138,10 @@ class SupplierController {
         city,
         state,
         postal_code,
-        country = 'Canada',
+        country,
         tax_id,
-        payment_terms = 30,
-        is_active = true
+        payment_terms,
+        is_active
       } = req.body;
 
       // Check if supplier with same name already exists
@@ -180,10 +151,7 @@ class SupplierController {
       );
 
       if (existingSupplier.rows.length > 0) {
-        return res.status(400).json({
-          success: false,
-          message: 'Supplier with this name already exists'
-        });
+        throw new ValidationError('Supplier with this name already exists');
       }
 
       const insertQuery = `
@@ -215,29 +183,14 @@ class SupplierController {
         data: result.rows[0]
       });
     } catch (error) {
-      console.error('Error creating supplier:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Error creating supplier',
-        error: error.message
-      });
+      next(error);
     }
   }
 
   // Update supplier
-  async updateSupplier(req, res) {
+  async updateSupplier(req, res, next) {
     try {
       const { id } = req.params;
-      const errors = validationResult(req);
-      
-      if (!errors.isEmpty()) {
-        return res.status(400).json({
-          success: false,
-          message: 'Validation errors',
-          errors: errors.array()
-        });
-      }
-
       const {
         supplier_name,
         contact_person,
@@ -260,10 +213,7 @@ class SupplierController {
       );
 
       if (existingSupplier.rows.length === 0) {
-        return res.status(404).json({
-          success: false,
-          message: 'Supplier not found'
-        });
+        throw new NotFoundError('Supplier not found');
       }
 
       // Check if another supplier has the same name (excluding current one)
@@ -274,10 +224,7 @@ class SupplierController {
         );
 
         if (nameCheck.rows.length > 0) {
-          return res.status(400).json({
-            success: false,
-            message: 'Another supplier with this name already exists'
-          });
+          throw new ValidationError('Another supplier with this name already exists');
         }
       }
 
@@ -322,20 +269,14 @@ class SupplierController {
         data: result.rows[0]
       });
     } catch (error) {
-      console.error('Error updating supplier:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Error updating supplier',
-        error: error.message
-      });
+      next(error);
     }
   }
 
   // Deactivate supplier (soft delete)
-  async deactivateSupplier(req, res) {
+  async deactivateSupplier(req, res, next) {
     try {
       const { id } = req.params;
-
       // Check if supplier has pending purchase orders
       const pendingOrdersCheck = await query(
         'SELECT COUNT(*) as count FROM purchase_orders WHERE supplier_id = $1 AND status IN (\'pending\', \'ordered\', \'partially_received\')',
@@ -343,10 +284,7 @@ class SupplierController {
       );
 
       if (parseInt(pendingOrdersCheck.rows[0].count) > 0) {
-        return res.status(400).json({
-          success: false,
-          message: 'Cannot deactivate supplier with pending purchase orders'
-        });
+        throw new ValidationError('Cannot deactivate supplier with pending purchase orders');
       }
 
       const result = await query(
@@ -355,10 +293,7 @@ class SupplierController {
       );
 
       if (result.rows.length === 0) {
-        return res.status(404).json({
-          success: false,
-          message: 'Supplier not found'
-        });
+        throw new NotFoundError('Supplier not found');
       }
 
       res.json({
@@ -367,22 +302,17 @@ class SupplierController {
         data: result.rows[0]
       });
     } catch (error) {
-      console.error('Error deactivating supplier:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Error deactivating supplier',
-        error: error.message
-      });
+      next(error);
     }
   }
 
   // Get supplier purchase history
-  async getSupplierPurchaseHistory(req, res) {
+  async getSupplierPurchaseHistory(req, res, next) {
     try {
       const { id } = req.params;
       const {
-        page = 1,
-        limit = 20,
+        page,
+        limit,
         status,
         date_from,
         date_to
@@ -460,20 +390,15 @@ class SupplierController {
         }
       });
     } catch (error) {
-      console.error('Error fetching supplier purchase history:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Error fetching supplier purchase history',
-        error: error.message
-      });
+      next(error);
     }
   }
 
   // Get supplier performance metrics
-  async getSupplierPerformance(req, res) {
+  async getSupplierPerformance(req, res, next) {
     try {
       const { id } = req.params;
-      const { period = '90' } = req.query; // days
+      const { period } = req.query; // days
 
       const performanceQuery = `
         SELECT 
@@ -496,7 +421,7 @@ class SupplierController {
           ) as on_time_delivery_rate
         FROM suppliers s
         LEFT JOIN purchase_orders po ON s.supplier_id = po.supplier_id 
-          AND po.order_date >= CURRENT_DATE - INTERVAL '${parseInt(period)} days'
+          AND po.order_date >= CURRENT_DATE - INTERVAL '${period} days'
         WHERE s.supplier_id = $1
         GROUP BY s.supplier_id, s.supplier_name
       `;
@@ -504,34 +429,26 @@ class SupplierController {
       const result = await query(performanceQuery, [id]);
 
       if (result.rows.length === 0) {
-        return res.status(404).json({
-          success: false,
-          message: 'Supplier not found'
-        });
+        throw new NotFoundError('Supplier not found');
       }
 
       res.json({
         success: true,
         data: result.rows[0],
-        period_days: parseInt(period)
+        period_days: period
       });
     } catch (error) {
-      console.error('Error fetching supplier performance:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Error fetching supplier performance',
-        error: error.message
-      });
+      next(error);
     }
   }
 
   // Get top suppliers by various metrics
-  async getTopSuppliers(req, res) {
+  async getTopSuppliers(req, res, next) {
     try {
       const { 
-        metric = 'total_value', // total_value, order_count, on_time_rate
-        period = '90',
-        limit = 10 
+        metric, // total_value, order_count, on_time_rate
+        period,
+        limit 
       } = req.query;
 
       let orderByClause;
@@ -566,7 +483,7 @@ class SupplierController {
           MAX(po.order_date) as last_order_date
         FROM suppliers s
         LEFT JOIN purchase_orders po ON s.supplier_id = po.supplier_id 
-          AND po.order_date >= CURRENT_DATE - INTERVAL '${parseInt(period)} days'
+          AND po.order_date >= CURRENT_DATE - INTERVAL '${period} days'
         WHERE s.is_active = true
         GROUP BY s.supplier_id, s.supplier_name, s.contact_person, s.city, s.country
         HAVING COUNT(po.po_id) > 0
@@ -580,20 +497,15 @@ class SupplierController {
         success: true,
         data: result.rows,
         metric,
-        period_days: parseInt(period)
+        period_days: period
       });
     } catch (error) {
-      console.error('Error fetching top suppliers:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Error fetching top suppliers',
-        error: error.message
-      });
+      next(error);
     }
   }
 
   // Get supplier statistics
-  async getSupplierStats(req, res) {
+  async getSupplierStats(req, res, next) {
     try {
       const statsQuery = `
         SELECT 
@@ -612,12 +524,7 @@ class SupplierController {
         data: result.rows[0]
       });
     } catch (error) {
-      console.error('Error fetching supplier statistics:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Error fetching supplier statistics',
-        error: error.message
-      });
+      next(error);
     }
   }
 }
@@ -2,33 +2,30 @@ const bcrypt = require('bcrypt');
 const { query, transaction } = require('../config/database');
 const config = require('../config/environment');
 const logger = require('../utils/logger');
-const { validateEmail, validatePassword, generatePagination } = require('../utils/helpers');
+const Session = require('../models/Session');
+const LoginAttempt = require('../models/LoginAttempt');
+const TwoFactor = require('../models/TwoFactor');
+const { SESSION_REVOKE_REASONS } = require('../utils/constants');
+const { generatePagination } = require('../utils/helpers');
+const { ValidationError, NotFoundError, ConflictError } = require('../utils/errorHandler');
 
 class UserController {
   /**
    * Get all users with pagination and filtering
    */
-  static async getAllUsers(req, res) {
+  static async getAllUsers(req, res, next) {
     try {
       const { 
-        page = 1, 
-        limit = 10, 
+        page, 
+        limit, 
         role, 
         isActive, 
         search,
-        sortBy = 'created_at',
-        sortOrder = 'DESC'
+        sortBy,
+        sortOrder
       } = req.query;
 
-      // Validate pagination parameters
-      const pageNum = Math.max(1, parseInt(page));
-      const limitNum = Math.min(100, Math.max(1, parseInt(limit)));
-      const offset = (pageNum - 1) * limitNum;
-
-      // Validate sort parameters
-      const allowedSortFields = ['username', 'email', 'first_name', 'last_name', 'role', 'created_at', 'last_login'];
-      const sortField = allowedSortFields.includes(sortBy) ? sortBy : 'created_at';
-      const sortDir = sortOrder.toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
+      const offset = (page - 1) * limit;
 
       // Build WHERE clause
       let whereClause = 'WHERE 1=1';
@@ -43,7 +40,7 @@ class UserController {
 
       if (isActive !== undefined) {
         whereClause += ` AND is_active = $${paramIndex}`;
-        queryParams.push(isActive === 'true');
+        queryParams.push(isActive);
         paramIndex++;
       }
 
@@ -74,14 +71,14 @@ class UserController {
           is_active, last_login, created_at, updated_at
         FROM users 
         ${whereClause}
-        ORDER BY ${sortField} ${sortDir}
+        ORDER BY ${sortBy} ${sortOrder}
         LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
       `;
-      queryParams.push(limitNum, offset);
+      queryParams.push(limit, offset);
 
       const usersResult = await query(usersQuery, queryParams);
 
-      const pagination = generatePagination(pageNum, limitNum, totalUsers);
+      const pagination = generatePagination(page, limit, totalUsers);
 
       res.json({
         success: true,
@@ -104,32 +101,21 @@ class UserController {
       });
 
     } catch (error) {
-      logger.error('Get all users error:', error.message);
-      res.status(500).json({
-        success: false,
-        message: 'Failed to retrieve users'
-      });
+      next(error);
     }
   }
 
   /**
    * Get user by ID
    */
-  static async getUserById(req, res) {
+  static async getUserById(req, res, next) {
     try {
       const { userId } = req.params;
 
-      if (!userId || isNaN(userId)) {
-        return res.status(400).json({
-          success: false,
-          message: 'Valid user ID is required'
-        });
-      }
-
       const userQuery = `
         SELECT 
           user_id, username, email, first_name, last_name, role, phone, 
-          is_active, last_login, created_at, updated_at
+          is_active, last_login, failed_login_attempts, locked_until, created_at, updated_at
         FROM users 
         WHERE user_id = $1
       `;
@@ -137,10 +123,7 @@ class UserController {
       const result = await query(userQuery, [userId]);
 
       if (result.rows.length === 0) {
-        return res.status(404).json({
-          success: false,
-          message: 'User not found'
-        });
+        throw new NotFoundError('User not found');
       }
 
       const user = result.rows[0];
@@ -158,6 +141,8 @@ class UserController {
             phone: user.phone,
             isActive: user.is_active,
             lastLogin: user.last_login,
+            failedLoginAttempts: user.failed_login_attempts,
+            lockedUntil: user.locked_until && user.locked_until > new Date() ? user.locked_until : null,
             createdAt: user.created_at,
             updatedAt: user.updated_at
           }
@@ -165,18 +150,14 @@ class UserController {
       });
 
     } catch (error) {
-      logger.error('Get user by ID error:', error.message);
-      res.status(500).json({
-        success: false,
-        message: 'Failed to retrieve user'
-      });
+      next(error);
     }
   }
 
   /**
    * Create new user (Admin only)
    */
-  static async createUser(req, res) {
+  static async createUser(req, res, next) {
     try {
       const { 
         username, 
@@ -184,49 +165,11 @@ class UserController {
         password, 
         firstName, 
         lastName, 
-        role = 'technician',
+        role,
         phone,
-        isActive = true
+        isActive
       } = req.body;
 
-      // Input validation
-      if (!username || !email || !password || !firstName || !lastName) {
-        return res.status(400).json({
-          success: false,
-          message: 'Missing required fields',
-          errors: {
-            required: ['username', 'email', 'password', 'firstName', 'lastName']
-          }
-        });
-      }
-
-      // Validate email format
-      if (!validateEmail(email)) {
-        return res.status(400).json({
-          success: false,
-          message: 'Invalid email format'
-        });
-      }
-
-      // Validate password strength
-      const passwordValidation = validatePassword(password);
-      if (!passwordValidation.isValid) {
-        return res.status(400).json({
-          success: false,
-          message: 'Password does not meet requirements',
-          errors: passwordValidation.errors
-        });
-      }
-
-      // Validate role
-      const validRoles = ['admin', 'pharmacist', 'technician', 'cashier', 'manager'];
-      if (!validRoles.includes(role)) {
-        return res.status(400).json({
-          success: false,
-          message: 'Invalid role specified'
-        });
-      }
-
       await transaction(async (client) => {
         // Check if username or email already exists
         const existingUserQuery = `
@@ -239,7 +182,7 @@ class UserController {
         if (existingUser.rows.length > 0) {
           const existing = existingUser.rows[0];
           const field = existing.username === username ? 'username' : 'email';
-          throw new Error(`User with this ${field} already exists`);
+          throw new ConflictError(`User with this ${field} already exists`);
         }
 
         // Hash password
@@ -292,18 +235,14 @@ class UserController {
       });
 
     } catch (error) {
-      logger.error('Create user error:', error.message);
-      res.status(400).json({
-        success: false,
-        message: error.message || 'Failed to create user'
-      });
+      next(error);
     }
   }
 
   /**
    * Update user (Admin only)
    */
-  static async updateUser(req, res) {
+  static async updateUser(req, res, next) {
     try {
       const { userId } = req.params;
       const { 
@@ -316,39 +255,13 @@ class UserController {
         isActive 
       } = req.body;
 
-      if (!userId || isNaN(userId)) {
-        return res.status(400).json({
-          success: false,
-          message: 'Valid user ID is required'
-        });
-      }
-
-      // Validate email if provided
-      if (email && !validateEmail(email)) {
-        return res.status(400).json({
-          success: false,
-          message: 'Invalid email format'
-        });
-      }
-
-      // Validate role if provided
-      if (role) {
-        const validRoles = ['admin', 'pharmacist', 'technician', 'cashier', 'manager'];
-        if (!validRoles.includes(role)) {
-          return res.status(400).json({
-            success: false,
-            message: 'Invalid role specified'
-          });
-        }
-      }
-
       await transaction(async (client) => {
         // Check if user exists
         const userExistsQuery = `SELECT user_id FROM users WHERE user_id = $1`;
         const userExists = await client.query(userExistsQuery, [userId]);
 
         if (userExists.rows.length === 0) {
-          throw new Error('User not found');
+          throw new NotFoundError('User not found');
         }
 
         // Check if username or email is already taken by another user
@@ -363,7 +276,7 @@ class UserController {
           if (conflicts.rows.length > 0) {
             const conflict = conflicts.rows[0];
             const field = conflict.username === username ? 'username' : 'email';
-            throw new Error(`${field} is already taken by another user`);
+            throw new ConflictError(`${field} is already taken by another user`);
           }
         }
 
@@ -415,7 +328,7 @@ class UserController {
         }
 
         if (updateFields.length === 0) {
-          throw new Error('No fields to update');
+          throw new ValidationError('No fields to update');
         }
 
         updateFields.push('updated_at = NOW()');
@@ -431,6 +344,10 @@ class UserController {
         const result = await client.query(updateQuery, updateValues);
         const updatedUser = result.rows[0];
 
+        if (!updatedUser.is_active) {
+          await Session.revokeAllForUser(updatedUser.user_id, SESSION_REVOKE_REASONS.USER_DEACTIVATED, { client });
+        }
+
         logger.info('User updated by admin', {
           updatedUserId: updatedUser.user_id,
           updatedUsername: updatedUser.username,
@@ -458,34 +375,20 @@ class UserController {
       });
 
     } catch (error) {
-      logger.error('Update user error:', error.message);
-      res.status(400).json({
-        success: false,
-        message: error.message || 'Failed to update user'
-      });
+      next(error);
     }
   }
 
   /**
    * Delete user (soft delete - set is_active to false)
    */
-  static async deleteUser(req, res) {
+  static async deleteUser(req, res, next) {
     try {
       const { userId } = req.params;
 
-      if (!userId || isNaN(userId)) {
-        return res.status(400).json({
-          success: false,
-          message: 'Valid user ID is required'
-        });
-      }
-
       // Prevent self-deletion
       if (parseInt(userId) === req.user.userId) {
-        return res.status(400).json({
-          success: false,
-          message: 'Cannot delete your own account'
-        });
+        throw new ValidationError('Cannot delete your own account');
       }
 
       const updateQuery = `
@@ -495,16 +398,16 @@ class UserController {
         RETURNING user_id, username, first_name, last_name
       `;
 
-      const result = await query(updateQuery, [userId]);
+      const deactivatedUser = await transaction(async (client) => {
+        const result = await client.query(updateQuery, [userId]);
 
-      if (result.rows.length === 0) {
-        return res.status(404).json({
-          success: false,
-          message: 'User not found or already deactivated'
-        });
-      }
+        if (result.rows.length === 0) {
+          throw new NotFoundError('User not found or already deactivated');
+        }
 
-      const deactivatedUser = result.rows[0];
+        await Session.revokeAllForUser(userId, SESSION_REVOKE_REASONS.USER_DEACTIVATED, { client });
+        return result.rows[0];
+      });
 
       logger.info('User deactivated by admin', {
         deactivatedUserId: deactivatedUser.user_id,
@@ -527,45 +430,17 @@ class UserController {
       });
 
     } catch (error) {
-      logger.error('Delete user error:', error.message);
-      res.status(500).json({
-        success: false,
-        message: 'Failed to deactivate user'
-      });
+      next(error);
     }
   }
 
   /**
    * Reset user password (Admin only)
    */
-  static async resetUserPassword(req, res) {
+  static async resetUserPassword(req, res, next) {
     try {
       const { userId } = req.params;
-      const { newPassword, temporaryPassword = false } = req.body;
-
-      if (!userId || isNaN(userId)) {
-        return res.status(400).json({
-          success: false,
-          message: 'Valid user ID is required'
-        });
-      }
-
-      if (!newPassword) {
-        return res.status(400).json({
-          success: false,
-          message: 'New password is required'
-        });
-      }
-
-      // Validate password strength
-      const passwordValidation = validatePassword(newPassword);
-      if (!passwordValidation.isValid) {
-        return res.status(400).json({
-          success: false,
-          message: 'Password does not meet requirements',
-          errors: passwordValidation.errors
-        });
-      }
+      const { newPassword, temporaryPassword } = req.body;
 
       await transaction(async (client) => {
         // Check if user exists
@@ -577,7 +452,7 @@ class UserController {
         const userResult = await client.query(userQuery, [userId]);
 
         if (userResult.rows.length === 0) {
-          throw new Error('User not found or inactive');
+          throw new NotFoundError('User not found or inactive');
         }
 
         const user = userResult.rows[0];
@@ -593,6 +468,9 @@ class UserController {
         `;
         await client.query(updateQuery, [passwordHash, userId]);
 
+        // Whoever knew the old password must not stay signed in
+        await Session.revokeAllForUser(user.user_id, SESSION_REVOKE_REASONS.PASSWORD_RESET, { client });
+
         logger.info('Password reset by admin', {
           targetUserId: user.user_id,
           targetUsername: user.username,
@@ -617,18 +495,14 @@ class UserController {
       });
 
     } catch (error) {
-      logger.error('Reset password error:', error.message);
-      res.status(400).json({
-        success: false,
-        message: error.message || 'Failed to reset password'
-      });
+      next(error);
     }
   }
 
   /**
    * Get user statistics (Admin only)
    */
-  static async getUserStats(req, res) {
+  static async getUserStats(req, res, next) {
     try {
       const statsQuery = `
         SELECT 
@@ -669,34 +543,20 @@ class UserController {
       });
 
     } catch (error) {
-      logger.error('Get user stats error:', error.message);
-      res.status(500).json({
-        success: false,
-        message: 'Failed to retrieve user statistics'
-      });
+      next(error);
     }
   }
 
   /**
    * Toggle user status (activate/deactivate)
    */
-  static async toggleUserStatus(req, res) {
+  static async toggleUserStatus(req, res, next) {
     try {
       const { userId } = req.params;
 
-      if (!userId || isNaN(userId)) {
-        return res.status(400).json({
-          success: false,
-          message: 'Valid user ID is required'
-        });
-      }
-
       // Prevent self-deactivation
       if (parseInt(userId) === req.user.userId) {
-        return res.status(400).json({
-          success: false,
-          message: 'Cannot change your own account status'
-        });
+        throw new ValidationError('Cannot change your own account status');
       }
 
       const toggleQuery = `
@@ -706,16 +566,20 @@ class UserController {
         RETURNING user_id, username, first_name, last_name, is_active
       `;
 
-      const result = await query(toggleQuery, [userId]);
+      const user = await transaction(async (client) => {
+        const result = await client.query(toggleQuery, [userId]);
 
-      if (result.rows.length === 0) {
-        return res.status(404).json({
-          success: false,
-          message: 'User not found'
-        });
-      }
+        if (result.rows.length === 0) {
+          throw new NotFoundError('User not found');
+        }
 
-      const user = result.rows[0];
+        // A deactivated account must not keep working on a shared terminal
+        if (!result.rows[0].is_active) {
+          await Session.revokeAllForUser(userId, SESSION_REVOKE_REASONS.USER_DEACTIVATED, { client });
+        }
+
+        return result.rows[0];
+      });
 
       logger.info('User status toggled by admin', {
         targetUserId: user.user_id,
@@ -740,11 +604,98 @@ class UserController {
       });
 
     } catch (error) {
-      logger.error('Toggle user status error:', error.message);
-      res.status(500).json({
-        success: false,
-        message: 'Failed to toggle user status'
+      next(error);
+    }
+  }
+
+  /**
+   * Lift a login lockout and reset the failed-attempt count (Admin only)
+   */
+  static async unlockUser(req, res, next) {
+    try {
+      const { userId } = req.params;
+
+      const result = await LoginAttempt.unlockAccount(userId, req.user.userId);
+
+      if (!result) {
+        throw new NotFoundError('User not found');
+      }
+
+      const { user, wasLocked } = result;
+
+      logger.info('User account unlocked by admin', {
+        targetUserId: user.user_id,
+        targetUsername: user.username,
+        wasLocked,
+        unlockedBy: req.user.userId,
+        unlockedByUsername: req.user.username
       });
+
+      res.json({
+        success: true,
+        message: wasLocked ? 'User account unlocked successfully' : 'User account was not locked',
+        data: {
+          user: {
+            id: user.user_id,
+            username: user.username,
+            failedLoginAttempts: user.failed_login_attempts,
+            lockedUntil: user.locked_until
+          },
+          wasLocked
+        }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Remove a user's second factor, e.g. after a lost phone (Admin only).
+   * Their sessions end; if their role requires 2FA they enroll again at next login.
+   */
+  static async resetTwoFactor(req, res, next) {
+    try {
+      const { userId } = req.params;
+
+      const result = await transaction(async (client) => {
+        const userResult = await client.query('SELECT user_id, username, role FROM users WHERE user_id = $1', [userId]);
+
+        if (userResult.rows.length === 0) {
+          throw new NotFoundError('User not found');
+        }
+
+        const wasEnabled = await TwoFactor.disable(userId, client);
+        const revokedSessions = wasEnabled
+          ? await Session.revokeAllForUser(userId, SESSION_REVOKE_REASONS.TWO_FACTOR_RESET, { client })
+          : 0;
+
+        return { user: userResult.rows[0], wasEnabled, revokedSessions };
+      });
+
+      logger.info('Two-factor authentication reset by admin', {
+        targetUserId: result.user.user_id,
+        targetUsername: result.user.username,
+        wasEnabled: result.wasEnabled,
+        revokedSessions: result.revokedSessions,
+        resetBy: req.user.userId,
+        resetByUsername: req.user.username
+      });
+
+      res.json({
+        success: true,
+        message: result.wasEnabled
+          ? 'Two-factor authentication reset successfully'
+          : 'User did not have two-factor authentication set up',
+        data: {
+          wasEnabled: result.wasEnabled,
+          enrollmentRequired: TwoFactor.isRequiredForRole(result.user.role),
+          revokedSessions: result.revokedSessions
+        }
+      });
+
+    } catch (error) {
+      next(error);
     }
   }
 }
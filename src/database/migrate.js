@@ -0,0 +1,303 @@
+// src/database/migrate.js
+//
+// Usage:
+//   node src/database/migrate.js up [--steps N] [--to VERSION]
+//   node src/database/migrate.js down [--steps N] [--to VERSION]
+//   node src/database/migrate.js status
+//
+// Migrations live in ./migrations as NNN_name.up.sql / NNN_name.down.sql pairs.
+// Applied versions are recorded in schema_migrations with the SHA-256 of the up
+// script, so editing a migration after it has been applied is detected.
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { pool } = require('../config/database');
+const logger = require('../utils/logger');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d{3})_([a-z0-9_]+)\.(up|down)\.sql$/;
+const MIGRATION_LOCK_NAME = 'pharmaflow.schema_migrations';
+
+/**
+ * SHA-256 checksum of a migration script
+ * @param {string} sql - Script contents
+ * @returns {string} Hex digest
+ */
+const checksum = (sql) => crypto.createHash('sha256').update(sql).digest('hex');
+
+/**
+ * Read the migration files from disk, ordered by version
+ * @param {string} dir - Directory containing the migration files
+ * @returns {Array} [{ version, name, up, down, checksum }]
+ */
+const loadMigrations = (dir = MIGRATIONS_DIR) => {
+  const migrations = new Map();
+
+  for (const file of fs.readdirSync(dir)) {
+    const match = MIGRATION_FILE_PATTERN.exec(file);
+    if (!match) continue;
+
+    const [, versionText, name, direction] = match;
+    const version = Number(versionText);
+    const migration = migrations.get(version) || { version, name };
+
+    if (migration.name !== name) {
+      throw new Error(`Migration ${versionText} has conflicting names: ${migration.name}, ${name}`);
+    }
+
+    migration[direction] = fs.readFileSync(path.join(dir, file), 'utf8');
+    migrations.set(version, migration);
+  }
+
+  return [...migrations.values()]
+    .sort((a, b) => a.version - b.version)
+    .map((migration) => {
+      if (!migration.up || !migration.down) {
+        throw new Error(`Migration ${migration.version}_${migration.name} needs both an up and a down script`);
+      }
+      return { ...migration, checksum: checksum(migration.up) };
+    });
+};
+
+/**
+ * Compare migration files against the rows in schema_migrations
+ * @param {Array} migrations - Result of loadMigrations
+ * @param {Array} appliedRows - Rows from schema_migrations
+ * @returns {Object} { applied, pending, modified, missing }
+ */
+const compareMigrations = (migrations, appliedRows) => {
+  const appliedByVersion = new Map(appliedRows.map(row => [Number(row.version), row]));
+  const knownVersions = new Set(migrations.map(migration => migration.version));
+
+  const applied = migrations.filter(migration => appliedByVersion.has(migration.version));
+  const pending = migrations.filter(migration => !appliedByVersion.has(migration.version));
+  const modified = applied.filter(migration => appliedByVersion.get(migration.version).checksum !== migration.checksum);
+  const missing = appliedRows.filter(row => !knownVersions.has(Number(row.version)));
+
+  return { applied, pending, modified, missing };
+};
+
+/**
+ * Refuse to proceed when applied migrations no longer match the files on disk
+ * @param {Object} status - Result of compareMigrations
+ */
+const assertHistoryIntact = ({ modified, missing }) => {
+  if (modified.length > 0) {
+    const names = modified.map(m => `${m.version}_${m.name}`).join(', ');
+    throw new Error(`Applied migrations have been modified: ${names}. Add a new migration instead of editing an applied one.`);
+  }
+
+  if (missing.length > 0) {
+    const names = missing.map(row => `${row.version}_${row.name}`).join(', ');
+    throw new Error(`Applied migrations are missing from ${MIGRATIONS_DIR}: ${names}`);
+  }
+};
+
+const ensureMigrationsTable = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      checksum CHAR(64) NOT NULL,
+      applied_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+    )
+  `);
+};
+
+const getAppliedRows = async (client) => {
+  const exists = await client.query('SELECT to_regclass(\'schema_migrations\') IS NOT NULL AS exists');
+  if (!exists.rows[0].exists) {
+    return [];
+  }
+
+  const result = await client.query('SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version');
+  return result.rows;
+};
+
+/**
+ * Run a callback while holding the migration advisory lock, so two deploys
+ * cannot apply migrations at the same time
+ * @param {Function} callback - Receives a dedicated client
+ */
+const withMigrationLock = async (callback) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('SELECT pg_advisory_lock(hashtext($1))', [MIGRATION_LOCK_NAME]);
+    try {
+      await ensureMigrationsTable(client);
+      return await callback(client);
+    } finally {
+      await client.query('SELECT pg_advisory_unlock(hashtext($1))', [MIGRATION_LOCK_NAME]);
+    }
+  } finally {
+    client.release();
+  }
+};
+
+const runInTransaction = async (client, work) => {
+  await client.query('BEGIN');
+  try {
+    await work();
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+};
+
+/**
+ * Current migration status
+ * @returns {Promise<Object>} { applied, pending, modified, missing }
+ */
+const getStatus = async () => {
+  const client = await pool.connect();
+  try {
+    return compareMigrations(loadMigrations(), await getAppliedRows(client));
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Apply pending migrations in order, each in its own transaction
+ * @param {Object} options - steps: max migrations to apply; to: highest version to apply
+ * @returns {Promise<Array>} Applied migrations
+ */
+const migrateUp = async ({ steps, to } = {}) => withMigrationLock(async (client) => {
+  const status = compareMigrations(loadMigrations(), await getAppliedRows(client));
+  assertHistoryIntact(status);
+
+  let targets = status.pending;
+  if (to !== undefined) targets = targets.filter(m => m.version <= to);
+  if (steps !== undefined) targets = targets.slice(0, steps);
+
+  for (const migration of targets) {
+    await runInTransaction(client, async () => {
+      await client.query(migration.up);
+      await client.query(
+        'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+        [migration.version, migration.name, migration.checksum]
+      );
+    });
+    logger.info(`Applied migration ${migration.version}_${migration.name}`);
+  }
+
+  return targets;
+});
+
+/**
+ * Roll back applied migrations, newest first
+ * @param {Object} options - steps: migrations to roll back (default 1); to: keep versions <= to
+ * @returns {Promise<Array>} Rolled back migrations
+ */
+const migrateDown = async ({ steps, to } = {}) => withMigrationLock(async (client) => {
+  const status = compareMigrations(loadMigrations(), await getAppliedRows(client));
+  assertHistoryIntact(status);
+
+  let targets = [...status.applied].reverse();
+  if (to !== undefined) {
+    targets = targets.filter(m => m.version > to);
+  } else {
+    targets = targets.slice(0, steps === undefined ? 1 : steps);
+  }
+
+  for (const migration of targets) {
+    await runInTransaction(client, async () => {
+      await client.query(migration.down);
+      await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+    });
+    logger.info(`Rolled back migration ${migration.version}_${migration.name}`);
+  }
+
+  return targets;
+});
+
+/**
+ * Throw when the database schema is behind (or diverges from) the migration files.
+ * Called by server.js before it starts listening.
+ */
+const assertSchemaCurrent = async () => {
+  const status = await getStatus();
+  assertHistoryIntact(status);
+
+  if (status.pending.length > 0) {
+    const names = status.pending.map(m => `${m.version}_${m.name}`).join(', ');
+    throw new Error(`Database has pending migrations: ${names}. Run "npm run db:migrate" first.`);
+  }
+};
+
+/**
+ * Parse "--steps N" / "--to VERSION" flags
+ * @param {Array} args - CLI arguments after the command
+ * @returns {Object} { steps, to }
+ */
+const parseOptions = (args) => {
+  const options = {};
+
+  for (let i = 0; i < args.length; i += 2) {
+    const flag = args[i];
+    const value = Number(args[i + 1]);
+
+    if (!['--steps', '--to'].includes(flag) || !Number.isInteger(value) || value < 0) {
+      throw new Error(`Invalid option: ${args.slice(i, i + 2).join(' ')}`);
+    }
+
+    options[flag.slice(2)] = value;
+  }
+
+  return options;
+};
+
+const printStatus = ({ applied, pending, modified, missing }) => {
+  const modifiedVersions = new Set(modified.map(m => m.version));
+
+  applied.forEach(m => console.log(`  applied   ${m.version}_${m.name}${modifiedVersions.has(m.version) ? '  (MODIFIED)' : ''}`));
+  missing.forEach(row => console.log(`  missing   ${row.version}_${row.name}`));
+  pending.forEach(m => console.log(`  pending   ${m.version}_${m.name}`));
+
+  console.log(`${applied.length} applied, ${pending.length} pending`);
+};
+
+const run = async ([command = 'up', ...args]) => {
+  const options = parseOptions(args);
+
+  switch (command) {
+  case 'up': {
+    const applied = await migrateUp(options);
+    console.log(applied.length > 0 ? `Applied ${applied.length} migration(s)` : 'Database is up to date');
+    break;
+  }
+  case 'down': {
+    const rolledBack = await migrateDown(options);
+    console.log(`Rolled back ${rolledBack.length} migration(s)`);
+    break;
+  }
+  case 'status':
+    printStatus(await getStatus());
+    break;
+  default:
+    throw new Error(`Unknown command "${command}". Use up, down or status.`);
+  }
+};
+
+if (require.main === module) {
+  run(process.argv.slice(2))
+    .catch((error) => {
+      logger.error('Migration failed:', error.message);
+      console.error(`Migration failed: ${error.message}`);
+      process.exitCode = 1;
+    })
+    .finally(() => pool.end());
+}
+
+module.exports = {
+  loadMigrations,
+  compareMigrations,
+  getStatus,
+  migrateUp,
+  migrateDown,
+  assertSchemaCurrent
+};
@@ -0,0 +1,21 @@
+-- 001_core_schema: drop the core tables in reverse dependency order
+
+DROP TABLE IF EXISTS notifications;
+DROP TABLE IF EXISTS expiration_alerts;
+DROP TABLE IF EXISTS purchase_order_items;
+DROP TABLE IF EXISTS purchase_orders;
+DROP TABLE IF EXISTS sale_items;
+DROP TABLE IF EXISTS sales;
+DROP TABLE IF EXISTS customers;
+DROP TABLE IF EXISTS stock_movements;
+DROP TABLE IF EXISTS inventory;
+DROP TABLE IF EXISTS products;
+DROP TABLE IF EXISTS suppliers;
+DROP TABLE IF EXISTS categories;
+DROP TABLE IF EXISTS users;
+
+DROP SEQUENCE IF EXISTS po_number_seq;
+DROP SEQUENCE IF EXISTS sale_number_seq;
+DROP SEQUENCE IF EXISTS customer_code_seq;
+
+DROP TYPE IF EXISTS alert_type;
@@ -0,0 +1,296 @@
+-- 001_core_schema: extensions, enum types and the core tables used by the controllers
+
+CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
+CREATE EXTENSION IF NOT EXISTS pgcrypto;
+
+-- Expiration alert windows (see ALERT_TYPES in src/utils/constants.js)
+CREATE TYPE alert_type AS ENUM ('90_days', '60_days', '30_days', 'expired');
+
+-- Human-readable document numbers
+CREATE SEQUENCE customer_code_seq;
+CREATE SEQUENCE sale_number_seq;
+CREATE SEQUENCE po_number_seq;
+
+CREATE TABLE users (
+  user_id SERIAL PRIMARY KEY,
+  username VARCHAR(50) NOT NULL UNIQUE,
+  email VARCHAR(255) NOT NULL UNIQUE,
+  password_hash VARCHAR(255) NOT NULL,
+  first_name VARCHAR(100) NOT NULL,
+  last_name VARCHAR(100) NOT NULL,
+  role VARCHAR(20) NOT NULL
+    CHECK (role IN ('admin', 'pharmacist', 'technician', 'cashier', 'manager')),
+  phone VARCHAR(20),
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  last_login TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE categories (
+  category_id SERIAL PRIMARY KEY,
+  category_name VARCHAR(100) NOT NULL,
+  description TEXT,
+  parent_category_id INTEGER REFERENCES categories (category_id) ON DELETE SET NULL,
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  CHECK (parent_category_id IS NULL OR parent_category_id <> category_id)
+);
+
+CREATE INDEX idx_categories_parent ON categories (parent_category_id);
+
+CREATE TABLE suppliers (
+  supplier_id SERIAL PRIMARY KEY,
+  supplier_name VARCHAR(255) NOT NULL,
+  contact_person VARCHAR(150),
+  phone VARCHAR(20),
+  email VARCHAR(255),
+  address TEXT,
+  city VARCHAR(100),
+  state VARCHAR(100),
+  postal_code VARCHAR(20),
+  country VARCHAR(100),
+  tax_id VARCHAR(50),
+  payment_terms INTEGER NOT NULL DEFAULT 30 CHECK (payment_terms >= 0), -- days
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE products (
+  product_id SERIAL PRIMARY KEY,
+  product_code VARCHAR(20) NOT NULL UNIQUE,
+  product_name VARCHAR(255) NOT NULL,
+  generic_name VARCHAR(255),
+  brand_name VARCHAR(255),
+  category_id INTEGER REFERENCES categories (category_id) ON DELETE SET NULL,
+  dosage_form VARCHAR(50),
+  strength VARCHAR(50),
+  unit_of_measure VARCHAR(20) NOT NULL DEFAULT 'pieces',
+  description TEXT,
+  manufacturer VARCHAR(255),
+  requires_prescription BOOLEAN NOT NULL DEFAULT FALSE,
+  controlled_substance BOOLEAN NOT NULL DEFAULT FALSE,
+  storage_conditions TEXT,
+  minimum_stock_level INTEGER NOT NULL DEFAULT 0 CHECK (minimum_stock_level >= 0),
+  maximum_stock_level INTEGER CHECK (maximum_stock_level IS NULL OR maximum_stock_level >= minimum_stock_level),
+  reorder_point INTEGER NOT NULL DEFAULT 0 CHECK (reorder_point >= 0),
+  unit_cost NUMERIC(10, 2) CHECK (unit_cost >= 0),
+  selling_price NUMERIC(10, 2) CHECK (selling_price >= 0),
+  markup_percentage NUMERIC(7, 2),
+  tax_rate NUMERIC(5, 2) NOT NULL DEFAULT 0 CHECK (tax_rate >= 0), -- percent
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_products_category ON products (category_id);
+CREATE INDEX idx_products_name ON products (product_name);
+
+CREATE TABLE inventory (
+  inventory_id SERIAL PRIMARY KEY,
+  product_id INTEGER NOT NULL REFERENCES products (product_id),
+  supplier_id INTEGER REFERENCES suppliers (supplier_id),
+  batch_number VARCHAR(50) NOT NULL,
+  lot_number VARCHAR(50),
+  quantity_on_hand INTEGER NOT NULL DEFAULT 0 CHECK (quantity_on_hand >= 0),
+  quantity_reserved INTEGER NOT NULL DEFAULT 0 CHECK (quantity_reserved >= 0),
+  quantity_available INTEGER GENERATED ALWAYS AS (quantity_on_hand - quantity_reserved) STORED,
+  unit_cost NUMERIC(10, 2) CHECK (unit_cost >= 0),
+  manufacturing_date DATE,
+  expiration_date DATE NOT NULL,
+  received_date DATE NOT NULL DEFAULT CURRENT_DATE,
+  location VARCHAR(100),
+  status VARCHAR(20) NOT NULL DEFAULT 'active'
+    CHECK (status IN ('active', 'expired', 'damaged', 'recalled')),
+  notes TEXT,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  CHECK (quantity_reserved <= quantity_on_hand),
+  CHECK (manufacturing_date IS NULL OR manufacturing_date <= expiration_date)
+);
+
+CREATE INDEX idx_inventory_product_status ON inventory (product_id, status);
+CREATE INDEX idx_inventory_expiration ON inventory (expiration_date);
+CREATE INDEX idx_inventory_supplier ON inventory (supplier_id);
+
+CREATE TABLE stock_movements (
+  movement_id SERIAL PRIMARY KEY,
+  inventory_id INTEGER REFERENCES inventory (inventory_id),
+  product_id INTEGER NOT NULL REFERENCES products (product_id),
+  movement_type VARCHAR(20) NOT NULL
+    CHECK (movement_type IN ('purchase', 'sale', 'adjustment', 'return', 'expired', 'damaged', 'transfer')),
+  quantity_change INTEGER NOT NULL,
+  quantity_before INTEGER NOT NULL CHECK (quantity_before >= 0),
+  quantity_after INTEGER NOT NULL CHECK (quantity_after >= 0),
+  reference_id INTEGER,
+  reference_type VARCHAR(50),
+  unit_cost NUMERIC(10, 2),
+  reason TEXT,
+  performed_by INTEGER REFERENCES users (user_id),
+  movement_date TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  CHECK (quantity_after = quantity_before + quantity_change)
+);
+
+CREATE INDEX idx_stock_movements_product_date ON stock_movements (product_id, movement_date DESC);
+CREATE INDEX idx_stock_movements_inventory ON stock_movements (inventory_id);
+CREATE INDEX idx_stock_movements_reference ON stock_movements (reference_type, reference_id);
+
+CREATE TABLE customers (
+  customer_id SERIAL PRIMARY KEY,
+  customer_code VARCHAR(20) NOT NULL UNIQUE
+    DEFAULT ('CUST-' || LPAD(nextval('customer_code_seq')::TEXT, 6, '0')),
+  first_name VARCHAR(100) NOT NULL,
+  last_name VARCHAR(100) NOT NULL,
+  phone VARCHAR(20),
+  email VARCHAR(255),
+  date_of_birth DATE,
+  address TEXT,
+  city VARCHAR(100),
+  state VARCHAR(100),
+  postal_code VARCHAR(20),
+  insurance_provider VARCHAR(150),
+  insurance_id VARCHAR(50),
+  allergies TEXT,
+  medical_conditions TEXT,
+  emergency_contact_name VARCHAR(200),
+  emergency_contact_phone VARCHAR(20),
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+ALTER SEQUENCE customer_code_seq OWNED BY customers.customer_code;
+
+CREATE INDEX idx_customers_phone ON customers (phone);
+CREATE INDEX idx_customers_email ON customers (email);
+CREATE INDEX idx_customers_name ON customers (last_name, first_name);
+
+CREATE TABLE sales (
+  sale_id SERIAL PRIMARY KEY,
+  sale_number VARCHAR(30) NOT NULL UNIQUE
+    DEFAULT ('SALE-' || TO_CHAR(NOW(), 'YYYYMMDD') || '-' || LPAD(nextval('sale_number_seq')::TEXT, 6, '0')),
+  customer_id INTEGER REFERENCES customers (customer_id),
+  cashier_id INTEGER NOT NULL REFERENCES users (user_id),
+  sale_date TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  subtotal NUMERIC(12, 2) NOT NULL DEFAULT 0,
+  tax_amount NUMERIC(12, 2) NOT NULL DEFAULT 0,
+  discount_amount NUMERIC(12, 2) NOT NULL DEFAULT 0,
+  total_amount NUMERIC(12, 2) NOT NULL DEFAULT 0,
+  payment_method VARCHAR(20) NOT NULL
+    CHECK (payment_method IN ('cash', 'card', 'insurance', 'check', 'digital')),
+  payment_status VARCHAR(20) NOT NULL DEFAULT 'completed'
+    CHECK (payment_status IN ('pending', 'completed', 'partial', 'refunded', 'cancelled')),
+  prescription_number VARCHAR(50),
+  doctor_name VARCHAR(200),
+  insurance_claim_amount NUMERIC(12, 2) NOT NULL DEFAULT 0,
+  customer_payment_amount NUMERIC(12, 2) NOT NULL DEFAULT 0,
+  notes TEXT,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+ALTER SEQUENCE sale_number_seq OWNED BY sales.sale_number;
+
+CREATE INDEX idx_sales_date ON sales (sale_date);
+CREATE INDEX idx_sales_customer ON sales (customer_id);
+CREATE INDEX idx_sales_cashier ON sales (cashier_id);
+
+CREATE TABLE sale_items (
+  sale_item_id SERIAL PRIMARY KEY,
+  sale_id INTEGER NOT NULL REFERENCES sales (sale_id) ON DELETE CASCADE,
+  product_id INTEGER NOT NULL REFERENCES products (product_id),
+  inventory_id INTEGER REFERENCES inventory (inventory_id),
+  quantity INTEGER NOT NULL CHECK (quantity > 0),
+  unit_price NUMERIC(10, 2) NOT NULL CHECK (unit_price >= 0),
+  discount_percentage NUMERIC(5, 2) NOT NULL DEFAULT 0
+    CHECK (discount_percentage BETWEEN 0 AND 100),
+  discount_amount NUMERIC(12, 2) NOT NULL DEFAULT 0,
+  line_total NUMERIC(12, 2) NOT NULL,
+  expiration_date DATE,
+  batch_number VARCHAR(50)
+);
+
+CREATE INDEX idx_sale_items_sale ON sale_items (sale_id);
+CREATE INDEX idx_sale_items_product ON sale_items (product_id);
+
+CREATE TABLE purchase_orders (
+  po_id SERIAL PRIMARY KEY,
+  po_number VARCHAR(30) NOT NULL UNIQUE
+    DEFAULT ('PO-' || TO_CHAR(NOW(), 'YYYYMMDD') || '-' || LPAD(nextval('po_number_seq')::TEXT, 5, '0')),
+  supplier_id INTEGER NOT NULL REFERENCES suppliers (supplier_id),
+  order_date DATE NOT NULL DEFAULT CURRENT_DATE,
+  -- Timestamps so supplier performance can take EXTRACT(days FROM actual - expected)
+  expected_delivery_date TIMESTAMP WITH TIME ZONE,
+  actual_delivery_date TIMESTAMP WITH TIME ZONE,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'ordered', 'partially_received', 'received', 'cancelled')),
+  subtotal NUMERIC(12, 2) NOT NULL DEFAULT 0,
+  tax_amount NUMERIC(12, 2) NOT NULL DEFAULT 0,
+  total_amount NUMERIC(12, 2) NOT NULL DEFAULT 0,
+  notes TEXT,
+  created_by INTEGER REFERENCES users (user_id),
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+ALTER SEQUENCE po_number_seq OWNED BY purchase_orders.po_number;
+
+CREATE INDEX idx_purchase_orders_supplier ON purchase_orders (supplier_id);
+CREATE INDEX idx_purchase_orders_status ON purchase_orders (status);
+
+CREATE TABLE purchase_order_items (
+  po_item_id SERIAL PRIMARY KEY,
+  po_id INTEGER NOT NULL REFERENCES purchase_orders (po_id) ON DELETE CASCADE,
+  product_id INTEGER NOT NULL REFERENCES products (product_id),
+  quantity_ordered INTEGER NOT NULL CHECK (quantity_ordered > 0),
+  quantity_received INTEGER NOT NULL DEFAULT 0
+    CHECK (quantity_received >= 0 AND quantity_received <= quantity_ordered),
+  unit_cost NUMERIC(10, 2) NOT NULL CHECK (unit_cost >= 0),
+  line_total NUMERIC(12, 2) NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'partially_received', 'received', 'cancelled')),
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_purchase_order_items_po ON purchase_order_items (po_id);
+
+CREATE TABLE expiration_alerts (
+  alert_id SERIAL PRIMARY KEY,
+  inventory_id INTEGER NOT NULL REFERENCES inventory (inventory_id) ON DELETE CASCADE,
+  product_id INTEGER NOT NULL REFERENCES products (product_id),
+  batch_number VARCHAR(50),
+  expiration_date DATE NOT NULL,
+  quantity INTEGER NOT NULL DEFAULT 0,
+  alert_type alert_type NOT NULL,
+  alert_date DATE NOT NULL DEFAULT CURRENT_DATE,
+  is_acknowledged BOOLEAN NOT NULL DEFAULT FALSE,
+  acknowledged_by INTEGER REFERENCES users (user_id),
+  acknowledged_at TIMESTAMP WITH TIME ZONE,
+  action_taken TEXT,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_expiration_alerts_inventory ON expiration_alerts (inventory_id, expiration_date, alert_type);
+CREATE INDEX idx_expiration_alerts_unacknowledged ON expiration_alerts (alert_type) WHERE is_acknowledged = FALSE;
+
+CREATE TABLE notifications (
+  notification_id SERIAL PRIMARY KEY,
+  notification_type VARCHAR(50) NOT NULL,
+  title VARCHAR(255) NOT NULL,
+  message TEXT NOT NULL,
+  priority VARCHAR(10) NOT NULL DEFAULT 'medium'
+    CHECK (priority IN ('low', 'medium', 'high')),
+  user_id INTEGER REFERENCES users (user_id) ON DELETE CASCADE, -- NULL means broadcast
+  is_read BOOLEAN NOT NULL DEFAULT FALSE,
+  read_at TIMESTAMP WITH TIME ZONE,
+  data JSONB,
+  expires_at TIMESTAMP WITH TIME ZONE,
+  created_by INTEGER REFERENCES users (user_id),
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_notifications_user_unread ON notifications (user_id, is_read);
+CREATE INDEX idx_notifications_type_created ON notifications (notification_type, created_at);
@@ -0,0 +1,4 @@
+-- 002_stock_views
+
+DROP VIEW IF EXISTS expiring_products;
+DROP VIEW IF EXISTS low_stock_products;
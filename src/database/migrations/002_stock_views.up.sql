@@ -0,0 +1,44 @@
+-- 002_stock_views: reporting views read by the product, alert and notification controllers
+
+-- Active products whose available stock across active batches is at or below the minimum level
+CREATE VIEW low_stock_products AS
+SELECT
+  p.product_id,
+  p.product_code,
+  p.product_name,
+  p.brand_name,
+  p.category_id,
+  p.minimum_stock_level,
+  p.reorder_point,
+  COALESCE(SUM(i.quantity_available), 0)::INTEGER AS available_quantity,
+  (p.minimum_stock_level - COALESCE(SUM(i.quantity_available), 0))::INTEGER AS shortage_quantity
+FROM products p
+LEFT JOIN inventory i ON i.product_id = p.product_id AND i.status = 'active'
+WHERE p.is_active = TRUE
+GROUP BY p.product_id
+HAVING COALESCE(SUM(i.quantity_available), 0) <= p.minimum_stock_level;
+
+-- Active batches with stock that expire within the 90-day warning window (or already have)
+CREATE VIEW expiring_products AS
+SELECT
+  p.product_id,
+  p.product_code,
+  p.product_name,
+  p.brand_name,
+  i.inventory_id,
+  i.batch_number,
+  i.quantity_on_hand,
+  i.expiration_date,
+  (i.expiration_date - CURRENT_DATE) AS days_to_expiry,
+  CASE
+    WHEN i.expiration_date < CURRENT_DATE THEN 'Expired'
+    WHEN (i.expiration_date - CURRENT_DATE) <= 30 THEN 'Critical'
+    WHEN (i.expiration_date - CURRENT_DATE) <= 60 THEN 'Warning'
+    ELSE 'Watch'
+  END AS urgency_level,
+  (i.quantity_on_hand * COALESCE(i.unit_cost, p.unit_cost, 0)) AS value_at_risk
+FROM inventory i
+JOIN products p ON p.product_id = i.product_id
+WHERE i.status = 'active'
+  AND i.quantity_on_hand > 0
+  AND i.expiration_date <= CURRENT_DATE + 90;
@@ -0,0 +1,5 @@
+-- 003_audit_log
+
+DROP TRIGGER IF EXISTS products_audit ON products;
+DROP FUNCTION IF EXISTS audit_row_change();
+DROP TABLE IF EXISTS audit_log;
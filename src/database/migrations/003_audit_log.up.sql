@@ -0,0 +1,66 @@
+-- 003_audit_log: row-change history (ProductController.getProductPriceHistory reads product updates)
+
+CREATE TABLE audit_log (
+  audit_id BIGSERIAL PRIMARY KEY,
+  table_name VARCHAR(63) NOT NULL,
+  record_id INTEGER NOT NULL,
+  action VARCHAR(10) NOT NULL CHECK (action IN ('INSERT', 'UPDATE', 'DELETE')),
+  old_values JSONB,
+  new_values JSONB,
+  changed_by INTEGER REFERENCES users (user_id),
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_audit_log_record ON audit_log (table_name, record_id, created_at DESC);
+
+-- Records one audit row per change. For UPDATEs only the columns that actually changed
+-- are stored, so "old_values ? 'unit_cost'" means the cost changed in that update.
+-- TG_ARGV[0] names the primary key column. The acting user is read from the
+-- pharmaflow.user_id setting when the application sets it for the transaction.
+CREATE FUNCTION audit_row_change() RETURNS TRIGGER AS $$
+DECLARE
+  pk_column TEXT := TG_ARGV[0];
+  old_row JSONB;
+  new_row JSONB;
+  changed_old JSONB;
+  changed_new JSONB;
+  actor INTEGER := NULLIF(current_setting('pharmaflow.user_id', TRUE), '')::INTEGER;
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    new_row := to_jsonb(NEW);
+    INSERT INTO audit_log (table_name, record_id, action, new_values, changed_by)
+    VALUES (TG_TABLE_NAME, (new_row ->> pk_column)::INTEGER, TG_OP, new_row, actor);
+    RETURN NEW;
+  END IF;
+
+  IF TG_OP = 'DELETE' THEN
+    old_row := to_jsonb(OLD);
+    INSERT INTO audit_log (table_name, record_id, action, old_values, changed_by)
+    VALUES (TG_TABLE_NAME, (old_row ->> pk_column)::INTEGER, TG_OP, old_row, actor);
+    RETURN OLD;
+  END IF;
+
+  old_row := to_jsonb(OLD);
+  new_row := to_jsonb(NEW);
+
+  SELECT
+    jsonb_object_agg(o.key, o.value),
+    jsonb_object_agg(n.key, n.value)
+  INTO changed_old, changed_new
+  FROM jsonb_each(old_row) o
+  JOIN jsonb_each(new_row) n ON n.key = o.key
+  WHERE o.value IS DISTINCT FROM n.value
+    AND o.key <> 'updated_at';
+
+  IF changed_new IS NOT NULL THEN
+    INSERT INTO audit_log (table_name, record_id, action, old_values, new_values, changed_by)
+    VALUES (TG_TABLE_NAME, (new_row ->> pk_column)::INTEGER, TG_OP, changed_old, changed_new, actor);
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER products_audit
+AFTER INSERT OR UPDATE OR DELETE ON products
+FOR EACH ROW EXECUTE FUNCTION audit_row_change('product_id');
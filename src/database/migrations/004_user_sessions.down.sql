@@ -0,0 +1,3 @@
+-- 004_user_sessions
+
+DROP TABLE IF EXISTS user_sessions;
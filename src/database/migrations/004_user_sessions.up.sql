@@ -0,0 +1,23 @@
+-- 004_user_sessions: server-side login sessions backing refresh tokens
+--
+-- One row per login. Access tokens carry the session_id (sid claim) and are
+-- rejected once the session is revoked or expired. Only a SHA-256 hash of the
+-- current refresh token is stored; each refresh replaces it, so presenting an
+-- older token means it was copied and the whole session is revoked.
+
+CREATE TABLE user_sessions (
+  session_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id INTEGER NOT NULL REFERENCES users (user_id) ON DELETE CASCADE,
+  refresh_token_hash CHAR(64) NOT NULL,
+  user_agent VARCHAR(255),
+  ip_address VARCHAR(45),
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  last_used_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  revoked_at TIMESTAMP WITH TIME ZONE,
+  revoked_reason VARCHAR(30)
+    CHECK (revoked_reason IN ('logout', 'logout_all', 'password_change', 'password_reset', 'user_deactivated', 'token_reuse')),
+  CHECK ((revoked_at IS NULL) = (revoked_reason IS NULL))
+);
+
+CREATE INDEX idx_user_sessions_active ON user_sessions (user_id) WHERE revoked_at IS NULL;
@@ -0,0 +1,22 @@
+-- 005_login_security: failed-login tracking and temporary account lockout
+
+ALTER TABLE users
+  ADD COLUMN failed_login_attempts INTEGER NOT NULL DEFAULT 0 CHECK (failed_login_attempts >= 0),
+  ADD COLUMN locked_until TIMESTAMP WITH TIME ZONE;
+
+-- Every login attempt, successful or not. Per-IP throttling counts recent
+-- failures here; user_id is NULL when the username did not match an account.
+CREATE TABLE login_attempts (
+  attempt_id BIGSERIAL PRIMARY KEY,
+  username_attempted VARCHAR(255) NOT NULL,
+  user_id INTEGER REFERENCES users (user_id) ON DELETE SET NULL,
+  ip_address VARCHAR(45),
+  succeeded BOOLEAN NOT NULL,
+  failure_reason VARCHAR(30)
+    CHECK (failure_reason IN ('unknown_user', 'invalid_password', 'account_locked', 'ip_blocked')),
+  attempted_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  CHECK (succeeded = (failure_reason IS NULL))
+);
+
+CREATE INDEX idx_login_attempts_ip ON login_attempts (ip_address, attempted_at) WHERE NOT succeeded;
+CREATE INDEX idx_login_attempts_user ON login_attempts (user_id, attempted_at);
@@ -0,0 +1,3 @@
+-- 006_password_resets
+
+DROP TABLE IF EXISTS password_reset_tokens;
@@ -0,0 +1,15 @@
+-- 006_password_resets: single-use tokens for the self-service password reset flow
+
+-- Only the SHA-256 of each token is stored; the raw token exists only in the email
+CREATE TABLE password_reset_tokens (
+  token_id BIGSERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users (user_id) ON DELETE CASCADE,
+  token_hash CHAR(64) NOT NULL UNIQUE,
+  requested_ip VARCHAR(45),
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  used_at TIMESTAMP WITH TIME ZONE,
+  CHECK (expires_at > created_at)
+);
+
+CREATE INDEX idx_password_reset_tokens_pending ON password_reset_tokens (user_id) WHERE used_at IS NULL;
@@ -0,0 +1,19 @@
+-- 007_two_factor
+
+UPDATE user_sessions SET revoked_reason = 'logout_all' WHERE revoked_reason = 'two_factor_reset';
+ALTER TABLE user_sessions DROP CONSTRAINT user_sessions_revoked_reason_check;
+ALTER TABLE user_sessions ADD CONSTRAINT user_sessions_revoked_reason_check
+  CHECK (revoked_reason IN ('logout', 'logout_all', 'password_change', 'password_reset', 'user_deactivated', 'token_reuse'));
+
+UPDATE login_attempts SET failure_reason = 'invalid_password' WHERE failure_reason = 'invalid_second_factor';
+ALTER TABLE login_attempts DROP CONSTRAINT login_attempts_failure_reason_check;
+ALTER TABLE login_attempts ADD CONSTRAINT login_attempts_failure_reason_check
+  CHECK (failure_reason IN ('unknown_user', 'invalid_password', 'account_locked', 'ip_blocked'));
+
+DROP TABLE IF EXISTS user_recovery_codes;
+
+ALTER TABLE users
+  DROP CONSTRAINT IF EXISTS users_totp_enabled_has_secret,
+  DROP COLUMN IF EXISTS totp_last_used_step,
+  DROP COLUMN IF EXISTS totp_enabled_at,
+  DROP COLUMN IF EXISTS totp_secret;
@@ -0,0 +1,31 @@
+-- 007_two_factor: TOTP second factor and single-use recovery codes
+
+-- totp_secret is encrypted by the application. It is set when enrollment starts
+-- and only takes effect once totp_enabled_at is set by a confirmed code.
+-- totp_last_used_step blocks replaying a code within its validity window.
+ALTER TABLE users
+  ADD COLUMN totp_secret TEXT,
+  ADD COLUMN totp_enabled_at TIMESTAMP WITH TIME ZONE,
+  ADD COLUMN totp_last_used_step BIGINT,
+  ADD CONSTRAINT users_totp_enabled_has_secret CHECK (totp_enabled_at IS NULL OR totp_secret IS NOT NULL);
+
+CREATE TABLE user_recovery_codes (
+  code_id BIGSERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users (user_id) ON DELETE CASCADE,
+  code_hash CHAR(64) NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  used_at TIMESTAMP WITH TIME ZONE,
+  UNIQUE (user_id, code_hash)
+);
+
+-- A wrong second factor counts towards the account lockout like a wrong password
+ALTER TABLE login_attempts DROP CONSTRAINT login_attempts_failure_reason_check;
+ALTER TABLE login_attempts ADD CONSTRAINT login_attempts_failure_reason_check
+  CHECK (failure_reason IN ('unknown_user', 'invalid_password', 'invalid_second_factor', 'account_locked', 'ip_blocked'));
+
+-- Sessions end when an admin resets a user's second factor
+ALTER TABLE user_sessions DROP CONSTRAINT user_sessions_revoked_reason_check;
+ALTER TABLE user_sessions ADD CONSTRAINT user_sessions_revoked_reason_check
+  CHECK (revoked_reason IN (
+    'logout', 'logout_all', 'password_change', 'password_reset', 'user_deactivated', 'token_reuse', 'two_factor_reset'
+  ));
@@ -0,0 +1,5 @@
+-- 008_api_keys
+
+ALTER TABLE sales DROP COLUMN IF EXISTS api_key_id;
+
+DROP TABLE IF EXISTS api_keys;
@@ -0,0 +1,28 @@
+-- 008_api_keys: scoped API keys for integrations (label printers, e-commerce sync)
+--
+-- A key is 'pfk_<key_prefix>_<secret>'. The prefix is stored in clear to find
+-- the row; only the SHA-256 of the whole key is stored. Requests made with a
+-- key are attributed to the admin who created it (created_by).
+
+CREATE TABLE api_keys (
+  api_key_id SERIAL PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  key_prefix CHAR(12) NOT NULL UNIQUE,
+  key_hash CHAR(64) NOT NULL,
+  scopes TEXT[] NOT NULL
+    CHECK (cardinality(scopes) > 0 AND scopes <@ ARRAY['inventory:read', 'sales:create', 'purchase_orders:receive']),
+  rate_limit_per_minute INTEGER CHECK (rate_limit_per_minute > 0), -- NULL uses the configured default
+  created_by INTEGER NOT NULL REFERENCES users (user_id),
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMP WITH TIME ZONE,
+  last_used_at TIMESTAMP WITH TIME ZONE,
+  last_used_ip VARCHAR(45),
+  rotated_from_id INTEGER REFERENCES api_keys (api_key_id),
+  revoked_at TIMESTAMP WITH TIME ZONE,
+  revoked_by INTEGER REFERENCES users (user_id)
+);
+
+CREATE INDEX idx_api_keys_active ON api_keys (created_at DESC) WHERE revoked_at IS NULL;
+
+-- Sales created by an integration rather than at the till
+ALTER TABLE sales ADD COLUMN api_key_id INTEGER REFERENCES api_keys (api_key_id);
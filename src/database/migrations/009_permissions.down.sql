@@ -0,0 +1,5 @@
+-- 009_permissions
+
+DROP TABLE IF EXISTS user_permissions;
+DROP TABLE IF EXISTS role_permissions;
+DROP TABLE IF EXISTS permissions;
@@ -0,0 +1,44 @@
+-- 009_permissions: named permissions, granted to roles and overridden per user
+--
+-- A user's effective permissions are those of their role, plus their grants,
+-- minus their denials (a denial wins over the role).
+
+CREATE TABLE permissions (
+  permission_key VARCHAR(50) PRIMARY KEY,
+  description TEXT NOT NULL
+);
+
+CREATE TABLE role_permissions (
+  role VARCHAR(20) NOT NULL CHECK (role IN ('admin', 'pharmacist', 'technician', 'cashier', 'manager')),
+  permission_key VARCHAR(50) NOT NULL REFERENCES permissions (permission_key) ON DELETE CASCADE,
+  PRIMARY KEY (role, permission_key)
+);
+
+CREATE TABLE user_permissions (
+  user_id INTEGER NOT NULL REFERENCES users (user_id) ON DELETE CASCADE,
+  permission_key VARCHAR(50) NOT NULL REFERENCES permissions (permission_key) ON DELETE CASCADE,
+  effect VARCHAR(5) NOT NULL CHECK (effect IN ('grant', 'deny')),
+  reason TEXT,
+  granted_by INTEGER REFERENCES users (user_id),
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (user_id, permission_key)
+);
+
+INSERT INTO permissions (permission_key, description) VALUES
+  ('sales.refund', 'Process refunds on completed sales'),
+  ('inventory.adjust', 'Adjust stock quantities, statuses and record stock adjustments'),
+  ('controlled.dispense', 'Sell or dispense controlled substances'),
+  ('reports.financial', 'View sales, valuation and custom financial reports');
+
+-- Matches the role checks the routes used before permissions existed
+INSERT INTO role_permissions (role, permission_key) VALUES
+  ('admin', 'sales.refund'),
+  ('admin', 'inventory.adjust'),
+  ('admin', 'controlled.dispense'),
+  ('admin', 'reports.financial'),
+  ('manager', 'sales.refund'),
+  ('manager', 'inventory.adjust'),
+  ('manager', 'reports.financial'),
+  ('pharmacist', 'sales.refund'),
+  ('pharmacist', 'inventory.adjust'),
+  ('pharmacist', 'controlled.dispense');
@@ -0,0 +1,85 @@
+-- 010_audit_trail
+
+DROP TRIGGER IF EXISTS user_permissions_audit ON user_permissions;
+DROP TRIGGER IF EXISTS api_keys_audit ON api_keys;
+DROP TRIGGER IF EXISTS expiration_alerts_audit ON expiration_alerts;
+DROP TRIGGER IF EXISTS purchase_order_items_audit ON purchase_order_items;
+DROP TRIGGER IF EXISTS purchase_orders_audit ON purchase_orders;
+DROP TRIGGER IF EXISTS sale_items_audit ON sale_items;
+DROP TRIGGER IF EXISTS sales_audit ON sales;
+DROP TRIGGER IF EXISTS inventory_audit ON inventory;
+DROP TRIGGER IF EXISTS customers_audit ON customers;
+DROP TRIGGER IF EXISTS suppliers_audit ON suppliers;
+DROP TRIGGER IF EXISTS categories_audit ON categories;
+DROP TRIGGER IF EXISTS users_audit ON users;
+
+DROP TRIGGER IF EXISTS audit_log_no_truncate ON audit_log;
+DROP TRIGGER IF EXISTS audit_log_append_only ON audit_log;
+DROP TRIGGER IF EXISTS audit_log_chain ON audit_log;
+DROP FUNCTION IF EXISTS audit_log_append_only();
+DROP FUNCTION IF EXISTS audit_log_chain();
+DROP FUNCTION IF EXISTS audit_log_hash(audit_log);
+
+-- Restore the 003 definition
+CREATE OR REPLACE FUNCTION audit_row_change() RETURNS TRIGGER AS $$
+DECLARE
+  pk_column TEXT := TG_ARGV[0];
+  old_row JSONB;
+  new_row JSONB;
+  changed_old JSONB;
+  changed_new JSONB;
+  actor INTEGER := NULLIF(current_setting('pharmaflow.user_id', TRUE), '')::INTEGER;
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    new_row := to_jsonb(NEW);
+    INSERT INTO audit_log (table_name, record_id, action, new_values, changed_by)
+    VALUES (TG_TABLE_NAME, (new_row ->> pk_column)::INTEGER, TG_OP, new_row, actor);
+    RETURN NEW;
+  END IF;
+
+  IF TG_OP = 'DELETE' THEN
+    old_row := to_jsonb(OLD);
+    INSERT INTO audit_log (table_name, record_id, action, old_values, changed_by)
+    VALUES (TG_TABLE_NAME, (old_row ->> pk_column)::INTEGER, TG_OP, old_row, actor);
+    RETURN OLD;
+  END IF;
+
+  old_row := to_jsonb(OLD);
+  new_row := to_jsonb(NEW);
+
+  SELECT
+    jsonb_object_agg(o.key, o.value),
+    jsonb_object_agg(n.key, n.value)
+  INTO changed_old, changed_new
+  FROM jsonb_each(old_row) o
+  JOIN jsonb_each(new_row) n ON n.key = o.key
+  WHERE o.value IS DISTINCT FROM n.value
+    AND o.key <> 'updated_at';
+
+  IF changed_new IS NOT NULL THEN
+    INSERT INTO audit_log (table_name, record_id, action, old_values, new_values, changed_by)
+    VALUES (TG_TABLE_NAME, (new_row ->> pk_column)::INTEGER, TG_OP, changed_old, changed_new, actor);
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP FUNCTION IF EXISTS audit_redact(JSONB, TEXT[]);
+
+DROP INDEX IF EXISTS idx_audit_log_request_id;
+DROP INDEX IF EXISTS idx_audit_log_changed_by;
+DROP INDEX IF EXISTS idx_audit_log_created_at;
+
+-- Rows without a record (role permission changes) cannot be kept under the 003 schema
+DELETE FROM audit_log WHERE record_id IS NULL;
+
+ALTER TABLE audit_log
+  DROP CONSTRAINT IF EXISTS audit_log_chain_position_key,
+  DROP COLUMN IF EXISTS row_hash,
+  DROP COLUMN IF EXISTS prev_hash,
+  DROP COLUMN IF EXISTS chain_position,
+  DROP COLUMN IF EXISTS request_id,
+  DROP COLUMN IF EXISTS ip_address,
+  DROP COLUMN IF EXISTS api_key_id,
+  ALTER COLUMN record_id SET NOT NULL;
@@ -0,0 +1,227 @@
+-- 010_audit_trail: append-only, hash-chained audit_log covering every audited table
+--
+-- Each row stores the hash of the row before it (prev_hash) and a hash of its own
+-- content including prev_hash (row_hash), in chain_position order. Editing a row
+-- changes its hash and deleting one leaves a gap, so either shows up when the chain
+-- is verified (AuditLog.verifyChain). UPDATE, DELETE and TRUNCATE are refused.
+
+ALTER TABLE audit_log
+  ALTER COLUMN record_id DROP NOT NULL,
+  ADD COLUMN api_key_id INTEGER REFERENCES api_keys (api_key_id),
+  ADD COLUMN ip_address INET,
+  ADD COLUMN request_id VARCHAR(128),
+  ADD COLUMN chain_position BIGINT,
+  ADD COLUMN prev_hash CHAR(64),
+  ADD COLUMN row_hash CHAR(64);
+
+CREATE INDEX idx_audit_log_created_at ON audit_log (created_at DESC);
+CREATE INDEX idx_audit_log_changed_by ON audit_log (changed_by, created_at DESC);
+CREATE INDEX idx_audit_log_request_id ON audit_log (request_id);
+
+-- Everything in a row except audit_id, as canonical JSON text, hashed
+CREATE FUNCTION audit_log_hash(entry audit_log) RETURNS CHAR(64) AS $$
+  SELECT encode(sha256(convert_to(jsonb_build_array(
+    entry.chain_position,
+    entry.prev_hash,
+    entry.table_name,
+    entry.record_id,
+    entry.action,
+    entry.old_values,
+    entry.new_values,
+    entry.changed_by,
+    entry.api_key_id,
+    host(entry.ip_address),
+    entry.request_id,
+    to_char(entry.created_at AT TIME ZONE 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS.US')
+  )::TEXT, 'UTF8')), 'hex')
+$$ LANGUAGE SQL STABLE;
+
+-- Chain existing rows in the order they were written
+DO $$
+DECLARE
+  entry audit_log;
+  next_position BIGINT := 0;
+  previous CHAR(64) := repeat('0', 64);
+BEGIN
+  FOR entry IN SELECT * FROM audit_log ORDER BY audit_id LOOP
+    next_position := next_position + 1;
+    entry.chain_position := next_position;
+    entry.prev_hash := previous;
+    previous := audit_log_hash(entry);
+
+    UPDATE audit_log
+    SET chain_position = next_position, prev_hash = entry.prev_hash, row_hash = previous
+    WHERE audit_id = entry.audit_id;
+  END LOOP;
+END;
+$$;
+
+ALTER TABLE audit_log
+  ALTER COLUMN chain_position SET NOT NULL,
+  ALTER COLUMN prev_hash SET NOT NULL,
+  ALTER COLUMN row_hash SET NOT NULL,
+  ADD CONSTRAINT audit_log_chain_position_key UNIQUE (chain_position);
+
+-- Fill in the request context the application set for the transaction
+-- (see setAuditContext in config/database) and link the row to the chain.
+-- The advisory lock is held until commit so rows join the chain in commit
+-- order; audited writes are therefore serialized.
+CREATE FUNCTION audit_log_chain() RETURNS TRIGGER AS $$
+DECLARE
+  last_entry RECORD;
+BEGIN
+  NEW.changed_by := COALESCE(NEW.changed_by, NULLIF(current_setting('pharmaflow.user_id', TRUE), '')::INTEGER);
+  NEW.api_key_id := COALESCE(NEW.api_key_id, NULLIF(current_setting('pharmaflow.api_key_id', TRUE), '')::INTEGER);
+  NEW.ip_address := COALESCE(NEW.ip_address, NULLIF(current_setting('pharmaflow.ip_address', TRUE), '')::INET);
+  NEW.request_id := COALESCE(NEW.request_id, NULLIF(current_setting('pharmaflow.request_id', TRUE), ''));
+
+  PERFORM pg_advisory_xact_lock(hashtext('pharmaflow.audit_log'));
+
+  SELECT chain_position, row_hash INTO last_entry
+  FROM audit_log
+  ORDER BY chain_position DESC
+  LIMIT 1;
+
+  NEW.chain_position := COALESCE(last_entry.chain_position, 0) + 1;
+  NEW.prev_hash := COALESCE(last_entry.row_hash, repeat('0', 64));
+  NEW.row_hash := audit_log_hash(NEW);
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER audit_log_chain
+BEFORE INSERT ON audit_log
+FOR EACH ROW EXECUTE FUNCTION audit_log_chain();
+
+CREATE FUNCTION audit_log_append_only() RETURNS TRIGGER AS $$
+BEGIN
+  RAISE EXCEPTION 'audit_log is append-only; % is not allowed', TG_OP;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER audit_log_append_only
+BEFORE UPDATE OR DELETE ON audit_log
+FOR EACH ROW EXECUTE FUNCTION audit_log_append_only();
+
+CREATE TRIGGER audit_log_no_truncate
+BEFORE TRUNCATE ON audit_log
+FOR EACH STATEMENT EXECUTE FUNCTION audit_log_append_only();
+
+-- Replace a JSON row's values for the given columns with a marker
+CREATE FUNCTION audit_redact(row_values JSONB, columns TEXT[]) RETURNS JSONB AS $$
+  SELECT CASE WHEN row_values IS NULL THEN NULL ELSE (
+    SELECT jsonb_object_agg(
+      key,
+      CASE WHEN key = ANY (columns) AND value <> 'null' THEN '"[redacted]"'::JSONB ELSE value END
+    )
+    FROM jsonb_each(row_values)
+  ) END
+$$ LANGUAGE SQL IMMUTABLE;
+
+-- As in 003, plus two optional comma-separated column lists:
+-- TG_ARGV[1] columns whose changes alone are not worth a row (counters, timestamps),
+-- TG_ARGV[2] columns whose values are never copied into the log (secrets).
+CREATE OR REPLACE FUNCTION audit_row_change() RETURNS TRIGGER AS $$
+DECLARE
+  pk_column TEXT := TG_ARGV[0];
+  ignored TEXT[] := COALESCE(string_to_array(NULLIF(TG_ARGV[1], ''), ','), '{}');
+  redacted TEXT[] := COALESCE(string_to_array(NULLIF(TG_ARGV[2], ''), ','), '{}');
+  old_row JSONB;
+  new_row JSONB;
+  changed_old JSONB;
+  changed_new JSONB;
+  actor INTEGER := NULLIF(current_setting('pharmaflow.user_id', TRUE), '')::INTEGER;
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    new_row := to_jsonb(NEW);
+    INSERT INTO audit_log (table_name, record_id, action, new_values, changed_by)
+    VALUES (TG_TABLE_NAME, (new_row ->> pk_column)::INTEGER, TG_OP, audit_redact(new_row, redacted), actor);
+    RETURN NEW;
+  END IF;
+
+  IF TG_OP = 'DELETE' THEN
+    old_row := to_jsonb(OLD);
+    INSERT INTO audit_log (table_name, record_id, action, old_values, changed_by)
+    VALUES (TG_TABLE_NAME, (old_row ->> pk_column)::INTEGER, TG_OP, audit_redact(old_row, redacted), actor);
+    RETURN OLD;
+  END IF;
+
+  old_row := to_jsonb(OLD);
+  new_row := to_jsonb(NEW);
+
+  SELECT
+    jsonb_object_agg(o.key, o.value),
+    jsonb_object_agg(n.key, n.value)
+  INTO changed_old, changed_new
+  FROM jsonb_each(old_row) o
+  JOIN jsonb_each(new_row) n ON n.key = o.key
+  WHERE o.value IS DISTINCT FROM n.value
+    AND o.key <> 'updated_at'
+    AND NOT (o.key = ANY (ignored));
+
+  IF changed_new IS NOT NULL THEN
+    INSERT INTO audit_log (table_name, record_id, action, old_values, new_values, changed_by)
+    VALUES (
+      TG_TABLE_NAME, (new_row ->> pk_column)::INTEGER, TG_OP,
+      audit_redact(changed_old, redacted), audit_redact(changed_new, redacted), actor
+    );
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Login bookkeeping is in login_attempts; lock changes are audited by LoginAttempt.
+CREATE TRIGGER users_audit
+AFTER INSERT OR UPDATE OR DELETE ON users
+FOR EACH ROW EXECUTE FUNCTION audit_row_change(
+  'user_id',
+  'last_login,failed_login_attempts,locked_until,totp_last_used_step',
+  'password_hash,totp_secret'
+);
+
+CREATE TRIGGER categories_audit
+AFTER INSERT OR UPDATE OR DELETE ON categories
+FOR EACH ROW EXECUTE FUNCTION audit_row_change('category_id');
+
+CREATE TRIGGER suppliers_audit
+AFTER INSERT OR UPDATE OR DELETE ON suppliers
+FOR EACH ROW EXECUTE FUNCTION audit_row_change('supplier_id');
+
+CREATE TRIGGER customers_audit
+AFTER INSERT OR UPDATE OR DELETE ON customers
+FOR EACH ROW EXECUTE FUNCTION audit_row_change('customer_id');
+
+-- Quantity changes are recorded in stock_movements
+CREATE TRIGGER inventory_audit
+AFTER INSERT OR UPDATE OR DELETE ON inventory
+FOR EACH ROW EXECUTE FUNCTION audit_row_change('inventory_id', 'quantity_on_hand,quantity_reserved,quantity_available');
+
+CREATE TRIGGER sales_audit
+AFTER INSERT OR UPDATE OR DELETE ON sales
+FOR EACH ROW EXECUTE FUNCTION audit_row_change('sale_id');
+
+CREATE TRIGGER sale_items_audit
+AFTER INSERT OR UPDATE OR DELETE ON sale_items
+FOR EACH ROW EXECUTE FUNCTION audit_row_change('sale_item_id');
+
+CREATE TRIGGER purchase_orders_audit
+AFTER INSERT OR UPDATE OR DELETE ON purchase_orders
+FOR EACH ROW EXECUTE FUNCTION audit_row_change('po_id');
+
+CREATE TRIGGER purchase_order_items_audit
+AFTER INSERT OR UPDATE OR DELETE ON purchase_order_items
+FOR EACH ROW EXECUTE FUNCTION audit_row_change('po_item_id');
+
+CREATE TRIGGER expiration_alerts_audit
+AFTER INSERT OR UPDATE OR DELETE ON expiration_alerts
+FOR EACH ROW EXECUTE FUNCTION audit_row_change('alert_id');
+
+CREATE TRIGGER api_keys_audit
+AFTER INSERT OR UPDATE OR DELETE ON api_keys
+FOR EACH ROW EXECUTE FUNCTION audit_row_change('api_key_id', 'last_used_at,last_used_ip', 'key_hash');
+
+CREATE TRIGGER user_permissions_audit
+AFTER INSERT OR UPDATE OR DELETE ON user_permissions
+FOR EACH ROW EXECUTE FUNCTION audit_row_change('user_id');
@@ -0,0 +1,14 @@
+-- 011_controlled_register
+
+DROP TRIGGER IF EXISTS controlled_substance_counts_audit ON controlled_substance_counts;
+DROP TRIGGER IF EXISTS controlled_substance_register_append_only ON controlled_substance_register;
+DROP FUNCTION IF EXISTS controlled_register_append_only();
+
+DROP TABLE IF EXISTS controlled_substance_count_items;
+DROP TABLE IF EXISTS controlled_substance_counts;
+DROP TABLE IF EXISTS controlled_substance_register;
+
+UPDATE stock_movements SET movement_type = 'damaged' WHERE movement_type = 'destroyed';
+ALTER TABLE stock_movements DROP CONSTRAINT stock_movements_movement_type_check;
+ALTER TABLE stock_movements ADD CONSTRAINT stock_movements_movement_type_check
+  CHECK (movement_type IN ('purchase', 'sale', 'adjustment', 'return', 'expired', 'damaged', 'transfer'));
@@ -0,0 +1,86 @@
+-- 011_controlled_register: perpetual inventory of controlled substances
+--
+-- One entry per change to a controlled product's stock, carrying the running
+-- balance of the batch and of the product after the change. Adjustments and
+-- destructions are co-signed by a second user. Physical counts are recorded
+-- against the register for reconciliation.
+
+ALTER TABLE stock_movements DROP CONSTRAINT stock_movements_movement_type_check;
+ALTER TABLE stock_movements ADD CONSTRAINT stock_movements_movement_type_check
+  CHECK (movement_type IN ('purchase', 'sale', 'adjustment', 'return', 'expired', 'damaged', 'transfer', 'destroyed'));
+
+CREATE TABLE controlled_substance_register (
+  entry_id BIGSERIAL PRIMARY KEY,
+  product_id INTEGER NOT NULL REFERENCES products (product_id),
+  inventory_id INTEGER NOT NULL REFERENCES inventory (inventory_id),
+  entry_type VARCHAR(20) NOT NULL
+    CHECK (entry_type IN ('opening_balance', 'receipt', 'sale', 'return', 'adjustment', 'destruction', 'transfer')),
+  quantity_change INTEGER NOT NULL,
+  batch_balance INTEGER NOT NULL,
+  product_balance INTEGER NOT NULL,
+  reference_type VARCHAR(50),
+  reference_id INTEGER,
+  notes TEXT,
+  performed_by INTEGER REFERENCES users (user_id),
+  witnessed_by INTEGER REFERENCES users (user_id),
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  CONSTRAINT controlled_register_witness_check CHECK (
+    entry_type NOT IN ('adjustment', 'destruction')
+    OR (witnessed_by IS NOT NULL AND witnessed_by IS DISTINCT FROM performed_by)
+  )
+);
+
+CREATE INDEX idx_controlled_register_product ON controlled_substance_register (product_id, entry_id DESC);
+CREATE INDEX idx_controlled_register_inventory ON controlled_substance_register (inventory_id, entry_id DESC);
+CREATE INDEX idx_controlled_register_created_at ON controlled_substance_register (created_at DESC);
+
+CREATE TABLE controlled_substance_counts (
+  count_id SERIAL PRIMARY KEY,
+  counted_by INTEGER NOT NULL REFERENCES users (user_id),
+  witnessed_by INTEGER NOT NULL REFERENCES users (user_id),
+  notes TEXT,
+  counted_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  CHECK (witnessed_by <> counted_by)
+);
+
+CREATE TABLE controlled_substance_count_items (
+  count_id INTEGER NOT NULL REFERENCES controlled_substance_counts (count_id) ON DELETE CASCADE,
+  inventory_id INTEGER NOT NULL REFERENCES inventory (inventory_id),
+  product_id INTEGER NOT NULL REFERENCES products (product_id),
+  register_balance INTEGER NOT NULL,
+  system_quantity INTEGER NOT NULL,
+  counted_quantity INTEGER NOT NULL CHECK (counted_quantity >= 0),
+  PRIMARY KEY (count_id, inventory_id)
+);
+
+-- Open the register with the stock on hand today
+INSERT INTO controlled_substance_register (
+  product_id, inventory_id, entry_type, quantity_change, batch_balance, product_balance, notes
+)
+SELECT
+  i.product_id,
+  i.inventory_id,
+  'opening_balance',
+  i.quantity_on_hand,
+  i.quantity_on_hand,
+  SUM(i.quantity_on_hand) OVER (PARTITION BY i.product_id ORDER BY i.inventory_id),
+  'Register opened'
+FROM inventory i
+JOIN products p ON p.product_id = i.product_id
+WHERE p.controlled_substance AND i.quantity_on_hand > 0
+ORDER BY i.product_id, i.inventory_id;
+
+-- Corrections are made with further (witnessed) entries, never by editing
+CREATE FUNCTION controlled_register_append_only() RETURNS TRIGGER AS $$
+BEGIN
+  RAISE EXCEPTION 'controlled_substance_register is append-only; % is not allowed', TG_OP;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER controlled_substance_register_append_only
+BEFORE UPDATE OR DELETE ON controlled_substance_register
+FOR EACH ROW EXECUTE FUNCTION controlled_register_append_only();
+
+CREATE TRIGGER controlled_substance_counts_audit
+AFTER INSERT OR UPDATE OR DELETE ON controlled_substance_counts
+FOR EACH ROW EXECUTE FUNCTION audit_row_change('count_id');
@@ -0,0 +1,10 @@
+-- 012_prescriptions
+
+UPDATE sales SET prescription_number = LEFT(prescription_number, 50), doctor_name = LEFT(doctor_name, 200);
+ALTER TABLE sales ALTER COLUMN prescription_number TYPE VARCHAR(50);
+ALTER TABLE sales ALTER COLUMN doctor_name TYPE VARCHAR(200);
+
+ALTER TABLE sale_items DROP COLUMN IF EXISTS prescription_id;
+
+DROP TRIGGER IF EXISTS prescriptions_audit ON prescriptions;
+DROP TABLE IF EXISTS prescriptions;
@@ -0,0 +1,50 @@
+-- 012_prescriptions: prescriptions as records of their own
+--
+-- A prescription is for one product and one patient. Each sale that
+-- dispenses it is one fill: the first fill is the original, every later fill
+-- uses up a refill. sale_items.prescription_id links a line to the fill.
+
+CREATE SEQUENCE prescription_number_seq;
+
+CREATE TABLE prescriptions (
+  prescription_id SERIAL PRIMARY KEY,
+  prescription_number VARCHAR(30) NOT NULL UNIQUE
+    DEFAULT ('RX-' || LPAD(nextval('prescription_number_seq')::TEXT, 8, '0')),
+  customer_id INTEGER NOT NULL REFERENCES customers (customer_id),
+  prescriber_name VARCHAR(200) NOT NULL,
+  product_id INTEGER NOT NULL REFERENCES products (product_id),
+  directions TEXT NOT NULL,
+  quantity INTEGER NOT NULL CHECK (quantity > 0),
+  days_supply INTEGER NOT NULL CHECK (days_supply > 0),
+  refills_authorized INTEGER NOT NULL DEFAULT 0 CHECK (refills_authorized >= 0),
+  refills_remaining INTEGER NOT NULL DEFAULT 0,
+  times_filled INTEGER NOT NULL DEFAULT 0 CHECK (times_filled >= 0),
+  written_date DATE NOT NULL,
+  expiry_date DATE NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'active'
+    CHECK (status IN ('active', 'on_hold', 'completed', 'cancelled')),
+  notes TEXT,
+  created_by INTEGER REFERENCES users (user_id),
+  last_filled_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  CHECK (refills_remaining BETWEEN 0 AND refills_authorized),
+  CHECK (expiry_date >= written_date)
+);
+
+ALTER SEQUENCE prescription_number_seq OWNED BY prescriptions.prescription_number;
+
+CREATE INDEX idx_prescriptions_customer ON prescriptions (customer_id, written_date DESC);
+CREATE INDEX idx_prescriptions_product ON prescriptions (product_id);
+CREATE INDEX idx_prescriptions_status ON prescriptions (status, expiry_date);
+
+ALTER TABLE sale_items ADD COLUMN prescription_id INTEGER REFERENCES prescriptions (prescription_id);
+CREATE INDEX idx_sale_items_prescription ON sale_items (prescription_id) WHERE prescription_id IS NOT NULL;
+
+-- A sale may dispense several prescriptions; these now hold all their numbers and prescribers
+ALTER TABLE sales ALTER COLUMN prescription_number TYPE TEXT;
+ALTER TABLE sales ALTER COLUMN doctor_name TYPE TEXT;
+
+CREATE TRIGGER prescriptions_audit
+AFTER INSERT OR UPDATE OR DELETE ON prescriptions
+FOR EACH ROW EXECUTE FUNCTION audit_row_change('prescription_id');
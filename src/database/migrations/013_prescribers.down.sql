@@ -0,0 +1,6 @@
+-- 013_prescribers
+
+ALTER TABLE prescriptions DROP COLUMN IF EXISTS prescriber_id;
+
+DROP TRIGGER IF EXISTS prescribers_audit ON prescribers;
+DROP TABLE IF EXISTS prescribers;
@@ -0,0 +1,35 @@
+-- 013_prescribers: registry of prescribers that prescriptions refer to
+--
+-- NPI and DEA check digits are validated by the application; the checks here
+-- only guard the format. prescriptions.prescriber_name stays as the name at
+-- the time the prescription was written.
+
+CREATE TABLE prescribers (
+  prescriber_id SERIAL PRIMARY KEY,
+  first_name VARCHAR(100) NOT NULL,
+  last_name VARCHAR(100) NOT NULL,
+  npi CHAR(10) NOT NULL UNIQUE CHECK (npi ~ '^[0-9]{10}$'),
+  dea_number CHAR(9) UNIQUE CHECK (dea_number ~ '^[A-Z][A-Z9][0-9]{7}$'),
+  dea_expiry_date DATE,
+  license_state CHAR(2) NOT NULL,
+  license_number VARCHAR(30) NOT NULL,
+  license_expiry_date DATE,
+  specialty VARCHAR(100),
+  phone VARCHAR(20),
+  email VARCHAR(255),
+  address TEXT,
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  UNIQUE (license_state, license_number)
+);
+
+CREATE INDEX idx_prescribers_name ON prescribers (last_name, first_name);
+CREATE INDEX idx_prescribers_license_expiry ON prescribers (license_expiry_date) WHERE is_active;
+
+ALTER TABLE prescriptions ADD COLUMN prescriber_id INTEGER REFERENCES prescribers (prescriber_id);
+CREATE INDEX idx_prescriptions_prescriber ON prescriptions (prescriber_id);
+
+CREATE TRIGGER prescribers_audit
+AFTER INSERT OR UPDATE OR DELETE ON prescribers
+FOR EACH ROW EXECUTE FUNCTION audit_row_change('prescriber_id');
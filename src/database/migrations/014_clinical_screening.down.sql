@@ -0,0 +1,6 @@
+-- 014_clinical_screening
+
+DELETE FROM permissions WHERE permission_key = 'clinical.override';
+
+DROP TRIGGER IF EXISTS clinical_overrides_audit ON clinical_overrides;
+DROP TABLE IF EXISTS clinical_overrides;
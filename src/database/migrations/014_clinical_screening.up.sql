@@ -0,0 +1,31 @@
+-- 014_clinical_screening: pharmacist overrides of severe clinical screening warnings
+--
+-- Screening itself runs against the dataset loaded from
+-- config.pharmacy.clinicalDatasetPath; only sales dispensed despite a severe
+-- warning are recorded, with the warnings as they were shown.
+
+CREATE TABLE clinical_overrides (
+  override_id SERIAL PRIMARY KEY,
+  sale_id INTEGER NOT NULL REFERENCES sales (sale_id) ON DELETE CASCADE,
+  customer_id INTEGER REFERENCES customers (customer_id),
+  warnings JSONB NOT NULL,
+  reason TEXT NOT NULL CHECK (LENGTH(TRIM(reason)) > 0),
+  dataset_version VARCHAR(50),
+  overridden_by INTEGER NOT NULL REFERENCES users (user_id),
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_clinical_overrides_sale ON clinical_overrides (sale_id);
+CREATE INDEX idx_clinical_overrides_customer ON clinical_overrides (customer_id);
+CREATE INDEX idx_clinical_overrides_created ON clinical_overrides (created_at);
+
+INSERT INTO permissions (permission_key, description) VALUES
+  ('clinical.override', 'Dispense despite severe drug-allergy, drug-condition or drug-drug warnings');
+
+INSERT INTO role_permissions (role, permission_key) VALUES
+  ('admin', 'clinical.override'),
+  ('pharmacist', 'clinical.override');
+
+CREATE TRIGGER clinical_overrides_audit
+AFTER INSERT OR UPDATE OR DELETE ON clinical_overrides
+FOR EACH ROW EXECUTE FUNCTION audit_row_change('override_id');
@@ -0,0 +1,9 @@
+-- 015_batch_allocation
+
+DROP INDEX IF EXISTS idx_inventory_fefo;
+
+-- Quarantined stock is not sellable; recalled is the nearest earlier status
+UPDATE inventory SET status = 'recalled' WHERE status = 'quarantined';
+ALTER TABLE inventory DROP CONSTRAINT inventory_status_check;
+ALTER TABLE inventory ADD CONSTRAINT inventory_status_check
+  CHECK (status IN ('active', 'expired', 'damaged', 'recalled'));
@@ -0,0 +1,12 @@
+-- 015_batch_allocation: quarantined batches, and FEFO allocation of sale lines
+--
+-- A sale line may now be spread over several batches, one sale_items row per
+-- batch. Quarantined stock is held back from sale pending investigation.
+
+ALTER TABLE inventory DROP CONSTRAINT inventory_status_check;
+ALTER TABLE inventory ADD CONSTRAINT inventory_status_check
+  CHECK (status IN ('active', 'expired', 'damaged', 'recalled', 'quarantined'));
+
+-- Sellable batches of a product in first-expiry-first-out order
+CREATE INDEX idx_inventory_fefo ON inventory (product_id, expiration_date, received_date, inventory_id)
+  WHERE status = 'active';
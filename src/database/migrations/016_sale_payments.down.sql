@@ -0,0 +1,12 @@
+-- 016_sale_payments
+
+DROP TRIGGER IF EXISTS sale_payment_refunds_audit ON sale_payment_refunds;
+DROP TRIGGER IF EXISTS sale_payments_audit ON sale_payments;
+DROP TABLE IF EXISTS sale_payment_refunds;
+DROP TABLE IF EXISTS sale_payments;
+
+-- Gift cards are the nearest to a card payment
+UPDATE sales SET payment_method = 'card' WHERE payment_method = 'gift_card';
+ALTER TABLE sales DROP CONSTRAINT sales_payment_method_check;
+ALTER TABLE sales ADD CONSTRAINT sales_payment_method_check
+  CHECK (payment_method IN ('cash', 'card', 'insurance', 'check', 'digital'));
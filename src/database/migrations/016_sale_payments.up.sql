@@ -0,0 +1,67 @@
+-- 016_sale_payments: multiple tenders per sale, and refunds back to them
+--
+-- sales.payment_method keeps the method of the largest tender, and
+-- insurance_claim_amount / customer_payment_amount stay as totals of the
+-- insurance and other tenders, for listings and older reports.
+
+ALTER TABLE sales DROP CONSTRAINT sales_payment_method_check;
+ALTER TABLE sales ADD CONSTRAINT sales_payment_method_check
+  CHECK (payment_method IN ('cash', 'card', 'insurance', 'check', 'digital', 'gift_card'));
+
+-- amount is what the tender paid towards the sale; only cash can be tendered
+-- over it, the difference being handed back as change
+CREATE TABLE sale_payments (
+  payment_id SERIAL PRIMARY KEY,
+  sale_id INTEGER NOT NULL REFERENCES sales (sale_id) ON DELETE CASCADE,
+  payment_method VARCHAR(20) NOT NULL
+    CHECK (payment_method IN ('cash', 'card', 'insurance', 'check', 'digital', 'gift_card')),
+  amount NUMERIC(12, 2) NOT NULL CHECK (amount > 0),
+  tendered_amount NUMERIC(12, 2) NOT NULL,
+  change_due NUMERIC(12, 2) GENERATED ALWAYS AS (tendered_amount - amount) STORED,
+  reference VARCHAR(100),
+  refunded_amount NUMERIC(12, 2) NOT NULL DEFAULT 0,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  CONSTRAINT sale_payments_tendered_check CHECK (
+    tendered_amount = amount OR (payment_method = 'cash' AND tendered_amount > amount)
+  ),
+  CONSTRAINT sale_payments_refunded_check CHECK (refunded_amount BETWEEN 0 AND amount)
+);
+
+CREATE INDEX idx_sale_payments_sale ON sale_payments (sale_id);
+CREATE INDEX idx_sale_payments_method ON sale_payments (payment_method);
+
+CREATE TABLE sale_payment_refunds (
+  refund_id SERIAL PRIMARY KEY,
+  payment_id INTEGER NOT NULL REFERENCES sale_payments (payment_id) ON DELETE CASCADE,
+  sale_id INTEGER NOT NULL REFERENCES sales (sale_id) ON DELETE CASCADE,
+  amount NUMERIC(12, 2) NOT NULL CHECK (amount > 0),
+  reason TEXT,
+  refunded_by INTEGER NOT NULL REFERENCES users (user_id),
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_sale_payment_refunds_payment ON sale_payment_refunds (payment_id);
+CREATE INDEX idx_sale_payment_refunds_sale ON sale_payment_refunds (sale_id);
+
+-- Existing sales: the insurance claim, then what the customer paid
+INSERT INTO sale_payments (sale_id, payment_method, amount, tendered_amount, created_at)
+SELECT sale_id, 'insurance', insurance_claim_amount, insurance_claim_amount, created_at
+FROM sales
+WHERE insurance_claim_amount > 0;
+
+INSERT INTO sale_payments (sale_id, payment_method, amount, tendered_amount, created_at)
+SELECT
+  sale_id,
+  -- The customer's share of an insurance sale was not recorded separately
+  CASE WHEN payment_method = 'insurance' AND insurance_claim_amount > 0 THEN 'cash' ELSE payment_method END,
+  customer_payment_amount, customer_payment_amount, created_at
+FROM sales
+WHERE customer_payment_amount > 0;
+
+CREATE TRIGGER sale_payments_audit
+AFTER INSERT OR UPDATE OR DELETE ON sale_payments
+FOR EACH ROW EXECUTE FUNCTION audit_row_change('payment_id');
+
+CREATE TRIGGER sale_payment_refunds_audit
+AFTER INSERT OR UPDATE OR DELETE ON sale_payment_refunds
+FOR EACH ROW EXECUTE FUNCTION audit_row_change('refund_id');
@@ -0,0 +1,14 @@
+-- 017_register_shifts
+
+DELETE FROM permissions WHERE permission_key = 'shifts.reconcile';
+
+DROP INDEX IF EXISTS idx_sale_payment_refunds_shift;
+ALTER TABLE sale_payment_refunds DROP COLUMN IF EXISTS shift_id;
+DROP INDEX IF EXISTS idx_sales_shift;
+ALTER TABLE sales DROP COLUMN IF EXISTS shift_id;
+
+DROP TRIGGER IF EXISTS shift_cash_movements_audit ON shift_cash_movements;
+DROP TRIGGER IF EXISTS register_shifts_audit ON register_shifts;
+DROP TABLE IF EXISTS shift_counts;
+DROP TABLE IF EXISTS shift_cash_movements;
+DROP TABLE IF EXISTS register_shifts;
@@ -0,0 +1,69 @@
+-- 017_register_shifts: cash drawer sessions, paid-ins/outs and closing counts
+--
+-- A cashier opens a shift on a register with a float; sales and refunds they
+-- take while it is open belong to it. On closing, the cashier counts each
+-- tender blind and the expected figures are captured beside the count.
+
+CREATE TABLE register_shifts (
+  shift_id SERIAL PRIMARY KEY,
+  register_name VARCHAR(50) NOT NULL,
+  cashier_id INTEGER NOT NULL REFERENCES users (user_id),
+  status VARCHAR(10) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'closed')),
+  opening_float NUMERIC(12, 2) NOT NULL CHECK (opening_float >= 0),
+  opening_notes TEXT,
+  opened_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  closing_notes TEXT,
+  closed_at TIMESTAMP WITH TIME ZONE,
+  closed_by INTEGER REFERENCES users (user_id),
+  CONSTRAINT register_shifts_closed_check CHECK ((status = 'closed') = (closed_at IS NOT NULL))
+);
+
+-- One open shift per cashier and per register
+CREATE UNIQUE INDEX idx_register_shifts_open_cashier ON register_shifts (cashier_id) WHERE status = 'open';
+CREATE UNIQUE INDEX idx_register_shifts_open_register ON register_shifts (register_name) WHERE status = 'open';
+CREATE INDEX idx_register_shifts_opened_at ON register_shifts (opened_at);
+
+CREATE TABLE shift_cash_movements (
+  movement_id SERIAL PRIMARY KEY,
+  shift_id INTEGER NOT NULL REFERENCES register_shifts (shift_id) ON DELETE CASCADE,
+  movement_type VARCHAR(10) NOT NULL CHECK (movement_type IN ('paid_in', 'paid_out')),
+  amount NUMERIC(12, 2) NOT NULL CHECK (amount > 0),
+  reason TEXT NOT NULL CHECK (LENGTH(TRIM(reason)) > 0),
+  performed_by INTEGER NOT NULL REFERENCES users (user_id),
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_shift_cash_movements_shift ON shift_cash_movements (shift_id);
+
+-- counted_amount is NULL for a tender that was not counted
+CREATE TABLE shift_counts (
+  shift_id INTEGER NOT NULL REFERENCES register_shifts (shift_id) ON DELETE CASCADE,
+  payment_method VARCHAR(20) NOT NULL
+    CHECK (payment_method IN ('cash', 'card', 'insurance', 'check', 'digital', 'gift_card')),
+  expected_amount NUMERIC(12, 2) NOT NULL,
+  counted_amount NUMERIC(12, 2) CHECK (counted_amount >= 0),
+  variance NUMERIC(12, 2) GENERATED ALWAYS AS (counted_amount - expected_amount) STORED,
+  PRIMARY KEY (shift_id, payment_method)
+);
+
+ALTER TABLE sales ADD COLUMN shift_id INTEGER REFERENCES register_shifts (shift_id);
+CREATE INDEX idx_sales_shift ON sales (shift_id);
+
+-- Refunds belong to the shift of whoever gave the money back, not the sale's
+ALTER TABLE sale_payment_refunds ADD COLUMN shift_id INTEGER REFERENCES register_shifts (shift_id);
+CREATE INDEX idx_sale_payment_refunds_shift ON sale_payment_refunds (shift_id);
+
+INSERT INTO permissions (permission_key, description) VALUES
+  ('shifts.reconcile', 'View and close any register shift, its expected totals, variances and Z-report');
+
+INSERT INTO role_permissions (role, permission_key) VALUES
+  ('admin', 'shifts.reconcile'),
+  ('manager', 'shifts.reconcile');
+
+CREATE TRIGGER register_shifts_audit
+AFTER INSERT OR UPDATE OR DELETE ON register_shifts
+FOR EACH ROW EXECUTE FUNCTION audit_row_change('shift_id');
+
+CREATE TRIGGER shift_cash_movements_audit
+AFTER INSERT OR UPDATE OR DELETE ON shift_cash_movements
+FOR EACH ROW EXECUTE FUNCTION audit_row_change('movement_id');
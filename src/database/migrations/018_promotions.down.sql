@@ -0,0 +1,9 @@
+-- 018_promotions
+
+DROP TABLE IF EXISTS sale_item_promotions;
+ALTER TABLE sale_items DROP COLUMN IF EXISTS promotion_discount_amount;
+
+DROP TRIGGER IF EXISTS promotions_audit ON promotions;
+DROP TABLE IF EXISTS promotions;
+
+ALTER TABLE customers DROP COLUMN IF EXISTS customer_group;
@@ -0,0 +1,59 @@
+-- 018_promotions: server-side promotions, customer groups, and the promotions
+-- applied to each sale line
+--
+-- Promotions never apply to prescription-only or controlled products. A line
+-- gets either its best non-stackable promotion or all of its stackable ones,
+-- whichever takes more off; any manual discount applies to what is left.
+
+ALTER TABLE customers ADD COLUMN customer_group VARCHAR(30)
+  CHECK (customer_group IN ('senior', 'staff', 'loyalty', 'veteran'));
+
+CREATE TABLE promotions (
+  promotion_id SERIAL PRIMARY KEY,
+  name VARCHAR(150) NOT NULL,
+  description TEXT,
+  promotion_type VARCHAR(20) NOT NULL CHECK (promotion_type IN ('percent_off', 'amount_off', 'buy_x_get_y')),
+  -- percent_off: percent; amount_off: amount off each unit; buy_x_get_y: percent off the free units
+  discount_value NUMERIC(10, 2) NOT NULL CHECK (discount_value > 0),
+  buy_quantity INTEGER CHECK (buy_quantity > 0),
+  get_quantity INTEGER CHECK (get_quantity > 0),
+  -- Empty arrays mean no restriction
+  product_ids INTEGER[] NOT NULL DEFAULT '{}',
+  category_ids INTEGER[] NOT NULL DEFAULT '{}',
+  excluded_product_ids INTEGER[] NOT NULL DEFAULT '{}',
+  customer_groups VARCHAR(30)[] NOT NULL DEFAULT '{}',
+  coupon_code VARCHAR(50),
+  -- Inclusive; open-ended when NULL
+  start_date DATE,
+  end_date DATE,
+  stackable BOOLEAN NOT NULL DEFAULT FALSE,
+  priority INTEGER NOT NULL DEFAULT 0,
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_by INTEGER REFERENCES users (user_id),
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  CONSTRAINT promotions_percent_check CHECK (promotion_type = 'amount_off' OR discount_value <= 100),
+  CONSTRAINT promotions_buy_get_check CHECK (
+    (promotion_type = 'buy_x_get_y') = (buy_quantity IS NOT NULL AND get_quantity IS NOT NULL)
+  ),
+  CONSTRAINT promotions_window_check CHECK (end_date IS NULL OR start_date IS NULL OR end_date >= start_date)
+);
+
+CREATE UNIQUE INDEX idx_promotions_coupon_code ON promotions (UPPER(coupon_code)) WHERE coupon_code IS NOT NULL;
+CREATE INDEX idx_promotions_active ON promotions (start_date, end_date) WHERE is_active;
+
+-- discount_amount on a line is now its promotion discounts plus the manual discount
+ALTER TABLE sale_items ADD COLUMN promotion_discount_amount NUMERIC(12, 2) NOT NULL DEFAULT 0;
+
+CREATE TABLE sale_item_promotions (
+  sale_item_id INTEGER NOT NULL REFERENCES sale_items (sale_item_id) ON DELETE CASCADE,
+  promotion_id INTEGER NOT NULL REFERENCES promotions (promotion_id),
+  discount_amount NUMERIC(12, 2) NOT NULL CHECK (discount_amount >= 0),
+  PRIMARY KEY (sale_item_id, promotion_id)
+);
+
+CREATE INDEX idx_sale_item_promotions_promotion ON sale_item_promotions (promotion_id);
+
+CREATE TRIGGER promotions_audit
+AFTER INSERT OR UPDATE OR DELETE ON promotions
+FOR EACH ROW EXECUTE FUNCTION audit_row_change('promotion_id');
@@ -0,0 +1,6 @@
+-- 019_price_overrides
+
+DELETE FROM permissions WHERE permission_key = 'sales.price_override';
+
+DROP TRIGGER IF EXISTS sale_price_overrides_audit ON sale_price_overrides;
+DROP TABLE IF EXISTS sale_price_overrides;
@@ -0,0 +1,36 @@
+-- 019_price_overrides: lines sold at other than their list price
+--
+-- The server prices every line from the product. A line sold at another price
+-- is a price override: it needs a reason and, past the approval threshold
+-- (PRICE_OVERRIDE_APPROVAL_THRESHOLD), someone with sales.price_override.
+
+CREATE TABLE sale_price_overrides (
+  override_id SERIAL PRIMARY KEY,
+  sale_id INTEGER NOT NULL REFERENCES sales (sale_id) ON DELETE CASCADE,
+  product_id INTEGER NOT NULL REFERENCES products (product_id),
+  quantity INTEGER NOT NULL CHECK (quantity > 0),
+  list_price NUMERIC(10, 2) NOT NULL CHECK (list_price >= 0),
+  override_price NUMERIC(10, 2) NOT NULL CHECK (override_price >= 0),
+  reason TEXT NOT NULL,
+  cashier_id INTEGER NOT NULL REFERENCES users (user_id),
+  -- NULL when the override was within the threshold
+  approved_by INTEGER REFERENCES users (user_id),
+  approval_method VARCHAR(20) CHECK (approval_method IN ('permission', 'credentials', 'token')),
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  CONSTRAINT sale_price_overrides_changed_check CHECK (override_price <> list_price),
+  CONSTRAINT sale_price_overrides_approval_check CHECK ((approved_by IS NULL) = (approval_method IS NULL))
+);
+
+CREATE INDEX idx_sale_price_overrides_sale ON sale_price_overrides (sale_id);
+CREATE INDEX idx_sale_price_overrides_cashier ON sale_price_overrides (cashier_id, created_at);
+
+INSERT INTO permissions (permission_key, description) VALUES
+  ('sales.price_override', 'Approve prices that differ from the list price by more than the approval threshold');
+
+INSERT INTO role_permissions (role, permission_key) VALUES
+  ('admin', 'sales.price_override'),
+  ('manager', 'sales.price_override');
+
+CREATE TRIGGER sale_price_overrides_audit
+AFTER INSERT OR UPDATE OR DELETE ON sale_price_overrides
+FOR EACH ROW EXECUTE FUNCTION audit_row_change('override_id');
@@ -0,0 +1,10 @@
+-- 020_price_lists
+
+ALTER TABLE sale_items DROP COLUMN IF EXISTS price_list_id;
+ALTER TABLE customers DROP COLUMN IF EXISTS price_list_id;
+
+DROP TABLE IF EXISTS insurance_price_lists;
+DROP TRIGGER IF EXISTS price_list_rules_audit ON price_list_rules;
+DROP TABLE IF EXISTS price_list_rules;
+DROP TRIGGER IF EXISTS price_lists_audit ON price_lists;
+DROP TABLE IF EXISTS price_lists;
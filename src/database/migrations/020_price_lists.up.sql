@@ -0,0 +1,59 @@
+-- 020_price_lists: named price lists for customers and insurance providers
+--
+-- A customer is priced from their own price list, else from their insurance
+-- provider's, else at the product's selling_price. Within a list a product
+-- rule beats a category rule, and of rules at the same level the one that
+-- started most recently wins. Products no rule covers sell at selling_price.
+
+CREATE TABLE price_lists (
+  price_list_id SERIAL PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  description TEXT,
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_by INTEGER REFERENCES users (user_id),
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX idx_price_lists_name ON price_lists (LOWER(name));
+
+CREATE TABLE price_list_rules (
+  rule_id SERIAL PRIMARY KEY,
+  price_list_id INTEGER NOT NULL REFERENCES price_lists (price_list_id) ON DELETE CASCADE,
+  product_id INTEGER REFERENCES products (product_id) ON DELETE CASCADE,
+  category_id INTEGER REFERENCES categories (category_id) ON DELETE CASCADE,
+  -- fixed_price: the price; percent_off: percent off selling_price; markup: percent over unit_cost
+  rule_type VARCHAR(20) NOT NULL CHECK (rule_type IN ('fixed_price', 'percent_off', 'markup')),
+  value NUMERIC(10, 2) NOT NULL CHECK (value >= 0),
+  -- Inclusive; open-ended when NULL
+  start_date DATE,
+  end_date DATE,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  CONSTRAINT price_list_rules_target_check CHECK ((product_id IS NULL) <> (category_id IS NULL)),
+  CONSTRAINT price_list_rules_fixed_check CHECK (rule_type <> 'fixed_price' OR product_id IS NOT NULL),
+  CONSTRAINT price_list_rules_percent_check CHECK (rule_type <> 'percent_off' OR value <= 100),
+  CONSTRAINT price_list_rules_window_check CHECK (end_date IS NULL OR start_date IS NULL OR end_date >= start_date)
+);
+
+CREATE INDEX idx_price_list_rules_list ON price_list_rules (price_list_id);
+
+-- Insurance providers are free text on customers, so they are matched case-insensitively
+CREATE TABLE insurance_price_lists (
+  insurance_provider VARCHAR(100) NOT NULL,
+  price_list_id INTEGER NOT NULL REFERENCES price_lists (price_list_id) ON DELETE CASCADE
+);
+
+CREATE UNIQUE INDEX idx_insurance_price_lists_provider ON insurance_price_lists (LOWER(insurance_provider));
+
+ALTER TABLE customers ADD COLUMN price_list_id INTEGER REFERENCES price_lists (price_list_id);
+
+-- The list a line was priced from, if any
+ALTER TABLE sale_items ADD COLUMN price_list_id INTEGER REFERENCES price_lists (price_list_id);
+
+CREATE TRIGGER price_lists_audit
+AFTER INSERT OR UPDATE OR DELETE ON price_lists
+FOR EACH ROW EXECUTE FUNCTION audit_row_change('price_list_id');
+
+CREATE TRIGGER price_list_rules_audit
+AFTER INSERT OR UPDATE OR DELETE ON price_list_rules
+FOR EACH ROW EXECUTE FUNCTION audit_row_change('rule_id');
@@ -0,0 +1,18 @@
+-- 021_sale_drafts
+
+-- Give back stock still held by open drafts
+UPDATE inventory i
+SET quantity_reserved = i.quantity_reserved - r.quantity, updated_at = NOW()
+FROM (
+  SELECT inventory_id, SUM(quantity)::INTEGER AS quantity
+  FROM sale_draft_reservations
+  GROUP BY inventory_id
+) r
+WHERE i.inventory_id = r.inventory_id;
+
+DROP TRIGGER IF EXISTS layaway_payments_audit ON layaway_payments;
+DROP TABLE IF EXISTS layaway_payments;
+DROP TABLE IF EXISTS sale_draft_reservations;
+DROP TABLE IF EXISTS sale_draft_items;
+DROP TRIGGER IF EXISTS sale_drafts_audit ON sale_drafts;
+DROP TABLE IF EXISTS sale_drafts;
@@ -0,0 +1,97 @@
+-- 021_sale_drafts: parked sales, quotes and layaways
+--
+-- A draft holds its lines' stock (inventory.quantity_reserved) and their
+-- prices and promotions until it expires. Any terminal can pick it up. A
+-- parked sale can become a quote or a layaway; a layaway is paid off by a
+-- deposit and installments, each taken through the shift of whoever took
+-- it, and becomes a sale once paid. Drafts left past expires_at are expired
+-- by a background sweep, which gives their stock back.
+
+CREATE SEQUENCE sale_draft_number_seq;
+
+CREATE TABLE sale_drafts (
+  draft_id SERIAL PRIMARY KEY,
+  draft_number VARCHAR(30) NOT NULL UNIQUE
+    DEFAULT ('DRAFT-' || TO_CHAR(NOW(), 'YYYYMMDD') || '-' || LPAD(nextval('sale_draft_number_seq')::TEXT, 6, '0')),
+  draft_type VARCHAR(20) NOT NULL DEFAULT 'parked' CHECK (draft_type IN ('parked', 'quote', 'layaway')),
+  status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'completed', 'cancelled', 'expired')),
+  customer_id INTEGER REFERENCES customers (customer_id),
+  coupon_codes TEXT[] NOT NULL DEFAULT '{}',
+  notes TEXT,
+  -- Register the draft was last worked on
+  terminal VARCHAR(50),
+  subtotal NUMERIC(12, 2) NOT NULL,
+  tax_amount NUMERIC(12, 2) NOT NULL,
+  discount_amount NUMERIC(12, 2) NOT NULL,
+  total_amount NUMERIC(12, 2) NOT NULL,
+  -- Layaways: installments the balance after the deposit is paid in
+  installment_count INTEGER CHECK (installment_count > 0),
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  sale_id INTEGER REFERENCES sales (sale_id),
+  created_by INTEGER NOT NULL REFERENCES users (user_id),
+  updated_by INTEGER REFERENCES users (user_id),
+  closed_by INTEGER REFERENCES users (user_id),
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  closed_at TIMESTAMP WITH TIME ZONE,
+  CONSTRAINT sale_drafts_layaway_check CHECK ((draft_type = 'layaway') = (installment_count IS NOT NULL)),
+  CONSTRAINT sale_drafts_sale_check CHECK ((status = 'completed') = (sale_id IS NOT NULL))
+);
+
+ALTER SEQUENCE sale_draft_number_seq OWNED BY sale_drafts.draft_number;
+
+CREATE INDEX idx_sale_drafts_open ON sale_drafts (expires_at) WHERE status = 'open';
+CREATE INDEX idx_sale_drafts_customer ON sale_drafts (customer_id);
+
+-- Lines as held: the price and promotions they sell at when the draft completes
+CREATE TABLE sale_draft_items (
+  draft_item_id SERIAL PRIMARY KEY,
+  draft_id INTEGER NOT NULL REFERENCES sale_drafts (draft_id) ON DELETE CASCADE,
+  line_number INTEGER NOT NULL,
+  product_id INTEGER NOT NULL REFERENCES products (product_id),
+  -- Batch asked for, if any
+  inventory_id INTEGER REFERENCES inventory (inventory_id),
+  quantity INTEGER NOT NULL CHECK (quantity > 0),
+  unit_price NUMERIC(10, 2) NOT NULL CHECK (unit_price >= 0),
+  price_list_id INTEGER REFERENCES price_lists (price_list_id),
+  discount_percentage NUMERIC(5, 2) NOT NULL DEFAULT 0,
+  promotion_discount_amount NUMERIC(12, 2) NOT NULL DEFAULT 0,
+  -- [{ promotionId, name, discountAmount }]
+  promotions JSONB NOT NULL DEFAULT '[]',
+  prescription_id INTEGER REFERENCES prescriptions (prescription_id),
+  line_total NUMERIC(12, 2) NOT NULL,
+  UNIQUE (draft_id, line_number)
+);
+
+-- Stock an open draft holds; deleted as the reservation is released
+CREATE TABLE sale_draft_reservations (
+  draft_id INTEGER NOT NULL REFERENCES sale_drafts (draft_id) ON DELETE CASCADE,
+  inventory_id INTEGER NOT NULL REFERENCES inventory (inventory_id),
+  quantity INTEGER NOT NULL CHECK (quantity > 0),
+  PRIMARY KEY (draft_id, inventory_id)
+);
+
+-- Deposits and installments on layaways. They count towards the drawer of
+-- the shift that took them; the sale a layaway becomes belongs to no shift.
+CREATE TABLE layaway_payments (
+  payment_id SERIAL PRIMARY KEY,
+  draft_id INTEGER NOT NULL REFERENCES sale_drafts (draft_id),
+  payment_method VARCHAR(20) NOT NULL
+    CHECK (payment_method IN ('cash', 'card', 'check', 'digital', 'gift_card')),
+  amount NUMERIC(12, 2) NOT NULL CHECK (amount > 0),
+  reference VARCHAR(100),
+  shift_id INTEGER REFERENCES register_shifts (shift_id),
+  received_by INTEGER NOT NULL REFERENCES users (user_id),
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_layaway_payments_draft ON layaway_payments (draft_id);
+CREATE INDEX idx_layaway_payments_shift ON layaway_payments (shift_id);
+
+CREATE TRIGGER sale_drafts_audit
+AFTER INSERT OR UPDATE OR DELETE ON sale_drafts
+FOR EACH ROW EXECUTE FUNCTION audit_row_change('draft_id');
+
+CREATE TRIGGER layaway_payments_audit
+AFTER INSERT OR UPDATE OR DELETE ON layaway_payments
+FOR EACH ROW EXECUTE FUNCTION audit_row_change('payment_id');
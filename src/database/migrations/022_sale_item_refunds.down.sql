@@ -0,0 +1,6 @@
+-- 022_sale_item_refunds
+
+ALTER TABLE sale_items
+  DROP CONSTRAINT IF EXISTS sale_items_refunded_quantity_check,
+  DROP COLUMN IF EXISTS refunded_quantity,
+  DROP COLUMN IF EXISTS tax_amount;
@@ -0,0 +1,17 @@
+-- 022_sale_item_refunds: tax and refunded quantity per sale line
+--
+-- A refund gives back each line's share of the sale's tax along with its
+-- line_total, so the tax a line was charged is kept on the line. A sale can
+-- be refunded in several goes; refunded_quantity stops a line being returned
+-- more times than it was sold.
+
+ALTER TABLE sale_items
+  ADD COLUMN tax_amount NUMERIC(12, 2) NOT NULL DEFAULT 0 CHECK (tax_amount >= 0),
+  ADD COLUMN refunded_quantity INTEGER NOT NULL DEFAULT 0 CHECK (refunded_quantity >= 0),
+  ADD CONSTRAINT sale_items_refunded_quantity_check CHECK (refunded_quantity <= quantity);
+
+-- Lines sold before this migration get the sale's tax in proportion to their line_total
+UPDATE sale_items si
+SET tax_amount = ROUND(s.tax_amount * si.line_total / s.subtotal, 2)
+FROM sales s
+WHERE s.sale_id = si.sale_id AND s.subtotal > 0;
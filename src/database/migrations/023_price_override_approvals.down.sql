@@ -0,0 +1,5 @@
+-- 023_price_override_approvals
+
+ALTER TABLE sale_price_overrides DROP COLUMN IF EXISTS approval_jti;
+
+DROP TABLE IF EXISTS price_override_approvals_used;
@@ -0,0 +1,17 @@
+-- 023_price_override_approvals: single-use price override approval tokens
+--
+-- A manager's approval token is for one cashier, one product at one price and
+-- up to a quantity, and is good for one sale. A sale that uses a token records
+-- its jti here, so the token cannot be used again before it expires.
+
+CREATE TABLE price_override_approvals_used (
+  jti UUID PRIMARY KEY,
+  approved_by INTEGER NOT NULL REFERENCES users (user_id),
+  cashier_id INTEGER NOT NULL REFERENCES users (user_id),
+  product_id INTEGER NOT NULL REFERENCES products (product_id),
+  used_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+-- The approval token a line was sold under
+ALTER TABLE sale_price_overrides
+  ADD COLUMN approval_jti UUID UNIQUE REFERENCES price_override_approvals_used (jti);
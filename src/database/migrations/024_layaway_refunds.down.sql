@@ -0,0 +1,6 @@
+-- 024_layaway_refunds
+
+DROP TRIGGER IF EXISTS layaway_refunds_audit ON layaway_refunds;
+DROP TABLE IF EXISTS layaway_refunds;
+
+ALTER TABLE sale_draft_items DROP COLUMN IF EXISTS tax_amount;
@@ -0,0 +1,67 @@
+-- 024_layaway_refunds: held tax on draft lines, and refunds of closed layaways
+--
+-- A draft line holds the tax it was priced with along with its price, so a
+-- layaway paid in full completes at the total it was paid against, whatever
+-- the tax rates are by then.
+--
+-- A layaway cancelled or expired with money paid on it owes that money back:
+-- each of its payments gets a refund, due until it is paid back to that
+-- payment's tender. Cash refunds come out of the drawer of the shift that pays them.
+
+ALTER TABLE sale_draft_items ADD COLUMN tax_amount NUMERIC(12, 2) NOT NULL DEFAULT 0;
+
+-- Lines held before this migration share their draft's tax by line_total,
+-- rounding settled on the last line so they add up to the draft's tax
+WITH shares AS (
+  SELECT
+    di.draft_item_id,
+    di.draft_id,
+    di.line_number,
+    d.tax_amount AS draft_tax_amount,
+    ROUND(d.tax_amount * di.line_total / d.subtotal, 2) AS share,
+    MAX(di.line_number) OVER (PARTITION BY di.draft_id) AS last_line
+  FROM sale_draft_items di
+  JOIN sale_drafts d ON d.draft_id = di.draft_id
+  WHERE d.subtotal > 0
+),
+settled AS (
+  SELECT
+    draft_item_id,
+    CASE
+      WHEN line_number = last_line THEN share + draft_tax_amount - SUM(share) OVER (PARTITION BY draft_id)
+      ELSE share
+    END AS tax_amount
+  FROM shares
+)
+UPDATE sale_draft_items di
+SET tax_amount = s.tax_amount
+FROM settled s
+WHERE s.draft_item_id = di.draft_item_id;
+
+CREATE TABLE layaway_refunds (
+  refund_id SERIAL PRIMARY KEY,
+  draft_id INTEGER NOT NULL REFERENCES sale_drafts (draft_id),
+  payment_id INTEGER NOT NULL UNIQUE REFERENCES layaway_payments (payment_id),
+  amount NUMERIC(12, 2) NOT NULL CHECK (amount > 0),
+  status VARCHAR(20) NOT NULL DEFAULT 'due' CHECK (status IN ('due', 'paid')),
+  shift_id INTEGER REFERENCES register_shifts (shift_id),
+  refunded_by INTEGER REFERENCES users (user_id),
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  refunded_at TIMESTAMP WITH TIME ZONE,
+  CONSTRAINT layaway_refunds_paid_check CHECK ((status = 'paid') = (refunded_by IS NOT NULL AND refunded_at IS NOT NULL))
+);
+
+CREATE INDEX idx_layaway_refunds_draft ON layaway_refunds (draft_id);
+CREATE INDEX idx_layaway_refunds_shift ON layaway_refunds (shift_id);
+CREATE INDEX idx_layaway_refunds_due ON layaway_refunds (created_at) WHERE status = 'due';
+
+-- Layaways already closed with money on them owe it back
+INSERT INTO layaway_refunds (draft_id, payment_id, amount)
+SELECT lp.draft_id, lp.payment_id, lp.amount
+FROM layaway_payments lp
+JOIN sale_drafts d ON d.draft_id = lp.draft_id
+WHERE d.status IN ('cancelled', 'expired');
+
+CREATE TRIGGER layaway_refunds_audit
+AFTER INSERT OR UPDATE OR DELETE ON layaway_refunds
+FOR EACH ROW EXECUTE FUNCTION audit_row_change('refund_id');
@@ -0,0 +1,955 @@
+// src/database/seed.js
+//
+// Usage:
+//   node src/database/seed.js [--scale N] [--seed N] [--as-of YYYY-MM-DD] [--force]
+//
+// Replaces the contents of the database with a generated pharmacy dataset: staff
+// for every role, a category tree, products (including Rx and controlled items),
+// suppliers, multi-batch inventory, customers, prescribers, purchase orders in every
+// status and a year of sales with matching stock movements and prescriptions.
+//
+// The same --seed, --scale and --as-of always produce the same rows. --as-of
+// defaults to today, so the sales year and expiry windows stay current.
+require('dotenv').config();
+
+const bcrypt = require('bcrypt');
+const { pool, transaction } = require('../config/database');
+const logger = require('../utils/logger');
+const { USER_ROLES, INVENTORY_STATUS, MOVEMENT_TYPES, PAYMENT_METHODS } = require('../utils/constants');
+const { isValidNpi, isValidDeaNumber } = require('../utils/helpers');
+const data = require('./seedData');
+
+const DEFAULT_OPTIONS = { scale: 1, seed: 42 };
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SALES_HISTORY_DAYS = 365;
+
+// Staff per role at scale 1
+const STAFF_PER_ROLE = {
+  [USER_ROLES.ADMIN]: 1,
+  [USER_ROLES.MANAGER]: 2,
+  [USER_ROLES.PHARMACIST]: 3,
+  [USER_ROLES.TECHNICIAN]: 3,
+  [USER_ROLES.CASHIER]: 4
+};
+
+const PO_STATUS_WEIGHTS = [
+  ['received', 50],
+  ['partially_received', 10],
+  ['ordered', 15],
+  ['pending', 15],
+  ['cancelled', 10]
+];
+
+/**
+ * Seeded pseudo-random generator (mulberry32)
+ * @param {number} seed - Integer seed
+ * @returns {Object} Random helpers
+ */
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+
+  const next = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  const int = (min, max) => min + Math.floor(next() * (max - min + 1));
+
+  return {
+    next,
+    int,
+    float: (min, max) => min + next() * (max - min),
+    chance: probability => next() < probability,
+    pick: items => items[Math.floor(next() * items.length)],
+    weighted: (pairs) => {
+      const total = pairs.reduce((sum, [, weight]) => sum + weight, 0);
+      let roll = next() * total;
+      for (const [value, weight] of pairs) {
+        roll -= weight;
+        if (roll < 0) return value;
+      }
+      return pairs[pairs.length - 1][0];
+    }
+  };
+};
+
+const money = amount => Math.round(amount * 100) / 100;
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+const toDate = date => date.toISOString().slice(0, 10);
+const pad = (value, length) => String(value).padStart(length, '0');
+const scaled = (base, scale, min = 1) => Math.max(min, Math.round(base * scale));
+
+const generateUsers = (random, scale, asOf) => {
+  const users = [];
+
+  for (const [role, count] of Object.entries(STAFF_PER_ROLE)) {
+    for (let n = 1; n <= scaled(count, scale); n++) {
+      const username = `${role}${n}`;
+      users.push({
+        user_id: users.length + 1,
+        username,
+        email: `${username}@pharmaflow.local`,
+        first_name: random.pick(data.FIRST_NAMES),
+        last_name: random.pick(data.LAST_NAMES),
+        role,
+        phone: `555${pad(random.int(0, 9999999), 7)}`,
+        is_active: true,
+        created_at: addDays(asOf, -random.int(400, 900)).toISOString()
+      });
+    }
+  }
+
+  return users;
+};
+
+const generateCategories = (asOf) => {
+  const categories = [];
+  const createdAt = addDays(asOf, -900).toISOString();
+
+  for (const root of data.CATEGORY_TREE) {
+    const parentId = categories.length + 1;
+    categories.push({
+      category_id: parentId,
+      category_name: root.name,
+      description: root.description,
+      parent_category_id: null,
+      created_at: createdAt
+    });
+
+    for (const child of root.children) {
+      categories.push({
+        category_id: categories.length + 1,
+        category_name: child.name,
+        description: child.description,
+        parent_category_id: parentId,
+        created_at: createdAt
+      });
+    }
+  }
+
+  return categories;
+};
+
+const generateSuppliers = (random, scale, asOf) => {
+  const suppliers = [];
+  const count = scaled(15, scale, 3);
+
+  for (let n = 0; n < count; n++) {
+    const { prefixes, suffixes } = data.SUPPLIER_NAME_PARTS;
+    const baseName = `${prefixes[n % prefixes.length]} ${suffixes[Math.floor(n / prefixes.length) % suffixes.length]}`;
+    const round = Math.floor(n / (prefixes.length * suffixes.length));
+    const location = random.pick(data.CITIES);
+    const contact = `${random.pick(data.FIRST_NAMES)} ${random.pick(data.LAST_NAMES)}`;
+
+    suppliers.push({
+      supplier_id: n + 1,
+      supplier_name: round > 0 ? `${baseName} ${round + 1}` : baseName,
+      contact_person: contact,
+      phone: `800${pad(random.int(0, 9999999), 7)}`,
+      email: `orders${n + 1}@supplier.example.com`,
+      address: `${random.int(100, 9999)} ${random.pick(data.STREETS)}`,
+      city: location.city,
+      state: location.state,
+      postal_code: pad(random.int(10000, 99999), 5),
+      country: 'USA',
+      tax_id: `${pad(random.int(10, 99), 2)}-${pad(random.int(0, 9999999), 7)}`,
+      payment_terms: random.pick([15, 30, 30, 45, 60]),
+      is_active: random.chance(0.9),
+      created_at: addDays(asOf, -random.int(500, 900)).toISOString()
+    });
+  }
+
+  return suppliers;
+};
+
+/**
+ * One entry per sellable variant of each drug, cycling through the catalogue so every
+ * drug appears before any repeats
+ */
+const buildProductVariants = () => {
+  const variantsByDrug = data.DRUGS.map(drug => {
+    const variants = [];
+    drug.brands.forEach(brand => drug.forms.forEach(form => drug.strengths.forEach((strength, strengthIndex) => {
+      variants.push({ drug, brand, form, strength, strengthIndex });
+    })));
+    return variants;
+  });
+
+  const ordered = [];
+  const longest = Math.max(...variantsByDrug.map(variants => variants.length));
+  for (let i = 0; i < longest; i++) {
+    variantsByDrug.forEach(variants => {
+      if (i < variants.length) ordered.push(variants[i]);
+    });
+  }
+
+  return ordered;
+};
+
+const generateProducts = (random, scale, asOf, categories) => {
+  const categoryIds = new Map(categories.map(c => [c.category_name, c.category_id]));
+  const variants = buildProductVariants();
+  const packSizes = ['', 'Bulk Pack', 'Unit Dose', 'Hospital Pack'];
+  const count = scaled(300, scale, 20);
+  const products = [];
+
+  for (let n = 0; n < count; n++) {
+    const { drug, brand, form, strength, strengthIndex } = variants[n % variants.length];
+    const pack = packSizes[Math.floor(n / variants.length) % packSizes.length];
+    const unitCost = money(drug.cost * (1 + strengthIndex * 0.4) * random.float(0.9, 1.1));
+    const markup = drug.rx ? random.float(20, 60) : random.float(30, 80);
+    const minimum = random.int(10, 40);
+    const reorderPoint = minimum + random.int(10, 30);
+
+    let storage = drug.storage || 'Store at 20-25°C, away from moisture';
+    if (drug.controlled) storage = 'Store in locked controlled-substance vault';
+
+    products.push({
+      product_id: n + 1,
+      product_code: `PRD-${pad(n + 1, 6)}`,
+      product_name: [brand, strength, form, pack].filter(Boolean).join(' '),
+      generic_name: drug.generic,
+      brand_name: brand,
+      category_id: categoryIds.get(drug.category),
+      dosage_form: form,
+      strength,
+      unit_of_measure: drug.unit || 'pieces',
+      description: `${drug.generic} ${strength} ${form}`,
+      manufacturer: random.pick(data.MANUFACTURERS),
+      requires_prescription: Boolean(drug.rx),
+      controlled_substance: Boolean(drug.controlled),
+      storage_conditions: storage,
+      minimum_stock_level: minimum,
+      maximum_stock_level: reorderPoint * 4,
+      reorder_point: reorderPoint,
+      unit_cost: unitCost,
+      selling_price: money(unitCost * (1 + markup / 100)) || 0.01,
+      markup_percentage: money(markup),
+      tax_rate: drug.rx ? 0 : 6.5,
+      is_active: random.chance(0.97),
+      created_at: addDays(asOf, -random.int(400, 800)).toISOString(),
+      // Relative sales popularity; not a column
+      demand: random.float(0.2, 3)
+    });
+  }
+
+  return products;
+};
+
+const generateCustomers = (random, scale, asOf) => {
+  const customers = [];
+  const count = scaled(200, scale, 20);
+
+  for (let n = 1; n <= count; n++) {
+    const firstName = random.pick(data.FIRST_NAMES);
+    const lastName = random.pick(data.LAST_NAMES);
+    const location = random.pick(data.CITIES);
+    const insured = random.chance(0.7);
+
+    customers.push({
+      customer_id: n,
+      customer_code: `CUST-${pad(n, 6)}`,
+      first_name: firstName,
+      last_name: lastName,
+      phone: `555${pad(1000000 + n, 7)}`,
+      email: random.chance(0.8) ? `${firstName}.${lastName}.${n}@example.com`.toLowerCase() : null,
+      date_of_birth: toDate(addDays(asOf, -random.int(18 * 365, 90 * 365))),
+      address: `${random.int(1, 9999)} ${random.pick(data.STREETS)}`,
+      city: location.city,
+      state: location.state,
+      postal_code: pad(random.int(10000, 99999), 5),
+      insurance_provider: insured ? random.pick(data.INSURANCE_PROVIDERS) : null,
+      insurance_id: insured ? `INS${pad(random.int(0, 999999999), 9)}` : null,
+      allergies: random.chance(0.25) ? random.pick(data.ALLERGIES) : null,
+      medical_conditions: random.chance(0.3) ? random.pick(data.MEDICAL_CONDITIONS) : null,
+      emergency_contact_name: random.chance(0.5) ? `${random.pick(data.FIRST_NAMES)} ${lastName}` : null,
+      emergency_contact_phone: random.chance(0.5) ? `555${pad(random.int(0, 9999999), 7)}` : null,
+      is_active: random.chance(0.97),
+      created_at: addDays(asOf, -random.int(30, 700)).toISOString()
+    });
+  }
+
+  return customers;
+};
+
+/**
+ * Simulates a year of trading: opening stock, daily sales allocated first-expiry-first-out,
+ * and restocking whenever a product falls to its reorder point. Produces inventory,
+ * stock movements, sales and sale items that agree with each other.
+ */
+/**
+ * The doctors in DOCTOR_NAMES as registered prescribers with valid NPI and DEA numbers
+ */
+const generatePrescribers = (random, asOf) => data.DOCTOR_NAMES.map((doctor, index) => {
+  const [firstName, lastName] = doctor.replace(/^Dr\. /, '').split(' ');
+  const location = random.pick(data.CITIES);
+
+  // Random digits with whichever check digit makes the number valid
+  const npiBase = `1${pad(random.int(0, 99999999), 8)}`;
+  const npi = [...Array(10).keys()].map(digit => `${npiBase}${digit}`).find(isValidNpi);
+  const deaBase = `${random.pick(['A', 'B', 'F'])}${lastName.charAt(0)}${pad(random.int(0, 999999), 6)}`;
+  const deaNumber = [...Array(10).keys()].map(digit => `${deaBase}${digit}`).find(candidate => isValidDeaNumber(candidate, lastName));
+
+  return {
+    prescriber_id: index + 1,
+    first_name: firstName,
+    last_name: lastName,
+    npi,
+    dea_number: deaNumber,
+    dea_expiry_date: toDate(addDays(asOf, random.int(90, 1000))),
+    license_state: location.state,
+    license_number: `${location.state}${pad(random.int(0, 999999), 6)}`,
+    license_expiry_date: toDate(addDays(asOf, random.int(90, 1000))),
+    specialty: random.pick(['Family Medicine', 'Internal Medicine', 'Pediatrics', 'Cardiology', 'Psychiatry', 'Pain Management']),
+    phone: `555${pad(random.int(0, 9999999), 7)}`,
+    email: `${firstName}.${lastName}@clinic.example.com`.toLowerCase(),
+    address: `${random.int(100, 9999)} ${random.pick(data.STREETS)}, ${location.city}, ${location.state}`,
+    is_active: true,
+    created_at: addDays(asOf, -random.int(500, 900)).toISOString()
+  };
+});
+
+const simulateTrading = (random, scale, asOf, { users, products, suppliers, customers, prescribers }) => {
+  const inventory = [];
+  const stockMovements = [];
+  const sales = [];
+  const saleItems = [];
+  const salePayments = [];
+  const prescriptions = [];
+
+  const activeSuppliers = suppliers.filter(s => s.is_active);
+  const sellers = users.filter(u => [USER_ROLES.CASHIER, USER_ROLES.PHARMACIST].includes(u.role));
+  const receivers = users.filter(u => [USER_ROLES.TECHNICIAN, USER_ROLES.PHARMACIST].includes(u.role));
+  const pharmacists = users.filter(u => u.role === USER_ROLES.PHARMACIST);
+  const activeCustomers = customers.filter(c => c.is_active);
+  const sellable = products.filter(p => p.is_active);
+  const demandPairs = sellable.map(p => [p, p.demand]);
+  const batchesByProduct = new Map(products.map(p => [p.product_id, []]));
+  const historyStart = addDays(asOf, -SALES_HISTORY_DAYS);
+
+  const receiveBatch = (product, receivedAt, quantity, shelfLifeDays) => {
+    const received = new Date(receivedAt);
+    received.setUTCHours(0, 0, 0, 0);
+    const manufactured = addDays(received, -random.int(20, 120));
+    const batch = {
+      inventory_id: inventory.length + 1,
+      product_id: product.product_id,
+      supplier_id: random.pick(activeSuppliers).supplier_id,
+      batch_number: `${product.product_code.slice(4)}-${toDate(received).replace(/-/g, '').slice(2, 6)}-${pad(inventory.length + 1, 5)}`,
+      lot_number: `LOT${pad(random.int(0, 99999999), 8)}`,
+      quantity_on_hand: quantity,
+      quantity_reserved: 0,
+      unit_cost: money(product.unit_cost * random.float(0.95, 1.05)),
+      manufacturing_date: toDate(manufactured),
+      expiration_date: toDate(addDays(received, shelfLifeDays)),
+      received_date: toDate(received),
+      location: product.controlled_substance
+        ? 'Vault'
+        : (product.storage_conditions.startsWith('Refrigerate') ? 'Refrigerator' : random.pick(data.STORAGE_LOCATIONS.slice(0, 5))),
+      status: INVENTORY_STATUS.ACTIVE,
+      notes: null,
+      created_at: received.toISOString()
+    };
+
+    inventory.push(batch);
+    batchesByProduct.get(product.product_id).push(batch);
+    stockMovements.push({
+      inventory_id: batch.inventory_id,
+      product_id: product.product_id,
+      movement_type: MOVEMENT_TYPES.PURCHASE,
+      quantity_change: quantity,
+      quantity_before: 0,
+      quantity_after: quantity,
+      reference_id: null,
+      reference_type: 'inventory_receipt',
+      unit_cost: batch.unit_cost,
+      reason: 'Stock received',
+      performed_by: random.pick(receivers).user_id,
+      movement_date: received.toISOString()
+    });
+  };
+
+  const sellableBatches = (productId, day) => {
+    const today = toDate(day);
+    return batchesByProduct.get(productId)
+      .filter(b => b.quantity_on_hand > 0 && b.expiration_date > today)
+      .sort((a, b) => a.expiration_date.localeCompare(b.expiration_date) || a.inventory_id - b.inventory_id);
+  };
+
+  // Opening stock, received in the two months before the sales history starts
+  for (const product of products) {
+    for (let n = random.int(1, 3); n > 0; n--) {
+      receiveBatch(product, addDays(historyStart, -random.int(1, 60)), product.reorder_point * random.int(2, 4), random.int(200, 1000));
+    }
+  }
+
+  for (let dayOffset = 0; dayOffset < SALES_HISTORY_DAYS; dayOffset++) {
+    const day = addDays(historyStart, dayOffset + 1);
+    const weekday = day.getUTCDay();
+    const weekdayFactor = weekday === 0 ? 0.6 : (weekday === 6 ? 0.8 : 1);
+    const seasonalFactor = 1 + 0.15 * Math.cos((2 * Math.PI * day.getUTCMonth()) / 12); // winter peak
+    const saleCount = Math.round(15 * scale * weekdayFactor * seasonalFactor * random.float(0.7, 1.3));
+
+    for (let s = 0; s < saleCount; s++) {
+      const saleTime = new Date(day.getTime() + random.int(8 * 60, 20 * 60) * 60 * 1000);
+      const saleId = sales.length + 1;
+      const cashier = random.pick(sellers);
+      let customer = random.chance(0.65) ? random.pick(activeCustomers) : null;
+      const lines = [];
+
+      for (let n = random.weighted([[1, 50], [2, 30], [3, 15], [4, 5]]); n > 0; n--) {
+        const product = random.weighted(demandPairs);
+        if (lines.some(line => line.product.product_id === product.product_id)) continue;
+
+        const quantity = random.weighted([[1, 70], [2, 20], [3, 10]]);
+        const batch = sellableBatches(product.product_id, day).find(b => b.quantity_on_hand >= quantity);
+        if (!batch) continue;
+
+        if (product.requires_prescription && !customer) {
+          customer = random.pick(activeCustomers);
+        }
+        lines.push({ product, batch, quantity });
+      }
+
+      if (lines.length === 0) continue;
+
+      const prescribed = lines.some(line => line.product.requires_prescription);
+      const prescriber = prescribed ? random.pick(prescribers) : null;
+      const salePrescriptions = [];
+      const saleNumber = `SALE-${toDate(saleTime).replace(/-/g, '')}-${pad(saleId, 6)}`;
+      let subtotal = 0;
+      let taxAmount = 0;
+      let discountAmount = 0;
+
+      for (const { product, batch, quantity } of lines) {
+        const discountPercentage = !product.requires_prescription && random.chance(0.05) ? 10 : 0;
+        const gross = money(product.selling_price * quantity);
+        const lineDiscount = money(gross * discountPercentage / 100);
+        const lineTotal = money(gross - lineDiscount);
+        const quantityBefore = batch.quantity_on_hand;
+
+        batch.quantity_on_hand -= quantity;
+        subtotal += lineTotal;
+        discountAmount += lineDiscount;
+        taxAmount += lineTotal * product.tax_rate / 100;
+
+        // Each Rx line is the first fill of a prescription written shortly before
+        let prescription = null;
+        if (product.requires_prescription) {
+          const written = addDays(day, -random.int(0, 10));
+          const refills = random.weighted([[0, 40], [1, 20], [2, 20], [5, 20]]);
+          prescription = {
+            prescription_id: prescriptions.length + 1,
+            prescription_number: `RX-${pad(prescriptions.length + 1, 8)}`,
+            customer_id: customer.customer_id,
+            prescriber_id: prescriber.prescriber_id,
+            prescriber_name: `${prescriber.first_name} ${prescriber.last_name}`,
+            product_id: product.product_id,
+            directions: random.pick(data.PRESCRIPTION_DIRECTIONS),
+            quantity,
+            days_supply: 30,
+            refills_authorized: refills,
+            refills_remaining: refills,
+            times_filled: 1,
+            written_date: toDate(written),
+            expiry_date: toDate(addDays(written, 365)),
+            status: refills === 0 ? 'completed' : 'active',
+            notes: null,
+            created_by: random.pick(pharmacists).user_id,
+            last_filled_at: saleTime.toISOString(),
+            created_at: written.toISOString(),
+            updated_at: saleTime.toISOString()
+          };
+          prescriptions.push(prescription);
+          salePrescriptions.push(prescription.prescription_number);
+        }
+
+        saleItems.push({
+          sale_item_id: saleItems.length + 1,
+          sale_id: saleId,
+          product_id: product.product_id,
+          inventory_id: batch.inventory_id,
+          quantity,
+          unit_price: product.selling_price,
+          discount_percentage: discountPercentage,
+          discount_amount: lineDiscount,
+          line_total: lineTotal,
+          expiration_date: batch.expiration_date,
+          batch_number: batch.batch_number,
+          prescription_id: prescription ? prescription.prescription_id : null
+        });
+
+        stockMovements.push({
+          inventory_id: batch.inventory_id,
+          product_id: product.product_id,
+          movement_type: MOVEMENT_TYPES.SALE,
+          quantity_change: -quantity,
+          quantity_before: quantityBefore,
+          quantity_after: batch.quantity_on_hand,
+          reference_id: saleId,
+          reference_type: 'sale',
+          unit_cost: batch.unit_cost,
+          reason: `Sale ${saleNumber}`,
+          performed_by: cashier.user_id,
+          movement_date: saleTime.toISOString()
+        });
+      }
+
+      const totalAmount = money(subtotal + taxAmount);
+      const insured = prescribed && customer && customer.insurance_provider && random.chance(0.7);
+      const insuranceClaim = insured ? money(totalAmount * 0.8) : 0;
+      const paymentMethod = insured
+        ? PAYMENT_METHODS.INSURANCE
+        : random.weighted([
+          [PAYMENT_METHODS.CARD, 53], [PAYMENT_METHODS.CASH, 35], [PAYMENT_METHODS.DIGITAL, 8],
+          [PAYMENT_METHODS.GIFT_CARD, 2], [PAYMENT_METHODS.CHECK, 2]
+        ]);
+
+      // Insurance pays its share first; the customer pays the rest, with cash
+      // usually rounded up to the next five dollars and the difference given as change
+      const tenders = insured ? [[PAYMENT_METHODS.INSURANCE, insuranceClaim]] : [];
+      const customerShare = money(totalAmount - insuranceClaim);
+      if (customerShare > 0) {
+        const method = insured ? random.weighted([[PAYMENT_METHODS.CARD, 65], [PAYMENT_METHODS.CASH, 35]]) : paymentMethod;
+        tenders.push([method, customerShare]);
+      }
+      for (const [method, amount] of tenders) {
+        const tendered = method === PAYMENT_METHODS.CASH && random.chance(0.7) ? Math.ceil(amount / 5) * 5 : amount;
+        salePayments.push({
+          payment_id: salePayments.length + 1,
+          sale_id: saleId,
+          payment_method: method,
+          amount,
+          tendered_amount: tendered,
+          reference: method === PAYMENT_METHODS.INSURANCE ? `CLM-${pad(saleId, 8)}` : null,
+          refunded_amount: 0,
+          created_at: saleTime.toISOString()
+        });
+      }
+
+      sales.push({
+        sale_id: saleId,
+        sale_number: saleNumber,
+        customer_id: customer ? customer.customer_id : null,
+        cashier_id: cashier.user_id,
+        sale_date: saleTime.toISOString(),
+        subtotal: money(subtotal),
+        tax_amount: money(taxAmount),
+        discount_amount: money(discountAmount),
+        total_amount: totalAmount,
+        payment_method: paymentMethod,
+        payment_status: 'completed',
+        prescription_number: prescribed ? salePrescriptions.join(', ') : null,
+        doctor_name: prescriber ? `${prescriber.first_name} ${prescriber.last_name}` : null,
+        insurance_claim_amount: insuranceClaim,
+        customer_payment_amount: money(totalAmount - insuranceClaim),
+        notes: null,
+        shift_id: null, // set by generateShifts
+        created_at: saleTime.toISOString()
+      });
+    }
+
+    // End-of-day restock for anything at or below its reorder point (deliveries arrive the next day)
+    if (dayOffset === SALES_HISTORY_DAYS - 1) continue;
+    for (const product of sellable) {
+      const available = sellableBatches(product.product_id, day).reduce((sum, b) => sum + b.quantity_on_hand, 0);
+      if (available <= product.reorder_point) {
+        receiveBatch(product, addDays(day, 1), product.maximum_stock_level - available, random.int(150, 900));
+      }
+    }
+  }
+
+  // Batches that expired more than a month ago have been pulled from the shelf
+  const pulledBefore = toDate(addDays(asOf, -30));
+  inventory.forEach(batch => {
+    if (batch.expiration_date < pulledBefore && batch.quantity_on_hand > 0) {
+      batch.status = INVENTORY_STATUS.EXPIRED;
+    }
+  });
+
+  stockMovements.sort((a, b) => a.movement_date.localeCompare(b.movement_date));
+  stockMovements.forEach((movement, index) => { movement.movement_id = index + 1; });
+
+  return { inventory, stockMovements, sales, saleItems, salePayments, prescriptions };
+};
+
+// Each cashier's trading day is one closed register shift. The drawer count
+// matches what was expected, bar the odd small cash variance.
+const generateShifts = (random, { sales, salePayments }) => {
+  const registerShifts = [];
+  const shiftCounts = [];
+  const openingFloat = 150;
+  const bySale = new Map();
+  salePayments.forEach((payment) => {
+    if (!bySale.has(payment.sale_id)) bySale.set(payment.sale_id, []);
+    bySale.get(payment.sale_id).push(payment);
+  });
+
+  const days = new Map();
+  sales.forEach((sale) => {
+    const key = `${sale.sale_date.slice(0, 10)}/${sale.cashier_id}`;
+    if (!days.has(key)) days.set(key, []);
+    days.get(key).push(sale);
+  });
+
+  const registersInUse = new Map();
+  for (const [key, daySales] of [...days.entries()].sort(([a], [b]) => a.localeCompare(b))) {
+    const date = key.slice(0, 10);
+    const register = (registersInUse.get(date) || 0) + 1;
+    registersInUse.set(date, register);
+
+    const times = daySales.map(sale => new Date(sale.sale_date).getTime()).sort((a, b) => a - b);
+    const shiftId = registerShifts.length + 1;
+    const cashierId = daySales[0].cashier_id;
+    registerShifts.push({
+      shift_id: shiftId,
+      register_name: `Register ${register}`,
+      cashier_id: cashierId,
+      status: 'closed',
+      opening_float: openingFloat,
+      opening_notes: null,
+      opened_at: new Date(times[0] - random.int(10, 40) * 60 * 1000).toISOString(),
+      closing_notes: null,
+      closed_at: new Date(times[times.length - 1] + random.int(10, 30) * 60 * 1000).toISOString(),
+      closed_by: cashierId
+    });
+
+    const expected = new Map([[PAYMENT_METHODS.CASH, openingFloat * 100]]);
+    daySales.forEach((sale) => {
+      sale.shift_id = shiftId;
+      bySale.get(sale.sale_id).forEach((payment) => {
+        expected.set(payment.payment_method, (expected.get(payment.payment_method) || 0) + Math.round(payment.amount * 100));
+      });
+    });
+
+    for (const [method, cents] of expected) {
+      const variance = method === PAYMENT_METHODS.CASH && random.chance(0.1) ? random.int(-500, 200) : 0;
+      shiftCounts.push({
+        shift_id: shiftId,
+        payment_method: method,
+        expected_amount: cents / 100,
+        counted_amount: Math.max(0, cents + variance) / 100
+      });
+    }
+  }
+
+  return { registerShifts, shiftCounts };
+};
+
+const generateExpirationAlerts = (random, asOf, { inventory, users }) => {
+  const alerts = [];
+  const reviewers = users.filter(u => [USER_ROLES.PHARMACIST, USER_ROLES.MANAGER].includes(u.role));
+  const today = toDate(asOf);
+
+  for (const batch of inventory) {
+    if (batch.status !== INVENTORY_STATUS.ACTIVE || batch.quantity_on_hand === 0) continue;
+
+    const daysToExpiry = Math.round((new Date(batch.expiration_date) - asOf) / DAY_MS);
+    if (daysToExpiry > 90) continue;
+
+    let alertType = '90_days';
+    if (batch.expiration_date < today) alertType = 'expired';
+    else if (daysToExpiry <= 30) alertType = '30_days';
+    else if (daysToExpiry <= 60) alertType = '60_days';
+
+    const acknowledged = random.chance(0.3);
+    alerts.push({
+      alert_id: alerts.length + 1,
+      inventory_id: batch.inventory_id,
+      product_id: batch.product_id,
+      batch_number: batch.batch_number,
+      expiration_date: batch.expiration_date,
+      quantity: batch.quantity_on_hand,
+      alert_type: alertType,
+      alert_date: today,
+      is_acknowledged: acknowledged,
+      acknowledged_by: acknowledged ? random.pick(reviewers).user_id : null,
+      acknowledged_at: acknowledged ? asOf.toISOString() : null,
+      action_taken: acknowledged ? random.pick(['Moved to front of shelf', 'Discount applied', 'Return to supplier requested']) : null
+    });
+  }
+
+  return alerts;
+};
+
+const generatePurchaseOrders = (random, scale, asOf, { users, products, suppliers }) => {
+  const purchaseOrders = [];
+  const purchaseOrderItems = [];
+  const buyers = users.filter(u => [USER_ROLES.MANAGER, USER_ROLES.ADMIN].includes(u.role));
+  const activeSuppliers = suppliers.filter(s => s.is_active);
+  const activeProducts = products.filter(p => p.is_active);
+  const count = scaled(60, scale, 10);
+
+  for (let n = 1; n <= count; n++) {
+    // The first five cover every status; the rest follow PO_STATUS_WEIGHTS
+    const status = n <= PO_STATUS_WEIGHTS.length ? PO_STATUS_WEIGHTS[n - 1][0] : random.weighted(PO_STATUS_WEIGHTS);
+    const open = ['pending', 'ordered'].includes(status);
+    const orderDate = addDays(asOf, -(open ? random.int(0, 30) : random.int(20, SALES_HISTORY_DAYS)));
+    const expected = addDays(orderDate, random.int(3, 14));
+    const delivered = ['received', 'partially_received'].includes(status) ? addDays(expected, random.int(-3, 5)) : null;
+    let subtotal = 0;
+
+    const chosen = new Set();
+    for (let i = random.int(1, 6); i > 0; i--) {
+      const product = random.pick(activeProducts);
+      if (chosen.has(product.product_id)) continue;
+      chosen.add(product.product_id);
+
+      const quantityOrdered = random.int(2, 30) * 10;
+      let quantityReceived = 0;
+      let itemStatus = status === 'cancelled' ? 'cancelled' : 'pending';
+      if (status === 'received' || (status === 'partially_received' && random.chance(0.5))) {
+        quantityReceived = quantityOrdered;
+        itemStatus = 'received';
+      } else if (status === 'partially_received') {
+        quantityReceived = random.int(1, quantityOrdered - 1);
+        itemStatus = 'partially_received';
+      }
+
+      const lineTotal = money(product.unit_cost * quantityOrdered);
+      subtotal += lineTotal;
+      purchaseOrderItems.push({
+        po_item_id: purchaseOrderItems.length + 1,
+        po_id: n,
+        product_id: product.product_id,
+        quantity_ordered: quantityOrdered,
+        quantity_received: quantityReceived,
+        unit_cost: product.unit_cost,
+        line_total: lineTotal,
+        status: itemStatus
+      });
+    }
+
+    purchaseOrders.push({
+      po_id: n,
+      po_number: `PO-${toDate(orderDate).replace(/-/g, '')}-${pad(n, 5)}`,
+      supplier_id: random.pick(activeSuppliers).supplier_id,
+      order_date: toDate(orderDate),
+      expected_delivery_date: expected.toISOString(),
+      actual_delivery_date: delivered ? delivered.toISOString() : null,
+      status,
+      subtotal: money(subtotal),
+      tax_amount: 0,
+      total_amount: money(subtotal),
+      notes: status === 'cancelled' ? 'Cancelled: supplier out of stock' : null,
+      created_by: random.pick(buyers).user_id,
+      created_at: orderDate.toISOString()
+    });
+  }
+
+  return { purchaseOrders, purchaseOrderItems };
+};
+
+/**
+ * Build the full dataset in memory. Pure: no database access.
+ * @param {Object} options - scale, seed, asOf (Date or YYYY-MM-DD)
+ * @returns {Object} Rows keyed by table
+ */
+const generateDataset = ({ scale = DEFAULT_OPTIONS.scale, seed = DEFAULT_OPTIONS.seed, asOf = new Date() } = {}) => {
+  const random = createRandom(seed);
+  const day = new Date(`${toDate(new Date(asOf))}T00:00:00.000Z`);
+
+  const users = generateUsers(random, scale, day);
+  const categories = generateCategories(day);
+  const suppliers = generateSuppliers(random, scale, day);
+  const products = generateProducts(random, scale, day, categories);
+  const customers = generateCustomers(random, scale, day);
+  const prescribers = generatePrescribers(random, day);
+  const trading = simulateTrading(random, scale, day, { users, products, suppliers, customers, prescribers });
+  const { registerShifts, shiftCounts } = generateShifts(random, trading);
+  const expirationAlerts = generateExpirationAlerts(random, day, { inventory: trading.inventory, users });
+  const { purchaseOrders, purchaseOrderItems } = generatePurchaseOrders(random, scale, day, { users, products, suppliers });
+
+  return {
+    users,
+    categories,
+    suppliers,
+    products: products.map(({ demand: _demand, ...product }) => product),
+    customers,
+    prescribers,
+    inventory: trading.inventory,
+    stockMovements: trading.stockMovements,
+    registerShifts,
+    shiftCounts,
+    sales: trading.sales,
+    saleItems: trading.saleItems,
+    salePayments: trading.salePayments,
+    prescriptions: trading.prescriptions,
+    purchaseOrders,
+    purchaseOrderItems,
+    expirationAlerts
+  };
+};
+
+// Insert order respects foreign keys; [table, dataset key, serial primary key]
+const TABLES = [
+  ['users', 'users', 'user_id'],
+  ['categories', 'categories', 'category_id'],
+  ['suppliers', 'suppliers', 'supplier_id'],
+  ['products', 'products', 'product_id'],
+  ['customers', 'customers', 'customer_id'],
+  ['inventory', 'inventory', 'inventory_id'],
+  ['prescribers', 'prescribers', 'prescriber_id'],
+  ['prescriptions', 'prescriptions', 'prescription_id'],
+  ['register_shifts', 'registerShifts', 'shift_id'],
+  ['shift_counts', 'shiftCounts', null],
+  ['sales', 'sales', 'sale_id'],
+  ['sale_items', 'saleItems', 'sale_item_id'],
+  ['sale_payments', 'salePayments', 'payment_id'],
+  ['stock_movements', 'stockMovements', 'movement_id'],
+  ['purchase_orders', 'purchaseOrders', 'po_id'],
+  ['purchase_order_items', 'purchaseOrderItems', 'po_item_id'],
+  ['expiration_alerts', 'expirationAlerts', 'alert_id']
+];
+
+/**
+ * Multi-row INSERT in chunks that stay under the 65535 bind-parameter limit
+ * @param {Object} client - Transaction client
+ * @param {string} table - Table name
+ * @param {Array} rows - Row objects with identical keys
+ */
+const insertRows = async (client, table, rows) => {
+  if (rows.length === 0) return;
+
+  const columns = Object.keys(rows[0]);
+  const chunkSize = Math.floor(60000 / columns.length);
+
+  for (let start = 0; start < rows.length; start += chunkSize) {
+    const chunk = rows.slice(start, start + chunkSize);
+    const params = [];
+    const values = chunk.map(row => {
+      const placeholders = columns.map(column => {
+        params.push(row[column]);
+        return `$${params.length}`;
+      });
+      return `(${placeholders.join(', ')})`;
+    });
+
+    await client.query(`INSERT INTO ${table} (${columns.join(', ')}) VALUES ${values.join(', ')}`, params);
+  }
+};
+
+/**
+ * Replace the database contents with a dataset
+ * @param {Object} dataset - Result of generateDataset
+ * @param {Object} options - password: plain-text password for every seeded user
+ */
+const seedDatabase = async (dataset, { password }) => {
+  const passwordHash = await bcrypt.hash(password, Number(process.env.BCRYPT_ROUNDS) || 12);
+  const rowsFor = key => (key === 'users'
+    ? dataset.users.map(user => ({ ...user, password_hash: passwordHash }))
+    : dataset[key]);
+
+  await transaction(async (client) => {
+    // audit_log is append-only; only a reseed may empty it
+    await client.query('ALTER TABLE audit_log DISABLE TRIGGER audit_log_no_truncate');
+    await client.query(`TRUNCATE ${['audit_log', 'notifications', ...TABLES.map(([table]) => table)].join(', ')} RESTART IDENTITY CASCADE`);
+    await client.query('ALTER TABLE audit_log ENABLE TRIGGER audit_log_no_truncate');
+
+    for (const [table, key] of TABLES) {
+      await insertRows(client, table, rowsFor(key));
+    }
+
+    // Rows were inserted with explicit IDs and document numbers; move the sequences past them
+    for (const [table, , primaryKey] of TABLES.filter(([, , serial]) => serial)) {
+      await client.query(`SELECT setval(pg_get_serial_sequence('${table}', '${primaryKey}'), COALESCE(MAX(${primaryKey}), 0) + 1, false) FROM ${table}`);
+    }
+    await client.query('SELECT setval(\'customer_code_seq\', $1, false)', [dataset.customers.length + 1]);
+    await client.query('SELECT setval(\'sale_number_seq\', $1, false)', [dataset.sales.length + 1]);
+    await client.query('SELECT setval(\'po_number_seq\', $1, false)', [dataset.purchaseOrders.length + 1]);
+    await client.query('SELECT setval(\'prescription_number_seq\', $1, false)', [dataset.prescriptions.length + 1]);
+
+    // Open the controlled substance register with the seeded stock (as migration 011 does)
+    await client.query(`
+      INSERT INTO controlled_substance_register (
+        product_id, inventory_id, entry_type, quantity_change, batch_balance, product_balance, notes
+      )
+      SELECT
+        i.product_id, i.inventory_id, 'opening_balance', i.quantity_on_hand, i.quantity_on_hand,
+        SUM(i.quantity_on_hand) OVER (PARTITION BY i.product_id ORDER BY i.inventory_id),
+        'Register opened'
+      FROM inventory i
+      JOIN products p ON p.product_id = i.product_id
+      WHERE p.controlled_substance AND i.quantity_on_hand > 0
+      ORDER BY i.product_id, i.inventory_id
+    `);
+
+    // Give recently repriced products a price history (audit_log rows from the products trigger)
+    const manager = dataset.users.find(u => u.role === USER_ROLES.MANAGER);
+    await client.query('SELECT set_config(\'pharmaflow.user_id\', $1, true)', [String(manager.user_id)]);
+    await client.query(`
+      UPDATE products
+      SET selling_price = ROUND(selling_price * 1.05, 2), updated_at = NOW()
+      WHERE product_id % 10 = 0
+    `);
+  });
+};
+
+/**
+ * Parse CLI flags
+ * @param {Array} args - process.argv.slice(2)
+ * @returns {Object} { scale, seed, asOf, force }
+ */
+const parseOptions = (args) => {
+  const options = { ...DEFAULT_OPTIONS, asOf: new Date(), force: false };
+
+  for (let i = 0; i < args.length; i++) {
+    const flag = args[i];
+    const value = args[i + 1];
+
+    if (flag === '--force') {
+      options.force = true;
+    } else if (flag === '--scale') {
+      options.scale = Number(value);
+      if (!(options.scale > 0)) throw new Error('--scale must be a positive number');
+      i++;
+    } else if (flag === '--seed') {
+      options.seed = Number(value);
+      if (!Number.isInteger(options.seed)) throw new Error('--seed must be an integer');
+      i++;
+    } else if (flag === '--as-of') {
+      options.asOf = new Date(`${value}T00:00:00.000Z`);
+      if (Number.isNaN(options.asOf.getTime())) throw new Error('--as-of must be a date (YYYY-MM-DD)');
+      i++;
+    } else {
+      throw new Error(`Unknown option: ${flag}`);
+    }
+  }
+
+  return options;
+};
+
+const run = async (args) => {
+  const options = parseOptions(args);
+
+  if (process.env.NODE_ENV === 'production' && !options.force) {
+    throw new Error('Refusing to replace data in production without --force');
+  }
+
+  const password = process.env.SEED_USER_PASSWORD || 'PharmaFlow#2024';
+  const dataset = generateDataset(options);
+  await seedDatabase(dataset, { password });
+
+  console.log(`Seeded database (seed ${options.seed}, scale ${options.scale}, as of ${toDate(options.asOf)}):`);
+  TABLES.forEach(([table, key]) => console.log(`  ${table.padEnd(22)} ${dataset[key].length}`));
+  console.log(`Users sign in as <role><n> (e.g. ${dataset.users[0].username}) with password "${password}"`);
+};
+
+if (require.main === module) {
+  run(process.argv.slice(2))
+    .catch((error) => {
+      logger.error('Seeding failed:', error.message);
+      console.error(`Seeding failed: ${error.message}`);
+      process.exitCode = 1;
+    })
+    .finally(() => pool.end());
+}
+
+module.exports = {
+  createRandom,
+  generateDataset,
+  seedDatabase
+};
@@ -0,0 +1,187 @@
+// src/database/seedData.js
+// Static reference data the seed generator draws from.
+
+// Two-level category tree. Drugs below reference subcategories by name.
+const CATEGORY_TREE = [
+  {
+    name: 'Prescription Medications',
+    description: 'Medications dispensed against a prescription',
+    children: [
+      { name: 'Cardiovascular', description: 'Blood pressure, cholesterol and heart medications' },
+      { name: 'Antibiotics', description: 'Antibacterial agents' },
+      { name: 'Pain Management', description: 'Prescription analgesics, including opioids' },
+      { name: 'Mental Health', description: 'Antidepressants, anxiolytics and sleep aids' },
+      { name: 'Diabetes', description: 'Oral antidiabetics and insulin' },
+      { name: 'Respiratory', description: 'Inhalers and asthma controllers' },
+      { name: 'Gastrointestinal', description: 'Acid reducers and antiemetics' },
+      { name: 'ADHD', description: 'Stimulant and non-stimulant ADHD treatments' }
+    ]
+  },
+  {
+    name: 'Over-the-Counter',
+    description: 'Medications available without a prescription',
+    children: [
+      { name: 'Pain Relief', description: 'OTC analgesics and anti-inflammatories' },
+      { name: 'Allergy', description: 'Antihistamines and decongestants' },
+      { name: 'Cold & Flu', description: 'Cough, cold and flu remedies' },
+      { name: 'Digestive Health', description: 'Antacids, laxatives and anti-diarrheals' },
+      { name: 'Vitamins & Supplements', description: 'Vitamins, minerals and supplements' }
+    ]
+  },
+  {
+    name: 'Medical Supplies',
+    description: 'Devices and consumables',
+    children: [
+      { name: 'First Aid', description: 'Bandages, antiseptics and dressings' },
+      { name: 'Diabetic Supplies', description: 'Test strips, lancets and syringes' }
+    ]
+  }
+];
+
+// rx: requires prescription; controlled: scheduled substance.
+// cost is a representative unit cost in dollars for the lowest strength.
+const DRUGS = [
+  { generic: 'Lisinopril', brands: ['Zestril', 'Prinivil'], category: 'Cardiovascular', forms: ['tablet'], strengths: ['5mg', '10mg', '20mg', '40mg'], rx: true, cost: 0.12 },
+  { generic: 'Amlodipine', brands: ['Norvasc'], category: 'Cardiovascular', forms: ['tablet'], strengths: ['2.5mg', '5mg', '10mg'], rx: true, cost: 0.10 },
+  { generic: 'Atorvastatin', brands: ['Lipitor'], category: 'Cardiovascular', forms: ['tablet'], strengths: ['10mg', '20mg', '40mg', '80mg'], rx: true, cost: 0.18 },
+  { generic: 'Metoprolol Succinate', brands: ['Toprol-XL'], category: 'Cardiovascular', forms: ['extended-release tablet'], strengths: ['25mg', '50mg', '100mg'], rx: true, cost: 0.22 },
+  { generic: 'Losartan', brands: ['Cozaar'], category: 'Cardiovascular', forms: ['tablet'], strengths: ['25mg', '50mg', '100mg'], rx: true, cost: 0.15 },
+  { generic: 'Warfarin', brands: ['Coumadin', 'Jantoven'], category: 'Cardiovascular', forms: ['tablet'], strengths: ['1mg', '2mg', '5mg'], rx: true, cost: 0.20 },
+  { generic: 'Clopidogrel', brands: ['Plavix'], category: 'Cardiovascular', forms: ['tablet'], strengths: ['75mg'], rx: true, cost: 0.25 },
+  { generic: 'Amoxicillin', brands: ['Amoxil'], category: 'Antibiotics', forms: ['capsule', 'oral suspension'], strengths: ['250mg', '500mg'], rx: true, cost: 0.14 },
+  { generic: 'Azithromycin', brands: ['Zithromax'], category: 'Antibiotics', forms: ['tablet'], strengths: ['250mg', '500mg'], rx: true, cost: 0.90 },
+  { generic: 'Cephalexin', brands: ['Keflex'], category: 'Antibiotics', forms: ['capsule'], strengths: ['250mg', '500mg'], rx: true, cost: 0.21 },
+  { generic: 'Ciprofloxacin', brands: ['Cipro'], category: 'Antibiotics', forms: ['tablet'], strengths: ['250mg', '500mg', '750mg'], rx: true, cost: 0.30 },
+  { generic: 'Doxycycline', brands: ['Vibramycin'], category: 'Antibiotics', forms: ['capsule'], strengths: ['50mg', '100mg'], rx: true, cost: 0.40 },
+  { generic: 'Sulfamethoxazole/Trimethoprim', brands: ['Bactrim'], category: 'Antibiotics', forms: ['tablet'], strengths: ['400/80mg', '800/160mg'], rx: true, cost: 0.16 },
+  { generic: 'Oxycodone', brands: ['Roxicodone', 'OxyContin'], category: 'Pain Management', forms: ['tablet'], strengths: ['5mg', '10mg', '15mg'], rx: true, controlled: true, cost: 0.55 },
+  { generic: 'Hydrocodone/Acetaminophen', brands: ['Norco'], category: 'Pain Management', forms: ['tablet'], strengths: ['5/325mg', '10/325mg'], rx: true, controlled: true, cost: 0.35 },
+  { generic: 'Tramadol', brands: ['Ultram'], category: 'Pain Management', forms: ['tablet'], strengths: ['50mg'], rx: true, controlled: true, cost: 0.18 },
+  { generic: 'Morphine Sulfate ER', brands: ['MS Contin'], category: 'Pain Management', forms: ['extended-release tablet'], strengths: ['15mg', '30mg', '60mg'], rx: true, controlled: true, cost: 0.80 },
+  { generic: 'Codeine/Acetaminophen', brands: ['Tylenol #3'], category: 'Pain Management', forms: ['tablet'], strengths: ['30/300mg'], rx: true, controlled: true, cost: 0.28 },
+  { generic: 'Gabapentin', brands: ['Neurontin'], category: 'Pain Management', forms: ['capsule'], strengths: ['100mg', '300mg', '400mg'], rx: true, cost: 0.13 },
+  { generic: 'Meloxicam', brands: ['Mobic'], category: 'Pain Management', forms: ['tablet'], strengths: ['7.5mg', '15mg'], rx: true, cost: 0.09 },
+  { generic: 'Sertraline', brands: ['Zoloft'], category: 'Mental Health', forms: ['tablet'], strengths: ['25mg', '50mg', '100mg'], rx: true, cost: 0.12 },
+  { generic: 'Escitalopram', brands: ['Lexapro'], category: 'Mental Health', forms: ['tablet'], strengths: ['5mg', '10mg', '20mg'], rx: true, cost: 0.14 },
+  { generic: 'Fluoxetine', brands: ['Prozac'], category: 'Mental Health', forms: ['capsule'], strengths: ['10mg', '20mg', '40mg'], rx: true, cost: 0.11 },
+  { generic: 'Bupropion XL', brands: ['Wellbutrin XL'], category: 'Mental Health', forms: ['extended-release tablet'], strengths: ['150mg', '300mg'], rx: true, cost: 0.35 },
+  { generic: 'Alprazolam', brands: ['Xanax'], category: 'Mental Health', forms: ['tablet'], strengths: ['0.25mg', '0.5mg', '1mg'], rx: true, controlled: true, cost: 0.10 },
+  { generic: 'Lorazepam', brands: ['Ativan'], category: 'Mental Health', forms: ['tablet'], strengths: ['0.5mg', '1mg', '2mg'], rx: true, controlled: true, cost: 0.12 },
+  { generic: 'Clonazepam', brands: ['Klonopin'], category: 'Mental Health', forms: ['tablet'], strengths: ['0.5mg', '1mg'], rx: true, controlled: true, cost: 0.09 },
+  { generic: 'Zolpidem', brands: ['Ambien'], category: 'Mental Health', forms: ['tablet'], strengths: ['5mg', '10mg'], rx: true, controlled: true, cost: 0.16 },
+  { generic: 'Trazodone', brands: ['Desyrel'], category: 'Mental Health', forms: ['tablet'], strengths: ['50mg', '100mg'], rx: true, cost: 0.08 },
+  { generic: 'Metformin', brands: ['Glucophage'], category: 'Diabetes', forms: ['tablet', 'extended-release tablet'], strengths: ['500mg', '850mg', '1000mg'], rx: true, cost: 0.07 },
+  { generic: 'Glipizide', brands: ['Glucotrol'], category: 'Diabetes', forms: ['tablet'], strengths: ['5mg', '10mg'], rx: true, cost: 0.10 },
+  { generic: 'Insulin Glargine', brands: ['Lantus', 'Basaglar'], category: 'Diabetes', forms: ['pen injector'], strengths: ['100 units/mL'], rx: true, cost: 58.00, storage: 'Refrigerate 2-8°C. Do not freeze.' },
+  { generic: 'Insulin Lispro', brands: ['Humalog'], category: 'Diabetes', forms: ['pen injector', 'vial'], strengths: ['100 units/mL'], rx: true, cost: 42.00, storage: 'Refrigerate 2-8°C. Do not freeze.' },
+  { generic: 'Sitagliptin', brands: ['Januvia'], category: 'Diabetes', forms: ['tablet'], strengths: ['25mg', '50mg', '100mg'], rx: true, cost: 9.50 },
+  { generic: 'Albuterol', brands: ['ProAir HFA', 'Ventolin HFA'], category: 'Respiratory', forms: ['inhaler'], strengths: ['90mcg/actuation'], rx: true, cost: 18.00 },
+  { generic: 'Fluticasone/Salmeterol', brands: ['Advair Diskus'], category: 'Respiratory', forms: ['inhaler'], strengths: ['100/50mcg', '250/50mcg'], rx: true, cost: 95.00 },
+  { generic: 'Montelukast', brands: ['Singulair'], category: 'Respiratory', forms: ['tablet'], strengths: ['4mg', '5mg', '10mg'], rx: true, cost: 0.15 },
+  { generic: 'Prednisone', brands: ['Deltasone'], category: 'Respiratory', forms: ['tablet'], strengths: ['5mg', '10mg', '20mg'], rx: true, cost: 0.06 },
+  { generic: 'Pantoprazole', brands: ['Protonix'], category: 'Gastrointestinal', forms: ['delayed-release tablet'], strengths: ['20mg', '40mg'], rx: true, cost: 0.12 },
+  { generic: 'Ondansetron', brands: ['Zofran'], category: 'Gastrointestinal', forms: ['tablet', 'orally disintegrating tablet'], strengths: ['4mg', '8mg'], rx: true, cost: 0.20 },
+  { generic: 'Famotidine', brands: ['Pepcid'], category: 'Gastrointestinal', forms: ['tablet'], strengths: ['20mg', '40mg'], rx: true, cost: 0.08 },
+  { generic: 'Methylphenidate', brands: ['Ritalin', 'Concerta'], category: 'ADHD', forms: ['tablet', 'extended-release tablet'], strengths: ['10mg', '18mg', '36mg'], rx: true, controlled: true, cost: 1.10 },
+  { generic: 'Amphetamine Salts', brands: ['Adderall'], category: 'ADHD', forms: ['tablet'], strengths: ['10mg', '20mg', '30mg'], rx: true, controlled: true, cost: 0.95 },
+  { generic: 'Atomoxetine', brands: ['Strattera'], category: 'ADHD', forms: ['capsule'], strengths: ['25mg', '40mg', '60mg'], rx: true, cost: 2.10 },
+  { generic: 'Ibuprofen', brands: ['Advil', 'Motrin'], category: 'Pain Relief', forms: ['tablet', 'liquid gel'], strengths: ['200mg'], cost: 0.04 },
+  { generic: 'Acetaminophen', brands: ['Tylenol'], category: 'Pain Relief', forms: ['tablet', 'caplet'], strengths: ['325mg', '500mg'], cost: 0.03 },
+  { generic: 'Naproxen Sodium', brands: ['Aleve'], category: 'Pain Relief', forms: ['tablet'], strengths: ['220mg'], cost: 0.05 },
+  { generic: 'Aspirin', brands: ['Bayer'], category: 'Pain Relief', forms: ['tablet', 'chewable tablet'], strengths: ['81mg', '325mg'], cost: 0.02 },
+  { generic: 'Loratadine', brands: ['Claritin'], category: 'Allergy', forms: ['tablet'], strengths: ['10mg'], cost: 0.09 },
+  { generic: 'Cetirizine', brands: ['Zyrtec'], category: 'Allergy', forms: ['tablet'], strengths: ['10mg'], cost: 0.10 },
+  { generic: 'Fexofenadine', brands: ['Allegra'], category: 'Allergy', forms: ['tablet'], strengths: ['60mg', '180mg'], cost: 0.18 },
+  { generic: 'Diphenhydramine', brands: ['Benadryl'], category: 'Allergy', forms: ['capsule'], strengths: ['25mg'], cost: 0.04 },
+  { generic: 'Fluticasone Nasal', brands: ['Flonase'], category: 'Allergy', forms: ['nasal spray'], strengths: ['50mcg/spray'], cost: 6.50 },
+  { generic: 'Dextromethorphan', brands: ['Robitussin DM', 'Delsym'], category: 'Cold & Flu', forms: ['syrup'], strengths: ['15mg/5mL', '30mg/5mL'], cost: 3.20 },
+  { generic: 'Guaifenesin', brands: ['Mucinex'], category: 'Cold & Flu', forms: ['extended-release tablet'], strengths: ['600mg', '1200mg'], cost: 0.30 },
+  { generic: 'Pseudoephedrine', brands: ['Sudafed'], category: 'Cold & Flu', forms: ['tablet'], strengths: ['30mg', '120mg'], cost: 0.22 },
+  { generic: 'Phenylephrine', brands: ['Sudafed PE'], category: 'Cold & Flu', forms: ['tablet'], strengths: ['10mg'], cost: 0.12 },
+  { generic: 'Calcium Carbonate', brands: ['Tums'], category: 'Digestive Health', forms: ['chewable tablet'], strengths: ['500mg', '750mg'], cost: 0.03 },
+  { generic: 'Omeprazole OTC', brands: ['Prilosec OTC'], category: 'Digestive Health', forms: ['delayed-release tablet'], strengths: ['20mg'], cost: 0.25 },
+  { generic: 'Loperamide', brands: ['Imodium'], category: 'Digestive Health', forms: ['capsule'], strengths: ['2mg'], cost: 0.15 },
+  { generic: 'Polyethylene Glycol 3350', brands: ['MiraLAX'], category: 'Digestive Health', forms: ['powder'], strengths: ['17g/dose'], cost: 0.40 },
+  { generic: 'Bismuth Subsalicylate', brands: ['Pepto-Bismol'], category: 'Digestive Health', forms: ['liquid', 'chewable tablet'], strengths: ['262mg'], cost: 0.12 },
+  { generic: 'Vitamin D3', brands: ['Nature Made'], category: 'Vitamins & Supplements', forms: ['softgel'], strengths: ['1000 IU', '2000 IU', '5000 IU'], cost: 0.04 },
+  { generic: 'Multivitamin', brands: ['Centrum', 'One A Day'], category: 'Vitamins & Supplements', forms: ['tablet'], strengths: ['adult', 'senior'], cost: 0.08 },
+  { generic: 'Ferrous Sulfate', brands: ['Feosol'], category: 'Vitamins & Supplements', forms: ['tablet'], strengths: ['325mg'], cost: 0.03 },
+  { generic: 'Folic Acid', brands: ['Nature Made'], category: 'Vitamins & Supplements', forms: ['tablet'], strengths: ['400mcg', '800mcg'], cost: 0.02 },
+  { generic: 'Adhesive Bandages', brands: ['Band-Aid'], category: 'First Aid', forms: ['box'], strengths: ['30 count', '100 count'], cost: 2.10, unit: 'box' },
+  { generic: 'Povidone-Iodine Solution', brands: ['Betadine'], category: 'First Aid', forms: ['solution'], strengths: ['10%'], cost: 3.40, unit: 'bottle' },
+  { generic: 'Hydrogen Peroxide', brands: ['Swan'], category: 'First Aid', forms: ['solution'], strengths: ['3%'], cost: 0.90, unit: 'bottle' },
+  { generic: 'Blood Glucose Test Strips', brands: ['OneTouch Ultra', 'Contour Next'], category: 'Diabetic Supplies', forms: ['box'], strengths: ['50 count', '100 count'], cost: 18.00, unit: 'box' },
+  { generic: 'Lancets', brands: ['OneTouch Delica'], category: 'Diabetic Supplies', forms: ['box'], strengths: ['30G 100 count'], cost: 4.00, unit: 'box' },
+  { generic: 'Insulin Syringes', brands: ['BD Ultra-Fine'], category: 'Diabetic Supplies', forms: ['box'], strengths: ['0.5mL 31G', '1mL 31G'], cost: 12.00, unit: 'box' }
+];
+
+const MANUFACTURERS = [
+  'Pfizer', 'Teva Pharmaceuticals', 'Mylan', 'Sandoz', 'Sun Pharma', 'Aurobindo', 'Lupin',
+  'Zydus', 'Dr. Reddy\'s', 'Cipla', 'Amneal', 'Hikma', 'Apotex', 'Johnson & Johnson', 'Bayer'
+];
+
+const SUPPLIER_NAME_PARTS = {
+  prefixes: ['Allied', 'Summit', 'Northstar', 'Keystone', 'Pinnacle', 'Harbor', 'Cardinal', 'Meridian', 'Evergreen', 'Atlas', 'Liberty', 'Frontier'],
+  suffixes: ['Pharma Distributors', 'Medical Supply', 'Healthcare Wholesale', 'Drug Company', 'Pharmaceutical Logistics']
+};
+
+const FIRST_NAMES = [
+  'James', 'Mary', 'Robert', 'Patricia', 'John', 'Jennifer', 'Michael', 'Linda', 'David', 'Elizabeth',
+  'William', 'Barbara', 'Richard', 'Susan', 'Joseph', 'Jessica', 'Thomas', 'Sarah', 'Carlos', 'Maria',
+  'Daniel', 'Karen', 'Ahmed', 'Fatima', 'Wei', 'Mei', 'Raj', 'Priya', 'Luis', 'Ana', 'Kwame', 'Amara'
+];
+
+const LAST_NAMES = [
+  'Smith', 'Johnson', 'Williams', 'Brown', 'Jones', 'Garcia', 'Miller', 'Davis', 'Rodriguez', 'Martinez',
+  'Hernandez', 'Lopez', 'Gonzalez', 'Wilson', 'Anderson', 'Thomas', 'Taylor', 'Moore', 'Jackson', 'Martin',
+  'Lee', 'Perez', 'Thompson', 'White', 'Harris', 'Clark', 'Lewis', 'Nguyen', 'Patel', 'Kim', 'Chen', 'Okafor'
+];
+
+const CITIES = [
+  { city: 'Springfield', state: 'IL' },
+  { city: 'Columbus', state: 'OH' },
+  { city: 'Austin', state: 'TX' },
+  { city: 'Denver', state: 'CO' },
+  { city: 'Raleigh', state: 'NC' },
+  { city: 'Portland', state: 'OR' },
+  { city: 'Madison', state: 'WI' },
+  { city: 'Tampa', state: 'FL' }
+];
+
+const STREETS = ['Main St', 'Oak Ave', 'Maple Dr', 'Cedar Ln', 'Pine St', 'Elm St', 'Washington Blvd', 'Lakeview Rd'];
+
+const INSURANCE_PROVIDERS = ['Aetna', 'Blue Cross Blue Shield', 'Cigna', 'UnitedHealthcare', 'Humana', 'Medicare Part D', 'Medicaid'];
+
+const ALLERGIES = ['Penicillin', 'Sulfa drugs', 'Aspirin', 'Codeine', 'Latex', 'Ibuprofen', 'Cephalosporins'];
+
+const MEDICAL_CONDITIONS = ['Hypertension', 'Type 2 diabetes', 'Asthma', 'Hyperlipidemia', 'Depression', 'GERD', 'Atrial fibrillation'];
+
+const DOCTOR_NAMES = [
+  'Dr. Alice Monroe', 'Dr. Benjamin Ortiz', 'Dr. Chloe Nakamura', 'Dr. Daniel Reyes', 'Dr. Emily Foster',
+  'Dr. Farid Haddad', 'Dr. Grace Liu', 'Dr. Henry Walsh', 'Dr. Isabel Duarte', 'Dr. Jonah Fischer'
+];
+
+const PRESCRIPTION_DIRECTIONS = [
+  'Take 1 tablet by mouth once daily', 'Take 1 tablet by mouth twice daily', 'Take 1 capsule by mouth three times daily',
+  'Take 1 tablet by mouth at bedtime', 'Take 1 to 2 tablets by mouth every 6 hours as needed for pain',
+  'Take 1 tablet by mouth daily with food'
+];
+
+const STORAGE_LOCATIONS = ['Shelf A', 'Shelf B', 'Shelf C', 'Shelf D', 'Back Room', 'Refrigerator', 'Vault'];
+
+module.exports = {
+  CATEGORY_TREE,
+  DRUGS,
+  MANUFACTURERS,
+  SUPPLIER_NAME_PARTS,
+  FIRST_NAMES,
+  LAST_NAMES,
+  CITIES,
+  STREETS,
+  INSURANCE_PROVIDERS,
+  ALLERGIES,
+  MEDICAL_CONDITIONS,
+  DOCTOR_NAMES,
+  PRESCRIPTION_DIRECTIONS,
+  STORAGE_LOCATIONS
+};
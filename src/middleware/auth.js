@@ -0,0 +1,260 @@
+// src/middleware/auth.js
+const jwt = require('jsonwebtoken');
+const config = require('../config/environment');
+const logger = require('../utils/logger');
+const Session = require('../models/Session');
+const ApiKey = require('../models/ApiKey');
+const Permission = require('../models/Permission');
+const { apiKeyLimiter } = require('./rateLimiter');
+const { USER_ROLES, API_KEY_SCOPES, PERMISSIONS } = require('../utils/constants');
+
+const VALID_ROLES = Object.values(USER_ROLES);
+const VALID_SCOPES = Object.values(API_KEY_SCOPES);
+const VALID_PERMISSIONS = Object.values(PERMISSIONS);
+
+/**
+ * Extract the bearer token from the Authorization header
+ * @param {Object} req - Express request
+ * @returns {string|null} Token or null when absent
+ */
+const getBearerToken = (req) => {
+  const header = req.headers.authorization;
+  if (!header) return null;
+
+  const [scheme, token] = header.split(' ');
+  if (!/^Bearer$/i.test(scheme) || !token) return null;
+
+  return token;
+};
+
+/**
+ * Build the req.user shape every controller reads from a verified token payload.
+ * Controllers use both `userId` and `user_id`, so both are populated.
+ * @param {Object} payload - Decoded JWT payload
+ * @returns {Object} Normalized user
+ */
+const normalizeUser = (payload) => {
+  const userId = Number(payload.userId ?? payload.user_id ?? payload.sub);
+
+  return {
+    userId,
+    user_id: userId,
+    username: payload.username,
+    role: payload.role,
+    sessionId: payload.sid
+  };
+};
+
+const sendUnauthorized = (res, message) => {
+  res.set('WWW-Authenticate', 'Bearer');
+  return res.status(401).json({
+    success: false,
+    message
+  });
+};
+
+/**
+ * Authenticate an x-api-key request. The key must carry one of the scopes
+ * the route granted with permitApiKey(); routes that grant none refuse keys.
+ * Actions are attributed to the admin who issued the key.
+ */
+const authenticateApiKey = (apiKey, req, res, next) => ApiKey.authenticate(apiKey)
+  .then((key) => {
+    if (!key) {
+      logger.warn('Rejected API key', { ip: req.ip, path: req.originalUrl });
+      return sendUnauthorized(res, 'Invalid API key');
+    }
+
+    const permitted = (req.apiKeyScopes || []).some(scope => key.scopes.includes(scope));
+    if (!permitted) {
+      logger.warn('Forbidden API key request', {
+        apiKeyId: key.api_key_id,
+        scopes: key.scopes,
+        method: req.method,
+        path: req.originalUrl
+      });
+
+      return res.status(403).json({
+        success: false,
+        message: 'This API key is not permitted to perform this action'
+      });
+    }
+
+    req.user = {
+      userId: key.created_by,
+      user_id: key.created_by,
+      username: `api-key:${key.name}`,
+      role: null,
+      apiKeyId: key.api_key_id,
+      scopes: key.scopes,
+      rateLimitPerMinute: key.rate_limit_per_minute
+    };
+
+    ApiKey.touch(key.api_key_id, req.ip).catch((error) => {
+      logger.error('Failed to record API key use', { apiKeyId: key.api_key_id, error: error.message });
+    });
+
+    apiKeyLimiter(req, res, next);
+  })
+  .catch(next);
+
+/**
+ * Require a valid access token issued by AuthController.login whose
+ * session has not been revoked (logout, password change, deactivation),
+ * or an API key permitted on the route (see permitApiKey)
+ */
+const authenticate = (req, res, next) => {
+  const token = getBearerToken(req);
+  const apiKey = req.headers['x-api-key'];
+
+  if (!token && apiKey) {
+    return authenticateApiKey(apiKey, req, res, next);
+  }
+
+  if (!token) {
+    return sendUnauthorized(res, 'Authentication required');
+  }
+
+  let payload;
+  try {
+    payload = jwt.verify(token, config.jwt.secret, {
+      algorithms: [config.jwt.algorithm],
+      issuer: config.jwt.issuer
+    });
+  } catch (error) {
+    logger.warn('Rejected access token', {
+      reason: error.message,
+      ip: req.ip,
+      path: req.originalUrl
+    });
+
+    return sendUnauthorized(
+      res,
+      error.name === 'TokenExpiredError' ? 'Token has expired' : 'Invalid token'
+    );
+  }
+
+  const user = normalizeUser(payload);
+
+  if (!Number.isInteger(user.userId) || user.userId <= 0 || !VALID_ROLES.includes(user.role) || !Session.isValidId(user.sessionId)) {
+    return sendUnauthorized(res, 'Invalid token');
+  }
+
+  return Session.isActive(user.sessionId, user.userId)
+    .then((active) => {
+      if (!active) {
+        return sendUnauthorized(res, 'Session has ended');
+      }
+
+      req.user = user;
+      next();
+    })
+    .catch(next);
+};
+
+/**
+ * Let API keys with any of these scopes use the matching routes. Register it
+ * for the paths before authenticate runs, e.g.
+ *   router.get('/:id', permitApiKey(API_KEY_SCOPES.INVENTORY_READ));
+ *   router.use(authenticate);
+ * @param {...string} scopes - Scopes from API_KEY_SCOPES
+ */
+const permitApiKey = (...scopes) => {
+  const unknownScopes = scopes.filter(scope => !VALID_SCOPES.includes(scope));
+  if (scopes.length === 0 || unknownScopes.length > 0) {
+    throw new Error(`Unknown scope(s) passed to permitApiKey(): ${unknownScopes.join(', ')}`);
+  }
+
+  return (req, res, next) => {
+    req.apiKeyScopes = [...(req.apiKeyScopes || []), ...scopes];
+    next();
+  };
+};
+
+/**
+ * Restrict a route to the given roles from USER_ROLES.
+ * Must run after authenticate. API keys are not subject to roles: authenticate
+ * only admits them on routes that granted their scope with permitApiKey().
+ * @param {...string} roles - Allowed roles; none means any authenticated user
+ */
+const authorize = (...roles) => {
+  const unknownRoles = roles.filter(role => !VALID_ROLES.includes(role));
+  if (unknownRoles.length > 0) {
+    throw new Error(`Unknown role(s) passed to authorize(): ${unknownRoles.join(', ')}`);
+  }
+
+  return (req, res, next) => {
+    if (!req.user) {
+      return sendUnauthorized(res, 'Authentication required');
+    }
+
+    if (req.user.apiKeyId) {
+      return next();
+    }
+
+    if (roles.length > 0 && !roles.includes(req.user.role)) {
+      logger.warn('Forbidden request', {
+        userId: req.user.userId,
+        role: req.user.role,
+        method: req.method,
+        path: req.originalUrl
+      });
+
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to perform this action'
+      });
+    }
+
+    next();
+  };
+};
+
+/**
+ * Restrict a route to users holding any of the given permissions from
+ * PERMISSIONS, through their role or a per-user grant (see Permission).
+ * Must run after authenticate. API keys hold no permissions and are refused.
+ * @param {...string} permissions - Accepted permissions
+ */
+const requirePermission = (...permissions) => {
+  const unknownPermissions = permissions.filter(permission => !VALID_PERMISSIONS.includes(permission));
+  if (permissions.length === 0 || unknownPermissions.length > 0) {
+    throw new Error(`Unknown permission(s) passed to requirePermission(): ${unknownPermissions.join(', ')}`);
+  }
+
+  return (req, res, next) => {
+    if (!req.user) {
+      return sendUnauthorized(res, 'Authentication required');
+    }
+
+    return Promise.all(permissions.map(permission => Permission.has(req.user, permission)))
+      .then((held) => {
+        if (!held.includes(true)) {
+          logger.warn('Forbidden request', {
+            userId: req.user.userId,
+            role: req.user.role,
+            apiKeyId: req.user.apiKeyId,
+            permissions,
+            method: req.method,
+            path: req.originalUrl
+          });
+
+          return res.status(403).json({
+            success: false,
+            message: 'You do not have permission to perform this action'
+          });
+        }
+
+        next();
+      })
+      .catch(next);
+  };
+};
+
+module.exports = {
+  authenticate,
+  authorize,
+  requirePermission,
+  permitApiKey,
+  normalizeUser
+};
@@ -0,0 +1,73 @@
+// src/middleware/errorHandler.js
+const crypto = require('crypto');
+const config = require('../config/environment');
+const logger = require('../utils/logger');
+const { NotFoundError, handleError } = require('../utils/errorHandler');
+
+// Accept a caller-supplied ID only if it is short and printable, so it is safe to log and echo
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+/**
+ * Tag each request with an ID (the caller's X-Request-Id, or a new UUID),
+ * echoed back in the response header and in error bodies
+ */
+const requestId = (req, res, next) => {
+  const supplied = req.get('X-Request-Id');
+  req.id = supplied && REQUEST_ID_PATTERN.test(supplied) ? supplied : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  next();
+};
+
+/**
+ * Catch-all for unmatched routes
+ */
+const notFound = (req, res, next) => {
+  next(new NotFoundError(`Route not found: ${req.method} ${req.originalUrl}`));
+};
+
+/**
+ * Send every error as { success: false, message, code, requestId, errors? }
+ */
+const errorHandler = (err, req, res, next) => {
+  // Response already started: let Express close the connection
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  const error = handleError(err);
+  const logMeta = {
+    requestId: req.id,
+    method: req.method,
+    url: req.originalUrl,
+    userId: req.user?.user_id,
+    statusCode: error.statusCode,
+    code: error.code
+  };
+
+  if (error.statusCode >= 500) {
+    logger.error(err.message, { ...logMeta, stack: err.stack });
+  } else {
+    logger.warn(error.message, logMeta);
+  }
+
+  const body = {
+    success: false,
+    message: error.message,
+    code: error.code,
+    requestId: req.id
+  };
+
+  if (error.details !== undefined) {
+    body.errors = error.details;
+  }
+
+  if (config.isDevelopment && err.stack) {
+    body.stack = err.stack;
+  }
+
+  res.status(error.statusCode).json(body);
+};
+
+module.exports = errorHandler;
+module.exports.notFound = notFound;
+module.exports.requestId = requestId;
@@ -0,0 +1,51 @@
+// src/middleware/rateLimiter.js
+const rateLimit = require('express-rate-limit');
+const config = require('../config/environment');
+const { TooManyRequestsError } = require('../utils/errorHandler');
+
+/**
+ * Build a limiter (per IP unless keyGenerator says otherwise) whose rejections
+ * go through the error middleware, so they use the standard error envelope
+ * @param {Object} options - windowMs, maxRequests (number or function of req), message, skipSuccessfulRequests, keyGenerator
+ * @returns {Function} Express middleware
+ */
+const createLimiter = ({ windowMs, maxRequests, message, skipSuccessfulRequests = false, keyGenerator }) => rateLimit({
+  windowMs,
+  limit: maxRequests,
+  standardHeaders: config.rateLimit.standardHeaders,
+  legacyHeaders: config.rateLimit.legacyHeaders,
+  skipSuccessfulRequests,
+  ...(keyGenerator && { keyGenerator }),
+  handler: (req, res, next) => {
+    const resetTime = req.rateLimit && req.rateLimit.resetTime;
+    const retryAfter = resetTime ? Math.max(1, Math.ceil((resetTime.getTime() - Date.now()) / 1000)) : undefined;
+
+    if (retryAfter) res.set('Retry-After', String(retryAfter));
+    next(new TooManyRequestsError(message, retryAfter ? { retryAfter } : undefined));
+  }
+});
+
+// Applied to the whole API
+const apiLimiter = createLimiter(config.rateLimit);
+
+// Credential endpoints. Only failed requests count, so users behind a shared
+// IP are not locked out by each other's successful logins.
+const authLimiter = createLimiter({
+  ...config.rateLimit.auth,
+  skipSuccessfulRequests: true
+});
+
+// Requests made with an API key, counted per key. Runs after the key is
+// authenticated; a key's own rate_limit_per_minute overrides the default.
+const apiKeyLimiter = createLimiter({
+  ...config.rateLimit.apiKey,
+  maxRequests: req => req.user.rateLimitPerMinute || config.rateLimit.apiKey.maxRequests,
+  keyGenerator: req => `api-key:${req.user.apiKeyId}`
+});
+
+module.exports = {
+  createLimiter,
+  apiLimiter,
+  authLimiter,
+  apiKeyLimiter
+};
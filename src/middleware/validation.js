@@ -0,0 +1,76 @@
+// src/middleware/validation.js
+const { param, validationResult } = require('express-validator');
+const { ValidationError } = require('../utils/errorHandler');
+const { validateSchema } = require('../utils/validation');
+
+const REQUEST_PARTS = ['params', 'query', 'body'];
+
+/**
+ * Reject the request when any preceding express-validator chain failed
+ */
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ValidationError('Validation errors', errors.array().map(error => ({
+      field: error.path,
+      location: error.location,
+      message: error.msg
+    }))));
+  }
+  next();
+};
+
+/**
+ * Require the named path parameters to be positive integers
+ * @param {...string} names - Path parameter names
+ * @returns {Array} Middleware chain
+ */
+const validateIdParams = (...names) => [
+  ...names.map(name =>
+    param(name)
+      .isInt({ min: 1 })
+      .withMessage(`${name} must be a positive integer`)
+      .toInt()
+  ),
+  handleValidationErrors
+];
+
+/**
+ * Validate request params, query and body against Joi schemas. The coerced
+ * values (numbers, booleans, defaults; unknown keys stripped) replace the raw
+ * input, so controllers receive typed data.
+ * @param {Object} schemas - { params, query, body } Joi schemas, all optional
+ * @returns {Function} Middleware
+ */
+const validate = schemas => (req, res, next) => {
+  const details = [];
+  const values = {};
+
+  for (const part of REQUEST_PARTS) {
+    if (!schemas[part]) continue;
+
+    try {
+      values[part] = validateSchema(schemas[part], req[part], part);
+    } catch (error) {
+      if (!(error instanceof ValidationError)) throw error;
+      details.push(...error.details);
+    }
+  }
+
+  if (details.length > 0) {
+    return next(new ValidationError('Validation errors', details));
+  }
+
+  for (const [part, value] of Object.entries(values)) {
+    // Express 5 exposes req.query as a getter that re-parses the URL, so shadow it
+    Object.defineProperty(req, part, { value, writable: true, configurable: true, enumerable: true });
+  }
+
+  next();
+};
+
+module.exports = {
+  handleValidationErrors,
+  validateIdParams,
+  validate
+};
@@ -0,0 +1,191 @@
+// src/models/ApiKey.js
+const crypto = require('crypto');
+const { query, transaction } = require('../config/database');
+const { hashToken } = require('../utils/tokens');
+
+const KEY_PATTERN = /^pfk_([0-9a-f]{12})_([A-Za-z0-9_-]{43})$/;
+
+// Columns safe to return to admins (never the hash)
+const PUBLIC_COLUMNS = `
+  api_key_id, name, key_prefix, scopes, rate_limit_per_minute, created_by, created_at,
+  expires_at, last_used_at, last_used_ip, rotated_from_id, revoked_at, revoked_by
+`;
+
+/**
+ * A new key and the values stored for it
+ * @returns {Object} { key, prefix, hash } - key is shown to the admin once
+ */
+const generateKey = () => {
+  const prefix = crypto.randomBytes(6).toString('hex');
+  const key = `pfk_${prefix}_${crypto.randomBytes(32).toString('base64url')}`;
+
+  return { key, prefix, hash: hashToken(key) };
+};
+
+class ApiKey {
+  /**
+   * Issue a key
+   * @param {Object} apiKey - name, scopes, rateLimitPerMinute, expiresAt, createdBy, rotatedFromId
+   * @param {Object} [client] - Transaction client
+   * @returns {Promise<Object>} { apiKey: row, key: the plain key }
+   */
+  static async create({ name, scopes, rateLimitPerMinute = null, expiresAt = null, createdBy, rotatedFromId = null }, client = { query }) {
+    const { key, prefix, hash } = generateKey();
+
+    const result = await client.query(
+      `
+        INSERT INTO api_keys (name, key_prefix, key_hash, scopes, rate_limit_per_minute, expires_at, created_by, rotated_from_id)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        RETURNING ${PUBLIC_COLUMNS}
+      `,
+      [name, prefix, hash, scopes, rateLimitPerMinute, expiresAt, createdBy, rotatedFromId]
+    );
+
+    return { apiKey: result.rows[0], key };
+  }
+
+  /**
+   * Resolve a presented key to its row, if it is well formed, matches, and is
+   * neither revoked nor expired
+   * @param {string} key - Value of the x-api-key header
+   * @returns {Promise<Object|null>} Key row, or null
+   */
+  static async authenticate(key) {
+    const match = KEY_PATTERN.exec(String(key));
+    if (!match) return null;
+
+    const result = await query(
+      `
+        SELECT ${PUBLIC_COLUMNS}, key_hash
+        FROM api_keys
+        WHERE key_prefix = $1 AND revoked_at IS NULL AND (expires_at IS NULL OR expires_at > NOW())
+      `,
+      [match[1]]
+    );
+
+    if (result.rows.length === 0) return null;
+
+    const { key_hash: storedHash, ...apiKey } = result.rows[0];
+    const matches = crypto.timingSafeEqual(Buffer.from(storedHash), Buffer.from(hashToken(key)));
+
+    return matches ? apiKey : null;
+  }
+
+  /**
+   * Record use of a key. Writes at most once a minute per key so busy
+   * integrations do not turn every read into a write.
+   * @param {number} apiKeyId - Key ID
+   * @param {string} ipAddress - Client IP
+   * @returns {Promise<void>}
+   */
+  static async touch(apiKeyId, ipAddress) {
+    await query(
+      `
+        UPDATE api_keys
+        SET last_used_at = NOW(), last_used_ip = $2
+        WHERE api_key_id = $1 AND (last_used_at IS NULL OR last_used_at < NOW() - INTERVAL '1 minute')
+      `,
+      [apiKeyId, ipAddress]
+    );
+  }
+
+  /**
+   * List keys, newest first
+   * @param {Object} filters - includeRevoked, limit, offset
+   * @returns {Promise<Object>} { apiKeys, total }
+   */
+  static async findAll({ includeRevoked = false, limit, offset }) {
+    const where = includeRevoked ? '' : 'WHERE revoked_at IS NULL';
+
+    const [rows, count] = await Promise.all([
+      query(`SELECT ${PUBLIC_COLUMNS} FROM api_keys ${where} ORDER BY created_at DESC LIMIT $1 OFFSET $2`, [limit, offset]),
+      query(`SELECT COUNT(*)::INTEGER AS total FROM api_keys ${where}`)
+    ]);
+
+    return { apiKeys: rows.rows, total: count.rows[0].total };
+  }
+
+  /**
+   * @param {number} apiKeyId - Key ID
+   * @param {Object} [client] - Transaction client
+   * @returns {Promise<Object|null>}
+   */
+  static async findById(apiKeyId, client = { query }) {
+    const result = await client.query(`SELECT ${PUBLIC_COLUMNS} FROM api_keys WHERE api_key_id = $1`, [apiKeyId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Replace a key with a new secret carrying the same name, scopes and limits.
+   * The old key keeps working for gracePeriodMinutes so the integration can be
+   * switched over without downtime, then expires.
+   * @param {number} apiKeyId - Key to rotate
+   * @param {number} adminId - Acting admin
+   * @param {number} [gracePeriodMinutes] - How long the old key stays valid
+   * @returns {Promise<Object|null>} { apiKey, key, previous }, or null when the key does not exist, is revoked or has expired
+   */
+  static async rotate(apiKeyId, adminId, gracePeriodMinutes = 0) {
+    return transaction(async (client) => {
+      const current = await client.query(
+        `
+          SELECT ${PUBLIC_COLUMNS}
+          FROM api_keys
+          WHERE api_key_id = $1 AND revoked_at IS NULL AND (expires_at IS NULL OR expires_at > NOW())
+          FOR UPDATE
+        `,
+        [apiKeyId]
+      );
+
+      if (current.rows.length === 0) return null;
+
+      const old = current.rows[0];
+      const previous = gracePeriodMinutes > 0
+        ? await client.query(
+          `
+            UPDATE api_keys
+            SET expires_at = LEAST(COALESCE(expires_at, 'infinity'), NOW() + $2 * INTERVAL '1 minute')
+            WHERE api_key_id = $1
+            RETURNING ${PUBLIC_COLUMNS}
+          `,
+          [apiKeyId, gracePeriodMinutes]
+        )
+        : await client.query(
+          `UPDATE api_keys SET revoked_at = NOW(), revoked_by = $2 WHERE api_key_id = $1 RETURNING ${PUBLIC_COLUMNS}`,
+          [apiKeyId, adminId]
+        );
+
+      const { apiKey, key } = await ApiKey.create({
+        name: old.name,
+        scopes: old.scopes,
+        rateLimitPerMinute: old.rate_limit_per_minute,
+        expiresAt: old.expires_at,
+        createdBy: adminId,
+        rotatedFromId: old.api_key_id
+      }, client);
+
+      return { apiKey, key, previous: previous.rows[0] };
+    });
+  }
+
+  /**
+   * Revoke a key immediately
+   * @param {number} apiKeyId - Key ID
+   * @param {number} adminId - Acting admin
+   * @returns {Promise<Object|null>} Revoked key, or null when it does not exist or was already revoked
+   */
+  static async revoke(apiKeyId, adminId) {
+    const result = await query(
+      `
+        UPDATE api_keys
+        SET revoked_at = NOW(), revoked_by = $2
+        WHERE api_key_id = $1 AND revoked_at IS NULL
+        RETURNING ${PUBLIC_COLUMNS}
+      `,
+      [apiKeyId, adminId]
+    );
+
+    return result.rows[0] || null;
+  }
+}
+
+module.exports = ApiKey;
@@ -0,0 +1,147 @@
+// src/models/AuditLog.js
+const { query } = require('../config/database');
+
+// prev_hash of the first entry in the chain
+const GENESIS_HASH = '0'.repeat(64);
+
+const ENTRY_COLUMNS = `
+  al.audit_id, al.chain_position, al.table_name, al.record_id, al.action,
+  al.old_values, al.new_values, al.changed_by, u.username AS changed_by_username,
+  al.api_key_id, host(al.ip_address) AS ip_address, al.request_id, al.created_at,
+  al.prev_hash, al.row_hash
+`;
+
+/**
+ * WHERE clause and params for the list filters
+ * @param {Object} filters - tableName, recordId, action, changedBy, apiKeyId, requestId, startDate, endDate
+ * @returns {Object} { where, params }
+ */
+const buildFilters = ({ tableName, recordId, action, changedBy, apiKeyId, requestId, startDate, endDate }) => {
+  const conditions = [];
+  const params = [];
+
+  const add = (condition, value) => {
+    params.push(value);
+    conditions.push(condition.replace('?', `$${params.length}`));
+  };
+
+  if (tableName) add('al.table_name = ?', tableName);
+  if (recordId) add('al.record_id = ?', recordId);
+  if (action) add('al.action = ?', action);
+  if (changedBy) add('al.changed_by = ?', changedBy);
+  if (apiKeyId) add('al.api_key_id = ?', apiKeyId);
+  if (requestId) add('al.request_id = ?', requestId);
+  if (startDate) add('al.created_at >= ?::DATE', startDate);
+  if (endDate) add('al.created_at < ?::DATE + 1', endDate);
+
+  return {
+    where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+    params
+  };
+};
+
+class AuditLog {
+  /**
+   * Search the audit trail, newest first
+   * @param {Object} filters - See buildFilters, plus limit and offset
+   * @returns {Promise<Object>} { entries, total }
+   */
+  static async findAll({ limit, offset, ...filters }) {
+    const { where, params } = buildFilters(filters);
+
+    const [rows, count] = await Promise.all([
+      query(
+        `
+          SELECT ${ENTRY_COLUMNS}
+          FROM audit_log al
+          LEFT JOIN users u ON u.user_id = al.changed_by
+          ${where}
+          ORDER BY al.chain_position DESC
+          LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+        `,
+        [...params, limit, offset]
+      ),
+      query(`SELECT COUNT(*)::INTEGER AS total FROM audit_log al ${where}`, params)
+    ]);
+
+    return { entries: rows.rows, total: count.rows[0].total };
+  }
+
+  /**
+   * @param {number} auditId - Entry ID
+   * @returns {Promise<Object|null>}
+   */
+  static async findById(auditId) {
+    const result = await query(
+      `
+        SELECT ${ENTRY_COLUMNS}
+        FROM audit_log al
+        LEFT JOIN users u ON u.user_id = al.changed_by
+        WHERE al.audit_id = $1
+      `,
+      [auditId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Walk the hash chain and report where it breaks: a gap in chain_position
+   * (entries removed), a prev_hash that does not match the entry before it
+   * (entries removed or reordered), or a row_hash that does not match the
+   * entry's content (entry edited). Recording the returned head hash outside
+   * the database lets a later check also detect the chain being rebuilt.
+   * @param {number} [maxProblems] - Stop listing problems after this many
+   * @returns {Promise<Object>} { valid, entries, head: { position, hash } | null, problems }
+   */
+  static async verifyChain(maxProblems = 100) {
+    const chain = `
+      SELECT audit_id, chain_position, prev_hash, row_hash,
+             audit_log_hash(al) AS computed_hash,
+             LAG(row_hash) OVER (ORDER BY chain_position) AS previous_hash,
+             LAG(chain_position) OVER (ORDER BY chain_position) AS previous_position
+      FROM audit_log al
+    `;
+
+    const [summary, problems] = await Promise.all([
+      query(`
+        SELECT COUNT(*)::INTEGER AS entries, MAX(chain_position) AS head_position,
+               (SELECT row_hash FROM audit_log ORDER BY chain_position DESC LIMIT 1) AS head_hash
+        FROM audit_log
+      `),
+      query(
+        `
+          SELECT audit_id, chain_position, problem
+          FROM (
+            SELECT audit_id, chain_position,
+                   CASE
+                     WHEN chain_position <> COALESCE(previous_position, 0) + 1 THEN 'missing_entries'
+                     WHEN prev_hash <> COALESCE(previous_hash, $1) THEN 'broken_link'
+                     WHEN row_hash <> computed_hash THEN 'modified_entry'
+                   END AS problem
+            FROM (${chain}) chain
+          ) checked
+          WHERE problem IS NOT NULL
+          ORDER BY chain_position
+          LIMIT $2
+        `,
+        [GENESIS_HASH, maxProblems]
+      )
+    ]);
+
+    const { entries, head_position: headPosition, head_hash: headHash } = summary.rows[0];
+
+    return {
+      valid: problems.rows.length === 0,
+      entries,
+      head: headPosition === null ? null : { position: Number(headPosition), hash: headHash },
+      problems: problems.rows.map(row => ({
+        auditId: Number(row.audit_id),
+        position: Number(row.chain_position),
+        problem: row.problem
+      }))
+    };
+  }
+}
+
+module.exports = AuditLog;
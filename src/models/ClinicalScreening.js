@@ -0,0 +1,393 @@
+// src/models/ClinicalScreening.js
+const fs = require('fs');
+const { query } = require('../config/database');
+const config = require('../config/environment');
+const logger = require('../utils/logger');
+const { CLINICAL_SEVERITY, CLINICAL_WARNING_TYPES } = require('../utils/constants');
+const { NotFoundError } = require('../utils/errorHandler');
+
+const SEVERITIES = Object.values(CLINICAL_SEVERITY);
+
+// The dataset in use, as indexed by loadDataset
+let dataset = null;
+
+/**
+ * Lower-case words padded with spaces, so includes() matches whole words only
+ * @param {string} text
+ * @returns {string}
+ */
+const words = text => ` ${String(text).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim()} `;
+
+/**
+ * Whether text mentions a term as whole words, e.g. "Sulfa drugs" mentions "sulfa"
+ * @param {string} text
+ * @param {string} term
+ * @returns {boolean}
+ */
+const mentions = (text, term) => words(text).includes(words(term));
+
+/**
+ * Separate entries of a free-text allergies or conditions field
+ * @param {string|null} text - e.g. "Penicillin, Sulfa drugs"
+ * @returns {string[]}
+ */
+const entries = text => (text || '').split(/[,;\n]+/).map(entry => entry.trim()).filter(Boolean);
+
+/**
+ * Active ingredients of a product, from its generic name
+ * @param {Object} product - Row with generic_name and product_name
+ * @returns {string[]} e.g. ['hydrocodone', 'acetaminophen']
+ */
+const ingredientsOf = product => (product.generic_name || product.product_name).split('/').map(part => part.trim());
+
+/**
+ * Whether any of a product's ingredients is one of the given ingredient names
+ * @param {string[]} ingredients - From ingredientsOf
+ * @param {string[]} names - Expanded dataset terms
+ * @returns {boolean}
+ */
+const contains = (ingredients, names) => names.some(name => ingredients.some(ingredient => mentions(ingredient, name)));
+
+/**
+ * Validate a raw dataset and resolve its class names to ingredient names
+ * @param {Object} raw - Parsed dataset file
+ * @param {string} source - File it came from, for error messages
+ * @returns {Object} Indexed dataset
+ */
+const indexDataset = (raw, source) => {
+  const fail = problem => {
+    throw new Error(`Invalid clinical dataset ${source}: ${problem}`);
+  };
+
+  if (!raw || typeof raw !== 'object') fail('expected a JSON object');
+
+  const classes = raw.classes || {};
+  const expand = terms => terms.flatMap(term => classes[term] || [term]);
+
+  const checkRule = (rule, where) => {
+    if (!SEVERITIES.includes(rule.severity)) fail(`${where} has unknown severity "${rule.severity}"`);
+    if (!rule.description) fail(`${where} has no description`);
+  };
+
+  // Allergens and conditions share a shape: a name, the words that identify
+  // it in a customer's record, and the drugs it rules against
+  const indexEntries = (list, key, rulesKey, label) => (list || []).map((entry, index) => {
+    if (!entry[key] || !Array.isArray(entry.aliases) || !Array.isArray(entry[rulesKey])) {
+      fail(`${label}[${index}] needs ${key}, aliases and ${rulesKey}`);
+    }
+
+    return {
+      name: entry[key],
+      aliases: [entry[key], ...entry.aliases],
+      rules: entry[rulesKey].map((rule, ruleIndex) => {
+        if (!Array.isArray(rule.matches)) fail(`${label}[${index}].${rulesKey}[${ruleIndex}] needs matches`);
+        checkRule(rule, `${label}[${index}].${rulesKey}[${ruleIndex}]`);
+        return { ...rule, ingredients: expand(rule.matches) };
+      })
+    };
+  });
+
+  const interactions = (raw.interactions || []).map((interaction, index) => {
+    if (!Array.isArray(interaction.drugs) || interaction.drugs.length !== 2) {
+      fail(`interactions[${index}] needs a pair of drugs`);
+    }
+    checkRule(interaction, `interactions[${index}]`);
+    return { ...interaction, ingredients: interaction.drugs.map(term => expand([term])) };
+  });
+
+  return {
+    version: raw.version || null,
+    description: raw.description || null,
+    classes,
+    allergies: indexEntries(raw.allergies, 'allergen', 'reactions', 'allergies'),
+    conditions: indexEntries(raw.conditions, 'condition', 'cautions', 'conditions'),
+    interactions,
+    loadedAt: new Date()
+  };
+};
+
+class ClinicalScreening {
+  /**
+   * Load (or reload) the interaction and allergy dataset. The previous
+   * dataset stays in use if the file cannot be read or is invalid.
+   * @param {string} [filePath] - Defaults to config.pharmacy.clinicalDatasetPath
+   * @returns {Object} Summary of the loaded dataset
+   */
+  static loadDataset(filePath = config.pharmacy.clinicalDatasetPath) {
+    let raw;
+    try {
+      raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Cannot load clinical dataset ${filePath}: ${error.message}`);
+    }
+
+    dataset = indexDataset(raw, filePath);
+
+    const summary = ClinicalScreening.datasetSummary();
+    logger.info('Clinical screening dataset loaded', { filePath, ...summary });
+    return summary;
+  }
+
+  /**
+   * The dataset in use, loading the configured one on first use
+   * @returns {Object}
+   */
+  static getDataset() {
+    if (!dataset) ClinicalScreening.loadDataset();
+    return dataset;
+  }
+
+  /**
+   * @returns {Object} Version and size of the dataset in use
+   */
+  static datasetSummary() {
+    const data = ClinicalScreening.getDataset();
+    return {
+      version: data.version,
+      description: data.description,
+      loadedAt: data.loadedAt,
+      classes: Object.keys(data.classes).length,
+      allergies: data.allergies.length,
+      conditions: data.conditions.length,
+      interactions: data.interactions.length
+    };
+  }
+
+  /**
+   * Screen products against a patient's allergies, conditions and current
+   * medication, and against each other. Only the most severe warning is kept
+   * for each product and allergy, condition or interacting product.
+   * @param {Object} input
+   * @param {Object[]} input.products - Rows with product_id, product_name, generic_name
+   * @param {string|null} [input.allergies] - customers.allergies
+   * @param {string|null} [input.conditions] - customers.medical_conditions
+   * @param {Object[]} [input.history] - Recently bought products, rows as products plus sale_number and sale_date
+   * @param {Object} [data] - Indexed dataset; defaults to the one in use
+   * @returns {Object[]} Warnings, most severe first
+   */
+  static evaluate({ products, allergies = null, conditions = null, history = [] }, data = ClinicalScreening.getDataset()) {
+    const warnings = new Map();
+
+    const warn = (key, warning) => {
+      const existing = warnings.get(key);
+      if (!existing || SEVERITIES.indexOf(warning.severity) < SEVERITIES.indexOf(existing.severity)) {
+        warnings.set(key, warning);
+      }
+    };
+
+    products.forEach((product, index) => {
+      const ingredients = ingredientsOf(product);
+      const line = { productId: product.product_id, productName: product.product_name };
+
+      entries(allergies).forEach(allergy => {
+        const key = `${CLINICAL_WARNING_TYPES.ALLERGY}:${product.product_id}:${allergy}`;
+        const known = data.allergies.filter(allergen => allergen.aliases.some(alias => mentions(allergy, alias)));
+
+        known.forEach(allergen => allergen.rules
+          .filter(rule => contains(ingredients, rule.ingredients))
+          .forEach(rule => warn(key, {
+            type: CLINICAL_WARNING_TYPES.ALLERGY,
+            severity: rule.severity,
+            ...line,
+            allergy,
+            message: `${product.product_name} may cause a reaction in a patient allergic to ${allergy}`,
+            description: rule.description
+          })));
+
+        // Allergies the dataset does not know still count when they name the drug or its class
+        if (known.length === 0) {
+          const classes = Object.keys(data.classes).filter(name => contains(ingredients, data.classes[name]));
+          if ([...ingredients, ...classes].some(name => mentions(allergy, name.replace(/_/g, ' ')))) {
+            warn(key, {
+              type: CLINICAL_WARNING_TYPES.ALLERGY,
+              severity: CLINICAL_SEVERITY.SEVERE,
+              ...line,
+              allergy,
+              message: `${product.product_name} may cause a reaction in a patient allergic to ${allergy}`,
+              description: `Recorded allergy to ${allergy}`
+            });
+          }
+        }
+      });
+
+      entries(conditions).forEach(condition => {
+        data.conditions
+          .filter(known => known.aliases.some(alias => mentions(condition, alias)))
+          .forEach(known => known.rules
+            .filter(rule => contains(ingredients, rule.ingredients))
+            .forEach(rule => warn(`${CLINICAL_WARNING_TYPES.CONDITION}:${product.product_id}:${condition}`, {
+              type: CLINICAL_WARNING_TYPES.CONDITION,
+              severity: rule.severity,
+              ...line,
+              condition,
+              message: `${product.product_name} needs caution in a patient with ${condition}`,
+              description: rule.description
+            })));
+      });
+
+      // Each pair of lines in the sale once, and each line against recent purchases
+      const others = [
+        ...products.slice(index + 1).map(other => ({ ...other, source: 'sale' })),
+        ...history.map(other => ({ ...other, source: 'history' }))
+      ].filter(other => other.product_id !== product.product_id);
+
+      others.forEach(other => {
+        const otherIngredients = ingredientsOf(other);
+
+        data.interactions
+          .filter(({ ingredients: [first, second] }) => (
+            (contains(ingredients, first) && contains(otherIngredients, second))
+            || (contains(ingredients, second) && contains(otherIngredients, first))
+          ))
+          .forEach(interaction => warn(`${CLINICAL_WARNING_TYPES.INTERACTION}:${product.product_id}:${other.product_id}`, {
+            type: CLINICAL_WARNING_TYPES.INTERACTION,
+            severity: interaction.severity,
+            ...line,
+            interactsWith: {
+              productId: other.product_id,
+              productName: other.product_name,
+              source: other.source,
+              saleNumber: other.sale_number || null,
+              saleDate: other.sale_date || null
+            },
+            message: other.source === 'sale'
+              ? `${product.product_name} interacts with ${other.product_name} in this sale`
+              : `${product.product_name} interacts with ${other.product_name} bought on sale ${other.sale_number}`,
+            description: interaction.description,
+            management: interaction.management || null
+          }));
+      });
+    });
+
+    return [...warnings.values()]
+      .sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity));
+  }
+
+  /**
+   * Screen the products of a prospective sale for a customer, using what they
+   * bought in the last config.pharmacy.clinicalHistoryDays days as their
+   * current medication. Without a customer only the products are compared.
+   * @param {Object} input
+   * @param {number|null} [input.customerId] - Customer ID
+   * @param {number[]} input.productIds - Products of the sale
+   * @param {Object} [client] - Transaction client
+   * @returns {Promise<Object>} { datasetVersion, warnings, requiresOverride }
+   */
+  static async screen({ customerId = null, productIds }, client = { query }) {
+    const ids = [...new Set(productIds)];
+
+    const productResult = await client.query(
+      'SELECT product_id, product_name, generic_name FROM products WHERE product_id = ANY($1::INTEGER[])',
+      [ids]
+    );
+
+    const customerResult = customerId
+      ? await client.query('SELECT allergies, medical_conditions FROM customers WHERE customer_id = $1', [customerId])
+      : { rows: [{}] };
+
+    if (customerResult.rows.length === 0) {
+      throw new NotFoundError(`Customer ${customerId} not found`);
+    }
+
+    const historyResult = customerId
+      ? await client.query(
+        `
+          SELECT DISTINCT ON (si.product_id)
+                 si.product_id, p.product_name, p.generic_name, s.sale_number, s.sale_date
+          FROM sales s
+          JOIN sale_items si ON si.sale_id = s.sale_id
+          JOIN products p ON p.product_id = si.product_id
+          WHERE s.customer_id = $1
+            AND s.payment_status NOT IN ('refunded', 'cancelled')
+            AND s.sale_date >= NOW() - MAKE_INTERVAL(days => $2::INTEGER)
+          ORDER BY si.product_id, s.sale_date DESC
+        `,
+        [customerId, config.pharmacy.clinicalHistoryDays]
+      )
+      : { rows: [] };
+
+    const products = ids.map(id => {
+      const product = productResult.rows.find(row => row.product_id === id);
+      if (!product) throw new NotFoundError(`Product with ID ${id} not found`);
+      return product;
+    });
+
+    const customer = customerResult.rows[0];
+    const warnings = ClinicalScreening.evaluate({
+      products,
+      allergies: customer.allergies,
+      conditions: customer.medical_conditions,
+      history: historyResult.rows
+    });
+
+    return {
+      datasetVersion: ClinicalScreening.getDataset().version,
+      warnings,
+      requiresOverride: warnings.some(warning => warning.severity === CLINICAL_SEVERITY.SEVERE)
+    };
+  }
+
+  /**
+   * Record that a sale went ahead despite severe warnings
+   * @param {Object} client - Transaction client
+   * @param {Object} override - saleId, customerId, screening (from screen), reason, overriddenBy
+   * @returns {Promise<number>} override_id
+   */
+  static async recordOverride(client, { saleId, customerId, screening, reason, overriddenBy }) {
+    const result = await client.query(
+      `
+        INSERT INTO clinical_overrides (sale_id, customer_id, warnings, reason, dataset_version, overridden_by)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING override_id
+      `,
+      [saleId, customerId, JSON.stringify(screening.warnings), reason, screening.datasetVersion, overriddenBy]
+    );
+
+    return result.rows[0].override_id;
+  }
+
+  /**
+   * List overrides, newest first
+   * @param {Object} filters - customerId, overriddenBy, startDate, endDate, limit, offset
+   * @returns {Promise<Object>} { overrides, total }
+   */
+  static async findOverrides({ customerId, overriddenBy, startDate, endDate, limit, offset }) {
+    const conditions = [];
+    const params = [];
+
+    const add = (condition, value) => {
+      params.push(value);
+      conditions.push(condition.replace('?', `$${params.length}`));
+    };
+
+    if (customerId) add('co.customer_id = ?', customerId);
+    if (overriddenBy) add('co.overridden_by = ?', overriddenBy);
+    if (startDate) add('co.created_at >= ?::DATE', startDate);
+    if (endDate) add('co.created_at < ?::DATE + 1', endDate);
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const [rows, count] = await Promise.all([
+      query(
+        `
+          SELECT co.*, s.sale_number,
+                 c.customer_code, c.first_name AS customer_first_name, c.last_name AS customer_last_name,
+                 u.username AS overridden_by_username
+          FROM clinical_overrides co
+          JOIN sales s ON s.sale_id = co.sale_id
+          LEFT JOIN customers c ON c.customer_id = co.customer_id
+          JOIN users u ON u.user_id = co.overridden_by
+          ${where}
+          ORDER BY co.created_at DESC, co.override_id DESC
+          LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+        `,
+        [...params, limit, offset]
+      ),
+      query(`SELECT COUNT(*)::INTEGER AS total FROM clinical_overrides co ${where}`, params)
+    ]);
+
+    return { overrides: rows.rows, total: count.rows[0].total };
+  }
+}
+
+module.exports = ClinicalScreening;
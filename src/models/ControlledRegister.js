@@ -0,0 +1,353 @@
+// src/models/ControlledRegister.js
+const { query, transaction } = require('../config/database');
+const config = require('../config/environment');
+const Permission = require('./Permission');
+const LoginAttempt = require('./LoginAttempt');
+const { CONTROLLED_REGISTER_ENTRIES, MOVEMENT_TYPES, PERMISSIONS } = require('../utils/constants');
+const { ValidationError, ForbiddenError, NotFoundError } = require('../utils/errorHandler');
+
+// Entries that must be co-signed by a witness
+const WITNESSED_ENTRIES = [CONTROLLED_REGISTER_ENTRIES.ADJUSTMENT, CONTROLLED_REGISTER_ENTRIES.DESTRUCTION];
+
+const ENTRY_FOR_MOVEMENT = {
+  [MOVEMENT_TYPES.PURCHASE]: CONTROLLED_REGISTER_ENTRIES.RECEIPT,
+  [MOVEMENT_TYPES.SALE]: CONTROLLED_REGISTER_ENTRIES.SALE,
+  [MOVEMENT_TYPES.RETURN]: CONTROLLED_REGISTER_ENTRIES.RETURN,
+  [MOVEMENT_TYPES.ADJUSTMENT]: CONTROLLED_REGISTER_ENTRIES.ADJUSTMENT,
+  [MOVEMENT_TYPES.EXPIRED]: CONTROLLED_REGISTER_ENTRIES.ADJUSTMENT,
+  [MOVEMENT_TYPES.DAMAGED]: CONTROLLED_REGISTER_ENTRIES.ADJUSTMENT,
+  [MOVEMENT_TYPES.TRANSFER]: CONTROLLED_REGISTER_ENTRIES.TRANSFER,
+  [MOVEMENT_TYPES.DESTROYED]: CONTROLLED_REGISTER_ENTRIES.DESTRUCTION
+};
+
+// Latest register entry per batch, with the batch's stock on hand
+const BATCH_BALANCES = `
+  SELECT
+    p.product_id, p.product_code, p.product_name, p.strength, p.dosage_form, p.controlled_substance,
+    i.inventory_id, i.batch_number, i.status,
+    i.quantity_on_hand AS system_quantity,
+    COALESCE(last_entry.batch_balance, 0) AS register_balance,
+    last_entry.created_at AS last_entry_at
+  FROM inventory i
+  JOIN products p ON p.product_id = i.product_id
+  LEFT JOIN LATERAL (
+    SELECT batch_balance, created_at
+    FROM controlled_substance_register r
+    WHERE r.inventory_id = i.inventory_id
+    ORDER BY r.entry_id DESC
+    LIMIT 1
+  ) last_entry ON TRUE
+`;
+
+class ControlledRegister {
+  /**
+   * Register entry type for a stock movement type
+   * @param {string} movementType - One of MOVEMENT_TYPES
+   * @returns {string} One of CONTROLLED_REGISTER_ENTRIES
+   */
+  static entryTypeForMovement(movementType) {
+    return ENTRY_FOR_MOVEMENT[movementType];
+  }
+
+  /**
+   * Write a register entry for a change to a batch's stock, if the batch is a
+   * controlled substance. Call in the transaction that changes the stock.
+   * Entries for one product are written one at a time so balances stay in sequence.
+   * @param {Object} client - Transaction client
+   * @param {Object} entry - inventoryId, entryType, quantityChange, referenceType, referenceId, notes, performedBy, witnessedBy
+   * @returns {Promise<Object|null>} The entry, or null when nothing was recorded
+   * @throws {ValidationError} When an adjustment or destruction has no witness
+   */
+  static async record(client, {
+    inventoryId,
+    entryType,
+    quantityChange,
+    referenceType = null,
+    referenceId = null,
+    notes = null,
+    performedBy = null,
+    witnessedBy = null
+  }) {
+    if (!config.pharmacy.controlledSubstanceLogging || quantityChange === 0) return null;
+
+    const batch = await client.query(
+      `
+        SELECT i.product_id, p.product_name, p.controlled_substance
+        FROM inventory i
+        JOIN products p ON p.product_id = i.product_id
+        WHERE i.inventory_id = $1
+      `,
+      [inventoryId]
+    );
+
+    if (batch.rows.length === 0 || !batch.rows[0].controlled_substance) return null;
+
+    const { product_id: productId, product_name: productName } = batch.rows[0];
+
+    if (WITNESSED_ENTRIES.includes(entryType) && !witnessedBy) {
+      throw new ValidationError(`Changes to controlled substance ${productName} must be co-signed by a witness`);
+    }
+
+    await client.query('SELECT pg_advisory_xact_lock(hashtext(\'pharmaflow.controlled_register\'), $1)', [productId]);
+
+    const result = await client.query(
+      `
+        INSERT INTO controlled_substance_register (
+          product_id, inventory_id, entry_type, quantity_change, batch_balance, product_balance,
+          reference_type, reference_id, notes, performed_by, witnessed_by
+        )
+        SELECT
+          $1, $2, $3, $4,
+          COALESCE((
+            SELECT batch_balance FROM controlled_substance_register
+            WHERE inventory_id = $2 ORDER BY entry_id DESC LIMIT 1
+          ), 0) + $4,
+          COALESCE((
+            SELECT product_balance FROM controlled_substance_register
+            WHERE product_id = $1 ORDER BY entry_id DESC LIMIT 1
+          ), 0) + $4,
+          $5, $6, $7, $8, $9
+        RETURNING *
+      `,
+      [productId, inventoryId, entryType, quantityChange, referenceType, referenceId, notes, performedBy, witnessedBy]
+    );
+
+    return result.rows[0];
+  }
+
+  /**
+   * Check a witness's co-signature: their own credentials, entered at the
+   * point of the change. The witness must be another active user permitted
+   * to dispense controlled substances. Wrong credentials count towards the
+   * witness's login lockout.
+   * @param {Object|undefined} witness - { username, password, code } from the request
+   * @param {number} performedBy - User making the change
+   * @param {string} [ipAddress] - Client IP, for the login throttle
+   * @returns {Promise<number|null>} Witness user ID, or null when no witness was given
+   */
+  static async verifyWitness(witness, performedBy, ipAddress) {
+    if (!witness) return null;
+
+    const user = await LoginAttempt.verifyCredentials(witness, {
+      ipAddress,
+      invalidMessage: 'Witness credentials are invalid'
+    });
+
+    if (user.user_id === performedBy) {
+      throw new ForbiddenError('The witness must be someone other than the person making the change');
+    }
+
+    if (!await Permission.has({ userId: user.user_id, role: user.role }, PERMISSIONS.CONTROLLED_DISPENSE)) {
+      throw new ForbiddenError('The witness must be permitted to dispense controlled substances');
+    }
+
+    return user.user_id;
+  }
+
+  /**
+   * Register entries, newest first
+   * @param {Object} filters - productId, inventoryId, entryType, startDate, endDate, limit, offset
+   * @returns {Promise<Object>} { entries, total }
+   */
+  static async findEntries({ productId, inventoryId, entryType, startDate, endDate, limit, offset }) {
+    const conditions = [];
+    const params = [];
+
+    const add = (condition, value) => {
+      params.push(value);
+      conditions.push(condition.replace('?', `$${params.length}`));
+    };
+
+    if (productId) add('r.product_id = ?', productId);
+    if (inventoryId) add('r.inventory_id = ?', inventoryId);
+    if (entryType) add('r.entry_type = ?', entryType);
+    if (startDate) add('r.created_at >= ?::DATE', startDate);
+    if (endDate) add('r.created_at < ?::DATE + 1', endDate);
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const [rows, count] = await Promise.all([
+      query(
+        `
+          SELECT
+            r.*, p.product_code, p.product_name, i.batch_number,
+            performer.username AS performed_by_username,
+            witness.username AS witnessed_by_username
+          FROM controlled_substance_register r
+          JOIN products p ON p.product_id = r.product_id
+          JOIN inventory i ON i.inventory_id = r.inventory_id
+          LEFT JOIN users performer ON performer.user_id = r.performed_by
+          LEFT JOIN users witness ON witness.user_id = r.witnessed_by
+          ${where}
+          ORDER BY r.entry_id DESC
+          LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+        `,
+        [...params, limit, offset]
+      ),
+      query(`SELECT COUNT(*)::INTEGER AS total FROM controlled_substance_register r ${where}`, params)
+    ]);
+
+    return { entries: rows.rows, total: count.rows[0].total };
+  }
+
+  /**
+   * Balance check: for each controlled product, the register's running
+   * balance against the sum of its batch balances and the stock on hand
+   * @param {Object} [filters] - productId
+   * @returns {Promise<Array>} Products, each with their batches
+   */
+  static async getBalances({ productId } = {}) {
+    const params = productId ? [productId] : [];
+
+    const [batches, products] = await Promise.all([
+      query(
+        `
+          SELECT * FROM (${BATCH_BALANCES}
+            WHERE p.controlled_substance ${productId ? 'AND p.product_id = $1' : ''}
+          ) balances
+          WHERE system_quantity <> 0 OR register_balance <> 0
+          ORDER BY product_name, inventory_id
+        `,
+        params
+      ),
+      query(
+        `
+          SELECT DISTINCT ON (product_id) product_id, product_balance
+          FROM controlled_substance_register
+          ${productId ? 'WHERE product_id = $1' : ''}
+          ORDER BY product_id, entry_id DESC
+        `,
+        params
+      )
+    ]);
+
+    const registerBalances = new Map(products.rows.map(row => [row.product_id, row.product_balance]));
+    const byProduct = new Map();
+
+    for (const batch of batches.rows) {
+      if (!byProduct.has(batch.product_id)) {
+        byProduct.set(batch.product_id, {
+          productId: batch.product_id,
+          productCode: batch.product_code,
+          productName: batch.product_name,
+          strength: batch.strength,
+          dosageForm: batch.dosage_form,
+          registerBalance: registerBalances.get(batch.product_id) || 0,
+          batchTotal: 0,
+          systemQuantity: 0,
+          batches: []
+        });
+      }
+
+      const product = byProduct.get(batch.product_id);
+      product.batchTotal += batch.register_balance;
+      product.systemQuantity += batch.system_quantity;
+      product.batches.push({
+        inventoryId: batch.inventory_id,
+        batchNumber: batch.batch_number,
+        status: batch.status,
+        registerBalance: batch.register_balance,
+        systemQuantity: batch.system_quantity,
+        discrepancy: batch.system_quantity - batch.register_balance,
+        lastEntryAt: batch.last_entry_at
+      });
+    }
+
+    return [...byProduct.values()].map(product => ({
+      ...product,
+      discrepancy: product.systemQuantity - product.registerBalance,
+      balanced: product.registerBalance === product.batchTotal
+        && product.batches.every(batch => batch.discrepancy === 0)
+    }));
+  }
+
+  /**
+   * Record a witnessed physical count of controlled batches against the
+   * register and the system quantity at the moment of counting
+   * @param {Object} count - counts [{ inventoryId, countedQuantity }], countedBy, witnessedBy, notes
+   * @returns {Promise<Object>} The count with its items
+   */
+  static async recordCount({ counts, countedBy, witnessedBy, notes = null }) {
+    const countId = await transaction(async (client) => {
+      const header = await client.query(
+        `
+          INSERT INTO controlled_substance_counts (counted_by, witnessed_by, notes)
+          VALUES ($1, $2, $3)
+          RETURNING count_id
+        `,
+        [countedBy, witnessedBy, notes]
+      );
+      const { count_id: id } = header.rows[0];
+
+      // Lock in a stable order so the figures cannot move while they are captured
+      const ordered = [...counts].sort((a, b) => a.inventoryId - b.inventoryId);
+
+      for (const { inventoryId, countedQuantity } of ordered) {
+        const batch = await client.query(
+          `${BATCH_BALANCES} WHERE i.inventory_id = $1 FOR SHARE OF i`,
+          [inventoryId]
+        );
+
+        if (batch.rows.length === 0) {
+          throw new NotFoundError(`Inventory record ${inventoryId} not found`);
+        }
+
+        const row = batch.rows[0];
+        if (!row.controlled_substance) {
+          throw new ValidationError(`${row.product_name} (batch ${row.batch_number}) is not a controlled substance`);
+        }
+
+        await client.query(
+          `
+            INSERT INTO controlled_substance_count_items (
+              count_id, inventory_id, product_id, register_balance, system_quantity, counted_quantity
+            ) VALUES ($1, $2, $3, $4, $5, $6)
+          `,
+          [id, inventoryId, row.product_id, row.register_balance, row.system_quantity, countedQuantity]
+        );
+      }
+
+      return id;
+    });
+
+    return ControlledRegister.findCount(countId);
+  }
+
+  /**
+   * A physical count with its items and variances
+   * @param {number} countId - Count ID
+   * @returns {Promise<Object|null>}
+   */
+  static async findCount(countId) {
+    const header = await query(
+      `
+        SELECT c.*, counter.username AS counted_by_username, witness.username AS witnessed_by_username
+        FROM controlled_substance_counts c
+        JOIN users counter ON counter.user_id = c.counted_by
+        JOIN users witness ON witness.user_id = c.witnessed_by
+        WHERE c.count_id = $1
+      `,
+      [countId]
+    );
+
+    if (header.rows.length === 0) return null;
+
+    const items = await query(
+      `
+        SELECT ci.*, p.product_code, p.product_name, i.batch_number,
+               ci.counted_quantity - ci.register_balance AS register_variance,
+               ci.counted_quantity - ci.system_quantity AS system_variance
+        FROM controlled_substance_count_items ci
+        JOIN products p ON p.product_id = ci.product_id
+        JOIN inventory i ON i.inventory_id = ci.inventory_id
+        WHERE ci.count_id = $1
+        ORDER BY p.product_name, ci.inventory_id
+      `,
+      [countId]
+    );
+
+    return { ...header.rows[0], items: items.rows };
+  }
+}
+
+module.exports = ControlledRegister;
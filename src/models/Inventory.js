@@ -0,0 +1,691 @@
+// src/models/Inventory.js
+const { query, transaction } = require('../config/database');
+const ControlledRegister = require('./ControlledRegister');
+const { INVENTORY_STATUS, MOVEMENT_TYPES, PAGINATION } = require('../utils/constants');
+const { ValidationError, NotFoundError, ConflictError, InsufficientStockError } = require('../utils/errorHandler');
+
+/**
+ * Lock an inventory row for the rest of the transaction
+ * @param {Object} client - Transaction client
+ * @param {number} inventoryId - Inventory ID
+ * @returns {Promise<Object>} Locked inventory row
+ */
+const lockInventory = async (client, inventoryId) => {
+  const result = await client.query(
+    'SELECT * FROM inventory WHERE inventory_id = $1 FOR UPDATE',
+    [inventoryId]
+  );
+
+  if (result.rows.length === 0) {
+    throw new NotFoundError(`Inventory record ${inventoryId} not found`);
+  }
+
+  return result.rows[0];
+};
+
+/**
+ * Insert a stock_movements row describing a change to quantity_on_hand,
+ * and the matching entry in the controlled substance register
+ * @param {Object} client - Transaction client
+ * @param {Object} movement - Movement details
+ */
+const recordMovement = async (client, {
+  inventory,
+  movementType,
+  quantityBefore,
+  quantityAfter,
+  reason,
+  performedBy = null,
+  referenceId = null,
+  referenceType = null,
+  witnessedBy = null
+}) => {
+  await client.query(
+    `
+      INSERT INTO stock_movements (
+        inventory_id, product_id, movement_type, quantity_change,
+        quantity_before, quantity_after, unit_cost, reason,
+        performed_by, reference_id, reference_type
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+    `,
+    [
+      inventory.inventory_id,
+      inventory.product_id,
+      movementType,
+      quantityAfter - quantityBefore,
+      quantityBefore,
+      quantityAfter,
+      inventory.unit_cost,
+      reason,
+      performedBy,
+      referenceId,
+      referenceType
+    ]
+  );
+
+  await ControlledRegister.record(client, {
+    inventoryId: inventory.inventory_id,
+    entryType: ControlledRegister.entryTypeForMovement(movementType),
+    quantityChange: quantityAfter - quantityBefore,
+    referenceType,
+    referenceId,
+    notes: reason,
+    performedBy,
+    witnessedBy
+  });
+};
+
+/**
+ * Set quantity_on_hand on a locked row and record the movement.
+ * On-hand stock may never drop below zero or below what is already reserved.
+ * @param {Object} client - Transaction client
+ * @param {number} inventoryId - Inventory ID
+ * @param {number} newQuantity - New quantity on hand
+ * @param {string} reason - Reason recorded on the movement
+ * @param {number|null} performedBy - User making the change
+ * @param {Object} [options] - movementType (default adjustment), referenceType, witnessedBy
+ * @returns {Promise<Object>} Updated inventory row
+ */
+const applyQuantity = async (client, inventoryId, newQuantity, reason, performedBy, {
+  movementType = MOVEMENT_TYPES.ADJUSTMENT,
+  referenceType = null,
+  witnessedBy = null
+} = {}) => {
+  if (!Number.isInteger(newQuantity) || newQuantity < 0) {
+    throw new ValidationError('Quantity must be a non-negative integer');
+  }
+
+  const inventory = await lockInventory(client, inventoryId);
+  const quantityBefore = parseInt(inventory.quantity_on_hand);
+  const quantityReserved = parseInt(inventory.quantity_reserved);
+
+  if (newQuantity < quantityReserved) {
+    throw new ConflictError(
+      `Cannot set quantity to ${newQuantity}. ${quantityReserved} units of inventory ${inventoryId} are reserved`
+    );
+  }
+
+  const result = await client.query(
+    `
+      UPDATE inventory
+      SET quantity_on_hand = $1, updated_at = NOW()
+      WHERE inventory_id = $2
+      RETURNING *
+    `,
+    [newQuantity, inventoryId]
+  );
+
+  if (newQuantity !== quantityBefore) {
+    await recordMovement(client, {
+      inventory,
+      movementType,
+      quantityBefore,
+      quantityAfter: newQuantity,
+      reason: reason || 'Quantity updated',
+      performedBy,
+      referenceType,
+      witnessedBy
+    });
+  }
+
+  return result.rows[0];
+};
+
+class Inventory {
+  /**
+   * List inventory records with filters and pagination
+   * @param {Object} filters - product_id, supplier_id, batch_number, location, expiry_within_days, status
+   * @param {Object} pagination - page and limit
+   * @returns {Promise<Object>} { inventory, currentPage, totalPages, totalCount }
+   */
+  static async findAll(filters = {}, pagination = {}) {
+    const page = parseInt(pagination.page) || PAGINATION.DEFAULT_PAGE;
+    const limit = parseInt(pagination.limit) || PAGINATION.DEFAULT_LIMIT;
+    const offset = (page - 1) * limit;
+
+    const whereConditions = [];
+    const queryParams = [];
+    let paramIndex = 1;
+
+    if (filters.product_id) {
+      whereConditions.push(`i.product_id = $${paramIndex++}`);
+      queryParams.push(filters.product_id);
+    }
+
+    if (filters.supplier_id) {
+      whereConditions.push(`i.supplier_id = $${paramIndex++}`);
+      queryParams.push(filters.supplier_id);
+    }
+
+    if (filters.batch_number) {
+      whereConditions.push(`i.batch_number = $${paramIndex++}`);
+      queryParams.push(filters.batch_number);
+    }
+
+    if (filters.location) {
+      whereConditions.push(`i.location ILIKE $${paramIndex++}`);
+      queryParams.push(`%${filters.location}%`);
+    }
+
+    if (filters.expiry_within_days !== undefined) {
+      whereConditions.push(`i.expiration_date <= CURRENT_DATE + $${paramIndex++}::integer`);
+      queryParams.push(filters.expiry_within_days);
+    }
+
+    if (filters.status) {
+      whereConditions.push(`i.status = $${paramIndex++}`);
+      queryParams.push(filters.status);
+    }
+
+    const whereClause = whereConditions.length > 0 ? `WHERE ${whereConditions.join(' AND ')}` : '';
+
+    const countResult = await query(
+      `SELECT COUNT(*) AS total FROM inventory i ${whereClause}`,
+      queryParams
+    );
+    const totalCount = parseInt(countResult.rows[0].total);
+
+    const result = await query(
+      `
+        SELECT
+          i.*,
+          p.product_code, p.product_name, p.brand_name,
+          s.supplier_name,
+          (i.expiration_date - CURRENT_DATE) AS days_to_expiry
+        FROM inventory i
+        JOIN products p ON i.product_id = p.product_id
+        LEFT JOIN suppliers s ON i.supplier_id = s.supplier_id
+        ${whereClause}
+        ORDER BY i.expiration_date ASC, i.inventory_id ASC
+        LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
+      `,
+      [...queryParams, limit, offset]
+    );
+
+    return {
+      inventory: result.rows,
+      currentPage: page,
+      totalPages: Math.ceil(totalCount / limit),
+      totalCount
+    };
+  }
+
+  /**
+   * Find an inventory record by ID
+   * @param {number} inventoryId - Inventory ID
+   * @returns {Promise<Object|null>} Inventory row or null when not found
+   */
+  static async findById(inventoryId) {
+    const result = await query(
+      `
+        SELECT
+          i.*,
+          p.product_code, p.product_name, p.brand_name, p.controlled_substance,
+          s.supplier_name,
+          (i.expiration_date - CURRENT_DATE) AS days_to_expiry
+        FROM inventory i
+        JOIN products p ON i.product_id = p.product_id
+        LEFT JOIN suppliers s ON i.supplier_id = s.supplier_id
+        WHERE i.inventory_id = $1
+      `,
+      [inventoryId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Receive a new batch into inventory and record the purchase movement
+   * @param {Object} data - Validated inventory data
+   * @param {number|null} performedBy - User receiving the stock
+   * @returns {Promise<Object>} Created inventory row
+   */
+  static async create(data, performedBy = null) {
+    return transaction(async (client) => {
+      const result = await client.query(
+        `
+          INSERT INTO inventory (
+            product_id, supplier_id, batch_number, lot_number,
+            quantity_on_hand, unit_cost, manufacturing_date, expiration_date,
+            received_date, location, status, notes
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, COALESCE($9, NOW()), $10, $11, $12)
+          RETURNING *
+        `,
+        [
+          data.product_id,
+          data.supplier_id || null,
+          data.batch_number,
+          data.lot_number || null,
+          data.quantity_on_hand,
+          data.unit_cost || null,
+          data.manufacturing_date || null,
+          data.expiration_date,
+          data.received_date || null,
+          data.location || null,
+          data.status || INVENTORY_STATUS.ACTIVE,
+          data.notes || null
+        ]
+      );
+
+      const inventory = result.rows[0];
+
+      if (parseInt(inventory.quantity_on_hand) > 0) {
+        await recordMovement(client, {
+          inventory,
+          movementType: MOVEMENT_TYPES.PURCHASE,
+          quantityBefore: 0,
+          quantityAfter: parseInt(inventory.quantity_on_hand),
+          reason: 'Inventory received',
+          performedBy,
+          referenceType: 'inventory_receipt'
+        });
+      }
+
+      return inventory;
+    });
+  }
+
+  /**
+   * Set the on-hand quantity of an inventory record
+   * @param {number} inventoryId - Inventory ID
+   * @param {number} newQuantity - New quantity on hand
+   * @param {string} reason - Reason for the change
+   * @param {number|null} performedBy - User making the change
+   * @param {number|null} witnessedBy - Co-signer, required for controlled substances
+   * @returns {Promise<Object>} Updated inventory row
+   */
+  static async updateQuantity(inventoryId, newQuantity, reason, performedBy = null, witnessedBy = null) {
+    return transaction(client => applyQuantity(client, inventoryId, newQuantity, reason, performedBy, { witnessedBy }));
+  }
+
+  /**
+   * Write off stock that has been destroyed (e.g. expired controlled drugs
+   * denatured in front of a witness)
+   * @param {number} inventoryId - Inventory ID
+   * @param {number} quantity - Units destroyed
+   * @param {string} reason - Method and reason for destruction
+   * @param {number|null} performedBy - User destroying the stock
+   * @param {number|null} witnessedBy - Co-signer, required for controlled substances
+   * @returns {Promise<Object>} Updated inventory row
+   */
+  static async destroyStock(inventoryId, quantity, reason, performedBy = null, witnessedBy = null) {
+    return transaction(async (client) => {
+      const inventory = await lockInventory(client, inventoryId);
+      const available = parseInt(inventory.quantity_on_hand) - parseInt(inventory.quantity_reserved);
+
+      if (quantity > available) {
+        throw new InsufficientStockError(
+          `Cannot destroy ${quantity} units of inventory ${inventoryId}. Unreserved stock: ${available}`,
+          { inventoryId, requested: quantity, available }
+        );
+      }
+
+      return applyQuantity(client, inventoryId, parseInt(inventory.quantity_on_hand) - quantity, reason, performedBy, {
+        movementType: MOVEMENT_TYPES.DESTROYED,
+        referenceType: 'destruction',
+        witnessedBy
+      });
+    });
+  }
+
+  /**
+   * Reserve available stock on an active inventory record
+   * @param {number} inventoryId - Inventory ID
+   * @param {number} quantity - Quantity to reserve
+   * @returns {Promise<Object>} Updated inventory row
+   */
+  static async reserveQuantity(inventoryId, quantity) {
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      throw new ValidationError('Quantity must be a positive integer');
+    }
+
+    return transaction(async (client) => {
+      const inventory = await lockInventory(client, inventoryId);
+
+      if (inventory.status !== INVENTORY_STATUS.ACTIVE) {
+        throw new ConflictError(`Cannot reserve stock from ${inventory.status} inventory`);
+      }
+
+      const available = parseInt(inventory.quantity_on_hand) - parseInt(inventory.quantity_reserved);
+      if (quantity > available) {
+        throw new InsufficientStockError(`Insufficient stock to reserve ${quantity}. Available: ${available}`, { inventoryId, requested: quantity, available });
+      }
+
+      const result = await client.query(
+        `
+          UPDATE inventory
+          SET quantity_reserved = quantity_reserved + $1, updated_at = NOW()
+          WHERE inventory_id = $2
+          RETURNING *
+        `,
+        [quantity, inventoryId]
+      );
+
+      return result.rows[0];
+    });
+  }
+
+  /**
+   * Release previously reserved stock
+   * @param {number} inventoryId - Inventory ID
+   * @param {number} quantity - Quantity to release
+   * @returns {Promise<Object>} Updated inventory row
+   */
+  static async releaseReservedQuantity(inventoryId, quantity) {
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      throw new ValidationError('Quantity must be a positive integer');
+    }
+
+    return transaction(async (client) => {
+      const inventory = await lockInventory(client, inventoryId);
+      const reserved = parseInt(inventory.quantity_reserved);
+
+      if (quantity > reserved) {
+        throw new ConflictError(`Cannot release ${quantity}. Reserved: ${reserved}`);
+      }
+
+      const result = await client.query(
+        `
+          UPDATE inventory
+          SET quantity_reserved = quantity_reserved - $1, updated_at = NOW()
+          WHERE inventory_id = $2
+          RETURNING *
+        `,
+        [quantity, inventoryId]
+      );
+
+      return result.rows[0];
+    });
+  }
+
+  /**
+   * Reserve stock for a sale line first-expiry-first-out across the product's
+   * sellable batches: active and not yet expired, so expired, recalled,
+   * damaged and quarantined lots are never sold. A requested batch must cover
+   * the whole quantity on its own.
+   * @param {Object} client - Transaction client
+   * @param {Object} product - Row with product_id and product_name
+   * @param {number} quantity - Units to allocate
+   * @param {Object} [options] - inventoryId: sell from this batch only
+   * @returns {Promise<Object[]>} Allocations of { inventory, quantity }, earliest expiry first
+   * @throws {InsufficientStockError} When the sellable batches cannot cover the quantity
+   */
+  static async allocate(client, product, quantity, { inventoryId = null } = {}) {
+    const batches = await client.query(
+      `
+        SELECT *
+        FROM inventory
+        WHERE product_id = $1
+          AND status = $2
+          AND expiration_date > CURRENT_DATE
+          AND quantity_available > 0
+          AND ($3::INTEGER IS NULL OR inventory_id = $3)
+        ORDER BY expiration_date, received_date, inventory_id
+        FOR UPDATE
+      `,
+      [product.product_id, INVENTORY_STATUS.ACTIVE, inventoryId]
+    );
+
+    const allocations = [];
+    let remaining = quantity;
+
+    for (const inventory of batches.rows) {
+      if (remaining === 0) break;
+
+      const allocated = Math.min(remaining, inventory.quantity_available);
+      allocations.push({ inventory, quantity: allocated });
+      remaining -= allocated;
+    }
+
+    if (remaining > 0) {
+      const available = quantity - remaining;
+      throw new InsufficientStockError(
+        inventoryId
+          ? `Insufficient inventory in batch ${inventoryId} for product: ${product.product_name}. Available: ${available}`
+          : `Insufficient inventory for product: ${product.product_name}. Available: ${available}`,
+        { productId: product.product_id, inventoryId, requested: quantity, available }
+      );
+    }
+
+    for (const allocation of allocations) {
+      await client.query(
+        'UPDATE inventory SET quantity_reserved = quantity_reserved + $1, updated_at = NOW() WHERE inventory_id = $2',
+        [allocation.quantity, allocation.inventory.inventory_id]
+      );
+    }
+
+    return allocations;
+  }
+
+  /**
+   * Hand over stock reserved by allocate: take it off hand, release the
+   * reservation and record the sale movement and register entry
+   * @param {Object} client - Transaction client
+   * @param {number} inventoryId - Allocated inventory record
+   * @param {number} quantity - Units sold from it
+   * @param {Object} sale - saleId, reason and performedBy for the movement
+   * @returns {Promise<Object>} Updated inventory row
+   */
+  static async dispenseAllocated(client, inventoryId, quantity, { saleId, reason, performedBy = null }) {
+    const inventory = await lockInventory(client, inventoryId);
+    const quantityBefore = parseInt(inventory.quantity_on_hand);
+
+    const result = await client.query(
+      `
+        UPDATE inventory
+        SET quantity_on_hand = quantity_on_hand - $1,
+            quantity_reserved = quantity_reserved - $1,
+            updated_at = NOW()
+        WHERE inventory_id = $2
+        RETURNING *
+      `,
+      [quantity, inventoryId]
+    );
+
+    await recordMovement(client, {
+      inventory,
+      movementType: MOVEMENT_TYPES.SALE,
+      quantityBefore,
+      quantityAfter: quantityBefore - quantity,
+      reason,
+      performedBy,
+      referenceId: saleId,
+      referenceType: 'sale'
+    });
+
+    return result.rows[0];
+  }
+
+  /**
+   * Aggregate stock level of a product across its active batches
+   * @param {number} productId - Product ID
+   * @returns {Promise<Object|null>} Stock level or null when the product does not exist
+   */
+  static async getStockLevel(productId) {
+    const result = await query(
+      `
+        SELECT
+          p.product_id, p.product_code, p.product_name,
+          p.minimum_stock_level, p.maximum_stock_level, p.reorder_point,
+          COALESCE(SUM(i.quantity_on_hand), 0) AS total_on_hand,
+          COALESCE(SUM(i.quantity_reserved), 0) AS total_reserved,
+          COALESCE(SUM(i.quantity_available), 0) AS total_available,
+          COUNT(i.inventory_id) AS batch_count,
+          MIN(i.expiration_date) FILTER (WHERE i.quantity_on_hand > 0) AS nearest_expiration
+        FROM products p
+        LEFT JOIN inventory i ON p.product_id = i.product_id
+          AND i.status = 'active'
+          AND i.expiration_date > CURRENT_DATE
+        WHERE p.product_id = $1
+        GROUP BY p.product_id
+      `,
+      [productId]
+    );
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const row = result.rows[0];
+    const totalAvailable = parseInt(row.total_available);
+
+    let stockStatus = 'in_stock';
+    if (totalAvailable === 0) {
+      stockStatus = 'out_of_stock';
+    } else if (totalAvailable <= row.minimum_stock_level) {
+      stockStatus = 'low_stock';
+    } else if (totalAvailable <= row.reorder_point) {
+      stockStatus = 'reorder';
+    }
+
+    return {
+      ...row,
+      total_on_hand: parseInt(row.total_on_hand),
+      total_reserved: parseInt(row.total_reserved),
+      total_available: totalAvailable,
+      batch_count: parseInt(row.batch_count),
+      stock_status: stockStatus
+    };
+  }
+
+  /**
+   * Active batches with stock that expire within the given number of days
+   * @param {number} daysAhead - Look-ahead window in days
+   * @returns {Promise<Array>} Inventory rows ordered by expiration date
+   */
+  static async getExpiringInventory(daysAhead = 90) {
+    const result = await query(
+      `
+        SELECT
+          i.*,
+          p.product_code, p.product_name, p.brand_name,
+          (i.expiration_date - CURRENT_DATE) AS days_to_expiry,
+          (i.quantity_on_hand * COALESCE(i.unit_cost, p.unit_cost, 0)) AS value_at_risk
+        FROM inventory i
+        JOIN products p ON i.product_id = p.product_id
+        WHERE i.status = 'active'
+          AND i.quantity_on_hand > 0
+          AND i.expiration_date <= CURRENT_DATE + $1::integer
+        ORDER BY i.expiration_date ASC
+      `,
+      [daysAhead]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Products whose available stock is at or below their minimum level
+   * @returns {Promise<Array>} Rows from the low_stock_products view
+   */
+  static async getLowStockProducts() {
+    const result = await query('SELECT * FROM low_stock_products ORDER BY shortage_quantity DESC');
+    return result.rows;
+  }
+
+  /**
+   * Change the status of an inventory record (e.g. quarantine a recalled batch).
+   * Quantities are untouched; a zero-change movement keeps the change in the stock history.
+   * @param {number} inventoryId - Inventory ID
+   * @param {string} status - New status from INVENTORY_STATUS
+   * @param {string} reason - Reason for the change
+   * @param {number|null} performedBy - User making the change
+   * @returns {Promise<Object>} Updated inventory row
+   */
+  static async updateStatus(inventoryId, status, reason, performedBy = null) {
+    if (!Object.values(INVENTORY_STATUS).includes(status)) {
+      throw new ValidationError(`Invalid inventory status: ${status}`);
+    }
+
+    return transaction(async (client) => {
+      const inventory = await lockInventory(client, inventoryId);
+
+      if (inventory.status === status) {
+        return inventory;
+      }
+
+      const result = await client.query(
+        `
+          UPDATE inventory
+          SET status = $1, updated_at = NOW()
+          WHERE inventory_id = $2
+          RETURNING *
+        `,
+        [status, inventoryId]
+      );
+
+      const quantity = parseInt(inventory.quantity_on_hand);
+      const movementType = [MOVEMENT_TYPES.EXPIRED, MOVEMENT_TYPES.DAMAGED].includes(status)
+        ? status
+        : MOVEMENT_TYPES.ADJUSTMENT;
+
+      await recordMovement(client, {
+        inventory,
+        movementType,
+        quantityBefore: quantity,
+        quantityAfter: quantity,
+        reason: `Status changed from ${inventory.status} to ${status}${reason ? `: ${reason}` : ''}`,
+        performedBy,
+        referenceType: 'status_change'
+      });
+
+      return result.rows[0];
+    });
+  }
+
+  /**
+   * Stock movements recorded against an inventory record, newest first
+   * @param {number} inventoryId - Inventory ID
+   * @returns {Promise<Array>} Movement rows
+   */
+  static async getMovementHistory(inventoryId) {
+    const inventory = await query('SELECT inventory_id FROM inventory WHERE inventory_id = $1', [inventoryId]);
+    if (inventory.rows.length === 0) {
+      throw new NotFoundError(`Inventory record ${inventoryId} not found`);
+    }
+
+    const result = await query(
+      `
+        SELECT sm.*, u.username AS performed_by_username
+        FROM stock_movements sm
+        LEFT JOIN users u ON sm.performed_by = u.user_id
+        WHERE sm.inventory_id = $1
+        ORDER BY sm.movement_date DESC, sm.movement_id DESC
+      `,
+      [inventoryId]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Set quantities on several records atomically; any failure rolls back all of them
+   * @param {Array} updates - [{ inventory_id, new_quantity, reason }]
+   * @param {number|null} performedBy - User making the change
+   * @param {number|null} witnessedBy - Co-signer, required when any record is a controlled substance
+   * @returns {Promise<Array>} Updated inventory rows
+   */
+  static async bulkUpdateQuantities(updates, performedBy = null, witnessedBy = null) {
+    return transaction(async (client) => {
+      const updated = [];
+
+      // Lock in a stable order so concurrent bulk updates cannot deadlock
+      const ordered = [...updates].sort((a, b) => a.inventory_id - b.inventory_id);
+
+      for (const update of ordered) {
+        updated.push(await applyQuantity(
+          client,
+          update.inventory_id,
+          update.new_quantity,
+          update.reason,
+          performedBy,
+          { witnessedBy }
+        ));
+      }
+
+      return updated;
+    });
+  }
+}
+
+module.exports = Inventory;
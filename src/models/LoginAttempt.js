@@ -0,0 +1,284 @@
+// src/models/LoginAttempt.js
+const bcrypt = require('bcrypt');
+const { query, transaction } = require('../config/database');
+const config = require('../config/environment');
+const logger = require('../utils/logger');
+const TwoFactor = require('./TwoFactor');
+const { LOGIN_FAILURE_REASONS } = require('../utils/constants');
+const { ForbiddenError, AccountLockedError, TooManyRequestsError } = require('../utils/errorHandler');
+
+// Only guesses count towards a block; attempts rejected because of an existing
+// block do not, so every block ends at a predictable time
+const COUNTED_FAILURES = [
+  LOGIN_FAILURE_REASONS.UNKNOWN_USER,
+  LOGIN_FAILURE_REASONS.INVALID_PASSWORD,
+  LOGIN_FAILURE_REASONS.INVALID_SECOND_FACTOR
+];
+
+/**
+ * Write an audit_log row for a change to an account's lock state
+ * @param {Object} client - Transaction client
+ * @param {number} userId - Account changed
+ * @param {Object} oldValues - Lock columns before the change
+ * @param {Object} newValues - Lock columns after the change
+ * @param {number|null} changedBy - Acting admin, or null when locked by the system
+ */
+const auditLockChange = (client, userId, oldValues, newValues, changedBy) => client.query(
+  `
+    INSERT INTO audit_log (table_name, record_id, action, old_values, new_values, changed_by)
+    VALUES ('users', $1, 'UPDATE', $2, $3, $4)
+  `,
+  [userId, JSON.stringify(oldValues), JSON.stringify(newValues), changedBy]
+);
+
+class LoginAttempt {
+  /**
+   * Log a login attempt
+   * @param {Object} attempt - username, userId, ipAddress, failureReason (omit on success)
+   * @returns {Promise<void>}
+   */
+  static async record({ username, userId = null, ipAddress = null, failureReason = null }) {
+    await query(
+      `
+        INSERT INTO login_attempts (username_attempted, user_id, ip_address, succeeded, failure_reason)
+        VALUES ($1, $2, $3, $4, $5)
+      `,
+      [String(username).slice(0, 255), userId, ipAddress, failureReason === null, failureReason]
+    );
+  }
+
+  /**
+   * When an IP address may try again, if it has used up its failed attempts
+   * within the lockout window
+   * @param {string} ipAddress - Client IP
+   * @returns {Promise<Date|null>} End of the block, or null when not blocked
+   */
+  static async ipBlockedUntil(ipAddress) {
+    const { maxLoginAttemptsPerIp, lockoutDuration } = config.security;
+
+    // The block lifts once the Nth most recent counted failure leaves the window
+    const result = await query(
+      `
+        SELECT attempted_at + $3 * INTERVAL '1 millisecond' AS blocked_until
+        FROM login_attempts
+        WHERE ip_address = $1
+          AND NOT succeeded
+          AND failure_reason = ANY($4)
+          AND attempted_at > NOW() - $3 * INTERVAL '1 millisecond'
+        ORDER BY attempted_at DESC
+        OFFSET $2 - 1
+        LIMIT 1
+      `,
+      [ipAddress, maxLoginAttemptsPerIp, lockoutDuration, COUNTED_FAILURES]
+    );
+
+    return result.rows.length > 0 ? result.rows[0].blocked_until : null;
+  }
+
+  /**
+   * Count a wrong password or second factor against an account, locking it for
+   * config.security.lockoutDuration once maxLoginAttempts is reached.
+   * The count starts again after an expired lock.
+   * @param {number} userId - Account
+   * @returns {Promise<Object>} { failedAttempts, lockedUntil } - lockedUntil is set when this failure locked the account
+   */
+  static async registerFailure(userId) {
+    const { maxLoginAttempts, lockoutDuration } = config.security;
+
+    return transaction(async (client) => {
+      const current = await client.query(
+        'SELECT failed_login_attempts, locked_until FROM users WHERE user_id = $1 FOR UPDATE',
+        [userId]
+      );
+      const { failed_login_attempts: previousAttempts, locked_until: previousLock } = current.rows[0];
+      const lockExpired = previousLock !== null && previousLock <= new Date();
+      const failedAttempts = (lockExpired ? 0 : previousAttempts) + 1;
+      const locks = failedAttempts >= maxLoginAttempts;
+
+      const updated = await client.query(
+        `
+          UPDATE users
+          SET failed_login_attempts = $2,
+              locked_until = CASE WHEN $3 THEN NOW() + $4 * INTERVAL '1 millisecond' ELSE NULL END
+          WHERE user_id = $1
+          RETURNING locked_until
+        `,
+        [userId, failedAttempts, locks, lockoutDuration]
+      );
+      const lockedUntil = updated.rows[0].locked_until;
+
+      if (locks) {
+        await auditLockChange(
+          client,
+          userId,
+          { failed_login_attempts: previousAttempts, locked_until: previousLock },
+          { failed_login_attempts: failedAttempts, locked_until: lockedUntil },
+          null
+        );
+      }
+
+      return { failedAttempts, lockedUntil };
+    });
+  }
+
+  /**
+   * Reject the request while its IP address is throttled
+   * @param {string} username - Identifier sent by the client, for the attempt log
+   * @param {string} ipAddress - Client IP
+   * @throws {TooManyRequestsError}
+   */
+  static async assertIpNotBlocked(username, ipAddress) {
+    // Per-IP throttle across all accounts, so guessing many usernames is as slow as guessing one
+    const ipBlockedUntil = await LoginAttempt.ipBlockedUntil(ipAddress);
+    if (ipBlockedUntil) {
+      await LoginAttempt.record({ username, ipAddress, failureReason: LOGIN_FAILURE_REASONS.IP_BLOCKED });
+      throw new TooManyRequestsError('Too many failed login attempts, please try again later', {
+        retryAfter: Math.max(1, Math.ceil((ipBlockedUntil.getTime() - Date.now()) / 1000))
+      });
+    }
+  }
+
+  /**
+   * Refuse a locked account before any credential is checked
+   * @param {Object} user - Row with locked_until
+   * @param {Object} attempt - { username, userId, ipAddress } for the attempt log
+   * @throws {AccountLockedError}
+   */
+  static async assertNotLocked(user, attempt) {
+    if (user.locked_until && user.locked_until > new Date()) {
+      await LoginAttempt.record({ ...attempt, failureReason: LOGIN_FAILURE_REASONS.ACCOUNT_LOCKED });
+      throw new AccountLockedError('Account is temporarily locked after repeated failed logins', {
+        lockedUntil: user.locked_until
+      });
+    }
+  }
+
+  /**
+   * Log a wrong credential, count it towards the lockout and throw
+   * @param {Object} attempt - { username, userId, ipAddress }
+   * @param {string} failureReason - One of LOGIN_FAILURE_REASONS
+   * @param {Error} error - Thrown when the account is not (yet) locked
+   * @throws {AccountLockedError|Error}
+   */
+  static async reject(attempt, failureReason, error) {
+    await LoginAttempt.record({ ...attempt, failureReason });
+    const { failedAttempts, lockedUntil } = await LoginAttempt.registerFailure(attempt.userId);
+
+    logger.warn('Failed login attempt', {
+      username: attempt.username,
+      ip: attempt.ipAddress,
+      failureReason,
+      failedAttempts
+    });
+
+    if (lockedUntil) {
+      logger.warn('Account locked after repeated failed logins', {
+        userId: attempt.userId,
+        username: attempt.username,
+        ip: attempt.ipAddress,
+        lockedUntil
+      });
+
+      throw new AccountLockedError('Account is temporarily locked after repeated failed logins', { lockedUntil });
+    }
+
+    throw error;
+  }
+
+  /**
+   * Check a second user's credentials entered at someone else's till, e.g. a
+   * witness or an approving manager. Goes through the same IP throttle,
+   * failure count and lockout as login, and needs a current authenticator code
+   * from users who sign in with one.
+   * @param {Object} credentials - { username, password, code }
+   * @param {Object} options - ipAddress; invalidMessage for wrong credentials
+   * @returns {Promise<Object>} User row (user_id, username, role)
+   * @throws {ForbiddenError|AccountLockedError|TooManyRequestsError}
+   */
+  static async verifyCredentials({ username, password, code }, { ipAddress = null, invalidMessage }) {
+    await LoginAttempt.assertIpNotBlocked(username, ipAddress);
+
+    const result = await query(
+      `
+        SELECT user_id, username, role, password_hash, locked_until, totp_enabled_at
+        FROM users
+        WHERE username = $1 AND is_active = TRUE
+      `,
+      [username]
+    );
+
+    if (result.rows.length === 0) {
+      await LoginAttempt.record({ username, ipAddress, failureReason: LOGIN_FAILURE_REASONS.UNKNOWN_USER });
+      throw new ForbiddenError(invalidMessage);
+    }
+
+    const user = result.rows[0];
+    const attempt = { username, userId: user.user_id, ipAddress };
+
+    await LoginAttempt.assertNotLocked(user, attempt);
+
+    if (!await bcrypt.compare(password, user.password_hash)) {
+      await LoginAttempt.reject(attempt, LOGIN_FAILURE_REASONS.INVALID_PASSWORD, new ForbiddenError(invalidMessage));
+    }
+
+    if (user.totp_enabled_at !== null) {
+      if (!code || !await TwoFactor.verify(user.user_id, code)) {
+        await LoginAttempt.reject(
+          attempt,
+          LOGIN_FAILURE_REASONS.INVALID_SECOND_FACTOR,
+          new ForbiddenError(`${invalidMessage}: a current authenticator code is required`)
+        );
+      }
+    } else if (TwoFactor.isRequiredForRole(user.role)) {
+      throw new ForbiddenError(`${username} must set up two-factor authentication first`);
+    }
+
+    // As after a login, the count starts again once the right credentials are given
+    await query(
+      'UPDATE users SET failed_login_attempts = 0 WHERE user_id = $1 AND failed_login_attempts > 0',
+      [user.user_id]
+    );
+
+    return { user_id: user.user_id, username: user.username, role: user.role };
+  }
+
+  /**
+   * Lift a lock and reset the failure count on behalf of an admin
+   * @param {number} userId - Account
+   * @param {number} adminId - Acting admin
+   * @returns {Promise<Object|null>} { user, wasLocked }, or null when the user does not exist
+   */
+  static async unlockAccount(userId, adminId) {
+    return transaction(async (client) => {
+      const current = await client.query(
+        'SELECT user_id, username, failed_login_attempts, locked_until FROM users WHERE user_id = $1 FOR UPDATE',
+        [userId]
+      );
+
+      if (current.rows.length === 0) return null;
+
+      const user = current.rows[0];
+      const wasLocked = user.locked_until !== null && user.locked_until > new Date();
+
+      if (user.failed_login_attempts === 0 && user.locked_until === null) {
+        return { user, wasLocked };
+      }
+
+      await client.query(
+        'UPDATE users SET failed_login_attempts = 0, locked_until = NULL, updated_at = NOW() WHERE user_id = $1',
+        [userId]
+      );
+      await auditLockChange(
+        client,
+        userId,
+        { failed_login_attempts: user.failed_login_attempts, locked_until: user.locked_until },
+        { failed_login_attempts: 0, locked_until: null },
+        adminId
+      );
+
+      return { user: { ...user, failed_login_attempts: 0, locked_until: null }, wasLocked };
+    });
+  }
+}
+
+module.exports = LoginAttempt;
@@ -0,0 +1,69 @@
+// src/models/PasswordReset.js
+const crypto = require('crypto');
+const { query } = require('../config/database');
+const config = require('../config/environment');
+const { hashToken } = require('../utils/tokens');
+
+class PasswordReset {
+  /**
+   * Issue a reset token for a user. Any earlier unused token stops working,
+   * so only the most recent email's link is valid.
+   * @param {number} userId - User ID
+   * @param {string} [requestedIp] - Client IP of the request
+   * @param {Object} [client] - Transaction client
+   * @returns {Promise<Object>} { token, expiresAt } - the raw token, which is not stored
+   */
+  static async create(userId, requestedIp = null, client = { query }) {
+    const token = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = new Date(Date.now() + config.security.passwordResetTokenTtl);
+
+    await PasswordReset.discardPending(userId, client);
+    await client.query(
+      `
+        INSERT INTO password_reset_tokens (user_id, token_hash, requested_ip, expires_at)
+        VALUES ($1, $2, $3, $4)
+      `,
+      [userId, hashToken(token), requestedIp, expiresAt]
+    );
+
+    return { token, expiresAt };
+  }
+
+  /**
+   * Mark a token used, if it is unused and unexpired. The single UPDATE makes
+   * concurrent confirmations of the same token race safely: only one wins.
+   * @param {string} token - Raw token from the reset link
+   * @param {Object} [client] - Transaction client
+   * @returns {Promise<number|null>} The token's user ID, or null when it cannot be used
+   */
+  static async consume(token, client = { query }) {
+    const result = await client.query(
+      `
+        UPDATE password_reset_tokens
+        SET used_at = NOW()
+        WHERE token_hash = $1 AND used_at IS NULL AND expires_at > NOW()
+        RETURNING user_id
+      `,
+      [hashToken(token)]
+    );
+
+    return result.rows.length > 0 ? result.rows[0].user_id : null;
+  }
+
+  /**
+   * Drop a user's remaining unused tokens, e.g. once the password has been reset
+   * @param {number} userId - User ID
+   * @param {Object} [client] - Transaction client
+   * @returns {Promise<number>} Number of tokens removed
+   */
+  static async discardPending(userId, client = { query }) {
+    const result = await client.query(
+      'DELETE FROM password_reset_tokens WHERE user_id = $1 AND used_at IS NULL',
+      [userId]
+    );
+
+    return result.rowCount;
+  }
+}
+
+module.exports = PasswordReset;
@@ -0,0 +1,133 @@
+// src/models/Permission.js
+const { query, transaction } = require('../config/database');
+
+// One row per permission for a user: whether their role has it, their
+// override if any, and the outcome (a denial beats the role, a grant adds to it)
+const EFFECTIVE_PERMISSIONS_QUERY = `
+  SELECT p.permission_key, p.description,
+         rp.role IS NOT NULL AS from_role,
+         up.effect AS override,
+         COALESCE(up.effect = 'grant', rp.role IS NOT NULL) AS allowed
+  FROM permissions p
+  LEFT JOIN role_permissions rp ON rp.permission_key = p.permission_key AND rp.role = $2
+  LEFT JOIN user_permissions up ON up.permission_key = p.permission_key AND up.user_id = $1
+`;
+
+class Permission {
+  /**
+   * Every permission with the roles that have it
+   * @returns {Promise<Object[]>} Rows of { permission_key, description, roles }
+   */
+  static async findAll() {
+    const result = await query(`
+      SELECT p.permission_key, p.description,
+             COALESCE(ARRAY_AGG(rp.role ORDER BY rp.role) FILTER (WHERE rp.role IS NOT NULL), '{}') AS roles
+      FROM permissions p
+      LEFT JOIN role_permissions rp ON rp.permission_key = p.permission_key
+      GROUP BY p.permission_key, p.description
+      ORDER BY p.permission_key
+    `);
+
+    return result.rows;
+  }
+
+  /**
+   * A user's effective permissions, with where each one comes from
+   * @param {number} userId - User ID
+   * @param {string} role - The user's role
+   * @returns {Promise<Object[]>} Rows of { permission_key, description, from_role, override, allowed }
+   */
+  static async getEffective(userId, role) {
+    const result = await query(`${EFFECTIVE_PERMISSIONS_QUERY} ORDER BY p.permission_key`, [userId, role]);
+    return result.rows;
+  }
+
+  /**
+   * Whether an authenticated principal holds a permission. API keys carry
+   * scopes rather than permissions, so they never do.
+   * @param {Object} user - req.user
+   * @param {string} permission - One of PERMISSIONS
+   * @returns {Promise<boolean>}
+   */
+  static async has(user, permission) {
+    if (!user || user.apiKeyId) return false;
+
+    const result = await query(
+      `${EFFECTIVE_PERMISSIONS_QUERY} WHERE p.permission_key = $3`,
+      [user.userId, user.role, permission]
+    );
+
+    return result.rows.length > 0 && result.rows[0].allowed;
+  }
+
+  /**
+   * Replace the permissions of a role. role_permissions has no integer key for
+   * the row trigger, so the change is written to audit_log here as one entry.
+   * @param {string} role - One of USER_ROLES
+   * @param {string[]} permissionKeys - The role's full new set
+   * @param {number} changedBy - Acting admin
+   * @returns {Promise<void>}
+   */
+  static async setRolePermissions(role, permissionKeys, changedBy) {
+    await transaction(async (client) => {
+      const previous = await client.query(
+        'DELETE FROM role_permissions WHERE role = $1 RETURNING permission_key',
+        [role]
+      );
+      await client.query(
+        'INSERT INTO role_permissions (role, permission_key) SELECT $1, UNNEST($2::VARCHAR[])',
+        [role, permissionKeys]
+      );
+
+      await client.query(
+        `
+          INSERT INTO audit_log (table_name, record_id, action, old_values, new_values, changed_by)
+          VALUES ('role_permissions', NULL, 'UPDATE', $1, $2, $3)
+        `,
+        [
+          JSON.stringify({ role, permissions: previous.rows.map(row => row.permission_key).sort() }),
+          JSON.stringify({ role, permissions: [...permissionKeys].sort() }),
+          changedBy
+        ]
+      );
+    });
+  }
+
+  /**
+   * Grant or deny one permission to a user, replacing any earlier override
+   * @param {Object} override - userId, permission, effect, reason, grantedBy
+   * @returns {Promise<Object>} user_permissions row
+   */
+  static async setUserOverride({ userId, permission, effect, reason = null, grantedBy }) {
+    const result = await query(
+      `
+        INSERT INTO user_permissions (user_id, permission_key, effect, reason, granted_by)
+        VALUES ($1, $2, $3, $4, $5)
+        ON CONFLICT (user_id, permission_key)
+        DO UPDATE SET effect = EXCLUDED.effect, reason = EXCLUDED.reason,
+                      granted_by = EXCLUDED.granted_by, created_at = NOW()
+        RETURNING *
+      `,
+      [userId, permission, effect, reason, grantedBy]
+    );
+
+    return result.rows[0];
+  }
+
+  /**
+   * Remove a user's override so the permission follows their role again
+   * @param {number} userId - User ID
+   * @param {string} permission - Permission key
+   * @returns {Promise<boolean>} Whether an override existed
+   */
+  static async removeUserOverride(userId, permission) {
+    const result = await query(
+      'DELETE FROM user_permissions WHERE user_id = $1 AND permission_key = $2',
+      [userId, permission]
+    );
+
+    return result.rowCount > 0;
+  }
+}
+
+module.exports = Permission;
@@ -0,0 +1,185 @@
+// src/models/Prescriber.js
+const { query } = require('../config/database');
+const { isValidDeaNumber } = require('../utils/helpers');
+const { ValidationError, NotFoundError } = require('../utils/errorHandler');
+
+// Request fields and their columns
+const FIELDS = {
+  firstName: 'first_name',
+  lastName: 'last_name',
+  npi: 'npi',
+  deaNumber: 'dea_number',
+  deaExpiryDate: 'dea_expiry_date',
+  licenseState: 'license_state',
+  licenseNumber: 'license_number',
+  licenseExpiryDate: 'license_expiry_date',
+  specialty: 'specialty',
+  phone: 'phone',
+  email: 'email',
+  address: 'address',
+  isActive: 'is_active'
+};
+
+const PRESCRIBER_COLUMNS = `
+  pr.*,
+  COALESCE(pr.license_expiry_date < CURRENT_DATE, FALSE) AS license_expired,
+  COALESCE(pr.dea_expiry_date < CURRENT_DATE, FALSE) AS dea_expired
+`;
+
+/**
+ * The DEA number's second letter must match the last name it is registered to
+ * @param {string|null} deaNumber - DEA number
+ * @param {string} lastName - Prescriber's last name
+ */
+const checkDeaRegistrant = (deaNumber, lastName) => {
+  if (deaNumber && !isValidDeaNumber(deaNumber, lastName)) {
+    throw new ValidationError(`DEA number ${deaNumber} is not registered to a ${lastName}`);
+  }
+};
+
+class Prescriber {
+  /**
+   * Add a prescriber to the registry
+   * @param {Object} data - Validated prescriber data
+   * @returns {Promise<Object>} Created prescriber
+   */
+  static async create(data) {
+    checkDeaRegistrant(data.deaNumber, data.lastName);
+
+    const fields = Object.keys(FIELDS).filter(field => data[field] !== undefined);
+    const result = await query(
+      `
+        INSERT INTO prescribers (${fields.map(field => FIELDS[field]).join(', ')})
+        VALUES (${fields.map((_, index) => `$${index + 1}`).join(', ')})
+        RETURNING prescriber_id
+      `,
+      fields.map(field => data[field])
+    );
+
+    return Prescriber.findById(result.rows[0].prescriber_id);
+  }
+
+  /**
+   * Change a prescriber's details
+   * @param {number} prescriberId - Prescriber ID
+   * @param {Object} data - Validated fields to change
+   * @returns {Promise<Object>} Updated prescriber
+   */
+  static async update(prescriberId, data) {
+    const current = await Prescriber.findById(prescriberId);
+    if (!current) {
+      throw new NotFoundError('Prescriber not found');
+    }
+
+    checkDeaRegistrant(
+      data.deaNumber === undefined ? current.dea_number : data.deaNumber,
+      data.lastName === undefined ? current.last_name : data.lastName
+    );
+
+    const fields = Object.keys(FIELDS).filter(field => data[field] !== undefined);
+    await query(
+      `
+        UPDATE prescribers
+        SET ${fields.map((field, index) => `${FIELDS[field]} = $${index + 2}`).join(', ')}, updated_at = NOW()
+        WHERE prescriber_id = $1
+      `,
+      [prescriberId, ...fields.map(field => data[field])]
+    );
+
+    return Prescriber.findById(prescriberId);
+  }
+
+  /**
+   * Search the registry
+   * @param {Object} filters - search (name, NPI or DEA number), specialty, licenseState, isActive, licenseExpired, limit, offset
+   * @returns {Promise<Object>} { prescribers, total }
+   */
+  static async findAll({ search, specialty, licenseState, isActive, licenseExpired, limit, offset }) {
+    const conditions = [];
+    const params = [];
+
+    const add = (condition, value) => {
+      params.push(value);
+      conditions.push(condition.replace('?', `$${params.length}`));
+    };
+
+    if (search) {
+      params.push(search, `%${search}%`);
+      conditions.push(`(
+        pr.npi = $${params.length - 1} OR pr.dea_number = UPPER($${params.length - 1})
+        OR CONCAT(pr.first_name, ' ', pr.last_name) ILIKE $${params.length}
+      )`);
+    }
+    if (specialty) add('pr.specialty ILIKE ?', specialty);
+    if (licenseState) add('pr.license_state = ?', licenseState);
+    if (isActive !== undefined) add('pr.is_active = ?', isActive);
+    if (licenseExpired !== undefined) add('COALESCE(pr.license_expiry_date < CURRENT_DATE, FALSE) = ?', licenseExpired);
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const [rows, count] = await Promise.all([
+      query(
+        `
+          SELECT ${PRESCRIBER_COLUMNS}
+          FROM prescribers pr
+          ${where}
+          ORDER BY pr.last_name, pr.first_name, pr.prescriber_id
+          LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+        `,
+        [...params, limit, offset]
+      ),
+      query(`SELECT COUNT(*)::INTEGER AS total FROM prescribers pr ${where}`, params)
+    ]);
+
+    return { prescribers: rows.rows, total: count.rows[0].total };
+  }
+
+  /**
+   * @param {number} prescriberId - Prescriber ID
+   * @param {Object} [client] - Transaction client
+   * @returns {Promise<Object|null>}
+   */
+  static async findById(prescriberId, client = { query }) {
+    const result = await client.query(
+      `SELECT ${PRESCRIBER_COLUMNS} FROM prescribers pr WHERE pr.prescriber_id = $1`,
+      [prescriberId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Remove a prescriber from use. Their prescriptions keep referring to them.
+   * @param {number} prescriberId - Prescriber ID
+   * @returns {Promise<Object>} Updated prescriber
+   */
+  static async deactivate(prescriberId) {
+    const result = await query(
+      'UPDATE prescribers SET is_active = FALSE, updated_at = NOW() WHERE prescriber_id = $1',
+      [prescriberId]
+    );
+
+    if (result.rowCount === 0) {
+      throw new NotFoundError('Prescriber not found');
+    }
+
+    return Prescriber.findById(prescriberId);
+  }
+
+  /**
+   * Why a prescriber may not prescribe controlled substances, if they may not
+   * @param {Object|null} prescriber - Row from findById
+   * @returns {string|null} Reason, or null when they may
+   */
+  static controlledPrescribingProblem(prescriber) {
+    if (!prescriber) return 'the prescriber is not in the registry';
+    if (!prescriber.is_active) return 'the prescriber is inactive';
+    if (!prescriber.dea_number) return 'the prescriber has no DEA number';
+    if (!isValidDeaNumber(prescriber.dea_number, prescriber.last_name)) return 'the prescriber\'s DEA number is invalid';
+    if (prescriber.dea_expired) return 'the prescriber\'s DEA registration has expired';
+    if (prescriber.license_expired) return 'the prescriber\'s license has expired';
+    return null;
+  }
+}
+
+module.exports = Prescriber;
@@ -0,0 +1,325 @@
+// src/models/Prescription.js
+const { query } = require('../config/database');
+const config = require('../config/environment');
+const Prescriber = require('./Prescriber');
+const { PRESCRIPTION_STATUS } = require('../utils/constants');
+const { ValidationError, NotFoundError, ConflictError, PrescriptionRequiredError } = require('../utils/errorHandler');
+
+const PRESCRIPTION_COLUMNS = `
+  rx.*,
+  (rx.expiry_date < CURRENT_DATE) AS is_expired,
+  c.customer_code, c.first_name AS customer_first_name, c.last_name AS customer_last_name,
+  p.product_code, p.product_name, p.strength, p.dosage_form,
+  pr.npi AS prescriber_npi, pr.dea_number AS prescriber_dea_number,
+  COALESCE(pr.license_expiry_date < CURRENT_DATE, FALSE) AS prescriber_license_expired,
+  u.username AS created_by_username
+`;
+
+const PRESCRIPTION_JOINS = `
+  JOIN customers c ON c.customer_id = rx.customer_id
+  JOIN products p ON p.product_id = rx.product_id
+  LEFT JOIN prescribers pr ON pr.prescriber_id = rx.prescriber_id
+  LEFT JOIN users u ON u.user_id = rx.created_by
+`;
+
+// Status changes a pharmacist may make; completed is reached only by dispensing the last fill
+const STATUS_TRANSITIONS = {
+  [PRESCRIPTION_STATUS.ACTIVE]: [PRESCRIPTION_STATUS.ON_HOLD, PRESCRIPTION_STATUS.CANCELLED],
+  [PRESCRIPTION_STATUS.ON_HOLD]: [PRESCRIPTION_STATUS.ACTIVE, PRESCRIPTION_STATUS.CANCELLED],
+  [PRESCRIPTION_STATUS.COMPLETED]: [],
+  [PRESCRIPTION_STATUS.CANCELLED]: []
+};
+
+/**
+ * YYYY-MM-DD a number of days after a YYYY-MM-DD date
+ * @param {string} date - Start date
+ * @param {number} days - Days to add
+ * @returns {string}
+ */
+const addDays = (date, days) => {
+  const result = new Date(`${date}T00:00:00Z`);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result.toISOString().slice(0, 10);
+};
+
+class Prescription {
+  /**
+   * Record a new prescription. It expires after
+   * config.pharmacy.prescriptionValidityDays unless an expiry date is given.
+   * @param {Object} data - Validated prescription data
+   * @param {number} createdBy - User entering the prescription
+   * @returns {Promise<Object>} Created prescription
+   */
+  static async create(data, createdBy) {
+    const customer = await query('SELECT customer_id FROM customers WHERE customer_id = $1 AND is_active = TRUE', [data.customerId]);
+    if (customer.rows.length === 0) {
+      throw new NotFoundError(`Customer ${data.customerId} not found or inactive`);
+    }
+
+    const product = await query('SELECT product_name, controlled_substance FROM products WHERE product_id = $1 AND is_active = TRUE', [data.productId]);
+    if (product.rows.length === 0) {
+      throw new NotFoundError(`Product ${data.productId} not found or inactive`);
+    }
+
+    const prescriber = await Prescriber.findById(data.prescriberId);
+    if (!prescriber || !prescriber.is_active) {
+      throw new NotFoundError(`Prescriber ${data.prescriberId} not found or inactive`);
+    }
+
+    if (product.rows[0].controlled_substance) {
+      const problem = Prescriber.controlledPrescribingProblem(prescriber);
+      if (problem) {
+        throw new ValidationError(`${product.rows[0].product_name} is a controlled substance and ${problem}`);
+      }
+    }
+
+    const expiryDate = data.expiryDate || addDays(data.writtenDate, config.pharmacy.prescriptionValidityDays);
+    if (expiryDate < data.writtenDate) {
+      throw new ValidationError('expiryDate must not be before writtenDate');
+    }
+
+    const result = await query(
+      `
+        INSERT INTO prescriptions (
+          customer_id, prescriber_id, prescriber_name, product_id, directions, quantity, days_supply,
+          refills_authorized, refills_remaining, written_date, expiry_date, notes, created_by
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $8, $9, $10, $11, $12)
+        RETURNING prescription_id
+      `,
+      [
+        data.customerId,
+        prescriber.prescriber_id,
+        `${prescriber.first_name} ${prescriber.last_name}`,
+        data.productId,
+        data.directions,
+        data.quantity,
+        data.daysSupply,
+        data.refillsAuthorized,
+        data.writtenDate,
+        expiryDate,
+        data.notes || null,
+        createdBy
+      ]
+    );
+
+    return Prescription.findById(result.rows[0].prescription_id);
+  }
+
+  /**
+   * List prescriptions, newest first
+   * @param {Object} filters - customerId, prescriberId, productId, status, prescriptionNumber, dispensable, startDate, endDate, limit, offset
+   * @returns {Promise<Object>} { prescriptions, total }
+   */
+  static async findAll({ customerId, prescriberId, productId, status, prescriptionNumber, dispensable, startDate, endDate, limit, offset }) {
+    const conditions = [];
+    const params = [];
+
+    const add = (condition, value) => {
+      params.push(value);
+      conditions.push(condition.replace('?', `$${params.length}`));
+    };
+
+    if (customerId) add('rx.customer_id = ?', customerId);
+    if (prescriberId) add('rx.prescriber_id = ?', prescriberId);
+    if (productId) add('rx.product_id = ?', productId);
+    if (status) add('rx.status = ?', status);
+    if (prescriptionNumber) add('rx.prescription_number = ?', prescriptionNumber);
+    if (startDate) add('rx.written_date >= ?', startDate);
+    if (endDate) add('rx.written_date <= ?', endDate);
+    if (dispensable) {
+      add('rx.status = ?', PRESCRIPTION_STATUS.ACTIVE);
+      conditions.push('rx.expiry_date >= CURRENT_DATE');
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const [rows, count] = await Promise.all([
+      query(
+        `
+          SELECT ${PRESCRIPTION_COLUMNS}
+          FROM prescriptions rx
+          ${PRESCRIPTION_JOINS}
+          ${where}
+          ORDER BY rx.written_date DESC, rx.prescription_id DESC
+          LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+        `,
+        [...params, limit, offset]
+      ),
+      query(`SELECT COUNT(*)::INTEGER AS total FROM prescriptions rx ${where}`, params)
+    ]);
+
+    return { prescriptions: rows.rows, total: count.rows[0].total };
+  }
+
+  /**
+   * A prescription with its fills
+   * @param {number} prescriptionId - Prescription ID
+   * @returns {Promise<Object|null>}
+   */
+  static async findById(prescriptionId) {
+    const result = await query(
+      `
+        SELECT ${PRESCRIPTION_COLUMNS}
+        FROM prescriptions rx
+        ${PRESCRIPTION_JOINS}
+        WHERE rx.prescription_id = $1
+      `,
+      [prescriptionId]
+    );
+
+    if (result.rows.length === 0) return null;
+
+    const fills = await query(
+      `
+        SELECT s.sale_id, s.sale_number, s.sale_date, s.payment_status,
+               SUM(si.quantity)::INTEGER AS quantity,
+               STRING_AGG(DISTINCT si.batch_number, ', ') AS batch_numbers,
+               u.username AS dispensed_by
+        FROM sale_items si
+        JOIN sales s ON s.sale_id = si.sale_id
+        JOIN users u ON u.user_id = s.cashier_id
+        WHERE si.prescription_id = $1
+        GROUP BY s.sale_id, u.username
+        ORDER BY s.sale_date
+      `,
+      [prescriptionId]
+    );
+
+    return { ...result.rows[0], fills: fills.rows };
+  }
+
+  /**
+   * Put a prescription on hold, reactivate it or cancel it
+   * @param {number} prescriptionId - Prescription ID
+   * @param {string} status - New status
+   * @param {string} [reason] - Appended to the notes
+   * @returns {Promise<Object>} Updated prescription
+   */
+  static async updateStatus(prescriptionId, status, reason = null) {
+    const current = await query('SELECT status FROM prescriptions WHERE prescription_id = $1', [prescriptionId]);
+    if (current.rows.length === 0) {
+      throw new NotFoundError('Prescription not found');
+    }
+
+    const from = current.rows[0].status;
+    if (from === status) {
+      return Prescription.findById(prescriptionId);
+    }
+
+    if (!STATUS_TRANSITIONS[from].includes(status)) {
+      throw new ConflictError(`A ${from} prescription cannot be changed to ${status}`);
+    }
+
+    // Guard on the status read above so a concurrent fill or change is not overwritten
+    const result = await query(
+      `
+        UPDATE prescriptions
+        SET status = $1,
+            notes = CASE WHEN $3::TEXT IS NULL THEN notes ELSE CONCAT_WS(E'\\n', notes, $3::TEXT) END,
+            updated_at = NOW()
+        WHERE prescription_id = $2 AND status = $4
+      `,
+      [status, prescriptionId, reason ? `Status changed to ${status}: ${reason}` : null, from]
+    );
+
+    if (result.rowCount === 0) {
+      throw new ConflictError('The prescription changed while it was being updated; please retry');
+    }
+
+    return Prescription.findById(prescriptionId);
+  }
+
+  /**
+   * Lock a prescription for dispensing and check it can be filled for this
+   * patient and product. Controlled substances also need a prescriber who
+   * may prescribe them on the day of dispensing.
+   * @param {Object} client - Transaction client
+   * @param {number} prescriptionId - Prescription ID
+   * @param {Object} line - customerId, productId and controlled (product is a controlled substance) of the sale line
+   * @returns {Promise<Object>} Locked prescription row
+   * @throws {PrescriptionRequiredError} When the prescription cannot be dispensed
+   */
+  static async lockForDispensing(client, prescriptionId, { customerId, productId, controlled = false }) {
+    const result = await client.query(
+      `
+        SELECT *, (expiry_date < CURRENT_DATE) AS is_expired, TO_CHAR(expiry_date, 'YYYY-MM-DD') AS expires_on
+        FROM prescriptions
+        WHERE prescription_id = $1
+        FOR UPDATE
+      `,
+      [prescriptionId]
+    );
+
+    const prescription = result.rows[0];
+    const details = { prescriptionId, productId };
+
+    if (!prescription) {
+      throw new NotFoundError(`Prescription ${prescriptionId} not found`);
+    }
+
+    const number = prescription.prescription_number;
+
+    if (prescription.customer_id !== customerId) {
+      throw new ValidationError(customerId
+        ? `Prescription ${number} was written for a different patient`
+        : `Prescription ${number} can only be dispensed on a sale to its patient`);
+    }
+
+    if (prescription.product_id !== productId) {
+      throw new ValidationError(`Prescription ${number} is not for this product`);
+    }
+
+    if (prescription.status !== PRESCRIPTION_STATUS.ACTIVE) {
+      throw new PrescriptionRequiredError(`Prescription ${number} is ${prescription.status.replace('_', ' ')}`, details);
+    }
+
+    if (prescription.is_expired) {
+      throw new PrescriptionRequiredError(`Prescription ${number} expired on ${prescription.expires_on}`, details);
+    }
+
+    if (prescription.times_filled > 0 && prescription.refills_remaining === 0) {
+      throw new PrescriptionRequiredError(`Prescription ${number} has no refills remaining`, details);
+    }
+
+    if (controlled) {
+      const prescriber = prescription.prescriber_id && await Prescriber.findById(prescription.prescriber_id, client);
+      const problem = Prescriber.controlledPrescribingProblem(prescriber || null);
+      if (problem) {
+        throw new PrescriptionRequiredError(`Prescription ${number} cannot be dispensed: ${problem}`, details);
+      }
+    }
+
+    return prescription;
+  }
+
+  /**
+   * Record one fill of a prescription locked by lockForDispensing. Refills
+   * are used from the second fill on; the last one completes the prescription.
+   * @param {Object} client - Transaction client
+   * @param {Object} prescription - Locked prescription row
+   * @returns {Promise<Object>} Updated prescription row
+   */
+  static async recordFill(client, prescription) {
+    const result = await client.query(
+      `
+        UPDATE prescriptions
+        SET refills_remaining = refills_remaining - CASE WHEN times_filled > 0 THEN 1 ELSE 0 END,
+            times_filled = times_filled + 1,
+            status = CASE
+              WHEN times_filled > 0 AND refills_remaining = 1 THEN $2
+              WHEN times_filled = 0 AND refills_remaining = 0 THEN $2
+              ELSE status
+            END,
+            last_filled_at = NOW(),
+            updated_at = NOW()
+        WHERE prescription_id = $1
+        RETURNING *
+      `,
+      [prescription.prescription_id, PRESCRIPTION_STATUS.COMPLETED]
+    );
+
+    return result.rows[0];
+  }
+}
+
+module.exports = Prescription;
@@ -0,0 +1,335 @@
+// src/models/PriceList.js
+const { query, transaction } = require('../config/database');
+const { PRICE_RULE_TYPES } = require('../utils/constants');
+const { NotFoundError } = require('../utils/errorHandler');
+
+// Request fields and their columns
+const FIELDS = {
+  name: 'name',
+  description: 'description',
+  isActive: 'is_active'
+};
+
+// Rule request fields and their columns
+const RULE_FIELDS = {
+  productId: 'product_id',
+  categoryId: 'category_id',
+  ruleType: 'rule_type',
+  value: 'value',
+  startDate: 'start_date',
+  endDate: 'end_date'
+};
+
+const PRICE_LIST_COLUMNS = `
+  pl.*,
+  u.username AS created_by_username,
+  ARRAY(
+    SELECT ipl.insurance_provider FROM insurance_price_lists ipl
+    WHERE ipl.price_list_id = pl.price_list_id ORDER BY ipl.insurance_provider
+  ) AS insurance_providers,
+  (SELECT COUNT(*)::INTEGER FROM price_list_rules r WHERE r.price_list_id = pl.price_list_id) AS rule_count,
+  (SELECT COUNT(*)::INTEGER FROM customers c WHERE c.price_list_id = pl.price_list_id) AS customer_count
+`;
+
+const RULES_IN_EFFECT = `
+  (r.start_date IS NULL OR r.start_date <= CURRENT_DATE)
+  AND (r.end_date IS NULL OR r.end_date >= CURRENT_DATE)
+`;
+
+/**
+ * Replace the insurance providers priced from a list
+ * @param {Object} client - Transaction client
+ * @param {number} priceListId - Price list ID
+ * @param {Array<string>} providers - Insurance provider names
+ */
+const setInsuranceProviders = async (client, priceListId, providers) => {
+  await client.query('DELETE FROM insurance_price_lists WHERE price_list_id = $1', [priceListId]);
+  for (const provider of providers) {
+    await client.query(
+      'INSERT INTO insurance_price_lists (insurance_provider, price_list_id) VALUES ($1, $2)',
+      [provider, priceListId]
+    );
+  }
+};
+
+/**
+ * Price a rule gives a product, or null when the product lacks the price
+ * the rule works from
+ * @param {Object} rule - price_list_rules row
+ * @param {Object} product - selling_price, unit_cost
+ * @returns {number|null}
+ */
+const rulePrice = (rule, product) => {
+  const value = Number(rule.value);
+
+  switch (rule.rule_type) {
+  case PRICE_RULE_TYPES.FIXED_PRICE:
+    return value;
+  case PRICE_RULE_TYPES.PERCENT_OFF:
+    return product.selling_price === null ? null : Math.round(Number(product.selling_price) * (100 - value)) / 100;
+  case PRICE_RULE_TYPES.MARKUP:
+    return product.unit_cost === null ? null : Math.round(Number(product.unit_cost) * (100 + value)) / 100;
+  default:
+    return null;
+  }
+};
+
+class PriceList {
+  /**
+   * Create a price list
+   * @param {Object} data - name, description, insuranceProviders
+   * @param {number} createdBy - User ID
+   * @returns {Promise<Object>} Created price list
+   */
+  static async create({ name, description = null, insuranceProviders = [] }, createdBy) {
+    const priceListId = await transaction(async (client) => {
+      const result = await client.query(
+        'INSERT INTO price_lists (name, description, created_by) VALUES ($1, $2, $3) RETURNING price_list_id',
+        [name, description, createdBy]
+      );
+      await setInsuranceProviders(client, result.rows[0].price_list_id, insuranceProviders);
+      return result.rows[0].price_list_id;
+    });
+
+    return PriceList.findById(priceListId);
+  }
+
+  /**
+   * Change a price list. insuranceProviders, when given, replaces the providers priced from it.
+   * @param {number} priceListId - Price list ID
+   * @param {Object} data - name, description, isActive, insuranceProviders
+   * @returns {Promise<Object>} Updated price list
+   */
+  static async update(priceListId, data) {
+    const fields = Object.keys(FIELDS).filter(field => data[field] !== undefined);
+
+    await transaction(async (client) => {
+      const result = await client.query(
+        `
+          UPDATE price_lists
+          SET ${fields.map((field, index) => `${FIELDS[field]} = $${index + 2}, `).join('')}updated_at = NOW()
+          WHERE price_list_id = $1
+        `,
+        [priceListId, ...fields.map(field => data[field])]
+      );
+
+      if (result.rowCount === 0) {
+        throw new NotFoundError('Price list not found');
+      }
+
+      if (data.insuranceProviders) {
+        await setInsuranceProviders(client, priceListId, data.insuranceProviders);
+      }
+    });
+
+    return PriceList.findById(priceListId);
+  }
+
+  /**
+   * List price lists
+   * @param {Object} filters - search (name or insurance provider), isActive, limit, offset
+   * @returns {Promise<Object>} { priceLists, total }
+   */
+  static async findAll({ search, isActive, limit, offset }) {
+    const conditions = [];
+    const params = [];
+
+    const add = (condition, value) => {
+      params.push(value);
+      conditions.push(condition.replace('?', `$${params.length}`));
+    };
+
+    if (search) {
+      params.push(`%${search}%`);
+      conditions.push(`(
+        pl.name ILIKE $${params.length}
+        OR EXISTS (
+          SELECT 1 FROM insurance_price_lists ipl
+          WHERE ipl.price_list_id = pl.price_list_id AND ipl.insurance_provider ILIKE $${params.length}
+        )
+      )`);
+    }
+    if (isActive !== undefined) add('pl.is_active = ?', isActive);
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const [rows, count] = await Promise.all([
+      query(
+        `
+          SELECT ${PRICE_LIST_COLUMNS}
+          FROM price_lists pl
+          LEFT JOIN users u ON u.user_id = pl.created_by
+          ${where}
+          ORDER BY pl.is_active DESC, pl.name
+          LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+        `,
+        [...params, limit, offset]
+      ),
+      query(`SELECT COUNT(*)::INTEGER AS total FROM price_lists pl ${where}`, params)
+    ]);
+
+    return { priceLists: rows.rows, total: count.rows[0].total };
+  }
+
+  /**
+   * @param {number} priceListId - Price list ID
+   * @param {Object} [client] - Transaction client
+   * @returns {Promise<Object|null>}
+   */
+  static async findById(priceListId, client = { query }) {
+    const result = await client.query(
+      `
+        SELECT ${PRICE_LIST_COLUMNS}
+        FROM price_lists pl
+        LEFT JOIN users u ON u.user_id = pl.created_by
+        WHERE pl.price_list_id = $1
+      `,
+      [priceListId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Stop pricing customers from a list. Customers keep it assigned and are
+   * priced at selling_price (or their insurance provider's list) meanwhile.
+   * @param {number} priceListId - Price list ID
+   * @returns {Promise<Object>} Updated price list
+   */
+  static async deactivate(priceListId) {
+    return PriceList.update(priceListId, { isActive: false });
+  }
+
+  /**
+   * A list's rules, product rules first
+   * @param {number} priceListId - Price list ID
+   * @returns {Promise<Array>}
+   */
+  static async findRules(priceListId) {
+    const result = await query(
+      `
+        SELECT r.*, (${RULES_IN_EFFECT}) AS in_effect, p.product_name, c.category_name
+        FROM price_list_rules r
+        LEFT JOIN products p ON p.product_id = r.product_id
+        LEFT JOIN categories c ON c.category_id = r.category_id
+        WHERE r.price_list_id = $1
+        ORDER BY r.product_id IS NULL, p.product_name, c.category_name, r.start_date DESC NULLS LAST, r.rule_id
+      `,
+      [priceListId]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Add a pricing rule to a list
+   * @param {number} priceListId - Price list ID
+   * @param {Object} data - Validated rule: productId or categoryId, ruleType, value, startDate, endDate
+   * @returns {Promise<Object>} The rule
+   */
+  static async addRule(priceListId, data) {
+    if (!await PriceList.findById(priceListId)) {
+      throw new NotFoundError('Price list not found');
+    }
+
+    const fields = Object.keys(RULE_FIELDS).filter(field => data[field] !== undefined);
+    const result = await query(
+      `
+        INSERT INTO price_list_rules (price_list_id, ${fields.map(field => RULE_FIELDS[field]).join(', ')})
+        VALUES ($1, ${fields.map((_, index) => `$${index + 2}`).join(', ')})
+        RETURNING rule_id
+      `,
+      [priceListId, ...fields.map(field => data[field])]
+    );
+
+    const rules = await PriceList.findRules(priceListId);
+    return rules.find(rule => rule.rule_id === result.rows[0].rule_id);
+  }
+
+  /**
+   * Remove a pricing rule from a list
+   * @param {number} priceListId - Price list ID
+   * @param {number} ruleId - Rule ID
+   * @returns {Promise<void>}
+   */
+  static async removeRule(priceListId, ruleId) {
+    const result = await query(
+      'DELETE FROM price_list_rules WHERE price_list_id = $1 AND rule_id = $2',
+      [priceListId, ruleId]
+    );
+
+    if (result.rowCount === 0) {
+      throw new NotFoundError('Price list rule not found');
+    }
+  }
+
+  /**
+   * The price list a customer is priced from, with its rules in effect today:
+   * their own list if it is active, else their insurance provider's
+   * @param {number|null} customerId - Customer ID; walk-in sales have no list
+   * @param {Object} [client] - Transaction client
+   * @returns {Promise<Object>} { priceList: { price_list_id, name } | null, rules }
+   */
+  static async forCustomer(customerId, client = { query }) {
+    if (!customerId) {
+      return { priceList: null, rules: [] };
+    }
+
+    const listResult = await client.query(
+      `
+        SELECT pl.price_list_id, pl.name
+        FROM customers c
+        JOIN price_lists pl ON pl.is_active AND (
+          pl.price_list_id = c.price_list_id
+          OR pl.price_list_id = (
+            SELECT ipl.price_list_id FROM insurance_price_lists ipl
+            WHERE LOWER(ipl.insurance_provider) = LOWER(c.insurance_provider)
+          )
+        )
+        WHERE c.customer_id = $1
+        ORDER BY COALESCE(pl.price_list_id = c.price_list_id, FALSE) DESC
+        LIMIT 1
+      `,
+      [customerId]
+    );
+
+    const priceList = listResult.rows[0] || null;
+    if (!priceList) {
+      return { priceList: null, rules: [] };
+    }
+
+    const rulesResult = await client.query(
+      `SELECT r.* FROM price_list_rules r WHERE r.price_list_id = $1 AND ${RULES_IN_EFFECT}`,
+      [priceList.price_list_id]
+    );
+
+    return { priceList, rules: rulesResult.rows };
+  }
+
+  /**
+   * A product's price under a customer's price list. A product rule beats a
+   * category rule; of rules at the same level the latest to start wins. With
+   * no rule that can price it, the product sells at its selling_price.
+   * @param {Object} product - product_id, category_id, selling_price, unit_cost
+   * @param {Object} pricing - From forCustomer
+   * @returns {Object} { price (null when the product has none), priceList, ruleId }
+   */
+  static priceFor(product, { priceList, rules }) {
+    const usable = rules.filter(rule => rulePrice(rule, product) !== null);
+    const latest = (a, b) => (
+      new Date(b.start_date || 0).getTime() - new Date(a.start_date || 0).getTime() || b.rule_id - a.rule_id
+    );
+
+    const productRules = usable.filter(rule => rule.product_id === product.product_id).sort(latest);
+    const categoryRules = usable.filter(rule => rule.category_id !== null && rule.category_id === product.category_id).sort(latest);
+    const rule = productRules[0] || categoryRules[0];
+
+    if (!rule) {
+      return { price: product.selling_price === null ? null : Number(product.selling_price), priceList: null, ruleId: null };
+    }
+
+    return { price: rulePrice(rule, product), priceList, ruleId: rule.rule_id };
+  }
+}
+
+module.exports = PriceList;
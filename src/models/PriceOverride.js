@@ -0,0 +1,228 @@
+// src/models/PriceOverride.js
+const { query } = require('../config/database');
+const config = require('../config/environment');
+const Permission = require('./Permission');
+const LoginAttempt = require('./LoginAttempt');
+const { verifyPriceOverrideApproval } = require('../utils/tokens');
+const { PERMISSIONS, PRICE_OVERRIDE_APPROVALS } = require('../utils/constants');
+const { ValidationError, ForbiddenError } = require('../utils/errorHandler');
+
+const toCents = amount => Math.round(Number(amount) * 100);
+
+class PriceOverride {
+  /**
+   * Whether selling at a price differs from the list price by more than the
+   * approval threshold. Any price for a product listed at zero does.
+   * @param {number} listPrice - Price the server would charge
+   * @param {number} unitPrice - Price asked for
+   * @returns {boolean}
+   */
+  static needsApproval(listPrice, unitPrice) {
+    if (toCents(listPrice) === 0) return true;
+    const deviation = (Math.abs(toCents(unitPrice) - toCents(listPrice)) * 100) / toCents(listPrice);
+    return deviation > config.pharmacy.priceOverrideApprovalThreshold;
+  }
+
+  /**
+   * Check a line sold away from its list price. Every override needs a reason;
+   * past the approval threshold it also needs a cashier holding
+   * sales.price_override, a manager's credentials or a manager's approval token.
+   * An approval token is used up by the sale it is used on, so call in the
+   * sale's transaction.
+   * @param {Object} user - req.user of the cashier
+   * @param {Object} line - productId, productName, quantity, listPrice, unitPrice
+   * @param {Object} [override] - reason, approver ({ username, password, code }), approvalToken
+   * @param {Object} [options] - client: the sale's transaction client; ipAddress: for the approver's login throttle
+   * @returns {Promise<Object>} { reason, approvedBy, approvalMethod }, and approvalJti for a token
+   * @throws {ValidationError} When no reason is given
+   * @throws {ForbiddenError} When approval is needed and missing or invalid
+   */
+  static async authorize(user, { productId, productName, quantity, listPrice, unitPrice }, override, {
+    client = { query },
+    ipAddress = null
+  } = {}) {
+    if (!override) {
+      throw new ValidationError(
+        `${productName} is listed at ${Number(listPrice).toFixed(2)}; selling it at ${Number(unitPrice).toFixed(2)} needs a price override with a reason`
+      );
+    }
+
+    if (!PriceOverride.needsApproval(listPrice, unitPrice)) {
+      return { reason: override.reason, approvedBy: null, approvalMethod: null };
+    }
+
+    if (override.approvalToken) {
+      const { approverId, jti } = verifyPriceOverrideApproval(override.approvalToken, {
+        cashierId: user.userId,
+        productId,
+        unitPrice,
+        quantity
+      });
+      await PriceOverride.useApproval(client, { jti, approvedBy: approverId, cashierId: user.userId, productId });
+      return {
+        reason: override.reason,
+        approvedBy: approverId,
+        approvalMethod: PRICE_OVERRIDE_APPROVALS.TOKEN,
+        approvalJti: jti
+      };
+    }
+
+    if (override.approver) {
+      const approvedBy = await PriceOverride.verifyApprover(override.approver, user.userId, ipAddress);
+      return { reason: override.reason, approvedBy, approvalMethod: PRICE_OVERRIDE_APPROVALS.CREDENTIALS };
+    }
+
+    if (await Permission.has(user, PERMISSIONS.PRICE_OVERRIDE)) {
+      return { reason: override.reason, approvedBy: user.userId, approvalMethod: PRICE_OVERRIDE_APPROVALS.PERMISSION };
+    }
+
+    throw new ForbiddenError(
+      `Selling ${productName} at ${Number(unitPrice).toFixed(2)} is more than ${config.pharmacy.priceOverrideApprovalThreshold}% from its list price and needs a manager's approval`
+    );
+  }
+
+  /**
+   * Record an approval token's use so it cannot be used again. Of two sales
+   * using the same token at once, the second waits for the first and fails.
+   * @param {Object} client - The sale's transaction client
+   * @param {Object} approval - jti, approvedBy, cashierId, productId
+   * @returns {Promise<void>}
+   * @throws {ForbiddenError} When the token has been used
+   */
+  static async useApproval(client, { jti, approvedBy, cashierId, productId }) {
+    const result = await client.query(
+      `
+        INSERT INTO price_override_approvals_used (jti, approved_by, cashier_id, product_id)
+        VALUES ($1, $2, $3, $4)
+        ON CONFLICT (jti) DO NOTHING
+      `,
+      [jti, approvedBy, cashierId, productId]
+    );
+
+    if (result.rowCount === 0) {
+      throw new ForbiddenError('Price override approval has already been used');
+    }
+  }
+
+  /**
+   * Check the credentials of a manager approving a price at the till. Wrong
+   * credentials count towards the manager's login lockout.
+   * @param {Object} approver - { username, password, code }
+   * @param {number} cashierId - User making the sale; cannot approve their own price by this route
+   * @param {string} [ipAddress] - Client IP, for the login throttle
+   * @returns {Promise<number>} Approver's user ID
+   * @throws {ForbiddenError} When the credentials are wrong or the user may not approve
+   * @throws {AccountLockedError} When the approver's account is locked
+   */
+  static async verifyApprover(approver, cashierId, ipAddress) {
+    const user = await LoginAttempt.verifyCredentials(approver, {
+      ipAddress,
+      invalidMessage: 'Approver credentials are invalid'
+    });
+
+    if (user.user_id === cashierId) {
+      throw new ForbiddenError('The approver must be someone other than the cashier');
+    }
+
+    if (!await Permission.has({ userId: user.user_id, role: user.role }, PERMISSIONS.PRICE_OVERRIDE)) {
+      throw new ForbiddenError('The approver is not permitted to approve price overrides');
+    }
+
+    return user.user_id;
+  }
+
+  /**
+   * Record a sale's price overrides for review. Call in the sale's transaction.
+   * @param {Object} client - Transaction client
+   * @param {number} saleId - Sale ID
+   * @param {number} cashierId - User ID
+   * @param {Array} overrides - [{ productId, quantity, listPrice, unitPrice, reason, approvedBy, approvalMethod, approvalJti }]
+   * @returns {Promise<void>}
+   */
+  static async record(client, saleId, cashierId, overrides) {
+    for (const override of overrides) {
+      await client.query(
+        `
+          INSERT INTO sale_price_overrides (
+            sale_id, product_id, quantity, list_price, override_price, reason,
+            cashier_id, approved_by, approval_method, approval_jti
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+        `,
+        [
+          saleId, override.productId, override.quantity, override.listPrice, override.unitPrice,
+          override.reason, cashierId, override.approvedBy, override.approvalMethod, override.approvalJti || null
+        ]
+      );
+    }
+  }
+
+  /**
+   * Price overrides of a sale
+   * @param {number} saleId - Sale ID
+   * @returns {Promise<Array>}
+   */
+  static async findBySale(saleId) {
+    const result = await query(
+      `
+        SELECT po.*, p.product_name, a.username AS approved_by_username
+        FROM sale_price_overrides po
+        JOIN products p ON p.product_id = po.product_id
+        LEFT JOIN users a ON a.user_id = po.approved_by
+        WHERE po.sale_id = $1
+        ORDER BY po.override_id
+      `,
+      [saleId]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Price overrides for review, newest first
+   * @param {Object} filters - cashierId, productId, approved, startDate, endDate
+   * @returns {Promise<Array>}
+   */
+  static async findAll({ cashierId, productId, approved, startDate, endDate }) {
+    const conditions = [];
+    const params = [];
+
+    const add = (condition, value) => {
+      params.push(value);
+      conditions.push(condition.replace('?', `$${params.length}`));
+    };
+
+    if (cashierId) add('po.cashier_id = ?', cashierId);
+    if (productId) add('po.product_id = ?', productId);
+    if (approved !== undefined) add('(po.approved_by IS NOT NULL) = ?', approved);
+    if (startDate) add('po.created_at >= ?::DATE', startDate);
+    if (endDate) add('po.created_at < ?::DATE + 1', endDate);
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const result = await query(
+      `
+        SELECT
+          po.*,
+          s.sale_number,
+          p.product_name,
+          p.product_code,
+          c.username AS cashier_username,
+          c.first_name AS cashier_first_name,
+          c.last_name AS cashier_last_name,
+          a.username AS approved_by_username
+        FROM sale_price_overrides po
+        JOIN sales s ON s.sale_id = po.sale_id
+        JOIN products p ON p.product_id = po.product_id
+        JOIN users c ON c.user_id = po.cashier_id
+        LEFT JOIN users a ON a.user_id = po.approved_by
+        ${where}
+        ORDER BY po.created_at DESC, po.override_id DESC
+      `,
+      params
+    );
+
+    return result.rows;
+  }
+}
+
+module.exports = PriceOverride;
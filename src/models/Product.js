@@ -0,0 +1,25 @@
+// src/models/Product.js
+const { query } = require('../config/database');
+
+class Product {
+  /**
+   * Find a product by ID, including its category name
+   * @param {number} productId - Product ID
+   * @returns {Promise<Object|null>} Product row or null when not found
+   */
+  static async findById(productId) {
+    const result = await query(
+      `
+        SELECT p.*, c.category_name
+        FROM products p
+        LEFT JOIN categories c ON p.category_id = c.category_id
+        WHERE p.product_id = $1
+      `,
+      [productId]
+    );
+
+    return result.rows[0] || null;
+  }
+}
+
+module.exports = Product;
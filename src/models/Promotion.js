@@ -0,0 +1,311 @@
+// src/models/Promotion.js
+const { query } = require('../config/database');
+const { PROMOTION_TYPES } = require('../utils/constants');
+const { ValidationError, NotFoundError } = require('../utils/errorHandler');
+
+// Request fields and their columns
+const FIELDS = {
+  name: 'name',
+  description: 'description',
+  promotionType: 'promotion_type',
+  discountValue: 'discount_value',
+  buyQuantity: 'buy_quantity',
+  getQuantity: 'get_quantity',
+  productIds: 'product_ids',
+  categoryIds: 'category_ids',
+  excludedProductIds: 'excluded_product_ids',
+  customerGroups: 'customer_groups',
+  couponCode: 'coupon_code',
+  startDate: 'start_date',
+  endDate: 'end_date',
+  stackable: 'stackable',
+  priority: 'priority',
+  isActive: 'is_active'
+};
+
+const PROMOTION_COLUMNS = `
+  pm.*,
+  COALESCE(pm.end_date < CURRENT_DATE, FALSE) AS expired,
+  u.username AS created_by_username
+`;
+
+// Discounts are worked out in whole cents
+const toCents = amount => Math.round(Number(amount) * 100);
+const fromCents = cents => cents / 100;
+
+/**
+ * Whether a promotion covers a line: the product or its category is named
+ * (or the promotion names neither), the product is not excluded, and the
+ * customer is in one of its groups (or it names none)
+ * @param {Object} promotion - promotions row
+ * @param {Object} line - { productId, categoryId }
+ * @param {string|null} customerGroup - The customer's group
+ * @returns {boolean}
+ */
+const covers = (promotion, line, customerGroup) => {
+  const productIds = promotion.product_ids || [];
+  const categoryIds = promotion.category_ids || [];
+  const customerGroups = promotion.customer_groups || [];
+
+  const targeted = (productIds.length === 0 && categoryIds.length === 0)
+    || productIds.includes(line.productId)
+    || categoryIds.includes(line.categoryId);
+
+  return targeted
+    && !(promotion.excluded_product_ids || []).includes(line.productId)
+    && (customerGroups.length === 0 || customerGroups.includes(customerGroup));
+};
+
+/**
+ * Cents a promotion takes off what is left of a line
+ * @param {Object} promotion - promotions row
+ * @param {Object} line - { quantity, unitPrice }
+ * @param {number} remaining - Cents of the line not yet discounted
+ * @returns {number} Cents off
+ */
+const discountCents = (promotion, line, remaining) => {
+  const value = Number(promotion.discount_value);
+
+  switch (promotion.promotion_type) {
+  case PROMOTION_TYPES.PERCENT_OFF:
+    return Math.round((remaining * value) / 100);
+  case PROMOTION_TYPES.AMOUNT_OFF:
+    return Math.min(remaining, toCents(value) * line.quantity);
+  case PROMOTION_TYPES.BUY_X_GET_Y: {
+    const free = Math.floor(line.quantity / (promotion.buy_quantity + promotion.get_quantity)) * promotion.get_quantity;
+    return Math.min(remaining, Math.round((free * toCents(line.unitPrice) * value) / 100));
+  }
+  default:
+    return 0;
+  }
+};
+
+class Promotion {
+  /**
+   * Create a promotion
+   * @param {Object} data - Validated promotion data
+   * @param {number} createdBy - User ID
+   * @returns {Promise<Object>} Created promotion
+   */
+  static async create(data, createdBy) {
+    const fields = Object.keys(FIELDS).filter(field => data[field] !== undefined);
+    const result = await query(
+      `
+        INSERT INTO promotions (${fields.map(field => FIELDS[field]).join(', ')}, created_by)
+        VALUES (${fields.map((_, index) => `$${index + 1}`).join(', ')}, $${fields.length + 1})
+        RETURNING promotion_id
+      `,
+      [...fields.map(field => data[field]), createdBy]
+    );
+
+    return Promotion.findById(result.rows[0].promotion_id);
+  }
+
+  /**
+   * Change a promotion. Sales already made keep the discounts they were given.
+   * @param {number} promotionId - Promotion ID
+   * @param {Object} data - Validated fields to change
+   * @returns {Promise<Object>} Updated promotion
+   */
+  static async update(promotionId, data) {
+    const fields = Object.keys(FIELDS).filter(field => data[field] !== undefined);
+    const result = await query(
+      `
+        UPDATE promotions
+        SET ${fields.map((field, index) => `${FIELDS[field]} = $${index + 2}`).join(', ')}, updated_at = NOW()
+        WHERE promotion_id = $1
+      `,
+      [promotionId, ...fields.map(field => data[field])]
+    );
+
+    if (result.rowCount === 0) {
+      throw new NotFoundError('Promotion not found');
+    }
+
+    return Promotion.findById(promotionId);
+  }
+
+  /**
+   * List promotions
+   * @param {Object} filters - search (name or coupon code), promotionType, isActive, current (running today), limit, offset
+   * @returns {Promise<Object>} { promotions, total }
+   */
+  static async findAll({ search, promotionType, isActive, current, limit, offset }) {
+    const conditions = [];
+    const params = [];
+
+    const add = (condition, value) => {
+      params.push(value);
+      conditions.push(condition.replace('?', `$${params.length}`));
+    };
+
+    if (search) {
+      params.push(`%${search}%`);
+      conditions.push(`(pm.name ILIKE $${params.length} OR pm.coupon_code ILIKE $${params.length})`);
+    }
+    if (promotionType) add('pm.promotion_type = ?', promotionType);
+    if (isActive !== undefined) add('pm.is_active = ?', isActive);
+    if (current !== undefined) {
+      add(`(
+        pm.is_active
+        AND (pm.start_date IS NULL OR pm.start_date <= CURRENT_DATE)
+        AND (pm.end_date IS NULL OR pm.end_date >= CURRENT_DATE)
+      ) = ?`, current);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const [rows, count] = await Promise.all([
+      query(
+        `
+          SELECT ${PROMOTION_COLUMNS}
+          FROM promotions pm
+          LEFT JOIN users u ON u.user_id = pm.created_by
+          ${where}
+          ORDER BY pm.is_active DESC, pm.priority DESC, pm.promotion_id DESC
+          LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+        `,
+        [...params, limit, offset]
+      ),
+      query(`SELECT COUNT(*)::INTEGER AS total FROM promotions pm ${where}`, params)
+    ]);
+
+    return { promotions: rows.rows, total: count.rows[0].total };
+  }
+
+  /**
+   * @param {number} promotionId - Promotion ID
+   * @param {Object} [client] - Transaction client
+   * @returns {Promise<Object|null>}
+   */
+  static async findById(promotionId, client = { query }) {
+    const result = await client.query(
+      `
+        SELECT ${PROMOTION_COLUMNS}
+        FROM promotions pm
+        LEFT JOIN users u ON u.user_id = pm.created_by
+        WHERE pm.promotion_id = $1
+      `,
+      [promotionId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Stop a promotion from applying to new sales
+   * @param {number} promotionId - Promotion ID
+   * @returns {Promise<Object>} Updated promotion
+   */
+  static async deactivate(promotionId) {
+    return Promotion.update(promotionId, { isActive: false });
+  }
+
+  /**
+   * Work out the promotions that apply to a sale's lines. Promotions with a
+   * coupon code apply only when the code is presented.
+   * @param {Object} client - Transaction client
+   * @param {Object} sale - lines (see evaluate), customerId, couponCodes
+   * @returns {Promise<Array>} Per line, as evaluate returns
+   * @throws {ValidationError} When a coupon code is unknown, inactive or out of its dates
+   */
+  static async price(client, { lines, customerId = null, couponCodes = [] }) {
+    const codes = [...new Set(couponCodes.map(code => code.toUpperCase()))];
+
+    const promotions = await client.query(
+      `
+        SELECT *
+        FROM promotions
+        WHERE is_active
+        AND (start_date IS NULL OR start_date <= CURRENT_DATE)
+        AND (end_date IS NULL OR end_date >= CURRENT_DATE)
+        AND (coupon_code IS NULL OR UPPER(coupon_code) = ANY($1::TEXT[]))
+      `,
+      [codes]
+    );
+
+    const found = new Set(promotions.rows.filter(pm => pm.coupon_code).map(pm => pm.coupon_code.toUpperCase()));
+    const unknown = codes.filter(code => !found.has(code));
+    if (unknown.length > 0) {
+      throw new ValidationError(`Coupon ${unknown.join(', ')} is not valid or has expired`);
+    }
+
+    const customer = customerId
+      ? await client.query('SELECT customer_group FROM customers WHERE customer_id = $1', [customerId])
+      : { rows: [] };
+
+    return Promotion.evaluate(lines, promotions.rows, { customerGroup: customer.rows[0]?.customer_group || null });
+  }
+
+  /**
+   * Apply promotions to sale lines. Prescription-only and controlled lines are
+   * never discounted. Otherwise a line gets either its best non-stackable
+   * promotion or all of its stackable ones, each taken off what the one before
+   * left, highest priority first; whichever takes more off wins, and a tie
+   * goes to the non-stackable one.
+   * @param {Array} lines - [{ productId, categoryId, quantity, unitPrice, requiresPrescription, controlled }]
+   * @param {Array} promotions - promotions rows in force
+   * @param {Object} [customer] - customerGroup
+   * @returns {Array} Per line: { discountAmount, promotions: [{ promotionId, name, discountAmount }] }
+   */
+  static evaluate(lines, promotions, { customerGroup = null } = {}) {
+    const ordered = [...promotions].sort((a, b) => b.priority - a.priority || a.promotion_id - b.promotion_id);
+
+    return lines.map((line) => {
+      if (line.requiresPrescription || line.controlled) {
+        return { discountAmount: 0, promotions: [] };
+      }
+
+      const gross = toCents(line.unitPrice) * line.quantity;
+      const eligible = ordered.filter(promotion => covers(promotion, line, customerGroup));
+
+      let exclusive = [];
+      for (const promotion of eligible.filter(pm => !pm.stackable)) {
+        const cents = discountCents(promotion, line, gross);
+        if (cents > 0 && (exclusive.length === 0 || cents > exclusive[0].cents)) {
+          exclusive = [{ promotion, cents }];
+        }
+      }
+
+      let remaining = gross;
+      const stacked = [];
+      for (const promotion of eligible.filter(pm => pm.stackable)) {
+        const cents = discountCents(promotion, line, remaining);
+        if (cents > 0) {
+          stacked.push({ promotion, cents });
+          remaining -= cents;
+        }
+      }
+
+      const total = applied => applied.reduce((sum, { cents }) => sum + cents, 0);
+      const applied = total(exclusive) >= total(stacked) ? exclusive : stacked;
+
+      return {
+        discountAmount: fromCents(total(applied)),
+        promotions: applied.map(({ promotion, cents }) => ({
+          promotionId: promotion.promotion_id,
+          name: promotion.name,
+          discountAmount: fromCents(cents)
+        }))
+      };
+    });
+  }
+
+  /**
+   * Split an amount over the batches a line was taken from, by quantity.
+   * Rounding is settled on the last batch.
+   * @param {number} amount - Amount to split
+   * @param {Array<number>} quantities - Quantity from each batch
+   * @returns {Array<number>} Share of each batch
+   */
+  static apportion(amount, quantities) {
+    const cents = toCents(amount);
+    const totalQuantity = quantities.reduce((sum, qty) => sum + qty, 0);
+    const shares = quantities.map(qty => Math.floor((cents * qty) / totalQuantity));
+    shares[shares.length - 1] += cents - shares.reduce((sum, share) => sum + share, 0);
+
+    return shares.map(fromCents);
+  }
+}
+
+module.exports = Promotion;
@@ -0,0 +1,395 @@
+// src/models/RegisterShift.js
+const { query, transaction } = require('../config/database');
+const { CASH_MOVEMENT_TYPES, PAYMENT_METHODS, SHIFT_STATUS } = require('../utils/constants');
+const { ValidationError, ConflictError, NotFoundError } = require('../utils/errorHandler');
+
+const toCents = amount => Math.round(Number(amount || 0) * 100);
+const fromCents = cents => cents / 100;
+
+// Report tenders in the order PAYMENT_METHODS lists them
+const METHOD_ORDER = Object.values(PAYMENT_METHODS);
+
+const SHIFT_COLUMNS = `
+  rs.*,
+  cashier.username AS cashier_username,
+  cashier.first_name AS cashier_first_name,
+  cashier.last_name AS cashier_last_name,
+  closer.username AS closed_by_username
+`;
+
+const SHIFT_JOINS = `
+  JOIN users cashier ON cashier.user_id = rs.cashier_id
+  LEFT JOIN users closer ON closer.user_id = rs.closed_by
+`;
+
+/**
+ * Lock a shift for a change that needs it to be open
+ * @param {Object} client - Transaction client
+ * @param {number} shiftId - Shift ID
+ * @returns {Promise<Object>} The register_shifts row
+ * @throws {NotFoundError|ConflictError}
+ */
+const lockOpenShift = async (client, shiftId) => {
+  const result = await client.query('SELECT * FROM register_shifts WHERE shift_id = $1 FOR UPDATE', [shiftId]);
+
+  if (result.rows.length === 0) {
+    throw new NotFoundError('Shift not found');
+  }
+  if (result.rows[0].status !== SHIFT_STATUS.OPEN) {
+    throw new ConflictError(`Shift ${shiftId} is already closed`);
+  }
+
+  return result.rows[0];
+};
+
+class RegisterShift {
+  /**
+   * Open a shift on a register with a cash float
+   * @param {Object} shift - registerName, openingFloat, notes, cashierId
+   * @returns {Promise<Object>} The shift
+   * @throws {ConflictError} When the cashier or the register already has an open shift
+   */
+  static async open({ registerName, openingFloat, notes = null, cashierId }) {
+    const open = await query(
+      'SELECT shift_id, register_name, cashier_id FROM register_shifts WHERE status = $1 AND (cashier_id = $2 OR register_name = $3)',
+      [SHIFT_STATUS.OPEN, cashierId, registerName]
+    );
+
+    if (open.rows.length > 0) {
+      const shift = open.rows[0];
+      throw new ConflictError(
+        shift.cashier_id === cashierId
+          ? `You already have shift ${shift.shift_id} open on ${shift.register_name}`
+          : `${registerName} already has shift ${shift.shift_id} open`,
+        { shiftId: shift.shift_id }
+      );
+    }
+
+    const result = await query(
+      `
+        INSERT INTO register_shifts (register_name, cashier_id, opening_float, opening_notes)
+        VALUES ($1, $2, $3, $4)
+        RETURNING shift_id
+      `,
+      [registerName, cashierId, openingFloat, notes]
+    );
+
+    return RegisterShift.findById(result.rows[0].shift_id);
+  }
+
+  /**
+   * Shift by ID with the names of its cashier and closer
+   * @param {number} shiftId - Shift ID
+   * @returns {Promise<Object|null>}
+   */
+  static async findById(shiftId) {
+    const result = await query(`SELECT ${SHIFT_COLUMNS} FROM register_shifts rs ${SHIFT_JOINS} WHERE rs.shift_id = $1`, [shiftId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * A cashier's open shift. Sales and refunds read it FOR SHARE so that the
+   * shift cannot close under a transaction still taking money into it.
+   * @param {number} cashierId - User ID
+   * @param {Object} [client] - Transaction client
+   * @param {Object} [options] - forShare
+   * @returns {Promise<Object|null>}
+   */
+  static async findOpenForCashier(cashierId, client = { query }, { forShare = false } = {}) {
+    const result = await client.query(
+      `SELECT * FROM register_shifts WHERE cashier_id = $1 AND status = $2${forShare ? ' FOR SHARE' : ''}`,
+      [cashierId, SHIFT_STATUS.OPEN]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Shifts, newest first
+   * @param {Object} filters - cashierId, registerName, status, startDate, endDate, limit, offset
+   * @returns {Promise<Object>} { shifts, total }
+   */
+  static async findAll({ cashierId, registerName, status, startDate, endDate, limit, offset }) {
+    const conditions = [];
+    const params = [];
+
+    const add = (condition, value) => {
+      params.push(value);
+      conditions.push(condition.replace('?', `$${params.length}`));
+    };
+
+    if (cashierId) add('rs.cashier_id = ?', cashierId);
+    if (registerName) add('rs.register_name = ?', registerName);
+    if (status) add('rs.status = ?', status);
+    if (startDate) add('rs.opened_at >= ?::DATE', startDate);
+    if (endDate) add('rs.opened_at < ?::DATE + 1', endDate);
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const [rows, count] = await Promise.all([
+      query(
+        `
+          SELECT ${SHIFT_COLUMNS}, cash.expected_amount AS cash_expected, cash.counted_amount AS cash_counted,
+                 cash.variance AS cash_variance
+          FROM register_shifts rs
+          ${SHIFT_JOINS}
+          LEFT JOIN shift_counts cash ON cash.shift_id = rs.shift_id AND cash.payment_method = 'cash'
+          ${where}
+          ORDER BY rs.opened_at DESC, rs.shift_id DESC
+          LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+        `,
+        [...params, limit, offset]
+      ),
+      query(`SELECT COUNT(*)::INTEGER AS total FROM register_shifts rs ${where}`, params)
+    ]);
+
+    return { shifts: rows.rows, total: count.rows[0].total };
+  }
+
+  /**
+   * Record cash paid into or out of an open shift's drawer
+   * @param {number} shiftId - Shift ID
+   * @param {Object} movement - movementType, amount, reason, performedBy
+   * @returns {Promise<Object>} The shift_cash_movements row
+   */
+  static async addCashMovement(shiftId, { movementType, amount, reason, performedBy }) {
+    return transaction(async (client) => {
+      await lockOpenShift(client, shiftId);
+
+      const result = await client.query(
+        `
+          INSERT INTO shift_cash_movements (shift_id, movement_type, amount, reason, performed_by)
+          VALUES ($1, $2, $3, $4, $5)
+          RETURNING *
+        `,
+        [shiftId, movementType, amount, reason, performedBy]
+      );
+      return result.rows[0];
+    });
+  }
+
+  /**
+   * Paid-ins and paid-outs of a shift in the order they happened
+   * @param {number} shiftId - Shift ID
+   * @returns {Promise<Array>}
+   */
+  static async findCashMovements(shiftId) {
+    const result = await query(
+      `
+        SELECT m.*, u.username AS performed_by_username
+        FROM shift_cash_movements m
+        JOIN users u ON u.user_id = m.performed_by
+        WHERE m.shift_id = $1
+        ORDER BY m.created_at, m.movement_id
+      `,
+      [shiftId]
+    );
+    return result.rows;
+  }
+
+  /**
+   * What each tender should amount to for a shift: sales taken and layaway
+   * payments received less refunds given on sales and closed layaways, and
+   * for cash also the opening float and paid-ins less paid-outs
+   * @param {Object} shift - register_shifts row
+   * @param {Object} [client] - Transaction client
+   * @returns {Promise<Array>} One entry per tender used, cash always included
+   */
+  static async expectedTotals(shift, client = { query }) {
+    const sales = await client.query(
+      `
+        SELECT sp.payment_method, COUNT(DISTINCT sp.sale_id)::INTEGER AS sale_count,
+               SUM(sp.amount) AS sales_amount, SUM(sp.change_due) AS change_given
+        FROM sale_payments sp
+        JOIN sales s ON s.sale_id = sp.sale_id
+        WHERE s.shift_id = $1 AND s.payment_status <> 'cancelled'
+        GROUP BY sp.payment_method
+      `,
+      [shift.shift_id]
+    );
+    const refunds = await client.query(
+      `
+        SELECT sp.payment_method, COUNT(*)::INTEGER AS refund_count, SUM(r.amount) AS refund_amount
+        FROM sale_payment_refunds r
+        JOIN sale_payments sp ON sp.payment_id = r.payment_id
+        WHERE r.shift_id = $1
+        GROUP BY sp.payment_method
+      `,
+      [shift.shift_id]
+    );
+    const movements = await client.query(
+      'SELECT movement_type, SUM(amount) AS amount FROM shift_cash_movements WHERE shift_id = $1 GROUP BY movement_type',
+      [shift.shift_id]
+    );
+    // Sales a layaway becomes belong to no shift; its payments count where they were taken
+    const layaways = await client.query(
+      `
+        SELECT payment_method, COUNT(*)::INTEGER AS payment_count, SUM(amount) AS payment_amount
+        FROM layaway_payments
+        WHERE shift_id = $1
+        GROUP BY payment_method
+      `,
+      [shift.shift_id]
+    );
+    // Payments of cancelled or expired layaways paid back on the shift
+    const layawayRefunds = await client.query(
+      `
+        SELECT lp.payment_method, COUNT(*)::INTEGER AS refund_count, SUM(lr.amount) AS refund_amount
+        FROM layaway_refunds lr
+        JOIN layaway_payments lp ON lp.payment_id = lr.payment_id
+        WHERE lr.shift_id = $1
+        GROUP BY lp.payment_method
+      `,
+      [shift.shift_id]
+    );
+
+    const movement = type => toCents(movements.rows.find(row => row.movement_type === type)?.amount);
+    const methods = new Set([
+      PAYMENT_METHODS.CASH,
+      ...[sales, refunds, layaways, layawayRefunds].flatMap(result => result.rows.map(row => row.payment_method))
+    ]);
+
+    return METHOD_ORDER.filter(method => methods.has(method)).map((method) => {
+      const sold = sales.rows.find(row => row.payment_method === method) || {};
+      const refunded = refunds.rows.find(row => row.payment_method === method) || {};
+      const tender = {
+        method,
+        saleCount: sold.sale_count || 0,
+        salesAmount: fromCents(toCents(sold.sales_amount)),
+        refundCount: refunded.refund_count || 0,
+        refundAmount: fromCents(toCents(refunded.refund_amount))
+      };
+      let expected = toCents(sold.sales_amount) - toCents(refunded.refund_amount);
+
+      const layaway = layaways.rows.find(row => row.payment_method === method);
+      if (layaway) {
+        expected += toCents(layaway.payment_amount);
+        Object.assign(tender, {
+          layawayPaymentCount: layaway.payment_count,
+          layawayPaymentAmount: fromCents(toCents(layaway.payment_amount))
+        });
+      }
+
+      const layawayRefund = layawayRefunds.rows.find(row => row.payment_method === method);
+      if (layawayRefund) {
+        expected -= toCents(layawayRefund.refund_amount);
+        Object.assign(tender, {
+          layawayRefundCount: layawayRefund.refund_count,
+          layawayRefundAmount: fromCents(toCents(layawayRefund.refund_amount))
+        });
+      }
+
+      if (method === PAYMENT_METHODS.CASH) {
+        const paidIn = movement(CASH_MOVEMENT_TYPES.PAID_IN);
+        const paidOut = movement(CASH_MOVEMENT_TYPES.PAID_OUT);
+        expected += toCents(shift.opening_float) + paidIn - paidOut;
+        Object.assign(tender, {
+          openingFloat: fromCents(toCents(shift.opening_float)),
+          paidIn: fromCents(paidIn),
+          paidOut: fromCents(paidOut),
+          changeGiven: fromCents(toCents(sold.change_given))
+        });
+      }
+
+      return { ...tender, expectedAmount: fromCents(expected) };
+    });
+  }
+
+  /**
+   * Close a shift with the cashier's blind count. The expected figure for
+   * every tender is captured beside what was counted; tenders not counted
+   * are stored without a count.
+   * @param {number} shiftId - Shift ID
+   * @param {Object} closing - counts [{ method, amount }], notes, closedBy
+   * @returns {Promise<void>}
+   * @throws {ValidationError} When the cash was not counted
+   */
+  static async close(shiftId, { counts, notes = null, closedBy }) {
+    if (!counts.some(count => count.method === PAYMENT_METHODS.CASH)) {
+      throw new ValidationError('Count the cash in the drawer before closing the shift');
+    }
+
+    await transaction(async (client) => {
+      const shift = await lockOpenShift(client, shiftId);
+      const expected = await RegisterShift.expectedTotals(shift, client);
+
+      const methods = METHOD_ORDER.filter(method => expected.some(tender => tender.method === method)
+        || counts.some(count => count.method === method));
+
+      for (const method of methods) {
+        const tender = expected.find(entry => entry.method === method);
+        const count = counts.find(entry => entry.method === method);
+
+        await client.query(
+          `
+            INSERT INTO shift_counts (shift_id, payment_method, expected_amount, counted_amount)
+            VALUES ($1, $2, $3, $4)
+          `,
+          [shiftId, method, tender ? tender.expectedAmount : 0, count ? count.amount : null]
+        );
+      }
+
+      await client.query(
+        `
+          UPDATE register_shifts
+          SET status = $1, closed_at = NOW(), closed_by = $2, closing_notes = $3
+          WHERE shift_id = $4
+        `,
+        [SHIFT_STATUS.CLOSED, closedBy, notes, shiftId]
+      );
+    });
+  }
+
+  /**
+   * Z-report: a shift's sales, refunds, drawer movements and, once closed,
+   * its counts and variances per tender. For an open shift the figures run
+   * to now.
+   * @param {number} shiftId - Shift ID
+   * @returns {Promise<Object|null>}
+   */
+  static async report(shiftId) {
+    const shift = await RegisterShift.findById(shiftId);
+    if (!shift) return null;
+
+    const [tenders, counts, totals, cashMovements] = await Promise.all([
+      RegisterShift.expectedTotals(shift),
+      query('SELECT * FROM shift_counts WHERE shift_id = $1', [shiftId]),
+      query(
+        `
+          SELECT COUNT(*)::INTEGER AS sale_count,
+                 COALESCE(SUM(subtotal), 0) AS subtotal,
+                 COALESCE(SUM(tax_amount), 0) AS tax_amount,
+                 COALESCE(SUM(discount_amount), 0) AS discount_amount,
+                 COALESCE(SUM(total_amount), 0) AS total_amount
+          FROM sales
+          WHERE shift_id = $1 AND payment_status <> 'cancelled'
+        `,
+        [shiftId]
+      ),
+      RegisterShift.findCashMovements(shiftId)
+    ]);
+
+    // A closed shift reports what was expected when it was counted
+    const counted = new Map(counts.rows.map(row => [row.payment_method, row]));
+    const methods = METHOD_ORDER.filter(method => counted.has(method) || tenders.some(tender => tender.method === method));
+
+    return {
+      shift,
+      sales: totals.rows[0],
+      tenders: methods.map((method) => {
+        const tender = tenders.find(entry => entry.method === method)
+          || { method, saleCount: 0, salesAmount: 0, refundCount: 0, refundAmount: 0, expectedAmount: 0 };
+        const count = counted.get(method);
+
+        return {
+          ...tender,
+          expectedAmount: count ? Number(count.expected_amount) : tender.expectedAmount,
+          countedAmount: count && count.counted_amount !== null ? Number(count.counted_amount) : null,
+          variance: count && count.variance !== null ? Number(count.variance) : null
+        };
+      }),
+      cashMovements
+    };
+  }
+}
+
+module.exports = RegisterShift;
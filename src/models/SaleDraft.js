@@ -0,0 +1,483 @@
+// src/models/SaleDraft.js
+const { query, transaction } = require('../config/database');
+const config = require('../config/environment');
+const { DRAFT_TYPES, DRAFT_STATUS, LAYAWAY_REFUND_STATUS } = require('../utils/constants');
+const { NotFoundError, ConflictError } = require('../utils/errorHandler');
+
+const toCents = amount => Math.round(Number(amount || 0) * 100);
+const fromCents = cents => cents / 100;
+
+const DRAFT_COLUMNS = `
+  d.*,
+  c.first_name AS customer_first_name,
+  c.last_name AS customer_last_name,
+  creator.username AS created_by_username,
+  s.sale_number,
+  (SELECT COALESCE(SUM(lp.amount), 0) FROM layaway_payments lp WHERE lp.draft_id = d.draft_id) AS amount_paid,
+  (SELECT COALESCE(SUM(lr.amount), 0) FROM layaway_refunds lr WHERE lr.draft_id = d.draft_id AND lr.status = 'due') AS refund_due,
+  (SELECT COALESCE(SUM(lr.amount), 0) FROM layaway_refunds lr WHERE lr.draft_id = d.draft_id AND lr.status = 'paid') AS amount_refunded
+`;
+
+const DRAFT_JOINS = `
+  JOIN users creator ON creator.user_id = d.created_by
+  LEFT JOIN customers c ON c.customer_id = d.customer_id
+  LEFT JOIN sales s ON s.sale_id = d.sale_id
+`;
+
+/**
+ * Write a draft's lines and the stock they hold
+ * @param {Object} client - Transaction client
+ * @param {number} draftId - Draft ID
+ * @param {Array} items - Held lines (see create)
+ * @param {Array} reservations - [{ inventoryId, quantity }]
+ */
+const writeLines = async (client, draftId, items, reservations) => {
+  for (const [index, item] of items.entries()) {
+    await client.query(
+      `
+        INSERT INTO sale_draft_items (
+          draft_id, line_number, product_id, inventory_id, quantity, unit_price, price_list_id,
+          discount_percentage, promotion_discount_amount, promotions, prescription_id, line_total, tax_amount
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+      `,
+      [
+        draftId, index + 1, item.productId, item.inventoryId || null, item.quantity, item.unitPrice,
+        item.priceListId, item.discountPercentage, item.promotionDiscountAmount,
+        JSON.stringify(item.promotions), item.prescriptionId || null, item.lineTotal, item.taxAmount
+      ]
+    );
+  }
+
+  // A batch two lines draw on is held once, for both
+  for (const { inventoryId, quantity } of reservations) {
+    await client.query(
+      `
+        INSERT INTO sale_draft_reservations (draft_id, inventory_id, quantity)
+        VALUES ($1, $2, $3)
+        ON CONFLICT (draft_id, inventory_id) DO UPDATE
+        SET quantity = sale_draft_reservations.quantity + EXCLUDED.quantity
+      `,
+      [draftId, inventoryId, quantity]
+    );
+  }
+};
+
+class SaleDraft {
+  /**
+   * Hold a sale as a parked draft. The stock must already be reserved in the
+   * same transaction (Inventory.allocate); the draft records what it holds
+   * so it can be given back.
+   * @param {Object} client - Transaction client
+   * @param {Object} draft - customerId, couponCodes, notes, terminal, createdBy,
+   *   items [{ productId, inventoryId, quantity, unitPrice, priceListId, discountPercentage,
+   *   promotionDiscountAmount, promotions, prescriptionId, lineTotal, taxAmount }],
+   *   reservations [{ inventoryId, quantity }], totals { subtotal, taxAmount, discountAmount, totalAmount }
+   * @returns {Promise<number>} Draft ID
+   */
+  static async create(client, { customerId = null, couponCodes = [], notes = null, terminal = null, createdBy, items, reservations, totals }) {
+    const result = await client.query(
+      `
+        INSERT INTO sale_drafts (
+          customer_id, coupon_codes, notes, terminal, subtotal, tax_amount, discount_amount, total_amount,
+          expires_at, created_by
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW() + make_interval(mins => $9), $10)
+        RETURNING draft_id
+      `,
+      [
+        customerId, couponCodes, notes, terminal, totals.subtotal, totals.taxAmount, totals.discountAmount,
+        totals.totalAmount, config.pharmacy.parkedSaleHoldMinutes, createdBy
+      ]
+    );
+
+    const draftId = result.rows[0].draft_id;
+    await writeLines(client, draftId, items, reservations);
+
+    return draftId;
+  }
+
+  /**
+   * Replace the lines of a parked draft, restarting its hold. Its old
+   * reservation must have been released and the new one made.
+   * @param {Object} client - Transaction client
+   * @param {number} draftId - Draft ID
+   * @param {Object} draft - As for create, with updatedBy in place of createdBy
+   * @returns {Promise<void>}
+   */
+  static async replace(client, draftId, { customerId = null, couponCodes = [], notes = null, terminal = null, updatedBy, items, reservations, totals }) {
+    await client.query(
+      `
+        UPDATE sale_drafts
+        SET customer_id = $2, coupon_codes = $3, notes = $4, terminal = COALESCE($5, terminal),
+            subtotal = $6, tax_amount = $7, discount_amount = $8, total_amount = $9,
+            expires_at = NOW() + make_interval(mins => $10), updated_by = $11, updated_at = NOW()
+        WHERE draft_id = $1
+      `,
+      [
+        draftId, customerId, couponCodes, notes, terminal, totals.subtotal, totals.taxAmount,
+        totals.discountAmount, totals.totalAmount, config.pharmacy.parkedSaleHoldMinutes, updatedBy
+      ]
+    );
+
+    await client.query('DELETE FROM sale_draft_items WHERE draft_id = $1', [draftId]);
+    await writeLines(client, draftId, items, reservations);
+  }
+
+  /**
+   * Lock an open draft for a change
+   * @param {Object} client - Transaction client
+   * @param {number} draftId - Draft ID
+   * @returns {Promise<Object>} The sale_drafts row
+   * @throws {NotFoundError|ConflictError} When missing, closed or past its expiry
+   */
+  static async lockOpen(client, draftId) {
+    const result = await client.query(
+      'SELECT *, expires_at <= NOW() AS lapsed FROM sale_drafts WHERE draft_id = $1 FOR UPDATE',
+      [draftId]
+    );
+
+    const draft = result.rows[0];
+    if (!draft) {
+      throw new NotFoundError('Sale draft not found');
+    }
+    if (draft.status !== DRAFT_STATUS.OPEN) {
+      throw new ConflictError(`Draft ${draft.draft_number} is already ${draft.status}`);
+    }
+    if (draft.lapsed) {
+      throw new ConflictError(`Draft ${draft.draft_number} has expired and no longer holds its stock`);
+    }
+
+    return draft;
+  }
+
+  /**
+   * Give back the stock drafts hold
+   * @param {Object} client - Transaction client
+   * @param {Array<number>} draftIds - Draft IDs
+   * @returns {Promise<void>}
+   */
+  static async release(client, draftIds) {
+    await client.query(
+      `
+        WITH released AS (
+          DELETE FROM sale_draft_reservations WHERE draft_id = ANY($1::INTEGER[])
+          RETURNING inventory_id, quantity
+        )
+        UPDATE inventory i
+        SET quantity_reserved = i.quantity_reserved - r.quantity, updated_at = NOW()
+        FROM (SELECT inventory_id, SUM(quantity)::INTEGER AS quantity FROM released GROUP BY inventory_id) r
+        WHERE i.inventory_id = r.inventory_id
+      `,
+      [draftIds]
+    );
+  }
+
+  /**
+   * Turn a parked draft into a quote, good for QUOTE_VALID_DAYS
+   * @param {Object} client - Transaction client
+   * @param {number} draftId - Draft ID
+   * @param {number} updatedBy - User ID
+   * @returns {Promise<void>}
+   */
+  static async makeQuote(client, draftId, updatedBy) {
+    await client.query(
+      `
+        UPDATE sale_drafts
+        SET draft_type = $2, expires_at = NOW() + make_interval(days => $3), updated_by = $4, updated_at = NOW()
+        WHERE draft_id = $1
+      `,
+      [draftId, DRAFT_TYPES.QUOTE, config.pharmacy.quoteValidDays, updatedBy]
+    );
+  }
+
+  /**
+   * Turn a parked draft or a quote into a layaway, held for LAYAWAY_DAYS
+   * @param {Object} client - Transaction client
+   * @param {number} draftId - Draft ID
+   * @param {Object} layaway - installmentCount, updatedBy
+   * @returns {Promise<void>}
+   */
+  static async makeLayaway(client, draftId, { installmentCount, updatedBy }) {
+    await client.query(
+      `
+        UPDATE sale_drafts
+        SET draft_type = $2, installment_count = $3, expires_at = NOW() + make_interval(days => $4),
+            updated_by = $5, updated_at = NOW()
+        WHERE draft_id = $1
+      `,
+      [draftId, DRAFT_TYPES.LAYAWAY, installmentCount, config.pharmacy.layawayDays, updatedBy]
+    );
+  }
+
+  /**
+   * Record a deposit or installment on a layaway
+   * @param {Object} client - Transaction client
+   * @param {number} draftId - Draft ID
+   * @param {Object} payment - method, amount, reference, shiftId, receivedBy
+   * @returns {Promise<Object>} The layaway_payments row
+   */
+  static async addPayment(client, draftId, { method, amount, reference = null, shiftId = null, receivedBy }) {
+    const result = await client.query(
+      `
+        INSERT INTO layaway_payments (draft_id, payment_method, amount, reference, shift_id, received_by)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING *
+      `,
+      [draftId, method, amount, reference, shiftId, receivedBy]
+    );
+
+    return result.rows[0];
+  }
+
+  /**
+   * Close a draft as completed (with its sale) or cancelled
+   * @param {Object} client - Transaction client
+   * @param {number} draftId - Draft ID
+   * @param {Object} closing - status, saleId, closedBy
+   * @returns {Promise<void>}
+   */
+  static async close(client, draftId, { status, saleId = null, closedBy }) {
+    await client.query(
+      `
+        UPDATE sale_drafts
+        SET status = $2, sale_id = $3, closed_by = $4, closed_at = NOW(), updated_at = NOW()
+        WHERE draft_id = $1
+      `,
+      [draftId, status, saleId, closedBy]
+    );
+  }
+
+  /**
+   * Owe back what was paid on closed layaways: a due refund for each payment
+   * @param {Object} client - Transaction client
+   * @param {Array<number>} draftIds - Draft IDs of cancelled or expired layaways
+   * @returns {Promise<Array>} The layaway_refunds rows
+   */
+  static async oweRefunds(client, draftIds) {
+    const result = await client.query(
+      `
+        INSERT INTO layaway_refunds (draft_id, payment_id, amount)
+        SELECT draft_id, payment_id, amount
+        FROM layaway_payments
+        WHERE draft_id = ANY($1::INTEGER[])
+        ORDER BY payment_id
+        RETURNING *
+      `,
+      [draftIds]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Record a layaway's due refunds as paid back to their payments' tenders
+   * @param {Object} client - Transaction client
+   * @param {number} draftId - Draft ID
+   * @param {Object} refund - refundedBy, shiftId of the drawer cash is paid from
+   * @returns {Promise<Array>} The refunds paid, with their payment's method and reference
+   */
+  static async payRefunds(client, draftId, { refundedBy, shiftId = null }) {
+    const result = await client.query(
+      `
+        UPDATE layaway_refunds lr
+        SET status = $2, refunded_by = $3, shift_id = $4, refunded_at = NOW()
+        FROM layaway_payments lp
+        WHERE lr.draft_id = $1 AND lr.status = $5 AND lp.payment_id = lr.payment_id
+        RETURNING lr.*, lp.payment_method, lp.reference
+      `,
+      [draftId, LAYAWAY_REFUND_STATUS.PAID, refundedBy, shiftId, LAYAWAY_REFUND_STATUS.DUE]
+    );
+
+    return result.rows.sort((a, b) => a.refund_id - b.refund_id);
+  }
+
+  /**
+   * Refunds of a closed layaway, with their payment's method and reference
+   * @param {number} draftId - Draft ID
+   * @param {Object} [client] - Transaction client
+   * @returns {Promise<Array>}
+   */
+  static async findRefunds(draftId, client = { query }) {
+    const result = await client.query(
+      `
+        SELECT lr.*, lp.payment_method, lp.reference, u.username AS refunded_by_username
+        FROM layaway_refunds lr
+        JOIN layaway_payments lp ON lp.payment_id = lr.payment_id
+        LEFT JOIN users u ON u.user_id = lr.refunded_by
+        WHERE lr.draft_id = $1
+        ORDER BY lr.refund_id
+      `,
+      [draftId]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Draft by ID with its customer, creator, sale and what has been paid on it
+   * @param {number} draftId - Draft ID
+   * @param {Object} [client] - Transaction client
+   * @returns {Promise<Object|null>}
+   */
+  static async findById(draftId, client = { query }) {
+    const result = await client.query(`SELECT ${DRAFT_COLUMNS} FROM sale_drafts d ${DRAFT_JOINS} WHERE d.draft_id = $1`, [draftId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * A draft's lines in the order they were entered
+   * @param {number} draftId - Draft ID
+   * @param {Object} [client] - Transaction client
+   * @returns {Promise<Array>}
+   */
+  static async findItems(draftId, client = { query }) {
+    const result = await client.query(
+      `
+        SELECT di.*, p.product_name, p.product_code
+        FROM sale_draft_items di
+        JOIN products p ON p.product_id = di.product_id
+        WHERE di.draft_id = $1
+        ORDER BY di.line_number
+      `,
+      [draftId]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Deposits and installments on a layaway, oldest first
+   * @param {number} draftId - Draft ID
+   * @param {Object} [client] - Transaction client
+   * @returns {Promise<Array>}
+   */
+  static async findPayments(draftId, client = { query }) {
+    const result = await client.query(
+      `
+        SELECT lp.*, u.username AS received_by_username
+        FROM layaway_payments lp
+        JOIN users u ON u.user_id = lp.received_by
+        WHERE lp.draft_id = $1
+        ORDER BY lp.created_at, lp.payment_id
+      `,
+      [draftId]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Drafts, soonest to expire first
+   * @param {Object} filters - draftType, status, customerId, createdBy, terminal, search (draft number),
+   *   refundDue (layaways with money still to pay back), limit, offset
+   * @returns {Promise<Object>} { drafts, total }
+   */
+  static async findAll({ draftType, status, customerId, createdBy, terminal, search, refundDue, limit, offset }) {
+    const conditions = [];
+    const params = [];
+
+    const add = (condition, value) => {
+      params.push(value);
+      conditions.push(condition.replace('?', `$${params.length}`));
+    };
+
+    if (draftType) add('d.draft_type = ?', draftType);
+    if (status) add('d.status = ?', status);
+    if (customerId) add('d.customer_id = ?', customerId);
+    if (createdBy) add('d.created_by = ?', createdBy);
+    if (terminal) add('d.terminal = ?', terminal);
+    if (search) add('d.draft_number ILIKE ?', `%${search}%`);
+    if (refundDue !== undefined) {
+      params.push(LAYAWAY_REFUND_STATUS.DUE);
+      add(`EXISTS (SELECT 1 FROM layaway_refunds lr WHERE lr.draft_id = d.draft_id AND lr.status = $${params.length}) = ?`, refundDue);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const [rows, count] = await Promise.all([
+      query(
+        `
+          SELECT ${DRAFT_COLUMNS}
+          FROM sale_drafts d
+          ${DRAFT_JOINS}
+          ${where}
+          ORDER BY d.status = 'open' DESC, d.expires_at, d.draft_id
+          LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+        `,
+        [...params, limit, offset]
+      ),
+      query(`SELECT COUNT(*)::INTEGER AS total FROM sale_drafts d ${where}`, params)
+    ]);
+
+    return { drafts: rows.rows, total: count.rows[0].total };
+  }
+
+  /**
+   * Expire open drafts past their expiry and give back their stock. What was
+   * paid on expired layaways is owed back (oweRefunds). Drafts being worked
+   * on are skipped and picked up by a later sweep.
+   * @returns {Promise<Array>} Expired drafts: draft_id, draft_number, draft_type, amount_paid
+   */
+  static async expireAbandoned() {
+    return transaction(async (client) => {
+      const result = await client.query(
+        `
+          UPDATE sale_drafts d
+          SET status = $1, closed_at = NOW(), updated_at = NOW()
+          WHERE d.draft_id IN (
+            SELECT draft_id FROM sale_drafts
+            WHERE status = $2 AND expires_at <= NOW()
+            FOR UPDATE SKIP LOCKED
+          )
+          RETURNING d.draft_id, d.draft_number, d.draft_type,
+            (SELECT COALESCE(SUM(lp.amount), 0) FROM layaway_payments lp WHERE lp.draft_id = d.draft_id) AS amount_paid
+        `,
+        [DRAFT_STATUS.EXPIRED, DRAFT_STATUS.OPEN]
+      );
+
+      if (result.rows.length > 0) {
+        await SaleDraft.release(client, result.rows.map(draft => draft.draft_id));
+      }
+
+      const paid = result.rows.filter(draft => toCents(draft.amount_paid) > 0);
+      if (paid.length > 0) {
+        await SaleDraft.oweRefunds(client, paid.map(draft => draft.draft_id));
+      }
+
+      return result.rows;
+    });
+  }
+
+  /**
+   * When a layaway's balance after its deposit falls due: in equal
+   * installments (rounding settled on the last) spread evenly from the
+   * deposit to the layaway's expiry. Payments beyond the deposit settle the
+   * installments in order.
+   * @param {Object} draft - total_amount, installment_count, expires_at
+   * @param {Array} payments - layaway_payments rows, deposit first
+   * @returns {Array} [{ number, dueDate, amount, outstanding }]
+   */
+  static installmentPlan(draft, payments) {
+    if (payments.length === 0) return [];
+
+    const [deposit, ...installments] = payments;
+    const count = draft.installment_count;
+    const balance = toCents(draft.total_amount) - toCents(deposit.amount);
+    const share = Math.floor(balance / count);
+
+    const start = new Date(deposit.created_at).getTime();
+    const span = new Date(draft.expires_at).getTime() - start;
+    let paid = installments.reduce((sum, payment) => sum + toCents(payment.amount), 0);
+
+    return Array.from({ length: count }, (_, index) => {
+      const amount = index === count - 1 ? balance - share * (count - 1) : share;
+      const settled = Math.min(paid, amount);
+      paid -= settled;
+
+      return {
+        number: index + 1,
+        dueDate: new Date(start + (span * (index + 1)) / count).toISOString(),
+        amount: fromCents(amount),
+        outstanding: fromCents(amount - settled)
+      };
+    });
+  }
+}
+
+module.exports = SaleDraft;
@@ -0,0 +1,234 @@
+// src/models/SalePayment.js
+const { query } = require('../config/database');
+const { PAYMENT_METHODS } = require('../utils/constants');
+const { ValidationError } = require('../utils/errorHandler');
+
+// Tender arithmetic is done in whole cents
+const toCents = amount => Math.round(Number(amount) * 100);
+const fromCents = cents => cents / 100;
+const sumCents = amounts => amounts.reduce((sum, cents) => sum + cents, 0);
+
+class SalePayment {
+  /**
+   * Apply the tenders handed over for a sale to its total. Non-cash tenders pay
+   * exactly what they say; cash covers the balance they leave, and any cash
+   * over that is handed back as change.
+   * @param {Array} tenders - [{ method, amount, reference }], amount as tendered
+   * @param {number} totalAmount - Sale total
+   * @returns {{ payments: Array, changeDue: number }} payments: [{ method, amount, tenderedAmount, changeDue, reference }]
+   * @throws {ValidationError} When the tenders do not cover the total, or pay more than it without cash
+   */
+  static applyTenders(tenders, totalAmount) {
+    const total = toCents(totalAmount);
+    const isCash = tender => tender.method === PAYMENT_METHODS.CASH;
+
+    const nonCash = sumCents(tenders.filter(tender => !isCash(tender)).map(tender => toCents(tender.amount)));
+    if (nonCash > total) {
+      throw new ValidationError(
+        `Non-cash payments of ${fromCents(nonCash).toFixed(2)} exceed the sale total of ${fromCents(total).toFixed(2)}`
+      );
+    }
+
+    const cash = sumCents(tenders.filter(isCash).map(tender => toCents(tender.amount)));
+    if (nonCash + cash < total) {
+      throw new ValidationError(
+        `Payments of ${fromCents(nonCash + cash).toFixed(2)} do not cover the sale total of ${fromCents(total).toFixed(2)}`
+      );
+    }
+
+    // Cash tenders take the balance in the order they were handed over
+    let balance = total - nonCash;
+    const payments = tenders.map((tender, index) => {
+      const tendered = toCents(tender.amount);
+      let applied = tendered;
+
+      if (isCash(tender)) {
+        applied = Math.min(tendered, balance);
+        balance -= applied;
+        if (applied === 0) {
+          throw new ValidationError(`Payment ${index + 1} is not needed; the sale is already paid`);
+        }
+      }
+
+      return {
+        method: tender.method,
+        amount: fromCents(applied),
+        tenderedAmount: fromCents(tendered),
+        changeDue: fromCents(tendered - applied),
+        reference: tender.reference || null
+      };
+    });
+
+    return {
+      payments,
+      changeDue: fromCents(sumCents(payments.map(payment => toCents(payment.changeDue))))
+    };
+  }
+
+  /**
+   * Summary columns kept on the sale row: the method of the largest payment,
+   * what insurance paid and what the customer paid
+   * @param {Array} payments - Applied payments from applyTenders
+   * @param {string} [defaultMethod] - Method of a sale with nothing to pay
+   * @returns {{ paymentMethod: string, insuranceClaimAmount: number, customerPaymentAmount: number }}
+   */
+  static summarize(payments, defaultMethod = PAYMENT_METHODS.CASH) {
+    const largest = payments.reduce(
+      (top, payment) => (payment.amount > top.amount ? payment : top),
+      { method: defaultMethod, amount: 0 }
+    );
+    const insurance = sumCents(payments
+      .filter(payment => payment.method === PAYMENT_METHODS.INSURANCE)
+      .map(payment => toCents(payment.amount)));
+    const total = sumCents(payments.map(payment => toCents(payment.amount)));
+
+    return {
+      paymentMethod: largest.method,
+      insuranceClaimAmount: fromCents(insurance),
+      customerPaymentAmount: fromCents(total - insurance)
+    };
+  }
+
+  /**
+   * Record a sale's applied payments
+   * @param {Object} client - Transaction client
+   * @param {number} saleId - Sale ID
+   * @param {Array} payments - Applied payments from applyTenders
+   * @returns {Promise<Array>} The sale_payments rows
+   */
+  static async create(client, saleId, payments) {
+    const rows = [];
+
+    for (const payment of payments) {
+      const result = await client.query(
+        `
+          INSERT INTO sale_payments (sale_id, payment_method, amount, tendered_amount, reference)
+          VALUES ($1, $2, $3, $4, $5)
+          RETURNING *
+        `,
+        [saleId, payment.method, payment.amount, payment.tenderedAmount, payment.reference]
+      );
+      rows.push(result.rows[0]);
+    }
+
+    return rows;
+  }
+
+  /**
+   * Payments of a sale in the order they were taken
+   * @param {number} saleId - Sale ID
+   * @param {Object} [client] - Transaction client; pass one to lock the rows for a refund
+   * @param {Object} [options] - forUpdate
+   * @returns {Promise<Array>}
+   */
+  static async findBySale(saleId, client = { query }, { forUpdate = false } = {}) {
+    const result = await client.query(
+      `SELECT * FROM sale_payments WHERE sale_id = $1 ORDER BY payment_id${forUpdate ? ' FOR UPDATE' : ''}`,
+      [saleId]
+    );
+    return result.rows;
+  }
+
+  /**
+   * What is still to be refunded on a sale's payments
+   * @param {Array} payments - sale_payments rows of the sale
+   * @returns {number}
+   */
+  static leftToRefund(payments) {
+    return fromCents(sumCents(payments.map(payment => toCents(payment.amount) - toCents(payment.refunded_amount))));
+  }
+
+  /**
+   * Split a refund over a sale's payments. Without a choice it goes back in
+   * proportion to what each payment has left to refund, with cents rounded to
+   * the largest remainders; the cashier may instead name the amount per payment.
+   * @param {Array} payments - sale_payments rows of the sale
+   * @param {number} refundAmount - Amount to refund
+   * @param {Array} [choice] - [{ paymentId, amount }] chosen by the cashier
+   * @returns {Array} [{ payment, amount }] for each payment refunded
+   * @throws {ValidationError} When the split does not add up or exceeds a payment
+   */
+  static allocateRefund(payments, refundAmount, choice = null) {
+    const refund = toCents(refundAmount);
+    const refundable = payments.map(payment => toCents(payment.amount) - toCents(payment.refunded_amount));
+    const available = sumCents(refundable);
+
+    if (refund > available) {
+      throw new ValidationError(
+        `Refund of ${fromCents(refund).toFixed(2)} exceeds the ${fromCents(available).toFixed(2)} left to refund on this sale`
+      );
+    }
+
+    if (choice) {
+      const allocations = choice.map(({ paymentId, amount }) => {
+        const index = payments.findIndex(payment => payment.payment_id === paymentId);
+        if (index === -1) {
+          throw new ValidationError(`Payment ${paymentId} is not a payment of this sale`);
+        }
+        if (toCents(amount) > refundable[index]) {
+          throw new ValidationError(
+            `Payment ${paymentId} has only ${fromCents(refundable[index]).toFixed(2)} left to refund`
+          );
+        }
+        return { payment: payments[index], amount: toCents(amount) };
+      });
+
+      const chosen = sumCents(allocations.map(allocation => allocation.amount));
+      if (chosen !== refund) {
+        throw new ValidationError(
+          `Refunds to payments total ${fromCents(chosen).toFixed(2)}, not the ${fromCents(refund).toFixed(2)} being refunded`
+        );
+      }
+
+      return allocations
+        .filter(allocation => allocation.amount > 0)
+        .map(allocation => ({ ...allocation, amount: fromCents(allocation.amount) }));
+    }
+
+    const exact = refundable.map(cents => (available === 0 ? 0 : (refund * cents) / available));
+    const shares = exact.map(Math.floor);
+    const leftOver = refund - sumCents(shares);
+
+    exact
+      .map((value, index) => ({ index, remainder: value - shares[index] }))
+      .sort((a, b) => b.remainder - a.remainder || a.index - b.index)
+      .slice(0, leftOver)
+      .forEach(({ index }) => { shares[index] += 1; });
+
+    return payments
+      .map((payment, index) => ({ payment, amount: fromCents(shares[index]) }))
+      .filter(allocation => allocation.amount > 0);
+  }
+
+  /**
+   * Record refunds against payments. Call in the refund's transaction.
+   * @param {Object} client - Transaction client
+   * @param {Array} allocations - [{ payment, amount }] from allocateRefund
+   * @param {Object} refund - saleId, reason, refundedBy, shiftId of the drawer it is paid from
+   * @returns {Promise<Array>} [{ paymentId, method, reference, amount }]
+   */
+  static async recordRefund(client, allocations, { saleId, reason = null, refundedBy, shiftId = null }) {
+    for (const { payment, amount } of allocations) {
+      await client.query(
+        'UPDATE sale_payments SET refunded_amount = refunded_amount + $1 WHERE payment_id = $2',
+        [amount, payment.payment_id]
+      );
+      await client.query(
+        `
+          INSERT INTO sale_payment_refunds (payment_id, sale_id, amount, reason, refunded_by, shift_id)
+          VALUES ($1, $2, $3, $4, $5, $6)
+        `,
+        [payment.payment_id, saleId, amount, reason, refundedBy, shiftId]
+      );
+    }
+
+    return allocations.map(({ payment, amount }) => ({
+      paymentId: payment.payment_id,
+      method: payment.payment_method,
+      reference: payment.reference,
+      amount
+    }));
+  }
+}
+
+module.exports = SalePayment;
@@ -0,0 +1,139 @@
+// src/models/Session.js
+const { query } = require('../config/database');
+const { SESSION_REVOKE_REASONS } = require('../utils/constants');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+class Session {
+  /**
+   * Whether a value looks like a session ID (checked before it reaches a UUID column)
+   * @param {*} sessionId - Candidate ID
+   * @returns {boolean}
+   */
+  static isValidId(sessionId) {
+    return typeof sessionId === 'string' && UUID_PATTERN.test(sessionId);
+  }
+
+  /**
+   * Record a new login session
+   * @param {Object} session - sessionId, userId, refreshTokenHash, expiresAt, userAgent, ipAddress
+   * @param {Object} [client] - Transaction client
+   * @returns {Promise<Object>} Session row
+   */
+  static async create({ sessionId, userId, refreshTokenHash, expiresAt, userAgent = null, ipAddress = null }, client = { query }) {
+    const result = await client.query(
+      `
+        INSERT INTO user_sessions (session_id, user_id, refresh_token_hash, expires_at, user_agent, ip_address)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING *
+      `,
+      [sessionId, userId, refreshTokenHash, expiresAt, userAgent ? userAgent.slice(0, 255) : null, ipAddress]
+    );
+
+    return result.rows[0];
+  }
+
+  /**
+   * Whether the session exists for this user and has not been revoked or expired
+   * @param {string} sessionId - Session ID
+   * @param {number} userId - User the token was issued to
+   * @returns {Promise<boolean>}
+   */
+  static async isActive(sessionId, userId) {
+    if (!Session.isValidId(sessionId)) return false;
+
+    const result = await query(
+      `
+        SELECT 1
+        FROM user_sessions
+        WHERE session_id = $1 AND user_id = $2 AND revoked_at IS NULL AND expires_at > NOW()
+      `,
+      [sessionId, userId]
+    );
+
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Swap the session's refresh token for a new one, but only if the presented
+   * token is the current one. A valid but superseded token means it was replayed,
+   * so the session is revoked.
+   * @param {string} sessionId - Session ID
+   * @param {string} presentedHash - Hash of the refresh token the client sent
+   * @param {string} nextHash - Hash of the replacement refresh token
+   * @returns {Promise<Object>} { session, reuseDetected } - session is null when rotation was refused
+   */
+  static async rotate(sessionId, presentedHash, nextHash) {
+    if (!Session.isValidId(sessionId)) return { session: null, reuseDetected: false };
+
+    const rotated = await query(
+      `
+        UPDATE user_sessions
+        SET refresh_token_hash = $3, last_used_at = NOW()
+        WHERE session_id = $1 AND refresh_token_hash = $2 AND revoked_at IS NULL AND expires_at > NOW()
+        RETURNING *
+      `,
+      [sessionId, presentedHash, nextHash]
+    );
+
+    if (rotated.rows.length > 0) {
+      return { session: rotated.rows[0], reuseDetected: false };
+    }
+
+    const revoked = await query(
+      `
+        UPDATE user_sessions
+        SET revoked_at = NOW(), revoked_reason = $2
+        WHERE session_id = $1 AND refresh_token_hash <> $3 AND revoked_at IS NULL
+        RETURNING session_id
+      `,
+      [sessionId, SESSION_REVOKE_REASONS.TOKEN_REUSE, presentedHash]
+    );
+
+    return { session: null, reuseDetected: revoked.rows.length > 0 };
+  }
+
+  /**
+   * End one session
+   * @param {string} sessionId - Session ID
+   * @param {string} reason - One of SESSION_REVOKE_REASONS
+   * @param {Object} [client] - Transaction client
+   * @returns {Promise<boolean>} Whether an active session was revoked
+   */
+  static async revoke(sessionId, reason, client = { query }) {
+    if (!Session.isValidId(sessionId)) return false;
+
+    const result = await client.query(
+      `
+        UPDATE user_sessions
+        SET revoked_at = NOW(), revoked_reason = $2
+        WHERE session_id = $1 AND revoked_at IS NULL
+      `,
+      [sessionId, reason]
+    );
+
+    return result.rowCount > 0;
+  }
+
+  /**
+   * End every active session of a user, optionally keeping the caller's own
+   * @param {number} userId - User ID
+   * @param {string} reason - One of SESSION_REVOKE_REASONS
+   * @param {Object} [options] - exceptSessionId: session to keep; client: transaction client
+   * @returns {Promise<number>} Number of sessions revoked
+   */
+  static async revokeAllForUser(userId, reason, { exceptSessionId = null, client = { query } } = {}) {
+    const result = await client.query(
+      `
+        UPDATE user_sessions
+        SET revoked_at = NOW(), revoked_reason = $2
+        WHERE user_id = $1 AND revoked_at IS NULL AND ($3::UUID IS NULL OR session_id <> $3::UUID)
+      `,
+      [userId, reason, exceptSessionId]
+    );
+
+    return result.rowCount;
+  }
+}
+
+module.exports = Session;
@@ -0,0 +1,204 @@
+// src/models/TwoFactor.js
+const { query, transaction } = require('../config/database');
+const config = require('../config/environment');
+const logger = require('../utils/logger');
+const { USER_ROLES } = require('../utils/constants');
+const { hashToken } = require('../utils/tokens');
+const {
+  generateSecret,
+  verifyCode,
+  encryptSecret,
+  decryptSecret,
+  generateRecoveryCodes,
+  normalizeRecoveryCode
+} = require('../utils/totp');
+
+const KNOWN_ROLES = Object.values(USER_ROLES);
+const unknownRequiredRoles = config.security.twoFactor.requiredRoles.filter(role => !KNOWN_ROLES.includes(role));
+if (unknownRequiredRoles.length > 0) {
+  logger.warn('TWO_FACTOR_REQUIRED_ROLES lists unknown roles', { roles: unknownRequiredRoles });
+}
+
+const hashRecoveryCode = code => hashToken(normalizeRecoveryCode(code));
+
+/**
+ * Replace a user's recovery codes with a fresh set
+ * @param {Object} client - Transaction client
+ * @param {number} userId - User ID
+ * @returns {Promise<string[]>} The new codes in plain text
+ */
+const issueRecoveryCodes = async (client, userId) => {
+  const codes = generateRecoveryCodes();
+
+  await client.query('DELETE FROM user_recovery_codes WHERE user_id = $1', [userId]);
+  await client.query(
+    'INSERT INTO user_recovery_codes (user_id, code_hash) SELECT $1, UNNEST($2::CHAR(64)[])',
+    [userId, codes.map(hashRecoveryCode)]
+  );
+
+  return codes;
+};
+
+class TwoFactor {
+  /**
+   * Whether the 2FA policy (config.security.twoFactor.requiredRoles) covers a role
+   * @param {string} role - One of USER_ROLES
+   * @returns {boolean}
+   */
+  static isRequiredForRole(role) {
+    return config.security.twoFactor.requiredRoles.includes(role);
+  }
+
+  /**
+   * A user's 2FA state
+   * @param {number} userId - User ID
+   * @param {Object} [client] - Transaction client
+   * @returns {Promise<Object|null>} { enabled, secret, lastUsedStep, recoveryCodesRemaining }, or null if the user does not exist
+   */
+  static async getState(userId, client = { query }) {
+    const result = await client.query(
+      `
+        SELECT u.totp_secret, u.totp_enabled_at, u.totp_last_used_step,
+               (SELECT COUNT(*) FROM user_recovery_codes rc WHERE rc.user_id = u.user_id AND rc.used_at IS NULL)::INTEGER
+                 AS recovery_codes_remaining
+        FROM users u
+        WHERE u.user_id = $1
+      `,
+      [userId]
+    );
+
+    if (result.rows.length === 0) return null;
+
+    const row = result.rows[0];
+    return {
+      enabled: row.totp_enabled_at !== null,
+      enabledAt: row.totp_enabled_at,
+      secret: row.totp_secret ? decryptSecret(row.totp_secret) : null,
+      lastUsedStep: row.totp_last_used_step === null ? null : Number(row.totp_last_used_step),
+      recoveryCodesRemaining: row.recovery_codes_remaining
+    };
+  }
+
+  /**
+   * Start enrollment with a new secret. 2FA stays off until confirmed with enable().
+   * @param {number} userId - User ID
+   * @returns {Promise<string|null>} Base32 secret, or null when 2FA is already enabled
+   */
+  static async beginEnrollment(userId) {
+    const secret = generateSecret();
+
+    const result = await query(
+      `
+        UPDATE users
+        SET totp_secret = $2, totp_last_used_step = NULL
+        WHERE user_id = $1 AND totp_enabled_at IS NULL
+      `,
+      [userId, encryptSecret(secret)]
+    );
+
+    return result.rowCount > 0 ? secret : null;
+  }
+
+  /**
+   * Turn 2FA on after the user proved their app has the pending secret
+   * @param {number} userId - User ID
+   * @param {string} code - Code from the authenticator app
+   * @returns {Promise<string[]|null>} Recovery codes, or null when the code is wrong or no enrollment is pending
+   */
+  static async enable(userId, code) {
+    return transaction(async (client) => {
+      const current = await client.query(
+        'SELECT totp_secret FROM users WHERE user_id = $1 AND totp_enabled_at IS NULL FOR UPDATE',
+        [userId]
+      );
+
+      if (current.rows.length === 0 || !current.rows[0].totp_secret) return null;
+
+      const step = verifyCode(decryptSecret(current.rows[0].totp_secret), code);
+      if (step === null) return null;
+
+      await client.query(
+        'UPDATE users SET totp_enabled_at = NOW(), totp_last_used_step = $2, updated_at = NOW() WHERE user_id = $1',
+        [userId, step]
+      );
+
+      return issueRecoveryCodes(client, userId);
+    });
+  }
+
+  /**
+   * Check a login code and burn its time step so it cannot be replayed
+   * @param {number} userId - User ID
+   * @param {string} code - Code from the authenticator app
+   * @returns {Promise<boolean>}
+   */
+  static async verify(userId, code) {
+    const state = await TwoFactor.getState(userId);
+    if (!state || !state.enabled) return false;
+
+    const step = verifyCode(state.secret, code, { afterStep: state.lastUsedStep });
+    if (step === null) return false;
+
+    // Conditional update: of two concurrent requests with the same code only one succeeds
+    const result = await query(
+      `
+        UPDATE users
+        SET totp_last_used_step = $2
+        WHERE user_id = $1 AND (totp_last_used_step IS NULL OR totp_last_used_step < $2)
+      `,
+      [userId, step]
+    );
+
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Spend a recovery code in place of an app code
+   * @param {number} userId - User ID
+   * @param {string} code - Recovery code as typed
+   * @returns {Promise<boolean>} Whether an unused code matched
+   */
+  static async useRecoveryCode(userId, code) {
+    const result = await query(
+      `
+        UPDATE user_recovery_codes
+        SET used_at = NOW()
+        WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+      `,
+      [userId, hashRecoveryCode(code)]
+    );
+
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Replace the recovery codes of a user with 2FA enabled
+   * @param {number} userId - User ID
+   * @returns {Promise<string[]>}
+   */
+  static async regenerateRecoveryCodes(userId) {
+    return transaction(client => issueRecoveryCodes(client, userId));
+  }
+
+  /**
+   * Turn 2FA off and forget the secret and recovery codes
+   * @param {number} userId - User ID
+   * @param {Object} [client] - Transaction client
+   * @returns {Promise<boolean>} Whether 2FA was enabled or pending
+   */
+  static async disable(userId, client = { query }) {
+    const result = await client.query(
+      `
+        UPDATE users
+        SET totp_secret = NULL, totp_enabled_at = NULL, totp_last_used_step = NULL, updated_at = NOW()
+        WHERE user_id = $1 AND totp_secret IS NOT NULL
+      `,
+      [userId]
+    );
+    await client.query('DELETE FROM user_recovery_codes WHERE user_id = $1', [userId]);
+
+    return result.rowCount > 0;
+  }
+}
+
+module.exports = TwoFactor;
@@ -0,0 +1,27 @@
+// src/routes/alerts.js
+const express = require('express');
+const AlertController = require('../controllers/AlertController');
+const { authenticate, authorize } = require('../middleware/auth');
+const { validateIdParams, validate } = require('../middleware/validation');
+const schemas = require('../schemas/alerts');
+const { USER_ROLES } = require('../utils/constants');
+
+const { ADMIN, MANAGER, PHARMACIST, TECHNICIAN } = USER_ROLES;
+
+const router = express.Router();
+
+router.use(authenticate, authorize(ADMIN, MANAGER, PHARMACIST, TECHNICIAN));
+
+router.get('/', validate(schemas.listAlerts), AlertController.getAllAlerts);
+router.get('/critical', validate(schemas.alertLimit), AlertController.getCriticalAlerts);
+router.get('/low-stock', validate(schemas.alertLimit), AlertController.getLowStockAlerts);
+router.get('/stats', AlertController.getAlertStats);
+router.get('/categories/:category_id', validateIdParams('category_id'), validate(schemas.alertsByCategory), AlertController.getAlertsByCategory);
+router.post('/generate', authorize(ADMIN, MANAGER), AlertController.generateExpirationAlerts);
+router.post('/acknowledge', validate(schemas.bulkAcknowledge), AlertController.bulkAcknowledgeAlerts);
+router.delete('/cleanup', authorize(ADMIN, MANAGER), validate(schemas.cleanupAlerts), AlertController.cleanupAlerts);
+
+router.get('/:id', validateIdParams('id'), AlertController.getAlertById);
+router.patch('/:id/acknowledge', validateIdParams('id'), validate(schemas.acknowledgeAlert), AlertController.acknowledgeAlert);
+
+module.exports = router;
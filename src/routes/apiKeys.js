@@ -0,0 +1,19 @@
+// src/routes/apiKeys.js
+const express = require('express');
+const ApiKeyController = require('../controllers/ApiKeyController');
+const { authenticate, authorize } = require('../middleware/auth');
+const { validateIdParams, validate } = require('../middleware/validation');
+const schemas = require('../schemas/apiKeys');
+const { USER_ROLES } = require('../utils/constants');
+
+const router = express.Router();
+
+router.use(authenticate, authorize(USER_ROLES.ADMIN));
+
+router.get('/', validate(schemas.listApiKeys), ApiKeyController.getApiKeys);
+router.post('/', validate(schemas.createApiKey), ApiKeyController.createApiKey);
+router.get('/:apiKeyId', validateIdParams('apiKeyId'), ApiKeyController.getApiKeyById);
+router.post('/:apiKeyId/rotate', validateIdParams('apiKeyId'), validate(schemas.rotateApiKey), ApiKeyController.rotateApiKey);
+router.delete('/:apiKeyId', validateIdParams('apiKeyId'), ApiKeyController.revokeApiKey);
+
+module.exports = router;
@@ -0,0 +1,19 @@
+// src/routes/auditLogs.js
+const express = require('express');
+const AuditLogController = require('../controllers/AuditLogController');
+const { authenticate, authorize } = require('../middleware/auth');
+const { validateIdParams, validate } = require('../middleware/validation');
+const schemas = require('../schemas/auditLogs');
+const { USER_ROLES } = require('../utils/constants');
+
+const { ADMIN, MANAGER } = USER_ROLES;
+
+const router = express.Router();
+
+router.use(authenticate, authorize(ADMIN, MANAGER));
+
+router.get('/', validate(schemas.listAuditLogs), AuditLogController.getAuditLogs);
+router.get('/verify', validate(schemas.verifyAuditLog), AuditLogController.verifyAuditLog);
+router.get('/:auditId', validateIdParams('auditId'), AuditLogController.getAuditLogById);
+
+module.exports = router;
@@ -0,0 +1,42 @@
+// src/routes/auth.js
+const express = require('express');
+const AuthController = require('../controllers/AuthController');
+const PermissionController = require('../controllers/PermissionController');
+const { authenticate, authorize } = require('../middleware/auth');
+const { validate } = require('../middleware/validation');
+const { authLimiter } = require('../middleware/rateLimiter');
+const schemas = require('../schemas/auth');
+const { USER_ROLES } = require('../utils/constants');
+
+const router = express.Router();
+
+// Public
+router.post('/login', authLimiter, validate(schemas.login), AuthController.login);
+router.post('/login/2fa', authLimiter, validate(schemas.verifyTwoFactorLogin), AuthController.verifyTwoFactorLogin);
+router.post('/login/2fa/setup', authLimiter, validate(schemas.loginTwoFactorSetup), AuthController.setupTwoFactor);
+router.post('/login/2fa/enable', authLimiter, validate(schemas.loginTwoFactorEnable), AuthController.enableTwoFactor);
+router.post('/refresh', authLimiter, validate(schemas.refresh), AuthController.refresh);
+router.post('/password-reset/request', authLimiter, validate(schemas.requestPasswordReset), AuthController.requestPasswordReset);
+router.post('/password-reset/confirm', authLimiter, validate(schemas.confirmPasswordReset), AuthController.confirmPasswordReset);
+
+// Account creation is an administrative action
+router.post('/register', authenticate, authorize(USER_ROLES.ADMIN), validate(schemas.register), AuthController.register);
+
+// Current user
+router.use(authenticate);
+router.get('/verify', AuthController.verifyToken);
+router.get('/profile', AuthController.getProfile);
+router.put('/profile', validate(schemas.updateProfile), AuthController.updateProfile);
+router.put('/password', validate(schemas.changePassword), AuthController.changePassword);
+router.post('/logout', AuthController.logout);
+router.post('/logout-all', AuthController.logoutAll);
+router.get('/permissions', PermissionController.getMyPermissions);
+
+// Two-factor authentication
+router.get('/2fa', AuthController.getTwoFactorStatus);
+router.post('/2fa/setup', AuthController.setupTwoFactor);
+router.post('/2fa/enable', validate(schemas.twoFactorCode), AuthController.enableTwoFactor);
+router.post('/2fa/disable', validate(schemas.disableTwoFactor), AuthController.disableTwoFactor);
+router.post('/2fa/recovery-codes', validate(schemas.twoFactorCode), AuthController.regenerateRecoveryCodes);
+
+module.exports = router;
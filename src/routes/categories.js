@@ -0,0 +1,27 @@
+// src/routes/categories.js
+const express = require('express');
+const CategoryController = require('../controllers/CategoryController');
+const ProductController = require('../controllers/ProductController');
+const { authenticate, authorize } = require('../middleware/auth');
+const { validateIdParams, validate } = require('../middleware/validation');
+const schemas = require('../schemas/categories');
+const productSchemas = require('../schemas/products');
+const { USER_ROLES } = require('../utils/constants');
+
+const { ADMIN, MANAGER } = USER_ROLES;
+
+const router = express.Router();
+
+router.use(authenticate);
+
+router.get('/', validate(schemas.listCategories), CategoryController.getAllCategories);
+router.get('/hierarchy', validate(schemas.categoryHierarchy), CategoryController.getCategoryHierarchy);
+router.get('/statistics', authorize(ADMIN, MANAGER), CategoryController.getCategoryStatistics);
+router.post('/', authorize(ADMIN, MANAGER), validate(schemas.createCategory), CategoryController.createCategory);
+
+router.get('/:categoryId', validateIdParams('categoryId'), validate(schemas.getCategory), CategoryController.getCategoryById);
+router.put('/:categoryId', authorize(ADMIN, MANAGER), validateIdParams('categoryId'), validate(schemas.updateCategory), CategoryController.updateCategory);
+router.delete('/:categoryId', authorize(ADMIN, MANAGER), validateIdParams('categoryId'), validate(schemas.deleteCategory), CategoryController.deleteCategory);
+router.get('/:categoryId/products', validateIdParams('categoryId'), validate(productSchemas.productsByCategory), ProductController.getProductsByCategory);
+
+module.exports = router;
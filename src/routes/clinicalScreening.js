@@ -0,0 +1,20 @@
+// src/routes/clinicalScreening.js
+const express = require('express');
+const ClinicalScreeningController = require('../controllers/ClinicalScreeningController');
+const { authenticate, authorize } = require('../middleware/auth');
+const { validate } = require('../middleware/validation');
+const schemas = require('../schemas/clinicalScreening');
+const { USER_ROLES } = require('../utils/constants');
+
+const { ADMIN, MANAGER, PHARMACIST } = USER_ROLES;
+
+const router = express.Router();
+
+router.use(authenticate);
+
+router.post('/screen', validate(schemas.screen), ClinicalScreeningController.screen);
+router.get('/overrides', authorize(ADMIN, MANAGER, PHARMACIST), validate(schemas.listOverrides), ClinicalScreeningController.getOverrides);
+router.get('/dataset', authorize(ADMIN, MANAGER, PHARMACIST), ClinicalScreeningController.getDataset);
+router.post('/dataset/reload', authorize(ADMIN), ClinicalScreeningController.reloadDataset);
+
+module.exports = router;
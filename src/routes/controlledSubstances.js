@@ -0,0 +1,21 @@
+// src/routes/controlledSubstances.js
+const express = require('express');
+const ControlledSubstanceController = require('../controllers/ControlledSubstanceController');
+const { authenticate, authorize, requirePermission } = require('../middleware/auth');
+const { validateIdParams, validate } = require('../middleware/validation');
+const schemas = require('../schemas/controlledSubstances');
+const { USER_ROLES, PERMISSIONS } = require('../utils/constants');
+
+const { ADMIN, MANAGER, PHARMACIST } = USER_ROLES;
+
+const router = express.Router();
+
+router.use(authenticate);
+
+router.get('/register', authorize(ADMIN, MANAGER, PHARMACIST), validate(schemas.listRegister), ControlledSubstanceController.getRegister);
+router.get('/register/balances', authorize(ADMIN, MANAGER, PHARMACIST), validate(schemas.balances), ControlledSubstanceController.getBalances);
+router.post('/destructions', requirePermission(PERMISSIONS.CONTROLLED_DISPENSE), validate(schemas.createDestruction), ControlledSubstanceController.destroyStock);
+router.post('/counts', requirePermission(PERMISSIONS.CONTROLLED_DISPENSE), validate(schemas.createCount), ControlledSubstanceController.createCount);
+router.get('/counts/:countId', authorize(ADMIN, MANAGER, PHARMACIST), validateIdParams('countId'), ControlledSubstanceController.getCount);
+
+module.exports = router;
@@ -0,0 +1,26 @@
+// src/routes/customers.js
+const express = require('express');
+const CustomerController = require('../controllers/CustomerController');
+const PrescriptionController = require('../controllers/PrescriptionController');
+const { authenticate, authorize } = require('../middleware/auth');
+const { validateIdParams, validate } = require('../middleware/validation');
+const schemas = require('../schemas/customers');
+const { USER_ROLES } = require('../utils/constants');
+
+const { ADMIN, MANAGER, PHARMACIST, TECHNICIAN } = USER_ROLES;
+
+const router = express.Router();
+
+router.use(authenticate);
+
+router.get('/', validate(schemas.listCustomers), CustomerController.getCustomers);
+router.get('/search', validate(schemas.searchCustomers), CustomerController.searchCustomers);
+router.post('/', validate(schemas.createCustomer), CustomerController.createCustomer);
+
+router.get('/:customerId', validateIdParams('customerId'), CustomerController.getCustomerById);
+router.put('/:customerId', validateIdParams('customerId'), validate(schemas.updateCustomer), CustomerController.updateCustomer);
+router.patch('/:customerId/status', authorize(ADMIN, MANAGER, PHARMACIST), validateIdParams('customerId'), validate(schemas.toggleCustomerStatus), CustomerController.toggleCustomerStatus);
+router.get('/:customerId/prescriptions', authorize(ADMIN, MANAGER, PHARMACIST, TECHNICIAN), validateIdParams('customerId'), validate(schemas.customerHistory), PrescriptionController.getCustomerPrescriptions);
+router.get('/:customerId/purchases', validateIdParams('customerId'), validate(schemas.customerHistory), CustomerController.getCustomerPurchaseHistory);
+
+module.exports = router;
@@ -0,0 +1,55 @@
+// src/routes/index.js
+const express = require('express');
+
+const authRoutes = require('./auth');
+const userRoutes = require('./users');
+const productRoutes = require('./products');
+const categoryRoutes = require('./categories');
+const inventoryRoutes = require('./inventory');
+const stockMovementRoutes = require('./stockMovements');
+const customerRoutes = require('./customers');
+const salesRoutes = require('./sales');
+const supplierRoutes = require('./suppliers');
+const purchaseOrderRoutes = require('./purchaseOrders');
+const alertRoutes = require('./alerts');
+const notificationRoutes = require('./notifications');
+const reportRoutes = require('./reports');
+const apiKeyRoutes = require('./apiKeys');
+const permissionRoutes = require('./permissions');
+const auditLogRoutes = require('./auditLogs');
+const controlledSubstanceRoutes = require('./controlledSubstances');
+const prescriptionRoutes = require('./prescriptions');
+const prescriberRoutes = require('./prescribers');
+const clinicalScreeningRoutes = require('./clinicalScreening');
+const shiftRoutes = require('./shifts');
+const promotionRoutes = require('./promotions');
+const priceListRoutes = require('./priceLists');
+
+// Mounted by server.js under /api/${API_VERSION}
+const router = express.Router();
+
+router.use('/auth', authRoutes);
+router.use('/users', userRoutes);
+router.use('/products', productRoutes);
+router.use('/categories', categoryRoutes);
+router.use('/inventory', inventoryRoutes);
+router.use('/stock-movements', stockMovementRoutes);
+router.use('/customers', customerRoutes);
+router.use('/sales', salesRoutes);
+router.use('/suppliers', supplierRoutes);
+router.use('/purchase-orders', purchaseOrderRoutes);
+router.use('/alerts', alertRoutes);
+router.use('/notifications', notificationRoutes);
+router.use('/reports', reportRoutes);
+router.use('/api-keys', apiKeyRoutes);
+router.use('/permissions', permissionRoutes);
+router.use('/audit-logs', auditLogRoutes);
+router.use('/controlled-substances', controlledSubstanceRoutes);
+router.use('/prescriptions', prescriptionRoutes);
+router.use('/prescribers', prescriberRoutes);
+router.use('/clinical-screening', clinicalScreeningRoutes);
+router.use('/shifts', shiftRoutes);
+router.use('/promotions', promotionRoutes);
+router.use('/price-lists', priceListRoutes);
+
+module.exports = router;
@@ -0,0 +1,33 @@
+// src/routes/inventory.js
+const express = require('express');
+const InventoryController = require('../controllers/InventoryController');
+const { authenticate, authorize, requirePermission, permitApiKey } = require('../middleware/auth');
+const { validateIdParams, validate } = require('../middleware/validation');
+const schemas = require('../schemas/inventory');
+const { USER_ROLES, API_KEY_SCOPES, PERMISSIONS } = require('../utils/constants');
+
+const { ADMIN, MANAGER, PHARMACIST, TECHNICIAN } = USER_ROLES;
+
+const router = express.Router();
+
+// Integrations (e.g. shelf-label printers) may read stock with an inventory:read key
+router.get(['/', '/:id', '/:id/movements', '/products/:productId/stock-level'], permitApiKey(API_KEY_SCOPES.INVENTORY_READ));
+
+router.use(authenticate);
+
+router.get('/', validate(schemas.listInventory), InventoryController.getAllInventory);
+router.get('/expiring', validate(schemas.expiringInventory), InventoryController.getExpiringInventory);
+router.get('/low-stock', InventoryController.getLowStockProducts);
+router.get('/products/:productId/stock-level', validateIdParams('productId'), InventoryController.getStockLevel);
+router.post('/', authorize(ADMIN, MANAGER, PHARMACIST, TECHNICIAN), validate(schemas.createInventory), InventoryController.createInventory);
+router.post('/bulk-update', requirePermission(PERMISSIONS.INVENTORY_ADJUST), validate(schemas.bulkUpdateQuantities), InventoryController.bulkUpdateQuantities);
+
+router.get('/:id', validateIdParams('id'), InventoryController.getInventoryById);
+router.get('/:id/movements', validateIdParams('id'), InventoryController.getMovementHistory);
+router.patch('/:id/quantity', requirePermission(PERMISSIONS.INVENTORY_ADJUST), validateIdParams('id'), validate(schemas.updateQuantity), InventoryController.updateInventoryQuantity);
+router.patch('/:id/status', requirePermission(PERMISSIONS.INVENTORY_ADJUST), validateIdParams('id'), validate(schemas.updateStatus), InventoryController.updateInventoryStatus);
+router.post('/:id/adjustments', requirePermission(PERMISSIONS.INVENTORY_ADJUST), validateIdParams('id'), validate(schemas.adjustment), InventoryController.inventoryAdjustment);
+router.post('/:id/reserve', validateIdParams('id'), validate(schemas.reservation), InventoryController.reserveInventory);
+router.post('/:id/release', validateIdParams('id'), validate(schemas.reservation), InventoryController.releaseReservedInventory);
+
+module.exports = router;
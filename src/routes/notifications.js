@@ -0,0 +1,30 @@
+// src/routes/notifications.js
+const express = require('express');
+const NotificationController = require('../controllers/NotificationController');
+const { authenticate, authorize } = require('../middleware/auth');
+const { validateIdParams, validate } = require('../middleware/validation');
+const schemas = require('../schemas/notifications');
+const { USER_ROLES } = require('../utils/constants');
+
+const { ADMIN, MANAGER } = USER_ROLES;
+
+const router = express.Router();
+
+router.use(authenticate);
+
+// Current user's notifications
+router.get('/', validate(schemas.listNotifications), NotificationController.getUserNotifications);
+router.get('/stats', NotificationController.getNotificationStats);
+router.patch('/read-all', validate(schemas.markAllAsRead), NotificationController.markAllAsRead);
+
+// Administration
+router.post('/', authorize(ADMIN, MANAGER), validate(schemas.createNotification), NotificationController.createSystemNotification);
+router.post('/broadcast', authorize(ADMIN, MANAGER), validate(schemas.broadcast), NotificationController.sendBroadcast);
+router.post('/generate/expiration', authorize(ADMIN, MANAGER), validate(schemas.generateAlerts), NotificationController.generateExpirationAlerts);
+router.post('/generate/low-stock', authorize(ADMIN, MANAGER), validate(schemas.generateAlerts), NotificationController.generateLowStockAlerts);
+router.delete('/expired', authorize(ADMIN), NotificationController.cleanupExpiredNotifications);
+
+router.patch('/:notificationId/read', validateIdParams('notificationId'), NotificationController.markAsRead);
+router.delete('/:notificationId', validateIdParams('notificationId'), NotificationController.deleteNotification);
+
+module.exports = router;
@@ -0,0 +1,18 @@
+// src/routes/permissions.js
+const express = require('express');
+const PermissionController = require('../controllers/PermissionController');
+const { authenticate, authorize } = require('../middleware/auth');
+const { validate } = require('../middleware/validation');
+const schemas = require('../schemas/permissions');
+const { USER_ROLES } = require('../utils/constants');
+
+const { ADMIN, MANAGER } = USER_ROLES;
+
+const router = express.Router();
+
+router.use(authenticate, authorize(ADMIN, MANAGER));
+
+router.get('/', PermissionController.getPermissions);
+router.put('/roles/:role', authorize(ADMIN), validate(schemas.setRolePermissions), PermissionController.setRolePermissions);
+
+module.exports = router;
@@ -0,0 +1,22 @@
+// src/routes/prescribers.js
+const express = require('express');
+const PrescriberController = require('../controllers/PrescriberController');
+const { authenticate, authorize } = require('../middleware/auth');
+const { validateIdParams, validate } = require('../middleware/validation');
+const schemas = require('../schemas/prescribers');
+const { USER_ROLES } = require('../utils/constants');
+
+const { ADMIN, MANAGER, PHARMACIST, TECHNICIAN } = USER_ROLES;
+
+const router = express.Router();
+
+router.use(authenticate, authorize(ADMIN, MANAGER, PHARMACIST, TECHNICIAN));
+
+router.get('/', validate(schemas.listPrescribers), PrescriberController.getPrescribers);
+router.post('/', authorize(ADMIN, MANAGER, PHARMACIST), validate(schemas.createPrescriber), PrescriberController.createPrescriber);
+
+router.get('/:prescriberId', validateIdParams('prescriberId'), PrescriberController.getPrescriberById);
+router.put('/:prescriberId', authorize(ADMIN, MANAGER, PHARMACIST), validateIdParams('prescriberId'), validate(schemas.updatePrescriber), PrescriberController.updatePrescriber);
+router.delete('/:prescriberId', authorize(ADMIN, MANAGER, PHARMACIST), validateIdParams('prescriberId'), PrescriberController.deactivatePrescriber);
+
+module.exports = router;
@@ -0,0 +1,20 @@
+// src/routes/prescriptions.js
+const express = require('express');
+const PrescriptionController = require('../controllers/PrescriptionController');
+const { authenticate, authorize } = require('../middleware/auth');
+const { validateIdParams, validate } = require('../middleware/validation');
+const schemas = require('../schemas/prescriptions');
+const { USER_ROLES } = require('../utils/constants');
+
+const { ADMIN, MANAGER, PHARMACIST, TECHNICIAN } = USER_ROLES;
+
+const router = express.Router();
+
+router.use(authenticate, authorize(ADMIN, MANAGER, PHARMACIST, TECHNICIAN));
+
+router.get('/', validate(schemas.listPrescriptions), PrescriptionController.getPrescriptions);
+router.post('/', authorize(ADMIN, PHARMACIST), validate(schemas.createPrescription), PrescriptionController.createPrescription);
+router.get('/:prescriptionId', validateIdParams('prescriptionId'), PrescriptionController.getPrescriptionById);
+router.patch('/:prescriptionId/status', authorize(ADMIN, PHARMACIST), validateIdParams('prescriptionId'), validate(schemas.updateStatus), PrescriptionController.updatePrescriptionStatus);
+
+module.exports = router;
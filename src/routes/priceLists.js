@@ -0,0 +1,25 @@
+// src/routes/priceLists.js
+const express = require('express');
+const PriceListController = require('../controllers/PriceListController');
+const { authenticate, authorize } = require('../middleware/auth');
+const { validateIdParams, validate } = require('../middleware/validation');
+const schemas = require('../schemas/priceLists');
+const { USER_ROLES } = require('../utils/constants');
+
+const { ADMIN, MANAGER } = USER_ROLES;
+
+const router = express.Router();
+
+router.use(authenticate);
+
+router.get('/', validate(schemas.listPriceLists), PriceListController.getPriceLists);
+router.post('/', authorize(ADMIN, MANAGER), validate(schemas.createPriceList), PriceListController.createPriceList);
+
+router.get('/:priceListId', validateIdParams('priceListId'), PriceListController.getPriceListById);
+router.put('/:priceListId', authorize(ADMIN, MANAGER), validateIdParams('priceListId'), validate(schemas.updatePriceList), PriceListController.updatePriceList);
+router.delete('/:priceListId', authorize(ADMIN, MANAGER), validateIdParams('priceListId'), PriceListController.deactivatePriceList);
+
+router.post('/:priceListId/rules', authorize(ADMIN, MANAGER), validateIdParams('priceListId'), validate(schemas.addPriceListRule), PriceListController.addRule);
+router.delete('/:priceListId/rules/:ruleId', authorize(ADMIN, MANAGER), validateIdParams('priceListId', 'ruleId'), PriceListController.removeRule);
+
+module.exports = router;
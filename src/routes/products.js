@@ -0,0 +1,30 @@
+// src/routes/products.js
+const express = require('express');
+const ProductController = require('../controllers/ProductController');
+const { authenticate, authorize, permitApiKey } = require('../middleware/auth');
+const { validateIdParams, validate } = require('../middleware/validation');
+const schemas = require('../schemas/products');
+const { USER_ROLES, API_KEY_SCOPES } = require('../utils/constants');
+
+const { ADMIN, MANAGER, PHARMACIST } = USER_ROLES;
+
+const router = express.Router();
+
+// Integrations may read the catalogue with an inventory:read key
+router.get(['/', '/:productId', '/:productId/inventory'], permitApiKey(API_KEY_SCOPES.INVENTORY_READ));
+
+router.use(authenticate);
+
+router.get('/', validate(schemas.listProducts), ProductController.getAllProducts);
+router.get('/search', validate(schemas.searchProducts), ProductController.searchProducts);
+router.get('/low-stock', validate(schemas.lowStockProducts), ProductController.getLowStockProducts);
+router.post('/', authorize(ADMIN, MANAGER, PHARMACIST), validate(schemas.createProduct), ProductController.createProduct);
+router.patch('/bulk', authorize(ADMIN, MANAGER), validate(schemas.bulkUpdateProducts), ProductController.bulkUpdateProducts);
+
+router.get('/:productId', validateIdParams('productId'), validate(schemas.productDetails), ProductController.getProductById);
+router.put('/:productId', authorize(ADMIN, MANAGER, PHARMACIST), validateIdParams('productId'), validate(schemas.updateProduct), ProductController.updateProduct);
+router.delete('/:productId', authorize(ADMIN, MANAGER), validateIdParams('productId'), ProductController.deleteProduct);
+router.get('/:productId/inventory', validateIdParams('productId'), ProductController.getProductInventory);
+router.get('/:productId/price-history', authorize(ADMIN, MANAGER, PHARMACIST), validateIdParams('productId'), validate(schemas.priceHistory), ProductController.getProductPriceHistory);
+
+module.exports = router;
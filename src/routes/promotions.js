@@ -0,0 +1,22 @@
+// src/routes/promotions.js
+const express = require('express');
+const PromotionController = require('../controllers/PromotionController');
+const { authenticate, authorize } = require('../middleware/auth');
+const { validateIdParams, validate } = require('../middleware/validation');
+const schemas = require('../schemas/promotions');
+const { USER_ROLES } = require('../utils/constants');
+
+const { ADMIN, MANAGER } = USER_ROLES;
+
+const router = express.Router();
+
+router.use(authenticate);
+
+router.get('/', validate(schemas.listPromotions), PromotionController.getPromotions);
+router.post('/', authorize(ADMIN, MANAGER), validate(schemas.createPromotion), PromotionController.createPromotion);
+
+router.get('/:promotionId', validateIdParams('promotionId'), PromotionController.getPromotionById);
+router.put('/:promotionId', authorize(ADMIN, MANAGER), validateIdParams('promotionId'), validate(schemas.updatePromotion), PromotionController.updatePromotion);
+router.delete('/:promotionId', authorize(ADMIN, MANAGER), validateIdParams('promotionId'), PromotionController.deactivatePromotion);
+
+module.exports = router;
@@ -0,0 +1,30 @@
+// src/routes/purchaseOrders.js
+const express = require('express');
+const PurchaseOrderController = require('../controllers/PurchaseOrderController');
+const { authenticate, authorize, permitApiKey } = require('../middleware/auth');
+const { validateIdParams, validate } = require('../middleware/validation');
+const schemas = require('../schemas/purchaseOrders');
+const { USER_ROLES, API_KEY_SCOPES } = require('../utils/constants');
+
+const { ADMIN, MANAGER, PHARMACIST, TECHNICIAN } = USER_ROLES;
+
+const router = express.Router();
+
+// Receiving integrations may look up and receive orders with a purchase_orders:receive key.
+// '/:id' also matches the read-only /stats and /overdue summaries.
+router.get(['/', '/:id'], permitApiKey(API_KEY_SCOPES.PURCHASE_ORDERS_RECEIVE));
+router.post('/:id/receive', permitApiKey(API_KEY_SCOPES.PURCHASE_ORDERS_RECEIVE));
+
+router.use(authenticate, authorize(ADMIN, MANAGER, PHARMACIST, TECHNICIAN));
+
+router.get('/', validate(schemas.listPurchaseOrders), PurchaseOrderController.getAllPurchaseOrders);
+router.get('/stats', PurchaseOrderController.getPurchaseOrderStats);
+router.get('/overdue', PurchaseOrderController.getOverduePurchaseOrders);
+router.post('/', authorize(ADMIN, MANAGER, PHARMACIST), validate(schemas.createPurchaseOrder), PurchaseOrderController.createPurchaseOrder);
+
+router.get('/:id', validateIdParams('id'), PurchaseOrderController.getPurchaseOrderById);
+router.patch('/:id/status', authorize(ADMIN, MANAGER), validateIdParams('id'), validate(schemas.updateStatus), PurchaseOrderController.updatePurchaseOrderStatus);
+router.post('/:id/receive', validateIdParams('id'), validate(schemas.receiveGoods), PurchaseOrderController.receiveGoods);
+router.post('/:id/cancel', authorize(ADMIN, MANAGER), validateIdParams('id'), validate(schemas.cancelPurchaseOrder), PurchaseOrderController.cancelPurchaseOrder);
+
+module.exports = router;
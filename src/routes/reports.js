@@ -0,0 +1,22 @@
+// src/routes/reports.js
+const express = require('express');
+const ReportController = require('../controllers/ReportController');
+const { authenticate, authorize, requirePermission } = require('../middleware/auth');
+const { validate } = require('../middleware/validation');
+const schemas = require('../schemas/reports');
+const { USER_ROLES, PERMISSIONS } = require('../utils/constants');
+
+const { ADMIN, MANAGER, PHARMACIST } = USER_ROLES;
+
+const router = express.Router();
+
+router.use(authenticate);
+
+router.get('/sales-summary', requirePermission(PERMISSIONS.REPORTS_FINANCIAL), validate(schemas.salesSummary), ReportController.getSalesSummary);
+router.get('/inventory-valuation', requirePermission(PERMISSIONS.REPORTS_FINANCIAL), validate(schemas.inventoryValuation), ReportController.getInventoryValuation);
+router.get('/expiration', authorize(ADMIN, MANAGER, PHARMACIST), validate(schemas.expirationReport), ReportController.getExpirationReport);
+router.get('/low-stock', authorize(ADMIN, MANAGER, PHARMACIST), validate(schemas.lowStockReport), ReportController.getLowStockReport);
+router.get('/price-exceptions', requirePermission(PERMISSIONS.PRICE_OVERRIDE), validate(schemas.priceExceptions), ReportController.getPriceExceptions);
+router.post('/custom', requirePermission(PERMISSIONS.REPORTS_FINANCIAL), validate(schemas.customReport), ReportController.generateCustomReport);
+
+module.exports = router;
@@ -0,0 +1,38 @@
+// src/routes/sales.js
+const express = require('express');
+const SalesController = require('../controllers/SalesController');
+const { authenticate, requirePermission, permitApiKey } = require('../middleware/auth');
+const { validateIdParams, validate } = require('../middleware/validation');
+const schemas = require('../schemas/sales');
+const { API_KEY_SCOPES, PERMISSIONS } = require('../utils/constants');
+
+const router = express.Router();
+
+// Integrations (e.g. e-commerce sync) may record sales with a sales:create key
+router.post('/', permitApiKey(API_KEY_SCOPES.SALES_CREATE));
+
+router.use(authenticate);
+
+router.get('/', validate(schemas.listSales), SalesController.getSales);
+router.get('/analytics', requirePermission(PERMISSIONS.REPORTS_FINANCIAL), validate(schemas.salesAnalytics), SalesController.getSalesAnalytics);
+router.post('/', validate(schemas.createSale), SalesController.createSale);
+// A manager approves a price for a cashier's sale from their own session
+router.post('/price-overrides/approvals', requirePermission(PERMISSIONS.PRICE_OVERRIDE), validate(schemas.approvePriceOverride), SalesController.approvePriceOverride);
+
+// Parked sales, quotes and layaways, held until they expire; any terminal can pick one up
+router.get('/drafts', validate(schemas.listDrafts), SalesController.getDrafts);
+router.post('/drafts', validate(schemas.saveDraft), SalesController.createDraft);
+router.get('/drafts/:draftId', validateIdParams('draftId'), SalesController.getDraftById);
+router.put('/drafts/:draftId', validateIdParams('draftId'), validate(schemas.saveDraft), SalesController.updateDraft);
+router.delete('/drafts/:draftId', validateIdParams('draftId'), SalesController.cancelDraft);
+router.post('/drafts/:draftId/quote', validateIdParams('draftId'), SalesController.createQuote);
+router.get('/drafts/:draftId/quote', validateIdParams('draftId'), validate(schemas.quoteDocument), SalesController.getQuote);
+router.post('/drafts/:draftId/layaway', validateIdParams('draftId'), validate(schemas.createLayaway), SalesController.createLayaway);
+router.post('/drafts/:draftId/payments', validateIdParams('draftId'), validate(schemas.addLayawayPayment), SalesController.addLayawayPayment);
+router.post('/drafts/:draftId/complete', validateIdParams('draftId'), validate(schemas.completeDraft), SalesController.completeDraft);
+router.post('/drafts/:draftId/refund', requirePermission(PERMISSIONS.SALES_REFUND), validateIdParams('draftId'), SalesController.refundLayaway);
+
+router.get('/:saleId', validateIdParams('saleId'), SalesController.getSaleById);
+router.post('/:saleId/refunds', requirePermission(PERMISSIONS.SALES_REFUND), validateIdParams('saleId'), validate(schemas.processRefund), SalesController.processRefund);
+
+module.exports = router;
@@ -0,0 +1,22 @@
+// src/routes/shifts.js
+const express = require('express');
+const ShiftController = require('../controllers/ShiftController');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { validateIdParams, validate } = require('../middleware/validation');
+const schemas = require('../schemas/shifts');
+const { PERMISSIONS } = require('../utils/constants');
+
+const router = express.Router();
+
+router.use(authenticate);
+
+router.get('/', requirePermission(PERMISSIONS.SHIFTS_RECONCILE), validate(schemas.listShifts), ShiftController.getShifts);
+router.post('/', validate(schemas.openShift), ShiftController.openShift);
+router.get('/current', ShiftController.getCurrentShift);
+
+// Cashiers work on their own shifts; shifts.reconcile covers anyone's
+router.post('/:shiftId/cash-movements', validateIdParams('shiftId'), validate(schemas.addCashMovement), ShiftController.addCashMovement);
+router.post('/:shiftId/close', validateIdParams('shiftId'), validate(schemas.closeShift), ShiftController.closeShift);
+router.get('/:shiftId/z-report', requirePermission(PERMISSIONS.SHIFTS_RECONCILE), validateIdParams('shiftId'), ShiftController.getZReport);
+
+module.exports = router;
@@ -0,0 +1,21 @@
+// src/routes/stockMovements.js
+const express = require('express');
+const StockMovementController = require('../controllers/StockMovementController');
+const { authenticate, authorize, requirePermission } = require('../middleware/auth');
+const { validateIdParams, validate } = require('../middleware/validation');
+const schemas = require('../schemas/stockMovements');
+const { USER_ROLES, PERMISSIONS } = require('../utils/constants');
+
+const { ADMIN, MANAGER, PHARMACIST, TECHNICIAN } = USER_ROLES;
+
+const router = express.Router();
+
+router.use(authenticate, authorize(ADMIN, MANAGER, PHARMACIST, TECHNICIAN));
+
+router.get('/', validate(schemas.listMovements), StockMovementController.getMovements);
+router.get('/summary', validate(schemas.movementSummary), StockMovementController.getMovementSummary);
+router.get('/products/:productId', validateIdParams('productId'), validate(schemas.productHistory), StockMovementController.getProductMovementHistory);
+router.post('/adjustments', requirePermission(PERMISSIONS.INVENTORY_ADJUST), validate(schemas.createAdjustment), StockMovementController.createAdjustment);
+router.post('/transfers', validate(schemas.createTransfer), StockMovementController.createTransfer);
+
+module.exports = router;
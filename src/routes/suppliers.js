@@ -0,0 +1,26 @@
+// src/routes/suppliers.js
+const express = require('express');
+const SupplierController = require('../controllers/SupplierController');
+const { authenticate, authorize } = require('../middleware/auth');
+const { validateIdParams, validate } = require('../middleware/validation');
+const schemas = require('../schemas/suppliers');
+const { USER_ROLES } = require('../utils/constants');
+
+const { ADMIN, MANAGER, PHARMACIST, TECHNICIAN } = USER_ROLES;
+
+const router = express.Router();
+
+router.use(authenticate, authorize(ADMIN, MANAGER, PHARMACIST, TECHNICIAN));
+
+router.get('/', validate(schemas.listSuppliers), SupplierController.getAllSuppliers);
+router.get('/stats', SupplierController.getSupplierStats);
+router.get('/top', validate(schemas.topSuppliers), SupplierController.getTopSuppliers);
+router.post('/', authorize(ADMIN, MANAGER), validate(schemas.createSupplier), SupplierController.createSupplier);
+
+router.get('/:id', validateIdParams('id'), SupplierController.getSupplierById);
+router.put('/:id', authorize(ADMIN, MANAGER), validateIdParams('id'), validate(schemas.updateSupplier), SupplierController.updateSupplier);
+router.delete('/:id', authorize(ADMIN, MANAGER), validateIdParams('id'), SupplierController.deactivateSupplier);
+router.get('/:id/purchase-orders', validateIdParams('id'), validate(schemas.purchaseHistory), SupplierController.getSupplierPurchaseHistory);
+router.get('/:id/performance', validateIdParams('id'), validate(schemas.supplierPerformance), SupplierController.getSupplierPerformance);
+
+module.exports = router;
@@ -0,0 +1,35 @@
+// src/routes/users.js
+const express = require('express');
+const UserController = require('../controllers/UserController');
+const PermissionController = require('../controllers/PermissionController');
+const { authenticate, authorize } = require('../middleware/auth');
+const { validateIdParams, validate } = require('../middleware/validation');
+const schemas = require('../schemas/users');
+const permissionSchemas = require('../schemas/permissions');
+const { USER_ROLES } = require('../utils/constants');
+
+const { ADMIN, MANAGER } = USER_ROLES;
+
+const router = express.Router();
+
+router.use(authenticate, authorize(ADMIN, MANAGER));
+
+router.get('/', validate(schemas.listUsers), UserController.getAllUsers);
+router.get('/stats', UserController.getUserStats);
+router.get('/:userId', validateIdParams('userId'), UserController.getUserById);
+
+// Per-user grants and denials on top of the role's permissions
+router.get('/:userId/permissions', validateIdParams('userId'), PermissionController.getUserPermissions);
+router.put('/:userId/permissions/:permission', validate(permissionSchemas.setUserPermission), PermissionController.setUserPermission);
+router.delete('/:userId/permissions/:permission', validate(permissionSchemas.removeUserPermission), PermissionController.removeUserPermission);
+
+// Account administration is restricted to admins
+router.post('/', authorize(ADMIN), validate(schemas.createUser), UserController.createUser);
+router.put('/:userId', authorize(ADMIN), validateIdParams('userId'), validate(schemas.updateUser), UserController.updateUser);
+router.delete('/:userId', authorize(ADMIN), validateIdParams('userId'), UserController.deleteUser);
+router.post('/:userId/reset-password', authorize(ADMIN), validateIdParams('userId'), validate(schemas.resetPassword), UserController.resetUserPassword);
+router.post('/:userId/2fa/reset', authorize(ADMIN), validateIdParams('userId'), UserController.resetTwoFactor);
+router.post('/:userId/unlock', authorize(ADMIN), validateIdParams('userId'), UserController.unlockUser);
+router.patch('/:userId/status', authorize(ADMIN), validateIdParams('userId'), UserController.toggleUserStatus);
+
+module.exports = router;
@@ -0,0 +1,57 @@
+// src/schemas/alerts.js
+const { Joi, id, date, text, optionalText, sortOrder, pagination } = require('../utils/validation');
+
+const listAlerts = {
+  query: Joi.object({
+    ...pagination,
+    limit: pagination.limit.default(50),
+    alert_type: Joi.string().valid('90_days', '60_days', '30_days', 'expired'),
+    is_acknowledged: Joi.boolean(),
+    date_from: date,
+    date_to: date,
+    search: text(100),
+    sort_by: Joi.string().valid('alert_date', 'expiration_date', 'alert_type', 'quantity', 'product_name').default('alert_date'),
+    sort_order: sortOrder.default('DESC')
+  })
+};
+
+const alertLimit = {
+  query: Joi.object({
+    limit: pagination.limit
+  })
+};
+
+const acknowledgeAlert = {
+  body: Joi.object({
+    action_taken: optionalText(1000)
+  })
+};
+
+const bulkAcknowledge = {
+  body: Joi.object({
+    alert_ids: Joi.array().items(id).min(1).max(500).unique().required(),
+    action_taken: optionalText(1000)
+  })
+};
+
+const cleanupAlerts = {
+  query: Joi.object({
+    days_old: Joi.number().integer().min(1).max(3650).default(90)
+  })
+};
+
+const alertsByCategory = {
+  query: Joi.object({
+    is_acknowledged: Joi.boolean().default(false),
+    limit: pagination.limit.default(50)
+  })
+};
+
+module.exports = {
+  listAlerts,
+  alertLimit,
+  acknowledgeAlert,
+  bulkAcknowledge,
+  cleanupAlerts,
+  alertsByCategory
+};
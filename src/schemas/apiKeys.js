@@ -0,0 +1,32 @@
+// src/schemas/apiKeys.js
+const { Joi, text, pagination } = require('../utils/validation');
+const { API_KEY_SCOPES } = require('../utils/constants');
+
+const listApiKeys = {
+  query: Joi.object({
+    ...pagination,
+    includeRevoked: Joi.boolean().default(false)
+  })
+};
+
+const createApiKey = {
+  body: Joi.object({
+    name: text(100).min(1).required(),
+    scopes: Joi.array().items(Joi.string().valid(...Object.values(API_KEY_SCOPES))).min(1).unique().required(),
+    rateLimitPerMinute: Joi.number().integer().min(1).max(10000).allow(null),
+    expiresAt: Joi.date().iso().greater('now').allow(null)
+  })
+};
+
+const rotateApiKey = {
+  body: Joi.object({
+    // How long the old key keeps working, so the integration can switch over
+    gracePeriodMinutes: Joi.number().integer().min(0).max(10080).default(0)
+  })
+};
+
+module.exports = {
+  listApiKeys,
+  createApiKey,
+  rotateApiKey
+};
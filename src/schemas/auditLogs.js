@@ -0,0 +1,27 @@
+// src/schemas/auditLogs.js
+const { Joi, id, pagination, dateRange, dateRangeRule } = require('../utils/validation');
+const { AUDIT_ACTIONS } = require('../utils/constants');
+
+const listAuditLogs = {
+  query: Joi.object({
+    ...pagination,
+    tableName: Joi.string().trim().lowercase().pattern(/^[a-z_]{1,63}$/),
+    recordId: id,
+    action: Joi.string().uppercase().valid(...Object.values(AUDIT_ACTIONS)),
+    changedBy: id,
+    apiKeyId: id,
+    requestId: Joi.string().trim().max(128),
+    ...dateRange
+  }).custom(dateRangeRule)
+};
+
+const verifyAuditLog = {
+  query: Joi.object({
+    maxProblems: Joi.number().integer().min(1).max(1000).default(100)
+  })
+};
+
+module.exports = {
+  listAuditLogs,
+  verifyAuditLog
+};
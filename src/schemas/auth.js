@@ -0,0 +1,115 @@
+// src/schemas/auth.js
+const { Joi, text, email, phone, password, userRole, totpCode } = require('../utils/validation');
+const { username } = require('./users');
+const { USER_ROLES } = require('../utils/constants');
+
+const login = {
+  body: Joi.object({
+    // Accepts a username or an email address
+    username: Joi.string().trim().max(255).required(),
+    password: Joi.string().max(128).required()
+  })
+};
+
+const register = {
+  body: Joi.object({
+    username: username.required(),
+    email: email.required(),
+    password: password.required(),
+    confirmPassword: Joi.string().required(),
+    firstName: text(100).min(1).required(),
+    lastName: text(100).min(1).required(),
+    role: userRole.default(USER_ROLES.TECHNICIAN),
+    phone: phone.allow('', null)
+  })
+};
+
+const updateProfile = {
+  body: Joi.object({
+    firstName: text(100).min(1),
+    lastName: text(100).min(1),
+    email,
+    phone: phone.allow('', null)
+  }).min(1)
+};
+
+const changePassword = {
+  body: Joi.object({
+    currentPassword: Joi.string().max(128).required(),
+    newPassword: password.required(),
+    confirmPassword: Joi.string().required()
+  })
+};
+
+const refresh = {
+  body: Joi.object({
+    refreshToken: Joi.string().max(2048).required()
+  })
+};
+
+const requestPasswordReset = {
+  body: Joi.object({
+    email: email.required()
+  })
+};
+
+const confirmPasswordReset = {
+  body: Joi.object({
+    token: Joi.string().trim().max(128).required(),
+    password: password.required(),
+    confirmPassword: Joi.string().required()
+  })
+};
+
+// Six-digit code from an authenticator app
+const challengeToken = Joi.string().max(2048);
+
+const verifyTwoFactorLogin = {
+  body: Joi.object({
+    challengeToken: challengeToken.required(),
+    code: totpCode,
+    recoveryCode: Joi.string().trim().max(32)
+  }).xor('code', 'recoveryCode')
+};
+
+const loginTwoFactorSetup = {
+  body: Joi.object({
+    challengeToken: challengeToken.required()
+  })
+};
+
+const loginTwoFactorEnable = {
+  body: Joi.object({
+    challengeToken: challengeToken.required(),
+    code: totpCode.required()
+  })
+};
+
+// Confirming enrollment or regenerating recovery codes
+const twoFactorCode = {
+  body: Joi.object({
+    code: totpCode.required()
+  })
+};
+
+const disableTwoFactor = {
+  body: Joi.object({
+    password: Joi.string().max(128).required(),
+    code: totpCode.required()
+  })
+};
+
+module.exports = {
+  login,
+  refresh,
+  requestPasswordReset,
+  confirmPasswordReset,
+  verifyTwoFactorLogin,
+  loginTwoFactorSetup,
+  loginTwoFactorEnable,
+  twoFactorCode,
+  disableTwoFactor,
+  register,
+  updateProfile,
+  changePassword
+};
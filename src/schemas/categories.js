@@ -0,0 +1,57 @@
+// src/schemas/categories.js
+const { Joi, id, text, optionalText, sortOrder, pagination } = require('../utils/validation');
+
+const listCategories = {
+  query: Joi.object({
+    ...pagination,
+    isActive: Joi.boolean(),
+    includeHierarchy: Joi.boolean().default(true),
+    sortBy: Joi.string().valid('category_name', 'created_at', 'updated_at').default('category_name'),
+    sortOrder: sortOrder.default('ASC')
+  })
+};
+
+const getCategory = {
+  query: Joi.object({
+    includeProducts: Joi.boolean().default(false)
+  })
+};
+
+const createCategory = {
+  body: Joi.object({
+    categoryName: text(255).min(1).required(),
+    description: optionalText(2000),
+    parentCategoryId: id.allow(null)
+  })
+};
+
+const updateCategory = {
+  body: Joi.object({
+    categoryName: text(255).min(1),
+    description: optionalText(2000),
+    parentCategoryId: id.allow(null),
+    isActive: Joi.boolean()
+  }).min(1)
+};
+
+const deleteCategory = {
+  query: Joi.object({
+    force: Joi.boolean().default(false)
+  })
+};
+
+const categoryHierarchy = {
+  query: Joi.object({
+    rootOnly: Joi.boolean().default(false),
+    includeInactive: Joi.boolean().default(false)
+  })
+};
+
+module.exports = {
+  listCategories,
+  getCategory,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+  categoryHierarchy
+};
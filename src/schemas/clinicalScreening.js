@@ -0,0 +1,23 @@
+// src/schemas/clinicalScreening.js
+const { Joi, id, pagination, dateRange, dateRangeRule } = require('../utils/validation');
+
+const screen = {
+  body: Joi.object({
+    customerId: id.allow(null),
+    productIds: Joi.array().items(id).min(1).max(100).required()
+  })
+};
+
+const listOverrides = {
+  query: Joi.object({
+    ...pagination,
+    customerId: id,
+    overriddenBy: id,
+    ...dateRange
+  }).custom(dateRangeRule)
+};
+
+module.exports = {
+  screen,
+  listOverrides
+};
@@ -0,0 +1,49 @@
+// src/schemas/controlledSubstances.js
+const {
+  Joi, id, quantity, nonNegativeInteger, text, optionalText, pagination, dateRange, dateRangeRule, witness
+} = require('../utils/validation');
+const { CONTROLLED_REGISTER_ENTRIES } = require('../utils/constants');
+
+const listRegister = {
+  query: Joi.object({
+    ...pagination,
+    limit: pagination.limit.default(50),
+    productId: id,
+    inventoryId: id,
+    entryType: Joi.string().valid(...Object.values(CONTROLLED_REGISTER_ENTRIES)),
+    ...dateRange
+  }).custom(dateRangeRule)
+};
+
+const balances = {
+  query: Joi.object({
+    productId: id
+  })
+};
+
+const createDestruction = {
+  body: Joi.object({
+    inventoryId: id.required(),
+    quantity: quantity.required(),
+    reason: text(500).min(1).required(),
+    witness: witness.required()
+  })
+};
+
+const createCount = {
+  body: Joi.object({
+    counts: Joi.array().items(Joi.object({
+      inventoryId: id.required(),
+      countedQuantity: nonNegativeInteger.required()
+    })).min(1).max(200).unique('inventoryId').required(),
+    notes: optionalText(1000),
+    witness: witness.required()
+  })
+};
+
+module.exports = {
+  listRegister,
+  balances,
+  createDestruction,
+  createCount
+};
@@ -0,0 +1,87 @@
+// src/schemas/customers.js
+const {
+  Joi, id, text, optionalText, date, email, phone, pagination, dateRange, dateRangeRule
+} = require('../utils/validation');
+const { CUSTOMER_GROUPS } = require('../utils/constants');
+
+const dateOfBirth = date.custom((value, helpers) => (
+  new Date(value) > new Date() ? helpers.message('Date of birth cannot be in the future') : value
+));
+
+const customerFields = {
+  firstName: text(100),
+  lastName: text(100),
+  phone: phone.allow('', null),
+  email: email.allow('', null),
+  dateOfBirth: dateOfBirth.allow(null),
+  address: optionalText(500),
+  city: optionalText(100),
+  state: optionalText(100),
+  postalCode: optionalText(20),
+  insuranceProvider: optionalText(150),
+  insuranceId: optionalText(50),
+  allergies: optionalText(2000),
+  medicalConditions: optionalText(2000),
+  emergencyContactName: optionalText(200),
+  emergencyContactPhone: phone.allow('', null),
+  // Promotions may be limited to customer groups
+  customerGroup: Joi.string().valid(...Object.values(CUSTOMER_GROUPS)).allow(null),
+  // Prices the customer's sales; otherwise their insurance provider's list, or selling_price
+  priceListId: id.allow(null)
+};
+
+const historyQuery = Joi.object({
+  ...pagination,
+  limit: pagination.limit.default(10),
+  ...dateRange
+}).custom(dateRangeRule);
+
+const createCustomer = {
+  body: Joi.object({
+    ...customerFields,
+    firstName: customerFields.firstName.required(),
+    lastName: customerFields.lastName.required()
+  })
+};
+
+const updateCustomer = {
+  body: Joi.object(customerFields).min(1)
+};
+
+const listCustomers = {
+  query: Joi.object({
+    ...pagination,
+    search: text(100),
+    isActive: Joi.string().valid('true', 'false', 'all').default('true'),
+    hasInsurance: Joi.boolean(),
+    city: text(100),
+    state: text(100)
+  })
+};
+
+const searchCustomers = {
+  query: Joi.object({
+    q: text(100).min(2).required(),
+    limit: pagination.limit.default(10)
+  })
+};
+
+const toggleCustomerStatus = {
+  body: Joi.object({
+    isActive: Joi.boolean().strict().required(),
+    reason: optionalText(500)
+  })
+};
+
+const customerHistory = {
+  query: historyQuery
+};
+
+module.exports = {
+  createCustomer,
+  updateCustomer,
+  listCustomers,
+  searchCustomers,
+  toggleCustomerStatus,
+  customerHistory
+};
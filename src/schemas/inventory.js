@@ -0,0 +1,97 @@
+// src/schemas/inventory.js
+const {
+  Joi, id, quantity, nonNegativeInteger, money, date, text, optionalText, inventoryStatus, pagination, witness
+} = require('../utils/validation');
+
+const reason = optionalText(500);
+
+const createInventory = {
+  body: Joi.object({
+    product_id: id.required(),
+    supplier_id: id.allow(null),
+    batch_number: text(50).min(1).required(),
+    lot_number: optionalText(50),
+    quantity_on_hand: nonNegativeInteger.required(),
+    unit_cost: money.allow(null),
+    manufacturing_date: date.allow(null),
+    expiration_date: date.required(),
+    received_date: date.allow(null),
+    location: optionalText(100),
+    status: inventoryStatus,
+    notes: optionalText(1000)
+  }).custom((value, helpers) => (
+    value.manufacturing_date && value.manufacturing_date > value.expiration_date
+      ? helpers.message('manufacturing_date must be before expiration_date')
+      : value
+  ))
+};
+
+const listInventory = {
+  query: Joi.object({
+    ...pagination,
+    product_id: id,
+    supplier_id: id,
+    batch_number: text(50),
+    location: text(100),
+    expiry_within_days: Joi.number().integer().min(0).max(3650),
+    status: inventoryStatus
+  })
+};
+
+const updateQuantity = {
+  body: Joi.object({
+    quantity: nonNegativeInteger.required(),
+    reason,
+    witness
+  })
+};
+
+const reservation = {
+  body: Joi.object({
+    quantity: quantity.required()
+  })
+};
+
+const updateStatus = {
+  body: Joi.object({
+    status: inventoryStatus.required(),
+    reason
+  })
+};
+
+const expiringInventory = {
+  query: Joi.object({
+    days: Joi.number().integer().min(1).max(365).default(90)
+  })
+};
+
+const bulkUpdateQuantities = {
+  body: Joi.object({
+    updates: Joi.array().items(Joi.object({
+      inventory_id: id.required(),
+      new_quantity: nonNegativeInteger.required(),
+      reason: reason.empty(['', null]).default('Bulk update')
+    })).min(1).max(100).unique('inventory_id').required(),
+    witness
+  })
+};
+
+const adjustment = {
+  body: Joi.object({
+    adjustment_quantity: Joi.number().integer().invalid(0).required()
+      .messages({ 'any.invalid': 'adjustment_quantity must not be zero' }),
+    reason: text(500).min(1).required(),
+    witness
+  })
+};
+
+module.exports = {
+  createInventory,
+  listInventory,
+  updateQuantity,
+  reservation,
+  updateStatus,
+  expiringInventory,
+  bulkUpdateQuantities,
+  adjustment
+};
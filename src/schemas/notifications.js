@@ -0,0 +1,59 @@
+// src/schemas/notifications.js
+const { Joi, id, text, userRole, sortOrder, pagination } = require('../utils/validation');
+
+const priority = Joi.string().valid('low', 'medium', 'high');
+const notificationType = Joi.string().trim().max(50);
+const expiresAt = Joi.date().iso().greater('now').allow(null);
+
+const listNotifications = {
+  query: Joi.object({
+    ...pagination,
+    type: notificationType,
+    isRead: Joi.boolean(),
+    priority,
+    sortBy: Joi.string().valid('created_at', 'priority', 'notification_type').default('created_at'),
+    sortOrder: sortOrder.default('DESC')
+  })
+};
+
+const markAllAsRead = {
+  query: Joi.object({
+    type: notificationType
+  })
+};
+
+const createNotification = {
+  body: Joi.object({
+    title: text(255).min(1).required(),
+    message: text(5000).min(1).required(),
+    priority: priority.default('medium'),
+    notificationType: notificationType.default('system_alert'),
+    targetUserId: id.allow(null),
+    data: Joi.object().unknown(true).allow(null),
+    expiresAt
+  })
+};
+
+const broadcast = {
+  body: Joi.object({
+    title: text(255).min(1).required(),
+    message: text(5000).min(1).required(),
+    priority: priority.default('medium'),
+    expiresAt,
+    targetRoles: Joi.array().items(userRole).unique()
+  })
+};
+
+const generateAlerts = {
+  query: Joi.object({
+    force: Joi.boolean().default(false)
+  })
+};
+
+module.exports = {
+  listNotifications,
+  markAllAsRead,
+  createNotification,
+  broadcast,
+  generateAlerts
+};
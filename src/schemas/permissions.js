@@ -0,0 +1,38 @@
+// src/schemas/permissions.js
+const { Joi, id, optionalText, userRole } = require('../utils/validation');
+const { PERMISSIONS, PERMISSION_EFFECTS } = require('../utils/constants');
+
+const permissionKey = Joi.string().valid(...Object.values(PERMISSIONS));
+
+const setRolePermissions = {
+  params: Joi.object({
+    role: userRole.required()
+  }),
+  body: Joi.object({
+    // The role's complete set; an empty list removes every permission
+    permissions: Joi.array().items(permissionKey).unique().required()
+  })
+};
+
+const userPermissionParams = Joi.object({
+  userId: id.required(),
+  permission: permissionKey.required()
+});
+
+const setUserPermission = {
+  params: userPermissionParams,
+  body: Joi.object({
+    effect: Joi.string().valid(...Object.values(PERMISSION_EFFECTS)).required(),
+    reason: optionalText(255)
+  })
+};
+
+const removeUserPermission = {
+  params: userPermissionParams
+};
+
+module.exports = {
+  setRolePermissions,
+  setUserPermission,
+  removeUserPermission
+};
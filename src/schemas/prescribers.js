@@ -0,0 +1,60 @@
+// src/schemas/prescribers.js
+const {
+  Joi, date, text, optionalText, email, phone, pagination
+} = require('../utils/validation');
+const { isValidNpi, isValidDeaNumber } = require('../utils/helpers');
+
+const npi = Joi.string().trim()
+  .custom((value, helpers) => (isValidNpi(value) ? value : helpers.message('npi must be a 10-digit NPI with a valid check digit')));
+const deaNumber = Joi.string().trim().uppercase()
+  .custom((value, helpers) => (isValidDeaNumber(value) ? value : helpers.message('deaNumber must be a DEA number with a valid checksum')));
+const licenseState = Joi.string().trim().uppercase().pattern(/^[A-Z]{2}$/)
+  .messages({ 'string.pattern.base': 'licenseState must be a two-letter state code' });
+
+const prescriberFields = {
+  firstName: text(100).min(1),
+  lastName: text(100).min(1),
+  npi,
+  deaNumber: deaNumber.allow(null),
+  deaExpiryDate: date.allow(null),
+  licenseState,
+  licenseNumber: text(30).min(1),
+  licenseExpiryDate: date.allow(null),
+  specialty: optionalText(100),
+  phone: phone.allow('', null),
+  email: email.allow('', null),
+  address: optionalText(500),
+  isActive: Joi.boolean()
+};
+
+const listPrescribers = {
+  query: Joi.object({
+    ...pagination,
+    search: text(100),
+    specialty: text(100),
+    licenseState,
+    isActive: Joi.boolean(),
+    licenseExpired: Joi.boolean()
+  })
+};
+
+const createPrescriber = {
+  body: Joi.object({
+    ...prescriberFields,
+    firstName: prescriberFields.firstName.required(),
+    lastName: prescriberFields.lastName.required(),
+    npi: prescriberFields.npi.required(),
+    licenseState: prescriberFields.licenseState.required(),
+    licenseNumber: prescriberFields.licenseNumber.required()
+  })
+};
+
+const updatePrescriber = {
+  body: Joi.object(prescriberFields).min(1)
+};
+
+module.exports = {
+  listPrescribers,
+  createPrescriber,
+  updatePrescriber
+};
@@ -0,0 +1,48 @@
+// src/schemas/prescriptions.js
+const {
+  Joi, id, quantity, nonNegativeInteger, date, text, optionalText, pagination, dateRange, dateRangeRule
+} = require('../utils/validation');
+const { PRESCRIPTION_STATUS } = require('../utils/constants');
+
+const createPrescription = {
+  body: Joi.object({
+    customerId: id.required(),
+    prescriberId: id.required(),
+    productId: id.required(),
+    directions: text(1000).min(1).required(),
+    quantity: quantity.required(),
+    daysSupply: Joi.number().integer().min(1).max(365).required(),
+    refillsAuthorized: nonNegativeInteger.max(99).default(0),
+    writtenDate: date.required(),
+    // Defaults to writtenDate plus PRESCRIPTION_VALIDITY_DAYS
+    expiryDate: date,
+    notes: optionalText(1000)
+  })
+};
+
+const listPrescriptions = {
+  query: Joi.object({
+    ...pagination,
+    customerId: id,
+    prescriberId: id,
+    productId: id,
+    status: Joi.string().valid(...Object.values(PRESCRIPTION_STATUS)),
+    prescriptionNumber: text(30),
+    // Only prescriptions that can be filled today
+    dispensable: Joi.boolean(),
+    ...dateRange
+  }).custom(dateRangeRule)
+};
+
+const updateStatus = {
+  body: Joi.object({
+    status: Joi.string().valid(PRESCRIPTION_STATUS.ACTIVE, PRESCRIPTION_STATUS.ON_HOLD, PRESCRIPTION_STATUS.CANCELLED).required(),
+    reason: optionalText(500)
+  })
+};
+
+module.exports = {
+  createPrescription,
+  listPrescriptions,
+  updateStatus
+};
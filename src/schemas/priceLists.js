@@ -0,0 +1,55 @@
+// src/schemas/priceLists.js
+const {
+  Joi, id, date, text, optionalText, pagination, dateRangeRule
+} = require('../utils/validation');
+const { PRICE_RULE_TYPES } = require('../utils/constants');
+
+const priceListFields = {
+  name: text(100).min(1),
+  description: optionalText(1000),
+  // Customers with these insurance providers are priced from the list
+  insuranceProviders: Joi.array().items(text(100).min(1)).max(50).unique((a, b) => a.toLowerCase() === b.toLowerCase())
+};
+
+const listPriceLists = {
+  query: Joi.object({
+    ...pagination,
+    search: text(100),
+    isActive: Joi.boolean()
+  })
+};
+
+const createPriceList = {
+  body: Joi.object({
+    ...priceListFields,
+    name: priceListFields.name.required()
+  })
+};
+
+const updatePriceList = {
+  body: Joi.object({
+    ...priceListFields,
+    isActive: Joi.boolean()
+  }).min(1)
+};
+
+// A rule prices one product or a whole category. Fixed prices are per product.
+const addPriceListRule = {
+  body: Joi.object({
+    productId: id,
+    categoryId: id,
+    ruleType: Joi.string().valid(...Object.values(PRICE_RULE_TYPES)).required()
+      .when('categoryId', { is: Joi.exist(), then: Joi.invalid(PRICE_RULE_TYPES.FIXED_PRICE) }),
+    value: Joi.number().min(0).precision(2).required()
+      .when('ruleType', { is: PRICE_RULE_TYPES.PERCENT_OFF, then: Joi.number().max(100) }),
+    startDate: date.allow(null),
+    endDate: date.allow(null)
+  }).xor('productId', 'categoryId').custom(dateRangeRule)
+};
+
+module.exports = {
+  listPriceLists,
+  createPriceList,
+  updatePriceList,
+  addPriceListRule
+};
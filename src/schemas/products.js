@@ -0,0 +1,131 @@
+// src/schemas/products.js
+const {
+  Joi, id, nonNegativeInteger, money, percentage, text, optionalText, sortOrder, pagination
+} = require('../utils/validation');
+
+const productFields = {
+  productName: text(255),
+  genericName: optionalText(255),
+  brandName: optionalText(255),
+  categoryId: id.allow(null),
+  dosageForm: optionalText(50),
+  strength: optionalText(50),
+  unitOfMeasure: text(20),
+  description: optionalText(2000),
+  manufacturer: optionalText(255),
+  requiresPrescription: Joi.boolean(),
+  controlledSubstance: Joi.boolean(),
+  storageConditions: optionalText(1000),
+  minimumStockLevel: nonNegativeInteger,
+  maximumStockLevel: nonNegativeInteger.allow(null),
+  reorderPoint: nonNegativeInteger,
+  unitCost: money,
+  sellingPrice: money,
+  markupPercentage: Joi.number().min(0).max(10000),
+  taxRate: percentage
+};
+
+const stockLevelRule = (value, helpers) => (
+  value.maximumStockLevel != null && value.minimumStockLevel !== undefined && value.maximumStockLevel < value.minimumStockLevel
+    ? helpers.message('Maximum stock level must be greater than minimum stock level')
+    : value
+);
+
+const createProduct = {
+  body: Joi.object({
+    ...productFields,
+    productName: productFields.productName.required()
+  }).custom(stockLevelRule)
+};
+
+const updateProduct = {
+  body: Joi.object({
+    ...productFields,
+    isActive: Joi.boolean()
+  }).min(1).custom(stockLevelRule)
+};
+
+const listProducts = {
+  query: Joi.object({
+    ...pagination,
+    limit: pagination.limit.default(10),
+    category: id,
+    isActive: Joi.boolean(),
+    search: text(100),
+    requiresPrescription: Joi.boolean(),
+    controlledSubstance: Joi.boolean(),
+    sortBy: Joi.string().valid('product_name', 'brand_name', 'unit_cost', 'selling_price', 'created_at', 'updated_at').default('created_at'),
+    sortOrder: sortOrder.default('DESC')
+  })
+};
+
+const searchProducts = {
+  query: Joi.object({
+    ...pagination,
+    q: text(100).min(2).required(),
+    category: id,
+    manufacturer: text(255),
+    requiresPrescription: Joi.boolean(),
+    controlledSubstance: Joi.boolean(),
+    minPrice: money,
+    maxPrice: money.when('minPrice', { is: Joi.exist(), then: Joi.number().min(Joi.ref('minPrice')) }),
+    inStock: Joi.boolean(),
+    sortBy: Joi.string().valid('relevance', 'name', 'price', 'created', 'stock').default('relevance'),
+    sortOrder: sortOrder.default('DESC')
+  })
+};
+
+const lowStockProducts = {
+  query: Joi.object({
+    limit: pagination.limit.default(50)
+  })
+};
+
+const productsByCategory = {
+  query: Joi.object({
+    ...pagination,
+    isActive: Joi.boolean().default(true)
+  })
+};
+
+// Price the product for a customer (their price list) when customerId is given
+const productDetails = {
+  query: Joi.object({
+    customerId: id
+  })
+};
+
+const priceHistory = {
+  query: Joi.object({
+    limit: Joi.number().integer().min(1).max(50).default(10)
+  })
+};
+
+const bulkUpdateProducts = {
+  body: Joi.object({
+    products: Joi.array().items(id).min(1).max(100).unique().required(),
+    updateFields: Joi.object({
+      categoryId: productFields.categoryId,
+      unitCost: productFields.unitCost,
+      sellingPrice: productFields.sellingPrice,
+      markupPercentage: productFields.markupPercentage,
+      taxRate: productFields.taxRate,
+      minimumStockLevel: productFields.minimumStockLevel,
+      maximumStockLevel: productFields.maximumStockLevel,
+      reorderPoint: productFields.reorderPoint,
+      isActive: Joi.boolean()
+    }).min(1).required()
+  })
+};
+
+module.exports = {
+  createProduct,
+  updateProduct,
+  listProducts,
+  searchProducts,
+  lowStockProducts,
+  productsByCategory,
+  productDetails,
+  priceHistory,
+  bulkUpdateProducts
+};
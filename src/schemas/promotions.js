@@ -0,0 +1,73 @@
+// src/schemas/promotions.js
+const {
+  Joi, id, date, text, optionalText, pagination, dateRangeRule
+} = require('../utils/validation');
+const { CUSTOMER_GROUPS, PROMOTION_TYPES } = require('../utils/constants');
+
+const promotionType = Joi.string().valid(...Object.values(PROMOTION_TYPES));
+const ids = Joi.array().items(id).unique();
+
+const promotionFields = {
+  name: text(150).min(1),
+  description: optionalText(1000),
+  promotionType,
+  // Percent for percent_off and buy_x_get_y (100 makes the "get" units free); amount per unit for amount_off
+  discountValue: Joi.number().greater(0).precision(2),
+  buyQuantity: Joi.number().integer().min(1).allow(null),
+  getQuantity: Joi.number().integer().min(1).allow(null),
+  productIds: ids,
+  categoryIds: ids,
+  excludedProductIds: ids,
+  customerGroups: Joi.array().items(Joi.string().valid(...Object.values(CUSTOMER_GROUPS))).unique(),
+  couponCode: Joi.string().trim().uppercase().pattern(/^[A-Z0-9_-]{3,50}$/).allow(null)
+    .messages({ 'string.pattern.base': 'couponCode must be 3-50 letters, digits, dashes or underscores' }),
+  startDate: date.allow(null),
+  endDate: date.allow(null),
+  stackable: Joi.boolean(),
+  priority: Joi.number().integer().min(-1000).max(1000),
+  isActive: Joi.boolean()
+};
+
+const listPromotions = {
+  query: Joi.object({
+    ...pagination,
+    search: text(100),
+    promotionType,
+    isActive: Joi.boolean(),
+    current: Joi.boolean()
+  })
+};
+
+const createPromotion = {
+  body: Joi.object({
+    ...promotionFields,
+    name: promotionFields.name.required(),
+    promotionType: promotionFields.promotionType.required(),
+    discountValue: promotionFields.discountValue.required().when('promotionType', {
+      not: PROMOTION_TYPES.AMOUNT_OFF,
+      then: Joi.number().max(100)
+    }),
+    // Buy buyQuantity, get getQuantity at discountValue percent off
+    buyQuantity: promotionFields.buyQuantity.when('promotionType', {
+      is: PROMOTION_TYPES.BUY_X_GET_Y,
+      then: Joi.required().invalid(null),
+      otherwise: Joi.forbidden()
+    }),
+    getQuantity: promotionFields.getQuantity.when('promotionType', {
+      is: PROMOTION_TYPES.BUY_X_GET_Y,
+      then: Joi.required().invalid(null),
+      otherwise: Joi.forbidden()
+    })
+  }).custom(dateRangeRule)
+};
+
+// The type, value and quantities are checked against the stored promotion by the database
+const updatePromotion = {
+  body: Joi.object(promotionFields).min(1).custom(dateRangeRule)
+};
+
+module.exports = {
+  listPromotions,
+  createPromotion,
+  updatePromotion
+};
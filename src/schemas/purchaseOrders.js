@@ -0,0 +1,71 @@
+// src/schemas/purchaseOrders.js
+const {
+  Joi, id, quantity, money, date, text, optionalText, pagination
+} = require('../utils/validation');
+
+const poStatus = Joi.string().valid('pending', 'ordered', 'partially_received', 'received', 'cancelled');
+
+const poItem = Joi.object({
+  product_id: id.required(),
+  quantity_ordered: quantity.required(),
+  unit_cost: money.required()
+});
+
+const receivedItem = Joi.object({
+  po_item_id: id.required(),
+  quantity_received: quantity.required(),
+  batch_number: text(50).required(),
+  lot_number: optionalText(50),
+  expiration_date: date.required()
+});
+
+const listPurchaseOrders = {
+  query: Joi.object({
+    ...pagination,
+    limit: pagination.limit.default(50),
+    status: poStatus,
+    supplier_id: id,
+    date_from: date,
+    date_to: date,
+    search: text(100)
+  })
+};
+
+const createPurchaseOrder = {
+  body: Joi.object({
+    supplier_id: id.required(),
+    expected_delivery_date: date.allow(null),
+    notes: optionalText(2000),
+    items: Joi.array().items(poItem).min(1).max(200).unique('product_id').required()
+  })
+};
+
+const updateStatus = {
+  body: Joi.object({
+    status: poStatus.required(),
+    notes: optionalText(2000)
+  })
+};
+
+const receiveGoods = {
+  body: Joi.object({
+    items: Joi.array().items(receivedItem).min(1).max(200).required(),
+    actual_delivery_date: date.allow(null),
+    notes: optionalText(2000)
+  })
+};
+
+const cancelPurchaseOrder = {
+  body: Joi.object({
+    cancellation_reason: optionalText(1000)
+  })
+};
+
+module.exports = {
+  poStatus,
+  listPurchaseOrders,
+  createPurchaseOrder,
+  updateStatus,
+  receiveGoods,
+  cancelPurchaseOrder
+};
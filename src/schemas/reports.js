@@ -0,0 +1,99 @@
+// src/schemas/reports.js
+const {
+  Joi, id, date, sortOrder, paymentMethod, inventoryStatus, dateRange, dateRangeRule
+} = require('../utils/validation');
+
+// Custom report definitions may only filter and sort on these columns, since
+// the keys end up in the generated SQL
+const customReportColumns = {
+  sales: {
+    filters: {
+      customer_id: id,
+      cashier_id: id,
+      payment_method: paymentMethod,
+      payment_status: Joi.string().valid('pending', 'completed', 'partial', 'refunded', 'cancelled')
+    },
+    sortBy: ['sale_date', 'total_amount', 'sale_number', 'created_at']
+  },
+  inventory: {
+    filters: {
+      product_id: id,
+      supplier_id: id,
+      status: inventoryStatus,
+      location: Joi.string().trim().max(100)
+    },
+    sortBy: ['expiration_date', 'quantity_on_hand', 'received_date', 'batch_number', 'created_at']
+  }
+};
+
+const reportTypes = Object.keys(customReportColumns);
+
+const salesSummary = {
+  query: Joi.object({
+    startDate: date.required(),
+    endDate: date.required(),
+    groupBy: Joi.string().valid('day', 'week', 'month').default('day'),
+    cashierId: id,
+    customerId: id
+  }).custom(dateRangeRule)
+};
+
+const inventoryValuation = {
+  query: Joi.object({
+    categoryId: id,
+    supplierId: id,
+    includeExpired: Joi.boolean().default(false)
+  })
+};
+
+const expirationReport = {
+  query: Joi.object({
+    days: Joi.number().integer().min(1).max(3650).default(90),
+    urgencyLevel: Joi.string().valid('critical', 'warning', 'watch', 'expired'),
+    categoryId: id,
+    sortBy: Joi.string().valid('expiration_date', 'value_at_risk', 'quantity').default('expiration_date')
+  })
+};
+
+const lowStockReport = {
+  query: Joi.object({
+    categoryId: id,
+    criticalOnly: Joi.boolean().default(false)
+  })
+};
+
+const priceExceptions = {
+  query: Joi.object({
+    startDate: date.required(),
+    endDate: date.required(),
+    cashierId: id,
+    productId: id,
+    approved: Joi.boolean()
+  }).custom(dateRangeRule)
+};
+
+const customReport = {
+  body: Joi.object({
+    reportType: Joi.string().valid(...reportTypes).required(),
+    metrics: Joi.array().items(Joi.string().trim().max(100)).min(1).required(),
+    filters: Joi.alternatives().conditional('reportType', {
+      switch: reportTypes.map(type => ({ is: type, then: Joi.object(customReportColumns[type].filters) }))
+    }),
+    groupBy: Joi.string().trim().max(100),
+    dateRange: Joi.object(dateRange).custom(dateRangeRule),
+    sortBy: Joi.alternatives().conditional('reportType', {
+      switch: reportTypes.map(type => ({ is: type, then: Joi.string().valid(...customReportColumns[type].sortBy) }))
+    }).default('created_at'),
+    sortOrder: sortOrder.default('DESC'),
+    limit: Joi.number().integer().min(1).max(1000).default(1000)
+  })
+};
+
+module.exports = {
+  salesSummary,
+  inventoryValuation,
+  expirationReport,
+  lowStockReport,
+  priceExceptions,
+  customReport
+};
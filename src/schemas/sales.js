@@ -0,0 +1,180 @@
+// src/schemas/sales.js
+const {
+  Joi, id, quantity, money, percentage, text, optionalText, paymentMethod, witness, pagination, dateRange, dateRangeRule
+} = require('../utils/validation');
+const { DRAFT_TYPES, DRAFT_STATUS, PAYMENT_METHODS } = require('../utils/constants');
+
+// Selling a line away from its list price; past the approval threshold a
+// manager approves it with their credentials or an approval token
+const priceOverride = Joi.object({
+  reason: text(500).min(5).required(),
+  approver: witness,
+  approvalToken: Joi.string().max(2000)
+}).oxor('approver', 'approvalToken');
+
+const saleItem = Joi.object({
+  productId: id.required(),
+  inventoryId: id,
+  quantity: quantity.required(),
+  // The list price when omitted; any other price is a price override
+  unitPrice: money,
+  priceOverride,
+  discountPercentage: percentage.default(0),
+  prescriptionId: id
+});
+
+// One tender; only cash may be more than the balance it pays, the rest is change
+const payment = Joi.object({
+  method: paymentMethod.required(),
+  amount: money.greater(0).required(),
+  reference: optionalText(100)
+});
+
+// Needed to go ahead despite severe clinical screening warnings
+const clinicalOverride = Joi.object({
+  reason: text(500).min(10).required()
+});
+
+const createSale = {
+  body: Joi.object({
+    customerId: id.allow(null),
+    items: Joi.array().items(saleItem).min(1).max(100).required()
+      .messages({ 'array.min': 'At least one item is required for the sale' }),
+    payments: Joi.array().items(payment).min(1).max(10),
+    // Single-payment form, taken as an insurance tender plus one customer tender
+    paymentMethod,
+    insuranceClaimAmount: money.default(0),
+    customerPaymentAmount: money,
+    // Coupon codes of promotions the customer presented
+    couponCodes: Joi.array().items(text(50).uppercase()).max(10).unique().default([]),
+    notes: optionalText(1000),
+    clinicalOverride
+  }).xor('payments', 'paymentMethod').with('paymentMethod', 'customerPaymentAmount')
+};
+
+const listSales = {
+  query: Joi.object({
+    ...pagination,
+    ...dateRange,
+    customerId: id,
+    cashierId: id,
+    paymentMethod,
+    prescriptionNumber: text(50),
+    search: text(100)
+  }).custom(dateRangeRule)
+};
+
+const processRefund = {
+  body: Joi.object({
+    items: Joi.array().items(Joi.object({
+      saleItemId: id.required(),
+      quantityToRefund: quantity.required()
+    })).min(1).unique('saleItemId').required()
+      .messages({ 'array.min': 'Items to refund are required' }),
+    reason: optionalText(500),
+    refundAmount: money.greater(0),
+    // How the refund goes back to the sale's payments; proportional when omitted
+    tenders: Joi.array().items(Joi.object({
+      paymentId: id.required(),
+      amount: money.required()
+    })).min(1).unique('paymentId')
+  })
+};
+
+// Lines of a draft sell at their list price; price overrides are made on a sale itself
+const draftItem = saleItem.keys({
+  unitPrice: Joi.forbidden(),
+  priceOverride: Joi.forbidden()
+});
+
+// A layaway deposit or installment; insurance is claimed on sales only
+const layawayPayment = Joi.object({
+  method: paymentMethod.invalid(PAYMENT_METHODS.INSURANCE).required(),
+  amount: money.greater(0).required(),
+  reference: optionalText(100)
+});
+
+const saveDraft = {
+  body: Joi.object({
+    customerId: id.allow(null),
+    items: Joi.array().items(draftItem).min(1).max(100).required()
+      .messages({ 'array.min': 'At least one item is required for the sale' }),
+    couponCodes: Joi.array().items(text(50).uppercase()).max(10).unique().default([]),
+    notes: optionalText(1000),
+    // Register the draft is being worked on
+    terminal: text(50)
+  })
+};
+
+const listDrafts = {
+  query: Joi.object({
+    ...pagination,
+    draftType: Joi.string().valid(...Object.values(DRAFT_TYPES)),
+    status: Joi.string().valid(...Object.values(DRAFT_STATUS)),
+    customerId: id,
+    createdBy: id,
+    terminal: text(50),
+    search: text(100),
+    // Layaways closed with money still to pay back
+    refundDue: Joi.boolean()
+  })
+};
+
+const quoteDocument = {
+  query: Joi.object({
+    format: Joi.string().valid('json', 'pdf').default('json')
+  })
+};
+
+const createLayaway = {
+  body: Joi.object({
+    installmentCount: Joi.number().integer().min(1).max(24).required(),
+    deposit: layawayPayment.required()
+  })
+};
+
+const addLayawayPayment = {
+  body: layawayPayment
+};
+
+// Parked sales and quotes are paid as any sale is; a layaway has already been paid
+const completeDraft = {
+  body: Joi.object({
+    payments: Joi.array().items(payment).min(1).max(10),
+    paymentMethod,
+    insuranceClaimAmount: money.default(0),
+    customerPaymentAmount: money,
+    clinicalOverride
+  }).oxor('payments', 'paymentMethod').with('paymentMethod', 'customerPaymentAmount')
+};
+
+const approvePriceOverride = {
+  body: Joi.object({
+    // The cashier the approval is for, and the most of the product it covers on their sale
+    cashierId: id.required(),
+    productId: id.required(),
+    unitPrice: money.required(),
+    quantity: quantity.required()
+  })
+};
+
+const salesAnalytics = {
+  query: Joi.object({
+    ...dateRange,
+    groupBy: Joi.string().valid('day', 'week', 'month').default('day')
+  }).custom(dateRangeRule)
+};
+
+module.exports = {
+  createSale,
+  listSales,
+  processRefund,
+  approvePriceOverride,
+  salesAnalytics,
+  saveDraft,
+  listDrafts,
+  quoteDocument,
+  createLayaway,
+  addLayawayPayment,
+  completeDraft
+};
@@ -0,0 +1,49 @@
+// src/schemas/shifts.js
+const {
+  Joi, id, money, text, optionalText, paymentMethod, pagination, dateRange, dateRangeRule
+} = require('../utils/validation');
+const { CASH_MOVEMENT_TYPES, SHIFT_STATUS } = require('../utils/constants');
+
+const openShift = {
+  body: Joi.object({
+    registerName: text(50).required(),
+    openingFloat: money.required(),
+    notes: optionalText(500)
+  })
+};
+
+const listShifts = {
+  query: Joi.object({
+    ...pagination,
+    ...dateRange,
+    cashierId: id,
+    registerName: text(50),
+    status: Joi.string().valid(...Object.values(SHIFT_STATUS))
+  }).custom(dateRangeRule)
+};
+
+const addCashMovement = {
+  body: Joi.object({
+    movementType: Joi.string().valid(...Object.values(CASH_MOVEMENT_TYPES)).required(),
+    amount: money.greater(0).required(),
+    reason: text(500).min(3).required()
+  })
+};
+
+// Blind count: what is in the drawer per tender, entered without seeing the expected figures
+const closeShift = {
+  body: Joi.object({
+    counts: Joi.array().items(Joi.object({
+      method: paymentMethod.required(),
+      amount: money.required()
+    })).min(1).unique('method').required(),
+    notes: optionalText(1000)
+  })
+};
+
+module.exports = {
+  openShift,
+  listShifts,
+  addCashMovement,
+  closeShift
+};
@@ -0,0 +1,64 @@
+// src/schemas/stockMovements.js
+const {
+  Joi, id, quantity, money, text, sortOrder, pagination, dateRange, dateRangeRule, witness
+} = require('../utils/validation');
+const { MOVEMENT_TYPES } = require('../utils/constants');
+
+const days = Joi.number().integer().min(1).max(3650).default(30);
+
+const listMovements = {
+  query: Joi.object({
+    ...pagination,
+    limit: pagination.limit.default(50),
+    productId: id,
+    inventoryId: id,
+    movementType: Joi.string().valid(...Object.values(MOVEMENT_TYPES)),
+    ...dateRange,
+    performedBy: id,
+    sortBy: Joi.string().valid('movement_date', 'movement_type', 'quantity_change', 'product_name').default('movement_date'),
+    sortOrder: sortOrder.default('DESC')
+  }).custom(dateRangeRule)
+};
+
+const productHistory = {
+  query: Joi.object({
+    limit: Joi.number().integer().min(1).max(500).default(100),
+    days
+  })
+};
+
+const createAdjustment = {
+  body: Joi.object({
+    inventoryId: id.required(),
+    adjustmentType: Joi.string()
+      .valid(MOVEMENT_TYPES.ADJUSTMENT, MOVEMENT_TYPES.DAMAGED, MOVEMENT_TYPES.EXPIRED, MOVEMENT_TYPES.RETURN)
+      .default(MOVEMENT_TYPES.ADJUSTMENT),
+    quantityChange: Joi.number().integer().invalid(0).required()
+      .messages({ 'any.invalid': 'quantityChange must not be zero' }),
+    reason: text(500).min(1).required(),
+    unitCost: money,
+    witness
+  })
+};
+
+const createTransfer = {
+  body: Joi.object({
+    fromInventoryId: id.required(),
+    toInventoryId: id.invalid(Joi.ref('fromInventoryId')).required()
+      .messages({ 'any.invalid': 'Cannot transfer to the same inventory record' }),
+    quantity: quantity.required(),
+    reason: text(500).min(1).required()
+  })
+};
+
+const movementSummary = {
+  query: Joi.object({ days })
+};
+
+module.exports = {
+  listMovements,
+  productHistory,
+  createAdjustment,
+  createTransfer,
+  movementSummary
+};
@@ -0,0 +1,78 @@
+// src/schemas/suppliers.js
+const {
+  Joi, date, text, optionalText, email, phone, sortOrder, pagination
+} = require('../utils/validation');
+const { poStatus } = require('./purchaseOrders');
+
+const supplierFields = {
+  supplier_name: text(255).min(1),
+  contact_person: optionalText(255),
+  phone: phone.allow('', null),
+  email: email.allow('', null),
+  address: optionalText(500),
+  city: optionalText(100),
+  state: optionalText(100),
+  postal_code: optionalText(20),
+  country: text(100),
+  tax_id: optionalText(50),
+  payment_terms: Joi.number().integer().min(0).max(365),
+  is_active: Joi.boolean()
+};
+
+const period = Joi.number().integer().min(1).max(3650).default(90);
+
+const listSuppliers = {
+  query: Joi.object({
+    ...pagination,
+    limit: pagination.limit.default(50),
+    search: text(100),
+    is_active: Joi.boolean(),
+    country: text(100),
+    sort_by: Joi.string().valid('supplier_name', 'contact_person', 'city', 'created_at', 'updated_at').default('supplier_name'),
+    sort_order: sortOrder.default('ASC')
+  })
+};
+
+const createSupplier = {
+  body: Joi.object({
+    ...supplierFields,
+    supplier_name: supplierFields.supplier_name.required(),
+    country: supplierFields.country.default('Canada'),
+    payment_terms: supplierFields.payment_terms.default(30),
+    is_active: supplierFields.is_active.default(true)
+  })
+};
+
+const updateSupplier = {
+  body: Joi.object(supplierFields).min(1)
+};
+
+const purchaseHistory = {
+  query: Joi.object({
+    ...pagination,
+    status: poStatus,
+    date_from: date,
+    date_to: date
+  })
+};
+
+const supplierPerformance = {
+  query: Joi.object({ period })
+};
+
+const topSuppliers = {
+  query: Joi.object({
+    metric: Joi.string().valid('total_value', 'order_count', 'on_time_rate').default('total_value'),
+    period,
+    limit: pagination.limit.default(10)
+  })
+};
+
+module.exports = {
+  listSuppliers,
+  createSupplier,
+  updateSupplier,
+  purchaseHistory,
+  supplierPerformance,
+  topSuppliers
+};
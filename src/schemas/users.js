@@ -0,0 +1,60 @@
+// src/schemas/users.js
+const {
+  Joi, text, email, phone, password, userRole, sortOrder, pagination
+} = require('../utils/validation');
+const { USER_ROLES } = require('../utils/constants');
+
+const username = Joi.string().trim().min(3).max(50).pattern(/^[A-Za-z0-9._-]+$/)
+  .messages({ 'string.pattern.base': '{{#label}} may only contain letters, numbers, dots, dashes and underscores' });
+
+const listUsers = {
+  query: Joi.object({
+    ...pagination,
+    limit: pagination.limit.default(10),
+    role: userRole,
+    isActive: Joi.boolean(),
+    search: text(100),
+    sortBy: Joi.string().valid('username', 'email', 'first_name', 'last_name', 'role', 'created_at', 'last_login').default('created_at'),
+    sortOrder: sortOrder.default('DESC')
+  })
+};
+
+const createUser = {
+  body: Joi.object({
+    username: username.required(),
+    email: email.required(),
+    password: password.required(),
+    firstName: text(100).min(1).required(),
+    lastName: text(100).min(1).required(),
+    role: userRole.default(USER_ROLES.TECHNICIAN),
+    phone: phone.allow('', null),
+    isActive: Joi.boolean().default(true)
+  })
+};
+
+const updateUser = {
+  body: Joi.object({
+    username,
+    email,
+    firstName: text(100).min(1),
+    lastName: text(100).min(1),
+    role: userRole,
+    phone: phone.allow('', null),
+    isActive: Joi.boolean()
+  }).min(1)
+};
+
+const resetPassword = {
+  body: Joi.object({
+    newPassword: password.required(),
+    temporaryPassword: Joi.boolean().default(false)
+  })
+};
+
+module.exports = {
+  username,
+  listUsers,
+  createUser,
+  updateUser,
+  resetPassword
+};
@@ -4,15 +4,19 @@ const cors = require('cors');
 const helmet = require('helmet');
 const morgan = require('morgan');
 const compression = require('compression');
-const rateLimit = require('express-rate-limit');
 
 // Import configurations
 const config = require('./config/environment');
 const { pool } = require('./config/database');
+const { assertSchemaCurrent } = require('./database/migrate');
 
 // Import middleware
 const errorHandler = require('./middleware/errorHandler');
-const { notFound } = require('./middleware/errorHandler');
+const { notFound, requestId } = require('./middleware/errorHandler');
+const { apiLimiter } = require('./middleware/rateLimiter');
+const { runInRequestContext } = require('./utils/requestContext');
+const logger = require('./utils/logger');
+const SaleDraft = require('./models/SaleDraft');
 
 // Import routes
 const routes = require('./routes');
@@ -20,6 +24,9 @@ const routes = require('./routes');
 // Create Express application
 const app = express();
 
+// Request ID for log correlation and error responses
+app.use(requestId);
+
 // Security middleware
 app.use(helmet());
 app.use(cors(config.cors));
@@ -37,14 +44,7 @@ if (config.NODE_ENV !== 'test') {
 }
 
 // Rate limiting
-const limiter = rateLimit({
-  windowMs: config.rateLimit.windowMs,
-  max: config.rateLimit.max,
-  message: {
-    error: 'Too many requests from this IP, please try again later.',
-  },
-});
-app.use(limiter);
+app.use(apiLimiter);
 
 // Health check endpoint
 app.get('/health', async (req, res) => {
@@ -68,8 +68,8 @@ app.get('/health', async (req, res) => {
   }
 });
 
-// API routes
-app.use(`/api/${config.API_VERSION}`, routes);
+// API routes. Changes they make are attributed to the request in audit_log.
+app.use(`/api/${config.API_VERSION}`, (req, res, next) => runInRequestContext(req, next), routes);
 
 // 404 handler
 app.use(notFound);
@@ -77,29 +77,66 @@ app.use(notFound);
 // Error handler
 app.use(errorHandler);
 
-// Start server
-const PORT = config.PORT;
-const server = app.listen(PORT, () => {
-  console.log(`🚀 PharmaFlow API Server running on port ${PORT}`);
-  console.log(`📊 Environment: ${config.NODE_ENV}`);
-  console.log(`🔗 Health check: http://localhost:${PORT}/health`);
-});
+// Expire sale drafts nobody came back to, giving back the stock they held
+const sweepAbandonedDrafts = async () => {
+  try {
+    const expired = await SaleDraft.expireAbandoned();
+    if (expired.length > 0) {
+      logger.info('Abandoned sale drafts expired', { drafts: expired.map(draft => draft.draft_number) });
+    }
+    // Their refunds are recorded as due, to be paid back through POST /sales/drafts/:draftId/refund
+    for (const draft of expired.filter(layaway => Number(layaway.amount_paid) > 0)) {
+      logger.warn('Layaway expired; refund due', { draftNumber: draft.draft_number, refundDue: draft.amount_paid });
+    }
+  } catch (error) {
+    logger.error('Sale draft sweep failed', { error: error.message });
+  }
+};
+
+// Start server once the database schema is up to date
+const startServer = async () => {
+  try {
+    await assertSchemaCurrent();
+  } catch (error) {
+    console.error(`❌ Refusing to start: ${error.message}`);
+    await pool.end();
+    process.exit(1);
+  }
 
-// Graceful shutdown
-process.on('SIGTERM', () => {
-  console.log('SIGTERM received, shutting down gracefully');
-  server.close(() => {
-    console.log('Process terminated');
-    pool.end();
+  const PORT = config.server.port;
+  const server = app.listen(PORT, () => {
+    console.log(`🚀 PharmaFlow API Server running on port ${PORT}`);
+    console.log(`📊 Environment: ${config.NODE_ENV}`);
+    console.log(`🔗 Health check: http://localhost:${PORT}/health`);
   });
-});
 
-process.on('SIGINT', () => {
-  console.log('SIGINT received, shutting down gracefully');
-  server.close(() => {
-    console.log('Process terminated');
-    pool.end();
+  // Drafts that expired while the server was down are swept straight away
+  sweepAbandonedDrafts();
+  const draftSweep = setInterval(sweepAbandonedDrafts, config.pharmacy.draftSweepInterval);
+
+  // Graceful shutdown
+  process.on('SIGTERM', () => {
+    console.log('SIGTERM received, shutting down gracefully');
+    clearInterval(draftSweep);
+    server.close(() => {
+      console.log('Process terminated');
+      pool.end();
+    });
   });
-});
+
+  process.on('SIGINT', () => {
+    console.log('SIGINT received, shutting down gracefully');
+    clearInterval(draftSweep);
+    server.close(() => {
+      console.log('Process terminated');
+      pool.end();
+    });
+  });
+};
+
+// Only listen when run directly, so tests can import the app
+if (require.main === module) {
+  startServer();
+}
 
 module.exports = app;
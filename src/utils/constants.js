@@ -8,6 +8,30 @@ module.exports = {
     MANAGER: 'manager',
   },
 
+  // Named permissions (permissions table). Roles get them through
+  // role_permissions; user_permissions grants or denies them per user.
+  PERMISSIONS: {
+    SALES_REFUND: 'sales.refund',
+    INVENTORY_ADJUST: 'inventory.adjust',
+    CONTROLLED_DISPENSE: 'controlled.dispense',
+    REPORTS_FINANCIAL: 'reports.financial',
+    CLINICAL_OVERRIDE: 'clinical.override',
+    SHIFTS_RECONCILE: 'shifts.reconcile',
+    PRICE_OVERRIDE: 'sales.price_override',
+  },
+
+  PERMISSION_EFFECTS: {
+    GRANT: 'grant',
+    DENY: 'deny',
+  },
+
+  // audit_log.action
+  AUDIT_ACTIONS: {
+    INSERT: 'INSERT',
+    UPDATE: 'UPDATE',
+    DELETE: 'DELETE',
+  },
+
   // Payment Methods
   PAYMENT_METHODS: {
     CASH: 'cash',
@@ -15,6 +39,7 @@ module.exports = {
     INSURANCE: 'insurance',
     CHECK: 'check',
     DIGITAL: 'digital',
+    GIFT_CARD: 'gift_card',
   },
 
   // Inventory Status
@@ -23,6 +48,7 @@ module.exports = {
     EXPIRED: 'expired',
     DAMAGED: 'damaged',
     RECALLED: 'recalled',
+    QUARANTINED: 'quarantined',
   },
 
   // Stock Movement Types
@@ -34,6 +60,102 @@ module.exports = {
     EXPIRED: 'expired',
     DAMAGED: 'damaged',
     TRANSFER: 'transfer',
+    DESTROYED: 'destroyed',
+  },
+
+  // controlled_substance_register.entry_type
+  CONTROLLED_REGISTER_ENTRIES: {
+    OPENING_BALANCE: 'opening_balance',
+    RECEIPT: 'receipt',
+    SALE: 'sale',
+    RETURN: 'return',
+    ADJUSTMENT: 'adjustment',
+    DESTRUCTION: 'destruction',
+    TRANSFER: 'transfer',
+  },
+
+  // prescriptions.status. Expiry is by date, so an expired prescription keeps its status
+  PRESCRIPTION_STATUS: {
+    ACTIVE: 'active',
+    ON_HOLD: 'on_hold',
+    COMPLETED: 'completed',
+    CANCELLED: 'cancelled',
+  },
+
+  // Clinical screening warning severities, most severe first. Severe
+  // warnings block a sale until a pharmacist overrides them.
+  CLINICAL_SEVERITY: {
+    SEVERE: 'severe',
+    MODERATE: 'moderate',
+    MINOR: 'minor',
+  },
+
+  // What a clinical screening warning was raised against
+  CLINICAL_WARNING_TYPES: {
+    ALLERGY: 'allergy',
+    CONDITION: 'condition',
+    INTERACTION: 'interaction',
+  },
+
+  // Customer groups that promotions can be limited to
+  CUSTOMER_GROUPS: {
+    SENIOR: 'senior',
+    STAFF: 'staff',
+    LOYALTY: 'loyalty',
+    VETERAN: 'veteran',
+  },
+
+  // How a promotion takes money off a line
+  PROMOTION_TYPES: {
+    PERCENT_OFF: 'percent_off',
+    AMOUNT_OFF: 'amount_off',
+    BUY_X_GET_Y: 'buy_x_get_y',
+  },
+
+  // How a price list rule prices a product
+  PRICE_RULE_TYPES: {
+    FIXED_PRICE: 'fixed_price', // The price itself (product rules only)
+    PERCENT_OFF: 'percent_off', // Percent off selling_price
+    MARKUP: 'markup', // Percent over unit_cost
+  },
+
+  // How a price override past the approval threshold was approved
+  PRICE_OVERRIDE_APPROVALS: {
+    PERMISSION: 'permission', // The cashier holds sales.price_override
+    CREDENTIALS: 'credentials', // A manager entered their username and password
+    TOKEN: 'token', // A manager issued an approval token for the line
+  },
+
+  // Register shifts (cash drawer sessions)
+  SHIFT_STATUS: {
+    OPEN: 'open',
+    CLOSED: 'closed',
+  },
+
+  // Sales held before they are paid for (sale_drafts.draft_type)
+  DRAFT_TYPES: {
+    PARKED: 'parked', // Put aside at the till, to be finished on any terminal
+    QUOTE: 'quote', // Prices given to a customer, good until the draft expires
+    LAYAWAY: 'layaway', // Paid off by a deposit and installments
+  },
+
+  DRAFT_STATUS: {
+    OPEN: 'open',
+    COMPLETED: 'completed',
+    CANCELLED: 'cancelled',
+    EXPIRED: 'expired',
+  },
+
+  // Money paid on a layaway that was cancelled or expired
+  LAYAWAY_REFUND_STATUS: {
+    DUE: 'due', // Owed to the customer
+    PAID: 'paid', // Paid back to the payment's tender
+  },
+
+  // Cash put into or taken out of a drawer outside of sales
+  CASH_MOVEMENT_TYPES: {
+    PAID_IN: 'paid_in',
+    PAID_OUT: 'paid_out',
   },
 
   // Alert Types
@@ -44,6 +166,39 @@ module.exports = {
     EXPIRED: 'expired',
   },
 
+  // Why a login session was ended (user_sessions.revoked_reason)
+  SESSION_REVOKE_REASONS: {
+    LOGOUT: 'logout',
+    LOGOUT_ALL: 'logout_all',
+    PASSWORD_CHANGE: 'password_change',
+    PASSWORD_RESET: 'password_reset',
+    USER_DEACTIVATED: 'user_deactivated',
+    TWO_FACTOR_RESET: 'two_factor_reset',
+    TOKEN_REUSE: 'token_reuse',
+  },
+
+  // Why a login attempt was rejected (login_attempts.failure_reason)
+  LOGIN_FAILURE_REASONS: {
+    UNKNOWN_USER: 'unknown_user',
+    INVALID_PASSWORD: 'invalid_password',
+    INVALID_SECOND_FACTOR: 'invalid_second_factor',
+    ACCOUNT_LOCKED: 'account_locked',
+    IP_BLOCKED: 'ip_blocked',
+  },
+
+  // Permissions an API key can carry (api_keys.scopes)
+  API_KEY_SCOPES: {
+    INVENTORY_READ: 'inventory:read',
+    SALES_CREATE: 'sales:create',
+    PURCHASE_ORDERS_RECEIVE: 'purchase_orders:receive',
+  },
+
+  // What the token from the password step allows when a second factor is needed
+  TWO_FACTOR_CHALLENGES: {
+    VERIFY: 'verify',
+    ENROLL: 'enroll',
+  },
+
   // HTTP Status Codes
   HTTP_STATUS: {
     OK: 200,
@@ -55,6 +210,8 @@ module.exports = {
     NOT_FOUND: 404,
     CONFLICT: 409,
     UNPROCESSABLE_ENTITY: 422,
+    LOCKED: 423,
+    TOO_MANY_REQUESTS: 429,
     INTERNAL_SERVER_ERROR: 500,
   },
 
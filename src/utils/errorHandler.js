@@ -0,0 +1,189 @@
+// src/utils/errorHandler.js
+const { HTTP_STATUS } = require('./constants');
+
+/**
+ * Error with an HTTP status that is safe to show to the client.
+ * Throw these (or a subclass) from controllers and models; the error
+ * middleware turns them into the standard error response.
+ */
+class ApiError extends Error {
+  /**
+   * @param {string} message - Client-facing message
+   * @param {number} statusCode - HTTP status
+   * @param {Object} options - code: machine-readable error code; details: extra data for the client
+   */
+  constructor(message, statusCode = HTTP_STATUS.INTERNAL_SERVER_ERROR, { code, details } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.statusCode = statusCode;
+    this.code = code || defaultCode(statusCode);
+    this.details = details;
+  }
+}
+
+class ValidationError extends ApiError {
+  constructor(message = 'Validation failed', details) {
+    super(message, HTTP_STATUS.BAD_REQUEST, { code: 'VALIDATION_ERROR', details });
+  }
+}
+
+class UnauthorizedError extends ApiError {
+  constructor(message = 'Authentication required') {
+    super(message, HTTP_STATUS.UNAUTHORIZED, { code: 'UNAUTHORIZED' });
+  }
+}
+
+class ForbiddenError extends ApiError {
+  constructor(message = 'Insufficient permissions') {
+    super(message, HTTP_STATUS.FORBIDDEN, { code: 'FORBIDDEN' });
+  }
+}
+
+class NotFoundError extends ApiError {
+  constructor(message = 'Resource not found') {
+    super(message, HTTP_STATUS.NOT_FOUND, { code: 'NOT_FOUND' });
+  }
+}
+
+class ConflictError extends ApiError {
+  constructor(message = 'Resource conflict', details) {
+    super(message, HTTP_STATUS.CONFLICT, { code: 'CONFLICT', details });
+  }
+}
+
+class InsufficientStockError extends ApiError {
+  /**
+   * @param {string} message - Client-facing message
+   * @param {Object} details - e.g. { productId, requested, available }
+   */
+  constructor(message = 'Insufficient stock', details) {
+    super(message, HTTP_STATUS.CONFLICT, { code: 'INSUFFICIENT_STOCK', details });
+  }
+}
+
+class PrescriptionRequiredError extends ApiError {
+  constructor(message = 'A prescription is required', details) {
+    super(message, HTTP_STATUS.UNPROCESSABLE_ENTITY, { code: 'PRESCRIPTION_REQUIRED', details });
+  }
+}
+
+class ClinicalReviewRequiredError extends ApiError {
+  /**
+   * @param {string} message - Client-facing message
+   * @param {Object} details - e.g. { warnings }
+   */
+  constructor(message = 'Clinical warnings must be reviewed by a pharmacist', details) {
+    super(message, HTTP_STATUS.UNPROCESSABLE_ENTITY, { code: 'CLINICAL_REVIEW_REQUIRED', details });
+  }
+}
+
+class AccountLockedError extends ApiError {
+  /**
+   * @param {string} message - Client-facing message
+   * @param {Object} details - e.g. { lockedUntil }
+   */
+  constructor(message = 'Account is temporarily locked', details) {
+    super(message, HTTP_STATUS.LOCKED, { code: 'ACCOUNT_LOCKED', details });
+  }
+}
+
+class TooManyRequestsError extends ApiError {
+  /**
+   * @param {string} message - Client-facing message
+   * @param {Object} details - e.g. { retryAfter } in seconds
+   */
+  constructor(message = 'Too many requests, please try again later', details) {
+    super(message, HTTP_STATUS.TOO_MANY_REQUESTS, { code: 'TOO_MANY_REQUESTS', details });
+  }
+}
+
+function defaultCode(statusCode) {
+  switch (statusCode) {
+  case HTTP_STATUS.BAD_REQUEST: return 'BAD_REQUEST';
+  case HTTP_STATUS.UNAUTHORIZED: return 'UNAUTHORIZED';
+  case HTTP_STATUS.FORBIDDEN: return 'FORBIDDEN';
+  case HTTP_STATUS.NOT_FOUND: return 'NOT_FOUND';
+  case HTTP_STATUS.CONFLICT: return 'CONFLICT';
+  case HTTP_STATUS.UNPROCESSABLE_ENTITY: return 'UNPROCESSABLE_ENTITY';
+  case HTTP_STATUS.LOCKED: return 'LOCKED';
+  case HTTP_STATUS.TOO_MANY_REQUESTS: return 'TOO_MANY_REQUESTS';
+  case 503: return 'SERVICE_UNAVAILABLE';
+  default: return statusCode >= 500 ? 'INTERNAL_ERROR' : 'ERROR';
+  }
+}
+
+// PostgreSQL SQLSTATE codes that are caused by the request rather than the server
+const PG_ERRORS = {
+  23505: { statusCode: HTTP_STATUS.CONFLICT, code: 'DUPLICATE_RESOURCE', message: 'A record with the same unique value already exists' },
+  23503: { statusCode: HTTP_STATUS.UNPROCESSABLE_ENTITY, code: 'INVALID_REFERENCE', message: 'A referenced record does not exist or is still in use' },
+  23502: { statusCode: HTTP_STATUS.BAD_REQUEST, code: 'MISSING_FIELD', message: 'A required field is missing' },
+  23514: { statusCode: HTTP_STATUS.UNPROCESSABLE_ENTITY, code: 'CONSTRAINT_VIOLATION', message: 'The data violates a business rule' },
+  '22P02': { statusCode: HTTP_STATUS.BAD_REQUEST, code: 'INVALID_INPUT', message: 'A value has an invalid format' },
+  22001: { statusCode: HTTP_STATUS.BAD_REQUEST, code: 'VALUE_TOO_LONG', message: 'A value is too long' },
+  22003: { statusCode: HTTP_STATUS.BAD_REQUEST, code: 'VALUE_OUT_OF_RANGE', message: 'A numeric value is out of range' },
+  22007: { statusCode: HTTP_STATUS.BAD_REQUEST, code: 'INVALID_DATE', message: 'A date has an invalid format' },
+  22008: { statusCode: HTTP_STATUS.BAD_REQUEST, code: 'INVALID_DATE', message: 'A date is out of range' },
+  40001: { statusCode: HTTP_STATUS.CONFLICT, code: 'CONCURRENT_UPDATE', message: 'The record was changed by another request; please retry' },
+  '40P01': { statusCode: HTTP_STATUS.CONFLICT, code: 'CONCURRENT_UPDATE', message: 'The record was changed by another request; please retry' }
+};
+
+// Connection failures: the database is unreachable, not the request at fault
+const UNAVAILABLE_CODES = new Set(['ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'ENOTFOUND', '57P01', '57P03', '53300']);
+
+/**
+ * Convert a PostgreSQL driver error into an ApiError, or null if it is not one we map
+ * @param {Error} error - Error thrown by pg
+ * @returns {ApiError|null}
+ */
+const fromDatabaseError = (error) => {
+  if (UNAVAILABLE_CODES.has(error.code) || /^08/.test(error.code || '')) {
+    return new ApiError('Database is temporarily unavailable', 503, { code: 'SERVICE_UNAVAILABLE' });
+  }
+
+  const mapping = PG_ERRORS[error.code];
+  if (!mapping) return null;
+
+  const details = {};
+  if (error.constraint) details.constraint = error.constraint;
+  if (error.column) details.column = error.column;
+
+  return new ApiError(mapping.message, mapping.statusCode, {
+    code: mapping.code,
+    details: Object.keys(details).length > 0 ? details : undefined
+  });
+};
+
+/**
+ * Normalize anything thrown during a request into an ApiError.
+ * Unknown errors become a generic 500 so internal messages never reach the client.
+ * @param {Error} error - Thrown value
+ * @returns {ApiError}
+ */
+const handleError = (error) => {
+  if (error instanceof ApiError) return error;
+
+  const databaseError = error && fromDatabaseError(error);
+  if (databaseError) return databaseError;
+
+  // body-parser errors (malformed JSON, payload too large) carry their own 4xx status
+  if (error && error.expose && error.status >= 400 && error.status < 500) {
+    return new ApiError(error.type === 'entity.parse.failed' ? 'Malformed JSON in request body' : error.message, error.status);
+  }
+
+  return new ApiError('Internal server error', HTTP_STATUS.INTERNAL_SERVER_ERROR);
+};
+
+module.exports = {
+  ApiError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  InsufficientStockError,
+  PrescriptionRequiredError,
+  ClinicalReviewRequiredError,
+  AccountLockedError,
+  TooManyRequestsError,
+  handleError
+};
@@ -1,5 +1,6 @@
 // src/utils/helpers.js
 const crypto = require('crypto');
+const config = require('../config/environment');
 
 /**
  * Generate a random string of specified length
@@ -40,6 +41,15 @@ const getPaginationMetadata = (totalItems, page, limit) => {
   };
 };
 
+/**
+ * Pagination metadata for list responses
+ * @param {number} page - Current page
+ * @param {number} limit - Items per page
+ * @param {number} totalItems - Total number of items
+ * @returns {Object} Pagination metadata
+ */
+const generatePagination = (page, limit, totalItems) => getPaginationMetadata(totalItems, page, limit);
+
 /**
  * Sanitize object by removing null, undefined, and empty string values
  * @param {Object} obj - Object to sanitize
@@ -92,6 +102,45 @@ const isValidEmail = (email) => {
   return emailRegex.test(email);
 };
 
+/**
+ * Validate email format (alias used by the controllers)
+ * @param {string} email - Email to validate
+ * @returns {boolean} True if valid email
+ */
+const validateEmail = email => typeof email === 'string' && isValidEmail(email);
+
+/**
+ * Check a password against the configured password policy
+ * @param {string} password - Plain-text password
+ * @param {Object} policy - passwordMinLength, passwordRequireSpecialChars (defaults to config.security)
+ * @returns {Object} { isValid, errors }
+ */
+const validatePassword = (password, policy = config.security) => {
+  const errors = [];
+
+  if (typeof password !== 'string') {
+    return { isValid: false, errors: ['Password is required'] };
+  }
+
+  if (password.length < policy.passwordMinLength) {
+    errors.push(`Password must be at least ${policy.passwordMinLength} characters long`);
+  }
+  if (!/[a-z]/.test(password)) {
+    errors.push('Password must contain a lowercase letter');
+  }
+  if (!/[A-Z]/.test(password)) {
+    errors.push('Password must contain an uppercase letter');
+  }
+  if (!/\d/.test(password)) {
+    errors.push('Password must contain a number');
+  }
+  if (policy.passwordRequireSpecialChars && !/[^A-Za-z0-9]/.test(password)) {
+    errors.push('Password must contain a special character');
+  }
+
+  return { isValid: errors.length === 0, errors };
+};
+
 /**
  * Generate slug from text
  * @param {string} text - Text to convert to slug
@@ -107,13 +156,78 @@ const generateSlug = (text) => {
     .replace(/-+$/, ''); // Trim - from end
 };
 
+/**
+ * Check an NPI (National Provider Identifier): ten digits whose last digit is
+ * a Luhn check digit computed with the 80840 health-industry prefix
+ * @param {string} npi - NPI
+ * @returns {boolean}
+ */
+const isValidNpi = (npi) => {
+  if (!/^\d{10}$/.test(npi)) return false;
+
+  const sum = `80840${npi}`.split('').reverse().reduce((total, char, index) => {
+    let digit = Number(char);
+    if (index % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    return total + digit;
+  }, 0);
+
+  return sum % 10 === 0;
+};
+
+/**
+ * Check a DEA registration number: two letters and seven digits, where the
+ * last digit is the checksum of the first six. For individual practitioners
+ * the second letter is the initial of their last name (9 for business names).
+ * @param {string} deaNumber - DEA number
+ * @param {string} [lastName] - Registrant's last name, to check the initial
+ * @returns {boolean}
+ */
+const isValidDeaNumber = (deaNumber, lastName = null) => {
+  const match = /^[A-Z]([A-Z9])(\d{7})$/.exec(deaNumber || '');
+  if (!match) return false;
+
+  const [, initial, digits] = match;
+  const d = digits.split('').map(Number);
+  const checksum = (d[0] + d[2] + d[4] + 2 * (d[1] + d[3] + d[5])) % 10;
+  if (checksum !== d[6]) return false;
+
+  return !lastName || initial === '9' || initial === lastName.trim().charAt(0).toUpperCase();
+};
+
+/**
+ * Generate the next sequential product code (PRD-000001, PRD-000002, ...).
+ * Takes a transaction-scoped advisory lock so concurrent creates cannot pick the same code.
+ * @param {Object} client - Transaction client
+ * @returns {Promise<string>} Product code
+ */
+const generateProductCode = async (client) => {
+  await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', ['products.product_code']);
+
+  const result = await client.query(`
+    SELECT COALESCE(MAX(SUBSTRING(product_code FROM 5)::integer), 0) + 1 AS next_number
+    FROM products
+    WHERE product_code ~ '^PRD-[0-9]+$'
+  `);
+
+  return `PRD-${String(result.rows[0].next_number).padStart(6, '0')}`;
+};
+
 module.exports = {
   generateRandomString,
   getPagination,
   getPaginationMetadata,
+  generatePagination,
   sanitizeObject,
   toCamelCase,
   keysToCamelCase,
   isValidEmail,
+  validateEmail,
+  validatePassword,
+  isValidNpi,
+  isValidDeaNumber,
   generateSlug,
+  generateProductCode,
 };
@@ -0,0 +1,108 @@
+// src/utils/mailer.js
+const config = require('../config/environment');
+const logger = require('./logger');
+
+/*
+ * Outgoing email goes through a swappable transport: any object with
+ * `send(message)` returning a promise, where message is
+ * { from, to, subject, text, template }. The default only logs that a message
+ * was produced (never its body, which may hold a secret link); deployments
+ * install a real transport with setTransport() at startup, and tests install
+ * createOutboxTransport() to inspect what would have been sent.
+ */
+
+// Template name (config.email.templates) -> (data) => { subject, text }
+const TEMPLATES = {
+  [config.email.templates.passwordReset]: ({ firstName, resetUrl, expiresInMinutes }) => ({
+    subject: 'Reset your PharmaFlow password',
+    text: [
+      `Hello ${firstName},`,
+      '',
+      'We received a request to reset the password for your PharmaFlow account.',
+      `Use the link below within ${expiresInMinutes} minutes to choose a new password:`,
+      '',
+      resetUrl,
+      '',
+      'If you did not ask for this, you can ignore this email; your password will not change.'
+    ].join('\n')
+  })
+};
+
+const logTransport = {
+  async send(message) {
+    if (config.email.enabled) {
+      logger.warn('Email is enabled but no mail transport is configured; message not delivered', {
+        to: message.to,
+        template: message.template
+      });
+    } else {
+      logger.info('Email delivery disabled; message not sent', { to: message.to, template: message.template });
+    }
+  }
+};
+
+let transport = logTransport;
+
+/**
+ * Replace the transport used for all outgoing email
+ * @param {Object} nextTransport - Object with send(message)
+ */
+const setTransport = (nextTransport) => {
+  if (!nextTransport || typeof nextTransport.send !== 'function') {
+    throw new TypeError('A mail transport must have a send(message) function');
+  }
+  transport = nextTransport;
+};
+
+/**
+ * Go back to the default logging transport
+ */
+const resetTransport = () => {
+  transport = logTransport;
+};
+
+/**
+ * Transport that keeps messages in memory instead of sending them
+ * @returns {Object} { send, outbox, clear }
+ */
+const createOutboxTransport = () => {
+  const outbox = [];
+
+  return {
+    outbox,
+    async send(message) {
+      outbox.push(message);
+    },
+    clear() {
+      outbox.length = 0;
+    }
+  };
+};
+
+/**
+ * Render a template and hand the message to the current transport
+ * @param {string} template - Template name from config.email.templates
+ * @param {string} to - Recipient address
+ * @param {Object} data - Template variables
+ * @returns {Promise<void>}
+ */
+const sendTemplate = async (template, to, data) => {
+  const render = TEMPLATES[template];
+  if (!render) {
+    throw new Error(`Unknown email template: ${template}`);
+  }
+
+  await transport.send({
+    from: config.email.from,
+    to,
+    template,
+    ...render(data)
+  });
+};
+
+module.exports = {
+  setTransport,
+  resetTransport,
+  createOutboxTransport,
+  sendTemplate
+};
@@ -0,0 +1,80 @@
+// src/utils/pdf.js
+// Plain-text PDF documents (quotes) without a PDF library: lines of text set
+// in Courier, so columns padded with spaces line up, over as many US Letter
+// pages as they need.
+
+const PAGE_WIDTH = 612;
+const PAGE_HEIGHT = 792;
+const MARGIN = 54;
+const FONT_SIZE = 10;
+const LEADING = 14;
+const LINES_PER_PAGE = Math.floor((PAGE_HEIGHT - 2 * MARGIN) / LEADING);
+
+/**
+ * Text as a PDF string literal body. Characters outside printable ASCII,
+ * which the standard fonts cannot be relied on to have, become '?'.
+ * @param {string} text - Text to show
+ * @returns {string}
+ */
+const escapeText = text => String(text)
+  .replace(/[^\x20-\x7e]/g, '?')
+  .replace(/[\\()]/g, match => `\\${match}`);
+
+/**
+ * Render lines of text as a PDF
+ * @param {Array<string>} lines - Lines of the document; at 10pt Courier about 84 characters fit a line
+ * @param {Object} [info] - title
+ * @returns {Buffer} The PDF file
+ */
+const renderTextPdf = (lines, { title = '' } = {}) => {
+  const pages = [];
+  for (let start = 0; start < Math.max(lines.length, 1); start += LINES_PER_PAGE) {
+    pages.push(lines.slice(start, start + LINES_PER_PAGE));
+  }
+
+  // 1 catalog, 2 page tree, 3 font, 4 document info, then each page and its content stream
+  const pageObject = index => 5 + index * 2;
+  const objects = [
+    null,
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    `<< /Type /Pages /Kids [${pages.map((_, index) => `${pageObject(index)} 0 R`).join(' ')}] /Count ${pages.length} >>`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>',
+    `<< /Title (${escapeText(title)}) /Producer (PharmaFlow) >>`
+  ];
+
+  pages.forEach((pageLines, index) => {
+    const content = [
+      'BT',
+      `/F1 ${FONT_SIZE} Tf`,
+      `${LEADING} TL`,
+      `${MARGIN} ${PAGE_HEIGHT - MARGIN - FONT_SIZE} Td`,
+      ...pageLines.map(line => `(${escapeText(line)}) Tj T*`),
+      'ET'
+    ].join('\n');
+
+    objects.push(
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] `
+        + `/Resources << /Font << /F1 3 0 R >> >> /Contents ${pageObject(index) + 1} 0 R >>`,
+      `<< /Length ${content.length} >>\nstream\n${content}\nendstream`
+    );
+  });
+
+  // Everything written is ASCII, so string lengths are byte offsets
+  let pdf = '%PDF-1.4\n';
+  const offsets = [];
+  for (let number = 1; number < objects.length; number++) {
+    offsets.push(pdf.length);
+    pdf += `${number} 0 obj\n${objects[number]}\nendobj\n`;
+  }
+
+  const xref = pdf.length;
+  pdf += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+  pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length} /Root 1 0 R /Info 4 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+  return Buffer.from(pdf, 'ascii');
+};
+
+module.exports = {
+  renderTextPdf
+};
@@ -0,0 +1,34 @@
+// src/utils/requestContext.js
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run the rest of a request's handling with the request available to code that
+ * is not passed req, such as the database helpers
+ * @param {Object} req - Express request
+ * @param {Function} callback - Usually next
+ */
+const runInRequestContext = (req, callback) => storage.run(req, callback);
+
+/**
+ * Who is behind the current database change, for audit_log. Read when the
+ * query runs, so it reflects authentication that happened after the context began.
+ * @returns {Object|null} { userId, apiKeyId, ipAddress, requestId }, or null outside a request
+ */
+const getAuditContext = () => {
+  const req = storage.getStore();
+  if (!req) return null;
+
+  return {
+    userId: req.user ? req.user.userId : null,
+    apiKeyId: (req.user && req.user.apiKeyId) || null,
+    ipAddress: req.ip || null,
+    requestId: req.id || null
+  };
+};
+
+module.exports = {
+  runInRequestContext,
+  getAuditContext
+};
@@ -0,0 +1,214 @@
+// src/utils/tokens.js
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const config = require('../config/environment');
+const { UnauthorizedError, ForbiddenError } = require('./errorHandler');
+
+/**
+ * SHA-256 of a token, as stored in user_sessions.refresh_token_hash
+ * @param {string} token - Raw token
+ * @returns {string} Hex digest
+ */
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Sign an access token bound to a login session
+ * @param {Object} user - { user_id, username, role }
+ * @param {string} sessionId - user_sessions.session_id
+ * @returns {string} JWT
+ */
+const signAccessToken = (user, sessionId) => jwt.sign(
+  {
+    userId: user.user_id,
+    username: user.username,
+    role: user.role,
+    sid: sessionId
+  },
+  config.jwt.secret,
+  {
+    expiresIn: config.jwt.expiresIn,
+    issuer: config.jwt.issuer,
+    algorithm: config.jwt.algorithm
+  }
+);
+
+/**
+ * Sign a refresh token. Without expiresAt the token lives for
+ * config.jwt.refreshExpiresIn; rotated tokens pass the session's expiry so a
+ * session never outlives its first refresh token.
+ * @param {number} userId - User ID
+ * @param {string} sessionId - user_sessions.session_id
+ * @param {Date} [expiresAt] - Absolute expiry
+ * @returns {Object} { token, hash, expiresAt }
+ */
+const signRefreshToken = (userId, sessionId, expiresAt) => {
+  const payload = { sub: String(userId), sid: sessionId, jti: crypto.randomUUID() };
+  const options = { issuer: config.jwt.issuer, algorithm: config.jwt.algorithm };
+
+  if (expiresAt) {
+    payload.exp = Math.floor(expiresAt.getTime() / 1000);
+  } else {
+    options.expiresIn = config.jwt.refreshExpiresIn;
+  }
+
+  const token = jwt.sign(payload, config.jwt.refreshSecret, options);
+
+  return {
+    token,
+    hash: hashToken(token),
+    expiresAt: new Date(jwt.decode(token).exp * 1000)
+  };
+};
+
+/**
+ * Verify a refresh token's signature, issuer and expiry
+ * @param {string} token - Refresh token
+ * @returns {Object} { userId, sessionId, expiresAt }
+ * @throws {UnauthorizedError} When the token is invalid or expired
+ */
+const verifyRefreshToken = (token) => {
+  let payload;
+  try {
+    payload = jwt.verify(token, config.jwt.refreshSecret, {
+      algorithms: [config.jwt.algorithm],
+      issuer: config.jwt.issuer
+    });
+  } catch (error) {
+    throw new UnauthorizedError(
+      error.name === 'TokenExpiredError' ? 'Refresh token has expired' : 'Invalid refresh token'
+    );
+  }
+
+  const userId = Number(payload.sub);
+  if (!Number.isInteger(userId) || userId <= 0 || typeof payload.sid !== 'string') {
+    throw new UnauthorizedError('Invalid refresh token');
+  }
+
+  return {
+    userId,
+    sessionId: payload.sid,
+    expiresAt: new Date(payload.exp * 1000)
+  };
+};
+
+// Audience of the short-lived token that links the two login steps
+const CHALLENGE_AUDIENCE = 'pharmaflow-2fa';
+
+/**
+ * Sign the token returned by the password step when a second factor is needed
+ * @param {number} userId - User ID
+ * @param {string} purpose - 'verify' (enter a code) or 'enroll' (set up 2FA first)
+ * @returns {Object} { token, expiresAt }
+ */
+const signTwoFactorChallenge = (userId, purpose) => {
+  const token = jwt.sign({ sub: String(userId), purpose }, config.jwt.secret, {
+    expiresIn: config.security.twoFactor.challengeExpiresIn,
+    issuer: config.jwt.issuer,
+    audience: CHALLENGE_AUDIENCE,
+    algorithm: config.jwt.algorithm
+  });
+
+  return { token, expiresAt: new Date(jwt.decode(token).exp * 1000) };
+};
+
+/**
+ * Verify a two-factor challenge token
+ * @param {string} token - Token from the password step
+ * @param {string} purpose - Purpose the caller requires
+ * @returns {number} User ID
+ * @throws {UnauthorizedError} When the token is invalid, expired or for another purpose
+ */
+const verifyTwoFactorChallenge = (token, purpose) => {
+  let payload;
+  try {
+    payload = jwt.verify(token, config.jwt.secret, {
+      algorithms: [config.jwt.algorithm],
+      issuer: config.jwt.issuer,
+      audience: CHALLENGE_AUDIENCE
+    });
+  } catch (error) {
+    throw new UnauthorizedError(
+      error.name === 'TokenExpiredError' ? 'Login challenge has expired, please sign in again' : 'Invalid login challenge'
+    );
+  }
+
+  const userId = Number(payload.sub);
+  if (payload.purpose !== purpose || !Number.isInteger(userId) || userId <= 0) {
+    throw new UnauthorizedError('Invalid login challenge');
+  }
+
+  return userId;
+};
+
+// Audience of a manager's approval for one overridden price
+const PRICE_OVERRIDE_AUDIENCE = 'pharmaflow-price-override';
+
+/**
+ * Sign a manager's approval for one cashier to sell a product at a given
+ * price. The jti makes the approval single-use: the sale that uses it
+ * records it (price_override_approvals_used).
+ * @param {number} approverId - User ID of the approver
+ * @param {Object} line - cashierId, productId, unitPrice, quantity (the most the approval covers)
+ * @returns {Object} { token, expiresAt }
+ */
+const signPriceOverrideApproval = (approverId, { cashierId, productId, unitPrice, quantity }) => {
+  const token = jwt.sign({ sub: String(approverId), cashierId, productId, unitPrice, quantity }, config.jwt.secret, {
+    expiresIn: config.pharmacy.priceOverrideApprovalExpiresIn,
+    issuer: config.jwt.issuer,
+    audience: PRICE_OVERRIDE_AUDIENCE,
+    algorithm: config.jwt.algorithm,
+    jwtid: crypto.randomUUID()
+  });
+
+  return { token, expiresAt: new Date(jwt.decode(token).exp * 1000) };
+};
+
+/**
+ * Verify a price override approval against the line it is used on. Whether
+ * it was used before is for the caller to check with the returned jti.
+ * @param {string} token - Approval token
+ * @param {Object} line - cashierId, productId, unitPrice, quantity
+ * @returns {Object} { approverId, jti }
+ * @throws {ForbiddenError} When the token is invalid, expired or for another cashier, product, price or a smaller quantity
+ */
+const verifyPriceOverrideApproval = (token, { cashierId, productId, unitPrice, quantity }) => {
+  let payload;
+  try {
+    payload = jwt.verify(token, config.jwt.secret, {
+      algorithms: [config.jwt.algorithm],
+      issuer: config.jwt.issuer,
+      audience: PRICE_OVERRIDE_AUDIENCE
+    });
+  } catch (error) {
+    throw new ForbiddenError(
+      error.name === 'TokenExpiredError' ? 'Price override approval has expired' : 'Price override approval is invalid'
+    );
+  }
+
+  const approverId = Number(payload.sub);
+  if (!Number.isInteger(approverId) || approverId <= 0 || typeof payload.jti !== 'string') {
+    throw new ForbiddenError('Price override approval is invalid');
+  }
+  if (payload.cashierId !== cashierId) {
+    throw new ForbiddenError('Price override approval was given to another cashier');
+  }
+  if (payload.productId !== productId || payload.unitPrice !== unitPrice) {
+    throw new ForbiddenError('Price override approval is for a different product or price');
+  }
+  if (quantity > payload.quantity) {
+    throw new ForbiddenError(`Price override approval covers at most ${payload.quantity}, not ${quantity}`);
+  }
+
+  return { approverId, jti: payload.jti };
+};
+
+module.exports = {
+  hashToken,
+  signAccessToken,
+  signRefreshToken,
+  verifyRefreshToken,
+  signTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+  signPriceOverrideApproval,
+  verifyPriceOverrideApproval
+};
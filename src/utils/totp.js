@@ -0,0 +1,206 @@
+// src/utils/totp.js
+const crypto = require('crypto');
+const config = require('../config/environment');
+
+// RFC 6238 parameters; authenticator apps assume these when the URI omits them
+const PERIOD_SECONDS = 30;
+const DIGITS = 6;
+const ALGORITHM = 'sha1';
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * RFC 4648 base32 without padding, the format authenticator apps expect for secrets
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string}
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decode base32, ignoring case, spaces and padding
+ * @param {string} input - Base32 text
+ * @returns {Buffer}
+ */
+const base32Decode = (input) => {
+  const clean = input.toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * A new random 160-bit secret, base32-encoded
+ * @returns {string}
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Time step containing a moment
+ * @param {number} [timestamp] - Milliseconds since the epoch
+ * @returns {number}
+ */
+const timeStep = (timestamp = Date.now()) => Math.floor(timestamp / 1000 / PERIOD_SECONDS);
+
+/**
+ * The code for one time step (RFC 4226 HOTP with the step as counter)
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Time step
+ * @returns {string} Zero-padded code
+ */
+const generateCode = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const digest = crypto.createHmac(ALGORITHM, base32Decode(secret)).update(counter).digest();
+  const offset = digest[digest.length - 1] & 15;
+  const binary = digest.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+/**
+ * Check a code against the current step and one step either side, allowing
+ * for clock drift. Steps up to and including afterStep are refused so a code
+ * cannot be used twice.
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {Object} [options] - afterStep: last step already used; timestamp: moment to check at
+ * @returns {number|null} The matching step, or null
+ */
+const verifyCode = (secret, code, { afterStep = null, timestamp = Date.now() } = {}) => {
+  const candidate = String(code).replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${DIGITS}}$`).test(candidate)) return null;
+
+  const current = timeStep(timestamp);
+  for (const step of [current - 1, current, current + 1]) {
+    if (afterStep !== null && step <= afterStep) continue;
+
+    const expected = generateCode(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * otpauth:// URI for enrolling an authenticator app (usually shown as a QR code)
+ * @param {string} secret - Base32 secret
+ * @param {string} accountName - Label shown in the app, e.g. the username
+ * @returns {string}
+ */
+const provisioningUri = (secret, accountName) => {
+  const { issuer } = config.security.twoFactor;
+  const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(accountName)}`;
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: ALGORITHM.toUpperCase(),
+    digits: String(DIGITS),
+    period: String(PERIOD_SECONDS)
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+const IV_BYTES = 12;
+const AUTH_TAG_BYTES = 16;
+
+const encryptionKey = () => crypto.createHash('sha256').update(String(config.security.twoFactor.encryptionKey)).digest();
+
+/**
+ * Encrypt a secret for storage (AES-256-GCM), as 'iv.tag.ciphertext' in base64url
+ * @param {string} secret - Base32 secret
+ * @returns {string}
+ */
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64url')).join('.');
+};
+
+/**
+ * Reverse encryptSecret. A truncated iv or tag is refused rather than
+ * checked with a shorter tag.
+ * @param {string} stored - Value from users.totp_secret
+ * @returns {string} Base32 secret
+ */
+const decryptSecret = (stored) => {
+  const parts = stored.split('.').map(part => Buffer.from(part, 'base64url'));
+  const [iv, tag, ciphertext] = parts;
+  if (parts.length !== 3 || iv.length !== IV_BYTES || tag.length !== AUTH_TAG_BYTES) {
+    throw new Error('Malformed encrypted secret');
+  }
+
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv, { authTagLength: AUTH_TAG_BYTES });
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+};
+
+/**
+ * Recovery codes in the form 'xxxxx-xxxxx', shown to the user once
+ * @param {number} [count] - How many to generate
+ * @returns {string[]}
+ */
+const generateRecoveryCodes = (count = config.security.twoFactor.recoveryCodeCount) => Array.from(
+  { length: count },
+  () => crypto.randomBytes(5).toString('hex').replace(/^(.{5})/, '$1-')
+);
+
+/**
+ * Canonical form of a recovery code for hashing, so case and the dash do not matter
+ * @param {string} code - Code as typed
+ * @returns {string}
+ */
+const normalizeRecoveryCode = code => String(code).toLowerCase().replace(/[^0-9a-f]/g, '');
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  timeStep,
+  generateCode,
+  verifyCode,
+  provisioningUri,
+  encryptSecret,
+  decryptSecret,
+  generateRecoveryCodes,
+  normalizeRecoveryCode
+};
@@ -0,0 +1,111 @@
+// src/utils/validation.js
+const Joi = require('joi');
+const { INVENTORY_STATUS, PAGINATION, PAYMENT_METHODS, USER_ROLES } = require('./constants');
+const { ValidationError } = require('./errorHandler');
+const { validateEmail, validatePassword } = require('./helpers');
+
+// Reusable schema building blocks. Dates stay 'YYYY-MM-DD' strings because the
+// controllers append times to them when building SQL ranges.
+const id = Joi.number().integer().min(1);
+const quantity = Joi.number().integer().min(1);
+const nonNegativeInteger = Joi.number().integer().min(0);
+const money = Joi.number().min(0).precision(2);
+const percentage = Joi.number().min(0).max(100);
+const date = Joi.string()
+  .pattern(/^\d{4}-\d{2}-\d{2}$/)
+  .custom((value, helpers) => (Number.isNaN(Date.parse(value)) ? helpers.error('any.invalid') : value))
+  .messages({ 'string.pattern.base': '{{#label}} must be a date (YYYY-MM-DD)' });
+const sortOrder = Joi.string().uppercase().valid('ASC', 'DESC');
+const text = max => Joi.string().trim().max(max);
+const optionalText = max => text(max).allow('', null);
+const paymentMethod = Joi.string().valid(...Object.values(PAYMENT_METHODS));
+const inventoryStatus = Joi.string().valid(...Object.values(INVENTORY_STATUS));
+const userRole = Joi.string().valid(...Object.values(USER_ROLES));
+const email = Joi.string().trim().lowercase().max(255)
+  .custom((value, helpers) => (validateEmail(value) ? value : helpers.message('Invalid email format')));
+const phone = Joi.string().trim().pattern(/^[+]?[\d\s().-]{7,20}$/)
+  .messages({ 'string.pattern.base': '{{#label}} must be a valid phone number' });
+// Strength rules come from config.security via validatePassword
+const password = Joi.string().max(128).custom((value, helpers) => {
+  const { isValid, errors } = validatePassword(value);
+  return isValid ? value : helpers.message(`Password does not meet requirements: ${errors.join('; ')}`);
+});
+const totpCode = Joi.string().trim().pattern(/^\d{6}$/)
+  .messages({ 'string.pattern.base': '{{#label}} must be a 6-digit code' });
+// A second user's credentials, entered to co-sign a controlled substance change;
+// code is needed from users who sign in with an authenticator app
+const witness = Joi.object({
+  username: Joi.string().trim().max(50).required(),
+  password: Joi.string().max(128).required(),
+  code: totpCode
+});
+
+const pagination = {
+  page: Joi.number().integer().min(1).default(PAGINATION.DEFAULT_PAGE),
+  limit: Joi.number().integer().min(1).max(PAGINATION.MAX_LIMIT).default(PAGINATION.DEFAULT_LIMIT)
+};
+
+const dateRange = {
+  startDate: date,
+  endDate: date
+};
+
+/**
+ * Object-level rule for schemas that include dateRange
+ */
+const dateRangeRule = (value, helpers) => (
+  value.startDate && value.endDate && value.endDate < value.startDate
+    ? helpers.message('endDate must not be before startDate')
+    : value
+);
+
+/**
+ * Validate and coerce data against a Joi schema
+ * @param {Object} schema - Joi schema
+ * @param {*} data - Input data
+ * @param {string} location - Where the data came from (body, query, params)
+ * @returns {*} Coerced value with unknown keys removed
+ * @throws {ValidationError} Listing every failing field
+ */
+const validateSchema = (schema, data, location = 'body') => {
+  const { value, error } = schema.validate(data === undefined ? {} : data, {
+    abortEarly: false,
+    stripUnknown: true,
+    errors: { wrap: { label: false } }
+  });
+
+  if (error) {
+    throw new ValidationError('Validation errors', error.details.map(detail => ({
+      field: detail.path.join('.'),
+      location,
+      message: detail.message
+    })));
+  }
+
+  return value;
+};
+
+module.exports = {
+  Joi,
+  id,
+  quantity,
+  nonNegativeInteger,
+  money,
+  percentage,
+  date,
+  sortOrder,
+  text,
+  optionalText,
+  paymentMethod,
+  inventoryStatus,
+  userRole,
+  email,
+  phone,
+  password,
+  totpCode,
+  witness,
+  pagination,
+  dateRange,
+  dateRangeRule,
+  validateSchema
+};
@@ -0,0 +1,70 @@
+// tests/unit/auditLog.test.js
+const { pool, query } = require('../../src/config/database');
+const AuditLog = require('../../src/models/AuditLog');
+const { runInRequestContext, getAuditContext } = require('../../src/utils/requestContext');
+
+const request = (user = undefined) => ({ id: 'req-1', ip: '10.0.0.1', user });
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('audit context', () => {
+  it('is absent outside a request', () => {
+    expect(getAuditContext()).toBeNull();
+  });
+
+  it('reflects a user authenticated after the context began', async () => {
+    const req = request();
+
+    await runInRequestContext(req, async () => {
+      expect(getAuditContext()).toEqual({ userId: null, apiKeyId: null, ipAddress: '10.0.0.1', requestId: 'req-1' });
+
+      req.user = { userId: 4, apiKeyId: 2 };
+      await Promise.resolve();
+
+      expect(getAuditContext()).toEqual({ userId: 4, apiKeyId: 2, ipAddress: '10.0.0.1', requestId: 'req-1' });
+    });
+  });
+
+  it('is handed to the database for writes made during a request', async () => {
+    const client = { query: jest.fn().mockResolvedValue({ rows: [] }), release: jest.fn() };
+    jest.spyOn(pool, 'connect').mockResolvedValue(client);
+    const poolQuery = jest.spyOn(pool, 'query').mockResolvedValue({ rows: [] });
+
+    await runInRequestContext(request({ userId: 7 }), async () => {
+      await query('SELECT 1');
+      await query('UPDATE products SET selling_price = $1 WHERE product_id = $2', [9.99, 3]);
+    });
+
+    expect(poolQuery).toHaveBeenCalledTimes(1);
+    expect(client.query.mock.calls.map(([text]) => text.trim().split(/\s/)[0])).toEqual(['BEGIN', 'SELECT', 'UPDATE', 'COMMIT']);
+    expect(client.query.mock.calls[1][1]).toEqual(['7', '', '10.0.0.1', 'req-1']);
+  });
+});
+
+describe('AuditLog.verifyChain', () => {
+  it('reports an intact chain with its head', async () => {
+    jest.spyOn(pool, 'query')
+      .mockResolvedValueOnce({ rows: [{ entries: 3, head_position: '3', head_hash: 'c'.repeat(64) }] })
+      .mockResolvedValueOnce({ rows: [] });
+
+    await expect(AuditLog.verifyChain()).resolves.toEqual({
+      valid: true,
+      entries: 3,
+      head: { position: 3, hash: 'c'.repeat(64) },
+      problems: []
+    });
+  });
+
+  it('lists where the chain breaks', async () => {
+    jest.spyOn(pool, 'query')
+      .mockResolvedValueOnce({ rows: [{ entries: 9, head_position: '10', head_hash: 'd'.repeat(64) }] })
+      .mockResolvedValueOnce({ rows: [{ audit_id: '5', chain_position: '5', problem: 'missing_entries' }] });
+
+    const result = await AuditLog.verifyChain();
+
+    expect(result.valid).toBe(false);
+    expect(result.problems).toEqual([{ auditId: 5, position: 5, problem: 'missing_entries' }]);
+  });
+});
@@ -0,0 +1,266 @@
+// tests/unit/auth.test.js
+// Per-key rate limiting is express-rate-limit's job; here it only has to be reached
+jest.mock('../../src/middleware/rateLimiter', () => ({
+  apiKeyLimiter: jest.fn((req, res, next) => next())
+}));
+
+const jwt = require('jsonwebtoken');
+const config = require('../../src/config/environment');
+const Session = require('../../src/models/Session');
+const ApiKey = require('../../src/models/ApiKey');
+const { authenticate, authorize, permitApiKey } = require('../../src/middleware/auth');
+const { USER_ROLES, API_KEY_SCOPES } = require('../../src/utils/constants');
+const { signAccessToken, signRefreshToken, verifyRefreshToken } = require('../../src/utils/tokens');
+
+const SESSION_ID = '6f1c1a52-3c4e-4b7a-9d2e-0a8b5f3c2d1e';
+
+const signToken = (payload, options = {}) => jwt.sign(payload, config.jwt.secret, {
+  expiresIn: '1h',
+  issuer: config.jwt.issuer,
+  algorithm: config.jwt.algorithm,
+  ...options
+});
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  res.set = jest.fn(() => res);
+  return res;
+};
+
+const mockRequest = (token) => ({
+  headers: token ? { authorization: `Bearer ${token}` } : {},
+  originalUrl: '/api/v1/test',
+  method: 'GET',
+  ip: '127.0.0.1'
+});
+
+describe('authenticate middleware', () => {
+  let isActive;
+
+  beforeEach(() => {
+    isActive = jest.spyOn(Session, 'isActive').mockResolvedValue(true);
+  });
+
+  afterEach(() => {
+    isActive.mockRestore();
+  });
+
+  it('attaches a normalized user for a valid token', async () => {
+    const req = mockRequest(signToken({ userId: 7, username: 'jdoe', role: USER_ROLES.CASHIER, sid: SESSION_ID }));
+    const res = mockResponse();
+    const next = jest.fn();
+
+    await authenticate(req, res, next);
+
+    expect(isActive).toHaveBeenCalledWith(SESSION_ID, 7);
+    expect(next).toHaveBeenCalledTimes(1);
+    expect(req.user).toEqual({
+      userId: 7,
+      user_id: 7,
+      username: 'jdoe',
+      role: USER_ROLES.CASHIER,
+      sessionId: SESSION_ID
+    });
+  });
+
+  it('rejects tokens whose session was revoked', async () => {
+    isActive.mockResolvedValue(false);
+    const req = mockRequest(signToken({ userId: 7, role: USER_ROLES.CASHIER, sid: SESSION_ID }));
+    const res = mockResponse();
+    const next = jest.fn();
+
+    await authenticate(req, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ message: 'Session has ended' }));
+  });
+
+  it('rejects tokens that are not bound to a session', () => {
+    const req = mockRequest(signToken({ userId: 7, role: USER_ROLES.CASHIER }));
+    const res = mockResponse();
+
+    authenticate(req, res, jest.fn());
+
+    expect(isActive).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+  });
+
+  it('rejects requests without a bearer token', () => {
+    const res = mockResponse();
+    const next = jest.fn();
+
+    authenticate(mockRequest(), res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+  });
+
+  it('rejects tokens from another issuer', () => {
+    const req = mockRequest(signToken({ userId: 7, role: USER_ROLES.ADMIN }, { issuer: 'someone-else' }));
+    const res = mockResponse();
+    const next = jest.fn();
+
+    authenticate(req, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+  });
+
+  it('reports expired tokens', () => {
+    const req = mockRequest(signToken({ userId: 7, role: USER_ROLES.ADMIN }, { expiresIn: -10 }));
+    const res = mockResponse();
+
+    authenticate(req, res, jest.fn());
+
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ message: 'Token has expired' }));
+  });
+
+  it('rejects tokens carrying an unknown role', () => {
+    const req = mockRequest(signToken({ userId: 7, role: 'superuser' }));
+    const res = mockResponse();
+    const next = jest.fn();
+
+    authenticate(req, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+  });
+});
+
+describe('API key authentication', () => {
+  const keyRow = {
+    api_key_id: 3,
+    name: 'label-printer',
+    scopes: [API_KEY_SCOPES.INVENTORY_READ],
+    rate_limit_per_minute: null,
+    created_by: 1
+  };
+  const apiKeyRequest = (scopes = []) => {
+    const req = { headers: { 'x-api-key': 'pfk_0123456789ab_secret' }, originalUrl: '/api/v1/inventory', method: 'GET', ip: '10.0.0.5' };
+    scopes.forEach(scope => permitApiKey(scope)(req, null, () => {}));
+    return req;
+  };
+
+  beforeEach(() => {
+    jest.spyOn(ApiKey, 'authenticate').mockResolvedValue(keyRow);
+    jest.spyOn(ApiKey, 'touch').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('admits a key on a route that permits its scope', async () => {
+    const req = apiKeyRequest([API_KEY_SCOPES.INVENTORY_READ]);
+    const next = jest.fn();
+
+    await authenticate(req, mockResponse(), next);
+
+    expect(next).toHaveBeenCalledWith();
+    expect(req.user).toEqual(expect.objectContaining({ apiKeyId: 3, userId: 1, role: null }));
+    expect(ApiKey.touch).toHaveBeenCalledWith(3, '10.0.0.5');
+  });
+
+  it('refuses a key on routes that do not permit its scope', async () => {
+    const req = apiKeyRequest([API_KEY_SCOPES.SALES_CREATE]);
+    const res = mockResponse();
+    const next = jest.fn();
+
+    await authenticate(req, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+  });
+
+  it('refuses a key on routes that permit no scope at all', async () => {
+    const res = mockResponse();
+
+    await authenticate(apiKeyRequest(), res, jest.fn());
+
+    expect(res.status).toHaveBeenCalledWith(403);
+  });
+
+  it('rejects an unknown or revoked key', async () => {
+    ApiKey.authenticate.mockResolvedValue(null);
+    const res = mockResponse();
+
+    await authenticate(apiKeyRequest([API_KEY_SCOPES.INVENTORY_READ]), res, jest.fn());
+
+    expect(res.status).toHaveBeenCalledWith(401);
+  });
+
+  it('does not look up malformed keys', async () => {
+    ApiKey.authenticate.mockRestore();
+
+    await expect(ApiKey.authenticate('not-a-key')).resolves.toBeNull();
+  });
+
+  it('is not subject to role checks once admitted', () => {
+    const next = jest.fn();
+
+    authorize(USER_ROLES.ADMIN)({ user: { apiKeyId: 3, role: null } }, mockResponse(), next);
+
+    expect(next).toHaveBeenCalled();
+  });
+});
+
+describe('authorize middleware', () => {
+  it('allows listed roles', () => {
+    const req = { user: { userId: 1, role: USER_ROLES.ADMIN } };
+    const next = jest.fn();
+
+    authorize(USER_ROLES.ADMIN, USER_ROLES.MANAGER)(req, mockResponse(), next);
+
+    expect(next).toHaveBeenCalledTimes(1);
+  });
+
+  it('forbids cashiers from admin-only routes', () => {
+    const req = { user: { userId: 2, role: USER_ROLES.CASHIER }, method: 'POST', originalUrl: '/api/v1/users' };
+    const res = mockResponse();
+    const next = jest.fn();
+
+    authorize(USER_ROLES.ADMIN)(req, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+  });
+
+  it('requires authentication first', () => {
+    const res = mockResponse();
+
+    authorize(USER_ROLES.ADMIN)({}, res, jest.fn());
+
+    expect(res.status).toHaveBeenCalledWith(401);
+  });
+
+  it('refuses to build a guard for unknown roles', () => {
+    expect(() => authorize('superuser')).toThrow(/Unknown role/);
+  });
+});
+
+describe('session tokens', () => {
+  it('round-trips a refresh token', () => {
+    const { token, hash, expiresAt } = signRefreshToken(7, SESSION_ID);
+
+    expect(hash).toMatch(/^[0-9a-f]{64}$/);
+    expect(verifyRefreshToken(token)).toEqual({ userId: 7, sessionId: SESSION_ID, expiresAt });
+  });
+
+  it('keeps the session expiry when a refresh token is rotated', () => {
+    const first = signRefreshToken(7, SESSION_ID);
+    const rotated = signRefreshToken(7, SESSION_ID, first.expiresAt);
+
+    expect(rotated.token).not.toBe(first.token);
+    expect(rotated.expiresAt).toEqual(first.expiresAt);
+  });
+
+  it('does not accept an access token as a refresh token', () => {
+    const accessToken = signAccessToken({ user_id: 7, username: 'jdoe', role: USER_ROLES.CASHIER }, SESSION_ID);
+
+    expect(() => verifyRefreshToken(accessToken)).toThrow('Invalid refresh token');
+  });
+});
@@ -0,0 +1,74 @@
+// tests/unit/batchAllocation.test.js
+const Inventory = require('../../src/models/Inventory');
+const ControlledRegister = require('../../src/models/ControlledRegister');
+const { INVENTORY_STATUS, MOVEMENT_TYPES } = require('../../src/utils/constants');
+const { InsufficientStockError } = require('../../src/utils/errorHandler');
+
+const product = { product_id: 7, product_name: 'Advil 200mg' };
+
+const batch = (id, available) => ({
+  inventory_id: id,
+  product_id: 7,
+  batch_number: `B-${id}`,
+  quantity_on_hand: available,
+  quantity_reserved: 0,
+  quantity_available: available,
+  unit_cost: '0.04'
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('Inventory.allocate', () => {
+  it('spreads a line over batches first-expiry-first and reserves each part', async () => {
+    const client = {
+      query: jest.fn()
+        .mockResolvedValueOnce({ rows: [batch(3, 4), batch(1, 10), batch(2, 10)] })
+        .mockResolvedValue({ rows: [] })
+    };
+
+    const allocations = await Inventory.allocate(client, product, 12);
+
+    expect(client.query.mock.calls[0][1]).toEqual([7, INVENTORY_STATUS.ACTIVE, null]);
+    expect(client.query.mock.calls[0][0]).toMatch('expiration_date > CURRENT_DATE');
+    expect(allocations.map(a => [a.inventory.inventory_id, a.quantity])).toEqual([[3, 4], [1, 8]]);
+    expect(client.query.mock.calls.slice(1).map(call => call[1])).toEqual([[4, 3], [8, 1]]);
+  });
+
+  it('fails without reserving when the sellable batches fall short', async () => {
+    const client = { query: jest.fn().mockResolvedValueOnce({ rows: [batch(3, 4), batch(1, 5)] }) };
+
+    const error = await Inventory.allocate(client, product, 12).catch(e => e);
+
+    expect(error).toBeInstanceOf(InsufficientStockError);
+    expect(error.details).toEqual({ productId: 7, inventoryId: null, requested: 12, available: 9 });
+    expect(client.query).toHaveBeenCalledTimes(1);
+  });
+
+  it('takes a requested batch only when it covers the whole line', async () => {
+    const client = { query: jest.fn().mockResolvedValueOnce({ rows: [batch(2, 5)] }) };
+
+    await expect(Inventory.allocate(client, product, 6, { inventoryId: 2 })).rejects.toThrow('batch 2');
+    expect(client.query.mock.calls[0][1]).toEqual([7, INVENTORY_STATUS.ACTIVE, 2]);
+  });
+});
+
+describe('Inventory.dispenseAllocated', () => {
+  it('takes the stock off hand and records a sale movement', async () => {
+    const record = jest.spyOn(ControlledRegister, 'record').mockResolvedValue(null);
+    const client = {
+      query: jest.fn()
+        .mockResolvedValueOnce({ rows: [{ ...batch(3, 4), quantity_reserved: 4 }] })
+        .mockResolvedValueOnce({ rows: [{ ...batch(3, 0) }] })
+        .mockResolvedValueOnce({ rows: [] })
+    };
+
+    await Inventory.dispenseAllocated(client, 3, 4, { saleId: 21, reason: 'Sale SALE-00000021', performedBy: 9 });
+
+    const [sql, params] = client.query.mock.calls[2];
+    expect(sql).toMatch('INSERT INTO stock_movements');
+    expect(params).toEqual([3, 7, MOVEMENT_TYPES.SALE, -4, 4, 0, '0.04', 'Sale SALE-00000021', 9, 21, 'sale']);
+    expect(record).toHaveBeenCalledWith(client, expect.objectContaining({ inventoryId: 3, quantityChange: -4, referenceId: 21 }));
+  });
+});
@@ -0,0 +1,107 @@
+// tests/unit/clinicalScreening.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ClinicalScreening = require('../../src/models/ClinicalScreening');
+const { CLINICAL_SEVERITY, CLINICAL_WARNING_TYPES } = require('../../src/utils/constants');
+const { NotFoundError } = require('../../src/utils/errorHandler');
+
+const product = (id, name, generic) => ({ product_id: id, product_name: name, generic_name: generic });
+
+const amoxicillin = product(1, 'Amoxil 500mg', 'Amoxicillin');
+const cephalexin = product(2, 'Keflex 500mg', 'Cephalexin');
+const oxycodone = product(3, 'Roxicodone 5mg', 'Oxycodone');
+const alprazolam = product(4, 'Xanax 0.5mg', 'Alprazolam');
+const ibuprofen = product(5, 'Advil 200mg', 'Ibuprofen');
+const warfarin = product(6, 'Coumadin 5mg', 'Warfarin');
+const pseudoephedrine = product(7, 'Sudafed 30mg', 'Pseudoephedrine');
+const lisinopril = product(8, 'Zestril 10mg', 'Lisinopril');
+
+describe('ClinicalScreening.evaluate', () => {
+  it('flags allergies, including cross-sensitivities and drugs named directly', () => {
+    const warnings = ClinicalScreening.evaluate({
+      products: [cephalexin, amoxicillin, lisinopril],
+      allergies: 'Penicillin; lisinopril (angioedema)'
+    });
+
+    expect(warnings.map(w => [w.productId, w.severity])).toEqual([
+      [amoxicillin.product_id, CLINICAL_SEVERITY.SEVERE],
+      [lisinopril.product_id, CLINICAL_SEVERITY.SEVERE],
+      [cephalexin.product_id, CLINICAL_SEVERITY.MODERATE]
+    ]);
+    expect(warnings[0]).toMatchObject({ type: CLINICAL_WARNING_TYPES.ALLERGY, allergy: 'Penicillin' });
+  });
+
+  it('reports each interacting pair in a sale once', () => {
+    const warnings = ClinicalScreening.evaluate({ products: [oxycodone, alprazolam] });
+
+    expect(warnings).toHaveLength(1);
+    expect(warnings[0]).toMatchObject({
+      type: CLINICAL_WARNING_TYPES.INTERACTION,
+      severity: CLINICAL_SEVERITY.SEVERE,
+      productId: oxycodone.product_id,
+      interactsWith: { productId: alprazolam.product_id, source: 'sale' }
+    });
+  });
+
+  it('checks recent purchases and conditions, most severe first', () => {
+    const warnings = ClinicalScreening.evaluate({
+      products: [pseudoephedrine, ibuprofen],
+      conditions: 'High blood pressure',
+      history: [{ ...warfarin, sale_number: 'SALE-00000042', sale_date: new Date('2026-09-01') }]
+    });
+
+    expect(warnings[0]).toMatchObject({
+      type: CLINICAL_WARNING_TYPES.INTERACTION,
+      severity: CLINICAL_SEVERITY.SEVERE,
+      productId: ibuprofen.product_id,
+      interactsWith: { productId: warfarin.product_id, source: 'history', saleNumber: 'SALE-00000042' }
+    });
+    expect(warnings.slice(1).map(w => [w.type, w.productId, w.severity])).toEqual([
+      [CLINICAL_WARNING_TYPES.CONDITION, pseudoephedrine.product_id, CLINICAL_SEVERITY.MODERATE],
+      [CLINICAL_WARNING_TYPES.CONDITION, ibuprofen.product_id, CLINICAL_SEVERITY.MINOR]
+    ]);
+  });
+});
+
+describe('ClinicalScreening.screen', () => {
+  it('requires an override when a warning is severe', async () => {
+    const client = {
+      query: jest.fn()
+        .mockResolvedValueOnce({ rows: [ibuprofen] })
+        .mockResolvedValueOnce({ rows: [{ allergies: 'NSAIDs', medical_conditions: null }] })
+        .mockResolvedValueOnce({ rows: [] })
+    };
+
+    const screening = await ClinicalScreening.screen({ customerId: 4, productIds: [5, 5] }, client);
+
+    expect(client.query.mock.calls[0][1]).toEqual([[5]]);
+    expect(screening.requiresOverride).toBe(true);
+    expect(screening.warnings).toHaveLength(1);
+  });
+
+  it('rejects an unknown customer', async () => {
+    const client = {
+      query: jest.fn()
+        .mockResolvedValueOnce({ rows: [ibuprofen] })
+        .mockResolvedValueOnce({ rows: [] })
+    };
+
+    await expect(ClinicalScreening.screen({ customerId: 99, productIds: [5] }, client)).rejects.toThrow(NotFoundError);
+  });
+});
+
+describe('ClinicalScreening.loadDataset', () => {
+  it('keeps the current dataset when a replacement is invalid', () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'pharmaflow-clinical-')), 'dataset.json');
+    fs.writeFileSync(file, JSON.stringify({
+      version: 'bad',
+      interactions: [{ drugs: ['warfarin', 'nsaids'], severity: 'fatal', description: 'Bleeding' }]
+    }));
+
+    const { version } = ClinicalScreening.datasetSummary();
+
+    expect(() => ClinicalScreening.loadDataset(file)).toThrow('unknown severity "fatal"');
+    expect(ClinicalScreening.datasetSummary().version).toBe(version);
+  });
+});
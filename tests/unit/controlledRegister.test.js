@@ -0,0 +1,180 @@
+// tests/unit/controlledRegister.test.js
+jest.mock('../../src/config/database', () => ({
+  ...jest.requireActual('../../src/config/database'),
+  query: jest.fn(),
+  transaction: jest.fn()
+}));
+
+const bcrypt = require('bcrypt');
+const { query } = require('../../src/config/database');
+const ControlledRegister = require('../../src/models/ControlledRegister');
+const Permission = require('../../src/models/Permission');
+const LoginAttempt = require('../../src/models/LoginAttempt');
+const TwoFactor = require('../../src/models/TwoFactor');
+const {
+  CONTROLLED_REGISTER_ENTRIES, MOVEMENT_TYPES, PERMISSIONS, LOGIN_FAILURE_REASONS
+} = require('../../src/utils/constants');
+const {
+  ValidationError, ForbiddenError, AccountLockedError, TooManyRequestsError
+} = require('../../src/utils/errorHandler');
+
+const batch = controlled => ({ rows: [{ product_id: 12, product_name: 'Oxycodone 5mg', controlled_substance: controlled }] });
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  query.mockReset();
+});
+
+describe('ControlledRegister.entryTypeForMovement', () => {
+  it('maps stock movements onto register entries', () => {
+    expect(ControlledRegister.entryTypeForMovement(MOVEMENT_TYPES.PURCHASE)).toBe(CONTROLLED_REGISTER_ENTRIES.RECEIPT);
+    expect(ControlledRegister.entryTypeForMovement(MOVEMENT_TYPES.DAMAGED)).toBe(CONTROLLED_REGISTER_ENTRIES.ADJUSTMENT);
+    expect(ControlledRegister.entryTypeForMovement(MOVEMENT_TYPES.DESTROYED)).toBe(CONTROLLED_REGISTER_ENTRIES.DESTRUCTION);
+  });
+});
+
+describe('ControlledRegister.record', () => {
+  it('ignores products that are not controlled', async () => {
+    const client = { query: jest.fn().mockResolvedValueOnce(batch(false)) };
+
+    await expect(ControlledRegister.record(client, {
+      inventoryId: 4, entryType: CONTROLLED_REGISTER_ENTRIES.ADJUSTMENT, quantityChange: -2, performedBy: 3
+    })).resolves.toBeNull();
+
+    expect(client.query).toHaveBeenCalledTimes(1);
+  });
+
+  it('refuses an unwitnessed destruction', async () => {
+    const client = { query: jest.fn().mockResolvedValueOnce(batch(true)) };
+
+    await expect(ControlledRegister.record(client, {
+      inventoryId: 4, entryType: CONTROLLED_REGISTER_ENTRIES.DESTRUCTION, quantityChange: -10, performedBy: 3
+    })).rejects.toThrow(ValidationError);
+
+    expect(client.query).toHaveBeenCalledTimes(1);
+  });
+
+  it('writes the entry under the product lock', async () => {
+    const entry = { entry_id: '8', batch_balance: 40, product_balance: 90 };
+    const client = {
+      query: jest.fn()
+        .mockResolvedValueOnce(batch(true))
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [entry] })
+    };
+
+    await expect(ControlledRegister.record(client, {
+      inventoryId: 4,
+      entryType: CONTROLLED_REGISTER_ENTRIES.SALE,
+      quantityChange: -5,
+      referenceType: 'sale',
+      referenceId: 77,
+      performedBy: 3
+    })).resolves.toBe(entry);
+
+    expect(client.query.mock.calls[1]).toEqual([expect.stringContaining('pg_advisory_xact_lock'), [12]]);
+    expect(client.query.mock.calls[2][1]).toEqual([12, 4, 'sale', -5, 'sale', 77, null, 3, null]);
+  });
+});
+
+describe('ControlledRegister.verifyWitness', () => {
+  const witness = { username: 'pharmacist2', password: 'Secret123!' };
+  const witnessRow = (overrides = {}) => ({
+    rows: [{
+      user_id: 6,
+      username: 'pharmacist2',
+      role: 'pharmacist',
+      password_hash: 'hash',
+      locked_until: null,
+      totp_enabled_at: null,
+      ...overrides
+    }]
+  });
+  let record;
+  let registerFailure;
+
+  beforeEach(() => {
+    record = jest.spyOn(LoginAttempt, 'record').mockResolvedValue();
+    registerFailure = jest.spyOn(LoginAttempt, 'registerFailure').mockResolvedValue({ failedAttempts: 1, lockedUntil: null });
+    jest.spyOn(LoginAttempt, 'ipBlockedUntil').mockResolvedValue(null);
+  });
+
+  it('is not needed when no witness is given', async () => {
+    await expect(ControlledRegister.verifyWitness(undefined, 3)).resolves.toBeNull();
+    expect(query).not.toHaveBeenCalled();
+  });
+
+  it('rejects a wrong password and counts it towards the witness\'s lockout', async () => {
+    query.mockResolvedValueOnce(witnessRow());
+    jest.spyOn(bcrypt, 'compare').mockResolvedValue(false);
+
+    await expect(ControlledRegister.verifyWitness(witness, 3, '203.0.113.9')).rejects.toThrow('Witness credentials are invalid');
+    expect(record).toHaveBeenCalledWith(expect.objectContaining({
+      userId: 6,
+      ipAddress: '203.0.113.9',
+      failureReason: LOGIN_FAILURE_REASONS.INVALID_PASSWORD
+    }));
+    expect(registerFailure).toHaveBeenCalledWith(6);
+  });
+
+  it('locks the witness\'s account once the failures reach the limit', async () => {
+    const lockedUntil = new Date(Date.now() + 60000);
+    query.mockResolvedValueOnce(witnessRow());
+    jest.spyOn(bcrypt, 'compare').mockResolvedValue(false);
+    registerFailure.mockResolvedValue({ failedAttempts: 5, lockedUntil });
+
+    await expect(ControlledRegister.verifyWitness(witness, 3)).rejects.toThrow(AccountLockedError);
+  });
+
+  it('refuses a locked witness even with the right password', async () => {
+    query.mockResolvedValueOnce(witnessRow({ locked_until: new Date(Date.now() + 60000) }));
+    const compare = jest.spyOn(bcrypt, 'compare').mockResolvedValue(true);
+
+    await expect(ControlledRegister.verifyWitness(witness, 3)).rejects.toThrow(AccountLockedError);
+    expect(compare).not.toHaveBeenCalled();
+    expect(record).toHaveBeenCalledWith(expect.objectContaining({ failureReason: LOGIN_FAILURE_REASONS.ACCOUNT_LOCKED }));
+  });
+
+  it('is throttled with the IP address\'s login attempts', async () => {
+    LoginAttempt.ipBlockedUntil.mockResolvedValue(new Date(Date.now() + 60000));
+
+    await expect(ControlledRegister.verifyWitness(witness, 3)).rejects.toThrow(TooManyRequestsError);
+    expect(query).not.toHaveBeenCalled();
+  });
+
+  it('needs an authenticator code from a witness who has two-factor authentication', async () => {
+    query.mockResolvedValue(witnessRow({ totp_enabled_at: new Date() }));
+    jest.spyOn(bcrypt, 'compare').mockResolvedValue(true);
+    const verify = jest.spyOn(TwoFactor, 'verify').mockResolvedValue(false);
+
+    await expect(ControlledRegister.verifyWitness(witness, 3)).rejects.toThrow('authenticator code is required');
+    expect(verify).not.toHaveBeenCalled();
+
+    await expect(ControlledRegister.verifyWitness({ ...witness, code: '123456' }, 3)).rejects.toThrow(ForbiddenError);
+    expect(verify).toHaveBeenCalledWith(6, '123456');
+    expect(record).toHaveBeenLastCalledWith(expect.objectContaining({
+      failureReason: LOGIN_FAILURE_REASONS.INVALID_SECOND_FACTOR
+    }));
+    expect(registerFailure).toHaveBeenCalledTimes(2);
+  });
+
+  it('rejects the person making the change', async () => {
+    query.mockResolvedValueOnce(witnessRow());
+    jest.spyOn(bcrypt, 'compare').mockResolvedValue(true);
+
+    await expect(ControlledRegister.verifyWitness(witness, 6)).rejects.toThrow(ForbiddenError);
+  });
+
+  it('requires a witness who may dispense controlled substances', async () => {
+    query.mockResolvedValueOnce(witnessRow());
+    jest.spyOn(bcrypt, 'compare').mockResolvedValue(true);
+    const has = jest.spyOn(Permission, 'has').mockResolvedValueOnce(false).mockResolvedValueOnce(true);
+
+    await expect(ControlledRegister.verifyWitness(witness, 3)).rejects.toThrow('permitted to dispense');
+
+    query.mockResolvedValueOnce(witnessRow());
+    await expect(ControlledRegister.verifyWitness(witness, 3)).resolves.toBe(6);
+    expect(has).toHaveBeenCalledWith({ userId: 6, role: 'pharmacist' }, PERMISSIONS.CONTROLLED_DISPENSE);
+    expect(registerFailure).not.toHaveBeenCalled();
+  });
+});
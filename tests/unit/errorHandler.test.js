@@ -0,0 +1,128 @@
+// tests/unit/errorHandler.test.js
+const errorHandler = require('../../src/middleware/errorHandler');
+const { notFound, requestId } = require('../../src/middleware/errorHandler');
+const {
+  ApiError,
+  ValidationError,
+  InsufficientStockError,
+  PrescriptionRequiredError,
+  handleError
+} = require('../../src/utils/errorHandler');
+
+const mockResponse = () => {
+  const res = { headersSent: false };
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  res.set = jest.fn(() => res);
+  return res;
+};
+
+const mockRequest = (headers = {}) => ({
+  id: 'req-1',
+  method: 'POST',
+  originalUrl: '/api/v1/sales',
+  get: name => headers[name.toLowerCase()]
+});
+
+const pgError = (code, extra = {}) => Object.assign(new Error(`pg error ${code}`), { code, ...extra });
+
+describe('handleError', () => {
+  it('passes ApiErrors through unchanged', () => {
+    const error = new InsufficientStockError('Insufficient inventory', { productId: 3 });
+
+    expect(handleError(error)).toBe(error);
+    expect(error.statusCode).toBe(409);
+    expect(error.code).toBe('INSUFFICIENT_STOCK');
+  });
+
+  it('maps unique violations to 409 and foreign key violations to 422', () => {
+    const duplicate = handleError(pgError('23505', { constraint: 'products_product_code_key' }));
+    const missingReference = handleError(pgError('23503'));
+
+    expect(duplicate.statusCode).toBe(409);
+    expect(duplicate.details).toEqual({ constraint: 'products_product_code_key' });
+    expect(missingReference.statusCode).toBe(422);
+    expect(missingReference.code).toBe('INVALID_REFERENCE');
+  });
+
+  it('reports database outages as 503 rather than a client error', () => {
+    expect(handleError(pgError('ECONNREFUSED')).statusCode).toBe(503);
+    expect(handleError(pgError('08006')).statusCode).toBe(503);
+  });
+
+  it('hides the message of unexpected errors', () => {
+    const error = handleError(new Error('relation "sales" does not exist'));
+
+    expect(error.statusCode).toBe(500);
+    expect(error.message).toBe('Internal server error');
+  });
+});
+
+describe('errorHandler middleware', () => {
+  it('sends the standard error envelope', () => {
+    const res = mockResponse();
+
+    errorHandler(new ValidationError('Validation errors', [{ path: 'quantity' }]), mockRequest(), res, jest.fn());
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({
+      success: false,
+      message: 'Validation errors',
+      code: 'VALIDATION_ERROR',
+      requestId: 'req-1',
+      errors: [{ path: 'quantity' }]
+    });
+  });
+
+  it('uses the status of typed errors', () => {
+    const res = mockResponse();
+
+    errorHandler(new PrescriptionRequiredError('Prescription required'), mockRequest(), res, jest.fn());
+
+    expect(res.status).toHaveBeenCalledWith(422);
+    expect(res.json.mock.calls[0][0].code).toBe('PRESCRIPTION_REQUIRED');
+  });
+
+  it('delegates to Express when the response has already started', () => {
+    const res = mockResponse();
+    res.headersSent = true;
+    const next = jest.fn();
+    const error = new ApiError('late failure', 500);
+
+    errorHandler(error, mockRequest(), res, next);
+
+    expect(next).toHaveBeenCalledWith(error);
+    expect(res.status).not.toHaveBeenCalled();
+  });
+});
+
+describe('notFound', () => {
+  it('forwards a 404 naming the route', () => {
+    const next = jest.fn();
+
+    notFound(mockRequest(), mockResponse(), next);
+
+    expect(next.mock.calls[0][0].statusCode).toBe(404);
+    expect(next.mock.calls[0][0].message).toBe('Route not found: POST /api/v1/sales');
+  });
+});
+
+describe('requestId', () => {
+  it('reuses a well-formed X-Request-Id header', () => {
+    const req = mockRequest({ 'x-request-id': 'abc-123' });
+    const res = mockResponse();
+
+    requestId(req, res, jest.fn());
+
+    expect(req.id).toBe('abc-123');
+    expect(res.set).toHaveBeenCalledWith('X-Request-Id', 'abc-123');
+  });
+
+  it('generates an ID when the header is missing or unsafe', () => {
+    const req = mockRequest({ 'x-request-id': 'bad id\nwith newline' });
+
+    requestId(req, mockResponse(), jest.fn());
+
+    expect(req.id).toMatch(/^[0-9a-f-]{36}$/);
+  });
+});
@@ -0,0 +1,130 @@
+// tests/unit/loginLockout.test.js
+jest.mock('../../src/config/database', () => ({
+  ...jest.requireActual('../../src/config/database'),
+  query: jest.fn()
+}));
+
+const bcrypt = require('bcrypt');
+const { query } = require('../../src/config/database');
+const AuthController = require('../../src/controllers/AuthController');
+const LoginAttempt = require('../../src/models/LoginAttempt');
+const { LOGIN_FAILURE_REASONS } = require('../../src/utils/constants');
+
+const PASSWORD_HASH = bcrypt.hashSync('Correct#Horse1', 4);
+
+const userRow = (overrides = {}) => ({
+  user_id: 7,
+  username: 'jdoe',
+  email: 'jdoe@example.com',
+  password_hash: PASSWORD_HASH,
+  first_name: 'Jane',
+  last_name: 'Doe',
+  role: 'cashier',
+  is_active: true,
+  last_login: null,
+  locked_until: null,
+  totp_enabled_at: null,
+  ...overrides
+});
+
+const login = async (password) => {
+  const req = {
+    body: { username: 'jdoe', password },
+    ip: '203.0.113.9',
+    get: () => undefined
+  };
+  const res = { json: jest.fn() };
+  const next = jest.fn();
+
+  await AuthController.login(req, res, next);
+
+  return { res, error: next.mock.calls[0] && next.mock.calls[0][0] };
+};
+
+describe('login lockout', () => {
+  let record;
+  let ipBlockedUntil;
+  let registerFailure;
+
+  beforeEach(() => {
+    query.mockReset();
+    record = jest.spyOn(LoginAttempt, 'record').mockResolvedValue();
+    ipBlockedUntil = jest.spyOn(LoginAttempt, 'ipBlockedUntil').mockResolvedValue(null);
+    registerFailure = jest.spyOn(LoginAttempt, 'registerFailure');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('throttles an IP that has used up its attempts without looking up the account', async () => {
+    ipBlockedUntil.mockResolvedValue(new Date(Date.now() + 60000));
+
+    const { error } = await login('anything');
+
+    expect(error.statusCode).toBe(429);
+    expect(error.details.retryAfter).toBeGreaterThan(0);
+    expect(query).not.toHaveBeenCalled();
+    expect(record).toHaveBeenCalledWith(expect.objectContaining({ failureReason: LOGIN_FAILURE_REASONS.IP_BLOCKED }));
+  });
+
+  it('refuses a locked account even with the right password', async () => {
+    const lockedUntil = new Date(Date.now() + 60000);
+    query.mockResolvedValueOnce({ rows: [userRow({ locked_until: lockedUntil })] });
+
+    const { error } = await login('Correct#Horse1');
+
+    expect(error.statusCode).toBe(423);
+    expect(error.details).toEqual({ lockedUntil });
+    expect(registerFailure).not.toHaveBeenCalled();
+    expect(record).toHaveBeenCalledWith(expect.objectContaining({ failureReason: LOGIN_FAILURE_REASONS.ACCOUNT_LOCKED }));
+  });
+
+  it('counts a wrong password and answers with invalid credentials below the limit', async () => {
+    query.mockResolvedValueOnce({ rows: [userRow()] });
+    registerFailure.mockResolvedValue({ failedAttempts: 2, lockedUntil: null });
+
+    const { error } = await login('wrong');
+
+    expect(error.statusCode).toBe(401);
+    expect(registerFailure).toHaveBeenCalledWith(7);
+  });
+
+  it('reports the lock when the failure reaches the limit', async () => {
+    const lockedUntil = new Date(Date.now() + 1800000);
+    query.mockResolvedValueOnce({ rows: [userRow()] });
+    registerFailure.mockResolvedValue({ failedAttempts: 5, lockedUntil });
+
+    const { error } = await login('wrong');
+
+    expect(error.statusCode).toBe(423);
+    expect(error.code).toBe('ACCOUNT_LOCKED');
+  });
+
+  it('treats an expired lock as unlocked', async () => {
+    query
+      .mockResolvedValueOnce({ rows: [userRow({ locked_until: new Date(Date.now() - 1000) })] })
+      .mockResolvedValue({ rows: [], rowCount: 1 });
+    jest.spyOn(require('../../src/models/Session'), 'create').mockResolvedValue({});
+
+    const { res, error } = await login('Correct#Horse1');
+
+    expect(error).toBeUndefined();
+    expect(res.json.mock.calls[0][0].data.token).toEqual(expect.any(String));
+    expect(query.mock.calls[1][0]).toMatch(/failed_login_attempts = 0, locked_until = NULL/);
+  });
+
+  it('asks for the second factor instead of issuing tokens when 2FA is enabled', async () => {
+    query.mockResolvedValueOnce({ rows: [userRow({ totp_enabled_at: new Date() })] });
+    const createSession = jest.spyOn(require('../../src/models/Session'), 'create');
+
+    const { res, error } = await login('Correct#Horse1');
+    const { data } = res.json.mock.calls[0][0];
+
+    expect(error).toBeUndefined();
+    expect(data.twoFactorRequired).toBe(true);
+    expect(data.challengeToken).toEqual(expect.any(String));
+    expect(data.token).toBeUndefined();
+    expect(createSession).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,82 @@
+// tests/unit/migrate.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadMigrations, compareMigrations } = require('../../src/database/migrate');
+
+const writeMigrationDir = (files) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pharmaflow-migrations-'));
+  Object.entries(files).forEach(([name, sql]) => fs.writeFileSync(path.join(dir, name), sql));
+  return dir;
+};
+
+describe('loadMigrations', () => {
+  it('loads the repository migrations in version order with up and down scripts', () => {
+    const migrations = loadMigrations();
+
+    expect(migrations.length).toBeGreaterThan(0);
+    migrations.forEach((migration, index) => {
+      expect(migration.version).toBe(index + 1);
+      expect(migration.up).toBeTruthy();
+      expect(migration.down).toBeTruthy();
+      expect(migration.checksum).toMatch(/^[0-9a-f]{64}$/);
+    });
+  });
+
+  it('rejects a migration without a down script', () => {
+    const dir = writeMigrationDir({
+      '001_init.up.sql': 'CREATE TABLE a (id INTEGER);'
+    });
+
+    expect(() => loadMigrations(dir)).toThrow(/needs both an up and a down script/);
+  });
+
+  it('ignores files that are not migrations', () => {
+    const dir = writeMigrationDir({
+      '001_init.up.sql': 'CREATE TABLE a (id INTEGER);',
+      '001_init.down.sql': 'DROP TABLE a;',
+      'README.md': 'notes'
+    });
+
+    expect(loadMigrations(dir).map(m => m.name)).toEqual(['init']);
+  });
+});
+
+describe('compareMigrations', () => {
+  const dir = writeMigrationDir({
+    '001_init.up.sql': 'CREATE TABLE a (id INTEGER);',
+    '001_init.down.sql': 'DROP TABLE a;',
+    '002_more.up.sql': 'CREATE TABLE b (id INTEGER);',
+    '002_more.down.sql': 'DROP TABLE b;'
+  });
+  const migrations = loadMigrations(dir);
+
+  it('reports unapplied migrations as pending', () => {
+    const status = compareMigrations(migrations, [
+      { version: 1, name: 'init', checksum: migrations[0].checksum }
+    ]);
+
+    expect(status.applied.map(m => m.version)).toEqual([1]);
+    expect(status.pending.map(m => m.version)).toEqual([2]);
+    expect(status.modified).toHaveLength(0);
+  });
+
+  it('detects applied migrations whose script changed', () => {
+    const status = compareMigrations(migrations, [
+      { version: 1, name: 'init', checksum: 'f'.repeat(64) }
+    ]);
+
+    expect(status.modified.map(m => m.version)).toEqual([1]);
+  });
+
+  it('detects applied versions with no file on disk', () => {
+    const status = compareMigrations(migrations, [
+      { version: 1, name: 'init', checksum: migrations[0].checksum },
+      { version: 2, name: 'more', checksum: migrations[1].checksum },
+      { version: 3, name: 'gone', checksum: 'a'.repeat(64) }
+    ]);
+
+    expect(status.pending).toHaveLength(0);
+    expect(status.missing.map(row => row.version)).toEqual([3]);
+  });
+});
@@ -0,0 +1,95 @@
+// tests/unit/passwordReset.test.js
+jest.mock('../../src/config/database', () => ({
+  ...jest.requireActual('../../src/config/database'),
+  query: jest.fn(),
+  transaction: jest.fn()
+}));
+
+const { query, transaction } = require('../../src/config/database');
+const AuthController = require('../../src/controllers/AuthController');
+const PasswordReset = require('../../src/models/PasswordReset');
+const Session = require('../../src/models/Session');
+const mailer = require('../../src/utils/mailer');
+const { hashToken } = require('../../src/utils/tokens');
+
+const call = async (handler, body) => {
+  const req = { body, ip: '198.51.100.4' };
+  const res = { json: jest.fn() };
+  const next = jest.fn();
+
+  await handler(req, res, next);
+
+  return { body: res.json.mock.calls[0] && res.json.mock.calls[0][0], error: next.mock.calls[0] && next.mock.calls[0][0] };
+};
+
+describe('password reset', () => {
+  let mail;
+
+  beforeEach(() => {
+    query.mockReset();
+    transaction.mockReset();
+    mail = mailer.createOutboxTransport();
+    mailer.setTransport(mail);
+  });
+
+  afterEach(() => {
+    mailer.resetTransport();
+    jest.restoreAllMocks();
+  });
+
+  it('emails a reset link to a known address', async () => {
+    query.mockResolvedValueOnce({ rows: [{ user_id: 7, email: 'jdoe@example.com', first_name: 'Jane' }] });
+    jest.spyOn(PasswordReset, 'create').mockResolvedValue({ token: 'raw-token', expiresAt: new Date() });
+
+    const { body } = await call(AuthController.requestPasswordReset, { email: 'jdoe@example.com' });
+
+    expect(body.success).toBe(true);
+    expect(mail.outbox).toHaveLength(1);
+    expect(mail.outbox[0].to).toBe('jdoe@example.com');
+    expect(mail.outbox[0].text).toContain('?token=raw-token');
+  });
+
+  it('answers an unknown address exactly like a known one', async () => {
+    query.mockResolvedValueOnce({ rows: [{ user_id: 7, email: 'jdoe@example.com', first_name: 'Jane' }] });
+    jest.spyOn(PasswordReset, 'create').mockResolvedValue({ token: 'raw-token', expiresAt: new Date() });
+    const known = await call(AuthController.requestPasswordReset, { email: 'jdoe@example.com' });
+
+    mail.clear();
+    query.mockResolvedValueOnce({ rows: [] });
+    const unknown = await call(AuthController.requestPasswordReset, { email: 'nobody@example.com' });
+
+    expect(unknown.body).toEqual(known.body);
+    expect(mail.outbox).toHaveLength(0);
+  });
+
+  it('stores only the hash of a new token', async () => {
+    const client = { query: jest.fn().mockResolvedValue({ rows: [], rowCount: 0 }) };
+
+    const { token } = await PasswordReset.create(7, null, client);
+    const insertParams = client.query.mock.calls[1][1];
+
+    expect(insertParams).toContain(hashToken(token));
+    expect(insertParams).not.toContain(token);
+  });
+
+  it('rejects a token that is used, expired or unknown without touching the password', async () => {
+    const client = { query: jest.fn() };
+    transaction.mockImplementation(callback => callback(client));
+    jest.spyOn(PasswordReset, 'consume').mockResolvedValue(null);
+    const revokeAll = jest.spyOn(Session, 'revokeAllForUser');
+
+    const { error } = await call(AuthController.confirmPasswordReset, {
+      token: 'stale',
+      password: 'New#Password1',
+      confirmPassword: 'New#Password1'
+    });
+
+    expect(error.statusCode).toBe(400);
+    expect(client.query).not.toHaveBeenCalled();
+    expect(revokeAll).not.toHaveBeenCalled();
+  });
+
+  it('refuses a transport without send()', () => {
+    expect(() => mailer.setTransport({})).toThrow(TypeError);
+  });
+});
@@ -0,0 +1,142 @@
+// tests/unit/permissions.test.js
+jest.mock('../../src/config/database', () => ({
+  ...jest.requireActual('../../src/config/database'),
+  query: jest.fn(),
+  transaction: jest.fn()
+}));
+
+const { query, transaction } = require('../../src/config/database');
+const Permission = require('../../src/models/Permission');
+const PermissionController = require('../../src/controllers/PermissionController');
+const SalesController = require('../../src/controllers/SalesController');
+const { requirePermission } = require('../../src/middleware/auth');
+const { PERMISSIONS, PERMISSION_EFFECTS, USER_ROLES } = require('../../src/utils/constants');
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  res.set = jest.fn(() => res);
+  return res;
+};
+
+const manager = { userId: 3, user_id: 3, username: 'manager', role: USER_ROLES.MANAGER };
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  query.mockReset();
+  transaction.mockReset();
+});
+
+describe('requirePermission middleware', () => {
+  const request = user => ({ user, method: 'POST', originalUrl: '/api/v1/inventory/1/adjustments' });
+
+  it('rejects unknown permissions when routes are defined', () => {
+    expect(() => requirePermission('inventory.delete')).toThrow('Unknown permission(s)');
+  });
+
+  it('lets a technician with a grant make adjustments', async () => {
+    const technician = { userId: 9, role: USER_ROLES.TECHNICIAN };
+    query.mockResolvedValueOnce({ rows: [{ permission_key: PERMISSIONS.INVENTORY_ADJUST, allowed: true }] });
+    const next = jest.fn();
+
+    await requirePermission(PERMISSIONS.INVENTORY_ADJUST)(request(technician), mockResponse(), next);
+
+    expect(query).toHaveBeenCalledWith(expect.any(String), [9, USER_ROLES.TECHNICIAN, PERMISSIONS.INVENTORY_ADJUST]);
+    expect(next).toHaveBeenCalledWith();
+  });
+
+  it('answers 403 when the permission is not held', async () => {
+    query.mockResolvedValueOnce({ rows: [{ permission_key: PERMISSIONS.SALES_REFUND, allowed: false }] });
+    const res = mockResponse();
+    const next = jest.fn();
+
+    await requirePermission(PERMISSIONS.SALES_REFUND)(request({ userId: 9, role: USER_ROLES.CASHIER }), res, next);
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('refuses API keys without looking anything up', async () => {
+    const res = mockResponse();
+
+    await requirePermission(PERMISSIONS.INVENTORY_ADJUST)(request({ userId: 1, role: null, apiKeyId: 4 }), res, jest.fn());
+
+    expect(query).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+  });
+});
+
+describe('user permission overrides', () => {
+  const setOverride = async (user, target, has = true) => {
+    query.mockResolvedValueOnce({ rows: [target] });
+    jest.spyOn(Permission, 'has').mockResolvedValue(has);
+    const setUserOverride = jest.spyOn(Permission, 'setUserOverride').mockResolvedValue({});
+    jest.spyOn(Permission, 'getEffective').mockResolvedValue([]);
+
+    const req = {
+      user,
+      params: { userId: target.user_id, permission: PERMISSIONS.INVENTORY_ADJUST },
+      body: { effect: PERMISSION_EFFECTS.GRANT, reason: 'Senior technician' }
+    };
+    const res = mockResponse();
+    const next = jest.fn();
+
+    await PermissionController.setUserPermission(req, res, next);
+
+    return { res, next, setUserOverride };
+  };
+
+  it('lets a manager grant a permission they hold to a technician', async () => {
+    const { res, setUserOverride } = await setOverride(manager, { user_id: 9, username: 'tech', role: USER_ROLES.TECHNICIAN });
+
+    expect(setUserOverride).toHaveBeenCalledWith({
+      userId: 9,
+      permission: PERMISSIONS.INVENTORY_ADJUST,
+      effect: PERMISSION_EFFECTS.GRANT,
+      reason: 'Senior technician',
+      grantedBy: 3
+    });
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ success: true }));
+  });
+
+  it('stops a manager from changing an administrator or themselves', async () => {
+    const forAdmin = await setOverride(manager, { user_id: 1, username: 'admin', role: USER_ROLES.ADMIN });
+    const forSelf = await setOverride(manager, { user_id: 3, username: 'manager', role: USER_ROLES.MANAGER });
+
+    for (const { next, setUserOverride } of [forAdmin, forSelf]) {
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 403 }));
+      expect(setUserOverride).not.toHaveBeenCalled();
+    }
+  });
+
+  it('stops a manager from granting a permission they do not hold', async () => {
+    const { next } = await setOverride(manager, { user_id: 9, username: 'tech', role: USER_ROLES.TECHNICIAN }, false);
+
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 403 }));
+  });
+});
+
+describe('controlled substance sales', () => {
+  it('are refused to users without controlled.dispense', async () => {
+    jest.spyOn(Permission, 'has').mockResolvedValue(false);
+    const client = {
+      query: jest.fn().mockResolvedValueOnce({
+        rows: [{ product_id: 5, product_name: 'Oxycodone 5mg', requires_prescription: true, controlled_substance: true }]
+      })
+    };
+    transaction.mockImplementation(callback => callback(client));
+
+    const req = {
+      user: { userId: 9, role: USER_ROLES.CASHIER },
+      body: { items: [{ productId: 5, quantity: 1, prescriptionId: 1 }], paymentMethod: 'cash' }
+    };
+    const next = jest.fn();
+
+    await SalesController.createSale(req, mockResponse(), next);
+
+    expect(Permission.has).toHaveBeenCalledWith(req.user, PERMISSIONS.CONTROLLED_DISPENSE);
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 403 }));
+    expect(client.query).toHaveBeenCalledTimes(1);
+  });
+});
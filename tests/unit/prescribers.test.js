@@ -0,0 +1,73 @@
+// tests/unit/prescribers.test.js
+const Prescriber = require('../../src/models/Prescriber');
+const Prescription = require('../../src/models/Prescription');
+const schemas = require('../../src/schemas/prescribers');
+const { validateSchema } = require('../../src/utils/validation');
+const { isValidNpi, isValidDeaNumber } = require('../../src/utils/helpers');
+const { PrescriptionRequiredError } = require('../../src/utils/errorHandler');
+
+const prescriber = overrides => ({
+  prescriber_id: 3,
+  last_name: 'Brown',
+  dea_number: 'AB1234563',
+  is_active: true,
+  dea_expired: false,
+  license_expired: false,
+  ...overrides
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('identifier checks', () => {
+  it('validates NPI check digits', () => {
+    expect(isValidNpi('1234567893')).toBe(true);
+    expect(isValidNpi('1234567890')).toBe(false);
+    expect(isValidNpi('123456789')).toBe(false);
+  });
+
+  it('validates DEA checksums and the registrant initial', () => {
+    expect(isValidDeaNumber('AB1234563')).toBe(true);
+    expect(isValidDeaNumber('AB1234564')).toBe(false);
+    expect(isValidDeaNumber('AB1234563', 'Brown')).toBe(true);
+    expect(isValidDeaNumber('AB1234563', 'Smith')).toBe(false);
+    expect(isValidDeaNumber('A91234563', 'Smith')).toBe(true);
+  });
+
+  it('normalises DEA numbers before checking them', () => {
+    const body = validateSchema(schemas.createPrescriber.body, {
+      firstName: 'Ada', lastName: 'Brown', npi: '1234567893', deaNumber: ' ab1234563', licenseState: 'il', licenseNumber: '036-1234'
+    });
+
+    expect(body).toMatchObject({ deaNumber: 'AB1234563', licenseState: 'IL' });
+    expect(() => validateSchema(schemas.createPrescriber.body, { ...body, npi: '1234567890' })).toThrow('Validation errors');
+  });
+});
+
+describe('controlled substance prescribing', () => {
+  it('needs an active prescriber with a current, valid DEA registration and license', () => {
+    expect(Prescriber.controlledPrescribingProblem(prescriber())).toBeNull();
+    expect(Prescriber.controlledPrescribingProblem(null)).toMatch('not in the registry');
+    expect(Prescriber.controlledPrescribingProblem(prescriber({ dea_number: null }))).toMatch('no DEA number');
+    expect(Prescriber.controlledPrescribingProblem(prescriber({ last_name: 'Smith' }))).toMatch('invalid');
+    expect(Prescriber.controlledPrescribingProblem(prescriber({ dea_expired: true }))).toMatch('DEA registration has expired');
+    expect(Prescriber.controlledPrescribingProblem(prescriber({ license_expired: true }))).toMatch('license has expired');
+  });
+
+  it('blocks dispensing a controlled prescription from a prescriber without a DEA number', async () => {
+    const client = {
+      query: jest.fn()
+        .mockResolvedValueOnce({
+          rows: [{
+            prescription_id: 11, prescription_number: 'RX-00000011', customer_id: 4, product_id: 5, prescriber_id: 3,
+            status: 'active', is_expired: false, times_filled: 0, refills_remaining: 0
+          }]
+        })
+        .mockResolvedValueOnce({ rows: [prescriber({ dea_number: null })] })
+    };
+
+    await expect(Prescription.lockForDispensing(client, 11, { customerId: 4, productId: 5, controlled: true }))
+      .rejects.toThrow(PrescriptionRequiredError);
+  });
+});
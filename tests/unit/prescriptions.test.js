@@ -0,0 +1,102 @@
+// tests/unit/prescriptions.test.js
+jest.mock('../../src/config/database', () => ({
+  ...jest.requireActual('../../src/config/database'),
+  query: jest.fn(),
+  transaction: jest.fn()
+}));
+
+const { transaction } = require('../../src/config/database');
+const Permission = require('../../src/models/Permission');
+const Prescription = require('../../src/models/Prescription');
+const SalesController = require('../../src/controllers/SalesController');
+const { PRESCRIPTION_STATUS, USER_ROLES } = require('../../src/utils/constants');
+const { ValidationError, PrescriptionRequiredError } = require('../../src/utils/errorHandler');
+
+const prescription = overrides => ({
+  prescription_id: 11,
+  prescription_number: 'RX-00000011',
+  customer_id: 4,
+  product_id: 5,
+  prescriber_name: 'Dr. Grace Liu',
+  quantity: 30,
+  refills_remaining: 2,
+  times_filled: 1,
+  status: PRESCRIPTION_STATUS.ACTIVE,
+  is_expired: false,
+  expires_on: '2026-01-31',
+  ...overrides
+});
+
+const lockedClient = row => ({ query: jest.fn().mockResolvedValueOnce({ rows: [row] }) });
+const line = { customerId: 4, productId: 5 };
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  transaction.mockReset();
+});
+
+describe('Prescription.lockForDispensing', () => {
+  it('returns a prescription that can be filled', async () => {
+    const row = prescription();
+
+    await expect(Prescription.lockForDispensing(lockedClient(row), 11, line)).resolves.toBe(row);
+  });
+
+  it('allows the original fill when no refills were authorized', async () => {
+    const row = prescription({ refills_remaining: 0, times_filled: 0 });
+
+    await expect(Prescription.lockForDispensing(lockedClient(row), 11, line)).resolves.toBe(row);
+  });
+
+  it('rejects expired, exhausted and inactive prescriptions', async () => {
+    await expect(Prescription.lockForDispensing(lockedClient(prescription({ is_expired: true })), 11, line))
+      .rejects.toThrow('RX-00000011 expired on 2026-01-31');
+    await expect(Prescription.lockForDispensing(lockedClient(prescription({ refills_remaining: 0 })), 11, line))
+      .rejects.toThrow(PrescriptionRequiredError);
+    await expect(Prescription.lockForDispensing(lockedClient(prescription({ status: PRESCRIPTION_STATUS.ON_HOLD })), 11, line))
+      .rejects.toThrow('RX-00000011 is on hold');
+  });
+
+  it('must match the patient and product of the sale line', async () => {
+    await expect(Prescription.lockForDispensing(lockedClient(prescription()), 11, { customerId: 9, productId: 5 }))
+      .rejects.toThrow(ValidationError);
+    await expect(Prescription.lockForDispensing(lockedClient(prescription()), 11, { customerId: 4, productId: 6 }))
+      .rejects.toThrow('is not for this product');
+  });
+});
+
+describe('dispensing in createSale', () => {
+  const rxProduct = { rows: [{ product_id: 5, product_name: 'Amoxil 500mg', requires_prescription: true, controlled_substance: false }] };
+  const cashier = { userId: 9, role: USER_ROLES.PHARMACIST };
+
+  const createSale = async (client, body) => {
+    jest.spyOn(Permission, 'has').mockResolvedValue(true);
+    transaction.mockImplementation(callback => callback(client));
+    const next = jest.fn();
+
+    await SalesController.createSale({ user: cashier, body: { paymentMethod: 'cash', customerId: 4, ...body } }, {}, next);
+
+    return next.mock.calls[0][0];
+  };
+
+  it('requires a prescription on file for Rx products', async () => {
+    const client = { query: jest.fn().mockResolvedValueOnce(rxProduct) };
+
+    const error = await createSale(client, { items: [{ productId: 5, quantity: 1 }] });
+
+    expect(error).toBeInstanceOf(PrescriptionRequiredError);
+  });
+
+  it('refuses more than the prescribed quantity', async () => {
+    const client = {
+      query: jest.fn()
+        .mockResolvedValueOnce(rxProduct)
+        .mockResolvedValueOnce({ rows: [prescription()] })
+    };
+
+    const error = await createSale(client, { items: [{ productId: 5, quantity: 31, prescriptionId: 11 }] });
+
+    expect(error).toBeInstanceOf(ValidationError);
+    expect(error.message).toBe('Prescription RX-00000011 is for 30 units; cannot dispense 31');
+  });
+});
@@ -0,0 +1,69 @@
+// tests/unit/priceLists.test.js
+const PriceList = require('../../src/models/PriceList');
+const { PRICE_RULE_TYPES } = require('../../src/utils/constants');
+
+const seniors = { price_list_id: 2, name: 'Senior' };
+const product = { product_id: 7, category_id: 3, selling_price: '12.00', unit_cost: '8.00' };
+
+const rule = (id, type, value, overrides = {}) => ({
+  rule_id: id,
+  price_list_id: 2,
+  product_id: null,
+  category_id: 3,
+  rule_type: type,
+  value,
+  start_date: null,
+  end_date: null,
+  ...overrides
+});
+
+describe('PriceList.priceFor', () => {
+  it('sells at the selling price without a list or a rule for the product', () => {
+    expect(PriceList.priceFor(product, { priceList: null, rules: [] }))
+      .toEqual({ price: 12, priceList: null, ruleId: null });
+    expect(PriceList.priceFor(product, { priceList: seniors, rules: [rule(1, PRICE_RULE_TYPES.PERCENT_OFF, '10.00', { category_id: 4 })] }))
+      .toEqual({ price: 12, priceList: null, ruleId: null });
+  });
+
+  it('prices percent off the selling price, markup over cost, or a fixed price', () => {
+    const price = rules => PriceList.priceFor(product, { priceList: seniors, rules }).price;
+
+    expect(price([rule(1, PRICE_RULE_TYPES.PERCENT_OFF, '15.00')])).toBe(10.2);
+    expect(price([rule(1, PRICE_RULE_TYPES.MARKUP, '12.50')])).toBe(9);
+    expect(price([rule(1, PRICE_RULE_TYPES.FIXED_PRICE, '9.99', { product_id: 7, category_id: null })])).toBe(9.99);
+  });
+
+  it('prefers a product rule to a category rule, then the latest to start', () => {
+    const rules = [
+      rule(1, PRICE_RULE_TYPES.PERCENT_OFF, '50.00'),
+      rule(2, PRICE_RULE_TYPES.FIXED_PRICE, '11.00', { product_id: 7, category_id: null, start_date: new Date('2026-01-01') }),
+      rule(3, PRICE_RULE_TYPES.FIXED_PRICE, '10.50', { product_id: 7, category_id: null, start_date: new Date('2026-06-01') }),
+      rule(4, PRICE_RULE_TYPES.FIXED_PRICE, '10.00', { product_id: 7, category_id: null })
+    ];
+
+    expect(PriceList.priceFor(product, { priceList: seniors, rules })).toEqual({ price: 10.5, priceList: seniors, ruleId: 3 });
+  });
+
+  it('skips a markup rule for a product with no cost', () => {
+    const rules = [rule(1, PRICE_RULE_TYPES.MARKUP, '20.00', { product_id: 7, category_id: null }), rule(2, PRICE_RULE_TYPES.PERCENT_OFF, '25.00')];
+
+    expect(PriceList.priceFor({ ...product, unit_cost: null }, { priceList: seniors, rules }).ruleId).toBe(2);
+  });
+});
+
+describe('PriceList.forCustomer', () => {
+  it('prices walk-in sales without a list', async () => {
+    const client = { query: jest.fn() };
+
+    await expect(PriceList.forCustomer(null, client)).resolves.toEqual({ priceList: null, rules: [] });
+    expect(client.query).not.toHaveBeenCalled();
+  });
+
+  it('loads the rules in effect for the customer\'s list', async () => {
+    const rules = [rule(1, PRICE_RULE_TYPES.PERCENT_OFF, '10.00')];
+    const client = { query: jest.fn().mockResolvedValueOnce({ rows: [seniors] }).mockResolvedValueOnce({ rows: rules }) };
+
+    await expect(PriceList.forCustomer(4, client)).resolves.toEqual({ priceList: seniors, rules });
+    expect(client.query.mock.calls[1][1]).toEqual([2]);
+  });
+});
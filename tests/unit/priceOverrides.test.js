@@ -0,0 +1,153 @@
+// tests/unit/priceOverrides.test.js
+jest.mock('../../src/config/database', () => ({
+  ...jest.requireActual('../../src/config/database'),
+  query: jest.fn(),
+  transaction: jest.fn()
+}));
+
+const bcrypt = require('bcrypt');
+const { query } = require('../../src/config/database');
+const PriceOverride = require('../../src/models/PriceOverride');
+const Permission = require('../../src/models/Permission');
+const LoginAttempt = require('../../src/models/LoginAttempt');
+const { signPriceOverrideApproval } = require('../../src/utils/tokens');
+const { PERMISSIONS, PRICE_OVERRIDE_APPROVALS, LOGIN_FAILURE_REASONS } = require('../../src/utils/constants');
+const { ValidationError, ForbiddenError, AccountLockedError } = require('../../src/utils/errorHandler');
+
+const cashier = { userId: 3, role: 'cashier' };
+const line = (unitPrice, quantity = 1) => ({ productId: 12, productName: 'Ibuprofen 200mg', quantity, listPrice: 10, unitPrice });
+const reason = 'Price match with competitor';
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  query.mockReset();
+});
+
+describe('PriceOverride.needsApproval', () => {
+  it('needs approval past the threshold either way, and for any price on an unpriced product', () => {
+    expect(PriceOverride.needsApproval(10, 9)).toBe(false);
+    expect(PriceOverride.needsApproval(10, 11)).toBe(false);
+    expect(PriceOverride.needsApproval(10, 8.99)).toBe(true);
+    expect(PriceOverride.needsApproval(10, 11.01)).toBe(true);
+    expect(PriceOverride.needsApproval(0, 1)).toBe(true);
+  });
+});
+
+describe('PriceOverride.authorize', () => {
+  it('needs a reason for any other price', async () => {
+    await expect(PriceOverride.authorize(cashier, line(9.5))).rejects.toThrow(ValidationError);
+    await expect(PriceOverride.authorize(cashier, line(9.5), { reason }))
+      .resolves.toEqual({ reason, approvedBy: null, approvalMethod: null });
+  });
+
+  it('takes a manager\'s approval token only for the cashier, product, price and quantity it was issued for', async () => {
+    const { token } = signPriceOverrideApproval(5, { cashierId: 3, productId: 12, unitPrice: 7, quantity: 2 });
+    const client = { query: jest.fn().mockResolvedValue({ rowCount: 1 }) };
+    const override = { reason, approvalToken: token };
+
+    await expect(PriceOverride.authorize(cashier, line(6), override, { client }))
+      .rejects.toThrow('different product or price');
+    await expect(PriceOverride.authorize({ userId: 4, role: 'cashier' }, line(7), override, { client }))
+      .rejects.toThrow('given to another cashier');
+    await expect(PriceOverride.authorize(cashier, line(7, 3), override, { client }))
+      .rejects.toThrow('covers at most 2, not 3');
+    expect(client.query).not.toHaveBeenCalled();
+
+    await expect(PriceOverride.authorize(cashier, line(7, 2), override, { client }))
+      .resolves.toEqual({
+        reason,
+        approvedBy: 5,
+        approvalMethod: PRICE_OVERRIDE_APPROVALS.TOKEN,
+        approvalJti: expect.stringMatching(/^[0-9a-f-]{36}$/)
+      });
+    expect(client.query.mock.calls[0][0]).toMatch('INSERT INTO price_override_approvals_used');
+  });
+
+  it('takes an approval token on one sale only', async () => {
+    const { token } = signPriceOverrideApproval(5, { cashierId: 3, productId: 12, unitPrice: 7, quantity: 1 });
+    const client = { query: jest.fn().mockResolvedValueOnce({ rowCount: 1 }).mockResolvedValueOnce({ rowCount: 0 }) };
+    const override = { reason, approvalToken: token };
+
+    await PriceOverride.authorize(cashier, line(7), override, { client });
+    await expect(PriceOverride.authorize(cashier, line(7), override, { client }))
+      .rejects.toThrow('already been used');
+    expect(client.query.mock.calls[1][1][0]).toBe(client.query.mock.calls[0][1][0]);
+  });
+
+  it('lets a cashier with the permission approve their own price and stops everyone else', async () => {
+    const has = jest.spyOn(Permission, 'has').mockResolvedValueOnce(true).mockResolvedValueOnce(false);
+
+    await expect(PriceOverride.authorize(cashier, line(5), { reason }))
+      .resolves.toEqual({ reason, approvedBy: 3, approvalMethod: PRICE_OVERRIDE_APPROVALS.PERMISSION });
+    await expect(PriceOverride.authorize(cashier, line(5), { reason })).rejects.toThrow(ForbiddenError);
+    expect(has).toHaveBeenCalledWith(cashier, PERMISSIONS.PRICE_OVERRIDE);
+  });
+
+  describe('with a manager\'s credentials entered at the till', () => {
+    const approver = { username: 'manager', password: 'secret' };
+    const managerRow = (overrides = {}) => ({
+      rows: [{
+        user_id: 5,
+        username: 'manager',
+        role: 'manager',
+        password_hash: 'hash',
+        locked_until: null,
+        totp_enabled_at: null,
+        ...overrides
+      }]
+    });
+    let record;
+    let registerFailure;
+
+    beforeEach(() => {
+      record = jest.spyOn(LoginAttempt, 'record').mockResolvedValue();
+      registerFailure = jest.spyOn(LoginAttempt, 'registerFailure').mockResolvedValue({ failedAttempts: 1, lockedUntil: null });
+      jest.spyOn(LoginAttempt, 'ipBlockedUntil').mockResolvedValue(null);
+    });
+
+    it('accepts another user who may approve overrides', async () => {
+      query.mockResolvedValueOnce(managerRow()).mockResolvedValueOnce({ rowCount: 0 }).mockResolvedValueOnce(managerRow());
+      jest.spyOn(bcrypt, 'compare').mockResolvedValue(true);
+      jest.spyOn(Permission, 'has').mockResolvedValue(true);
+
+      await expect(PriceOverride.authorize(cashier, line(5), { reason, approver }))
+        .resolves.toEqual({ reason, approvedBy: 5, approvalMethod: PRICE_OVERRIDE_APPROVALS.CREDENTIALS });
+      await expect(PriceOverride.verifyApprover(approver, 5)).rejects.toThrow('someone other than the cashier');
+    });
+
+    it('counts a wrong password towards the manager\'s lockout', async () => {
+      const lockedUntil = new Date(Date.now() + 60000);
+      query.mockResolvedValue(managerRow());
+      jest.spyOn(bcrypt, 'compare').mockResolvedValue(false);
+      registerFailure.mockResolvedValueOnce({ failedAttempts: 4, lockedUntil: null })
+        .mockResolvedValueOnce({ failedAttempts: 5, lockedUntil });
+
+      await expect(PriceOverride.verifyApprover(approver, 3, '203.0.113.9')).rejects.toThrow('Approver credentials are invalid');
+      await expect(PriceOverride.verifyApprover(approver, 3, '203.0.113.9')).rejects.toThrow(AccountLockedError);
+      expect(registerFailure).toHaveBeenCalledWith(5);
+      expect(record).toHaveBeenCalledWith(expect.objectContaining({
+        username: 'manager',
+        ipAddress: '203.0.113.9',
+        failureReason: LOGIN_FAILURE_REASONS.INVALID_PASSWORD
+      }));
+    });
+
+    it('refuses a locked manager', async () => {
+      query.mockResolvedValueOnce(managerRow({ locked_until: new Date(Date.now() + 60000) }));
+      const compare = jest.spyOn(bcrypt, 'compare').mockResolvedValue(true);
+
+      await expect(PriceOverride.verifyApprover(approver, 3)).rejects.toThrow(AccountLockedError);
+      expect(compare).not.toHaveBeenCalled();
+    });
+
+    it('needs the authenticator code of a manager who has two-factor authentication', async () => {
+      query.mockResolvedValueOnce(managerRow({ totp_enabled_at: new Date() }));
+      jest.spyOn(bcrypt, 'compare').mockResolvedValue(true);
+
+      await expect(PriceOverride.verifyApprover(approver, 3)).rejects.toThrow('authenticator code is required');
+      expect(record).toHaveBeenCalledWith(expect.objectContaining({
+        failureReason: LOGIN_FAILURE_REASONS.INVALID_SECOND_FACTOR
+      }));
+    });
+  });
+});
@@ -0,0 +1,96 @@
+// tests/unit/promotions.test.js
+const Promotion = require('../../src/models/Promotion');
+const { CUSTOMER_GROUPS, PROMOTION_TYPES } = require('../../src/utils/constants');
+const { ValidationError } = require('../../src/utils/errorHandler');
+
+const promotion = (id, type, value, overrides = {}) => ({
+  promotion_id: id,
+  name: `Promotion ${id}`,
+  promotion_type: type,
+  discount_value: value,
+  buy_quantity: null,
+  get_quantity: null,
+  product_ids: [],
+  category_ids: [],
+  excluded_product_ids: [],
+  customer_groups: [],
+  coupon_code: null,
+  stackable: false,
+  priority: 0,
+  ...overrides
+});
+
+const line = (overrides = {}) => ({
+  productId: 1,
+  categoryId: 10,
+  quantity: 3,
+  unitPrice: 5,
+  requiresPrescription: false,
+  controlled: false,
+  ...overrides
+});
+
+describe('Promotion.evaluate', () => {
+  it('prices percent off, amount off per unit and buy-X-get-Y', () => {
+    const [percent] = Promotion.evaluate([line()], [promotion(1, PROMOTION_TYPES.PERCENT_OFF, '10.00')]);
+    const [amount] = Promotion.evaluate([line()], [promotion(2, PROMOTION_TYPES.AMOUNT_OFF, '0.75')]);
+    const [free] = Promotion.evaluate(
+      [line({ quantity: 7 })],
+      [promotion(3, PROMOTION_TYPES.BUY_X_GET_Y, '100.00', { buy_quantity: 2, get_quantity: 1 })]
+    );
+
+    expect(percent).toEqual({ discountAmount: 1.5, promotions: [{ promotionId: 1, name: 'Promotion 1', discountAmount: 1.5 }] });
+    expect(amount.discountAmount).toBe(2.25);
+    expect(free.discountAmount).toBe(10);
+  });
+
+  it('never discounts prescription-only or controlled lines', () => {
+    const everything = [promotion(1, PROMOTION_TYPES.PERCENT_OFF, '50.00')];
+
+    expect(Promotion.evaluate([line({ requiresPrescription: true }), line({ controlled: true })], everything))
+      .toEqual([{ discountAmount: 0, promotions: [] }, { discountAmount: 0, promotions: [] }]);
+  });
+
+  it('limits promotions to their products, categories and customer groups', () => {
+    const promotions = [
+      promotion(1, PROMOTION_TYPES.PERCENT_OFF, '10.00', { category_ids: [10], excluded_product_ids: [2] }),
+      promotion(2, PROMOTION_TYPES.PERCENT_OFF, '20.00', { customer_groups: [CUSTOMER_GROUPS.SENIOR] })
+    ];
+    const lines = [line(), line({ productId: 2 }), line({ productId: 3, categoryId: 11 })];
+
+    expect(Promotion.evaluate(lines, promotions).map(l => l.discountAmount)).toEqual([1.5, 0, 0]);
+    expect(Promotion.evaluate(lines, promotions, { customerGroup: CUSTOMER_GROUPS.SENIOR }).map(l => l.discountAmount))
+      .toEqual([3, 3, 3]);
+  });
+
+  it('gives the best non-stackable promotion or all stackable ones, whichever takes more off', () => {
+    const stackable = [
+      promotion(2, PROMOTION_TYPES.AMOUNT_OFF, '1.00', { stackable: true }),
+      promotion(3, PROMOTION_TYPES.PERCENT_OFF, '10.00', { stackable: true, priority: 5 })
+    ];
+
+    // 10% of 15.00, then 1.00 a unit off the 13.50 left
+    const [stacked] = Promotion.evaluate([line()], [promotion(1, PROMOTION_TYPES.PERCENT_OFF, '25.00'), ...stackable]);
+    expect(stacked.promotions.map(p => [p.promotionId, p.discountAmount])).toEqual([[3, 1.5], [2, 3]]);
+
+    const [exclusive] = Promotion.evaluate([line()], [promotion(1, PROMOTION_TYPES.PERCENT_OFF, '30.00'), ...stackable]);
+    expect(exclusive.promotions.map(p => [p.promotionId, p.discountAmount])).toEqual([[1, 4.5]]);
+  });
+});
+
+describe('Promotion.price', () => {
+  it('rejects a coupon code that is not in force', async () => {
+    const client = { query: jest.fn().mockResolvedValue({ rows: [promotion(1, PROMOTION_TYPES.PERCENT_OFF, '10.00', { coupon_code: 'SPRING10' })] }) };
+
+    await expect(Promotion.price(client, { lines: [line()], couponCodes: ['spring10', 'WINTER5'] }))
+      .rejects.toThrow(new ValidationError('Coupon WINTER5 is not valid or has expired'));
+    expect(client.query.mock.calls[0][1]).toEqual([['SPRING10', 'WINTER5']]);
+  });
+});
+
+describe('Promotion.apportion', () => {
+  it('splits a discount over batches by quantity, settling cents on the last', () => {
+    expect(Promotion.apportion(1, [1, 1, 1])).toEqual([0.33, 0.33, 0.34]);
+    expect(Promotion.apportion(4.5, [2, 1])).toEqual([3, 1.5]);
+  });
+});
@@ -0,0 +1,120 @@
+// tests/unit/registerShifts.test.js
+jest.mock('../../src/config/database', () => ({
+  ...jest.requireActual('../../src/config/database'),
+  query: jest.fn(),
+  transaction: jest.fn()
+}));
+
+const { transaction } = require('../../src/config/database');
+const RegisterShift = require('../../src/models/RegisterShift');
+const { CASH_MOVEMENT_TYPES, PAYMENT_METHODS, SHIFT_STATUS } = require('../../src/utils/constants');
+const { ConflictError, ValidationError } = require('../../src/utils/errorHandler');
+
+const shift = (overrides = {}) => ({ shift_id: 4, status: SHIFT_STATUS.OPEN, opening_float: '150.00', ...overrides });
+
+// Sales, refunds and drawer movements of a shift, in the order expectedTotals reads them
+const totals = [
+  {
+    rows: [
+      { payment_method: PAYMENT_METHODS.CARD, sale_count: 3, sales_amount: '64.10', change_given: '0.00' },
+      { payment_method: PAYMENT_METHODS.CASH, sale_count: 2, sales_amount: '23.45', change_given: '6.55' }
+    ]
+  },
+  { rows: [{ payment_method: PAYMENT_METHODS.CASH, refund_count: 1, refund_amount: '5.00' }] },
+  {
+    rows: [
+      { movement_type: CASH_MOVEMENT_TYPES.PAID_IN, amount: '20.00' },
+      { movement_type: CASH_MOVEMENT_TYPES.PAID_OUT, amount: '12.50' }
+    ]
+  }
+];
+
+const mockClient = (...results) => {
+  const client = { query: jest.fn().mockResolvedValue({ rows: [] }) };
+  results.forEach(result => client.query.mockResolvedValueOnce(result));
+  return client;
+};
+
+afterEach(() => {
+  transaction.mockReset();
+});
+
+describe('RegisterShift.expectedTotals', () => {
+  it('expects the float, cash sales and paid-ins less refunds and paid-outs in the drawer', async () => {
+    const tenders = await RegisterShift.expectedTotals(shift(), mockClient(...totals));
+
+    expect(tenders).toEqual([
+      {
+        method: PAYMENT_METHODS.CASH,
+        saleCount: 2,
+        salesAmount: 23.45,
+        refundCount: 1,
+        refundAmount: 5,
+        openingFloat: 150,
+        paidIn: 20,
+        paidOut: 12.5,
+        changeGiven: 6.55,
+        expectedAmount: 175.95
+      },
+      { method: PAYMENT_METHODS.CARD, saleCount: 3, salesAmount: 64.1, refundCount: 0, refundAmount: 0, expectedAmount: 64.1 }
+    ]);
+  });
+
+  it('expects layaway payments taken on the shift in the drawer', async () => {
+    const layaways = { rows: [{ payment_method: PAYMENT_METHODS.CASH, payment_count: 2, payment_amount: '40.00' }] };
+
+    const tenders = await RegisterShift.expectedTotals(shift(), mockClient(...totals, layaways));
+
+    expect(tenders[0]).toMatchObject({
+      method: PAYMENT_METHODS.CASH,
+      layawayPaymentCount: 2,
+      layawayPaymentAmount: 40,
+      expectedAmount: 215.95
+    });
+    expect(tenders[1]).not.toHaveProperty('layawayPaymentAmount');
+  });
+
+  it('takes refunds of closed layaways paid on the shift out of the drawer', async () => {
+    const layawayRefunds = { rows: [{ payment_method: PAYMENT_METHODS.CASH, refund_count: 1, refund_amount: '30.00' }] };
+
+    const tenders = await RegisterShift.expectedTotals(shift(), mockClient(...totals, { rows: [] }, layawayRefunds));
+
+    expect(tenders[0]).toMatchObject({
+      method: PAYMENT_METHODS.CASH,
+      layawayRefundCount: 1,
+      layawayRefundAmount: 30,
+      expectedAmount: 145.95
+    });
+    expect(tenders[1]).not.toHaveProperty('layawayRefundAmount');
+  });
+});
+
+describe('RegisterShift.close', () => {
+  it('needs the cash to be counted', async () => {
+    await expect(RegisterShift.close(4, { counts: [{ method: PAYMENT_METHODS.CARD, amount: 64.1 }], closedBy: 9 }))
+      .rejects.toThrow(ValidationError);
+    expect(transaction).not.toHaveBeenCalled();
+  });
+
+  it('stores the count beside what was expected for every tender', async () => {
+    const client = mockClient({ rows: [shift()] }, ...totals);
+    transaction.mockImplementation(callback => callback(client));
+
+    await RegisterShift.close(4, { counts: [{ method: PAYMENT_METHODS.CASH, amount: 170 }], closedBy: 9 });
+
+    const inserts = client.query.mock.calls.filter(([sql]) => sql.includes('INSERT INTO shift_counts'));
+    expect(inserts.map(([, params]) => params)).toEqual([
+      [4, PAYMENT_METHODS.CASH, 175.95, 170],
+      [4, PAYMENT_METHODS.CARD, 64.1, null]
+    ]);
+    expect(client.query.mock.calls[0][0]).toMatch('FOR UPDATE');
+  });
+
+  it('refuses a shift that is already closed', async () => {
+    const client = mockClient({ rows: [shift({ status: SHIFT_STATUS.CLOSED })] });
+    transaction.mockImplementation(callback => callback(client));
+
+    await expect(RegisterShift.close(4, { counts: [{ method: PAYMENT_METHODS.CASH, amount: 150 }], closedBy: 9 }))
+      .rejects.toThrow(ConflictError);
+  });
+});
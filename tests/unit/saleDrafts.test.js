@@ -0,0 +1,251 @@
+// tests/unit/saleDrafts.test.js
+jest.mock('../../src/config/database', () => ({
+  ...jest.requireActual('../../src/config/database'),
+  query: jest.fn(),
+  transaction: jest.fn()
+}));
+
+const { query, transaction } = require('../../src/config/database');
+const SaleDraft = require('../../src/models/SaleDraft');
+const Permission = require('../../src/models/Permission');
+const RegisterShift = require('../../src/models/RegisterShift');
+const Inventory = require('../../src/models/Inventory');
+const PriceList = require('../../src/models/PriceList');
+const ClinicalScreening = require('../../src/models/ClinicalScreening');
+const PriceOverride = require('../../src/models/PriceOverride');
+const SalesController = require('../../src/controllers/SalesController');
+const { renderTextPdf } = require('../../src/utils/pdf');
+const { DRAFT_TYPES, DRAFT_STATUS, PAYMENT_METHODS, USER_ROLES } = require('../../src/utils/constants');
+const { ValidationError } = require('../../src/utils/errorHandler');
+
+const cashier = { userId: 9, role: USER_ROLES.CASHIER };
+
+const layaway = (overrides = {}) => ({
+  draft_id: 7,
+  draft_number: 'DRAFT-20261018-000007',
+  draft_type: DRAFT_TYPES.LAYAWAY,
+  status: DRAFT_STATUS.OPEN,
+  customer_id: 4,
+  total_amount: '100.00',
+  installment_count: 3,
+  expires_at: '2026-12-17T10:00:00.000Z',
+  lapsed: false,
+  ...overrides
+});
+
+const payment = (amount, createdAt = '2026-10-18T10:00:00.000Z') => ({
+  payment_method: PAYMENT_METHODS.CASH,
+  amount,
+  created_at: createdAt
+});
+
+const mockClient = (...results) => {
+  const client = { query: jest.fn().mockResolvedValue({ rows: [] }) };
+  results.forEach(result => client.query.mockResolvedValueOnce(result));
+  return client;
+};
+
+afterEach(() => {
+  query.mockReset();
+  transaction.mockReset();
+  jest.restoreAllMocks();
+});
+
+describe('SaleDraft.installmentPlan', () => {
+  it('spreads the balance after the deposit evenly up to the expiry, rounding on the last', () => {
+    const plan = SaleDraft.installmentPlan(layaway({ total_amount: '100.02' }), [payment('20.00')]);
+
+    expect(plan.map(installment => installment.amount)).toEqual([26.67, 26.67, 26.68]);
+    expect(plan.map(installment => installment.dueDate)).toEqual([
+      '2026-11-07T10:00:00.000Z',
+      '2026-11-27T10:00:00.000Z',
+      '2026-12-17T10:00:00.000Z'
+    ]);
+  });
+
+  it('settles installments in order with what was paid after the deposit', () => {
+    const plan = SaleDraft.installmentPlan(layaway({ total_amount: '80.00' }), [payment('20.00'), payment('25.00')]);
+
+    expect(plan.map(installment => installment.outstanding)).toEqual([0, 15, 20]);
+  });
+});
+
+describe('SaleDraft.expireAbandoned', () => {
+  it('expires open drafts past their expiry and gives back the stock they held', async () => {
+    const client = mockClient({
+      rows: [
+        { draft_id: 3, draft_number: 'DRAFT-20261018-000003', draft_type: DRAFT_TYPES.PARKED, amount_paid: '0' },
+        { draft_id: 5, draft_number: 'DRAFT-20261018-000005', draft_type: DRAFT_TYPES.QUOTE, amount_paid: '0' }
+      ]
+    });
+    transaction.mockImplementation(callback => callback(client));
+
+    const expired = await SaleDraft.expireAbandoned();
+
+    expect(expired).toHaveLength(2);
+    expect(client.query.mock.calls[0][0]).toMatch('FOR UPDATE SKIP LOCKED');
+    expect(client.query.mock.calls[0][1]).toEqual([DRAFT_STATUS.EXPIRED, DRAFT_STATUS.OPEN]);
+    expect(client.query.mock.calls[1][0]).toMatch('quantity_reserved = i.quantity_reserved - r.quantity');
+    expect(client.query.mock.calls[1][1]).toEqual([[3, 5]]);
+  });
+
+  it('owes back what was paid on expired layaways', async () => {
+    const client = mockClient({
+      rows: [
+        { draft_id: 3, draft_number: 'DRAFT-20261018-000003', draft_type: DRAFT_TYPES.PARKED, amount_paid: '0' },
+        { draft_id: 7, draft_number: 'DRAFT-20261018-000007', draft_type: DRAFT_TYPES.LAYAWAY, amount_paid: '40.00' }
+      ]
+    });
+    transaction.mockImplementation(callback => callback(client));
+
+    await SaleDraft.expireAbandoned();
+
+    expect(client.query.mock.calls[2][0]).toMatch('INSERT INTO layaway_refunds');
+    expect(client.query.mock.calls[2][1]).toEqual([[7]]);
+  });
+
+  it('leaves stock alone when nothing has expired', async () => {
+    const client = mockClient();
+    transaction.mockImplementation(callback => callback(client));
+
+    await expect(SaleDraft.expireAbandoned()).resolves.toEqual([]);
+    expect(client.query).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('completing a layaway', () => {
+  it('refuses while a balance is due, keeping the stock held', async () => {
+    const client = mockClient({ rows: [layaway()] }, { rows: [payment('20.00'), payment('30.00')] });
+    transaction.mockImplementation(callback => callback(client));
+    const next = jest.fn();
+
+    await SalesController.completeDraft({ user: cashier, params: { draftId: 7 }, body: {} }, {}, next);
+
+    const error = next.mock.calls[0][0];
+    expect(error).toBeInstanceOf(ValidationError);
+    expect(error.message).toBe('50.00 is still due on layaway DRAFT-20261018-000007');
+    expect(client.query.mock.calls.some(([sql]) => sql.includes('sale_draft_reservations'))).toBe(false);
+  });
+});
+
+describe('cancelling a layaway', () => {
+  it('pays what was paid on it back to its tenders from the canceller\'s drawer', async () => {
+    const refund = { refund_id: 1, payment_id: 11, amount: '40.00', payment_method: PAYMENT_METHODS.CASH, refunded_by: 9 };
+    const client = mockClient(
+      { rows: [layaway()] },
+      { rows: [] },
+      { rows: [] },
+      { rows: [{ ...refund, status: 'due' }] },
+      { rows: [{ ...refund, status: 'due', refunded_by: null }] },
+      { rows: [{ ...refund, status: 'paid', shift_id: 8 }] }
+    );
+    transaction.mockImplementation(callback => callback(client));
+    jest.spyOn(Permission, 'has').mockResolvedValue(true);
+    jest.spyOn(RegisterShift, 'findOpenForCashier').mockResolvedValue({ shift_id: 8 });
+    jest.spyOn(SaleDraft, 'findPayments').mockResolvedValue([payment('40.00')]);
+    jest.spyOn(SaleDraft, 'findById').mockResolvedValue(layaway({ status: DRAFT_STATUS.CANCELLED }));
+    jest.spyOn(SaleDraft, 'findItems').mockResolvedValue([]);
+    query.mockResolvedValue({ rows: [{ ...refund, status: 'paid', shift_id: 8 }] });
+    const res = { json: jest.fn() };
+    const next = jest.fn();
+
+    await SalesController.cancelDraft({ user: cashier, params: { draftId: 7 } }, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    const paidBack = client.query.mock.calls.find(([sql]) => sql.includes('UPDATE layaway_refunds'));
+    expect(paidBack[1]).toEqual([7, 'paid', 9, 8, 'due']);
+    expect(res.json.mock.calls[0][0].message).toBe('Layaway cancelled; 40.00 refunded to its payments');
+    expect(res.json.mock.calls[0][0].data.refunds).toEqual([expect.objectContaining({ amount: 40, status: 'paid', shiftId: 8 })]);
+  });
+});
+
+describe('completing a held draft', () => {
+  it('charges the tax held on its lines, not the product\'s current rate', async () => {
+    const draftItem = {
+      product_id: 2,
+      inventory_id: null,
+      quantity: 3,
+      discount_percentage: '0',
+      prescription_id: null,
+      unit_price: '10.00',
+      price_list_id: null,
+      promotion_discount_amount: '0',
+      promotions: [],
+      tax_amount: '2.40'
+    };
+    const client = { query: jest.fn(async (sql) => {
+      if (sql.includes('FROM sale_drafts')) return { rows: [layaway({ draft_type: DRAFT_TYPES.PARKED, total_amount: '32.40' })] };
+      if (sql.includes('FROM products')) return { rows: [{ product_id: 2, product_name: 'Saline', tax_rate: '20.00' }] };
+      if (sql.includes('INSERT INTO sales')) return { rows: [{ sale_id: 50, sale_number: 'SALE-50' }] };
+      return { rows: [{ sale_item_id: 1 }] };
+    }) };
+    transaction.mockImplementation(callback => callback(client));
+    jest.spyOn(Permission, 'has').mockResolvedValue(false);
+    jest.spyOn(RegisterShift, 'findOpenForCashier').mockResolvedValue({ shift_id: 8 });
+    jest.spyOn(SaleDraft, 'findItems').mockResolvedValue([draftItem]);
+    jest.spyOn(Inventory, 'allocate').mockResolvedValue([
+      { quantity: 1, inventory: { inventory_id: 21 } },
+      { quantity: 2, inventory: { inventory_id: 22 } }
+    ]);
+    jest.spyOn(Inventory, 'dispenseAllocated').mockResolvedValue(null);
+    jest.spyOn(PriceList, 'forCustomer').mockResolvedValue({ priceList: null, rules: [] });
+    jest.spyOn(ClinicalScreening, 'screen').mockResolvedValue({ requiresOverride: false, warnings: [] });
+    jest.spyOn(PriceOverride, 'record').mockResolvedValue(null);
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    const next = jest.fn();
+
+    await SalesController.completeDraft({
+      user: cashier,
+      params: { draftId: 7 },
+      body: { payments: [{ method: PAYMENT_METHODS.CARD, amount: 32.40 }] }
+    }, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    const sale = res.json.mock.calls[0][0].data.sale;
+    expect(sale.taxAmount).toBeCloseTo(2.40);
+    expect(sale.totalAmount).toBe(32.40);
+    const lineTaxes = client.query.mock.calls
+      .filter(([sql]) => sql.includes('INSERT INTO sale_items'))
+      .map(([, params]) => params[9]);
+    expect(lineTaxes).toEqual([0.8, 1.6]);
+  });
+});
+
+describe('opening a layaway', () => {
+  it('needs the minimum deposit', async () => {
+    const client = mockClient({ rows: [layaway({ draft_type: DRAFT_TYPES.PARKED, installment_count: null })] });
+    transaction.mockImplementation(callback => callback(client));
+    const next = jest.fn();
+
+    await SalesController.createLayaway({
+      user: cashier,
+      params: { draftId: 7 },
+      body: { installmentCount: 3, deposit: { method: PAYMENT_METHODS.CARD, amount: 19.99 } }
+    }, {}, next);
+
+    expect(next.mock.calls[0][0]).toBeInstanceOf(ValidationError);
+    expect(next.mock.calls[0][0].message).toMatch('at least 20.00');
+    expect(client.query).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('renderTextPdf', () => {
+  it('writes a cross-reference table that points at every object', () => {
+    const pdf = renderTextPdf(['Quote (draft)', 'Total 12.50'], { title: 'Quote' }).toString('ascii');
+
+    const xref = Number(pdf.match(/startxref\n(\d+)/)[1]);
+    expect(pdf.slice(xref, xref + 4)).toBe('xref');
+
+    const offsets = pdf.slice(xref).match(/^\d{10} 00000 n $/gm).map(entry => Number(entry.slice(0, 10)));
+    offsets.forEach((offset, index) => {
+      expect(pdf.slice(offset)).toMatch(new RegExp(`^${index + 1} 0 obj`));
+    });
+    expect(pdf).toMatch('(Quote \\(draft\\)) Tj');
+  });
+
+  it('starts a new page when the lines run past one', () => {
+    const pdf = renderTextPdf(Array.from({ length: 60 }, (_, index) => `Line ${index}`)).toString('ascii');
+
+    expect(pdf).toMatch('/Count 2');
+  });
+});
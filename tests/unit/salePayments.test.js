@@ -0,0 +1,217 @@
+// tests/unit/salePayments.test.js
+jest.mock('../../src/config/database', () => ({
+  ...jest.requireActual('../../src/config/database'),
+  query: jest.fn(),
+  transaction: jest.fn()
+}));
+
+const { transaction } = require('../../src/config/database');
+const SalePayment = require('../../src/models/SalePayment');
+const RegisterShift = require('../../src/models/RegisterShift');
+const ControlledRegister = require('../../src/models/ControlledRegister');
+const SalesController = require('../../src/controllers/SalesController');
+const { PAYMENT_METHODS } = require('../../src/utils/constants');
+const { ValidationError } = require('../../src/utils/errorHandler');
+
+const payment = (id, method, amount, refunded = '0.00') => ({
+  payment_id: id,
+  payment_method: method,
+  amount,
+  refunded_amount: refunded,
+  reference: null
+});
+
+describe('SalePayment.applyTenders', () => {
+  it('takes non-cash tenders in full and gives change from cash', () => {
+    const { payments, changeDue } = SalePayment.applyTenders([
+      { method: PAYMENT_METHODS.CASH, amount: 20 },
+      { method: PAYMENT_METHODS.GIFT_CARD, amount: 10, reference: 'GC-1234' }
+    ], 23.456);
+
+    expect(payments).toEqual([
+      { method: PAYMENT_METHODS.CASH, amount: 13.46, tenderedAmount: 20, changeDue: 6.54, reference: null },
+      { method: PAYMENT_METHODS.GIFT_CARD, amount: 10, tenderedAmount: 10, changeDue: 0, reference: 'GC-1234' }
+    ]);
+    expect(changeDue).toBe(6.54);
+    expect(SalePayment.summarize(payments)).toEqual({
+      paymentMethod: PAYMENT_METHODS.CASH,
+      insuranceClaimAmount: 0,
+      customerPaymentAmount: 23.46
+    });
+  });
+
+  it('rejects tenders that fall short, overpay without cash, or are not needed', () => {
+    expect(() => SalePayment.applyTenders([{ method: PAYMENT_METHODS.CARD, amount: 9.99 }], 10))
+      .toThrow('do not cover the sale total of 10.00');
+    expect(() => SalePayment.applyTenders([{ method: PAYMENT_METHODS.CARD, amount: 12 }], 10))
+      .toThrow(ValidationError);
+    expect(() => SalePayment.applyTenders([
+      { method: PAYMENT_METHODS.INSURANCE, amount: 10 },
+      { method: PAYMENT_METHODS.CASH, amount: 5 }
+    ], 10)).toThrow('Payment 2 is not needed');
+  });
+});
+
+describe('SalePayment.allocateRefund', () => {
+  const payments = [
+    payment(1, PAYMENT_METHODS.INSURANCE, '8.00'),
+    payment(2, PAYMENT_METHODS.CARD, '1.00'),
+    payment(3, PAYMENT_METHODS.CASH, '1.00')
+  ];
+
+  it('splits a refund in proportion, rounding cents to the largest remainders', () => {
+    const allocations = SalePayment.allocateRefund(payments, 3.33);
+
+    expect(allocations.map(a => [a.payment.payment_id, a.amount])).toEqual([[1, 2.67], [2, 0.33], [3, 0.33]]);
+  });
+
+  it('follows the cashier\'s split when it adds up', () => {
+    expect(SalePayment.allocateRefund(payments, 1, [{ paymentId: 3, amount: 1 }]).map(a => a.amount)).toEqual([1]);
+    expect(() => SalePayment.allocateRefund(payments, 1, [{ paymentId: 3, amount: 0.5 }]))
+      .toThrow('total 0.50, not the 1.00');
+    expect(() => SalePayment.allocateRefund(payments, 2, [{ paymentId: 2, amount: 2 }]))
+      .toThrow('Payment 2 has only 1.00 left to refund');
+    expect(() => SalePayment.allocateRefund(payments, 1, [{ paymentId: 9, amount: 1 }]))
+      .toThrow('not a payment of this sale');
+  });
+
+  it('never refunds more than is left on the sale', () => {
+    const refunded = [payment(1, PAYMENT_METHODS.CARD, '5.00', '4.00')];
+
+    expect(() => SalePayment.allocateRefund(refunded, 2)).toThrow('exceeds the 1.00 left to refund');
+  });
+});
+
+describe('refunding a sale', () => {
+  const saleItem = (overrides = {}) => ({
+    sale_item_id: 31,
+    product_id: 12,
+    inventory_id: 40,
+    product_name: 'Ibuprofen 200mg',
+    quantity: 3,
+    refunded_quantity: 0,
+    line_total: '10.00',
+    tax_amount: '0.80',
+    ...overrides
+  });
+
+  // Answers the refund's queries by what they ask for
+  const mockClient = ({ status = 'completed', item = saleItem(), payments, outstandingLines }) => ({
+    query: jest.fn(async (sql) => {
+      if (sql.includes('FROM sales WHERE')) {
+        return { rows: status ? [{ sale_id: 5, sale_number: 'SALE-20261019-000005', payment_status: status }] : [] };
+      }
+      if (sql.includes('FROM sale_items si')) return { rows: [item] };
+      if (sql.includes('FROM sale_payments')) return { rows: payments };
+      if (sql.includes('refunded_quantity < quantity')) return { rows: [{ lines: outstandingLines }] };
+      return { rows: [], rowCount: 1 };
+    })
+  });
+
+  const refund = async (client, body) => {
+    let committed = false;
+    transaction.mockImplementation(async (callback) => {
+      const result = await callback(client);
+      committed = true;
+      return result;
+    });
+    const res = { json: jest.fn(() => expect(committed).toBe(true)) };
+    const next = jest.fn();
+
+    await SalesController.processRefund({ user: { userId: 3 }, params: { saleId: 5 }, body }, res, next);
+
+    return { res, error: next.mock.calls[0] && next.mock.calls[0][0] };
+  };
+
+  beforeEach(() => {
+    jest.spyOn(ControlledRegister, 'record').mockResolvedValue(null);
+    jest.spyOn(RegisterShift, 'findOpenForCashier').mockResolvedValue({ shift_id: 8 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    transaction.mockReset();
+  });
+
+  it('gives back each line\'s share of the tax and answers once the refund is committed', async () => {
+    const client = mockClient({ payments: [payment(1, PAYMENT_METHODS.CARD, '10.80')], outstandingLines: 1 });
+
+    const { res, error } = await refund(client, { items: [{ saleItemId: 31, quantityToRefund: 1 }] });
+
+    expect(error).toBeUndefined();
+    expect(res.json.mock.calls[0][0].data).toEqual(expect.objectContaining({
+      refundAmount: 3.6,
+      newPaymentStatus: 'partial'
+    }));
+    expect(client.query).toHaveBeenCalledWith(expect.stringContaining('refunded_quantity = refunded_quantity + $1'), [1, 31]);
+  });
+
+  it('refunds what is left on the tenders when the last of a partly refunded sale comes back', async () => {
+    const client = mockClient({
+      status: 'partial',
+      item: saleItem({ refunded_quantity: 1 }),
+      payments: [payment(1, PAYMENT_METHODS.CARD, '6.80', '3.60'), payment(2, PAYMENT_METHODS.CASH, '4.00')],
+      outstandingLines: 0
+    });
+
+    const { res, error } = await refund(client, { items: [{ saleItemId: 31, quantityToRefund: 2 }] });
+
+    expect(error).toBeUndefined();
+    expect(res.json.mock.calls[0][0].data).toEqual(expect.objectContaining({
+      refundAmount: 7.2,
+      newPaymentStatus: 'refunded'
+    }));
+    expect(res.json.mock.calls[0][0].data.tenders.map(tender => tender.amount)).toEqual([3.2, 4]);
+  });
+
+  it('never refunds more than is left on the tenders', async () => {
+    const client = mockClient({
+      status: 'partial',
+      payments: [payment(1, PAYMENT_METHODS.CARD, '10.80', '9.00')],
+      outstandingLines: 1
+    });
+
+    const { res } = await refund(client, { items: [{ saleItemId: 31, quantityToRefund: 2 }] });
+
+    expect(res.json.mock.calls[0][0].data.refundAmount).toBe(1.8);
+  });
+
+  it('refunds the calculated amount, refusing a client amount a cent away from it', async () => {
+    const lastLine = () => mockClient({
+      status: 'partial',
+      item: saleItem({ refunded_quantity: 1 }),
+      payments: [payment(1, PAYMENT_METHODS.CARD, '10.80', '3.60')],
+      outstandingLines: 0
+    });
+
+    const short = await refund(lastLine(), { items: [{ saleItemId: 31, quantityToRefund: 2 }], refundAmount: 7.19 });
+
+    expect(short.error).toBeInstanceOf(ValidationError);
+    expect(short.error.message).toBe('Provided refund amount does not match calculated amount of 7.20');
+    expect(short.res.json).not.toHaveBeenCalled();
+
+    const exact = await refund(lastLine(), { items: [{ saleItemId: 31, quantityToRefund: 2 }], refundAmount: 7.2 });
+
+    expect(exact.error).toBeUndefined();
+    expect(exact.res.json.mock.calls[0][0].data.tenders.map(tender => tender.amount)).toEqual([7.2]);
+  });
+
+  it('refuses to refund a line more times than it was sold', async () => {
+    const client = mockClient({ item: saleItem({ refunded_quantity: 2 }), payments: [], outstandingLines: 1 });
+
+    const { res, error } = await refund(client, { items: [{ saleItemId: 31, quantityToRefund: 2 }] });
+
+    expect(error).toBeInstanceOf(ValidationError);
+    expect(error.message).toBe('Cannot refund 2 of Ibuprofen 200mg, only 1 of the 3 sold are left to refund');
+    expect(res.json).not.toHaveBeenCalled();
+  });
+
+  it('only refunds completed or partly refunded sales', async () => {
+    const client = mockClient({ status: null, payments: [], outstandingLines: 1 });
+
+    const { error } = await refund(client, { items: [{ saleItemId: 31, quantityToRefund: 1 }] });
+
+    expect(error.message).toBe('Sale not found or cannot be refunded');
+    expect(client.query.mock.calls[0][0]).toMatch("payment_status IN ('completed', 'partial')");
+  });
+});
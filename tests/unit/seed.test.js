@@ -0,0 +1,114 @@
+// tests/unit/seed.test.js
+const { createRandom, generateDataset } = require('../../src/database/seed');
+const { USER_ROLES } = require('../../src/utils/constants');
+const { isValidNpi, isValidDeaNumber } = require('../../src/utils/helpers');
+
+const AS_OF = '2024-06-30';
+
+describe('createRandom', () => {
+  it('repeats the same sequence for the same seed', () => {
+    const a = createRandom(7);
+    const b = createRandom(7);
+
+    expect([a.next(), a.next(), a.next()]).toEqual([b.next(), b.next(), b.next()]);
+  });
+});
+
+describe('generateDataset', () => {
+  const dataset = generateDataset({ seed: 42, scale: 0.2, asOf: AS_OF });
+
+  it('is deterministic for a given seed and differs across seeds', () => {
+    expect(generateDataset({ seed: 42, scale: 0.2, asOf: AS_OF })).toEqual(dataset);
+    expect(generateDataset({ seed: 43, scale: 0.2, asOf: AS_OF }).sales).not.toEqual(dataset.sales);
+  });
+
+  it('creates staff for every role and purchase orders in every status', () => {
+    expect(new Set(dataset.users.map(u => u.role))).toEqual(new Set(Object.values(USER_ROLES)));
+    expect(new Set(dataset.purchaseOrders.map(po => po.status))).toEqual(
+      new Set(['pending', 'ordered', 'partially_received', 'received', 'cancelled'])
+    );
+  });
+
+  it('includes prescription and controlled products', () => {
+    expect(dataset.products.some(p => p.requires_prescription)).toBe(true);
+    expect(dataset.products.some(p => p.controlled_substance)).toBe(true);
+  });
+
+  it('registers prescribers with valid NPI and DEA numbers', () => {
+    dataset.prescribers.forEach((prescriber) => {
+      expect(isValidNpi(prescriber.npi)).toBe(true);
+      expect(isValidDeaNumber(prescriber.dea_number, prescriber.last_name)).toBe(true);
+    });
+  });
+
+  it('keeps stock movements consistent with the final batch quantities', () => {
+    const netByBatch = new Map();
+    dataset.stockMovements.forEach((movement) => {
+      expect(movement.quantity_after).toBe(movement.quantity_before + movement.quantity_change);
+      expect(movement.quantity_after).toBeGreaterThanOrEqual(0);
+      netByBatch.set(movement.inventory_id, (netByBatch.get(movement.inventory_id) || 0) + movement.quantity_change);
+    });
+
+    dataset.inventory.forEach(batch => expect(batch.quantity_on_hand).toBe(netByBatch.get(batch.inventory_id)));
+  });
+
+  it('never sells from a batch after it expires', () => {
+    const salesById = new Map(dataset.sales.map(sale => [sale.sale_id, sale]));
+
+    dataset.saleItems.forEach((item) => {
+      expect(item.expiration_date > salesById.get(item.sale_id).sale_date.slice(0, 10)).toBe(true);
+    });
+  });
+
+  it('records a prescription for every sale containing an Rx product', () => {
+    const rxProducts = new Set(dataset.products.filter(p => p.requires_prescription).map(p => p.product_id));
+    const rxSales = new Set(dataset.saleItems.filter(item => rxProducts.has(item.product_id)).map(item => item.sale_id));
+
+    dataset.sales.filter(sale => rxSales.has(sale.sale_id)).forEach((sale) => {
+      expect(sale.prescription_number).toBeTruthy();
+      expect(sale.customer_id).not.toBeNull();
+    });
+  });
+
+  it('dispenses every Rx line against a prescription for that patient and product', () => {
+    const rxProducts = new Set(dataset.products.filter(p => p.requires_prescription).map(p => p.product_id));
+    const prescriptionsById = new Map(dataset.prescriptions.map(rx => [rx.prescription_id, rx]));
+    const salesById = new Map(dataset.sales.map(sale => [sale.sale_id, sale]));
+    const prescribersById = new Map(dataset.prescribers.map(prescriber => [prescriber.prescriber_id, prescriber]));
+
+    dataset.saleItems.filter(item => rxProducts.has(item.product_id)).forEach((item) => {
+      const prescription = prescriptionsById.get(item.prescription_id);
+      const sale = salesById.get(item.sale_id);
+
+      expect(prescription.customer_id).toBe(sale.customer_id);
+      expect(prescribersById.has(prescription.prescriber_id)).toBe(true);
+      expect(prescription.product_id).toBe(item.product_id);
+      expect(prescription.written_date <= sale.sale_date.slice(0, 10)).toBe(true);
+      expect(sale.prescription_number).toContain(prescription.prescription_number);
+    });
+  });
+
+  it('pays every sale in full, with change only on cash', () => {
+    const paid = new Map();
+    dataset.salePayments.forEach((payment) => {
+      paid.set(payment.sale_id, (paid.get(payment.sale_id) || 0) + payment.amount * 100);
+      if (payment.payment_method !== 'cash') expect(payment.tendered_amount).toBe(payment.amount);
+      expect(payment.tendered_amount).toBeGreaterThanOrEqual(payment.amount);
+    });
+
+    dataset.sales.forEach((sale) => {
+      expect(Math.round(paid.get(sale.sale_id))).toBe(Math.round(sale.total_amount * 100));
+    });
+  });
+
+  it('rings every sale up in an open shift of its cashier', () => {
+    const shifts = new Map(dataset.registerShifts.map(shift => [shift.shift_id, shift]));
+
+    dataset.sales.forEach((sale) => {
+      const shift = shifts.get(sale.shift_id);
+      expect(shift.cashier_id).toBe(sale.cashier_id);
+      expect(shift.opened_at < sale.sale_date && sale.sale_date < shift.closed_at).toBe(true);
+    });
+    expect(dataset.shiftCounts.filter(count => count.payment_method === 'cash')).toHaveLength(dataset.registerShifts.length);
+  });
+});
@@ -0,0 +1,97 @@
+// tests/unit/totp.test.js
+const {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  timeStep,
+  generateCode,
+  verifyCode,
+  provisioningUri,
+  encryptSecret,
+  decryptSecret,
+  generateRecoveryCodes,
+  normalizeRecoveryCode
+} = require('../../src/utils/totp');
+const { signTwoFactorChallenge, verifyTwoFactorChallenge } = require('../../src/utils/tokens');
+const { TWO_FACTOR_CHALLENGES } = require('../../src/utils/constants');
+
+// RFC 6238 appendix B seed for SHA-1
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+describe('TOTP', () => {
+  it('matches the RFC 6238 test vectors', () => {
+    expect(generateCode(RFC_SECRET, timeStep(59 * 1000))).toBe('287082');
+    expect(generateCode(RFC_SECRET, timeStep(1111111109 * 1000))).toBe('081804');
+    expect(generateCode(RFC_SECRET, timeStep(2000000000 * 1000))).toBe('279037');
+  });
+
+  it('round-trips base32', () => {
+    const secret = generateSecret();
+
+    expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(base32Encode(base32Decode(secret.toLowerCase()))).toBe(secret);
+  });
+
+  it('accepts one step of clock drift and nothing further', () => {
+    const now = 1700000000000;
+    const step = timeStep(now);
+
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 1), { timestamp: now })).toBe(step - 1);
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 1), { timestamp: now })).toBe(step + 1);
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 2), { timestamp: now })).toBeNull();
+    expect(verifyCode(RFC_SECRET, 'abcdef', { timestamp: now })).toBeNull();
+  });
+
+  it('refuses a code from a step that was already used', () => {
+    const now = 1700000000000;
+    const code = generateCode(RFC_SECRET, timeStep(now));
+
+    expect(verifyCode(RFC_SECRET, code, { timestamp: now, afterStep: timeStep(now) })).toBeNull();
+  });
+
+  it('builds an otpauth URI for authenticator apps', () => {
+    const uri = new URL(provisioningUri('JBSWY3DPEHPK3PXP', 'jane.doe'));
+
+    expect(uri.protocol).toBe('otpauth:');
+    expect(uri.host).toBe('totp');
+    expect(decodeURIComponent(uri.pathname)).toBe('/PharmaFlow:jane.doe');
+    expect(uri.searchParams.get('secret')).toBe('JBSWY3DPEHPK3PXP');
+    expect(uri.searchParams.get('digits')).toBe('6');
+  });
+
+  it('encrypts secrets so the stored value does not reveal them', () => {
+    const stored = encryptSecret(RFC_SECRET);
+
+    expect(stored).not.toContain(RFC_SECRET);
+    expect(decryptSecret(stored)).toBe(RFC_SECRET);
+    const [iv, tag, ciphertext] = stored.split('.');
+    const tampered = Buffer.from(ciphertext, 'base64url');
+    tampered[0] ^= 0x01;
+    expect(() => decryptSecret([iv, tag, tampered.toString('base64url')].join('.'))).toThrow();
+  });
+
+  it('refuses a stored secret with a truncated iv or auth tag', () => {
+    const [iv, tag, ciphertext] = encryptSecret(RFC_SECRET).split('.');
+    const truncate = part => Buffer.from(part, 'base64url').subarray(0, 4).toString('base64url');
+
+    expect(() => decryptSecret([iv, truncate(tag), ciphertext].join('.'))).toThrow('Malformed encrypted secret');
+    expect(() => decryptSecret([truncate(iv), tag, ciphertext].join('.'))).toThrow('Malformed encrypted secret');
+  });
+
+  it('generates distinct recovery codes that normalize case and dashes away', () => {
+    const codes = generateRecoveryCodes(10);
+
+    expect(new Set(codes).size).toBe(10);
+    expect(codes[0]).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/);
+    expect(normalizeRecoveryCode(codes[0].toUpperCase())).toBe(codes[0].replace('-', ''));
+  });
+});
+
+describe('two-factor challenge tokens', () => {
+  it('only verify for the purpose they were issued for', () => {
+    const { token } = signTwoFactorChallenge(7, TWO_FACTOR_CHALLENGES.VERIFY);
+
+    expect(verifyTwoFactorChallenge(token, TWO_FACTOR_CHALLENGES.VERIFY)).toBe(7);
+    expect(() => verifyTwoFactorChallenge(token, TWO_FACTOR_CHALLENGES.ENROLL)).toThrow('Invalid login challenge');
+  });
+});
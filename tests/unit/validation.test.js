@@ -0,0 +1,94 @@
+// tests/unit/validation.test.js
+const { validate } = require('../../src/middleware/validation');
+const { ValidationError } = require('../../src/utils/errorHandler');
+const salesSchemas = require('../../src/schemas/sales');
+const productSchemas = require('../../src/schemas/products');
+const reportSchemas = require('../../src/schemas/reports');
+
+// Mimic Express 5, where req.query is a getter that re-parses the URL on every access
+const mockRequest = ({ query = {}, body, params = {} } = {}) => {
+  const req = { body, params };
+  Object.defineProperty(req, 'query', { get: () => ({ ...query }), configurable: true, enumerable: true });
+  return req;
+};
+
+const run = (schemas, req) => {
+  const next = jest.fn();
+  validate(schemas)(req, {}, next);
+  return next;
+};
+
+const validSale = () => ({
+  items: [{ productId: '3', inventoryId: 7, quantity: '2', unitPrice: 4.5 }],
+  paymentMethod: 'cash',
+  customerPaymentAmount: 10
+});
+
+describe('validate middleware', () => {
+  it('replaces the query with coerced values and defaults', () => {
+    const req = mockRequest({ query: { page: '2', requiresPrescription: 'true', sortOrder: 'asc' } });
+
+    const next = run(productSchemas.listProducts, req);
+
+    expect(next).toHaveBeenCalledWith();
+    expect(req.query).toEqual({
+      page: 2,
+      limit: 10,
+      requiresPrescription: true,
+      sortBy: 'created_at',
+      sortOrder: 'ASC'
+    });
+  });
+
+  it('coerces body values and strips unknown keys', () => {
+    const req = mockRequest({ body: { ...validSale(), isAdmin: true } });
+
+    run(salesSchemas.createSale, req);
+
+    expect(req.body.isAdmin).toBeUndefined();
+    expect(req.body.items[0]).toEqual({ productId: 3, inventoryId: 7, quantity: 2, unitPrice: 4.5, discountPercentage: 0 });
+    expect(req.body.insuranceClaimAmount).toBe(0);
+  });
+
+  it('reports every failing field with its location', () => {
+    const req = mockRequest({
+      query: { sortBy: 'password_hash; DROP TABLE products' },
+      body: { ...validSale(), items: [] }
+    });
+
+    const next = run({ ...productSchemas.listProducts, ...salesSchemas.createSale }, req);
+    const error = next.mock.calls[0][0];
+
+    expect(error).toBeInstanceOf(ValidationError);
+    expect(error.details).toEqual([
+      expect.objectContaining({ field: 'sortBy', location: 'query' }),
+      expect.objectContaining({ field: 'items', location: 'body' })
+    ]);
+  });
+
+  it('leaves the request untouched when validation fails', () => {
+    const req = mockRequest({ body: { paymentMethod: 'barter' } });
+
+    run(salesSchemas.createSale, req);
+
+    expect(req.body).toEqual({ paymentMethod: 'barter' });
+  });
+});
+
+describe('request schemas', () => {
+  it('rejects refunds that list the same sale item twice', () => {
+    const req = mockRequest({
+      body: { items: [{ saleItemId: 1, quantityToRefund: 1 }, { saleItemId: 1, quantityToRefund: 2 }], refundAmount: 5 }
+    });
+
+    expect(run(salesSchemas.processRefund, req).mock.calls[0][0].details[0].field).toBe('items.1');
+  });
+
+  it('only allows whitelisted sort columns in custom report definitions', () => {
+    const req = mockRequest({ body: { reportType: 'inventory', metrics: ['quantity'], sortBy: 'total_amount' } });
+
+    const error = run(reportSchemas.customReport, req).mock.calls[0][0];
+
+    expect(error.details[0].field).toBe('sortBy');
+  });
+});